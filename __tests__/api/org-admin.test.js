@@ -0,0 +1,202 @@
+/**
+ * Unit tests for the org admin API: actions that move players between the lists,
+ * reset them or email them
+ */
+
+// The mail driver is picked from RESEND_API_KEY, so the key is set as the mock loads
+jest.mock('resend', () => {
+  process.env.RESEND_API_KEY = 'test-key';
+  return { Resend: jest.fn(() => ({ emails: { send: (...args) => mockSend(...args) } })) };
+});
+
+import handler from '../../pages/api/org/[slug]/admin';
+import { createSession } from '../../lib/auth';
+import { getCurrentPeriodId } from '../../lib/recurrence';
+import { getDefaultSettings } from '../../lib/settings';
+import { createMemoryDriver, setStorageDriver } from '../../lib/storage';
+
+const mockSend = jest.fn();
+
+// Run against the in-memory storage driver; tests seed and inspect kvStore directly
+const kvStore = {};
+setStorageDriver(createMemoryDriver(kvStore));
+
+const ORG_ID = 'test-org-id';
+
+async function setupTestOrg() {
+  kvStore['playday:organizer:owner-123'] = { id: 'owner-123', email: 'owner@example.com', status: 'approved' };
+  kvStore[`playday:organization:${ORG_ID}`] = {
+    id: ORG_ID,
+    slug: 'test-org',
+    name: 'Test Organization',
+    status: 'active',
+    ownerId: 'owner-123',
+    timezone: 'Africa/Lagos'
+  };
+  kvStore['playday:organization-slug:test-org'] = ORG_ID;
+  kvStore[`org:${ORG_ID}:settings`] = { ...getDefaultSettings('Africa/Lagos'), mainListLimit: 2 };
+  kvStore[`org:${ORG_ID}:whitelist`] = [];
+  kvStore[`org:${ORG_ID}:rsvp-data`] = {
+    mainList: [
+      { id: 1, name: 'Ada Obi', deviceId: 'device-ada', timestamp: '2026-03-12T10:00:00Z' },
+      { id: 2, name: 'Bayo Ade', deviceId: 'device-bayo', timestamp: '2026-03-12T10:01:00Z' },
+    ],
+    waitlist: [
+      { id: 3, name: 'Chi Eze', deviceId: 'device-chi', timestamp: '2026-03-12T10:02:00Z' },
+    ],
+  };
+  kvStore[`org:${ORG_ID}:notifications`] = {
+    contacts: { 'chi@example.com': { token: 'chi-token', optedOutAt: null } },
+    devices: { 'device-chi': 'chi@example.com' },
+  };
+  return createSession('owner-123');
+}
+
+async function adminAction(session, action, data) {
+  const req = {
+    method: 'POST',
+    body: { action, data },
+    query: { slug: 'test-org' },
+    headers: { host: 'localhost:3000', cookie: `session=${session}` },
+  };
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+  };
+  await handler(req, res);
+  return res;
+}
+
+beforeEach(() => {
+  Object.keys(kvStore).forEach(key => delete kvStore[key]);
+  jest.clearAllMocks();
+});
+
+describe('Org Admin API - promotions', () => {
+  it('holds and announces the spot of a member moved up a tier off the waitlist', async () => {
+    const session = await setupTestOrg();
+    const settings = kvStore[`org:${ORG_ID}:settings`];
+    settings.tiers = [{ id: 'core', name: 'Core', reservedSpots: 0, earlyAccessHours: 0 }, ...settings.tiers];
+    settings.claimWindow = { enabled: true, hours: 12 };
+    kvStore[`org:${ORG_ID}:whitelist`] = [
+      { name: 'Ada Obi', snoozeCode: 'ABC234', tier: 'core' },
+      { name: 'Bayo Ade', snoozeCode: 'DEF567', tier: 'member' },
+      { name: 'Chi Eze', snoozeCode: 'GHJ892', tier: 'member' },
+    ];
+    const rsvpData = kvStore[`org:${ORG_ID}:rsvp-data`];
+    const asMember = (p, tier) => ({ ...p, isWhitelisted: true, tier });
+    rsvpData.mainList = [asMember(rsvpData.mainList[0], 'core'), asMember(rsvpData.mainList[1], 'member')];
+    rsvpData.waitlist = [asMember(rsvpData.waitlist[0], 'member')];
+
+    const res = await adminAction(session, 'update-member-tier', { name: 'Chi Eze', tier: 'core' });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const { mainList, waitlist } = kvStore[`org:${ORG_ID}:rsvp-data`];
+    expect(mainList.map(p => p.name)).toEqual(['Ada Obi', 'Chi Eze']);
+    expect(mainList[1].pendingClaim).toBeDefined();
+    expect(waitlist.map(p => p.name)).toEqual(['Bayo Ade']);
+    expect(res.json.mock.calls[0][0].promoted.map(p => p.name)).toEqual(['Chi Eze']);
+    expect(mockSend).toHaveBeenCalledTimes(1);
+    expect(mockSend.mock.calls[0][0]).toMatchObject({ to: 'chi@example.com' });
+  });
+
+  it('promotes whoever is next by priority when a member is removed, and emails them', async () => {
+    const session = await setupTestOrg();
+    kvStore[`org:${ORG_ID}:whitelist`] = [
+      { name: 'Ada Obi', snoozeCode: 'ABC234', tier: 'member' },
+      { name: 'Dayo Bello', snoozeCode: 'DEF567', tier: 'member', email: 'dayo@example.com' },
+    ];
+    const rsvpData = kvStore[`org:${ORG_ID}:rsvp-data`];
+    rsvpData.mainList[0] = { ...rsvpData.mainList[0], isWhitelisted: true, tier: 'member' };
+    rsvpData.waitlist.push({ id: 4, name: 'Dayo Bello', deviceId: 'device-dayo', timestamp: '2026-03-12T10:03:00Z', isWhitelisted: true, tier: 'member' });
+
+    const res = await adminAction(session, 'remove-whitelist', { name: 'Ada Obi' });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const { mainList, waitlist } = kvStore[`org:${ORG_ID}:rsvp-data`];
+    expect(mainList.map(p => p.name)).toEqual(['Dayo Bello', 'Bayo Ade']);
+    expect(waitlist.map(p => p.name)).toEqual(['Chi Eze']);
+    expect(kvStore[`org:${ORG_ID}:whitelist`].map(w => w.name)).toEqual(['Dayo Bello']);
+    expect(mockSend).toHaveBeenCalledTimes(1);
+    expect(mockSend.mock.calls[0][0]).toMatchObject({ to: 'dayo@example.com' });
+  });
+
+  it('holds and announces the spot of a player moved up by a pardon', async () => {
+    const session = await setupTestOrg();
+    const settings = kvStore[`org:${ORG_ID}:settings`];
+    settings.penalties = { ...settings.penalties, enabled: true };
+    settings.claimWindow = { enabled: true, hours: 12 };
+    // Chi signed up before Bayo but lost priority to two strikes
+    kvStore[`org:${ORG_ID}:rsvp-data`].waitlist[0].timestamp = '2026-03-12T10:00:30Z';
+    kvStore[`org:${ORG_ID}:strikes`] = [1, 2].map(id => ({
+      id, name: 'Chi Eze', reason: 'no-show', periodId: 'earlier', createdAt: new Date().toISOString(),
+    }));
+
+    const res = await adminAction(session, 'pardon-strike', { strikeId: 1 });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const { mainList, waitlist } = kvStore[`org:${ORG_ID}:rsvp-data`];
+    expect(mainList.map(p => p.name)).toEqual(['Ada Obi', 'Chi Eze']);
+    expect(mainList[1].pendingClaim).toBeDefined();
+    expect(waitlist.map(p => p.name)).toEqual(['Bayo Ade']);
+    expect(res.json.mock.calls[0][0].promoted.map(p => p.name)).toEqual(['Chi Eze']);
+    expect(mockSend).toHaveBeenCalledTimes(1);
+    expect(mockSend.mock.calls[0][0]).toMatchObject({ to: 'chi@example.com' });
+  });
+});
+
+describe('Org Admin API - cancel-period', () => {
+  it('emails everyone signed up once, with the reason escaped', async () => {
+    const session = await setupTestOrg();
+    const settings = kvStore[`org:${ORG_ID}:settings`];
+    kvStore[`org:${ORG_ID}:last-reset`] = getCurrentPeriodId(settings, 'Africa/Lagos');
+    kvStore[`org:${ORG_ID}:whitelist`] = [{ name: 'Bayo Ade', snoozeCode: 'ABC234', email: 'bayo@example.com' }];
+    kvStore[`org:${ORG_ID}:rsvp-data`].waitlist.push(
+      { id: 4, name: 'Dayo Bello', deviceId: 'device-dayo', timestamp: '2026-03-12T10:03:00Z' },
+      { id: 5, name: 'Tunde', isGuest: true, hostId: 4, hostName: 'Dayo Bello' }
+    );
+    kvStore[`org:${ORG_ID}:notifications`].devices['device-dayo'] = 'chi@example.com';
+
+    const res = await adminAction(session, 'cancel-period', { reason: 'Pitch <b>flooded</b>' });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0]).toMatchObject({ signedUp: 4, notified: 2 });
+    expect(mockSend.mock.calls.map(([email]) => email.to).sort()).toEqual(['bayo@example.com', 'chi@example.com']);
+    const { html, text } = mockSend.mock.calls[0][0];
+    expect(html).toContain('Reason: Pitch &lt;b&gt;flooded&lt;/b&gt;');
+    expect(html).not.toContain('<b>');
+    expect(text).toContain('Reason: Pitch <b>flooded</b>');
+  });
+});
+
+describe('Org Admin API - resets', () => {
+  it('keeps carried-over members when signups are reset', async () => {
+    const session = await setupTestOrg();
+    kvStore[`org:${ORG_ID}:whitelist`] = [{ name: 'Ada Obi', snoozeCode: 'ABC234', tier: 'member' }];
+    kvStore[`org:${ORG_ID}:rsvp-data`].mainList[0] = { ...kvStore[`org:${ORG_ID}:rsvp-data`].mainList[0], isWhitelisted: true, tier: 'member' };
+
+    const res = await adminAction(session, 'reset-signups', {});
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(kvStore[`org:${ORG_ID}:rsvp-data`].mainList.map(p => p.name)).toEqual(['Ada Obi']);
+    expect(kvStore[`org:${ORG_ID}:rsvp-data`].waitlist).toEqual([]);
+  });
+
+  it.each(['reset-all', 'reset-signups'])('returns 503 to %s when the org lock cannot be acquired', async (action) => {
+    const session = await setupTestOrg();
+    // Simulate a lock held by a request that never finishes
+    kvStore[`org:${ORG_ID}:lock`] = 'someone-else';
+
+    jest.useFakeTimers();
+    try {
+      const pending = adminAction(session, action, {});
+      await jest.advanceTimersByTimeAsync(10000);
+      const res = await pending;
+
+      expect(res.status).toHaveBeenCalledWith(503);
+      expect(kvStore[`org:${ORG_ID}:rsvp-data`].mainList).toHaveLength(2);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
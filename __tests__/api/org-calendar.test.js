@@ -0,0 +1,124 @@
+/**
+ * Unit tests for the org calendar feed API
+ * Tests cover: the org feed and a player's personal feed
+ */
+
+import handler from '../../pages/api/org/[slug]/calendar.ics';
+import { getLinkSecret } from '../../lib/auth';
+import { getCalendarToken } from '../../lib/calendar';
+import { normalizeEvent } from '../../lib/events';
+import { getDefaultSettings } from '../../lib/settings';
+import { createMemoryDriver, setStorageDriver } from '../../lib/storage';
+
+// Run against the in-memory storage driver; tests seed and inspect kvStore directly
+const kvStore = {};
+setStorageDriver(createMemoryDriver(kvStore));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const dateId = offsetDays => new Date(Date.now() + offsetDays * DAY_MS).toISOString().slice(0, 10);
+
+function createMockReqRes(method, query) {
+  const req = { method, query, headers: { host: 'localhost:3000' } };
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+    send: jest.fn().mockReturnThis(),
+    setHeader: jest.fn(),
+  };
+  return { req, res };
+}
+
+// An org playing every day, so there's always a game coming up, with no RSVP window
+function setupTestOrg(slug = 'test-org', orgId = 'test-org-id') {
+  kvStore[`playday:organization:${orgId}`] = {
+    id: orgId,
+    slug,
+    name: 'Test Organization',
+    sport: 'frisbee',
+    status: 'active',
+    ownerId: 'owner-123',
+    timezone: 'Africa/Lagos'
+  };
+  kvStore[`playday:organization-slug:${slug}`] = orgId;
+
+  const settings = getDefaultSettings('Africa/Lagos');
+  settings.accessPeriod = { ...settings.accessPeriod, enabled: false };
+  settings.gameInfo = { ...settings.gameInfo, enabled: true, gameDays: [0, 1, 2, 3, 4, 5, 6], startHour: 23, startMinute: 0, endHour: 23, endMinute: 59 };
+  kvStore[`org:${orgId}:settings`] = settings;
+  kvStore[`org:${orgId}:events`] = [
+    { id: 'summer-cup', ...normalizeEvent({ name: 'Summer Cup', date: dateId(3) }) },
+    { id: 'winter-cup', ...normalizeEvent({ name: 'Winter Cup', date: dateId(5) }) },
+  ];
+  return orgId;
+}
+
+async function getFeed(query) {
+  const { req, res } = createMockReqRes('GET', query);
+  await handler(req, res);
+  return res;
+}
+
+beforeEach(() => {
+  Object.keys(kvStore).forEach(key => delete kvStore[key]);
+  jest.clearAllMocks();
+});
+
+describe('Org Calendar API', () => {
+  it('returns 404 for a non-existent organization', async () => {
+    const res = await getFeed({ slug: 'nope' });
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  it('rejects other methods', async () => {
+    const { req, res } = createMockReqRes('POST', { slug: 'test-org' });
+    await handler(req, res);
+    expect(res.status).toHaveBeenCalledWith(405);
+  });
+
+  it('serves the recurring game and every event', async () => {
+    setupTestOrg();
+
+    const res = await getFeed({ slug: 'test-org' });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'text/calendar; charset=utf-8');
+    const ics = res.send.mock.calls[0][0];
+    expect(ics).toContain('X-WR-CALNAME:Test Organization\r\n');
+    expect(ics).toContain('RRULE:FREQ=WEEKLY;BYDAY=SU,MO,TU,WE,TH,FR,SA\r\n');
+    expect(ics).toContain('UID:event-test-org-id-summer-cup@itsplayday.com\r\n');
+    expect(ics).toContain('UID:event-test-org-id-winter-cup@itsplayday.com\r\n');
+  });
+
+  it("serves a player's personal feed with only the games they're confirmed for", async () => {
+    const orgId = setupTestOrg();
+    kvStore[`org:${orgId}:rsvp-data`] = {
+      mainList: [{ id: 1, name: 'Ada Obi', deviceId: 'device-ada' }],
+      waitlist: [{ id: 2, name: 'Bayo Ade', deviceId: 'device-bayo' }],
+    };
+    kvStore[`org:${orgId}:event:winter-cup:rsvp-data`] = {
+      mainList: [{ id: 3, name: 'Bayo Ade', deviceId: 'device-bayo' }],
+      waitlist: [{ id: 4, name: 'Ada Obi', deviceId: 'device-ada' }],
+    };
+
+    const ada = (await getFeed({ slug: 'test-org', player: getCalendarToken('device-ada', await getLinkSecret()) })).send.mock.calls[0][0];
+    expect(ada).toContain('X-WR-CALNAME:Test Organization (my games)\r\n');
+    expect(ada).not.toContain('RRULE');
+    expect(ada.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+    expect(ada).toMatch(/UID:game-test-org-id-\d{8}@itsplayday.com/);
+
+    const bayo = (await getFeed({ slug: 'test-org', player: getCalendarToken('device-bayo', await getLinkSecret()) })).send.mock.calls[0][0];
+    expect(bayo.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+    expect(bayo).toContain('UID:event-test-org-id-winter-cup@itsplayday.com');
+  });
+
+  it('leaves out a game whose list is from an earlier period', async () => {
+    const orgId = setupTestOrg();
+    kvStore[`org:${orgId}:settings`].accessPeriod.enabled = true;
+    kvStore[`org:${orgId}:last-reset`] = 'an-earlier-period';
+    kvStore[`org:${orgId}:rsvp-data`] = { mainList: [{ id: 1, name: 'Ada Obi', deviceId: 'device-ada' }], waitlist: [] };
+
+    const ics = (await getFeed({ slug: 'test-org', player: getCalendarToken('device-ada', await getLinkSecret()) })).send.mock.calls[0][0];
+
+    expect(ics).not.toContain('BEGIN:VEVENT');
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Unit tests for the org claim API (waitlist claim window)
+ */
+
+import handler from '../../pages/api/org/[slug]/claim';
+import { getLinkSecret } from '../../lib/auth';
+import { getClaimToken } from '../../lib/claims';
+import { createMemoryDriver, setStorageDriver } from '../../lib/storage';
+
+// Run against the in-memory storage driver; tests seed and inspect kvStore directly
+const kvStore = {};
+setStorageDriver(createMemoryDriver(kvStore));
+
+const HOUR_MS = 60 * 60 * 1000;
+const hoursFromNow = hours => new Date(Date.now() + hours * HOUR_MS).toISOString();
+
+function createMockReqRes(method, slug, body = {}) {
+  const req = { method, body, query: { slug }, headers: { host: 'localhost:3000' } };
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+  };
+  return { req, res };
+}
+
+function setupTestOrg(slug = 'test-org', orgId = 'test-org-id') {
+  kvStore[`playday:organization:${orgId}`] = {
+    id: orgId,
+    slug,
+    name: 'Test Organization',
+    status: 'active',
+    timezone: 'Africa/Lagos'
+  };
+  kvStore[`playday:organization-slug:${slug}`] = orgId;
+  kvStore[`org:${orgId}:settings`] = { mainListLimit: 2, accessPeriod: { enabled: false }, claimWindow: { enabled: true, hours: 12 } };
+  kvStore[`org:${orgId}:rsvp-data`] = {
+    mainList: [
+      { id: 1, name: 'Ada Obi', deviceId: 'device-ada' },
+      { id: 2, name: 'Bayo Ade', deviceId: 'device-bayo', pendingClaim: { promotedAt: hoursFromNow(-1), expiresAt: hoursFromNow(11) } },
+    ],
+    waitlist: [],
+  };
+  return orgId;
+}
+
+async function claim(body) {
+  const { req, res } = createMockReqRes('POST', 'test-org', body);
+  await handler(req, res);
+  return res;
+}
+
+beforeEach(() => {
+  Object.keys(kvStore).forEach(key => delete kvStore[key]);
+  jest.clearAllMocks();
+});
+
+describe('Org Claim API', () => {
+  it('claims a held spot from the signup device', async () => {
+    const orgId = setupTestOrg();
+
+    const res = await claim({ deviceId: 'device-bayo' });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].message).toBe("Spot claimed! You're on the main list");
+    expect(kvStore[`org:${orgId}:rsvp-data`].mainList[1]).toEqual({ id: 2, name: 'Bayo Ade', deviceId: 'device-bayo' });
+  });
+
+  it('claims a held spot with the emailed token', async () => {
+    const orgId = setupTestOrg();
+
+    const res = await claim({ token: getClaimToken('device-bayo', await getLinkSecret()) });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(kvStore[`org:${orgId}:rsvp-data`].mainList[1].pendingClaim).toBeUndefined();
+  });
+
+  it('does not accept a token made without the link secret', async () => {
+    setupTestOrg();
+
+    const res = await claim({ token: getClaimToken('device-bayo', 'guessed-secret') });
+
+    expect(res.status).toHaveBeenCalledWith(410);
+  });
+
+  it('marks only the caller\'s own signups in the lists it returns', async () => {
+    setupTestOrg();
+
+    const res = await claim({ deviceId: 'device-bayo' });
+
+    const { mainList } = res.json.mock.calls[0][0];
+    expect(mainList.map(p => p.deviceId)).toEqual([undefined, undefined]);
+    expect(mainList.map(p => !!p.isMine)).toEqual([false, true]);
+  });
+
+  it('tells a confirmed player their spot is already theirs', async () => {
+    setupTestOrg();
+
+    const res = await claim({ deviceId: 'device-ada' });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].message).toBe('Your spot is already confirmed');
+  });
+
+  it('rejects a claim after the window has run out', async () => {
+    const orgId = setupTestOrg();
+    kvStore[`org:${orgId}:rsvp-data`].mainList[1].pendingClaim.expiresAt = hoursFromNow(-1);
+
+    const res = await claim({ deviceId: 'device-bayo' });
+
+    expect(res.status).toHaveBeenCalledWith(410);
+  });
+
+  it('requires a device or token', async () => {
+    setupTestOrg();
+
+    const res = await claim({});
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Unit tests for the org event RSVP API
+ * Tests cover: GET, POST, DELETE for /api/org/[slug]/events/[eventId]
+ */
+
+import handler from '../../pages/api/org/[slug]/events/[eventId]';
+import { normalizeEvent } from '../../lib/events';
+import { createMemoryDriver, setStorageDriver } from '../../lib/storage';
+
+// Run against the in-memory storage driver; tests seed and inspect kvStore directly
+const kvStore = {};
+setStorageDriver(createMemoryDriver(kvStore));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const dateId = offsetDays => new Date(Date.now() + offsetDays * DAY_MS).toISOString().slice(0, 10);
+
+function createMockReqRes(method, slug, eventId, body = {}) {
+  const req = {
+    method,
+    body,
+    query: { slug, eventId },
+    headers: { host: 'localhost:3000' },
+  };
+
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+  };
+
+  return { req, res };
+}
+
+// Setup a test organization with one event
+function setupTestOrg(eventOverrides = {}, slug = 'test-org', orgId = 'test-org-id') {
+  kvStore[`playday:organization:${orgId}`] = {
+    id: orgId,
+    slug,
+    name: 'Test Organization',
+    sport: 'frisbee',
+    status: 'active',
+    ownerId: 'owner-123',
+    timezone: 'Africa/Lagos'
+  };
+  kvStore[`playday:organization-slug:${slug}`] = orgId;
+  kvStore[`org:${orgId}:settings`] = { mainListLimit: 30, accessPeriod: { enabled: false } };
+
+  const event = {
+    id: 'summer-cup',
+    ...normalizeEvent({ name: 'Summer Cup', date: dateId(3), mainListLimit: 2, ...eventOverrides }),
+    createdAt: new Date().toISOString(),
+  };
+  kvStore[`org:${orgId}:events`] = [event];
+
+  return { orgId, event };
+}
+
+async function signUp(name, deviceId) {
+  const { req, res } = createMockReqRes('POST', 'test-org', 'summer-cup', { name, deviceId });
+  await handler(req, res);
+  return res;
+}
+
+beforeEach(() => {
+  Object.keys(kvStore).forEach(key => delete kvStore[key]);
+  jest.clearAllMocks();
+});
+
+describe('Org Event API - GET', () => {
+  it('returns 404 for an unknown event', async () => {
+    setupTestOrg();
+
+    const { req, res } = createMockReqRes('GET', 'test-org', 'nope');
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Event not found' });
+  });
+
+  it('returns the event, its status and lists', async () => {
+    const { orgId } = setupTestOrg({ location: { name: 'Muri Okunola Park' }, rules: ['Bring water'] });
+    kvStore[`org:${orgId}:event:summer-cup:rsvp-data`] = { mainList: [{ id: 1, name: 'Ada Obi' }], waitlist: [] };
+
+    const { req, res } = createMockReqRes('GET', 'test-org', 'summer-cup');
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const data = res.json.mock.calls[0][0];
+    expect(data.event).toMatchObject({
+      id: 'summer-cup',
+      name: 'Summer Cup',
+      mainListLimit: 2,
+      location: expect.objectContaining({ name: 'Muri Okunola Park' }),
+      rules: ['Bring water'],
+    });
+    expect(data.accessStatus.isOpen).toBe(true);
+    expect(data.mainList).toEqual([{ id: 1, name: 'Ada Obi' }]);
+    expect(data.archivedAt).toBeNull();
+  });
+
+  it('serves the archived list once the event is over', async () => {
+    const { orgId } = setupTestOrg({ date: dateId(-3) });
+    kvStore[`org:${orgId}:event:summer-cup:rsvp-data`] = { mainList: [{ id: 1, name: 'Ada Obi' }], waitlist: [] };
+
+    const { req, res } = createMockReqRes('GET', 'test-org', 'summer-cup');
+    await handler(req, res);
+
+    const data = res.json.mock.calls[0][0];
+    expect(data.accessStatus).toMatchObject({ isOpen: false, isOver: true });
+    expect(data.mainList).toEqual([{ id: 1, name: 'Ada Obi' }]);
+    expect(data.archivedAt).toEqual(expect.any(String));
+    expect(kvStore[`org:${orgId}:event:summer-cup:rsvp-data`]).toBeUndefined();
+  });
+});
+
+describe('Org Event API - POST', () => {
+  it('adds signups to the main list, then the waitlist', async () => {
+    const { orgId } = setupTestOrg();
+
+    for (const [name, deviceId] of [['Ada Obi', 'd1'], ['Bayo Ade', 'd2'], ['Chi Eze', 'd3']]) {
+      expect((await signUp(name, deviceId)).status).toHaveBeenCalledWith(200);
+    }
+
+    const { mainList, waitlist } = kvStore[`org:${orgId}:event:summer-cup:rsvp-data`];
+    expect(mainList.map(p => p.name)).toEqual(['Ada Obi', 'Bayo Ade']);
+    expect(waitlist.map(p => p.name)).toEqual(['Chi Eze']);
+    // The recurring game's lists are untouched
+    expect(kvStore[`org:${orgId}:rsvp-data`]).toBeUndefined();
+  });
+
+  it('tells a waitlisted player their position', async () => {
+    setupTestOrg({ mainListLimit: 1 });
+    await signUp('Ada Obi', 'd1');
+
+    const res = await signUp('Bayo Ade', 'd2');
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      message: "Event full. You're #1 on the waitlist",
+      listType: 'waitlist',
+    }));
+  });
+
+  it('rejects a second signup from the same device or name', async () => {
+    setupTestOrg();
+    await signUp('Ada Obi', 'd1');
+
+    expect((await signUp('Bayo Ade', 'd1')).status).toHaveBeenCalledWith(400);
+    expect((await signUp('ada obi', 'd2')).json).toHaveBeenCalledWith({ error: 'This name is already on the list!' });
+  });
+
+  it('rejects signups before RSVPs open', async () => {
+    setupTestOrg({ rsvpOpens: `${dateId(2)}T12:00` });
+
+    const res = await signUp('Ada Obi', 'd1');
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json.mock.calls[0][0].error).toMatch(/^RSVP opens /);
+  });
+});
+
+describe('Org Event API - DELETE', () => {
+  it('lets a player drop out and promotes the waitlist', async () => {
+    const { orgId } = setupTestOrg({ mainListLimit: 1 });
+    kvStore[`org:${orgId}:event:summer-cup:rsvp-data`] = {
+      mainList: [{ id: 1, name: 'Ada Obi', deviceId: 'd1' }],
+      waitlist: [{ id: 2, name: 'Bayo Ade', deviceId: 'd2' }],
+    };
+
+    const { req, res } = createMockReqRes('DELETE', 'test-org', 'summer-cup', { personId: 1, deviceId: 'd1' });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].message).toBe('Spot opened! Bayo Ade promoted from waitlist');
+    expect(kvStore[`org:${orgId}:event:summer-cup:rsvp-data`]).toEqual({
+      mainList: [{ id: 2, name: 'Bayo Ade', deviceId: 'd2' }],
+      waitlist: [],
+    });
+  });
+
+  it("does not remove someone else's signup", async () => {
+    const { orgId } = setupTestOrg();
+    kvStore[`org:${orgId}:event:summer-cup:rsvp-data`] = { mainList: [{ id: 1, name: 'Ada Obi', deviceId: 'd1' }], waitlist: [] };
+
+    const { req, res } = createMockReqRes('DELETE', 'test-org', 'summer-cup', { personId: 1, deviceId: 'd2' });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('does not allow dropping out once the event has started', async () => {
+    setupTestOrg({ date: dateId(-3) });
+
+    const { req, res } = createMockReqRes('DELETE', 'test-org', 'summer-cup', { personId: 1, deviceId: 'd1' });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({ error: 'This event has already started' });
+  });
+});
@@ -3,23 +3,23 @@
  * Tests cover: GET, POST, DELETE, PATCH (snooze/unsnooze) for org-scoped routes
  */
 
-// Mock @vercel/kv
-const mockKvStore = {};
-jest.mock('@vercel/kv', () => ({
-  kv: {
-    get: jest.fn((key) => Promise.resolve(mockKvStore[key])),
-    set: jest.fn((key, value) => {
-      mockKvStore[key] = value;
-      return Promise.resolve();
-    }),
-    del: jest.fn((key) => {
-      delete mockKvStore[key];
-      return Promise.resolve();
-    }),
-  },
-}));
+// The mail driver is picked from RESEND_API_KEY, so the key is set as the mock loads
+jest.mock('resend', () => {
+  process.env.RESEND_API_KEY = 'test-key';
+  return { Resend: jest.fn(() => ({ emails: { send: (...args) => mockSend(...args) } })) };
+});
 
 import handler from '../../pages/api/org/[slug]/rsvp';
+import { CURRENT_SCHEMA_VERSION } from '../../lib/migrations';
+import { getCurrentPeriodId, getPeriodGameDate, formatDateId } from '../../lib/recurrence';
+import { getDefaultSettings } from '../../lib/settings';
+import { createMemoryDriver, setStorageDriver } from '../../lib/storage';
+
+const mockSend = jest.fn();
+
+// Run against the in-memory storage driver; tests seed and inspect kvStore directly
+const kvStore = {};
+setStorageDriver(createMemoryDriver(kvStore));
 
 // Helper to create mock request/response with slug
 function createMockReqRes(method, slug, body = {}, headers = {}) {
@@ -43,46 +43,43 @@ function createMockReqRes(method, slug, body = {}, headers = {}) {
 
 // Setup test organization
 function setupTestOrg(slug = 'test-org', orgId = 'test-org-id') {
-  mockKvStore['playday:organizations'] = [
-    {
-      id: orgId,
-      slug: slug,
-      name: 'Test Organization',
-      sport: 'frisbee',
-      status: 'active',
-      ownerId: 'owner-123',
-      timezone: 'Africa/Lagos'
-    }
-  ];
+  kvStore[`playday:organization:${orgId}`] = {
+    id: orgId,
+    slug: slug,
+    name: 'Test Organization',
+    sport: 'frisbee',
+    status: 'active',
+    ownerId: 'owner-123',
+    timezone: 'Africa/Lagos'
+  };
+  kvStore[`playday:organization-slug:${slug}`] = orgId;
 
   // Set default settings with access period disabled for testing
-  mockKvStore[`org:${orgId}:settings`] = {
+  kvStore[`org:${orgId}:settings`] = {
     mainListLimit: 30,
     accessPeriod: { enabled: false },
   };
 
   // Initialize empty RSVP data
-  mockKvStore[`org:${orgId}:rsvp-data`] = {
+  kvStore[`org:${orgId}:rsvp-data`] = {
     mainList: [],
     waitlist: []
   };
 
   // Initialize empty whitelist
-  mockKvStore[`org:${orgId}:whitelist`] = [];
+  kvStore[`org:${orgId}:whitelist`] = [];
 
   return orgId;
 }
 
 // Clear store between tests
 beforeEach(() => {
-  Object.keys(mockKvStore).forEach(key => delete mockKvStore[key]);
+  Object.keys(kvStore).forEach(key => delete kvStore[key]);
   jest.clearAllMocks();
 });
 
 describe('Org RSVP API - GET', () => {
   it('returns 404 for non-existent organization', async () => {
-    mockKvStore['playday:organizations'] = [];
-
     const { req, res } = createMockReqRes('GET', 'non-existent');
     await handler(req, res);
 
@@ -91,9 +88,8 @@ describe('Org RSVP API - GET', () => {
   });
 
   it('returns 403 for inactive organization', async () => {
-    mockKvStore['playday:organizations'] = [
-      { id: 'org-1', slug: 'inactive-org', status: 'suspended' }
-    ];
+    kvStore['playday:organization:org-1'] = { id: 'org-1', slug: 'inactive-org', status: 'suspended' };
+    kvStore['playday:organization-slug:inactive-org'] = 'org-1';
 
     const { req, res } = createMockReqRes('GET', 'inactive-org');
     await handler(req, res);
@@ -122,9 +118,26 @@ describe('Org RSVP API - GET', () => {
     );
   });
 
+  it('upgrades unversioned org data to the current schema on read', async () => {
+    const orgId = setupTestOrg('test-org');
+    kvStore[`org:${orgId}:snoozed`] = { weekId: 'old-week', names: ['legacy name'] };
+
+    const { req, res } = createMockReqRes('GET', 'test-org');
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(kvStore[`org:${orgId}:schema-version`]).toBe(CURRENT_SCHEMA_VERSION);
+    expect(kvStore[`org:${orgId}:settings`].gameInfo.location).toEqual(
+      expect.objectContaining({ name: '', area: '' })
+    );
+    expect(kvStore[`org:${orgId}:snoozed`].names[0]).toEqual(
+      expect.objectContaining({ nameLC: 'legacy name', snapshot: expect.objectContaining({ name: 'legacy name' }) })
+    );
+  });
+
   it('returns existing RSVP data', async () => {
     const orgId = setupTestOrg('test-org');
-    mockKvStore[`org:${orgId}:rsvp-data`] = {
+    kvStore[`org:${orgId}:rsvp-data`] = {
       mainList: [{ id: 1, name: 'John Doe', deviceId: 'device1', timestamp: new Date().toISOString() }],
       waitlist: [],
     };
@@ -142,6 +155,25 @@ describe('Org RSVP API - GET', () => {
     );
   });
 
+  it("hides players' device IDs and marks the caller's own signup", async () => {
+    const orgId = setupTestOrg('test-org');
+    kvStore[`org:${orgId}:rsvp-data`] = {
+      mainList: [
+        { id: 1, name: 'John Doe', deviceId: 'device1', timestamp: new Date().toISOString() },
+        { id: 2, name: 'Jane Roe', deviceId: 'device2', timestamp: new Date().toISOString() },
+      ],
+      waitlist: [],
+    };
+
+    const { req, res } = createMockReqRes('GET', 'test-org');
+    req.query.deviceId = 'device2';
+    await handler(req, res);
+
+    const { mainList } = res.json.mock.calls[0][0];
+    expect(mainList.map(p => p.deviceId)).toEqual([undefined, undefined]);
+    expect(mainList.map(p => !!p.isMine)).toEqual([false, true]);
+  });
+
   it('includes access status in response', async () => {
     setupTestOrg('test-org');
 
@@ -158,6 +190,63 @@ describe('Org RSVP API - GET', () => {
   });
 });
 
+describe('Org RSVP API - GET teams', () => {
+  function seedTeams(orgId, published) {
+    const timestamp = new Date().toISOString();
+    kvStore[`org:${orgId}:rsvp-data`] = {
+      mainList: [
+        { id: 1, name: 'Ada', deviceId: 'device1', timestamp },
+        { id: 2, name: 'Bayo', deviceId: 'device2', timestamp },
+      ],
+      waitlist: [],
+    };
+    kvStore[`org:${orgId}:whitelist`] = [{ name: 'Ada', skill: 5, gender: 'female' }];
+    const settings = kvStore[`org:${orgId}:settings`];
+    kvStore[`org:${orgId}:teams`] = {
+      periodId: getCurrentPeriodId(settings, 'Africa/Lagos'),
+      teams: [{ name: 'Team 1', playerIds: [1] }, { name: 'Team 2', playerIds: [2] }],
+      lockedIds: [],
+      published,
+    };
+  }
+
+  it('hides teams until they are published', async () => {
+    const orgId = setupTestOrg('test-org');
+    seedTeams(orgId, false);
+
+    const { req, res } = createMockReqRes('GET', 'test-org');
+    await handler(req, res);
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ teams: null }));
+  });
+
+  it('shows published teams without member ratings', async () => {
+    const orgId = setupTestOrg('test-org');
+    seedTeams(orgId, true);
+
+    const { req, res } = createMockReqRes('GET', 'test-org');
+    await handler(req, res);
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      teams: [
+        { name: 'Team 1', players: [{ id: 1, name: 'Ada' }] },
+        { name: 'Team 2', players: [{ id: 2, name: 'Bayo' }] },
+      ],
+    }));
+  });
+
+  it('ignores teams from a previous period', async () => {
+    const orgId = setupTestOrg('test-org');
+    seedTeams(orgId, true);
+    kvStore[`org:${orgId}:teams`].periodId = 'last-week';
+
+    const { req, res } = createMockReqRes('GET', 'test-org');
+    await handler(req, res);
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ teams: null }));
+  });
+});
+
 describe('Org RSVP API - POST', () => {
   it('requires name and deviceId', async () => {
     setupTestOrg('test-org');
@@ -202,7 +291,7 @@ describe('Org RSVP API - POST', () => {
 
   it('prevents duplicate device signups', async () => {
     const orgId = setupTestOrg('test-org');
-    mockKvStore[`org:${orgId}:rsvp-data`] = {
+    kvStore[`org:${orgId}:rsvp-data`] = {
       mainList: [{ id: 1, name: 'John Doe', deviceId: 'device1', timestamp: new Date().toISOString() }],
       waitlist: [],
     };
@@ -221,7 +310,7 @@ describe('Org RSVP API - POST', () => {
 
   it('prevents duplicate names', async () => {
     const orgId = setupTestOrg('test-org');
-    mockKvStore[`org:${orgId}:rsvp-data`] = {
+    kvStore[`org:${orgId}:rsvp-data`] = {
       mainList: [{ id: 1, name: 'John Doe', deviceId: 'device1', timestamp: new Date().toISOString() }],
       waitlist: [],
     };
@@ -240,11 +329,11 @@ describe('Org RSVP API - POST', () => {
 
   it('adds to waitlist when main list is full', async () => {
     const orgId = setupTestOrg('test-org');
-    mockKvStore[`org:${orgId}:settings`] = {
+    kvStore[`org:${orgId}:settings`] = {
       mainListLimit: 1,
       accessPeriod: { enabled: false },
     };
-    mockKvStore[`org:${orgId}:rsvp-data`] = {
+    kvStore[`org:${orgId}:rsvp-data`] = {
       mainList: [{ id: 1, name: 'First Person', deviceId: 'device1', timestamp: new Date().toISOString() }],
       waitlist: [],
     };
@@ -262,11 +351,16 @@ describe('Org RSVP API - POST', () => {
         listType: 'waitlist',
       })
     );
+    expect(kvStore[`org:${orgId}:signup-log`]).toEqual(expect.objectContaining({
+      signupTimes: [expect.any(String)],
+      filledAt: expect.any(String),
+      peakWaitlist: 1,
+    }));
   });
 
   it('marks whitelisted users appropriately', async () => {
     const orgId = setupTestOrg('test-org');
-    mockKvStore[`org:${orgId}:whitelist`] = [
+    kvStore[`org:${orgId}:whitelist`] = [
       { name: 'VIP User', deviceId: 'vip-device' }
     ];
 
@@ -283,18 +377,18 @@ describe('Org RSVP API - POST', () => {
 
   it('whitelisted member bumps non-whitelisted when list is full', async () => {
     const orgId = setupTestOrg('test-org');
-    mockKvStore[`org:${orgId}:settings`] = {
+    kvStore[`org:${orgId}:settings`] = {
       mainListLimit: 2,
       accessPeriod: { enabled: false },
     };
-    mockKvStore[`org:${orgId}:rsvp-data`] = {
+    kvStore[`org:${orgId}:rsvp-data`] = {
       mainList: [
         { id: 1, name: 'VIP Member', deviceId: 'device1', isWhitelisted: true, timestamp: '2026-01-16T10:00:00Z' },
         { id: 2, name: 'Regular User', deviceId: 'device2', timestamp: '2026-01-16T10:30:00Z' },
       ],
       waitlist: [],
     };
-    mockKvStore[`org:${orgId}:whitelist`] = [
+    kvStore[`org:${orgId}:whitelist`] = [
       { name: 'VIP Member', deviceId: 'device1' },
       { name: 'New VIP', deviceId: 'device3' },
     ];
@@ -333,7 +427,7 @@ describe('Org RSVP API - DELETE', () => {
 
   it('removes person from main list', async () => {
     const orgId = setupTestOrg('test-org');
-    mockKvStore[`org:${orgId}:rsvp-data`] = {
+    kvStore[`org:${orgId}:rsvp-data`] = {
       mainList: [{ id: 123, name: 'John Doe', deviceId: 'device1', timestamp: new Date().toISOString() }],
       waitlist: [],
     };
@@ -356,7 +450,7 @@ describe('Org RSVP API - DELETE', () => {
 
   it('promotes from waitlist when main list spot opens', async () => {
     const orgId = setupTestOrg('test-org');
-    mockKvStore[`org:${orgId}:rsvp-data`] = {
+    kvStore[`org:${orgId}:rsvp-data`] = {
       mainList: [{ id: 1, name: 'Person One', deviceId: 'device1', timestamp: new Date().toISOString() }],
       waitlist: [{ id: 2, name: 'Person Two', deviceId: 'device2', timestamp: new Date().toISOString() }],
     };
@@ -383,7 +477,7 @@ describe('Org RSVP API - DELETE', () => {
 
   it('prevents removing someone else\'s signup', async () => {
     const orgId = setupTestOrg('test-org');
-    mockKvStore[`org:${orgId}:rsvp-data`] = {
+    kvStore[`org:${orgId}:rsvp-data`] = {
       mainList: [{ id: 123, name: 'John Doe', deviceId: 'device1', timestamp: new Date().toISOString() }],
       waitlist: [],
     };
@@ -402,6 +496,111 @@ describe('Org RSVP API - DELETE', () => {
   });
 });
 
+describe('Org RSVP API - promotion emails', () => {
+  async function signUp(name, deviceId, email) {
+    const { req, res } = createMockReqRes('POST', 'test-org', { name, deviceId, email });
+    await handler(req, res);
+    return res;
+  }
+
+  it('keeps the email out of the lists', async () => {
+    const orgId = setupTestOrg('test-org');
+
+    const res = await signUp('Ada Obi', 'device-ada', 'ada@example.com');
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(JSON.stringify(res.json.mock.calls[0][0])).not.toContain('ada@example.com');
+    expect(JSON.stringify(kvStore[`org:${orgId}:rsvp-data`])).not.toContain('ada@example.com');
+    expect(kvStore[`org:${orgId}:notifications`].devices).toEqual({ 'device-ada': 'ada@example.com' });
+  });
+
+  it('rejects an invalid email', async () => {
+    setupTestOrg('test-org');
+
+    const res = await signUp('Ada Obi', 'device-ada', 'not-an-email');
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Please enter a valid email address' });
+  });
+
+  it('emails a player promoted when someone drops out', async () => {
+    const orgId = setupTestOrg('test-org');
+    kvStore[`org:${orgId}:settings`].mainListLimit = 1;
+    await signUp('Ada Obi', 'device-ada');
+    await signUp('Bayo Ade', 'device-bayo', 'bayo@example.com');
+    const [ada] = kvStore[`org:${orgId}:rsvp-data`].mainList;
+
+    const { req, res } = createMockReqRes('DELETE', 'test-org', { personId: ada.id, deviceId: 'device-ada', isWaitlist: false });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockSend).toHaveBeenCalledTimes(1);
+    expect(mockSend.mock.calls[0][0]).toMatchObject({ to: 'bayo@example.com', subject: "Test Organization - You're off the waitlist!" });
+  });
+
+  it('does not email a player who opted out', async () => {
+    const orgId = setupTestOrg('test-org');
+    kvStore[`org:${orgId}:rsvp-data`] = {
+      mainList: [{ id: 1, name: 'Ada Obi', deviceId: 'device-ada' }],
+      waitlist: [{ id: 2, name: 'Bayo Ade', deviceId: 'device-bayo' }],
+    };
+    kvStore[`org:${orgId}:notifications`] = {
+      contacts: { 'bayo@example.com': { token: 'abc', optedOutAt: new Date().toISOString() } },
+      devices: { 'device-bayo': 'bayo@example.com' },
+    };
+
+    const { req, res } = createMockReqRes('DELETE', 'test-org', { personId: 1, deviceId: 'device-ada', isWaitlist: false });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockSend).not.toHaveBeenCalled();
+  });
+});
+
+describe('Org RSVP API - claim window', () => {
+  const HOUR_MS = 60 * 60 * 1000;
+
+  function setupClaimWindowOrg() {
+    const orgId = setupTestOrg('test-org');
+    kvStore[`org:${orgId}:settings`] = { mainListLimit: 1, accessPeriod: { enabled: false }, claimWindow: { enabled: true, hours: 6 } };
+    return orgId;
+  }
+
+  it('holds the spot of a player promoted by a dropout', async () => {
+    const orgId = setupClaimWindowOrg();
+    kvStore[`org:${orgId}:rsvp-data`] = {
+      mainList: [{ id: 1, name: 'Ada Obi', deviceId: 'device-ada', timestamp: new Date().toISOString() }],
+      waitlist: [{ id: 2, name: 'Bayo Ade', deviceId: 'device-bayo', timestamp: new Date().toISOString() }],
+    };
+
+    const { req, res } = createMockReqRes('DELETE', 'test-org', { personId: 1, deviceId: 'device-ada', isWaitlist: false });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const [bayo] = kvStore[`org:${orgId}:rsvp-data`].mainList;
+    expect(bayo.name).toBe('Bayo Ade');
+    const window = new Date(bayo.pendingClaim.expiresAt) - new Date(bayo.pendingClaim.promotedAt);
+    expect(window).toBe(6 * HOUR_MS);
+  });
+
+  it('passes an unclaimed spot on when the lists are read', async () => {
+    const orgId = setupClaimWindowOrg();
+    const expired = new Date(Date.now() - HOUR_MS).toISOString();
+    kvStore[`org:${orgId}:rsvp-data`] = {
+      mainList: [{ id: 2, name: 'Bayo Ade', deviceId: 'device-bayo', timestamp: '2026-03-12T08:00:00.000Z', pendingClaim: { promotedAt: expired, expiresAt: expired } }],
+      waitlist: [{ id: 3, name: 'Chi Eze', deviceId: 'device-chi', timestamp: '2026-03-12T08:01:00.000Z' }],
+    };
+
+    const { req, res } = createMockReqRes('GET', 'test-org');
+    await handler(req, res);
+
+    const data = res.json.mock.calls[0][0];
+    expect(data.mainList.map(p => p.name)).toEqual(['Chi Eze']);
+    expect(data.mainList[0].pendingClaim).toBeDefined();
+    expect(data.waitlist).toEqual([]);
+  });
+});
+
 describe('Org RSVP API - PATCH (snooze)', () => {
   const TEST_PASSWORD = 'frisbee-admin-2024';
 
@@ -434,7 +633,7 @@ describe('Org RSVP API - PATCH (snooze)', () => {
 
   it('snoozes a whitelisted person', async () => {
     const orgId = setupTestOrg('test-org');
-    mockKvStore[`org:${orgId}:rsvp-data`] = {
+    kvStore[`org:${orgId}:rsvp-data`] = {
       mainList: [{
         id: 123,
         name: 'John Doe',
@@ -463,7 +662,7 @@ describe('Org RSVP API - PATCH (snooze)', () => {
 
   it('prevents snoozing non-whitelisted person', async () => {
     const orgId = setupTestOrg('test-org');
-    mockKvStore[`org:${orgId}:rsvp-data`] = {
+    kvStore[`org:${orgId}:rsvp-data`] = {
       mainList: [{
         id: 123,
         name: 'John Doe',
@@ -488,6 +687,754 @@ describe('Org RSVP API - PATCH (snooze)', () => {
   });
 });
 
+describe('Org RSVP API - guests', () => {
+  function allowGuests(orgId, maxGuestsPerSignup, mainListLimit = 30) {
+    kvStore[`org:${orgId}:settings`] = { ...kvStore[`org:${orgId}:settings`], mainListLimit, maxGuestsPerSignup };
+  }
+
+  function hostWithGuests(orgId) {
+    const timestamp = new Date().toISOString();
+    kvStore[`org:${orgId}:rsvp-data`] = {
+      mainList: [
+        { id: 1, name: 'Host', deviceId: 'device1', timestamp },
+        { id: 2, name: 'Host +1', deviceId: 'device1', timestamp, hostId: 1, hostName: 'Host', isGuest: true },
+      ],
+      waitlist: [
+        { id: 3, name: 'Waiting', deviceId: 'device2', timestamp: new Date(Date.now() + 1000).toISOString() },
+      ],
+    };
+  }
+
+  it('rejects guests when the org does not allow them', async () => {
+    setupTestOrg('test-org');
+
+    const { req, res } = createMockReqRes('POST', 'test-org', { name: 'Host', deviceId: 'device1', guests: [''] });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: "This group doesn't allow guests" });
+  });
+
+  it('rejects more guests than the limit', async () => {
+    const orgId = setupTestOrg('test-org');
+    allowGuests(orgId, 1);
+
+    const { req, res } = createMockReqRes('POST', 'test-org', { name: 'Host', deviceId: 'device1', guests: ['', ''] });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'You can bring at most 1 guest' });
+  });
+
+  it('rejects guests that are not a list of names', async () => {
+    const orgId = setupTestOrg('test-org');
+    allowGuests(orgId, 2);
+
+    const { req, res } = createMockReqRes('POST', 'test-org', { name: 'Host', deviceId: 'device1', guests: 'Bola' });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Guests must be a list of names' });
+  });
+
+  it('adds guests after their host, each taking a spot', async () => {
+    const orgId = setupTestOrg('test-org');
+    allowGuests(orgId, 2);
+
+    const { req, res } = createMockReqRes('POST', 'test-org', { name: 'Host', deviceId: 'device1', guests: ['Bola', ''] });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const { mainList } = kvStore[`org:${orgId}:rsvp-data`];
+    expect(mainList.map(p => p.name)).toEqual(['Host', 'Bola', 'Host +2']);
+    expect(mainList[1]).toEqual(expect.objectContaining({ isGuest: true, hostId: mainList[0].id, hostName: 'Host' }));
+    expect(new Set(mainList.map(p => p.id)).size).toBe(3);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: "You're in! Spot #1. All 2 guests are in too" }));
+  });
+
+  it('waitlists guests individually when the main list fills', async () => {
+    const orgId = setupTestOrg('test-org');
+    allowGuests(orgId, 3, 2);
+
+    const { req, res } = createMockReqRes('POST', 'test-org', { name: 'Host', deviceId: 'device1', guests: ['', '', ''] });
+    await handler(req, res);
+
+    const { mainList, waitlist } = kvStore[`org:${orgId}:rsvp-data`];
+    expect(mainList.map(p => p.name)).toEqual(['Host', 'Host +1']);
+    expect(waitlist.map(p => p.name)).toEqual(['Host +2', 'Host +3']);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      listType: 'main',
+      message: "You're in! Spot #1. 1 of your guests is in, 2 on the waitlist",
+    }));
+  });
+
+  it('rejects a guest name already on the list', async () => {
+    const orgId = setupTestOrg('test-org');
+    allowGuests(orgId, 1);
+    kvStore[`org:${orgId}:rsvp-data`] = {
+      mainList: [{ id: 9, name: 'Bola', deviceId: 'device9', timestamp: new Date().toISOString() }],
+      waitlist: [],
+    };
+
+    const { req, res } = createMockReqRes('POST', 'test-org', { name: 'Host', deviceId: 'device1', guests: ['bola'] });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'bola is already on the list!' });
+  });
+
+  it('keeps guests when their host drops out unless asked to drop them', async () => {
+    const orgId = setupTestOrg('test-org');
+    allowGuests(orgId, 1, 2);
+    hostWithGuests(orgId);
+
+    const { req, res } = createMockReqRes('DELETE', 'test-org', { personId: 1, deviceId: 'device1', isWaitlist: false });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const { mainList, waitlist } = kvStore[`org:${orgId}:rsvp-data`];
+    expect(mainList.map(p => p.name)).toEqual(['Host +1', 'Waiting']);
+    expect(waitlist).toEqual([]);
+    expect(kvStore[`org:${orgId}:dropout-log`]).toHaveLength(1);
+  });
+
+  it('drops a host\'s guests along with them when asked', async () => {
+    const orgId = setupTestOrg('test-org');
+    allowGuests(orgId, 1, 2);
+    hostWithGuests(orgId);
+
+    const { req, res } = createMockReqRes('DELETE', 'test-org', {
+      personId: 1,
+      deviceId: 'device1',
+      isWaitlist: false,
+      dropGuests: true,
+    });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(kvStore[`org:${orgId}:rsvp-data`].mainList.map(p => p.name)).toEqual(['Waiting']);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      message: 'Spot opened! Waiting promoted from waitlist',
+      removed: [expect.objectContaining({ id: 1 }), expect.objectContaining({ id: 2 })],
+    }));
+    expect(kvStore[`org:${orgId}:dropout-log`]).toEqual([
+      expect.objectContaining({ name: 'Host', list: 'main' }),
+      expect.objectContaining({ name: 'Host +1', list: 'main', guestOf: 'Host' }),
+    ]);
+  });
+
+  it('lets a host remove just one guest', async () => {
+    const orgId = setupTestOrg('test-org');
+    allowGuests(orgId, 1, 2);
+    hostWithGuests(orgId);
+
+    const { req, res } = createMockReqRes('DELETE', 'test-org', { personId: 2, deviceId: 'device1', isWaitlist: false });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(kvStore[`org:${orgId}:rsvp-data`].mainList.map(p => p.name)).toEqual(['Host', 'Waiting']);
+  });
+
+  it('lets a device sign up again after dropping out while its guests stay', async () => {
+    const orgId = setupTestOrg('test-org');
+    allowGuests(orgId, 1, 5);
+    hostWithGuests(orgId);
+    kvStore[`org:${orgId}:rsvp-data`].mainList.shift();
+
+    const { req, res } = createMockReqRes('POST', 'test-org', { name: 'Host Again', deviceId: 'device1' });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it('reports the guest limit on GET', async () => {
+    const orgId = setupTestOrg('test-org');
+    allowGuests(orgId, 2);
+
+    const { req, res } = createMockReqRes('GET', 'test-org');
+    await handler(req, res);
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ maxGuestsPerSignup: 2 }));
+  });
+});
+
+describe('Org RSVP API - strikes', () => {
+  const HOUR_MS = 60 * 60 * 1000;
+
+  function enablePenalties(orgId, rules = {}) {
+    kvStore[`org:${orgId}:settings`] = {
+      ...kvStore[`org:${orgId}:settings`],
+      penalties: { ...getDefaultSettings().penalties, enabled: true, ...rules },
+    };
+  }
+
+  // An RSVP window (in Lagos time) that opened `openedHoursAgo` and closes in `closesInHours`
+  function openWindow(orgId, openedHoursAgo, closesInHours) {
+    const lagos = ms => new Date(new Date(Date.now() + ms).toLocaleString('en-US', { timeZone: 'Africa/Lagos' }));
+    const start = lagos(-openedHoursAgo * HOUR_MS);
+    const end = lagos(closesInHours * HOUR_MS);
+    const settings = {
+      ...getDefaultSettings('Africa/Lagos'),
+      penalties: kvStore[`org:${orgId}:settings`].penalties,
+      accessPeriod: {
+        enabled: true,
+        startDay: start.getDay(), startHour: start.getHours(), startMinute: start.getMinutes(),
+        endDay: end.getDay(), endHour: end.getHours(), endMinute: end.getMinutes(),
+        timezone: 'Africa/Lagos',
+      },
+    };
+    kvStore[`org:${orgId}:settings`] = settings;
+    kvStore[`org:${orgId}:last-reset`] = getCurrentPeriodId(settings, 'Africa/Lagos');
+  }
+
+  function seedStrikes(orgId, name, count) {
+    kvStore[`org:${orgId}:strikes`] = Array.from({ length: count }, (_, i) => ({
+      id: count - i,
+      name,
+      reason: 'no-show',
+      periodId: 'earlier',
+      createdAt: new Date().toISOString(),
+    }));
+  }
+
+  it('gives a strike for dropping off the main list close to the window closing', async () => {
+    const orgId = setupTestOrg('test-org');
+    enablePenalties(orgId);
+    openWindow(orgId, 2, 2);
+    kvStore[`org:${orgId}:rsvp-data`] = {
+      mainList: [{ id: 1, name: 'Ada Obi', deviceId: 'device1', timestamp: new Date().toISOString() }],
+      waitlist: [],
+    };
+
+    const { req, res } = createMockReqRes('DELETE', 'test-org', { personId: 1, deviceId: 'device1' });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(kvStore[`org:${orgId}:strikes`]).toEqual([
+      expect.objectContaining({ id: 1, name: 'Ada Obi', reason: 'late-dropout' }),
+    ]);
+  });
+
+  it('does not give a strike for an early dropout', async () => {
+    const orgId = setupTestOrg('test-org');
+    enablePenalties(orgId, { lateDropoutHours: 1 });
+    openWindow(orgId, 2, 5);
+    kvStore[`org:${orgId}:rsvp-data`] = {
+      mainList: [{ id: 1, name: 'Ada Obi', deviceId: 'device1', timestamp: new Date().toISOString() }],
+      waitlist: [],
+    };
+
+    const { req, res } = createMockReqRes('DELETE', 'test-org', { personId: 1, deviceId: 'device1' });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(kvStore[`org:${orgId}:strikes`]).toBeUndefined();
+  });
+
+  it('places a penalized member after later signups', async () => {
+    const orgId = setupTestOrg('test-org');
+    enablePenalties(orgId);
+    kvStore[`org:${orgId}:settings`].mainListLimit = 1;
+    seedStrikes(orgId, 'Ada Obi', 2);
+    kvStore[`org:${orgId}:whitelist`] = [{ name: 'Ada Obi' }];
+    kvStore[`org:${orgId}:rsvp-data`] = {
+      mainList: [{ id: 1, name: 'Ada Obi', deviceId: 'device1', timestamp: new Date().toISOString(), isWhitelisted: true }],
+      waitlist: [],
+    };
+
+    const { req, res } = createMockReqRes('POST', 'test-org', { name: 'Bayo Ade', deviceId: 'device2' });
+    await handler(req, res);
+
+    const data = res.json.mock.calls[0][0];
+    expect(data.mainList.map(p => p.name)).toEqual(['Bayo Ade']);
+    expect(data.waitlist.map(p => p.name)).toEqual(['Ada Obi']);
+  });
+
+  it('makes a player with a delay-signup penalty wait', async () => {
+    const orgId = setupTestOrg('test-org');
+    enablePenalties(orgId, { penalty: 'delay-signup', delayHours: 12 });
+    openWindow(orgId, 2, 20);
+    seedStrikes(orgId, 'Ada Obi', 2);
+
+    const { req, res } = createMockReqRes('POST', 'test-org', { name: 'Ada Obi', deviceId: 'device1' });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    const data = res.json.mock.calls[0][0];
+    expect(data.error).toContain('You have 2 strikes');
+    expect(new Date(data.signupOpensAt).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('ignores pardoned strikes', async () => {
+    const orgId = setupTestOrg('test-org');
+    enablePenalties(orgId, { penalty: 'delay-signup', delayHours: 12 });
+    openWindow(orgId, 2, 20);
+    seedStrikes(orgId, 'Ada Obi', 2);
+    kvStore[`org:${orgId}:strikes`][0].pardonedAt = new Date().toISOString();
+
+    const { req, res } = createMockReqRes('POST', 'test-org', { name: 'Ada Obi', deviceId: 'device1' });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it('tells a penalized player why on GET', async () => {
+    const orgId = setupTestOrg('test-org');
+    enablePenalties(orgId);
+    seedStrikes(orgId, 'Ada Obi', 2);
+    kvStore[`org:${orgId}:rsvp-data`] = {
+      mainList: [{ id: 1, name: 'Ada Obi', deviceId: 'device1', timestamp: new Date().toISOString() }],
+      waitlist: [],
+    };
+
+    const { req, res } = createMockReqRes('GET', 'test-org');
+    req.query.deviceId = 'device1';
+    await handler(req, res);
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      penaltyNotice: expect.stringContaining('placed after everyone else'),
+    }));
+  });
+});
+
+describe('Org RSVP API - lottery', () => {
+  const HOUR_MS = 60 * 60 * 1000;
+
+  // Lottery settings with a Lagos-time RSVP window between the given offsets from now
+  function useLottery(orgId, openedHoursAgo, closesInHours) {
+    const lagos = ms => new Date(new Date(Date.now() + ms).toLocaleString('en-US', { timeZone: 'Africa/Lagos' }));
+    const start = lagos(-openedHoursAgo * HOUR_MS);
+    const end = lagos(closesInHours * HOUR_MS);
+    const settings = {
+      ...getDefaultSettings('Africa/Lagos'),
+      mainListLimit: 2,
+      allocationMode: 'lottery',
+    };
+    settings.accessPeriod = {
+      ...settings.accessPeriod,
+      startDay: start.getDay(), startHour: start.getHours(), startMinute: start.getMinutes(),
+      endDay: end.getDay(), endHour: end.getHours(), endMinute: end.getMinutes(),
+    };
+    kvStore[`org:${orgId}:settings`] = settings;
+    kvStore[`org:${orgId}:last-reset`] = getCurrentPeriodId(settings, 'Africa/Lagos');
+  }
+
+  it('enters signups into the draw while the window is open', async () => {
+    const orgId = setupTestOrg('test-org');
+    useLottery(orgId, 2, 2);
+
+    const { req, res } = createMockReqRes('POST', 'test-org', { name: 'Ada Obi', deviceId: 'device1' });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const data = res.json.mock.calls[0][0];
+    expect(data.listType).toBe('draw');
+    expect(data.mainList).toEqual([]);
+    expect(data.waitlist.map(p => p.name)).toEqual(['Ada Obi']);
+  });
+
+  it('keeps members\' spots guaranteed before the draw', async () => {
+    const orgId = setupTestOrg('test-org');
+    useLottery(orgId, 2, 2);
+    kvStore[`org:${orgId}:rsvp-data`] = {
+      mainList: [{ id: 1, name: 'Member One', timestamp: new Date().toISOString(), isWhitelisted: true }],
+      waitlist: [],
+    };
+
+    const { req, res } = createMockReqRes('GET', 'test-org');
+    await handler(req, res);
+
+    const data = res.json.mock.calls[0][0];
+    expect(data.mainList.map(p => p.name)).toEqual(['Member One']);
+    expect(data.lottery).toEqual({ awaitingDraw: true, draw: null });
+  });
+
+  it('draws once the window closes and reports the seed', async () => {
+    const orgId = setupTestOrg('test-org');
+    useLottery(orgId, 5, -1);
+    const timestamp = new Date().toISOString();
+    kvStore[`org:${orgId}:rsvp-data`] = {
+      mainList: [],
+      waitlist: [1, 2, 3].map(id => ({ id, name: `Player ${id}`, deviceId: `device${id}`, timestamp })),
+    };
+
+    const { req, res } = createMockReqRes('GET', 'test-org');
+    await handler(req, res);
+
+    const data = res.json.mock.calls[0][0];
+    const draw = kvStore[`org:${orgId}:lottery`];
+    expect(data.mainList.map(p => p.id)).toEqual(draw.order.slice(0, 2));
+    expect(data.waitlist.map(p => p.id)).toEqual(draw.order.slice(2));
+    expect(data.lottery).toEqual({
+      awaitingDraw: false,
+      draw: { drawnAt: draw.drawnAt, seed: draw.seed, entrantCount: 3 },
+    });
+
+    // A second look doesn't redraw
+    const { req: req2, res: res2 } = createMockReqRes('GET', 'test-org');
+    await handler(req2, res2);
+    expect(kvStore[`org:${orgId}:lottery`].seed).toBe(draw.seed);
+  });
+});
+
+describe('Org RSVP API - skip dates', () => {
+  const HOUR_MS = 60 * 60 * 1000;
+
+  // Settings with a Lagos-time RSVP window open now and the game the day after it closes
+  function useOpenWindow(orgId, skipDates = []) {
+    const lagos = ms => new Date(new Date(Date.now() + ms).toLocaleString('en-US', { timeZone: 'Africa/Lagos' }));
+    const start = lagos(-2 * HOUR_MS);
+    const end = lagos(2 * HOUR_MS);
+    const settings = getDefaultSettings('Africa/Lagos');
+    settings.accessPeriod = {
+      ...settings.accessPeriod,
+      startDay: start.getDay(), startHour: start.getHours(), startMinute: start.getMinutes(),
+      endDay: end.getDay(), endHour: end.getHours(), endMinute: end.getMinutes(),
+    };
+    settings.gameInfo = { ...settings.gameInfo, gameDay: (end.getDay() + 1) % 7 };
+    settings.skipDates = typeof skipDates === 'function' ? skipDates(settings) : skipDates;
+    kvStore[`org:${orgId}:settings`] = settings;
+    return settings;
+  }
+
+  const gameDateOf = settings => formatDateId(getPeriodGameDate(settings, 'Africa/Lagos'));
+
+  it('keeps the window shut for a skipped game without rolling the lists', async () => {
+    const orgId = setupTestOrg('test-org');
+    useOpenWindow(orgId, settings => [{ date: gameDateOf(settings), reason: 'Christmas' }]);
+    kvStore[`org:${orgId}:last-reset`] = 'previous-period';
+    const lastWeek = { mainList: [{ id: 1, name: 'Ada Obi', timestamp: new Date().toISOString() }], waitlist: [] };
+    kvStore[`org:${orgId}:rsvp-data`] = lastWeek;
+
+    const { req, res } = createMockReqRes('GET', 'test-org');
+    await handler(req, res);
+
+    const { accessStatus } = res.json.mock.calls[0][0];
+    expect(accessStatus.isOpen).toBe(false);
+    expect(accessStatus.message).toBe('No game this week: Christmas');
+    expect(accessStatus.skipped).toEqual({ date: expect.any(String), reason: 'Christmas', cancelled: false });
+    expect(kvStore[`org:${orgId}:last-reset`]).toBe('previous-period');
+    expect(kvStore[`org:${orgId}:rsvp-data`]).toEqual(lastWeek);
+    expect(kvStore[`org:${orgId}:archive`]).toBeUndefined();
+
+    const { req: req2, res: res2 } = createMockReqRes('POST', 'test-org', { name: 'Chi Eze', deviceId: 'device2' });
+    await handler(req2, res2);
+    expect(res2.status).toHaveBeenCalledWith(403);
+    expect(res2.json).toHaveBeenCalledWith({ error: 'No game this week: Christmas' });
+  });
+
+  it('does not archive a cancelled game when the next period starts', async () => {
+    const orgId = setupTestOrg('test-org');
+    const settings = useOpenWindow(orgId, [
+      { date: '2026-01-03', reason: 'Field flooded', periodId: 'cancelled-period', cancelledAt: '2026-01-02T09:00:00.000Z' },
+    ]);
+    kvStore[`org:${orgId}:last-reset`] = 'cancelled-period';
+    kvStore[`org:${orgId}:rsvp-data`] = {
+      mainList: [
+        { id: 1, name: 'Member One', timestamp: new Date().toISOString(), isWhitelisted: true },
+        { id: 2, name: 'Ada Obi', timestamp: new Date().toISOString() },
+      ],
+      waitlist: [],
+    };
+
+    const { req, res } = createMockReqRes('GET', 'test-org');
+    await handler(req, res);
+
+    expect(res.json.mock.calls[0][0].accessStatus.isOpen).toBe(true);
+    expect(kvStore[`org:${orgId}:last-reset`]).toBe(getCurrentPeriodId(settings, 'Africa/Lagos'));
+    expect(kvStore[`org:${orgId}:archive`]).toBeUndefined();
+    expect(kvStore[`org:${orgId}:rsvp-data`].mainList.map(p => p.name)).toEqual(['Member One']);
+  });
+});
+
+describe('Org RSVP API - period reset', () => {
+  const HOUR_MS = 60 * 60 * 1000;
+
+  // Settings with a Lagos-time RSVP window open now
+  function useOpenWindow(orgId) {
+    const lagos = ms => new Date(new Date(Date.now() + ms).toLocaleString('en-US', { timeZone: 'Africa/Lagos' }));
+    const start = lagos(-2 * HOUR_MS);
+    const end = lagos(2 * HOUR_MS);
+    const settings = getDefaultSettings('Africa/Lagos');
+    settings.accessPeriod = {
+      ...settings.accessPeriod,
+      startDay: start.getDay(), startHour: start.getHours(), startMinute: start.getMinutes(),
+      endDay: end.getDay(), endHour: end.getHours(), endMinute: end.getMinutes(),
+    };
+    kvStore[`org:${orgId}:settings`] = settings;
+    return settings;
+  }
+
+  it("archives the period's snoozes and doesn't carry over expired members", async () => {
+    const orgId = setupTestOrg('test-org');
+    useOpenWindow(orgId);
+    kvStore[`org:${orgId}:last-reset`] = 'previous-period';
+    kvStore[`org:${orgId}:snoozed`] = {
+      weekId: 'previous-period',
+      names: [{ nameLC: 'bayo ade', snapshot: { id: 3, name: 'Bayo Ade', isWhitelisted: true } }],
+    };
+    kvStore[`org:${orgId}:whitelist`] = [
+      { name: 'Member One' },
+      { name: 'Bayo Ade' },
+      { name: 'Lapsed Member', expiresOn: '2020-12-31' },
+    ];
+    kvStore[`org:${orgId}:rsvp-data`] = {
+      mainList: [
+        { id: 1, name: 'Member One', timestamp: new Date().toISOString(), isWhitelisted: true },
+        { id: 2, name: 'Lapsed Member', timestamp: new Date().toISOString(), isWhitelisted: true },
+        { id: 4, name: 'Ada Obi', timestamp: new Date().toISOString() },
+      ],
+      waitlist: [],
+    };
+
+    const { req, res } = createMockReqRes('GET', 'test-org');
+    await handler(req, res);
+
+    expect(kvStore[`org:${orgId}:archive`][0]).toEqual(expect.objectContaining({ weekId: 'previous-period', snoozed: ['Bayo Ade'] }));
+    expect(kvStore[`org:${orgId}:rsvp-data`].mainList.map(p => p.name)).toEqual(['Member One']);
+
+    // They sign up like everyone else
+    const { req: req2, res: res2 } = createMockReqRes('POST', 'test-org', { name: 'Lapsed Member', deviceId: 'device2' });
+    await handler(req2, res2);
+    expect(res2.status).toHaveBeenCalledWith(200);
+    expect(kvStore[`org:${orgId}:rsvp-data`].mainList[1]).not.toHaveProperty('isWhitelisted');
+  });
+
+  it('adds the period to the play history and ranks it on the leaderboard, if shown', async () => {
+    const orgId = setupTestOrg('test-org');
+    const settings = useOpenWindow(orgId);
+    kvStore[`org:${orgId}:last-reset`] = 'previous-period';
+    kvStore[`org:${orgId}:play-history`] = [
+      { periodId: 'older-period', archivedAt: new Date().toISOString(), mainList: ['Ada Obi'], waitlist: [], snoozed: [], checkedIn: null, dropouts: [] },
+    ];
+    kvStore[`org:${orgId}:signup-log`] = {
+      periodId: 'previous-period',
+      closeTime: null,
+      signupTimes: ['2026-03-12T11:00:00.000Z', '2026-03-12T11:30:00.000Z'],
+      filledAt: null,
+      peakWaitlist: 0,
+    };
+    kvStore[`org:${orgId}:rsvp-data`] = {
+      mainList: [
+        { id: 1, name: 'Ada Obi', timestamp: new Date().toISOString() },
+        { id: 2, name: 'Tunde', timestamp: new Date().toISOString(), isGuest: true, hostId: 1, hostName: 'Ada Obi' },
+        { id: 3, name: 'Chi Eze', timestamp: new Date().toISOString() },
+      ],
+      waitlist: [],
+    };
+
+    const { req, res } = createMockReqRes('GET', 'test-org');
+    await handler(req, res);
+
+    expect(kvStore[`org:${orgId}:play-history`].map(e => [e.periodId, e.mainList])).toEqual([
+      ['previous-period', ['Ada Obi', 'Chi Eze']],
+      ['older-period', ['Ada Obi']],
+    ]);
+    expect(kvStore[`org:${orgId}:play-history`][0]).toEqual(expect.objectContaining({
+      guests: 1,
+      mainListLimit: settings.mainListLimit,
+      signupMinutes: [0, 30],
+    }));
+    expect(res.json.mock.calls[0][0].leaderboard).toBeNull();
+
+    kvStore[`org:${orgId}:settings`] = { ...settings, leaderboard: { enabled: true, seasonStart: null } };
+    const { req: req2, res: res2 } = createMockReqRes('GET', 'test-org');
+    await handler(req2, res2);
+
+    expect(res2.json.mock.calls[0][0].leaderboard.players).toEqual([
+      { rank: 1, name: 'Ada Obi', played: 2 },
+      { rank: 2, name: 'Chi Eze', played: 1 },
+    ]);
+  });
+});
+
+describe('Org RSVP API - priority tiers', () => {
+  const HOUR_MS = 60 * 60 * 1000;
+
+  // A Lagos-time RSVP window opening in 2 hours, with 4 hours of early access for the core tier
+  function useEarlyAccess(orgId) {
+    const lagos = ms => new Date(new Date(Date.now() + ms).toLocaleString('en-US', { timeZone: 'Africa/Lagos' }));
+    const start = lagos(2 * HOUR_MS);
+    const end = lagos(24 * HOUR_MS);
+    const settings = getDefaultSettings('Africa/Lagos');
+    settings.tiers = [
+      { id: 'core', name: 'Core', reservedSpots: 0, earlyAccessHours: 4 },
+      { id: 'member', name: 'Member', reservedSpots: 0, earlyAccessHours: 0 },
+      { id: 'public', name: 'Everyone else', reservedSpots: 0, earlyAccessHours: 0 },
+    ];
+    settings.accessPeriod = {
+      ...settings.accessPeriod,
+      startDay: start.getDay(), startHour: start.getHours(), startMinute: start.getMinutes(),
+      endDay: end.getDay(), endHour: end.getHours(), endMinute: end.getMinutes(),
+    };
+    kvStore[`org:${orgId}:settings`] = settings;
+    kvStore[`org:${orgId}:last-reset`] = getCurrentPeriodId(settings, 'Africa/Lagos');
+    kvStore[`org:${orgId}:whitelist`] = [
+      { name: 'Core Player', tier: 'core' },
+      { name: 'Plain Member', tier: 'member' },
+    ];
+  }
+
+  it('lets early-access members sign up before the window opens for everyone', async () => {
+    const orgId = setupTestOrg('test-org');
+    useEarlyAccess(orgId);
+
+    const { req, res } = createMockReqRes('POST', 'test-org', { name: 'Core Player', deviceId: 'device1' });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(kvStore[`org:${orgId}:rsvp-data`].mainList[0]).toEqual(
+      expect.objectContaining({ name: 'Core Player', isWhitelisted: true, tier: 'core' })
+    );
+
+    for (const name of ['Plain Member', 'Visitor']) {
+      const { req: other, res: otherRes } = createMockReqRes('POST', 'test-org', { name, deviceId: name });
+      await handler(other, otherRes);
+      expect(otherRes.status).toHaveBeenCalledWith(403);
+    }
+  });
+
+  it('shows the early access window to members by their saved name', async () => {
+    const orgId = setupTestOrg('test-org');
+    useEarlyAccess(orgId);
+
+    const { req, res } = createMockReqRes('GET', 'test-org');
+    req.query.name = 'core player';
+    await handler(req, res);
+
+    const { accessStatus } = res.json.mock.calls[0][0];
+    expect(accessStatus.isOpen).toBe(true);
+    expect(accessStatus.earlyAccessTier).toBe('Core');
+
+    const { req: req2, res: res2 } = createMockReqRes('GET', 'test-org');
+    await handler(req2, res2);
+    expect(res2.json.mock.calls[0][0].accessStatus).toEqual(expect.objectContaining({ isOpen: false, earlyAccessTier: null }));
+  });
+});
+
+describe('Org RSVP API - concurrency', () => {
+  it('does not lose any of many simultaneous signups', async () => {
+    const orgId = setupTestOrg('test-org');
+    kvStore[`org:${orgId}:settings`] = {
+      mainListLimit: 30,
+      accessPeriod: { enabled: false },
+    };
+
+    const calls = Array.from({ length: 40 }, (_, i) =>
+      createMockReqRes('POST', 'test-org', { name: `Player ${i}`, deviceId: `device-${i}` })
+    );
+    await Promise.all(calls.map(({ req, res }) => handler(req, res)));
+
+    calls.forEach(({ res }) => expect(res.status).toHaveBeenCalledWith(200));
+
+    const { mainList, waitlist } = kvStore[`org:${orgId}:rsvp-data`];
+    expect(mainList).toHaveLength(30);
+    expect(waitlist).toHaveLength(10);
+
+    const names = [...mainList, ...waitlist].map(p => p.name);
+    expect(new Set(names).size).toBe(40);
+
+    const ids = [...mainList, ...waitlist].map(p => p.id);
+    expect(new Set(ids).size).toBe(40);
+
+    // Lock is released once everyone is done
+    expect(kvStore[`org:${orgId}:lock`]).toBeUndefined();
+  });
+
+  it('only lets one of several simultaneous signups from the same device through', async () => {
+    setupTestOrg('test-org');
+
+    const calls = Array.from({ length: 5 }, (_, i) =>
+      createMockReqRes('POST', 'test-org', { name: `Twin ${i}`, deviceId: 'same-device' })
+    );
+    await Promise.all(calls.map(({ req, res }) => handler(req, res)));
+
+    const statuses = calls.map(({ res }) => res.status.mock.calls[0][0]);
+    expect(statuses.filter(s => s === 200)).toHaveLength(1);
+    expect(statuses.filter(s => s === 400)).toHaveLength(4);
+  });
+
+  it('does not double-promote when simultaneous dropouts race', async () => {
+    const orgId = setupTestOrg('test-org');
+    kvStore[`org:${orgId}:settings`] = {
+      mainListLimit: 2,
+      accessPeriod: { enabled: false },
+    };
+    kvStore[`org:${orgId}:rsvp-data`] = {
+      mainList: [
+        { id: 1, name: 'One', deviceId: 'd1', timestamp: '2026-01-16T10:00:00Z' },
+        { id: 2, name: 'Two', deviceId: 'd2', timestamp: '2026-01-16T10:01:00Z' },
+      ],
+      waitlist: [
+        { id: 3, name: 'Three', deviceId: 'd3', timestamp: '2026-01-16T10:02:00Z' },
+        { id: 4, name: 'Four', deviceId: 'd4', timestamp: '2026-01-16T10:03:00Z' },
+      ],
+    };
+
+    const calls = [
+      createMockReqRes('DELETE', 'test-org', { personId: 1, deviceId: 'd1', isWaitlist: false }),
+      createMockReqRes('DELETE', 'test-org', { personId: 2, deviceId: 'd2', isWaitlist: false }),
+    ];
+    await Promise.all(calls.map(({ req, res }) => handler(req, res)));
+
+    const { mainList, waitlist } = kvStore[`org:${orgId}:rsvp-data`];
+    expect(mainList.map(p => p.name)).toEqual(['Three', 'Four']);
+    expect(waitlist).toEqual([]);
+    expect(kvStore[`org:${orgId}:dropout-log`]).toHaveLength(2);
+  });
+
+  it('returns 503 when the org lock cannot be acquired', async () => {
+    const orgId = setupTestOrg('test-org');
+    // Simulate a lock held by a request that never finishes
+    kvStore[`org:${orgId}:lock`] = 'someone-else';
+
+    jest.useFakeTimers();
+    try {
+      const { req, res } = createMockReqRes('POST', 'test-org', { name: 'Late', deviceId: 'late-device' });
+      const pending = handler(req, res);
+      await jest.advanceTimersByTimeAsync(10000);
+      await pending;
+
+      expect(res.status).toHaveBeenCalledWith(503);
+      expect(res.json).toHaveBeenCalledWith({
+        error: expect.stringContaining('try again'),
+      });
+      expect(kvStore[`org:${orgId}:rsvp-data`].mainList).toEqual([]);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('returns 503 to a snooze when the org lock cannot be acquired', async () => {
+    const orgId = setupTestOrg('test-org');
+    kvStore[`org:${orgId}:rsvp-data`] = {
+      mainList: [{ id: 123, name: 'John Doe', isWhitelisted: true, deviceId: 'device1', timestamp: new Date().toISOString() }],
+      waitlist: [],
+    };
+    kvStore[`org:${orgId}:lock`] = 'someone-else';
+
+    jest.useFakeTimers();
+    try {
+      const { req, res } = createMockReqRes('PATCH', 'test-org', {
+        action: 'snooze',
+        personId: 123,
+        password: 'frisbee-admin-2024',
+      });
+      const pending = handler(req, res);
+      await jest.advanceTimersByTimeAsync(10000);
+      await pending;
+
+      expect(res.status).toHaveBeenCalledWith(503);
+      expect(res.json).toHaveBeenCalledWith({
+        error: expect.stringContaining('try again'),
+      });
+      expect(kvStore[`org:${orgId}:rsvp-data`].mainList).toHaveLength(1);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
+
 describe('Org RSVP API - Method not allowed', () => {
   it('returns 405 for unsupported methods', async () => {
     setupTestOrg('test-org');
@@ -0,0 +1,65 @@
+/**
+ * Unit tests for the org unsubscribe API
+ */
+
+import handler from '../../pages/api/org/[slug]/unsubscribe';
+import { createMemoryDriver, setStorageDriver } from '../../lib/storage';
+
+// Run against the in-memory storage driver; tests seed and inspect kvStore directly
+const kvStore = {};
+setStorageDriver(createMemoryDriver(kvStore));
+
+function createMockReqRes(method, slug, body = {}) {
+  const req = { method, body, query: { slug }, headers: { host: 'localhost:3000' } };
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+  };
+  return { req, res };
+}
+
+function setupTestOrg(slug = 'test-org', orgId = 'test-org-id') {
+  kvStore[`playday:organization:${orgId}`] = { id: orgId, slug, name: 'Test Organization', status: 'active' };
+  kvStore[`playday:organization-slug:${slug}`] = orgId;
+  kvStore[`org:${orgId}:notifications`] = {
+    contacts: { 'ada@example.com': { token: 'ada-token', optedOutAt: null } },
+    devices: { 'device-ada': 'ada@example.com' },
+  };
+  return orgId;
+}
+
+beforeEach(() => {
+  Object.keys(kvStore).forEach(key => delete kvStore[key]);
+  jest.clearAllMocks();
+});
+
+describe('Org Unsubscribe API', () => {
+  it('opts the address out', async () => {
+    const orgId = setupTestOrg();
+
+    const { req, res } = createMockReqRes('POST', 'test-org', { token: 'ada-token' });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ success: true, message: "You won't get any more emails from Test Organization" });
+    expect(kvStore[`org:${orgId}:notifications`].contacts['ada@example.com'].optedOutAt).toEqual(expect.any(String));
+  });
+
+  it('rejects an unknown token', async () => {
+    setupTestOrg();
+
+    const { req, res } = createMockReqRes('POST', 'test-org', { token: 'nope' });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  it('only accepts POST', async () => {
+    setupTestOrg();
+
+    const { req, res } = createMockReqRes('GET', 'test-org');
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(405);
+  });
+});
@@ -3,19 +3,12 @@
  * Tests cover: GET, POST, DELETE, PUT (reset), PATCH (snooze/unsnooze)
  */
 
-// Mock @vercel/kv
-const mockKvStore = {};
-jest.mock('@vercel/kv', () => ({
-  kv: {
-    get: jest.fn((key) => Promise.resolve(mockKvStore[key])),
-    set: jest.fn((key, value) => {
-      mockKvStore[key] = value;
-      return Promise.resolve();
-    }),
-  },
-}));
-
 import handler from '../../pages/api/rsvp';
+import { createMemoryDriver, setStorageDriver } from '../../lib/storage';
+
+// Run against the in-memory storage driver; tests seed and inspect kvStore directly
+const kvStore = {};
+setStorageDriver(createMemoryDriver(kvStore));
 
 // Helper to create mock request/response
 function createMockReqRes(method, body = {}, headers = {}) {
@@ -38,7 +31,7 @@ function createMockReqRes(method, body = {}, headers = {}) {
 
 // Clear store between tests
 beforeEach(() => {
-  Object.keys(mockKvStore).forEach(key => delete mockKvStore[key]);
+  Object.keys(kvStore).forEach(key => delete kvStore[key]);
   jest.clearAllMocks();
 });
 
@@ -59,7 +52,7 @@ describe('RSVP API', () => {
     });
 
     it('returns existing RSVP data', async () => {
-      mockKvStore['frisbee-rsvp-data'] = {
+      kvStore['frisbee-rsvp-data'] = {
         mainList: [{ id: 1, name: 'John Doe', deviceId: 'device1' }],
         waitlist: [],
       };
@@ -94,7 +87,7 @@ describe('RSVP API', () => {
   describe('POST /api/rsvp', () => {
     beforeEach(() => {
       // Disable access period for testing
-      mockKvStore['frisbee-settings'] = {
+      kvStore['frisbee-settings'] = {
         mainListLimit: 30,
         accessPeriod: { enabled: false },
       };
@@ -139,7 +132,7 @@ describe('RSVP API', () => {
     });
 
     it('prevents duplicate device signups', async () => {
-      mockKvStore['frisbee-rsvp-data'] = {
+      kvStore['frisbee-rsvp-data'] = {
         mainList: [{ id: 1, name: 'John Doe', deviceId: 'device1' }],
         waitlist: [],
       };
@@ -158,7 +151,7 @@ describe('RSVP API', () => {
     });
 
     it('prevents duplicate names', async () => {
-      mockKvStore['frisbee-rsvp-data'] = {
+      kvStore['frisbee-rsvp-data'] = {
         mainList: [{ id: 1, name: 'John Doe', deviceId: 'device1' }],
         waitlist: [],
       };
@@ -177,11 +170,11 @@ describe('RSVP API', () => {
     });
 
     it('adds to waitlist when main list is full', async () => {
-      mockKvStore['frisbee-settings'] = {
+      kvStore['frisbee-settings'] = {
         mainListLimit: 1,
         accessPeriod: { enabled: false },
       };
-      mockKvStore['frisbee-rsvp-data'] = {
+      kvStore['frisbee-rsvp-data'] = {
         mainList: [{ id: 1, name: 'First Person', deviceId: 'device1' }],
         waitlist: [],
       };
@@ -203,18 +196,18 @@ describe('RSVP API', () => {
     });
 
     it('AIS member bumps non-AIS when signing up to full list', async () => {
-      mockKvStore['frisbee-settings'] = {
+      kvStore['frisbee-settings'] = {
         mainListLimit: 2,
         accessPeriod: { enabled: false },
       };
-      mockKvStore['frisbee-rsvp-data'] = {
+      kvStore['frisbee-rsvp-data'] = {
         mainList: [
           { id: 1, name: 'AIS Member', deviceId: 'device1', isWhitelisted: true, timestamp: '2026-01-16T10:00:00Z' },
           { id: 2, name: 'Regular User', deviceId: 'device2', timestamp: '2026-01-16T10:30:00Z' },
         ],
         waitlist: [],
       };
-      mockKvStore['frisbee-whitelist'] = [
+      kvStore['frisbee-whitelist'] = [
         { name: 'AIS Member', deviceId: 'device1' },
         { name: 'New AIS Member', deviceId: 'device3' },
       ];
@@ -240,11 +233,11 @@ describe('RSVP API', () => {
     });
 
     it('lists are sorted by priority: AIS first, then by timestamp', async () => {
-      mockKvStore['frisbee-settings'] = {
+      kvStore['frisbee-settings'] = {
         mainListLimit: 3,
         accessPeriod: { enabled: false },
       };
-      mockKvStore['frisbee-rsvp-data'] = {
+      kvStore['frisbee-rsvp-data'] = {
         mainList: [
           { id: 1, name: 'AIS Member', deviceId: 'device1', isWhitelisted: true, timestamp: '2026-01-16T10:00:00Z' },
           { id: 2, name: 'Regular User Early', deviceId: 'device2', timestamp: '2026-01-16T10:30:00Z' },
@@ -252,7 +245,7 @@ describe('RSVP API', () => {
         ],
         waitlist: [],
       };
-      mockKvStore['frisbee-whitelist'] = [
+      kvStore['frisbee-whitelist'] = [
         { name: 'AIS Member', deviceId: 'device1' },
         { name: 'New AIS Member', deviceId: 'device3' },
       ];
@@ -281,18 +274,18 @@ describe('RSVP API', () => {
     });
 
     it('adds whitelisted user to waitlist when all main list spots are whitelisted', async () => {
-      mockKvStore['frisbee-settings'] = {
+      kvStore['frisbee-settings'] = {
         mainListLimit: 2,
         accessPeriod: { enabled: false },
       };
-      mockKvStore['frisbee-rsvp-data'] = {
+      kvStore['frisbee-rsvp-data'] = {
         mainList: [
           { id: 1, name: 'AIS Member 1', deviceId: 'device1', isWhitelisted: true },
           { id: 2, name: 'AIS Member 2', deviceId: 'device2', isWhitelisted: true },
         ],
         waitlist: [],
       };
-      mockKvStore['frisbee-whitelist'] = [
+      kvStore['frisbee-whitelist'] = [
         { name: 'AIS Member 1', deviceId: 'device1' },
         { name: 'AIS Member 2', deviceId: 'device2' },
         { name: 'AIS Member 3', deviceId: 'device3' },
@@ -317,7 +310,7 @@ describe('RSVP API', () => {
 
   describe('DELETE /api/rsvp', () => {
     beforeEach(() => {
-      mockKvStore['frisbee-settings'] = {
+      kvStore['frisbee-settings'] = {
         mainListLimit: 30,
         accessPeriod: { enabled: false },
       };
@@ -335,7 +328,7 @@ describe('RSVP API', () => {
     });
 
     it('removes person from main list', async () => {
-      mockKvStore['frisbee-rsvp-data'] = {
+      kvStore['frisbee-rsvp-data'] = {
         mainList: [{ id: 123, name: 'John Doe', deviceId: 'device1' }],
         waitlist: [],
       };
@@ -358,7 +351,7 @@ describe('RSVP API', () => {
     });
 
     it('promotes from waitlist when main list spot opens', async () => {
-      mockKvStore['frisbee-rsvp-data'] = {
+      kvStore['frisbee-rsvp-data'] = {
         mainList: [{ id: 1, name: 'Person One', deviceId: 'device1' }],
         waitlist: [{ id: 2, name: 'Person Two', deviceId: 'device2' }],
       };
@@ -385,7 +378,7 @@ describe('RSVP API', () => {
     });
 
     it('prevents removing someone else signup', async () => {
-      mockKvStore['frisbee-rsvp-data'] = {
+      kvStore['frisbee-rsvp-data'] = {
         mainList: [{ id: 123, name: 'John Doe', deviceId: 'device1' }],
         waitlist: [],
       };
@@ -407,7 +400,7 @@ describe('RSVP API', () => {
 
   describe('PUT /api/rsvp (reset)', () => {
     it('clears all RSVPs on reset action', async () => {
-      mockKvStore['frisbee-rsvp-data'] = {
+      kvStore['frisbee-rsvp-data'] = {
         mainList: [{ id: 1, name: 'John' }],
         waitlist: [{ id: 2, name: 'Jane' }],
       };
@@ -439,7 +432,7 @@ describe('RSVP API', () => {
     const TEST_PASSWORD = 'frisbee-admin-2024';
 
     beforeEach(() => {
-      mockKvStore['frisbee-settings'] = {
+      kvStore['frisbee-settings'] = {
         mainListLimit: 30,
         accessPeriod: { enabled: false, timezone: 'Africa/Lagos' },
       };
@@ -471,7 +464,7 @@ describe('RSVP API', () => {
     });
 
     it('snoozes a whitelisted person', async () => {
-      mockKvStore['frisbee-rsvp-data'] = {
+      kvStore['frisbee-rsvp-data'] = {
         mainList: [{
           id: 123,
           name: 'John Doe',
@@ -499,7 +492,7 @@ describe('RSVP API', () => {
     });
 
     it('prevents snoozing non-whitelisted person', async () => {
-      mockKvStore['frisbee-rsvp-data'] = {
+      kvStore['frisbee-rsvp-data'] = {
         mainList: [{
           id: 123,
           name: 'John Doe',
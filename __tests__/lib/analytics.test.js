@@ -0,0 +1,128 @@
+/**
+ * Unit tests for organizer analytics (lib/analytics.js)
+ */
+
+import { recordSignup, summarizeSignups, buildAnalytics } from '../../lib/analytics';
+import { getNameAliases } from '../../lib/player-stats';
+import { getDefaultSettings } from '../../lib/settings';
+
+// Thursday noon to Friday 10am, Lagos time
+const settings = { ...getDefaultSettings('Africa/Lagos'), mainListLimit: 2 };
+const closeTime = '2026-03-13T09:00:00.000Z';
+
+describe('recordSignup', () => {
+  it('logs signups, when the list filled and the longest waitlist', () => {
+    const signup = (log, at, mainListCount, waitlistCount) => recordSignup(log, {
+      periodId: '2026-W11', closeTime, at, mainListCount, mainListLimit: 2, waitlistCount,
+    });
+
+    let log = signup(null, '2026-03-12T11:05:00.000Z', 1, 0);
+    log = signup(log, '2026-03-12T11:20:00.000Z', 2, 0);
+    log = signup(log, '2026-03-12T13:00:00.000Z', 2, 2);
+    log = signup(log, '2026-03-12T15:00:00.000Z', 2, 1);
+
+    expect(log).toEqual({
+      periodId: '2026-W11',
+      closeTime,
+      signupTimes: ['2026-03-12T11:05:00.000Z', '2026-03-12T11:20:00.000Z', '2026-03-12T13:00:00.000Z', '2026-03-12T15:00:00.000Z'],
+      filledAt: '2026-03-12T11:20:00.000Z',
+      peakWaitlist: 2,
+    });
+  });
+
+  it('starts over in a new period', () => {
+    const log = { periodId: '2026-W10', closeTime: null, signupTimes: ['2026-03-05T11:00:00.000Z'], filledAt: null, peakWaitlist: 4 };
+    expect(recordSignup(log, {
+      periodId: '2026-W11', closeTime, at: '2026-03-12T11:05:00.000Z', mainListCount: 1, mainListLimit: 2, waitlistCount: 0,
+    })).toMatchObject({ periodId: '2026-W11', signupTimes: ['2026-03-12T11:05:00.000Z'], peakWaitlist: 0 });
+  });
+});
+
+describe('summarizeSignups', () => {
+  it('times signups from when the public window opened', () => {
+    const log = {
+      periodId: '2026-W11',
+      closeTime,
+      signupTimes: ['2026-03-12T10:30:00.000Z', '2026-03-12T11:20:00.000Z'],
+      filledAt: '2026-03-12T11:20:00.000Z',
+      peakWaitlist: 3,
+    };
+
+    expect(summarizeSignups(log, '2026-W11', settings)).toEqual({
+      mainListLimit: 2,
+      openedAt: '2026-03-12T11:00:00.000Z',
+      filledAt: '2026-03-12T11:20:00.000Z',
+      signupMinutes: [-30, 20],
+      peakWaitlist: 3,
+    });
+    expect(summarizeSignups(log, '2026-W12', settings)).toEqual({ mainListLimit: 2 });
+  });
+});
+
+describe('buildAnalytics', () => {
+  const entry = (periodId, archivedAt, mainList, extra = {}) => ({
+    periodId, archivedAt, mainList, guests: 0, waitlist: [], snoozed: [], checkedIn: null, dropouts: [], ...extra,
+  });
+  // Newest first, as stored
+  const history = [
+    entry('2026-W12', '2026-03-16T00:05:00Z', ['Ada Obi-Eze'], {
+      mainListLimit: 2,
+      openedAt: '2026-03-19T11:00:00.000Z',
+      filledAt: null,
+      signupMinutes: [5, 90, 300],
+      peakWaitlist: 0,
+      dropouts: ['Chi Eze', 'Dayo Bello'],
+      snoozed: ['Bayo Ade'],
+    }),
+    entry('2026-W11', '2026-03-09T00:05:00Z', ['Chi Eze', 'Eko Ita'], {
+      guests: 1,
+      mainListLimit: 2,
+      openedAt: '2026-03-12T11:00:00.000Z',
+      filledAt: '2026-03-12T11:45:00.000Z',
+      signupMinutes: [2, 10, 45, 50],
+      peakWaitlist: 2,
+    }),
+    entry('2026-W10', '2026-03-02T00:05:00Z', ['Ada Obi', 'Bayo Ade'], { waitlist: ['Chi Eze'], dropouts: ['Femi Ojo'] }),
+  ];
+  const aliases = getNameAliases([{ name: 'Ada Obi-Eze', previousNames: ['Ada Obi'] }]);
+
+  it('works out each period, oldest first', () => {
+    const { periods } = buildAnalytics(history, { aliases });
+
+    expect(periods).toEqual([
+      {
+        periodId: '2026-W10', archivedAt: '2026-03-02T00:05:00Z', mainListLimit: null, played: 2, filled: null,
+        signups: 4, minutesToFill: null, waitlist: 1, dropouts: 1, dropoutRate: 0.25,
+        newPlayers: 2, returningPlayers: 0, snoozed: 0,
+      },
+      {
+        periodId: '2026-W11', archivedAt: '2026-03-09T00:05:00Z', mainListLimit: 2, played: 3, filled: true,
+        signups: 4, minutesToFill: 45, waitlist: 2, dropouts: 0, dropoutRate: 0,
+        newPlayers: 1, returningPlayers: 1, snoozed: 0,
+      },
+      {
+        periodId: '2026-W12', archivedAt: '2026-03-16T00:05:00Z', mainListLimit: 2, played: 1, filled: false,
+        signups: 3, minutesToFill: null, waitlist: 0, dropouts: 2, dropoutRate: 2 / 3,
+        newPlayers: 0, returningPlayers: 1, snoozed: 1,
+      },
+    ]);
+  });
+
+  it('summarizes the periods in the range', () => {
+    const { periods, summary } = buildAnalytics(history, { aliases, from: '2026-03-09', timezone: 'Africa/Lagos' });
+
+    expect(periods.map(p => p.periodId)).toEqual(['2026-W11', '2026-W12']);
+    expect(periods[0].newPlayers).toBe(1);
+    expect(summary).toEqual({
+      periodCount: 2,
+      filledCount: 1,
+      averageMinutesToFill: 45,
+      averageSignups: 3.5,
+      averageWaitlist: 1,
+      dropoutRate: 2 / 7,
+      newPlayers: 1,
+      averageSnoozed: 0.5,
+      weakPeriods: ['2026-W12'],
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Unit tests for attendance and no-show tracking (lib/attendance.js)
+ */
+
+import {
+  MAX_ATTENDANCE_PERIODS,
+  getAttendanceEntry,
+  setCheckIn,
+  getNoShows,
+  buildNoShowReport,
+} from '../../lib/attendance';
+
+const ada = { id: 1, name: 'Ada' };
+const bayo = { id: 2, name: 'Bayo' };
+const chi = { id: 3, name: 'Chi' };
+
+describe('setCheckIn', () => {
+  it('creates the period entry on first check-in, newest first', () => {
+    const earlier = [{ periodId: '2026-W09', checkedIn: [] }];
+
+    const attendance = setCheckIn(earlier, '2026-W10', ada, true, '2026-03-05T17:00:00.000Z');
+
+    expect(attendance).toEqual([
+      { periodId: '2026-W10', checkedIn: [{ id: 1, name: 'Ada', checkedInAt: '2026-03-05T17:00:00.000Z' }] },
+      { periodId: '2026-W09', checkedIn: [] },
+    ]);
+  });
+
+  it('keeps the original check-in time when tapped twice', () => {
+    let attendance = setCheckIn([], '2026-W10', ada, true, '2026-03-05T17:00:00.000Z');
+    attendance = setCheckIn(attendance, '2026-W10', ada, true, '2026-03-05T17:30:00.000Z');
+
+    expect(getAttendanceEntry(attendance, '2026-W10').checkedIn).toEqual([
+      { id: 1, name: 'Ada', checkedInAt: '2026-03-05T17:00:00.000Z' },
+    ]);
+  });
+
+  it('undoes a check-in', () => {
+    let attendance = setCheckIn([], '2026-W10', ada, true);
+    attendance = setCheckIn(attendance, '2026-W10', bayo, true);
+    attendance = setCheckIn(attendance, '2026-W10', ada, false);
+
+    expect(getAttendanceEntry(attendance, '2026-W10').checkedIn.map(p => p.id)).toEqual([2]);
+  });
+
+  it('keeps only the most recent periods', () => {
+    let attendance = [];
+    for (let week = 1; week <= MAX_ATTENDANCE_PERIODS + 2; week++) {
+      attendance = setCheckIn(attendance, `2026-W${week}`, ada, true);
+    }
+
+    expect(attendance).toHaveLength(MAX_ATTENDANCE_PERIODS);
+    expect(attendance[0].periodId).toBe(`2026-W${MAX_ATTENDANCE_PERIODS + 2}`);
+  });
+});
+
+describe('getNoShows', () => {
+  it('lists main-list players who did not check in', () => {
+    const entry = { periodId: '2026-W10', checkedIn: [{ id: 2, name: 'Bayo' }] };
+    expect(getNoShows([ada, bayo, chi], entry)).toEqual([ada, chi]);
+  });
+
+  it('reports nobody when check-in was not used', () => {
+    expect(getNoShows([ada, bayo], null)).toEqual([]);
+  });
+});
+
+describe('buildNoShowReport', () => {
+  it('summarizes tracked weeks and totals repeat no-shows by name', () => {
+    const archive = [
+      { weekId: '2026-W11', mainList: [{ id: 11, name: 'Ada' }, { id: 12, name: 'Bayo' }] },
+      { weekId: '2026-W10', mainList: [ada, bayo, chi] },
+      { weekId: '2026-W09', mainList: [ada] },
+    ];
+    const attendance = [
+      { periodId: '2026-W11', checkedIn: [{ id: 12, name: 'Bayo' }] },
+      { periodId: '2026-W10', checkedIn: [{ id: 2, name: 'Bayo' }] },
+    ];
+
+    expect(buildNoShowReport(archive, attendance)).toEqual({
+      periods: [
+        { periodId: '2026-W11', rsvpCount: 2, attendedCount: 1, noShows: [{ id: 11, name: 'Ada' }] },
+        { periodId: '2026-W10', rsvpCount: 3, attendedCount: 1, noShows: [ada, chi] },
+      ],
+      totals: [
+        { name: 'Ada', count: 2 },
+        { name: 'Chi', count: 1 },
+      ],
+    });
+  });
+});
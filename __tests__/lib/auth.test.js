@@ -0,0 +1,146 @@
+/**
+ * Unit tests for organizer magic link auth (lib/auth.js)
+ */
+
+import {
+  createMagicToken,
+  verifyMagicToken,
+  createSession,
+  verifySession,
+  deleteSession,
+  getOrganizerFromRequest,
+  migrateLegacyAuthRecords,
+  getLinkSecret,
+} from '../../lib/auth';
+import { createMemoryDriver, setStorageDriver } from '../../lib/storage';
+
+// Run against the in-memory storage driver; tests seed and inspect kvStore directly
+const kvStore = {};
+const expiries = {};
+setStorageDriver(createMemoryDriver(kvStore, expiries));
+
+beforeEach(() => {
+  Object.keys(kvStore).forEach(key => delete kvStore[key]);
+  Object.keys(expiries).forEach(key => delete expiries[key]);
+  jest.useRealTimers();
+});
+
+describe('Magic tokens', () => {
+  it('stores each token as its own record with a TTL', async () => {
+    const token = await createMagicToken('Player@Example.com');
+
+    expect(kvStore[`playday:magic-token:${token}`].email).toBe('player@example.com');
+    expect(expiries[`playday:magic-token:${token}`]).toBeGreaterThan(Date.now());
+  });
+
+  it('can only be used once', async () => {
+    const token = await createMagicToken('player@example.com');
+
+    expect(await verifyMagicToken(token)).toBe('player@example.com');
+    expect(await verifyMagicToken(token)).toBeNull();
+  });
+
+  it('lets only one of two simultaneous verifications succeed', async () => {
+    const token = await createMagicToken('player@example.com');
+
+    const results = await Promise.all([verifyMagicToken(token), verifyMagicToken(token)]);
+
+    expect(results.filter(Boolean)).toEqual(['player@example.com']);
+  });
+
+  it('expires after 15 minutes', async () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T10:00:00Z') });
+    const token = await createMagicToken('player@example.com');
+
+    jest.setSystemTime(new Date('2026-01-01T10:16:00Z'));
+
+    expect(await verifyMagicToken(token)).toBeNull();
+  });
+});
+
+describe('Sessions', () => {
+  it('resolves a session to its organizer', async () => {
+    kvStore['playday:organizer:organizer-1'] = { id: 'organizer-1', email: 'owner@example.com' };
+    const sessionToken = await createSession('organizer-1');
+
+    expect(await verifySession(sessionToken)).toBe('organizer-1');
+
+    const organizer = await getOrganizerFromRequest({ cookies: { session: sessionToken }, headers: {} });
+    expect(organizer.id).toBe('organizer-1');
+  });
+
+  it('accepts a Bearer token', async () => {
+    kvStore['playday:organizer:organizer-1'] = { id: 'organizer-1', email: 'owner@example.com' };
+    const sessionToken = await createSession('organizer-1');
+
+    const organizer = await getOrganizerFromRequest({ headers: { authorization: `Bearer ${sessionToken}` } });
+    expect(organizer.id).toBe('organizer-1');
+  });
+
+  it('expires after 30 days', async () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T10:00:00Z') });
+    const sessionToken = await createSession('organizer-1');
+
+    jest.setSystemTime(new Date('2026-02-01T10:00:00Z'));
+
+    expect(await verifySession(sessionToken)).toBeNull();
+    expect(kvStore[`playday:session:${sessionToken}`]).toBeUndefined();
+  });
+
+  it('is removed on logout', async () => {
+    const sessionToken = await createSession('organizer-1');
+
+    await deleteSession(sessionToken);
+
+    expect(await verifySession(sessionToken)).toBeNull();
+  });
+});
+
+describe('getLinkSecret', () => {
+  it('makes the secret once and keeps it', async () => {
+    const secret = await getLinkSecret();
+
+    expect(secret).toEqual(expect.any(String));
+    expect(kvStore['playday:link-secret']).toBe(secret);
+    expect(await getLinkSecret()).toBe(secret);
+  });
+});
+
+describe('migrateLegacyAuthRecords', () => {
+  it('copies live legacy sessions and tokens and drops expired ones', async () => {
+    const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const past = new Date(Date.now() - 60 * 1000).toISOString();
+    kvStore['playday:sessions'] = {
+      live: { organizerId: 'organizer-1', expiresAt: future },
+      stale: { organizerId: 'organizer-2', expiresAt: past },
+    };
+    kvStore['playday:magic-tokens'] = {
+      pending: { email: 'player@example.com', expiresAt: future },
+    };
+
+    const result = await migrateLegacyAuthRecords();
+
+    expect(result).toEqual({ sessions: 1, magicTokens: 1 });
+    expect(await verifySession('live')).toBe('organizer-1');
+    expect(await verifySession('stale')).toBeNull();
+    expect(expiries['playday:session:live']).toBe(new Date(future).getTime());
+    expect(await verifyMagicToken('pending')).toBe('player@example.com');
+  });
+
+  it('runs on its own the first time a session is missing', async () => {
+    const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    kvStore['playday:sessions'] = { live: { organizerId: 'organizer-1', expiresAt: future } };
+
+    expect(await verifySession('live')).toBe('organizer-1');
+    expect(kvStore['playday:legacy-auth-migrated']).toBe(true);
+  });
+
+  it('does not bring back a session deleted after it has run', async () => {
+    const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    kvStore['playday:sessions'] = { live: { organizerId: 'organizer-1', expiresAt: future } };
+    await migrateLegacyAuthRecords();
+    await deleteSession('live');
+
+    expect(await verifySession('live')).toBeNull();
+  });
+});
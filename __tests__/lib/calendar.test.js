@@ -0,0 +1,196 @@
+/**
+ * Unit tests for iCalendar feeds (lib/calendar.js)
+ */
+
+import {
+  getCalendarToken,
+  escapeText,
+  foldLine,
+  buildTimezone,
+  buildRecurrenceRule,
+  buildGameSeries,
+  buildOneOffEvent,
+  buildCalendar,
+} from '../../lib/calendar';
+import { getDefaultSettings } from '../../lib/settings';
+import { normalizeEvent } from '../../lib/events';
+
+const org = { id: 'org-1', slug: 'lagos-ultimate', name: 'Lagos Ultimate' };
+const now = new Date('2026-03-10T12:00:00Z');
+
+// Settings for a Saturday 9-11 AM game with RSVPs from Thursday noon to Friday 10 AM
+function makeSettings(gameInfo = {}, overrides = {}) {
+  const settings = getDefaultSettings('Africa/Lagos');
+  return {
+    ...settings,
+    accessPeriod: { ...settings.accessPeriod, enabled: true, startDay: 4, startHour: 12, startMinute: 0, endDay: 5, endHour: 10, endMinute: 0 },
+    gameInfo: {
+      ...settings.gameInfo,
+      enabled: true,
+      recurrence: 'weekly',
+      gameDay: 6,
+      startHour: 9,
+      startMinute: 0,
+      endHour: 11,
+      endMinute: 0,
+      location: { enabled: true, name: 'Muri Okunola Park', area: 'Victoria Island, Lagos', address: '', googleMapsUrl: '' },
+      ...gameInfo,
+    },
+    ...overrides,
+  };
+}
+
+// The value of the first line with a property name
+function prop(lines, name) {
+  const line = lines.find(l => l.startsWith(`${name}:`) || l.startsWith(`${name};`));
+  return line && line.slice(line.indexOf(':') + 1);
+}
+
+describe('getCalendarToken', () => {
+  it('is stable per device and does not reveal the device ID', () => {
+    const token = getCalendarToken('device-abc', 'secret');
+    expect(token).toMatch(/^[0-9a-f]{32}$/);
+    expect(getCalendarToken('device-abc', 'secret')).toBe(token);
+    expect(getCalendarToken('device-xyz', 'secret')).not.toBe(token);
+    expect(token).not.toContain('device-abc');
+  });
+
+  it('cannot be worked out without the secret', () => {
+    expect(getCalendarToken('device-abc', 'other-secret')).not.toBe(getCalendarToken('device-abc', 'secret'));
+  });
+});
+
+describe('escapeText and foldLine', () => {
+  it('escapes special characters', () => {
+    expect(escapeText('Bring water; cones, bibs\nand a ball\\')).toBe('Bring water\\; cones\\, bibs\\nand a ball\\\\');
+  });
+
+  it('folds long lines at 75 octets', () => {
+    const folded = foldLine(`DESCRIPTION:${'x'.repeat(200)}`);
+    const lines = folded.split('\r\n');
+    expect(lines.length).toBe(3);
+    lines.forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+    expect(lines.slice(1).every(line => line.startsWith(' '))).toBe(true);
+    expect(folded.replace(/\r\n /g, '')).toBe(`DESCRIPTION:${'x'.repeat(200)}`);
+  });
+
+  it('does not split multi-byte characters', () => {
+    const folded = foldLine(`SUMMARY:${'⚽'.repeat(40)}`);
+    expect(folded.replace(/\r\n /g, '')).toBe(`SUMMARY:${'⚽'.repeat(40)}`);
+    folded.split('\r\n').forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+  });
+});
+
+describe('buildTimezone', () => {
+  it('has a single fixed offset for zones without daylight saving', () => {
+    expect(buildTimezone('Africa/Lagos', now)).toEqual([
+      'BEGIN:VTIMEZONE',
+      'TZID:Africa/Lagos',
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      'TZOFFSETFROM:+0100',
+      'TZOFFSETTO:+0100',
+      'END:STANDARD',
+      'END:VTIMEZONE',
+    ]);
+  });
+
+  it('lists daylight saving changes at their local time', () => {
+    const lines = buildTimezone('America/New_York', now);
+    const daylight = lines.indexOf('DTSTART:20260308T020000');
+    expect(lines[daylight - 1]).toBe('BEGIN:DAYLIGHT');
+    expect(lines.slice(daylight + 1, daylight + 3)).toEqual(['TZOFFSETFROM:-0500', 'TZOFFSETTO:-0400']);
+    const standard = lines.indexOf('DTSTART:20261101T020000');
+    expect(lines[standard - 1]).toBe('BEGIN:STANDARD');
+    // Last year to the end of next year
+    expect(lines.filter(l => l === 'BEGIN:DAYLIGHT')).toHaveLength(3);
+  });
+});
+
+describe('buildRecurrenceRule', () => {
+  it('covers every schedule', () => {
+    expect(buildRecurrenceRule({ recurrence: 'weekly', gameDay: 6 })).toBe('FREQ=WEEKLY;BYDAY=SA');
+    expect(buildRecurrenceRule({ recurrence: 'weekly', gameDay: 2, gameDays: [4, 2] })).toBe('FREQ=WEEKLY;BYDAY=TU,TH');
+    expect(buildRecurrenceRule({ recurrence: 'biweekly', gameDay: 0 })).toBe('FREQ=WEEKLY;INTERVAL=2;BYDAY=SU');
+    expect(buildRecurrenceRule({ recurrence: 'monthly', gameDay: 6, monthlyOccurrence: 2 })).toBe('FREQ=MONTHLY;BYDAY=2SA');
+    expect(buildRecurrenceRule({ recurrence: 'monthly', gameDay: 5, monthlyOccurrence: 'last' })).toBe('FREQ=MONTHLY;BYDAY=-1FR');
+    expect(buildRecurrenceRule({ recurrence: 'interval', intervalDays: 10 })).toBe('FREQ=DAILY;INTERVAL=10');
+  });
+});
+
+describe('buildGameSeries', () => {
+  it('builds a recurring game with its location and RSVP window', () => {
+    const lines = buildGameSeries(org, makeSettings(), 'Africa/Lagos', now);
+
+    expect(prop(lines, 'UID')).toBe('game-org-1@itsplayday.com');
+    expect(prop(lines, 'RRULE')).toBe('FREQ=WEEKLY;BYDAY=SA');
+    expect(lines).toContain('DTSTART;TZID=Africa/Lagos:20260221T090000');
+    expect(lines).toContain('DTEND;TZID=Africa/Lagos:20260221T110000');
+    expect(prop(lines, 'LOCATION')).toBe('Muri Okunola Park\\, Victoria Island\\, Lagos');
+    expect(prop(lines, 'DESCRIPTION')).toBe(
+      'RSVPs open 2 days before at 12:00 PM and close 1 day before at 10:00 AM.\\nSign up at https://itsplayday.com/lagos-ultimate'
+    );
+    // Thursday 12:00 PM is 1 day 21 hours before Saturday 9:00 AM
+    expect(prop(lines, 'TRIGGER')).toBe('-P1DT21H');
+  });
+
+  it('leaves out skipped and cancelled games', () => {
+    const settings = makeSettings({}, {
+      skipDates: [
+        { date: '2026-04-04', reason: 'Easter' },
+        { date: '2026-03-14', reason: 'Field flooded', periodId: '2026-W11', cancelledAt: '2026-03-13T09:00:00.000Z' },
+        { date: '2026-04-08', reason: 'Not a game day' },
+      ],
+    });
+    const lines = buildGameSeries(org, settings, 'Africa/Lagos', now);
+
+    expect(lines.filter(l => l.startsWith('EXDATE'))).toEqual([
+      'EXDATE;TZID=Africa/Lagos:20260404T090000',
+      'EXDATE;TZID=Africa/Lagos:20260314T090000',
+    ]);
+  });
+
+  it('starts a biweekly series on a game from its anchor date', () => {
+    const lines = buildGameSeries(org, makeSettings({ recurrence: 'biweekly', anchorDate: '2026-01-03' }), 'Africa/Lagos', now);
+    expect(prop(lines, 'DTSTART')).toBe('20260214T090000');
+    expect(prop(lines, 'RRULE')).toBe('FREQ=WEEKLY;INTERVAL=2;BYDAY=SA');
+  });
+
+  it('has no alarm without an RSVP window', () => {
+    const settings = makeSettings();
+    settings.accessPeriod = { ...settings.accessPeriod, enabled: false };
+    const lines = buildGameSeries(org, settings, 'Africa/Lagos', now);
+    expect(lines).not.toContain('BEGIN:VALARM');
+    expect(prop(lines, 'DESCRIPTION')).toBe('Sign up at https://itsplayday.com/lagos-ultimate');
+  });
+
+  it('is empty without a schedule', () => {
+    expect(buildGameSeries(org, makeSettings({ enabled: false }), 'Africa/Lagos', now)).toEqual([]);
+    expect(buildGameSeries(org, makeSettings({ recurrence: 'biweekly', anchorDate: null }), 'Africa/Lagos', now)).toEqual([]);
+  });
+});
+
+describe('buildOneOffEvent', () => {
+  it('links to the event page', () => {
+    const event = { id: 'summer-cup', ...normalizeEvent({ name: 'Summer Cup', date: '2026-06-13', description: 'Teams of 7' }) };
+    const lines = buildOneOffEvent(org, event, 'Africa/Lagos', now);
+
+    expect(prop(lines, 'UID')).toBe('event-org-1-summer-cup@itsplayday.com');
+    expect(prop(lines, 'SUMMARY')).toBe('Summer Cup (Lagos Ultimate)');
+    expect(lines).toContain('DTSTART;TZID=Africa/Lagos:20260613T100000');
+    expect(prop(lines, 'URL')).toBe('https://itsplayday.com/lagos-ultimate/events/summer-cup');
+    expect(prop(lines, 'LOCATION')).toBeUndefined();
+  });
+});
+
+describe('buildCalendar', () => {
+  it('wraps events in a calendar with CRLF line endings', () => {
+    const ics = buildCalendar({ name: 'Lagos Ultimate', timezone: 'Africa/Lagos', events: ['BEGIN:VEVENT', 'END:VEVENT'], now });
+
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(ics.endsWith('END:VEVENT\r\nEND:VCALENDAR\r\n')).toBe(true);
+    expect(ics).toContain('X-WR-CALNAME:Lagos Ultimate\r\n');
+    expect(ics).toContain('TZID:Africa/Lagos\r\n');
+    expect(ics.replace(/\r\n/g, '')).not.toContain('\n');
+  });
+});
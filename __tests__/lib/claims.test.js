@@ -0,0 +1,139 @@
+/**
+ * Unit tests for the waitlist claim window (lib/claims.js)
+ */
+
+import {
+  getClaimToken,
+  holdPromotedSpots,
+  claimSpots,
+  getExpiredClaims,
+  sweepExpiredClaims,
+} from '../../lib/claims';
+import { getDefaultSettings } from '../../lib/settings';
+import { createMemoryDriver, setStorageDriver } from '../../lib/storage';
+
+// Run against the in-memory storage driver; tests seed and inspect kvStore directly
+const kvStore = {};
+setStorageDriver(createMemoryDriver(kvStore));
+
+const org = { id: 'org-1', slug: 'lagos-ultimate', name: 'Lagos Ultimate', timezone: 'Africa/Lagos' };
+const now = new Date('2026-03-12T12:00:00Z');
+
+function makeSettings(claimWindow = { enabled: true, hours: 12 }) {
+  return { ...getDefaultSettings('Africa/Lagos'), mainListLimit: 2, claimWindow };
+}
+
+const held = (expiresAt) => ({ promotedAt: '2026-03-12T00:00:00.000Z', expiresAt });
+
+beforeEach(() => {
+  Object.keys(kvStore).forEach(key => delete kvStore[key]);
+});
+
+describe('getClaimToken', () => {
+  it('is stable per device and differs from the device ID', () => {
+    expect(getClaimToken('device-ada', 'secret')).toMatch(/^[0-9a-f]{32}$/);
+    expect(getClaimToken('device-ada', 'secret')).toBe(getClaimToken('device-ada', 'secret'));
+    expect(getClaimToken('device-ada', 'secret')).not.toBe(getClaimToken('device-bayo', 'secret'));
+  });
+
+  it('cannot be worked out without the secret', () => {
+    expect(getClaimToken('device-ada', 'secret')).not.toBe(getClaimToken('device-ada', 'other-secret'));
+  });
+});
+
+describe('holdPromotedSpots', () => {
+  const lists = {
+    mainList: [{ id: 1, name: 'Ada Obi' }, { id: 2, name: 'Bayo Ade' }],
+    waitlist: [{ id: 3, name: 'Chi Eze', pendingClaim: held('2026-03-12T13:00:00.000Z') }],
+  };
+
+  it('holds promoted spots for the claim window', () => {
+    const result = holdPromotedSpots(lists, [lists.mainList[1]], makeSettings(), now);
+
+    expect(result.mainList[0]).toEqual({ id: 1, name: 'Ada Obi' });
+    expect(result.mainList[1].pendingClaim).toEqual({
+      promotedAt: '2026-03-12T12:00:00.000Z',
+      expiresAt: '2026-03-13T00:00:00.000Z',
+    });
+    // Back on the waitlist, the hold is gone
+    expect(result.waitlist).toEqual([{ id: 3, name: 'Chi Eze' }]);
+  });
+
+  it('lifts every hold with the claim window off', () => {
+    const result = holdPromotedSpots(
+      { mainList: [{ id: 1, name: 'Ada Obi', pendingClaim: held('2026-03-12T13:00:00.000Z') }], waitlist: [] },
+      [],
+      makeSettings({ enabled: false, hours: 12 }),
+      now
+    );
+
+    expect(result.mainList).toEqual([{ id: 1, name: 'Ada Obi' }]);
+  });
+});
+
+describe('claimSpots', () => {
+  it("claims the player's and their guests' spots while the window is open", () => {
+    const lists = {
+      mainList: [
+        { id: 1, name: 'Ada Obi', deviceId: 'd1', pendingClaim: held('2026-03-12T13:00:00.000Z') },
+        { id: 2, name: 'Ada Obi +1', deviceId: 'd1', isGuest: true, pendingClaim: held('2026-03-12T13:00:00.000Z') },
+        { id: 3, name: 'Bayo Ade', deviceId: 'd2', pendingClaim: held('2026-03-12T13:00:00.000Z') },
+      ],
+      waitlist: [],
+    };
+
+    const result = claimSpots(lists, p => p.deviceId === 'd1', now);
+
+    expect(result.claimed.map(p => p.id)).toEqual([1, 2]);
+    expect(result.mainList.map(p => !!p.pendingClaim)).toEqual([false, false, true]);
+  });
+
+  it('does not claim an expired hold', () => {
+    const lists = { mainList: [{ id: 1, deviceId: 'd1', pendingClaim: held('2026-03-12T11:00:00.000Z') }], waitlist: [] };
+    expect(claimSpots(lists, () => true, now).claimed).toEqual([]);
+  });
+});
+
+describe('getExpiredClaims', () => {
+  it('finds holds past their deadline', () => {
+    const mainList = [
+      { id: 1, pendingClaim: held('2026-03-12T11:00:00.000Z') },
+      { id: 2, pendingClaim: held('2026-03-12T13:00:00.000Z') },
+      { id: 3 },
+    ];
+    expect(getExpiredClaims(mainList, now).map(p => p.id)).toEqual([1]);
+  });
+});
+
+describe('sweepExpiredClaims', () => {
+  it('passes unclaimed spots to the next waitlister and logs the dropout', async () => {
+    kvStore['org:org-1:rsvp-data'] = {
+      mainList: [
+        { id: 1, name: 'Ada Obi', timestamp: '2026-03-12T08:00:00.000Z' },
+        { id: 2, name: 'Bayo Ade', timestamp: '2026-03-12T08:01:00.000Z', pendingClaim: held('2026-03-12T11:00:00.000Z') },
+      ],
+      waitlist: [{ id: 3, name: 'Chi Eze', timestamp: '2026-03-12T08:02:00.000Z' }],
+    };
+
+    const { expired, promoted } = await sweepExpiredClaims(org, makeSettings(), now);
+
+    expect(expired.map(p => p.name)).toEqual(['Bayo Ade']);
+    expect(promoted.map(p => p.name)).toEqual(['Chi Eze']);
+    expect(promoted[0].pendingClaim.expiresAt).toBe('2026-03-13T00:00:00.000Z');
+    expect(kvStore['org:org-1:rsvp-data'].mainList.map(p => p.name)).toEqual(['Ada Obi', 'Chi Eze']);
+    expect(kvStore['org:org-1:rsvp-data'].waitlist).toEqual([]);
+    expect(kvStore['org:org-1:dropout-log'][0]).toMatchObject({ name: 'Bayo Ade', list: 'main', reason: 'unclaimed' });
+  });
+
+  it('does nothing with the claim window off or nothing expired', async () => {
+    const rsvpData = {
+      mainList: [{ id: 2, name: 'Bayo Ade', pendingClaim: held('2026-03-12T11:00:00.000Z') }],
+      waitlist: [],
+    };
+    kvStore['org:org-1:rsvp-data'] = JSON.parse(JSON.stringify(rsvpData));
+
+    expect(await sweepExpiredClaims(org, makeSettings({ enabled: false, hours: 12 }), now)).toEqual({ expired: [], promoted: [] });
+    expect(await sweepExpiredClaims(org, makeSettings(), new Date('2026-03-12T10:00:00Z'))).toEqual({ expired: [], promoted: [] });
+    expect(kvStore['org:org-1:rsvp-data']).toEqual(rsvpData);
+  });
+});
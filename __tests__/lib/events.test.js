@@ -0,0 +1,217 @@
+/**
+ * Unit tests for one-off events (lib/events.js, lib/event-store.js)
+ */
+
+import {
+  MAX_EVENT_RULES,
+  parseDateTimeId,
+  createEventId,
+  normalizeEvent,
+  validateEvent,
+  getEventTimes,
+  getEventStatus,
+  describeEventTime,
+  getUpcomingEvents,
+} from '../../lib/events';
+import { loadEventLists, getUpcomingEventSummaries, deleteAllEventData } from '../../lib/event-store';
+import { createMemoryDriver, setStorageDriver } from '../../lib/storage';
+
+const kvStore = {};
+setStorageDriver(createMemoryDriver(kvStore));
+
+beforeEach(() => {
+  Object.keys(kvStore).forEach(key => delete kvStore[key]);
+});
+
+const LAGOS = 'Africa/Lagos';
+
+function makeEvent(overrides = {}) {
+  return {
+    id: 'summer-cup',
+    ...normalizeEvent({ name: 'Summer Cup', date: '2026-06-13', ...overrides }),
+    createdAt: '2026-05-01T00:00:00.000Z',
+  };
+}
+
+describe('parseDateTimeId', () => {
+  it('parses a date and time into a wall clock', () => {
+    expect(parseDateTimeId('2026-06-13T09:30').toISOString()).toBe('2026-06-13T09:30:00.000Z');
+  });
+
+  it('rejects malformed or impossible values', () => {
+    expect(parseDateTimeId('2026-06-13 09:30')).toBeNull();
+    expect(parseDateTimeId('2026-02-30T09:30')).toBeNull();
+    expect(parseDateTimeId('2026-06-13T24:00')).toBeNull();
+    expect(parseDateTimeId(null)).toBeNull();
+  });
+});
+
+describe('createEventId', () => {
+  it('slugifies the name', () => {
+    expect(createEventId('Summer 5-a-side Cup!', [])).toBe('summer-5-a-side-cup');
+  });
+
+  it('adds a suffix when the id is taken', () => {
+    expect(createEventId('Summer Cup', [{ id: 'summer-cup' }, { id: 'summer-cup-2' }])).toBe('summer-cup-3');
+  });
+
+  it('falls back to "event" for names without letters or digits', () => {
+    expect(createEventId('🎉🎉', [])).toBe('event');
+  });
+});
+
+describe('validateEvent', () => {
+  it('accepts a normalized event with defaults', () => {
+    expect(validateEvent(normalizeEvent({ name: 'Summer Cup', date: '2026-06-13' }))).toEqual([]);
+  });
+
+  it('requires a name and a valid date', () => {
+    const errors = validateEvent(normalizeEvent({ name: '  ', date: '2026-13-01' }));
+    expect(errors).toContain('Event name is required (at most 80 characters)');
+    expect(errors).toContain('Event date must be a valid date (YYYY-MM-DD)');
+  });
+
+  it('requires the event to end after it starts', () => {
+    expect(validateEvent(normalizeEvent({ name: 'Cup', date: '2026-06-13', startHour: 16, endHour: 10 })))
+      .toEqual(['The event must end after it starts']);
+  });
+
+  it('checks the RSVP window against itself and the event', () => {
+    const base = { name: 'Cup', date: '2026-06-13' };
+    expect(validateEvent(normalizeEvent({ ...base, rsvpOpens: '2026-06-10T12:00', rsvpCloses: '2026-06-09T12:00' })))
+      .toEqual(['RSVPs must open before they close']);
+    expect(validateEvent(normalizeEvent({ ...base, rsvpCloses: '2026-06-13T17:00' })))
+      .toEqual(['RSVPs must close before the event ends']);
+    expect(validateEvent(normalizeEvent({ ...base, rsvpOpens: 'soon' })))
+      .toEqual(['RSVP opening must be a valid date and time']);
+  });
+
+  it('limits capacity and rules', () => {
+    const errors = validateEvent(normalizeEvent({
+      name: 'Cup',
+      date: '2026-06-13',
+      mainListLimit: 0,
+      rules: Array(MAX_EVENT_RULES + 1).fill('Be nice'),
+    }));
+    expect(errors).toEqual([
+      'Capacity must be a whole number between 1 and 1000',
+      `Rules must be a list of at most ${MAX_EVENT_RULES} items`,
+    ]);
+  });
+});
+
+describe('getEventTimes', () => {
+  it('resolves wall clock times in the org timezone', () => {
+    const times = getEventTimes(makeEvent({ rsvpOpens: '2026-06-01T12:00' }), LAGOS);
+    expect(times.start.toISOString()).toBe('2026-06-13T09:00:00.000Z');
+    expect(times.end.toISOString()).toBe('2026-06-13T15:00:00.000Z');
+    expect(times.opens.toISOString()).toBe('2026-06-01T11:00:00.000Z');
+    // Without a closing time signups close when the event starts
+    expect(times.closes).toEqual(times.start);
+  });
+
+  it('follows daylight saving time', () => {
+    const times = getEventTimes(makeEvent({ date: '2026-07-04' }), 'America/New_York');
+    expect(times.start.toISOString()).toBe('2026-07-04T14:00:00.000Z');
+  });
+});
+
+describe('getEventStatus', () => {
+  const event = makeEvent({ rsvpOpens: '2026-06-01T12:00', rsvpCloses: '2026-06-12T20:00' });
+
+  it('is not open before the window', () => {
+    const status = getEventStatus(event, LAGOS, new Date('2026-05-20T00:00:00Z'));
+    expect(status).toMatchObject({
+      isOpen: false,
+      isOver: false,
+      message: 'RSVP opens Monday, Jun 1 at 12:00 PM',
+      nextOpenTime: '2026-06-01T11:00:00.000Z',
+    });
+  });
+
+  it('is open during the window', () => {
+    expect(getEventStatus(event, LAGOS, new Date('2026-06-05T00:00:00Z'))).toMatchObject({
+      isOpen: true,
+      message: null,
+      closeTime: '2026-06-12T19:00:00.000Z',
+    });
+  });
+
+  it('is closed after the window and over after the event', () => {
+    expect(getEventStatus(event, LAGOS, new Date('2026-06-13T08:00:00Z')))
+      .toMatchObject({ isOpen: false, isOver: false, message: 'RSVP is closed' });
+    expect(getEventStatus(event, LAGOS, new Date('2026-06-13T15:00:00Z')))
+      .toMatchObject({ isOpen: false, isOver: true, message: 'This event is over' });
+  });
+});
+
+describe('describeEventTime', () => {
+  it('describes the day and times', () => {
+    expect(describeEventTime(makeEvent({ startHour: 9, startMinute: 30 }))).toBe('Saturday, Jun 13, 9:30 AM - 4:00 PM');
+  });
+});
+
+describe('getUpcomingEvents', () => {
+  it('drops finished events and sorts the rest by start', () => {
+    const events = [
+      makeEvent({ date: '2026-06-20' }),
+      { ...makeEvent({ date: '2026-06-01' }), id: 'past' },
+      { ...makeEvent({ date: '2026-06-13', startHour: 8 }), id: 'early' },
+    ];
+    const upcoming = getUpcomingEvents(events, LAGOS, new Date('2026-06-10T00:00:00Z'));
+    expect(upcoming.map(e => e.id)).toEqual(['early', 'summer-cup']);
+  });
+});
+
+describe('event store', () => {
+  const orgId = 'org-1';
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const dateId = offsetDays => new Date(Date.now() + offsetDays * DAY_MS).toISOString().slice(0, 10);
+  const lists = { mainList: [{ id: 1, name: 'Ada Obi' }], waitlist: [{ id: 2, name: 'Bayo Ade' }] };
+
+  it('returns the live lists of an event that is not over', async () => {
+    const event = makeEvent({ date: dateId(3) });
+    kvStore[`org:${orgId}:event:${event.id}:rsvp-data`] = lists;
+
+    expect(await loadEventLists(orgId, event, LAGOS)).toEqual({ ...lists, archivedAt: null });
+  });
+
+  it('archives the lists on the first read after the event', async () => {
+    const event = makeEvent({ date: dateId(-3) });
+    kvStore[`org:${orgId}:event:${event.id}:rsvp-data`] = lists;
+
+    const archived = await loadEventLists(orgId, event, LAGOS);
+
+    expect(archived).toEqual({ ...lists, archivedAt: expect.any(String) });
+    expect(kvStore[`org:${orgId}:event:${event.id}:archive`]).toEqual(archived);
+    expect(kvStore[`org:${orgId}:event:${event.id}:rsvp-data`]).toBeUndefined();
+    expect(await loadEventLists(orgId, event, LAGOS)).toEqual(archived);
+  });
+
+  it('summarizes upcoming events only', async () => {
+    const upcoming = makeEvent({ date: dateId(3), location: { name: 'Muri Okunola Park' } });
+    kvStore[`org:${orgId}:events`] = [{ ...makeEvent({ date: dateId(-3) }), id: 'old' }, upcoming];
+    kvStore[`org:${orgId}:event:${upcoming.id}:rsvp-data`] = lists;
+
+    const summaries = await getUpcomingEventSummaries(orgId, LAGOS);
+
+    expect(summaries).toEqual([expect.objectContaining({
+      id: 'summer-cup',
+      name: 'Summer Cup',
+      location: 'Muri Okunola Park',
+      signupCount: 1,
+      mainListLimit: 30,
+      isOpen: true,
+    })]);
+  });
+
+  it('deletes every event\'s lists and archive', async () => {
+    kvStore[`org:${orgId}:events`] = [makeEvent(), { ...makeEvent(), id: 'other' }];
+    kvStore[`org:${orgId}:event:summer-cup:rsvp-data`] = lists;
+    kvStore[`org:${orgId}:event:other:archive`] = { ...lists, archivedAt: '2026-01-01T00:00:00.000Z' };
+
+    await deleteAllEventData(orgId);
+
+    expect(Object.keys(kvStore)).toEqual([`org:${orgId}:events`]);
+  });
+});
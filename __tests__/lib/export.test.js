@@ -0,0 +1,153 @@
+/**
+ * Unit tests for data exports (lib/export.js, lib/xlsx.js)
+ */
+
+import zlib from 'zlib';
+import { buildExport, validateDateRange, toCsv, toJson } from '../../lib/export';
+import { buildXlsx } from '../../lib/xlsx';
+import { getDefaultTiers } from '../../lib/tiers';
+
+const tiers = [{ id: 'core', name: 'Core', reservedSpots: 0, earlyAccessHours: 0 }, ...getDefaultTiers().slice(1)];
+const options = { tiers, timezone: 'Africa/Lagos' };
+
+const data = {
+  rsvpData: {
+    mainList: [
+      { id: 1, name: 'Ada Obi', timestamp: '2026-03-12T08:30:00Z', isWhitelisted: true, tier: 'core' },
+      { id: 2, name: 'Ada Obi +1', timestamp: '2026-03-12T08:30:00Z', isGuest: true, hostId: 1, hostName: 'Ada Obi' },
+    ],
+    waitlist: [{ id: 3, name: 'Bayo Ade', timestamp: '2026-03-12T09:00:00Z' }],
+  },
+  whitelist: [{ name: 'Ada Obi', email: 'ada@example.com', snoozeCode: 'ABC234', tier: 'core', addedAt: '2026-01-05T10:00:00Z' }],
+  playHistory: [
+    { periodId: '2026-W10', archivedAt: '2026-03-09T00:05:00Z', mainList: ['Chi Eze', 'Gbenga Ali'], guests: 0, waitlist: ['Ify Nze'], snoozed: [], checkedIn: ['Chi Eze'], dropouts: [] },
+    { periodId: '2026-W09', archivedAt: '2026-03-02T00:05:00Z', mainList: ['Dayo Bello'], guests: 0, waitlist: [], snoozed: [], checkedIn: null, dropouts: [] },
+  ],
+  dropoutLog: [
+    { name: 'Eko Ita', timestamp: '2026-03-10T20:00:00Z', list: 'main', periodId: '2026-W11', reason: 'late' },
+    { name: 'Femi Ojo', timestamp: '2026-03-01T12:00:00Z', list: 'waitlist', periodId: '2026-W10' },
+  ],
+  emails: [
+    { createdAt: '2026-03-11T17:00:00Z', kind: 'promotion', to: ['ada@example.com'], subject: 'Spot open', status: 'sent', attempts: 2, sentAt: '2026-03-11T18:00:00Z', lastError: 'Timeout' },
+    { createdAt: '2026-03-08T17:00:00Z', kind: 'rsvp-list', to: ['a@example.com', 'b@example.com'], subject: 'List', status: 'dead', attempts: 5, sentAt: null, lastError: 'Bad key' },
+  ],
+};
+
+// Files in a zip, by name (deflated entries, as buildXlsx writes them)
+function unzip(buffer) {
+  const files = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength;
+    files[name] = zlib.inflateRawSync(buffer.subarray(start, start + size)).toString('utf8');
+    offset = start + size;
+  }
+  return files;
+}
+
+describe('validateDateRange', () => {
+  it('takes optional YYYY-MM-DD dates in order', () => {
+    expect(validateDateRange()).toBeNull();
+    expect(validateDateRange('2026-03-01', '2026-03-31')).toBeNull();
+    expect(validateDateRange('March 1')).toBe('from must be a date (YYYY-MM-DD)');
+    expect(validateDateRange('2026-03-31', '2026-03-01')).toBe('from must not be after to');
+  });
+});
+
+describe('buildExport', () => {
+  it('lists both lists with positions, tiers and local signup times', () => {
+    const { lists } = buildExport(data, { ...options, datasets: ['lists'] });
+
+    expect(lists.rows).toEqual([
+      { list: 'Main list', position: 1, name: 'Ada Obi', guestOf: '', tier: 'Core', signedUpAt: '2026-03-12 09:30' },
+      { list: 'Main list', position: 2, name: 'Ada Obi +1', guestOf: 'Ada Obi', tier: 'Everyone else', signedUpAt: '2026-03-12 09:30' },
+      { list: 'Waitlist', position: 1, name: 'Bayo Ade', guestOf: '', tier: 'Everyone else', signedUpAt: '2026-03-12 10:00' },
+    ]);
+  });
+
+  it('leaves snooze codes out of the whitelist unless asked', () => {
+    const hidden = buildExport(data, { ...options, datasets: ['whitelist'] }).whitelist;
+    const shown = buildExport(data, { ...options, datasets: ['whitelist'], includeSnoozeCodes: true }).whitelist;
+
+    expect(hidden.columns.map(c => c.key)).not.toContain('snoozeCode');
+    expect(hidden.rows[0]).not.toHaveProperty('snoozeCode');
+    expect(shown.rows[0]).toMatchObject({ name: 'Ada Obi', email: 'ada@example.com', tier: 'Core', snoozeCode: 'ABC234' });
+  });
+
+  it('keeps the history, dropouts and emails in the date range, oldest first', () => {
+    const all = buildExport(data, { ...options, datasets: ['history', 'dropouts'] });
+    expect(all.history.rows.map(r => r.period)).toEqual(['2026-W09', '2026-W10', '2026-W10', '2026-W10']);
+
+    const { history, dropouts, emails } = buildExport(data, {
+      ...options,
+      datasets: ['history', 'dropouts', 'emails'],
+      from: '2026-03-05',
+      to: '2026-03-10',
+    });
+    expect(history.rows).toEqual([
+      { period: '2026-W10', archivedAt: '2026-03-09 01:05', list: 'Main list', position: 1, name: 'Chi Eze', checkedIn: 'Yes' },
+      { period: '2026-W10', archivedAt: '2026-03-09 01:05', list: 'Main list', position: 2, name: 'Gbenga Ali', checkedIn: 'No' },
+      { period: '2026-W10', archivedAt: '2026-03-09 01:05', list: 'Waitlist', position: 1, name: 'Ify Nze', checkedIn: '' },
+    ]);
+    expect(dropouts.rows).toEqual([
+      { droppedAt: '2026-03-10 21:00', period: '2026-W11', name: 'Eko Ita', guestOf: '', list: 'Main list', reason: 'late' },
+    ]);
+    expect(emails.rows).toEqual([
+      { queuedAt: '2026-03-08 18:00', kind: 'rsvp-list', subject: 'List', recipients: 2, status: 'dead', attempts: 5, sentAt: '', error: 'Bad key' },
+    ]);
+  });
+});
+
+describe('toCsv', () => {
+  it('quotes cells that need it and defuses formulas', () => {
+    const csv = toCsv({
+      columns: [{ key: 'name', label: 'Name' }, { key: 'note', label: 'Note' }, { key: 'count', label: 'Count' }],
+      rows: [{ name: 'Obi, "Ada"', note: '=HYPERLINK("x")', count: -1 }],
+    });
+
+    expect(csv).toBe('\uFEFFName,Note,Count\r\n"Obi, ""Ada""","\'=HYPERLINK(""x"")",-1\r\n');
+  });
+});
+
+describe('toJson', () => {
+  it("has each dataset's rows", () => {
+    const tables = buildExport(data, { ...options, datasets: ['emails'] });
+    const json = JSON.parse(toJson(tables, { org: 'Lagos Ultimate', from: null }));
+
+    expect(json).toEqual({
+      org: 'Lagos Ultimate',
+      from: null,
+      datasets: {
+        emails: [
+          expect.objectContaining({ status: 'dead', recipients: 2 }),
+          expect.objectContaining({ status: 'sent', error: '' }),
+        ],
+      },
+    });
+  });
+});
+
+describe('buildXlsx', () => {
+  it('writes a sheet for each table', () => {
+    const tables = buildExport(data, { ...options, datasets: ['lists', 'emails'] });
+    const files = unzip(buildXlsx([
+      { name: 'Current lists', table: tables.lists },
+      { name: 'Email log: <all>', table: tables.emails },
+    ]));
+
+    expect(Object.keys(files)).toEqual(expect.arrayContaining([
+      '[Content_Types].xml',
+      'xl/workbook.xml',
+      'xl/worksheets/sheet1.xml',
+      'xl/worksheets/sheet2.xml',
+    ]));
+    expect(files['xl/workbook.xml']).toContain('<sheet name="Current lists" sheetId="1" r:id="rId1"/>');
+    expect(files['xl/workbook.xml']).toContain('<sheet name="Email log  &lt;all&gt;" sheetId="2" r:id="rId2"/>');
+    expect(files['xl/worksheets/sheet1.xml']).toContain('<c r="C1" s="1" t="inlineStr"><is><t xml:space="preserve">Name</t></is></c>');
+    expect(files['xl/worksheets/sheet1.xml']).toContain('<c r="B3"><v>2</v></c>');
+    expect(files['xl/worksheets/sheet1.xml']).toContain('<t xml:space="preserve">Ada Obi +1</t>');
+  });
+});
@@ -2,22 +2,6 @@
  * Unit tests for the KV helper functions
  */
 
-// Mock @vercel/kv
-const mockKvStore = {};
-jest.mock('@vercel/kv', () => ({
-  kv: {
-    get: jest.fn((key) => Promise.resolve(mockKvStore[key])),
-    set: jest.fn((key, value) => {
-      mockKvStore[key] = value;
-      return Promise.resolve();
-    }),
-    del: jest.fn((key) => {
-      delete mockKvStore[key];
-      return Promise.resolve();
-    }),
-  },
-}));
-
 import {
   GLOBAL_KEYS,
   ORG_KEY_SUFFIXES,
@@ -28,11 +12,19 @@ import {
   getGlobalData,
   setGlobalData,
   deleteAllOrgData,
+  withOrgLock,
+  updateOrgData,
+  LockContentionError,
 } from '../../lib/kv';
+import { createMemoryDriver, setStorageDriver } from '../../lib/storage';
+
+// Run against the in-memory storage driver; tests seed and inspect kvStore directly
+const kvStore = {};
+setStorageDriver(createMemoryDriver(kvStore));
 
 // Clear store between tests
 beforeEach(() => {
-  Object.keys(mockKvStore).forEach(key => delete mockKvStore[key]);
+  Object.keys(kvStore).forEach(key => delete kvStore[key]);
   jest.clearAllMocks();
 });
 
@@ -73,7 +65,7 @@ describe('orgKey', () => {
 
 describe('getOrgData', () => {
   it('returns data when it exists', async () => {
-    mockKvStore['org:test-org:rsvp-data'] = { mainList: ['person1'] };
+    kvStore['org:test-org:rsvp-data'] = { mainList: ['person1'] };
 
     const data = await getOrgData('test-org', 'rsvp-data');
     expect(data).toEqual({ mainList: ['person1'] });
@@ -95,23 +87,23 @@ describe('setOrgData', () => {
     const data = { mainList: ['person1'], waitlist: [] };
     await setOrgData('test-org', 'rsvp-data', data);
 
-    expect(mockKvStore['org:test-org:rsvp-data']).toEqual(data);
+    expect(kvStore['org:test-org:rsvp-data']).toEqual(data);
   });
 });
 
 describe('deleteOrgData', () => {
   it('deletes data with correct key', async () => {
-    mockKvStore['org:test-org:rsvp-data'] = { mainList: [] };
+    kvStore['org:test-org:rsvp-data'] = { mainList: [] };
 
     await deleteOrgData('test-org', 'rsvp-data');
 
-    expect(mockKvStore['org:test-org:rsvp-data']).toBeUndefined();
+    expect(kvStore['org:test-org:rsvp-data']).toBeUndefined();
   });
 });
 
 describe('getGlobalData', () => {
   it('returns data when it exists', async () => {
-    mockKvStore['playday:organizations'] = [{ id: '1' }];
+    kvStore['playday:organizations'] = [{ id: '1' }];
 
     const data = await getGlobalData('playday:organizations');
     expect(data).toEqual([{ id: '1' }]);
@@ -128,32 +120,94 @@ describe('setGlobalData', () => {
     const data = [{ id: '1', name: 'Test Org' }];
     await setGlobalData('playday:organizations', data);
 
-    expect(mockKvStore['playday:organizations']).toEqual(data);
+    expect(kvStore['playday:organizations']).toEqual(data);
   });
 });
 
 describe('deleteAllOrgData', () => {
   it('deletes all org-scoped data', async () => {
     // Setup mock data for an organization
-    mockKvStore['org:test-org:rsvp-data'] = { mainList: [] };
-    mockKvStore['org:test-org:settings'] = { mainListLimit: 30 };
-    mockKvStore['org:test-org:whitelist'] = [];
-    mockKvStore['org:test-org:archive'] = [];
-    mockKvStore['org:test-org:last-reset'] = '2026-W01';
-    mockKvStore['org:test-org:last-email'] = '2026-W01';
-    mockKvStore['org:test-org:snoozed'] = { weekId: '2026-W01', names: [] };
-    mockKvStore['org:test-org:email-status'] = {};
+    kvStore['org:test-org:rsvp-data'] = { mainList: [] };
+    kvStore['org:test-org:settings'] = { mainListLimit: 30 };
+    kvStore['org:test-org:whitelist'] = [];
+    kvStore['org:test-org:archive'] = [];
+    kvStore['org:test-org:last-reset'] = '2026-W01';
+    kvStore['org:test-org:last-email'] = '2026-W01';
+    kvStore['org:test-org:snoozed'] = { weekId: '2026-W01', names: [] };
+    kvStore['org:test-org:email-status'] = {};
 
     await deleteAllOrgData('test-org');
 
     // All org data should be deleted
-    expect(mockKvStore['org:test-org:rsvp-data']).toBeUndefined();
-    expect(mockKvStore['org:test-org:settings']).toBeUndefined();
-    expect(mockKvStore['org:test-org:whitelist']).toBeUndefined();
-    expect(mockKvStore['org:test-org:archive']).toBeUndefined();
-    expect(mockKvStore['org:test-org:last-reset']).toBeUndefined();
-    expect(mockKvStore['org:test-org:last-email']).toBeUndefined();
-    expect(mockKvStore['org:test-org:snoozed']).toBeUndefined();
-    expect(mockKvStore['org:test-org:email-status']).toBeUndefined();
+    expect(kvStore['org:test-org:rsvp-data']).toBeUndefined();
+    expect(kvStore['org:test-org:settings']).toBeUndefined();
+    expect(kvStore['org:test-org:whitelist']).toBeUndefined();
+    expect(kvStore['org:test-org:archive']).toBeUndefined();
+    expect(kvStore['org:test-org:last-reset']).toBeUndefined();
+    expect(kvStore['org:test-org:last-email']).toBeUndefined();
+    expect(kvStore['org:test-org:snoozed']).toBeUndefined();
+    expect(kvStore['org:test-org:email-status']).toBeUndefined();
+  });
+});
+
+describe('withOrgLock', () => {
+  it('runs the callback and releases the lock', async () => {
+    const result = await withOrgLock('test-org', async () => {
+      expect(kvStore['org:test-org:lock']).toBeDefined();
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    expect(kvStore['org:test-org:lock']).toBeUndefined();
+  });
+
+  it('releases the lock when the callback throws', async () => {
+    await expect(withOrgLock('test-org', async () => {
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+
+    expect(kvStore['org:test-org:lock']).toBeUndefined();
+  });
+
+  it('serializes concurrent callers', async () => {
+    let inside = 0;
+    let maxInside = 0;
+    const work = () => withOrgLock('test-org', async () => {
+      inside++;
+      maxInside = Math.max(maxInside, inside);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inside--;
+    });
+
+    await Promise.all([work(), work(), work()]);
+    expect(maxInside).toBe(1);
+  });
+
+  it('throws LockContentionError when the lock stays held', async () => {
+    kvStore['org:test-org:lock'] = 'other-holder';
+
+    await expect(withOrgLock('test-org', async () => 'never', { waitMs: 50 }))
+      .rejects.toBeInstanceOf(LockContentionError);
+
+    // Someone else's lock is left alone
+    expect(kvStore['org:test-org:lock']).toBe('other-holder');
+  });
+
+  it("doesn't release a lock that expired and was taken by someone else", async () => {
+    await withOrgLock('test-org', async () => {
+      kvStore['org:test-org:lock'] = 'next-holder';
+    });
+
+    expect(kvStore['org:test-org:lock']).toBe('next-holder');
+  });
+});
+
+describe('updateOrgData', () => {
+  it('applies concurrent updates without losing any', async () => {
+    await Promise.all(Array.from({ length: 10 }, (_, i) =>
+      updateOrgData('test-org', 'dropout-log', log => [...log, i], [])
+    ));
+
+    expect(kvStore['org:test-org:dropout-log']).toHaveLength(10);
   });
 });
@@ -0,0 +1,171 @@
+/**
+ * Unit tests for RSVP list helpers (lib/lists.js)
+ */
+
+import { sortByPriority, rebalanceLists, getGuestsOf, createGuestEntries, nestGuests, toPublicLists } from '../../lib/lists';
+
+const host = { id: 1, name: 'Ada Obi', timestamp: '2026-01-01T10:00:00.000Z', deviceId: 'device1' };
+
+function makeGuests(count, from = host) {
+  let id = from.id * 100;
+  return createGuestEntries(from, Array(count).fill(''), () => ++id);
+}
+
+describe('createGuestEntries', () => {
+  it('names blank guests after their host', () => {
+    const guests = createGuestEntries(host, ['', '  Tunde  '], (() => { let id = 10; return () => ++id; })());
+
+    expect(guests).toEqual([
+      { id: 11, name: 'Ada Obi +1', timestamp: host.timestamp, deviceId: 'device1', hostId: 1, hostName: 'Ada Obi', isGuest: true },
+      { id: 12, name: 'Tunde', timestamp: host.timestamp, deviceId: 'device1', hostId: 1, hostName: 'Ada Obi', isGuest: true },
+    ]);
+  });
+});
+
+describe('sortByPriority', () => {
+  it('puts guests directly after their host', () => {
+    const [guest] = makeGuests(1);
+    const later = { id: 2, name: 'Later', timestamp: '2026-01-01T11:00:00.000Z' };
+
+    expect(sortByPriority([later, guest, host]).map(p => p.id)).toEqual([1, guest.id, 2]);
+  });
+
+  it('keeps members ahead of guests brought by members', () => {
+    const member = { ...host, isWhitelisted: true };
+    const [guest] = makeGuests(1, member);
+    const earlier = { id: 2, name: 'Early Bird', timestamp: '2026-01-01T09:00:00.000Z' };
+
+    expect(sortByPriority([guest, earlier, member]).map(p => p.id)).toEqual([1, 2, guest.id]);
+  });
+
+  it('puts penalized players and their guests after everyone else, members included', () => {
+    const member = { ...host, isWhitelisted: true };
+    const [guest] = makeGuests(1, member);
+    const later = { id: 2, name: 'Later', timestamp: '2026-01-01T11:00:00.000Z' };
+
+    const sorted = sortByPriority([member, guest, later], { deprioritized: new Set(['ada obi']) });
+
+    expect(sorted.map(p => p.id)).toEqual([2, 1, guest.id]);
+  });
+
+  it('orders members by tier, and members of deleted tiers last among members', () => {
+    const tiers = [
+      { id: 'core', name: 'Core', reservedSpots: 0, earlyAccessHours: 0 },
+      { id: 'regular', name: 'Regular', reservedSpots: 0, earlyAccessHours: 0 },
+      { id: 'public', name: 'Everyone else', reservedSpots: 0, earlyAccessHours: 0 },
+    ];
+    const regular = { ...host, isWhitelisted: true, tier: 'regular' };
+    const core = { id: 2, name: 'Core', timestamp: '2026-01-01T11:00:00.000Z', isWhitelisted: true, tier: 'core' };
+    const orphaned = { id: 3, name: 'Orphan', timestamp: '2026-01-01T09:00:00.000Z', isWhitelisted: true, tier: 'gone' };
+    const visitor = { id: 4, name: 'Visitor', timestamp: '2026-01-01T08:00:00.000Z' };
+
+    expect(sortByPriority([visitor, regular, orphaned, core], { tiers }).map(p => p.id)).toEqual([2, 3, 1, 4]);
+  });
+});
+
+describe('rebalanceLists', () => {
+  it('counts guests against the limit and waitlists them individually', () => {
+    const guests = makeGuests(3);
+
+    const { mainList, waitlist } = rebalanceLists([host, ...guests], [], 3);
+
+    expect(mainList.map(p => p.id)).toEqual([1, guests[0].id, guests[1].id]);
+    expect(waitlist.map(p => p.id)).toEqual([guests[2].id]);
+  });
+
+  it('orders drawn entries by draw position, ahead of later signups', () => {
+    const first = { id: 2, name: 'Early', timestamp: '2026-01-01T09:00:00.000Z', drawPosition: 2 };
+    const second = { id: 3, name: 'Late', timestamp: '2026-01-01T11:00:00.000Z', drawPosition: 1 };
+    const afterDraw = { id: 4, name: 'After', timestamp: '2026-01-01T08:00:00.000Z' };
+
+    const { mainList, waitlist } = rebalanceLists([afterDraw, first], [second], 2);
+
+    expect(mainList.map(p => p.id)).toEqual([3, 2]);
+    expect(waitlist.map(p => p.id)).toEqual([4]);
+  });
+
+  it('only gives members main-list spots while a draw is pending', () => {
+    const member = { ...host, isWhitelisted: true };
+    const penalized = { id: 2, name: 'Penalized', timestamp: '2026-01-01T08:00:00.000Z', isWhitelisted: true };
+    const entrant = { id: 3, name: 'Entrant', timestamp: '2026-01-01T09:00:00.000Z' };
+
+    const { mainList, waitlist } = rebalanceLists([member, penalized, entrant], [], 10, {
+      awaitingDraw: true,
+      deprioritized: new Set(['penalized']),
+    });
+
+    expect(mainList.map(p => p.id)).toEqual([1]);
+    expect(waitlist.map(p => p.id)).toEqual([3, 2]);
+  });
+
+  it('holds reserved spots for a tier ahead of higher tiers', () => {
+    const tiers = [
+      { id: 'member', name: 'Member', reservedSpots: 0, earlyAccessHours: 0 },
+      { id: 'public', name: 'Everyone else', reservedSpots: 1, earlyAccessHours: 0 },
+    ];
+    const members = [1, 2, 3].map(id => ({ id, name: `Member ${id}`, timestamp: `2026-01-01T0${id}:00:00.000Z`, isWhitelisted: true }));
+    const visitor = { id: 4, name: 'Visitor', timestamp: '2026-01-01T09:00:00.000Z' };
+
+    const { mainList, waitlist } = rebalanceLists([...members, visitor], [], 3, { tiers });
+
+    expect(mainList.map(p => p.id)).toEqual([1, 2, 4]);
+    expect(waitlist.map(p => p.id)).toEqual([3]);
+  });
+
+  it('gives unused reserved spots to everyone else', () => {
+    const tiers = [
+      { id: 'member', name: 'Member', reservedSpots: 2, earlyAccessHours: 0 },
+      { id: 'public', name: 'Everyone else', reservedSpots: 0, earlyAccessHours: 0 },
+    ];
+    const visitors = [1, 2, 3].map(id => ({ id, name: `Visitor ${id}`, timestamp: `2026-01-01T0${id}:00:00.000Z` }));
+
+    const { mainList } = rebalanceLists(visitors, [], 3, { tiers });
+
+    expect(mainList.map(p => p.id)).toEqual([1, 2, 3]);
+  });
+});
+
+describe('getGuestsOf', () => {
+  it('finds a host\'s guests across lists', () => {
+    const guests = makeGuests(2);
+    const other = { id: 2, name: 'Other', timestamp: host.timestamp };
+
+    expect(getGuestsOf([host, guests[0], other, guests[1]], 1)).toEqual(guests);
+    expect(getGuestsOf([host, other], 1)).toEqual([]);
+  });
+});
+
+describe('nestGuests', () => {
+  it('nests guests under their host in the same list', () => {
+    const guests = makeGuests(2);
+    const other = { id: 2, name: 'Other', timestamp: host.timestamp };
+
+    expect(nestGuests([host, guests[0], other, guests[1]])).toEqual([
+      { person: host, guests },
+      { person: other, guests: [] },
+    ]);
+  });
+
+  it('keeps guests whose host is elsewhere at the top level', () => {
+    const [guest] = makeGuests(1);
+
+    expect(nestGuests([guest])).toEqual([{ person: guest, guests: [] }]);
+  });
+});
+
+describe('toPublicLists', () => {
+  it("drops device IDs and marks the viewer's signup and guests", () => {
+    const [guest] = makeGuests(1);
+    const other = { id: 2, name: 'Other', timestamp: host.timestamp, deviceId: 'device2' };
+
+    const { mainList, waitlist } = toPublicLists({ mainList: [host, guest], waitlist: [other] }, 'device1');
+
+    expect(mainList.map(p => p.isMine)).toEqual([true, true]);
+    expect(waitlist).toEqual([{ id: 2, name: 'Other', timestamp: host.timestamp }]);
+    expect([...mainList, ...waitlist].some(p => 'deviceId' in p)).toBe(false);
+  });
+
+  it('marks nothing without a device', () => {
+    expect(toPublicLists({ mainList: [host], waitlist: [] }).mainList[0].isMine).toBeUndefined();
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Unit tests for lottery allocation (lib/lottery.js)
+ */
+
+import {
+  isLotteryMode,
+  isAwaitingDraw,
+  createSeededRandom,
+  generateSeed,
+  drawLottery,
+  runLotteryDrawIfDue,
+} from '../../lib/lottery';
+import { getDefaultSettings } from '../../lib/settings';
+import { getCurrentPeriodId, getPeriodGameDate, formatDateId } from '../../lib/recurrence';
+import { createMemoryDriver, setStorageDriver } from '../../lib/storage';
+
+const kvStore = {};
+setStorageDriver(createMemoryDriver(kvStore));
+
+beforeEach(() => {
+  Object.keys(kvStore).forEach(key => delete kvStore[key]);
+});
+
+function signup(id, name, minute, extra = {}) {
+  return { id, name, timestamp: `2026-03-05T12:${String(minute).padStart(2, '0')}:00.000Z`, ...extra };
+}
+
+function makeEntrants(count) {
+  return Array.from({ length: count }, (_, i) => signup(i + 1, `Player ${i + 1}`, i));
+}
+
+describe('isLotteryMode', () => {
+  it('needs lottery allocation and an RSVP window', () => {
+    const settings = { ...getDefaultSettings(), allocationMode: 'lottery' };
+
+    expect(isLotteryMode(settings)).toBe(true);
+    expect(isLotteryMode({ ...settings, accessPeriod: { enabled: false } })).toBe(false);
+    expect(isLotteryMode(getDefaultSettings())).toBe(false);
+  });
+});
+
+describe('isAwaitingDraw', () => {
+  const settings = { ...getDefaultSettings(), allocationMode: 'lottery' };
+
+  it('waits once the lists are reset for the period until it is drawn', () => {
+    expect(isAwaitingDraw(settings, null, '2026-W10', '2026-W10')).toBe(true);
+    expect(isAwaitingDraw(settings, { periodId: '2026-W09' }, '2026-W10', '2026-W10')).toBe(true);
+    expect(isAwaitingDraw(settings, { periodId: '2026-W10' }, '2026-W10', '2026-W10')).toBe(false);
+  });
+
+  it('keeps last period\'s drawn lists until the next reset', () => {
+    expect(isAwaitingDraw(settings, { periodId: '2026-W10' }, '2026-W10', '2026-W11')).toBe(false);
+  });
+});
+
+describe('createSeededRandom', () => {
+  it('repeats the same sequence for the same seed', () => {
+    const a = createSeededRandom('abc123');
+    const b = createSeededRandom('abc123');
+    const c = createSeededRandom('abc124');
+
+    const sequence = [a(), a(), a()];
+    expect([b(), b(), b()]).toEqual(sequence);
+    expect([c(), c(), c()]).not.toEqual(sequence);
+    sequence.forEach(n => {
+      expect(n).toBeGreaterThanOrEqual(0);
+      expect(n).toBeLessThan(1);
+    });
+  });
+});
+
+describe('generateSeed', () => {
+  it('returns 16 hex characters', () => {
+    expect(generateSeed()).toMatch(/^[0-9a-f]{16}$/);
+  });
+});
+
+describe('drawLottery', () => {
+  it('is reproducible from the seed and lists entrants in signup order', () => {
+    const people = makeEntrants(8);
+
+    const first = drawLottery(people, 'seed-1');
+    const again = drawLottery([...people].reverse(), 'seed-1');
+
+    expect(again.order).toEqual(first.order);
+    expect(first.entrants.map(e => e.ticket)).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+    expect([...first.order].sort((a, b) => a - b)).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+  });
+
+  it('gives different orders for different seeds', () => {
+    const seeds = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
+    const firstPicks = new Set(seeds.map(seed => drawLottery(makeEntrants(8), seed).order[0]));
+
+    expect(firstPicks.size).toBeGreaterThan(1);
+  });
+
+  it('skips members and draws hosts with their guests as one ticket', () => {
+    const member = signup(1, 'Member', 0, { isWhitelisted: true });
+    const host = signup(2, 'Host', 1);
+    const guest = signup(3, 'Host +1', 1, { isGuest: true, hostId: 2, hostName: 'Host' });
+    const solo = signup(4, 'Solo', 2);
+
+    const { people, entrants, order } = drawLottery([member, guest, host, solo], 'seed');
+
+    expect(entrants).toEqual([
+      { ticket: 2, names: ['Host', 'Host +1'] },
+      { ticket: 4, names: ['Solo'] },
+    ]);
+    const byId = Object.fromEntries(people.map(p => [p.id, p]));
+    expect(byId[1].drawPosition).toBeUndefined();
+    expect(byId[2].drawPosition).toBe(order.indexOf(2) + 1);
+    expect(byId[3].drawPosition).toBe(byId[2].drawPosition);
+  });
+});
+
+describe('runLotteryDrawIfDue', () => {
+  const HOUR_MS = 60 * 60 * 1000;
+
+  // Lottery settings whose Lagos-time RSVP window closed an hour ago
+  function closedLotterySettings() {
+    const lagos = ms => new Date(new Date(Date.now() + ms).toLocaleString('en-US', { timeZone: 'Africa/Lagos' }));
+    const start = lagos(-5 * HOUR_MS);
+    const end = lagos(-HOUR_MS);
+    const settings = getDefaultSettings('Africa/Lagos');
+    return {
+      ...settings,
+      mainListLimit: 3,
+      allocationMode: 'lottery',
+      accessPeriod: {
+        ...settings.accessPeriod,
+        startDay: start.getDay(), startHour: start.getHours(), startMinute: start.getMinutes(),
+        endDay: end.getDay(), endHour: end.getHours(), endMinute: end.getMinutes(),
+      },
+    };
+  }
+
+  function seedOrg(settings) {
+    const periodId = getCurrentPeriodId(settings, 'Africa/Lagos');
+    kvStore['org:org-1:last-reset'] = periodId;
+    kvStore['org:org-1:rsvp-data'] = {
+      mainList: [signup(1, 'Member', 0, { isWhitelisted: true })],
+      waitlist: makeEntrants(5).map(p => ({ ...p, id: p.id + 1 })),
+    };
+    return periodId;
+  }
+
+  it('draws the main list once the window has closed, keeping members', async () => {
+    const settings = closedLotterySettings();
+    const periodId = seedOrg(settings);
+
+    const draw = await runLotteryDrawIfDue('org-1', settings);
+
+    expect(draw.periodId).toBe(periodId);
+    expect(kvStore['org:org-1:lottery']).toEqual(draw);
+    const { mainList, waitlist } = kvStore['org:org-1:rsvp-data'];
+    expect(mainList).toHaveLength(3);
+    expect(mainList[0].name).toBe('Member');
+    const drawnOrder = [...mainList.slice(1), ...waitlist].map(p => p.id);
+    expect(drawnOrder).toEqual(draw.order);
+  });
+
+  it('only draws once per period', async () => {
+    const settings = closedLotterySettings();
+    seedOrg(settings);
+
+    const first = await runLotteryDrawIfDue('org-1', settings);
+    const second = await runLotteryDrawIfDue('org-1', settings);
+
+    expect(first).not.toBeNull();
+    expect(second).toBeNull();
+    expect(kvStore['org:org-1:lottery'].seed).toBe(first.seed);
+  });
+
+  it('does not draw a cancelled game', async () => {
+    const settings = closedLotterySettings();
+    const periodId = seedOrg(settings);
+    settings.skipDates = [{
+      date: formatDateId(getPeriodGameDate(settings, 'Africa/Lagos')),
+      reason: '',
+      periodId,
+      cancelledAt: new Date().toISOString(),
+    }];
+
+    expect(await runLotteryDrawIfDue('org-1', settings)).toBeNull();
+    expect(kvStore['org:org-1:lottery']).toBeUndefined();
+  });
+
+  it('does nothing for first-come orgs', async () => {
+    const settings = { ...closedLotterySettings(), allocationMode: 'first-come' };
+    seedOrg(settings);
+
+    expect(await runLotteryDrawIfDue('org-1', settings)).toBeNull();
+    expect(kvStore['org:org-1:lottery']).toBeUndefined();
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Unit tests for whitelist member profiles (lib/members.js)
+ */
+
+import {
+  MAX_TAGS,
+  normalizeTags,
+  validateMemberProfile,
+  getTodayId,
+  isMembershipActive,
+  getCarriedOverMembers,
+  renameInList,
+  getMemberHistory,
+} from '../../lib/members';
+
+describe('validateMemberProfile', () => {
+  it('accepts empty and well-formed fields', () => {
+    expect(validateMemberProfile({})).toBeNull();
+    expect(validateMemberProfile({
+      email: 'ada@example.com',
+      phone: '+234 (801) 234-5678',
+      notes: 'Paid for the season',
+      tags: ['captain', 'paid'],
+      expiresOn: '2026-12-31',
+    })).toBeNull();
+  });
+
+  it('rejects malformed fields', () => {
+    expect(validateMemberProfile({ email: 'ada@' })).toBe('Please enter a valid email address');
+    expect(validateMemberProfile({ phone: 'call me' })).toBe('Please enter a valid phone number');
+    expect(validateMemberProfile({ phone: '12-34' })).toBe('Please enter a valid phone number');
+    expect(validateMemberProfile({ notes: 'x'.repeat(1001) })).toBe('Notes must be at most 1000 characters');
+    expect(validateMemberProfile({ tags: 'captain' })).toBe('Tags must be a list of words');
+    expect(validateMemberProfile({ tags: Array.from({ length: MAX_TAGS + 1 }, (_, i) => `tag${i}`) }))
+      .toBe(`A member can have at most ${MAX_TAGS} tags`);
+    expect(validateMemberProfile({ expiresOn: '31/12/2026' })).toBe('Expiry must be a date (YYYY-MM-DD)');
+  });
+});
+
+describe('normalizeTags', () => {
+  it('trims tags and drops blanks and repeats', () => {
+    expect(normalizeTags([' captain', 'Paid', '', 'paid ', 'captain'])).toEqual(['captain', 'Paid']);
+  });
+});
+
+describe('membership expiry', () => {
+  it("runs to the end of the expiry day in the org's timezone", () => {
+    const today = getTodayId('Africa/Lagos', new Date('2026-03-31T23:30:00Z'));
+    expect(today).toBe('2026-04-01');
+    expect(isMembershipActive({ name: 'Ada Obi' }, today)).toBe(true);
+    expect(isMembershipActive({ name: 'Ada Obi', expiresOn: '2026-04-01' }, today)).toBe(true);
+    expect(isMembershipActive({ name: 'Ada Obi', expiresOn: '2026-03-31' }, today)).toBe(false);
+  });
+
+  it('carries over members whose membership is current', () => {
+    const mainList = [
+      { id: 1, name: 'Ada Obi', isWhitelisted: true },
+      { id: 2, name: 'Bayo Ade', isWhitelisted: true },
+      { id: 3, name: 'Chi Eze' },
+    ];
+    const whitelist = [{ name: 'Ada Obi', expiresOn: '2026-12-31' }, { name: 'bayo ade', expiresOn: '2026-01-31' }];
+
+    expect(getCarriedOverMembers(mainList, whitelist, '2026-03-12').map(p => p.name)).toEqual(['Ada Obi']);
+  });
+});
+
+describe('renameInList', () => {
+  it("renames the member's signup and their guests' host", () => {
+    const list = [
+      { id: 1, name: 'Ada Obi', isWhitelisted: true },
+      { id: 2, name: 'Tunde', isGuest: true, hostId: 1, hostName: 'Ada Obi' },
+      { id: 3, name: 'Bayo Ade' },
+    ];
+
+    expect(renameInList(list, 'ada obi', 'Ada Obi-Eze')).toEqual([
+      { id: 1, name: 'Ada Obi-Eze', isWhitelisted: true },
+      { id: 2, name: 'Tunde', isGuest: true, hostId: 1, hostName: 'Ada Obi-Eze' },
+      { id: 3, name: 'Bayo Ade' },
+    ]);
+  });
+});
+
+describe('getMemberHistory', () => {
+  it('collects periods, dropouts and strikes, under previous names too', () => {
+    const member = { name: 'Ada Obi-Eze', previousNames: ['Ada Obi'] };
+    // Guests aren't named in the play history, only counted
+    const history = [
+      { periodId: '2026-W11', mainList: ['Ada Obi-Eze'], guests: 0, waitlist: [], snoozed: [], checkedIn: ['Ada Obi-Eze'] },
+      { periodId: '2026-W10', mainList: ['Bayo Ade'], guests: 0, waitlist: ['Ada Obi'], snoozed: [], checkedIn: null },
+      { periodId: '2026-W09', mainList: ['Ada Obi'], guests: 0, waitlist: [], snoozed: [], checkedIn: [] },
+      { periodId: '2026-W08', mainList: ['Bayo Ade'], guests: 0, waitlist: [], snoozed: ['Ada Obi'], checkedIn: null },
+      { periodId: '2026-W07', mainList: ['Bayo Ade'], guests: 1, waitlist: [], snoozed: [], checkedIn: null },
+    ];
+    const dropoutLog = [
+      { name: 'Ada Obi', timestamp: '2026-03-01T10:00:00Z', list: 'main', periodId: '2026-W10' },
+      { name: 'Ada Obi', timestamp: '2026-02-20T10:00:00Z', list: 'main', periodId: '2026-W09', guestOf: 'Bayo Ade' },
+    ];
+    const strikes = [{ id: 's1', name: 'Ada Obi', reason: 'no-show', periodId: '2026-W09' }];
+
+    const result = getMemberHistory(member, { history, dropoutLog, strikes });
+
+    expect(result.periods).toEqual([
+      { periodId: '2026-W11', list: 'main', snoozed: false, checkedIn: true },
+      { periodId: '2026-W10', list: 'waitlist', snoozed: false, checkedIn: null },
+      { periodId: '2026-W09', list: 'main', snoozed: false, checkedIn: false },
+      { periodId: '2026-W08', list: null, snoozed: true, checkedIn: null },
+    ]);
+    expect(result.dropouts).toEqual([dropoutLog[0]]);
+    expect(result.strikes).toEqual(strikes);
+    expect(result.totals).toEqual({ mainList: 2, waitlist: 1, snoozed: 1, checkedIn: 1, noShows: 1, dropouts: 1 });
+  });
+});
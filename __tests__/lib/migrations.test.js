@@ -0,0 +1,301 @@
+/**
+ * Unit tests for org schema migrations (lib/migrations.js)
+ */
+
+import {
+  MIGRATIONS,
+  CURRENT_SCHEMA_VERSION,
+  getOrgSchemaVersion,
+  migrateOrgData,
+  ensureOrgSchema,
+} from '../../lib/migrations';
+import { validateSettings } from '../../lib/settings';
+import { PLAYER_TEMPLATE_TYPES } from '../../lib/templates';
+import { createMemoryDriver, setStorageDriver } from '../../lib/storage';
+
+// Run against the in-memory storage driver; tests seed and inspect kvStore directly
+const kvStore = {};
+setStorageDriver(createMemoryDriver(kvStore));
+
+const org = { id: 'org-1', slug: 'legacy-org', location: 'Victoria Island, Lagos', timezone: 'Africa/Lagos' };
+
+beforeEach(() => {
+  Object.keys(kvStore).forEach(key => delete kvStore[key]);
+});
+
+describe('MIGRATIONS registry', () => {
+  it('is ordered with consecutive versions starting at 1', () => {
+    MIGRATIONS.forEach((migration, index) => {
+      expect(migration.version).toBe(index + 1);
+      expect(typeof migration.up === 'function' || migration.settings === true).toBe(true);
+      expect(migration.description).toBeTruthy();
+    });
+    expect(CURRENT_SCHEMA_VERSION).toBe(MIGRATIONS.length);
+  });
+});
+
+describe('migrateOrgData', () => {
+  it('treats unversioned data as version 0 and upgrades it to current', async () => {
+    kvStore['org:org-1:settings'] = { mainListLimit: 20 };
+
+    const result = await migrateOrgData(org);
+
+    expect(result.from).toBe(0);
+    expect(result.to).toBe(CURRENT_SCHEMA_VERSION);
+    expect(result.applied).toEqual(MIGRATIONS.map(m => m.version));
+    expect(await getOrgSchemaVersion('org-1')).toBe(CURRENT_SCHEMA_VERSION);
+  });
+
+  it('does nothing when already current', async () => {
+    kvStore['org:org-1:schema-version'] = CURRENT_SCHEMA_VERSION;
+    kvStore['org:org-1:settings'] = { mainListLimit: 20 };
+
+    const result = await migrateOrgData(org);
+
+    expect(result.applied).toEqual([]);
+    expect(kvStore['org:org-1:settings']).toEqual({ mainListLimit: 20 });
+  });
+
+  it('only runs migrations newer than the stored version', async () => {
+    kvStore['org:org-1:schema-version'] = 1;
+    kvStore['org:org-1:settings'] = { mainListLimit: 20 };
+
+    const result = await migrateOrgData(org);
+
+    expect(result.applied).toEqual(MIGRATIONS.filter(m => m.version > 1).map(m => m.version));
+    // Settings migration (v1) was skipped, so the area wasn't filled from the org record
+    expect(kvStore['org:org-1:settings'].mainListLimit).toBe(20);
+    expect(kvStore['org:org-1:settings'].gameInfo?.location?.area || '').toBe('');
+  });
+
+  it('brings drifted settings to a valid canonical shape', async () => {
+    kvStore['org:org-1:settings'] = {
+      mainListLimit: 20,
+      accessPeriod: { enabled: true, startDay: 4, startHour: 12, startMinute: 0, endDay: 5, endHour: 10, endMinute: 0, timezone: 'Africa/Lagos' },
+      email: { enabled: true, recipients: ['organizer@example.com'], cc: [], bcc: [] },
+      gameInfo: {
+        enabled: true,
+        gameDay: 6,
+        startHour: 9,
+        startMinute: 0,
+        endHour: 11,
+        endMinute: 0,
+        location: { enabled: true, name: '1004 Estate', address: '', googleMapsUrl: '' },
+        weather: { enabled: true },
+      },
+    };
+
+    await migrateOrgData(org);
+    const settings = kvStore['org:org-1:settings'];
+
+    expect(validateSettings(settings)).toEqual({ valid: true, errors: [] });
+    expect(settings.email.recipients).toEqual(['organizer@example.com']);
+    expect(settings.email.subject).toBe('Weekly RSVP List - {{week}}');
+    expect(settings.gameInfo.location.name).toBe('1004 Estate');
+    expect(settings.gameInfo.location.area).toBe('Victoria Island, Lagos');
+    expect(settings.gameInfo.rules).toEqual({ enabled: false, items: [] });
+  });
+
+  it('keeps an area that was already set', async () => {
+    kvStore['org:org-1:settings'] = {
+      gameInfo: { location: { enabled: true, area: 'Ikoyi, Lagos', address: '' } },
+    };
+
+    await migrateOrgData(org);
+
+    expect(kvStore['org:org-1:settings'].gameInfo.location).toMatchObject({ name: '', area: 'Ikoyi, Lagos' });
+  });
+
+  it('converts legacy string snooze entries into snapshots', async () => {
+    kvStore['org:org-1:whitelist'] = [{ name: 'Ada Lovelace' }];
+    kvStore['org:org-1:snoozed'] = {
+      weekId: '2026-W10',
+      names: [
+        'ada lovelace',
+        { nameLC: 'grace', snapshot: { id: 5, name: 'Grace', timestamp: '2026-01-01T00:00:00Z', isWhitelisted: true } },
+      ],
+    };
+
+    await migrateOrgData(org);
+    const { weekId, names } = kvStore['org:org-1:snoozed'];
+
+    expect(weekId).toBe('2026-W10');
+    expect(names[0]).toMatchObject({
+      nameLC: 'ada lovelace',
+      snapshot: { name: 'Ada Lovelace', isWhitelisted: true },
+    });
+    expect(names[0].snapshot.id).toEqual(expect.any(Number));
+    expect(names[1]).toEqual({ nameLC: 'grace', snapshot: { id: 5, name: 'Grace', timestamp: '2026-01-01T00:00:00Z', isWhitelisted: true } });
+  });
+
+  it('fills in missing RSVP lists', async () => {
+    kvStore['org:org-1:rsvp-data'] = { mainList: [{ id: 1, name: 'Ada' }] };
+
+    await migrateOrgData(org);
+
+    expect(kvStore['org:org-1:rsvp-data']).toEqual({ mainList: [{ id: 1, name: 'Ada' }], waitlist: [] });
+  });
+
+  it('turns guests off for orgs at version 2', async () => {
+    kvStore['org:org-1:schema-version'] = 2;
+    kvStore['org:org-1:settings'] = { mainListLimit: 20 };
+
+    await migrateOrgData(org);
+
+    expect(kvStore['org:org-1:settings'].maxGuestsPerSignup).toBe(0);
+  });
+
+  it('adds penalty rules, turned off, for orgs at version 3', async () => {
+    kvStore['org:org-1:schema-version'] = 3;
+    kvStore['org:org-1:settings'] = { mainListLimit: 20, maxGuestsPerSignup: 2 };
+
+    await migrateOrgData(org);
+
+    expect(kvStore['org:org-1:settings'].penalties).toEqual(expect.objectContaining({ enabled: false, strikeLimit: 2 }));
+    expect(kvStore['org:org-1:settings'].maxGuestsPerSignup).toBe(2);
+  });
+
+  it('keeps orgs at version 4 first-come-first-served', async () => {
+    kvStore['org:org-1:schema-version'] = 4;
+    kvStore['org:org-1:settings'] = { mainListLimit: 20 };
+
+    await migrateOrgData(org);
+
+    expect(kvStore['org:org-1:settings'].allocationMode).toBe('first-come');
+  });
+
+  it('puts existing members of orgs at version 5 in the top tier', async () => {
+    kvStore['org:org-1:schema-version'] = 5;
+    kvStore['org:org-1:settings'] = { mainListLimit: 20 };
+    kvStore['org:org-1:whitelist'] = [{ name: 'Ada' }, { name: 'Bayo', tier: 'core' }];
+    kvStore['org:org-1:rsvp-data'] = {
+      mainList: [{ id: 1, name: 'Ada', isWhitelisted: true }, { id: 2, name: 'Chi' }],
+      waitlist: [],
+    };
+
+    await migrateOrgData(org);
+
+    expect(kvStore['org:org-1:settings'].tiers.map(t => t.id)).toEqual(['member', 'public']);
+    expect(kvStore['org:org-1:whitelist']).toEqual([{ name: 'Ada', tier: 'member' }, { name: 'Bayo', tier: 'core' }]);
+    expect(kvStore['org:org-1:rsvp-data'].mainList).toEqual([
+      { id: 1, name: 'Ada', isWhitelisted: true, tier: 'member' },
+      { id: 2, name: 'Chi' },
+    ]);
+  });
+
+  it('adds the new schedule fields to gameInfo for orgs at version 6', async () => {
+    kvStore['org:org-1:schema-version'] = 6;
+    kvStore['org:org-1:settings'] = { mainListLimit: 20, gameInfo: { enabled: true, recurrence: 'weekly', gameDay: 6 } };
+
+    await migrateOrgData(org);
+
+    expect(kvStore['org:org-1:settings'].gameInfo).toEqual(expect.objectContaining({
+      recurrence: 'weekly',
+      gameDay: 6,
+      gameDays: [],
+      anchorDate: null,
+      intervalDays: null,
+    }));
+  });
+
+  it('gives orgs at version 7 no skip dates', async () => {
+    kvStore['org:org-1:schema-version'] = 7;
+    kvStore['org:org-1:settings'] = { mainListLimit: 20 };
+
+    await migrateOrgData(org);
+
+    expect(kvStore['org:org-1:settings'].skipDates).toEqual([]);
+  });
+
+  it('gives orgs at version 8 the claim window, off', async () => {
+    kvStore['org:org-1:schema-version'] = 8;
+    kvStore['org:org-1:settings'] = { mainListLimit: 20 };
+
+    await migrateOrgData(org);
+
+    expect(kvStore['org:org-1:settings'].claimWindow).toEqual({ enabled: false, hours: 12 });
+  });
+
+  it('gives orgs at version 9 reminders, all off', async () => {
+    kvStore['org:org-1:schema-version'] = 9;
+    kvStore['org:org-1:settings'] = { mainListLimit: 20 };
+
+    await migrateOrgData(org);
+
+    expect(kvStore['org:org-1:settings'].reminders).toEqual({
+      windowOpens: false,
+      windowCloses: false,
+      hoursBeforeClose: 3,
+      gameTomorrow: false,
+      regularGames: 2,
+    });
+  });
+
+  it('gives orgs at version 10 default email templates, keeping the list email', async () => {
+    kvStore['org:org-1:schema-version'] = 10;
+    kvStore['org:org-1:settings'] = { mainListLimit: 20, email: { subject: 'Ultimate - {{week}}', body: 'Players: {{count}}' } };
+
+    await migrateOrgData(org);
+
+    const settings = kvStore['org:org-1:settings'];
+    expect(settings.email).toMatchObject({ subject: 'Ultimate - {{week}}', body: 'Players: {{count}}', html: '' });
+    expect(settings.templates.welcome).toEqual({ subject: '', body: '', html: '' });
+    expect(Object.keys(settings.templates)).toEqual(PLAYER_TEMPLATE_TYPES);
+  });
+
+  it('gives orgs at version 11 the leaderboard, off, and a play history from the archive', async () => {
+    kvStore['org:org-1:schema-version'] = 11;
+    kvStore['org:org-1:settings'] = { mainListLimit: 20 };
+    kvStore['org:org-1:archive'] = [
+      { weekId: '2026-W11', archivedAt: '2026-03-09T00:05:00Z', mainList: [{ id: 1, name: 'Ada Obi' }], waitlist: [] },
+      { weekId: '2026-W10', archivedAt: '2026-03-02T00:05:00Z', mainList: [{ id: 2, name: 'Bayo Ade' }], waitlist: [] },
+    ];
+    kvStore['org:org-1:attendance'] = [{ periodId: '2026-W11', checkedIn: [{ id: 1, name: 'Ada Obi' }] }];
+
+    await migrateOrgData(org);
+
+    expect(kvStore['org:org-1:settings'].leaderboard).toEqual({ enabled: false, seasonStart: null });
+    expect(kvStore['org:org-1:play-history']).toEqual([
+      expect.objectContaining({ periodId: '2026-W11', mainList: ['Ada Obi'], checkedIn: ['Ada Obi'] }),
+      expect.objectContaining({ periodId: '2026-W10', mainList: ['Bayo Ade'], checkedIn: null }),
+    ]);
+    expect(kvStore['org:org-1:schema-version']).toBe(12);
+  });
+
+  it('resumes after a failed migration without re-running earlier ones', async () => {
+    kvStore['org:org-1:settings'] = { mainListLimit: 20 };
+    const failing = jest.spyOn(MIGRATIONS[1], 'up').mockRejectedValueOnce(new Error('boom'));
+
+    await expect(migrateOrgData(org)).rejects.toThrow('boom');
+    expect(await getOrgSchemaVersion('org-1')).toBe(1);
+
+    const first = jest.spyOn(MIGRATIONS[0], 'up');
+    await migrateOrgData(org);
+
+    expect(first).not.toHaveBeenCalled();
+    expect(await getOrgSchemaVersion('org-1')).toBe(CURRENT_SCHEMA_VERSION);
+    failing.mockRestore();
+    first.mockRestore();
+  });
+});
+
+describe('ensureOrgSchema', () => {
+  it('upgrades an out-of-date org on read', async () => {
+    kvStore['org:org-1:settings'] = { mainListLimit: 20 };
+
+    await ensureOrgSchema(org);
+
+    expect(await getOrgSchemaVersion('org-1')).toBe(CURRENT_SCHEMA_VERSION);
+    expect(kvStore['org:org-1:settings'].gameInfo).toBeDefined();
+  });
+
+  it('migrates only once when several requests arrive together', async () => {
+    kvStore['org:org-1:settings'] = { mainListLimit: 20 };
+    const first = jest.spyOn(MIGRATIONS[0], 'up');
+
+    await Promise.all([ensureOrgSchema(org), ensureOrgSchema(org), ensureOrgSchema(org)]);
+
+    expect(first).toHaveBeenCalledTimes(1);
+    first.mockRestore();
+  });
+});
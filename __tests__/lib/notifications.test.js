@@ -0,0 +1,156 @@
+/**
+ * Unit tests for player email notifications (lib/notifications.js)
+ */
+
+// The mail driver is picked from RESEND_API_KEY, so the key is set as the mock loads
+jest.mock('resend', () => {
+  process.env.RESEND_API_KEY = 'test-key';
+  return { Resend: jest.fn(() => ({ emails: { send: (...args) => mockSend(...args) } })) };
+});
+
+import {
+  isValidEmail,
+  setPlayerEmail,
+  optOut,
+  getRecipients,
+  notifyPromotions,
+} from '../../lib/notifications';
+import { getLinkSecret } from '../../lib/auth';
+import { getClaimToken } from '../../lib/claims';
+import { createMemoryDriver, setStorageDriver } from '../../lib/storage';
+
+const mockSend = jest.fn();
+
+// Run against the in-memory storage driver; tests seed and inspect kvStore directly
+const kvStore = {};
+setStorageDriver(createMemoryDriver(kvStore));
+
+const org = { id: 'org-1', slug: 'lagos-ultimate', name: 'Lagos Ultimate' };
+
+beforeEach(() => {
+  Object.keys(kvStore).forEach(key => delete kvStore[key]);
+  jest.clearAllMocks();
+  mockSend.mockResolvedValue({ data: { id: 'email-1' } });
+});
+
+describe('isValidEmail', () => {
+  it('accepts addresses and rejects anything else', () => {
+    expect(isValidEmail('ada@example.com')).toBe(true);
+    expect(isValidEmail('ada@example')).toBe(false);
+    expect(isValidEmail('ada obi@example.com')).toBe(false);
+    expect(isValidEmail(`${'a'.repeat(250)}@example.com`)).toBe(false);
+    expect(isValidEmail(null)).toBe(false);
+  });
+});
+
+describe('setPlayerEmail', () => {
+  it('keeps emails by device, away from the lists', async () => {
+    await setPlayerEmail(org.id, 'device-ada', ' Ada@Example.com ');
+
+    const data = kvStore['org:org-1:notifications'];
+    expect(data.devices).toEqual({ 'device-ada': 'ada@example.com' });
+    expect(data.contacts['ada@example.com']).toEqual({ token: expect.stringMatching(/^[0-9a-f]{32}$/), optedOutAt: null });
+  });
+
+  it('forgets the device when the email is left blank', async () => {
+    await setPlayerEmail(org.id, 'device-ada', 'ada@example.com');
+    await setPlayerEmail(org.id, 'device-ada', '');
+
+    expect(kvStore['org:org-1:notifications'].devices).toEqual({});
+  });
+
+  it('subscribes an opted-out address again, keeping its token', async () => {
+    await setPlayerEmail(org.id, 'device-ada', 'ada@example.com');
+    const { token } = kvStore['org:org-1:notifications'].contacts['ada@example.com'];
+    await optOut(org.id, token);
+
+    await setPlayerEmail(org.id, 'device-ada', 'ada@example.com');
+
+    expect(kvStore['org:org-1:notifications'].contacts['ada@example.com']).toEqual({ token, optedOutAt: null });
+  });
+});
+
+describe('optOut', () => {
+  it('marks the address as opted out', async () => {
+    await setPlayerEmail(org.id, 'device-ada', 'ada@example.com');
+    const { token } = kvStore['org:org-1:notifications'].contacts['ada@example.com'];
+
+    expect(await optOut(org.id, token)).toBe(true);
+    expect(kvStore['org:org-1:notifications'].contacts['ada@example.com'].optedOutAt).toEqual(expect.any(String));
+  });
+
+  it('rejects an unknown token', async () => {
+    expect(await optOut(org.id, 'nope')).toBe(false);
+  });
+});
+
+describe('getRecipients', () => {
+  it("uses the device's email, then the membership's", async () => {
+    await setPlayerEmail(org.id, 'device-ada', 'ada@example.com');
+    kvStore['org:org-1:whitelist'] = [{ name: 'Bayo Ade', email: 'Bayo@Example.com' }];
+
+    const recipients = await getRecipients(org.id, [
+      { id: 1, name: 'Ada Obi', deviceId: 'device-ada' },
+      { id: 2, name: 'bayo ade', deviceId: 'device-bayo' },
+      { id: 3, name: 'Chi Eze', deviceId: 'device-chi' },
+      { id: 4, name: "Ada Obi's guest", deviceId: 'device-ada', isGuest: true },
+    ]);
+
+    expect(recipients.map(r => [r.person.id, r.email])).toEqual([[1, 'ada@example.com'], [2, 'bayo@example.com']]);
+    // Member emails get an unsubscribe token too
+    expect(recipients[1].token).toBe(kvStore['org:org-1:notifications'].contacts['bayo@example.com'].token);
+  });
+
+  it('leaves out opted-out addresses', async () => {
+    kvStore['org:org-1:whitelist'] = [{ name: 'Bayo Ade', email: 'bayo@example.com' }];
+    const [{ token }] = await getRecipients(org.id, [{ id: 2, name: 'Bayo Ade' }]);
+    await optOut(org.id, token);
+
+    expect(await getRecipients(org.id, [{ id: 2, name: 'Bayo Ade' }])).toEqual([]);
+  });
+});
+
+describe('notifyPromotions', () => {
+  it('emails each promoted player with an unsubscribe link', async () => {
+    await setPlayerEmail(org.id, 'device-ada', 'ada@example.com');
+    const { token } = kvStore['org:org-1:notifications'].contacts['ada@example.com'];
+
+    const sent = await notifyPromotions(org, [{ id: 1, name: 'Ada Obi', deviceId: 'device-ada' }]);
+
+    expect(sent).toBe(1);
+    expect(mockSend).toHaveBeenCalledTimes(1);
+    const email = mockSend.mock.calls[0][0];
+    expect(email).toMatchObject({
+      from: 'Lagos Ultimate <noreply@itsplayday.com>',
+      to: 'ada@example.com',
+      subject: "Lagos Ultimate - You're off the waitlist!",
+    });
+    expect(email.html).toContain('Hi Ada Obi!');
+    expect(email.html).toContain(`https://itsplayday.com/lagos-ultimate?unsubscribe=${token}`);
+  });
+
+  it('asks a player holding a spot to claim it', async () => {
+    await setPlayerEmail(org.id, 'device-ada', 'ada@example.com');
+    const person = {
+      id: 1,
+      name: 'Ada Obi',
+      deviceId: 'device-ada',
+      pendingClaim: { promotedAt: '2026-03-12T12:00:00.000Z', expiresAt: '2026-03-13T00:00:00.000Z' },
+    };
+
+    await notifyPromotions(org, [person], { timezone: 'Africa/Lagos' });
+
+    const email = mockSend.mock.calls[0][0];
+    expect(email.subject).toBe('Lagos Ultimate - Claim your spot by Fri 1:00 AM');
+    expect(email.html).toContain(`https://itsplayday.com/lagos-ultimate?claim=${getClaimToken('device-ada', await getLinkSecret())}`);
+  });
+
+  it('does not count failed sends', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockSend.mockRejectedValue(new Error('Resend is down'));
+    await setPlayerEmail(org.id, 'device-ada', 'ada@example.com');
+
+    expect(await notifyPromotions(org, [{ id: 1, name: 'Ada Obi', deviceId: 'device-ada' }])).toBe(0);
+    console.error.mockRestore();
+  });
+});
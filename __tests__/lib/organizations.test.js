@@ -16,22 +16,6 @@ if (!global.crypto.randomUUID) {
   };
 }
 
-// Mock @vercel/kv
-const mockKvStore = {};
-jest.mock('@vercel/kv', () => ({
-  kv: {
-    get: jest.fn((key) => Promise.resolve(mockKvStore[key])),
-    set: jest.fn((key, value) => {
-      mockKvStore[key] = value;
-      return Promise.resolve();
-    }),
-    del: jest.fn((key) => {
-      delete mockKvStore[key];
-      return Promise.resolve();
-    }),
-  },
-}));
-
 import {
   validateSlug,
   isSlugTaken,
@@ -47,11 +31,23 @@ import {
   createOrganization,
   updateOrganization,
   organizerOwnsOrg,
+  deleteOrganization,
+  deleteOrganizer,
+  importOrganizations,
+  importOrganizers,
+  migrateLegacyOrganizationRecords,
 } from '../../lib/organizations';
+import { CURRENT_SCHEMA_VERSION } from '../../lib/migrations';
+import { validateSettings } from '../../lib/settings';
+import { createMemoryDriver, setStorageDriver } from '../../lib/storage';
+
+// Run against the in-memory storage driver; tests seed and inspect kvStore directly
+const kvStore = {};
+setStorageDriver(createMemoryDriver(kvStore));
 
 // Clear store between tests
 beforeEach(() => {
-  Object.keys(mockKvStore).forEach(key => delete mockKvStore[key]);
+  Object.keys(kvStore).forEach(key => delete kvStore[key]);
   jest.clearAllMocks();
 });
 
@@ -110,27 +106,27 @@ describe('Slug Validation', () => {
 
 describe('isSlugTaken', () => {
   it('returns false for available slugs', async () => {
-    mockKvStore['playday:organizations'] = [
-      { slug: 'existing-org' }
-    ];
+    await importOrganizations([
+      { id: 'org-1', slug: 'existing-org' }
+    ]);
 
     const taken = await isSlugTaken('new-org');
     expect(taken).toBe(false);
   });
 
   it('returns true for taken slugs', async () => {
-    mockKvStore['playday:organizations'] = [
-      { slug: 'existing-org' }
-    ];
+    await importOrganizations([
+      { id: 'org-1', slug: 'existing-org' }
+    ]);
 
     const taken = await isSlugTaken('existing-org');
     expect(taken).toBe(true);
   });
 
   it('is case-insensitive', async () => {
-    mockKvStore['playday:organizations'] = [
-      { slug: 'my-org' }
-    ];
+    await importOrganizations([
+      { id: 'org-1', slug: 'my-org' }
+    ]);
 
     const taken = await isSlugTaken('MY-ORG');
     expect(taken).toBe(true);
@@ -145,9 +141,9 @@ describe('Organizer CRUD', () => {
     });
 
     it('returns existing organizers', async () => {
-      mockKvStore['playday:organizers'] = [
+      await importOrganizers([
         { id: '1', email: 'test@example.com', name: 'Test User' }
-      ];
+      ]);
 
       const organizers = await getOrganizers();
       expect(organizers).toHaveLength(1);
@@ -157,16 +153,14 @@ describe('Organizer CRUD', () => {
 
   describe('getOrganizerById', () => {
     it('returns null for non-existent organizer', async () => {
-      mockKvStore['playday:organizers'] = [];
-
       const organizer = await getOrganizerById('non-existent');
       expect(organizer).toBeNull();
     });
 
     it('finds organizer by ID', async () => {
-      mockKvStore['playday:organizers'] = [
+      await importOrganizers([
         { id: 'org-123', email: 'test@example.com' }
-      ];
+      ]);
 
       const organizer = await getOrganizerById('org-123');
       expect(organizer).not.toBeNull();
@@ -176,9 +170,9 @@ describe('Organizer CRUD', () => {
 
   describe('getOrganizerByEmail', () => {
     it('finds organizer by email (case-insensitive)', async () => {
-      mockKvStore['playday:organizers'] = [
+      await importOrganizers([
         { id: '1', email: 'Test@Example.com' }
-      ];
+      ]);
 
       const organizer = await getOrganizerByEmail('test@example.com');
       expect(organizer).not.toBeNull();
@@ -187,8 +181,6 @@ describe('Organizer CRUD', () => {
 
   describe('createOrganizer', () => {
     it('creates a pending organizer', async () => {
-      mockKvStore['playday:organizers'] = [];
-
       const organizer = await createOrganizer({
         email: 'new@example.com',
         name: 'New User',
@@ -203,9 +195,9 @@ describe('Organizer CRUD', () => {
     });
 
     it('throws error for duplicate email', async () => {
-      mockKvStore['playday:organizers'] = [
+      await importOrganizers([
         { id: '1', email: 'existing@example.com' }
-      ];
+      ]);
 
       await expect(createOrganizer({
         email: 'existing@example.com',
@@ -216,9 +208,9 @@ describe('Organizer CRUD', () => {
 
   describe('updateOrganizerStatus', () => {
     it('approves an organizer', async () => {
-      mockKvStore['playday:organizers'] = [
+      await importOrganizers([
         { id: 'org-1', email: 'test@example.com', status: 'pending', approvedAt: null }
-      ];
+      ]);
 
       const updated = await updateOrganizerStatus('org-1', 'approved');
 
@@ -227,8 +219,6 @@ describe('Organizer CRUD', () => {
     });
 
     it('throws error for non-existent organizer', async () => {
-      mockKvStore['playday:organizers'] = [];
-
       await expect(updateOrganizerStatus('non-existent', 'approved'))
         .rejects.toThrow('Organizer not found');
     });
@@ -245,9 +235,9 @@ describe('Organization CRUD', () => {
 
   describe('getOrganizationBySlug', () => {
     it('finds organization by slug', async () => {
-      mockKvStore['playday:organizations'] = [
+      await importOrganizations([
         { id: 'org-1', slug: 'my-org', name: 'My Org' }
-      ];
+      ]);
 
       const org = await getOrganizationBySlug('my-org');
       expect(org).not.toBeNull();
@@ -255,8 +245,6 @@ describe('Organization CRUD', () => {
     });
 
     it('returns null for non-existent slug', async () => {
-      mockKvStore['playday:organizations'] = [];
-
       const org = await getOrganizationBySlug('non-existent');
       expect(org).toBeNull();
     });
@@ -264,11 +252,11 @@ describe('Organization CRUD', () => {
 
   describe('getOrganizationsByOwner', () => {
     it('returns only organizations owned by the organizer', async () => {
-      mockKvStore['playday:organizations'] = [
+      await importOrganizations([
         { id: '1', slug: 'org-1', ownerId: 'owner-a' },
         { id: '2', slug: 'org-2', ownerId: 'owner-b' },
         { id: '3', slug: 'org-3', ownerId: 'owner-a' },
-      ];
+      ]);
 
       const orgs = await getOrganizationsByOwner('owner-a');
       expect(orgs).toHaveLength(2);
@@ -278,8 +266,6 @@ describe('Organization CRUD', () => {
 
   describe('createOrganization', () => {
     it('creates an organization with default settings', async () => {
-      mockKvStore['playday:organizations'] = [];
-
       const org = await createOrganization({
         slug: 'new-org',
         name: 'New Organization',
@@ -297,8 +283,6 @@ describe('Organization CRUD', () => {
     });
 
     it('normalizes slug on creation', async () => {
-      mockKvStore['playday:organizations'] = [];
-
       const org = await createOrganization({
         slug: 'NEW-ORG',
         name: 'New Organization',
@@ -310,9 +294,9 @@ describe('Organization CRUD', () => {
     });
 
     it('throws error for duplicate slug', async () => {
-      mockKvStore['playday:organizations'] = [
-        { slug: 'existing-org' }
-      ];
+      await importOrganizations([
+        { id: 'org-1', slug: 'existing-org' }
+      ]);
 
       await expect(createOrganization({
         slug: 'existing-org',
@@ -323,8 +307,6 @@ describe('Organization CRUD', () => {
     });
 
     it('throws error for invalid slug', async () => {
-      mockKvStore['playday:organizations'] = [];
-
       await expect(createOrganization({
         slug: 'ab', // too short
         name: 'New Org',
@@ -334,8 +316,6 @@ describe('Organization CRUD', () => {
     });
 
     it('stores streetAddress and location on the org record', async () => {
-      mockKvStore['playday:organizations'] = [];
-
       const org = await createOrganization({
         slug: 'street-org',
         name: 'Street Org',
@@ -350,8 +330,6 @@ describe('Organization CRUD', () => {
     });
 
     it('uses maxParticipants for mainListLimit in settings', async () => {
-      mockKvStore['playday:organizations'] = [];
-
       const org = await createOrganization({
         slug: 'max-org',
         name: 'Max Org',
@@ -360,13 +338,11 @@ describe('Organization CRUD', () => {
         maxParticipants: 20,
       });
 
-      const settings = mockKvStore[`org:${org.id}:settings`];
+      const settings = kvStore[`org:${org.id}:settings`];
       expect(settings.mainListLimit).toBe(20);
     });
 
     it('defaults mainListLimit to 30 when maxParticipants not provided', async () => {
-      mockKvStore['playday:organizations'] = [];
-
       const org = await createOrganization({
         slug: 'default-org',
         name: 'Default Org',
@@ -374,13 +350,11 @@ describe('Organization CRUD', () => {
         ownerId: 'owner-123',
       });
 
-      const settings = mockKvStore[`org:${org.id}:settings`];
+      const settings = kvStore[`org:${org.id}:settings`];
       expect(settings.mainListLimit).toBe(30);
     });
 
     it('presets organizer email in CC field', async () => {
-      mockKvStore['playday:organizations'] = [];
-
       const org = await createOrganization({
         slug: 'email-org',
         name: 'Email Org',
@@ -389,13 +363,11 @@ describe('Organization CRUD', () => {
         organizerEmail: 'organizer@example.com',
       });
 
-      const settings = mockKvStore[`org:${org.id}:settings`];
+      const settings = kvStore[`org:${org.id}:settings`];
       expect(settings.email.cc).toEqual(['organizer@example.com']);
     });
 
     it('initializes gameInfo in settings from gameSchedule', async () => {
-      mockKvStore['playday:organizations'] = [];
-
       const org = await createOrganization({
         slug: 'game-org',
         name: 'Game Org',
@@ -410,7 +382,7 @@ describe('Organization CRUD', () => {
         },
       });
 
-      const settings = mockKvStore[`org:${org.id}:settings`];
+      const settings = kvStore[`org:${org.id}:settings`];
       expect(settings.gameInfo.enabled).toBe(true);
       expect(settings.gameInfo.gameDay).toBe(6);
       expect(settings.gameInfo.startHour).toBe(10);
@@ -420,8 +392,6 @@ describe('Organization CRUD', () => {
     });
 
     it('defaults recurrence to weekly in gameInfo', async () => {
-      mockKvStore['playday:organizations'] = [];
-
       const org = await createOrganization({
         slug: 'weekly-org',
         name: 'Weekly Org',
@@ -430,14 +400,12 @@ describe('Organization CRUD', () => {
         gameSchedule: { gameDay: 6, startHour: 10, startMinute: 0, endHour: 12, endMinute: 0 },
       });
 
-      const settings = mockKvStore[`org:${org.id}:settings`];
+      const settings = kvStore[`org:${org.id}:settings`];
       expect(settings.gameInfo.recurrence).toBe('weekly');
       expect(settings.gameInfo.monthlyOccurrence).toBeNull();
     });
 
     it('stores monthly recurrence with occurrence in gameInfo', async () => {
-      mockKvStore['playday:organizations'] = [];
-
       const org = await createOrganization({
         slug: 'monthly-org',
         name: 'Monthly Org',
@@ -454,14 +422,12 @@ describe('Organization CRUD', () => {
         },
       });
 
-      const settings = mockKvStore[`org:${org.id}:settings`];
+      const settings = kvStore[`org:${org.id}:settings`];
       expect(settings.gameInfo.recurrence).toBe('monthly');
       expect(settings.gameInfo.monthlyOccurrence).toBe(2);
     });
 
     it('stores last monthly occurrence in gameInfo', async () => {
-      mockKvStore['playday:organizations'] = [];
-
       const org = await createOrganization({
         slug: 'last-monthly-org',
         name: 'Last Monthly Org',
@@ -478,15 +444,41 @@ describe('Organization CRUD', () => {
         },
       });
 
-      const settings = mockKvStore[`org:${org.id}:settings`];
+      const settings = kvStore[`org:${org.id}:settings`];
       expect(settings.gameInfo.recurrence).toBe('monthly');
       expect(settings.gameInfo.monthlyOccurrence).toBe('last');
       expect(settings.gameInfo.gameDay).toBe(0);
     });
 
-    it('initializes location in gameInfo from org location/streetAddress', async () => {
-      mockKvStore['playday:organizations'] = [];
+    it('stores biweekly, multi-day and interval schedules in gameInfo', async () => {
+      const org = await createOrganization({
+        slug: 'biweekly-org',
+        name: 'Biweekly Org',
+        sport: 'frisbee',
+        ownerId: 'owner-123',
+        gameSchedule: {
+          gameDay: 6,
+          startHour: 10,
+          startMinute: 0,
+          endHour: 12,
+          endMinute: 0,
+          recurrence: 'biweekly',
+          anchorDate: '2026-03-14',
+        },
+      });
 
+      const settings = kvStore[`org:${org.id}:settings`];
+      expect(settings.gameInfo).toEqual(expect.objectContaining({
+        recurrence: 'biweekly',
+        gameDay: 6,
+        gameDays: [],
+        anchorDate: '2026-03-14',
+        intervalDays: null,
+      }));
+      expect(validateSettings(settings).valid).toBe(true);
+    });
+
+    it('initializes location in gameInfo from org location/streetAddress', async () => {
       const org = await createOrganization({
         slug: 'loc-org',
         name: 'Location Org',
@@ -496,15 +488,13 @@ describe('Organization CRUD', () => {
         ownerId: 'owner-123',
       });
 
-      const settings = mockKvStore[`org:${org.id}:settings`];
+      const settings = kvStore[`org:${org.id}:settings`];
       expect(settings.gameInfo.location.enabled).toBe(true);
       expect(settings.gameInfo.location.area).toBe('Lekki');
       expect(settings.gameInfo.location.address).toBe('123 Admiralty Way');
     });
 
     it('disables location in gameInfo when no streetAddress', async () => {
-      mockKvStore['playday:organizations'] = [];
-
       const org = await createOrganization({
         slug: 'noloc-org',
         name: 'No Location Org',
@@ -512,13 +502,11 @@ describe('Organization CRUD', () => {
         ownerId: 'owner-123',
       });
 
-      const settings = mockKvStore[`org:${org.id}:settings`];
+      const settings = kvStore[`org:${org.id}:settings`];
       expect(settings.gameInfo.location.enabled).toBe(false);
     });
 
     it('initializes empty RSVP data, whitelist, and archive', async () => {
-      mockKvStore['playday:organizations'] = [];
-
       const org = await createOrganization({
         slug: 'init-org',
         name: 'Init Org',
@@ -526,16 +514,14 @@ describe('Organization CRUD', () => {
         ownerId: 'owner-123',
       });
 
-      expect(mockKvStore[`org:${org.id}:rsvp-data`]).toEqual({ mainList: [], waitlist: [] });
-      expect(mockKvStore[`org:${org.id}:whitelist`]).toEqual([]);
-      expect(mockKvStore[`org:${org.id}:archive`]).toEqual([]);
+      expect(kvStore[`org:${org.id}:rsvp-data`]).toEqual({ mainList: [], waitlist: [] });
+      expect(kvStore[`org:${org.id}:whitelist`]).toEqual([]);
+      expect(kvStore[`org:${org.id}:archive`]).toEqual([]);
     });
   });
 
   describe('createOrganization - access period calculation', () => {
     it('disables access period for always-open preset', async () => {
-      mockKvStore['playday:organizations'] = [];
-
       const org = await createOrganization({
         slug: 'open-org',
         name: 'Always Open Org',
@@ -545,13 +531,11 @@ describe('Organization CRUD', () => {
         gameSchedule: { gameDay: 6, startHour: 10, startMinute: 0, endHour: 12, endMinute: 0 },
       });
 
-      const settings = mockKvStore[`org:${org.id}:settings`];
+      const settings = kvStore[`org:${org.id}:settings`];
       expect(settings.accessPeriod.enabled).toBe(false);
     });
 
     it('calculates 6-hour preset correctly (close 6h before game start)', async () => {
-      mockKvStore['playday:organizations'] = [];
-
       // Game on Saturday (6) at 17:00-19:00
       const org = await createOrganization({
         slug: 'six-hour-org',
@@ -562,7 +546,7 @@ describe('Organization CRUD', () => {
         gameSchedule: { gameDay: 6, startHour: 17, startMinute: 0, endHour: 19, endMinute: 0 },
       });
 
-      const settings = mockKvStore[`org:${org.id}:settings`];
+      const settings = kvStore[`org:${org.id}:settings`];
       expect(settings.accessPeriod.enabled).toBe(true);
       // Close: 17 - 6 = 11:00 on Saturday
       expect(settings.accessPeriod.endDay).toBe(6);
@@ -575,8 +559,6 @@ describe('Organization CRUD', () => {
     });
 
     it('calculates 24-hour preset with day underflow', async () => {
-      mockKvStore['playday:organizations'] = [];
-
       // Game on Monday (1) at 10:00-12:00
       // 24h before 10:00 Monday = 10:00 Sunday
       const org = await createOrganization({
@@ -588,7 +570,7 @@ describe('Organization CRUD', () => {
         gameSchedule: { gameDay: 1, startHour: 10, startMinute: 0, endHour: 12, endMinute: 0 },
       });
 
-      const settings = mockKvStore[`org:${org.id}:settings`];
+      const settings = kvStore[`org:${org.id}:settings`];
       expect(settings.accessPeriod.enabled).toBe(true);
       // Close: 10 - 24 = -14 → wraps to Sunday (0) at 10:00
       expect(settings.accessPeriod.endDay).toBe(0);
@@ -597,8 +579,6 @@ describe('Organization CRUD', () => {
     });
 
     it('calculates 48-hour preset wrapping multiple days', async () => {
-      mockKvStore['playday:organizations'] = [];
-
       // Game on Tuesday (2) at 18:00-20:00
       // 48h before 18:00 Tuesday = 18:00 Sunday (day 0)
       const org = await createOrganization({
@@ -610,7 +590,7 @@ describe('Organization CRUD', () => {
         gameSchedule: { gameDay: 2, startHour: 18, startMinute: 0, endHour: 20, endMinute: 0 },
       });
 
-      const settings = mockKvStore[`org:${org.id}:settings`];
+      const settings = kvStore[`org:${org.id}:settings`];
       expect(settings.accessPeriod.enabled).toBe(true);
       // Close: 18 - 48 = -30 → day 2 - 2 = 0 (Sunday), hour 18
       expect(settings.accessPeriod.endDay).toBe(0);
@@ -618,9 +598,40 @@ describe('Organization CRUD', () => {
       expect(settings.accessPeriod.endMinute).toBe(0);
     });
 
-    it('handles open time minute overflow (e.g. game ends at 19:59)', async () => {
-      mockKvStore['playday:organizations'] = [];
+    it('opens the window the day after the previous game for several games a week', async () => {
+      // Tuesdays and Thursdays at 18:00; the shortest gap is 2 days
+      const org = await createOrganization({
+        slug: 'twice-weekly-org',
+        name: 'Twice Weekly Org',
+        sport: 'frisbee',
+        ownerId: 'owner-123',
+        rsvpWindowPreset: '6-hours',
+        gameSchedule: { gameDay: 2, gameDays: [2, 4], startHour: 18, startMinute: 0, endHour: 20, endMinute: 0 },
+      });
+
+      const settings = kvStore[`org:${org.id}:settings`];
+      // Open: midnight the day before (Monday for Tuesday's game)
+      expect(settings.accessPeriod).toEqual(expect.objectContaining({ startDay: 1, startHour: 0, startMinute: 0 }));
+      // Close: 6 hours before the game
+      expect(settings.accessPeriod).toEqual(expect.objectContaining({ endDay: 2, endHour: 12, endMinute: 0 }));
+      expect(validateSettings(settings).valid).toBe(true);
+    });
 
+    it('opens a biweekly window at most six days before the game', async () => {
+      const org = await createOrganization({
+        slug: 'biweekly-window-org',
+        name: 'Biweekly Window Org',
+        sport: 'frisbee',
+        ownerId: 'owner-123',
+        rsvpWindowPreset: '24-hours',
+        gameSchedule: { gameDay: 6, startHour: 10, startMinute: 0, endHour: 12, endMinute: 0, recurrence: 'biweekly', anchorDate: '2026-03-14' },
+      });
+
+      const settings = kvStore[`org:${org.id}:settings`];
+      expect(settings.accessPeriod).toEqual(expect.objectContaining({ startDay: 0, startHour: 0, endDay: 5, endHour: 10 }));
+    });
+
+    it('handles open time minute overflow (e.g. game ends at 19:59)', async () => {
       const org = await createOrganization({
         slug: 'minute-wrap-org',
         name: 'Minute Wrap Org',
@@ -630,7 +641,7 @@ describe('Organization CRUD', () => {
         gameSchedule: { gameDay: 5, startHour: 17, startMinute: 0, endHour: 19, endMinute: 59 },
       });
 
-      const settings = mockKvStore[`org:${org.id}:settings`];
+      const settings = kvStore[`org:${org.id}:settings`];
       // Open: 19:59 + 1min = 20:00 on Friday
       expect(settings.accessPeriod.startDay).toBe(5);
       expect(settings.accessPeriod.startHour).toBe(20);
@@ -638,8 +649,6 @@ describe('Organization CRUD', () => {
     });
 
     it('handles open time hour overflow (game ends at 23:59)', async () => {
-      mockKvStore['playday:organizations'] = [];
-
       const org = await createOrganization({
         slug: 'hour-wrap-org',
         name: 'Hour Wrap Org',
@@ -649,7 +658,7 @@ describe('Organization CRUD', () => {
         gameSchedule: { gameDay: 3, startHour: 22, startMinute: 0, endHour: 23, endMinute: 59 },
       });
 
-      const settings = mockKvStore[`org:${org.id}:settings`];
+      const settings = kvStore[`org:${org.id}:settings`];
       // Open: 23:59 + 1min = 00:00 on Thursday (next day)
       expect(settings.accessPeriod.startDay).toBe(4);
       expect(settings.accessPeriod.startHour).toBe(0);
@@ -657,8 +666,6 @@ describe('Organization CRUD', () => {
     });
 
     it('uses custom RSVP timing when provided', async () => {
-      mockKvStore['playday:organizations'] = [];
-
       const org = await createOrganization({
         slug: 'custom-org',
         name: 'Custom Org',
@@ -681,7 +688,7 @@ describe('Organization CRUD', () => {
         },
       });
 
-      const settings = mockKvStore[`org:${org.id}:settings`];
+      const settings = kvStore[`org:${org.id}:settings`];
       expect(settings.accessPeriod.enabled).toBe(true);
       expect(settings.accessPeriod.startDay).toBe(4);
       expect(settings.accessPeriod.startHour).toBe(12);
@@ -692,8 +699,6 @@ describe('Organization CRUD', () => {
     });
 
     it('defaults timezone to Africa/Lagos when not provided', async () => {
-      mockKvStore['playday:organizations'] = [];
-
       const org = await createOrganization({
         slug: 'tz-org',
         name: 'TZ Org',
@@ -701,13 +706,11 @@ describe('Organization CRUD', () => {
         ownerId: 'owner-123',
       });
 
-      const settings = mockKvStore[`org:${org.id}:settings`];
+      const settings = kvStore[`org:${org.id}:settings`];
       expect(settings.accessPeriod.timezone).toBe('Africa/Lagos');
     });
 
     it('uses provided timezone', async () => {
-      mockKvStore['playday:organizations'] = [];
-
       const org = await createOrganization({
         slug: 'custom-tz-org',
         name: 'Custom TZ Org',
@@ -716,16 +719,16 @@ describe('Organization CRUD', () => {
         timezone: 'America/New_York',
       });
 
-      const settings = mockKvStore[`org:${org.id}:settings`];
+      const settings = kvStore[`org:${org.id}:settings`];
       expect(settings.accessPeriod.timezone).toBe('America/New_York');
     });
   });
 
   describe('updateOrganization', () => {
     it('updates allowed fields', async () => {
-      mockKvStore['playday:organizations'] = [
+      await importOrganizations([
         { id: 'org-1', slug: 'my-org', name: 'Old Name', sport: 'frisbee' }
-      ];
+      ]);
 
       const updated = await updateOrganization('org-1', {
         name: 'New Name',
@@ -737,9 +740,9 @@ describe('Organization CRUD', () => {
     });
 
     it('updates streetAddress field', async () => {
-      mockKvStore['playday:organizations'] = [
+      await importOrganizations([
         { id: 'org-1', slug: 'my-org', name: 'Test Org' }
-      ];
+      ]);
 
       const updated = await updateOrganization('org-1', {
         streetAddress: '456 Main Street',
@@ -749,9 +752,9 @@ describe('Organization CRUD', () => {
     });
 
     it('updates visibility field', async () => {
-      mockKvStore['playday:organizations'] = [
+      await importOrganizations([
         { id: 'org-1', slug: 'my-org', name: 'Test Org', visibility: 'public' }
-      ];
+      ]);
 
       const updated = await updateOrganization('org-1', {
         visibility: 'private',
@@ -761,9 +764,9 @@ describe('Organization CRUD', () => {
     });
 
     it('updates displayOrder field', async () => {
-      mockKvStore['playday:organizations'] = [
+      await importOrganizations([
         { id: 'org-1', slug: 'my-org', name: 'Test Org' }
-      ];
+      ]);
 
       const updated = await updateOrganization('org-1', {
         displayOrder: 3,
@@ -773,9 +776,9 @@ describe('Organization CRUD', () => {
     });
 
     it('ignores non-allowed fields', async () => {
-      mockKvStore['playday:organizations'] = [
+      await importOrganizations([
         { id: 'org-1', slug: 'my-org', name: 'Test Org', ownerId: 'owner-123' }
-      ];
+      ]);
 
       const updated = await updateOrganization('org-1', {
         ownerId: 'hacker-456',
@@ -787,9 +790,9 @@ describe('Organization CRUD', () => {
     });
 
     it('sets updatedAt timestamp', async () => {
-      mockKvStore['playday:organizations'] = [
+      await importOrganizations([
         { id: 'org-1', slug: 'my-org', name: 'Test Org' }
-      ];
+      ]);
 
       const updated = await updateOrganization('org-1', { name: 'Updated Org' });
 
@@ -797,27 +800,25 @@ describe('Organization CRUD', () => {
     });
 
     it('validates new slug when updating slug', async () => {
-      mockKvStore['playday:organizations'] = [
+      await importOrganizations([
         { id: 'org-1', slug: 'my-org', name: 'Test Org' }
-      ];
+      ]);
 
       await expect(updateOrganization('org-1', { slug: 'ab' }))
         .rejects.toThrow();
     });
 
     it('rejects duplicate slug when updating', async () => {
-      mockKvStore['playday:organizations'] = [
+      await importOrganizations([
         { id: 'org-1', slug: 'my-org', name: 'Org 1' },
         { id: 'org-2', slug: 'taken-org', name: 'Org 2' },
-      ];
+      ]);
 
       await expect(updateOrganization('org-1', { slug: 'taken-org' }))
         .rejects.toThrow('already taken');
     });
 
     it('throws error for non-existent organization', async () => {
-      mockKvStore['playday:organizations'] = [];
-
       await expect(updateOrganization('non-existent', { name: 'New Name' }))
         .rejects.toThrow('Organization not found');
     });
@@ -825,21 +826,153 @@ describe('Organization CRUD', () => {
 
   describe('organizerOwnsOrg', () => {
     it('returns true when organizer owns the org', async () => {
-      mockKvStore['playday:organizations'] = [
+      await importOrganizations([
         { id: 'org-1', ownerId: 'owner-123' }
-      ];
+      ]);
 
       const owns = await organizerOwnsOrg('owner-123', 'org-1');
       expect(owns).toBe(true);
     });
 
     it('returns false when organizer does not own the org', async () => {
-      mockKvStore['playday:organizations'] = [
+      await importOrganizations([
         { id: 'org-1', ownerId: 'owner-123' }
-      ];
+      ]);
 
       const owns = await organizerOwnsOrg('other-owner', 'org-1');
       expect(owns).toBe(false);
     });
   });
 });
+
+describe('createOrganization - settings schema', () => {
+  it('starts new organizations at the current schema version with valid settings', async () => {
+    const org = await createOrganization({
+      slug: 'fresh-org',
+      name: 'Fresh',
+      sport: 'Frisbee',
+      location: 'Lekki, Lagos',
+      ownerId: 'owner-1',
+    });
+
+    expect(kvStore[`org:${org.id}:schema-version`]).toBe(CURRENT_SCHEMA_VERSION);
+    const settings = kvStore[`org:${org.id}:settings`];
+    expect(validateSettings(settings)).toEqual({ valid: true, errors: [] });
+    expect(settings.gameInfo.location).toMatchObject({ name: '', area: 'Lekki, Lagos' });
+  });
+});
+
+describe('Indexed records', () => {
+  it('moves the slug index when an organization is renamed', async () => {
+    const org = await createOrganization({
+      slug: 'old-slug',
+      name: 'Org',
+      sport: 'Frisbee',
+      location: 'Park',
+      ownerId: 'owner-1',
+    });
+
+    await updateOrganization(org.id, { slug: 'new-slug' });
+
+    expect(await isSlugTaken('old-slug')).toBe(false);
+    expect(await isSlugTaken('new-slug')).toBe(true);
+    expect((await getOrganizationBySlug('new-slug')).id).toBe(org.id);
+    expect(await getOrganizationBySlug('old-slug')).toBeNull();
+  });
+
+  it('removes every index entry when an organization is deleted', async () => {
+    const org = await createOrganization({
+      slug: 'doomed-org',
+      name: 'Org',
+      sport: 'Frisbee',
+      location: 'Park',
+      ownerId: 'owner-1',
+    });
+
+    await deleteOrganization(org.id);
+
+    expect(await isSlugTaken('doomed-org')).toBe(false);
+    expect(await getOrganizations()).toEqual([]);
+    expect(await getOrganizationsByOwner('owner-1')).toEqual([]);
+  });
+
+  it('frees the email when an organizer is deleted', async () => {
+    const organizer = await createOrganizer({ email: 'Gone@Example.com', name: 'Gone' });
+
+    await deleteOrganizer(organizer.id);
+
+    expect(await getOrganizerByEmail('gone@example.com')).toBeNull();
+    expect(await getOrganizers()).toEqual([]);
+    await expect(createOrganizer({ email: 'gone@example.com', name: 'Back' })).resolves.toBeDefined();
+  });
+
+  it('only lets one of two simultaneous creates claim a slug', async () => {
+    const create = () => createOrganization({
+      slug: 'contested',
+      name: 'Org',
+      sport: 'Frisbee',
+      location: 'Park',
+      ownerId: 'owner-1',
+    });
+
+    const results = await Promise.allSettled([create(), create()]);
+
+    expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+    expect(await getOrganizations()).toHaveLength(1);
+  });
+});
+
+describe('migrateLegacyOrganizationRecords', () => {
+  it('copies the legacy blobs into indexed records', async () => {
+    kvStore['playday:organizers'] = [
+      { id: 'organizer-1', email: 'Owner@Example.com', name: 'Owner' },
+    ];
+    kvStore['playday:organizations'] = [
+      { id: 'org-1', slug: 'legacy-org', name: 'Legacy', ownerId: 'organizer-1' },
+      { id: 'org-2', slug: 'frisbee', name: 'Frisbee', ownerId: null },
+    ];
+
+    const result = await migrateLegacyOrganizationRecords();
+
+    expect(result).toEqual({ organizers: 1, organizations: 2 });
+    expect((await getOrganizerByEmail('owner@example.com')).id).toBe('organizer-1');
+    expect((await getOrganizationBySlug('legacy-org')).id).toBe('org-1');
+    expect((await getOrganizationBySlug('frisbee')).id).toBe('org-2');
+    expect((await getOrganizationsByOwner('organizer-1')).map(o => o.id)).toEqual(['org-1']);
+  });
+
+  it('is safe to run twice', async () => {
+    kvStore['playday:organizations'] = [
+      { id: 'org-1', slug: 'legacy-org', name: 'Legacy', ownerId: 'organizer-1' },
+    ];
+
+    await migrateLegacyOrganizationRecords();
+    await migrateLegacyOrganizationRecords();
+
+    expect(await getOrganizations()).toHaveLength(1);
+    expect(await getOrganizationsByOwner('organizer-1')).toHaveLength(1);
+  });
+
+  it('runs on its own the first time a lookup misses', async () => {
+    kvStore['playday:organizers'] = [{ id: 'organizer-1', email: 'owner@example.com', name: 'Owner' }];
+    kvStore['playday:organizations'] = [{ id: 'org-1', slug: 'legacy-org', name: 'Legacy', ownerId: 'organizer-1' }];
+
+    expect((await getOrganizationBySlug('legacy-org')).id).toBe('org-1');
+    expect((await getOrganizerByEmail('owner@example.com')).id).toBe('organizer-1');
+    expect(kvStore['playday:legacy-organizations-migrated']).toBe(true);
+  });
+
+  it('runs on its own before listing an owner\'s organizations', async () => {
+    kvStore['playday:organizations'] = [{ id: 'org-1', slug: 'legacy-org', name: 'Legacy', ownerId: 'organizer-1' }];
+
+    expect((await getOrganizationsByOwner('organizer-1')).map(o => o.id)).toEqual(['org-1']);
+  });
+
+  it('does not copy the blobs again once it has run', async () => {
+    kvStore['playday:organizations'] = [{ id: 'org-1', slug: 'legacy-org', name: 'Legacy', ownerId: 'organizer-1' }];
+    await migrateLegacyOrganizationRecords();
+    await deleteOrganization('org-1');
+
+    expect(await getOrganizationBySlug('legacy-org')).toBeNull();
+  });
+});
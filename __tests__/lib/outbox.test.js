@@ -0,0 +1,169 @@
+/**
+ * Unit tests for the outbound email outbox (lib/outbox.js) and the file mail driver
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  MAX_ATTEMPTS,
+  getNextAttemptAt,
+  queueEmail,
+  drainOutbox,
+  retryDeadEmail,
+  getOrgMessages,
+  deleteOrgMessages,
+} from '../../lib/outbox';
+import { setMailDriver, resolveMailDriverName, createFileMailDriver, readMailFile } from '../../lib/mail';
+import { createMemoryDriver, setStorageDriver } from '../../lib/storage';
+
+// Run against the in-memory storage driver; tests seed and inspect kvStore directly
+const kvStore = {};
+setStorageDriver(createMemoryDriver(kvStore));
+
+const send = jest.fn();
+setMailDriver({ name: 'fake', send });
+
+const message = { from: 'PlayDay <noreply@itsplayday.com>', to: 'ada@example.com', subject: 'Hello', html: '<p>Hi</p>' };
+const record = (id) => kvStore[`playday:outbox-message:${id}`];
+const pending = () => kvStore['playday:outbox-pending'] || [];
+
+beforeEach(() => {
+  Object.keys(kvStore).forEach(key => delete kvStore[key]);
+  send.mockReset();
+  send.mockResolvedValue({ id: 'provider-1' });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+afterAll(() => {
+  setMailDriver(null);
+});
+
+describe('resolveMailDriverName', () => {
+  it('uses MAIL_DRIVER, then Resend when keyed, then the file sink in development and tests', () => {
+    expect(resolveMailDriverName({ MAIL_DRIVER: 'file', RESEND_API_KEY: 'key' })).toBe('file');
+    expect(resolveMailDriverName({ RESEND_API_KEY: 'key', NODE_ENV: 'production' })).toBe('resend');
+    expect(resolveMailDriverName({ NODE_ENV: 'development' })).toBe('file');
+    expect(resolveMailDriverName({ NODE_ENV: 'test' })).toBe('file');
+  });
+
+  it('refuses to fall back to the file sink elsewhere', () => {
+    expect(() => resolveMailDriverName({ NODE_ENV: 'production' })).toThrow('No mail provider is configured');
+    expect(() => resolveMailDriverName({})).toThrow('No mail provider is configured');
+  });
+});
+
+describe('getNextAttemptAt', () => {
+  it('doubles the number of hourly drains waited after each failed attempt', () => {
+    const now = new Date('2026-03-12T12:00:00Z');
+    // Due just before the drain, even if that cron run starts a little early
+    expect(getNextAttemptAt(1, now)).toBe('2026-03-12T12:55:00.000Z');
+    expect(getNextAttemptAt(3, now)).toBe('2026-03-12T15:55:00.000Z');
+  });
+});
+
+describe('queueEmail', () => {
+  it('sends straight away and keeps a record in the org history', async () => {
+    const attachments = [{ filename: 'list.csv', content: 'Name\nAda' }];
+
+    const sent = await queueEmail({ ...message, attachments }, { orgId: 'org-1', kind: 'rsvp-list' });
+
+    expect(send).toHaveBeenCalledWith({ ...message, attachments });
+    expect(sent).toMatchObject({ status: 'sent', attempts: 1, providerId: 'provider-1', orgId: 'org-1', kind: 'rsvp-list' });
+    expect(record(sent.id).message.attachments).toEqual([{ filename: 'list.csv' }]);
+    expect(pending()).toEqual([]);
+    expect(kvStore['org:org-1:outbox']).toEqual([sent.id]);
+  });
+
+  it('keeps a failed message queued to retry', async () => {
+    send.mockRejectedValue(new Error('Provider is down'));
+
+    const queued = await queueEmail(message, { kind: 'magic-link' });
+
+    expect(queued).toMatchObject({ status: 'pending', attempts: 1, lastError: 'Provider is down' });
+    expect(new Date(queued.nextAttemptAt) > new Date()).toBe(true);
+    expect(pending()).toEqual([queued.id]);
+  });
+});
+
+describe('drainOutbox', () => {
+  it('retries messages once they are due', async () => {
+    send.mockRejectedValueOnce(new Error('Provider is down'));
+    const queued = await queueEmail(message, { orgId: 'org-1' });
+
+    expect(await drainOutbox()).toEqual({ sent: 0, retrying: 0, dead: 0 });
+    expect(send).toHaveBeenCalledTimes(1);
+
+    const later = new Date(new Date(queued.nextAttemptAt).getTime() + 1000);
+    expect(await drainOutbox(later)).toEqual({ sent: 1, retrying: 0, dead: 0 });
+    expect(record(queued.id)).toMatchObject({ status: 'sent', attempts: 2, lastError: null });
+    expect(pending()).toEqual([]);
+  });
+
+  it(`gives up after ${MAX_ATTEMPTS} attempts, until an organizer retries`, async () => {
+    send.mockRejectedValue(new Error('Mailbox full'));
+    const queued = await queueEmail(message, { orgId: 'org-1' });
+
+    let now = new Date();
+    for (let attempt = 2; attempt <= MAX_ATTEMPTS; attempt++) {
+      now = new Date(new Date(record(queued.id).nextAttemptAt).getTime() + 1000);
+      await drainOutbox(now);
+    }
+
+    expect(record(queued.id)).toMatchObject({ status: 'dead', attempts: MAX_ATTEMPTS, lastError: 'Mailbox full' });
+    expect(pending()).toEqual([]);
+
+    // Only the org it was sent for can retry it
+    expect(await retryDeadEmail('org-2', queued.id)).toBeNull();
+    send.mockResolvedValue({ id: 'provider-2' });
+    expect(await retryDeadEmail('org-1', queued.id)).toMatchObject({ status: 'sent', attempts: 1, providerId: 'provider-2' });
+    expect(await retryDeadEmail('org-1', queued.id)).toBeNull();
+  });
+});
+
+describe('getOrgMessages', () => {
+  it('pages through the history newest first, without bodies', async () => {
+    const ids = [];
+    for (const subject of ['First', 'Second', 'Third']) {
+      ids.push((await queueEmail({ ...message, subject }, { orgId: 'org-1' })).id);
+    }
+
+    const { messages, total } = await getOrgMessages('org-1', { offset: 1, limit: 1 });
+
+    expect(total).toBe(3);
+    expect(messages).toHaveLength(1);
+    expect(messages[0]).toMatchObject({ id: ids[1], subject: 'Second', to: ['ada@example.com'], status: 'sent' });
+    expect(messages[0].message).toBeUndefined();
+  });
+});
+
+describe('deleteOrgMessages', () => {
+  it("removes the org's messages and pending retries", async () => {
+    send.mockRejectedValue(new Error('Provider is down'));
+    const queued = await queueEmail(message, { orgId: 'org-1' });
+    const other = await queueEmail(message, { orgId: 'org-2' });
+
+    await deleteOrgMessages('org-1');
+
+    expect(record(queued.id)).toBeUndefined();
+    expect(kvStore['org:org-1:outbox']).toBeUndefined();
+    expect(pending()).toEqual([other.id]);
+  });
+});
+
+describe('createFileMailDriver', () => {
+  it('appends each message to a JSON-lines file', async () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'playday-mail-')), 'mail.jsonl');
+    const driver = createFileMailDriver(filePath);
+
+    const { id } = await driver.send({ ...message, attachments: [{ filename: 'list.csv', content: 'Name\nAda' }] });
+
+    expect(readMailFile(filePath)).toEqual([
+      expect.objectContaining({ id, to: 'ada@example.com', subject: 'Hello', attachments: [{ filename: 'list.csv', size: 8 }] }),
+    ]);
+  });
+});
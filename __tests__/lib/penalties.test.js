@@ -0,0 +1,155 @@
+/**
+ * Unit tests for strike and penalty rules (lib/penalties.js)
+ */
+
+import {
+  MAX_WINDOW_WEEKS,
+  isLateDropout,
+  addStrikes,
+  getActiveStrikes,
+  getPenalty,
+  getDeprioritizedNames,
+  getDelayedSignupTime,
+} from '../../lib/penalties';
+
+const NOW = new Date('2026-03-05T12:00:00.000Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const rules = {
+  enabled: true,
+  lateDropoutHours: 24,
+  noShowStrikes: true,
+  strikeLimit: 2,
+  windowWeeks: 4,
+  penalty: 'lose-priority',
+  delayHours: 12,
+};
+
+function strike(id, name, daysAgo, extra = {}) {
+  return {
+    id,
+    name,
+    reason: 'no-show',
+    periodId: 'p',
+    createdAt: new Date(NOW - daysAgo * DAY_MS).toISOString(),
+    ...extra,
+  };
+}
+
+describe('isLateDropout', () => {
+  const closeTime = '2026-03-06T12:00:00.000Z';
+
+  it('counts dropouts within the cutoff or after the window closed', () => {
+    expect(isLateDropout(rules, closeTime, new Date('2026-03-05T13:00:00.000Z'))).toBe(true);
+    expect(isLateDropout(rules, closeTime, new Date('2026-03-06T13:00:00.000Z'))).toBe(true);
+  });
+
+  it('ignores early dropouts, disabled rules and windowless orgs', () => {
+    expect(isLateDropout(rules, closeTime, new Date('2026-03-05T11:00:00.000Z'))).toBe(false);
+    expect(isLateDropout({ ...rules, enabled: false }, closeTime, NOW)).toBe(false);
+    expect(isLateDropout(rules, null, NOW)).toBe(false);
+  });
+});
+
+describe('addStrikes', () => {
+  it('numbers new strikes after existing ones, newest first', () => {
+    const strikes = addStrikes([strike(4, 'Ada', 1)], [
+      { name: 'Bayo', reason: 'no-show', periodId: 'p' },
+      { name: 'Chi', reason: 'no-show', periodId: 'p' },
+    ], NOW);
+
+    expect(strikes.map(s => s.id)).toEqual([6, 5, 4]);
+    expect(strikes[0]).toEqual({ id: 6, name: 'Chi', reason: 'no-show', periodId: 'p', createdAt: NOW.toISOString() });
+  });
+
+  it('prunes strikes older than the longest window', () => {
+    const old = strike(1, 'Ada', MAX_WINDOW_WEEKS * 7 + 1);
+
+    expect(addStrikes([old], [], NOW)).toEqual([]);
+  });
+});
+
+describe('getActiveStrikes', () => {
+  it('skips pardoned strikes and strikes outside the window', () => {
+    const strikes = [
+      strike(1, 'ada', 2),
+      strike(2, 'Ada', 3, { pardonedAt: NOW.toISOString() }),
+      strike(3, 'Ada', 40),
+      strike(4, 'Bayo', 2),
+    ];
+
+    expect(getActiveStrikes(strikes, 'Ada', rules, NOW).map(s => s.id)).toEqual([1]);
+  });
+});
+
+describe('getPenalty', () => {
+  const strikes = [
+    strike(2, 'Ada', 1, { reason: 'late-dropout' }),
+    strike(1, 'Ada', 8),
+  ];
+
+  it('applies once the strike limit is reached and explains why', () => {
+    const penalty = getPenalty(strikes, 'Ada', rules, NOW);
+
+    expect(penalty).toEqual({
+      type: 'lose-priority',
+      strikeCount: 2,
+      message: "You have 2 strikes in the last 4 weeks (late dropout, no-show), so you're placed after everyone else and lose any member priority.",
+    });
+  });
+
+  it('describes a delayed signup', () => {
+    const penalty = getPenalty(strikes, 'Ada', { ...rules, penalty: 'delay-signup' }, NOW);
+
+    expect(penalty.type).toBe('delay-signup');
+    expect(penalty.message).toContain('opens 12 hours after');
+  });
+
+  it('does not apply below the limit or when rules are off', () => {
+    expect(getPenalty(strikes.slice(0, 1), 'Ada', rules, NOW)).toBeNull();
+    expect(getPenalty(strikes, 'Ada', { ...rules, enabled: false }, NOW)).toBeNull();
+  });
+});
+
+describe('getDeprioritizedNames', () => {
+  const strikes = [strike(3, 'Ada', 1), strike(2, 'Ada', 2), strike(1, 'Bayo', 1)];
+
+  it('lists players who lost priority by lowercased name', () => {
+    expect([...getDeprioritizedNames(strikes, rules, NOW)]).toEqual(['ada']);
+  });
+
+  it('is empty for the delay-signup penalty', () => {
+    expect(getDeprioritizedNames(strikes, { ...rules, penalty: 'delay-signup' }, NOW).size).toBe(0);
+  });
+});
+
+describe('getDelayedSignupTime', () => {
+  const settings = {
+    accessPeriod: { enabled: true, startDay: 4, startHour: 12, startMinute: 0, endDay: 5, endHour: 10, endMinute: 0 },
+    penalties: { ...rules, penalty: 'delay-signup' },
+  };
+
+  it('adds the delay to when the current window opened', () => {
+    const accessStatus = { isOpen: true, closeTime: '2026-03-06T09:00:00.000Z' };
+
+    // The window is 22 hours long, so it opened at 11:00Z the day before
+    expect(getDelayedSignupTime(settings, accessStatus).toISOString()).toBe('2026-03-05T23:00:00.000Z');
+  });
+
+  it('keeps the delayed opening at the same local time across a clock change', () => {
+    const newYork = {
+      accessPeriod: { ...settings.accessPeriod, startDay: 6, startHour: 12, endDay: 6, endHour: 20, timezone: 'America/New_York' },
+      penalties: { ...settings.penalties, delayHours: 24 },
+    };
+    // The window closes at 8pm EST on Saturday 7 March 2026; clocks go forward that night
+    const accessStatus = { isOpen: true, closeTime: '2026-03-08T01:00:00.000Z' };
+
+    // Opened Saturday noon EST, so the delay ends Sunday noon EDT
+    expect(getDelayedSignupTime(newYork, accessStatus).toISOString()).toBe('2026-03-08T16:00:00.000Z');
+  });
+
+  it('has nothing to delay against when the window is off or closed', () => {
+    expect(getDelayedSignupTime({ ...settings, accessPeriod: { enabled: false } }, { isOpen: true })).toBeNull();
+    expect(getDelayedSignupTime(settings, { isOpen: false, closeTime: '2026-03-06T09:00:00.000Z' })).toBeNull();
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Unit tests for player stats and the leaderboard (lib/player-stats.js)
+ */
+
+import {
+  buildHistoryEntry,
+  addHistoryEntry,
+  getSeasonStart,
+  getNameAliases,
+  computePlayerStats,
+  getLeaderboard,
+} from '../../lib/player-stats';
+
+// Newest first, as stored
+const period = (periodId, archivedAt, mainList, extra = {}) => ({
+  periodId, archivedAt, mainList, waitlist: [], snoozed: [], checkedIn: null, dropouts: [], ...extra,
+});
+const history = [
+  period('2026-W12', '2026-03-16T00:05:00Z', ['Ada Obi', 'Chi Eze'], { checkedIn: ['Ada Obi'] }),
+  period('2026-W11', '2026-03-09T00:05:00Z', ['ada obi'], { waitlist: ['Chi Eze'], dropouts: ['Bayo Ade'] }),
+  period('2026-W10', '2026-03-02T00:05:00Z', ['Bayo Ade', 'Chi Eze'], { snoozed: ['Ada Obi'] }),
+  period('2025-W50', '2025-12-15T00:05:00Z', ['Ada Obi', 'Bayo Ade']),
+];
+
+describe('buildHistoryEntry', () => {
+  it('keeps the names of players, not guests', () => {
+    const week = {
+      weekId: '2026-W12',
+      archivedAt: '2026-03-16T00:05:00Z',
+      mainList: [
+        { id: 1, name: 'Ada Obi' },
+        { id: 2, name: 'Tunde', isGuest: true, hostId: 1, hostName: 'Ada Obi' },
+        { id: 3, name: 'Chi Eze' },
+      ],
+      waitlist: [{ id: 4, name: 'Dayo Bello' }],
+      snoozed: ['Bayo Ade'],
+    };
+    const logs = {
+      attendance: [{ periodId: '2026-W12', checkedIn: [{ id: 1, name: 'Ada Obi' }, { id: 2, name: 'Tunde' }] }],
+      dropoutLog: [
+        { name: 'Eko Ita', periodId: '2026-W12', list: 'main' },
+        { name: 'Femi', periodId: '2026-W12', list: 'main', guestOf: 'Chi Eze' },
+        { name: 'Gbenga Lawal', periodId: '2026-W11', list: 'waitlist' },
+      ],
+    };
+
+    expect(buildHistoryEntry(week, logs)).toEqual({
+      periodId: '2026-W12',
+      archivedAt: '2026-03-16T00:05:00Z',
+      mainList: ['Ada Obi', 'Chi Eze'],
+      guests: 1,
+      waitlist: ['Dayo Bello'],
+      snoozed: ['Bayo Ade'],
+      checkedIn: ['Ada Obi'],
+      dropouts: ['Eko Ita'],
+    });
+    expect(buildHistoryEntry({ ...week, snoozed: undefined }, { attendance: [], dropoutLog: [] }))
+      .toMatchObject({ snoozed: [], checkedIn: null, dropouts: [] });
+  });
+
+  it('replaces an earlier entry for the same period', () => {
+    const updated = addHistoryEntry(history, period('2026-W11', '2026-03-10T00:05:00Z', []));
+    expect(updated.map(e => e.periodId)).toEqual(['2026-W11', '2026-W12', '2026-W10', '2025-W50']);
+  });
+});
+
+describe('getSeasonStart', () => {
+  it('starts on the set date, else 1 January', () => {
+    expect(getSeasonStart({ seasonStart: '2026-02-01' }, '2026-03-12')).toBe('2026-02-01');
+    expect(getSeasonStart({ seasonStart: null }, '2026-03-12')).toBe('2026-01-01');
+    expect(getSeasonStart({ seasonStart: '2026-04-01' }, '2026-03-12')).toBe('2026-01-01');
+  });
+});
+
+describe('computePlayerStats', () => {
+  it('counts games, streaks, waitlists, snoozes, dropouts and check-ins', () => {
+    const stats = computePlayerStats(history);
+
+    expect(stats).toEqual([
+      {
+        name: 'Ada Obi', played: 3, waitlisted: 0, snoozed: 1, dropouts: 0, checkedIn: 1, noShows: 0,
+        currentStreak: 2, longestStreak: 2, lastPlayed: '2026-W12',
+      },
+      {
+        name: 'Bayo Ade', played: 2, waitlisted: 0, snoozed: 0, dropouts: 1, checkedIn: 0, noShows: 0,
+        currentStreak: 0, longestStreak: 2, lastPlayed: '2026-W10',
+      },
+      {
+        name: 'Chi Eze', played: 2, waitlisted: 1, snoozed: 0, dropouts: 0, checkedIn: 0, noShows: 1,
+        currentStreak: 1, longestStreak: 1, lastPlayed: '2026-W12',
+      },
+    ]);
+  });
+
+  it("counts the season from its start, in the org's timezone", () => {
+    const stats = computePlayerStats(history, { since: '2026-03-09', timezone: 'Africa/Lagos' });
+    expect(stats.map(s => [s.name, s.played])).toEqual([['Ada Obi', 2], ['Chi Eze', 1], ['Bayo Ade', 0]]);
+  });
+
+  it("combines renamed members' games under their current name", () => {
+    const aliases = getNameAliases([{ name: 'Ada Obi-Eze', previousNames: ['Ada Obi'] }]);
+    const stats = computePlayerStats(history, { aliases });
+
+    expect(stats[0]).toMatchObject({ name: 'Ada Obi-Eze', played: 3, snoozed: 1 });
+    expect(stats.map(s => s.name)).not.toContain('Ada Obi');
+  });
+});
+
+describe('getLeaderboard', () => {
+  it('ranks the most games, with ties sharing a rank', () => {
+    expect(getLeaderboard(computePlayerStats(history), 2)).toEqual([
+      { rank: 1, name: 'Ada Obi', played: 3 },
+      { rank: 2, name: 'Bayo Ade', played: 2 },
+    ]);
+    expect(getLeaderboard(computePlayerStats(history)).map(p => p.rank)).toEqual([1, 2, 2]);
+  });
+});
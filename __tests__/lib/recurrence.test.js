@@ -2,7 +2,8 @@
  * Unit tests for recurrence helpers (lib/recurrence.js)
  */
 
-import { getNthDayOfMonth, getMonthlyPeriodId, getWeeklyPeriodId, getCurrentPeriodId, isFormOpen, isFormOpenWeekly, isFormOpenMonthly } from '../../lib/recurrence';
+import { getNthDayOfMonth, getMonthlyPeriodId, getWeeklyPeriodId, getCurrentPeriodId, isFormOpen, isFormOpenForAnyone, isFormOpenWeekly, isFormOpenMonthly, withEarlyAccess, getWindowOpenTime, getGameDays, isGameDate, getNextGameDate, describeRecurrence, getMinGameGapDays, getPeriodGameDate, getSkipDate } from '../../lib/recurrence';
+import { makeWallClock } from '../../lib/timezone';
 
 // ─────────────────────────────────────────────────────────────
 // getNthDayOfMonth
@@ -382,6 +383,54 @@ describe('isFormOpen', () => {
     expect(result.message).toContain('2nd');
     expect(result.message).toContain('Saturday');
   });
+
+  test('opens early for tiers with early access', () => {
+    // Window opens Wednesday 9am; current time is Tuesday noon
+    mockDate('2026-01-27T12:00:00Z');
+    const settings = {
+      accessPeriod: {
+        enabled: true,
+        timezone: 'UTC',
+        startDay: 3, startHour: 9, startMinute: 0,
+        endDay: 4, endHour: 18, endMinute: 0,
+      },
+      gameInfo: { recurrence: 'weekly', gameDay: 6 },
+      tiers: [
+        { id: 'core', name: 'Core', reservedSpots: 0, earlyAccessHours: 24 },
+        { id: 'member', name: 'Member', reservedSpots: 0, earlyAccessHours: 12 },
+        { id: 'public', name: 'Everyone else', reservedSpots: 0, earlyAccessHours: 0 },
+      ],
+    };
+
+    expect(isFormOpen(settings).isOpen).toBe(false);
+    expect(isFormOpen(settings, 'member').isOpen).toBe(false);
+    expect(isFormOpen(settings, 'core').isOpen).toBe(true);
+    expect(isFormOpenForAnyone(settings).isOpen).toBe(true);
+  });
+});
+
+describe('withEarlyAccess', () => {
+  const accessPeriod = { enabled: true, startDay: 0, startHour: 6, startMinute: 30, endDay: 1, endHour: 18, endMinute: 0 };
+
+  test('moves the opening back across the start of the week', () => {
+    expect(withEarlyAccess(accessPeriod, 10)).toEqual({ ...accessPeriod, startDay: 6, startHour: 20, startMinute: 30 });
+  });
+
+  test('leaves the window alone without early access', () => {
+    expect(withEarlyAccess(accessPeriod, 0)).toBe(accessPeriod);
+  });
+});
+
+describe('getWindowOpenTime', () => {
+  test('counts back the length of the window from its close', () => {
+    const accessPeriod = { enabled: true, startDay: 4, startHour: 12, startMinute: 0, endDay: 5, endHour: 10, endMinute: 0 };
+    expect(getWindowOpenTime(accessPeriod, '2026-03-13T09:00:00.000Z')).toBe('2026-03-12T11:00:00.000Z');
+  });
+
+  test('handles windows that wrap round the end of the week', () => {
+    const accessPeriod = { enabled: true, startDay: 6, startHour: 18, startMinute: 30, endDay: 0, endHour: 9, endMinute: 0 };
+    expect(getWindowOpenTime(accessPeriod, '2026-03-15T08:00:00.000Z')).toBe('2026-03-14T17:30:00.000Z');
+  });
 });
 
 // ─────────────────────────────────────────────────────────────
@@ -463,6 +512,47 @@ describe('isFormOpenWeekly', () => {
     expect(result.nextOpenTime).toBeTruthy();
   });
 
+  test('gives exact UTC times for the window', () => {
+    // Thursday Jan 29 2026 — closed Wednesday 6pm, next open Monday Feb 2 9am
+    mockDate('2026-01-29T12:00:00Z');
+    const result = isFormOpenWeekly(weeklySettings);
+    expect(result.nextOpenTime).toBe('2026-02-02T09:00:00.000Z');
+    expect(result.closeTime).toBe('2026-01-28T18:00:00.000Z');
+  });
+
+  test('converts window times from the org timezone', () => {
+    mockDate('2026-01-29T12:00:00Z');
+    const lagos = isFormOpenWeekly({ ...weeklySettings, accessPeriod: { ...weeklySettings.accessPeriod, timezone: 'Africa/Lagos' } });
+    expect(lagos.nextOpenTime).toBe('2026-02-02T08:00:00.000Z');
+    expect(lagos.closeTime).toBe('2026-01-28T17:00:00.000Z');
+
+    const newYork = isFormOpenWeekly({ ...weeklySettings, accessPeriod: { ...weeklySettings.accessPeriod, timezone: 'America/New_York' } });
+    expect(newYork.nextOpenTime).toBe('2026-02-02T14:00:00.000Z');
+    expect(newYork.closeTime).toBe('2026-01-28T23:00:00.000Z');
+  });
+
+  test('uses the offset in force at the time, across a clock change', () => {
+    // Saturday Mar 7 2026 in New York (EST); clocks go forward overnight
+    mockDate('2026-03-07T17:00:00Z');
+    const newYork = isFormOpenWeekly({ ...weeklySettings, accessPeriod: { ...weeklySettings.accessPeriod, timezone: 'America/New_York' } });
+    expect(newYork.nextOpenTime).toBe('2026-03-09T13:00:00.000Z');
+    expect(newYork.closeTime).toBe('2026-03-04T23:00:00.000Z');
+
+    // Saturday Oct 24 2026 in London (BST); clocks go back overnight
+    mockDate('2026-10-24T12:00:00Z');
+    const london = isFormOpenWeekly({ ...weeklySettings, accessPeriod: { ...weeklySettings.accessPeriod, timezone: 'Europe/London' } });
+    expect(london.nextOpenTime).toBe('2026-10-26T09:00:00.000Z');
+    expect(london.closeTime).toBe('2026-10-21T17:00:00.000Z');
+  });
+
+  test('decides open or closed on the org\'s wall clock', () => {
+    // 8:30am Monday in New York is 13:30 UTC
+    mockDate('2026-01-26T13:30:00Z');
+    const newYork = isFormOpenWeekly({ ...weeklySettings, accessPeriod: { ...weeklySettings.accessPeriod, timezone: 'America/New_York' } });
+    expect(newYork.isOpen).toBe(false);
+    expect(newYork.nextOpenTime).toBe('2026-01-26T14:00:00.000Z');
+  });
+
   test('handles wrapping window (start > end across week boundary)', () => {
     // Window: Saturday 8am → Monday 8am (wraps over Sunday)
     const wrappingSettings = {
@@ -573,6 +663,14 @@ describe('isFormOpenMonthly', () => {
     expect(result.nextOpenTime).toBeTruthy();
   });
 
+  test('gives exact UTC times in the org timezone', () => {
+    // Window for the 2nd Saturday (Jan 10) opens Wed Jan 7 9am Lagos time
+    mockDate('2026-01-05T12:00:00Z');
+    const result = isFormOpenMonthly({ ...monthlySettings, accessPeriod: { ...monthlySettings.accessPeriod, timezone: 'Africa/Lagos' } });
+    expect(result.nextOpenTime).toBe('2026-01-07T08:00:00.000Z');
+    expect(result.closeTime).toBe('2025-12-12T17:00:00.000Z');
+  });
+
   test('handles last occurrence of month', () => {
     const lastSettings = {
       accessPeriod: {
@@ -611,3 +709,310 @@ describe('isFormOpenMonthly', () => {
     expect(result.message).toContain('Sunday');
   });
 });
+
+// ─────────────────────────────────────────────────────────────
+// Biweekly, multi-day and every-N-days schedules
+// ─────────────────────────────────────────────────────────────
+
+describe('scheduled recurrences', () => {
+  const originalDate = global.Date;
+
+  afterEach(() => {
+    global.Date = originalDate;
+  });
+
+  function mockDate(dateString) {
+    const fixed = new originalDate(dateString);
+    global.Date = class extends originalDate {
+      constructor(...args) {
+        if (args.length === 0) return fixed;
+        return new originalDate(...args);
+      }
+      static now() { return fixed.getTime(); }
+    };
+  }
+
+  // Every other Saturday from Jan 10 2026 (so Jan 24, Feb 7, ...),
+  // RSVP opens Wednesday 9am and closes Friday 6pm before each game
+  const biweeklySettings = {
+    accessPeriod: {
+      enabled: true,
+      timezone: 'UTC',
+      startDay: 3, startHour: 9, startMinute: 0,
+      endDay: 5, endHour: 18, endMinute: 0,
+    },
+    gameInfo: { recurrence: 'biweekly', gameDay: 6, anchorDate: '2026-01-10', startHour: 17, startMinute: 0, endHour: 19, endMinute: 0 },
+    tiers: [
+      { id: 'member', name: 'Member', reservedSpots: 0, earlyAccessHours: 48 },
+      { id: 'public', name: 'Everyone else', reservedSpots: 0, earlyAccessHours: 0 },
+    ],
+  };
+
+  // Tuesdays and Thursdays, RSVP opens 6pm the day before and closes noon on game day
+  const twiceWeeklySettings = {
+    accessPeriod: {
+      enabled: true,
+      timezone: 'UTC',
+      startDay: 1, startHour: 18, startMinute: 0,
+      endDay: 2, endHour: 12, endMinute: 0,
+    },
+    gameInfo: { recurrence: 'weekly', gameDay: 2, gameDays: [2, 4], startHour: 19, startMinute: 0, endHour: 21, endMinute: 0 },
+  };
+
+  // Every 10 days from Saturday Jan 3 2026 (Jan 13, Jan 23, ...),
+  // RSVP opens two days before at 9am and closes the day before at 6pm
+  const intervalSettings = {
+    accessPeriod: {
+      enabled: true,
+      timezone: 'Africa/Lagos',
+      startDay: 4, startHour: 9, startMinute: 0,
+      endDay: 5, endHour: 18, endMinute: 0,
+    },
+    gameInfo: { recurrence: 'interval', gameDay: 6, anchorDate: '2026-01-03', intervalDays: 10, startHour: 8, startMinute: 0 },
+  };
+
+  test('finds game dates for each schedule', () => {
+    expect(isGameDate(biweeklySettings.gameInfo, makeWallClock(2026, 0, 24))).toBe(true);
+    expect(isGameDate(biweeklySettings.gameInfo, makeWallClock(2026, 0, 17))).toBe(false);
+    expect(isGameDate(biweeklySettings.gameInfo, makeWallClock(2025, 11, 27))).toBe(true);
+    expect(isGameDate(twiceWeeklySettings.gameInfo, makeWallClock(2026, 0, 8))).toBe(true);
+    expect(isGameDate(twiceWeeklySettings.gameInfo, makeWallClock(2026, 0, 7))).toBe(false);
+    expect(isGameDate(intervalSettings.gameInfo, makeWallClock(2026, 0, 13))).toBe(true);
+    expect(isGameDate(intervalSettings.gameInfo, makeWallClock(2026, 0, 10))).toBe(false);
+  });
+
+  test('biweekly opens only in the week of a game', () => {
+    mockDate('2026-01-08T12:00:00Z');
+    expect(isFormOpen(biweeklySettings)).toEqual({ isOpen: true, message: null, closeTime: '2026-01-09T18:00:00.000Z' });
+
+    mockDate('2026-01-15T12:00:00Z');
+    const result = isFormOpen(biweeklySettings);
+    expect(result.isOpen).toBe(false);
+    expect(result.message).toBe('RSVP is closed. Opens Wednesday, Jan 21 at 9:00 AM');
+    expect(result.nextOpenTime).toBe('2026-01-21T09:00:00.000Z');
+    expect(result.closeTime).toBe('2026-01-09T18:00:00.000Z');
+  });
+
+  test('early access opens each game\'s window early', () => {
+    mockDate('2026-01-19T12:00:00Z'); // Monday before the Jan 24 game
+
+    expect(isFormOpen(biweeklySettings).isOpen).toBe(false);
+    expect(isFormOpen(biweeklySettings, 'member').isOpen).toBe(true);
+    expect(isFormOpenForAnyone(biweeklySettings).isOpen).toBe(true);
+  });
+
+  test('biweekly period ids change once per game', () => {
+    mockDate('2026-01-08T12:00:00Z');
+    expect(getCurrentPeriodId(biweeklySettings, 'UTC')).toBe('2026-W02');
+
+    mockDate('2026-01-10T23:59:00Z');
+    expect(getCurrentPeriodId(biweeklySettings, 'UTC')).toBe('2026-W02');
+
+    mockDate('2026-01-11T00:00:00Z');
+    expect(getCurrentPeriodId(biweeklySettings, 'UTC')).toBe('2026-W04');
+
+    mockDate('2026-01-22T12:00:00Z');
+    expect(getCurrentPeriodId(biweeklySettings, 'UTC')).toBe('2026-W04');
+  });
+
+  test('each game day of the week has its own window and period', () => {
+    mockDate('2026-01-05T20:00:00Z'); // Monday evening
+    expect(isFormOpen(twiceWeeklySettings)).toMatchObject({ isOpen: true, closeTime: '2026-01-06T12:00:00.000Z' });
+    expect(getCurrentPeriodId(twiceWeeklySettings, 'UTC')).toBe('2026-W02-TUE');
+
+    mockDate('2026-01-06T14:00:00Z'); // Tuesday afternoon, after Tuesday's window
+    expect(isFormOpen(twiceWeeklySettings)).toMatchObject({ isOpen: false, nextOpenTime: '2026-01-07T18:00:00.000Z' });
+    expect(getCurrentPeriodId(twiceWeeklySettings, 'UTC')).toBe('2026-W02-TUE');
+
+    mockDate('2026-01-07T20:00:00Z'); // Wednesday evening
+    expect(isFormOpen(twiceWeeklySettings)).toMatchObject({ isOpen: true, closeTime: '2026-01-08T12:00:00.000Z' });
+    expect(getCurrentPeriodId(twiceWeeklySettings, 'UTC')).toBe('2026-W02-THU');
+  });
+
+  test('every-N-days windows follow the games in the org timezone', () => {
+    // Jan 11 12:00 in Lagos, inside the window for the Jan 13 game
+    mockDate('2026-01-11T11:00:00Z');
+    expect(isFormOpen(intervalSettings)).toMatchObject({ isOpen: true, closeTime: '2026-01-12T17:00:00.000Z' });
+    expect(getCurrentPeriodId(intervalSettings, 'Africa/Lagos')).toBe('2026-01-13');
+
+    // Midnight after the game in Lagos
+    mockDate('2026-01-13T23:00:00Z');
+    expect(getCurrentPeriodId(intervalSettings, 'Africa/Lagos')).toBe('2026-01-23');
+    expect(isFormOpen(intervalSettings).nextOpenTime).toBe('2026-01-21T08:00:00.000Z');
+  });
+
+  test('plain weekly games keep their week ids', () => {
+    mockDate('2026-01-08T12:00:00Z');
+    const settings = { ...twiceWeeklySettings, gameInfo: { ...twiceWeeklySettings.gameInfo, gameDays: [2] } };
+
+    expect(getCurrentPeriodId(settings, 'UTC')).toBe(getWeeklyPeriodId(settings, 'UTC'));
+  });
+
+  test('getNextGameDate returns the next game that is not over', () => {
+    const during = new originalDate('2026-01-10T18:00:00Z');
+    expect(getNextGameDate(biweeklySettings, 'UTC', during)).toEqual(makeWallClock(2026, 0, 10, 17, 0));
+
+    const later = new originalDate('2026-01-10T19:00:00Z');
+    expect(getNextGameDate(biweeklySettings, 'UTC', later)).toEqual(makeWallClock(2026, 0, 24, 17, 0));
+    expect(getNextGameDate(twiceWeeklySettings, 'UTC', later)).toEqual(makeWallClock(2026, 0, 13, 19, 0));
+  });
+});
+
+describe('skip dates', () => {
+  const originalDate = global.Date;
+
+  afterEach(() => {
+    global.Date = originalDate;
+  });
+
+  function mockDate(dateString) {
+    const fixed = new originalDate(dateString);
+    global.Date = class extends originalDate {
+      constructor(...args) {
+        if (args.length === 0) return fixed;
+        return new originalDate(...args);
+      }
+      static now() { return fixed.getTime(); }
+    };
+  }
+
+  // Saturday games, RSVP Thursday noon to Friday 10am, no game on Boxing Day 2026
+  const weeklySettings = {
+    accessPeriod: {
+      enabled: true,
+      timezone: 'UTC',
+      startDay: 4, startHour: 12, startMinute: 0,
+      endDay: 5, endHour: 10, endMinute: 0,
+    },
+    gameInfo: { recurrence: 'weekly', gameDay: 6, startHour: 17, startMinute: 0, endHour: 19, endMinute: 0 },
+    skipDates: [{ date: '2026-12-26', reason: 'Christmas' }],
+  };
+
+  test('keeps a skipped game\'s window shut and points to the next game', () => {
+    mockDate('2026-12-24T13:00:00Z');
+
+    expect(isFormOpen(weeklySettings)).toEqual({
+      isOpen: false,
+      message: 'No game this week: Christmas',
+      nextOpenTime: '2026-12-31T12:00:00.000Z',
+      closeTime: null,
+      skipped: { date: '2026-12-26', reason: 'Christmas', cancelled: false },
+    });
+    expect(isFormOpenForAnyone(weeklySettings).skipped).toBeTruthy();
+  });
+
+  test('shows the skip for the whole period', () => {
+    mockDate('2026-12-20T10:00:00Z');
+
+    expect(isFormOpen(weeklySettings)).toMatchObject({
+      isOpen: false,
+      closeTime: '2026-12-18T10:00:00.000Z',
+      nextOpenTime: '2026-12-31T12:00:00.000Z',
+      skipped: { date: '2026-12-26' },
+    });
+  });
+
+  test('moves the next opening past a skipped game', () => {
+    mockDate('2026-12-18T12:00:00Z');
+
+    const status = isFormOpen(weeklySettings);
+    expect(status.skipped).toBeUndefined();
+    expect(status.message).toBe('RSVP is closed. Opens Thursday, Dec 31 at 12:00 PM');
+    expect(status.nextOpenTime).toBe('2026-12-31T12:00:00.000Z');
+    expect(status.closeTime).toBe('2026-12-18T10:00:00.000Z');
+  });
+
+  test('leaves other weeks alone', () => {
+    mockDate('2026-12-31T13:00:00Z');
+
+    expect(isFormOpen(weeklySettings)).toEqual({ isOpen: true, message: null, nextOpenTime: null, closeTime: '2027-01-01T10:00:00.000Z' });
+  });
+
+  test('reports a cancelled game', () => {
+    mockDate('2026-12-24T13:00:00Z');
+    const settings = {
+      ...weeklySettings,
+      skipDates: [{ date: '2026-12-26', reason: 'Field flooded', periodId: '2026-W52', cancelledAt: '2026-12-24T12:30:00.000Z' }],
+    };
+
+    expect(isFormOpen(settings)).toMatchObject({
+      isOpen: false,
+      message: 'This game has been cancelled: Field flooded',
+      skipped: { date: '2026-12-26', reason: 'Field flooded', cancelled: true },
+    });
+  });
+
+  test('applies to early access windows of per-game schedules', () => {
+    // Every other Saturday from Jan 10 2026, RSVP Wednesday 9am to Friday 6pm,
+    // members 48 hours early
+    const settings = {
+      accessPeriod: {
+        enabled: true,
+        timezone: 'UTC',
+        startDay: 3, startHour: 9, startMinute: 0,
+        endDay: 5, endHour: 18, endMinute: 0,
+      },
+      gameInfo: { recurrence: 'biweekly', gameDay: 6, anchorDate: '2026-01-10' },
+      tiers: [
+        { id: 'member', name: 'Member', reservedSpots: 0, earlyAccessHours: 48 },
+        { id: 'public', name: 'Everyone else', reservedSpots: 0, earlyAccessHours: 0 },
+      ],
+      skipDates: [{ date: '2026-01-24', reason: '' }],
+    };
+    mockDate('2026-01-22T10:00:00Z');
+
+    expect(isFormOpen(settings)).toMatchObject({
+      isOpen: false,
+      message: 'No game this week',
+      nextOpenTime: '2026-02-04T09:00:00.000Z',
+    });
+    expect(isFormOpen(settings, 'member')).toMatchObject({
+      isOpen: false,
+      nextOpenTime: '2026-02-02T09:00:00.000Z',
+      skipped: { date: '2026-01-24', reason: '', cancelled: false },
+    });
+  });
+
+  test('getNextGameDate passes over skipped games', () => {
+    const now = new originalDate('2026-12-20T10:00:00Z');
+    expect(getNextGameDate(weeklySettings, 'UTC', now)).toEqual(makeWallClock(2027, 0, 2, 17, 0));
+  });
+
+  test('getPeriodGameDate is the game the period leads up to', () => {
+    expect(getPeriodGameDate(weeklySettings, 'UTC', new originalDate('2026-12-26T20:00:00Z'))).toEqual(makeWallClock(2026, 11, 26));
+    expect(getPeriodGameDate(weeklySettings, 'UTC', new originalDate('2026-12-27T00:00:00Z'))).toEqual(makeWallClock(2027, 0, 2));
+  });
+
+  test('getSkipDate finds the entry for a game', () => {
+    expect(getSkipDate(weeklySettings, makeWallClock(2026, 11, 26))).toEqual({ date: '2026-12-26', reason: 'Christmas' });
+    expect(getSkipDate(weeklySettings, makeWallClock(2027, 0, 2))).toBeNull();
+  });
+});
+
+describe('getGameDays', () => {
+  test('falls back to the game day and sorts the days', () => {
+    expect(getGameDays({ gameDay: 6 })).toEqual([6]);
+    expect(getGameDays({ gameDay: 4, gameDays: [4, 2, 4] })).toEqual([2, 4]);
+  });
+});
+
+describe('getMinGameGapDays', () => {
+  test('measures the shortest gap between games', () => {
+    expect(getMinGameGapDays({ recurrence: 'weekly', gameDay: 6 })).toBe(7);
+    expect(getMinGameGapDays({ recurrence: 'weekly', gameDay: 2, gameDays: [2, 4] })).toBe(2);
+    expect(getMinGameGapDays({ recurrence: 'weekly', gameDay: 0, gameDays: [0, 6] })).toBe(1);
+    expect(getMinGameGapDays({ recurrence: 'biweekly', gameDay: 6 })).toBe(14);
+    expect(getMinGameGapDays({ recurrence: 'interval', intervalDays: 10 })).toBe(10);
+  });
+});
+
+describe('describeRecurrence', () => {
+  test('labels each schedule', () => {
+    expect(describeRecurrence({ recurrence: 'weekly', gameDay: 6 })).toBe('Every Saturday');
+    expect(describeRecurrence({ recurrence: 'weekly', gameDay: 2, gameDays: [2, 4] })).toBe('Every Tuesday and Thursday');
+    expect(describeRecurrence({ recurrence: 'weekly', gameDay: 1, gameDays: [1, 3, 5] })).toBe('Every Monday, Wednesday and Friday');
+    expect(describeRecurrence({ recurrence: 'biweekly', gameDay: 6 })).toBe('Every other Saturday');
+    expect(describeRecurrence({ recurrence: 'interval', gameDay: 6, intervalDays: 10 })).toBe('Every 10 days');
+    expect(describeRecurrence({ recurrence: 'monthly', gameDay: 6, monthlyOccurrence: 2 })).toBe('2nd Saturday of every month');
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Unit tests for player reminder emails (lib/reminders.js)
+ */
+
+// The mail driver is picked from RESEND_API_KEY, so the key is set as the mock loads
+jest.mock('resend', () => {
+  process.env.RESEND_API_KEY = 'test-key';
+  return { Resend: jest.fn(() => ({ emails: { send: (...args) => mockSend(...args) } })) };
+});
+
+import { getRegulars, checkReminder, sendDueReminders } from '../../lib/reminders';
+import { setPlayerEmail } from '../../lib/notifications';
+import { getDefaultSettings } from '../../lib/settings';
+import { getCurrentPeriodId } from '../../lib/recurrence';
+import { createMemoryDriver, setStorageDriver } from '../../lib/storage';
+
+const mockSend = jest.fn();
+
+// Run against the in-memory storage driver; tests seed and inspect kvStore directly
+const kvStore = {};
+setStorageDriver(createMemoryDriver(kvStore));
+
+const org = { id: 'org-1', slug: 'lagos-ultimate', name: 'Lagos Ultimate', timezone: 'Africa/Lagos' };
+const timezone = 'Africa/Lagos';
+
+// The default window runs Thursday noon to Friday 10:00; games are Saturday 17:00
+const FRIDAY_8AM = new Date('2026-03-13T07:00:00Z');
+const FRIDAY_7PM = new Date('2026-03-13T18:00:00Z');
+
+function makeSettings(reminders = {}) {
+  const settings = getDefaultSettings(timezone);
+  return {
+    ...settings,
+    reminders: { ...settings.reminders, ...reminders },
+    gameInfo: { ...settings.gameInfo, enabled: true, gameDay: 6 },
+  };
+}
+
+const played = (...names) => ({ mainList: names.map((name, i) => ({ id: i + 1, name, deviceId: `device-${name}` })), waitlist: [] });
+
+beforeEach(() => {
+  Object.keys(kvStore).forEach(key => delete kvStore[key]);
+  jest.clearAllMocks();
+  mockSend.mockResolvedValue({ data: { id: 'email-1' } });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('getRegulars', () => {
+  it('counts main-list games over the last four periods', () => {
+    const archive = [
+      played('Ada', 'Bayo'),
+      played('Ada', 'Chi'),
+      { mainList: [{ id: 1, name: 'Bayo' }, { id: 2, name: 'Bayo +1', isGuest: true }], waitlist: [] },
+      played('ada', 'Chi'),
+      played('Bayo', 'Chi'),
+    ];
+
+    expect(getRegulars(archive, 2).map(p => p.name)).toEqual(['Ada', 'Bayo', 'Chi']);
+    expect(getRegulars(archive, 3).map(p => p.name)).toEqual(['Ada']);
+  });
+});
+
+describe('checkReminder', () => {
+  it('sends the closing reminder within the set hours of the close', () => {
+    jest.useFakeTimers({ now: FRIDAY_8AM });
+    const settings = makeSettings({ windowCloses: true, hoursBeforeClose: 3 });
+
+    expect(checkReminder('windowCloses', settings, timezone, {}, FRIDAY_8AM)).toMatchObject({
+      due: true,
+      at: '2026-03-13T09:00:00.000Z',
+    });
+    expect(checkReminder('windowCloses', { ...settings, reminders: { ...settings.reminders, hoursBeforeClose: 1 } }, timezone, {}, FRIDAY_8AM).due).toBe(false);
+    expect(checkReminder('windowOpens', settings, timezone, {}, FRIDAY_8AM).reason).toBe('not enabled');
+  });
+
+  it('goes out once per period', () => {
+    jest.useFakeTimers({ now: FRIDAY_8AM });
+    const settings = makeSettings({ windowOpens: true });
+    const periodId = getCurrentPeriodId(settings, timezone);
+
+    expect(checkReminder('windowOpens', settings, timezone, { windowOpens: periodId }, FRIDAY_8AM).due).toBe(false);
+  });
+
+  it('sends the game reminder in the 24 hours before the game', () => {
+    jest.useFakeTimers({ now: FRIDAY_7PM });
+    const settings = makeSettings({ gameTomorrow: true });
+
+    expect(checkReminder('gameTomorrow', settings, timezone, {}, FRIDAY_7PM)).toMatchObject({
+      due: true,
+      at: '2026-03-14T16:00:00.000Z',
+    });
+    expect(checkReminder('gameTomorrow', settings, timezone, {}, FRIDAY_8AM).due).toBe(false);
+  });
+});
+
+describe('sendDueReminders', () => {
+  it("reminds regulars who haven't signed up, once", async () => {
+    jest.useFakeTimers({ now: FRIDAY_8AM });
+    const settings = makeSettings({ windowCloses: true });
+    kvStore['org:org-1:archive'] = [played('Ada', 'Bayo'), played('Ada', 'Bayo')];
+    kvStore['org:org-1:last-reset'] = getCurrentPeriodId(settings, timezone);
+    kvStore['org:org-1:rsvp-data'] = { mainList: [{ id: 9, name: 'bayo', deviceId: 'device-Bayo' }], waitlist: [] };
+    await setPlayerEmail(org.id, 'device-Ada', 'ada@example.com');
+    await setPlayerEmail(org.id, 'device-Bayo', 'bayo@example.com');
+
+    const results = await sendDueReminders(org, settings, FRIDAY_8AM);
+
+    expect(results).toEqual([{ type: 'windowCloses', periodId: kvStore['org:org-1:last-reset'], sent: 1 }]);
+    expect(mockSend).toHaveBeenCalledTimes(1);
+    expect(mockSend.mock.calls[0][0]).toMatchObject({ to: 'ada@example.com', subject: 'Lagos Ultimate - RSVP closes Fri 10:00 AM' });
+
+    expect(await sendDueReminders(org, settings, FRIDAY_8AM)).toEqual([]);
+    expect(mockSend).toHaveBeenCalledTimes(1);
+  });
+
+  it('reminds confirmed players of the game, but not those yet to claim a spot', async () => {
+    jest.useFakeTimers({ now: FRIDAY_7PM });
+    const settings = makeSettings({ gameTomorrow: true });
+    kvStore['org:org-1:last-reset'] = getCurrentPeriodId(settings, timezone);
+    kvStore['org:org-1:rsvp-data'] = {
+      mainList: [
+        { id: 1, name: 'Ada', deviceId: 'device-Ada' },
+        { id: 2, name: 'Bayo', deviceId: 'device-Bayo', pendingClaim: { promotedAt: '2026-03-13T17:00:00.000Z', expiresAt: '2026-03-14T05:00:00.000Z' } },
+      ],
+      waitlist: [{ id: 3, name: 'Chi', deviceId: 'device-Chi' }],
+    };
+    await setPlayerEmail(org.id, 'device-Ada', 'ada@example.com');
+    await setPlayerEmail(org.id, 'device-Bayo', 'bayo@example.com');
+    await setPlayerEmail(org.id, 'device-Chi', 'chi@example.com');
+
+    await sendDueReminders(org, settings, FRIDAY_7PM);
+
+    expect(mockSend.mock.calls.map(([email]) => email.to)).toEqual(['ada@example.com']);
+    expect(mockSend.mock.calls[0][0].subject).toBe("Lagos Ultimate - You're playing Sat 5:00 PM");
+  });
+});
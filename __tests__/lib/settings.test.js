@@ -0,0 +1,284 @@
+/**
+ * Unit tests for the canonical settings schema (lib/settings.js)
+ */
+
+import { getDefaultSettings, normalizeSettings, validateSettings } from '../../lib/settings';
+
+describe('getDefaultSettings', () => {
+  it('uses the given timezone for the access period', () => {
+    expect(getDefaultSettings('Europe/London').accessPeriod.timezone).toBe('Europe/London');
+    expect(getDefaultSettings().accessPeriod.timezone).toBe('Africa/Lagos');
+  });
+
+  it('returns a fresh object each time', () => {
+    const a = getDefaultSettings();
+    a.email.recipients.push('someone@example.com');
+    expect(getDefaultSettings().email.recipients).toEqual([]);
+  });
+
+  it('has both a venue name and an area for the location', () => {
+    const { location } = getDefaultSettings().gameInfo;
+    expect(location).toHaveProperty('name', '');
+    expect(location).toHaveProperty('area', '');
+  });
+
+  it('passes validation', () => {
+    expect(validateSettings(getDefaultSettings())).toEqual({ valid: true, errors: [] });
+  });
+});
+
+describe('normalizeSettings', () => {
+  it('fills missing sections and nested keys', () => {
+    const normalized = normalizeSettings({
+      mainListLimit: 12,
+      accessPeriod: { enabled: false },
+      gameInfo: { enabled: true, location: { area: 'Lekki, Lagos' } },
+    }, 'Africa/Accra');
+
+    expect(normalized.mainListLimit).toBe(12);
+    expect(normalized.accessPeriod.enabled).toBe(false);
+    expect(normalized.accessPeriod.timezone).toBe('Africa/Accra');
+    expect(normalized.email.recipients).toEqual([]);
+    expect(normalized.whatsapp).toEqual({ enabled: false, groupUrl: '' });
+    expect(normalized.gameInfo.enabled).toBe(true);
+    expect(normalized.gameInfo.location).toEqual({
+      enabled: false,
+      name: '',
+      area: 'Lekki, Lagos',
+      address: '',
+      googleMapsUrl: '',
+    });
+    expect(normalized.gameInfo.rules).toEqual({ enabled: false, items: [] });
+  });
+
+  it('keeps explicit nulls and unknown keys', () => {
+    const normalized = normalizeSettings({ gameInfo: { monthlyOccurrence: null, extra: 'kept' } });
+
+    expect(normalized.gameInfo.monthlyOccurrence).toBeNull();
+    expect(normalized.gameInfo.extra).toBe('kept');
+  });
+
+  it('treats a missing settings object as all defaults', () => {
+    expect(normalizeSettings(null)).toEqual(getDefaultSettings());
+  });
+});
+
+describe('validateSettings', () => {
+  it('rejects a non-object', () => {
+    expect(validateSettings(null).valid).toBe(false);
+  });
+
+  it('rejects an out-of-range list limit', () => {
+    const result = validateSettings({ ...getDefaultSettings(), mainListLimit: 0 });
+    expect(result.valid).toBe(false);
+    expect(result.errors[0]).toContain('mainListLimit');
+  });
+
+  it('limits guests per signup to between 0 and the maximum', () => {
+    expect(validateSettings({ ...getDefaultSettings(), maxGuestsPerSignup: 2 }).valid).toBe(true);
+    expect(validateSettings({ ...getDefaultSettings(), maxGuestsPerSignup: -1 }).valid).toBe(false);
+    expect(validateSettings({ ...getDefaultSettings(), maxGuestsPerSignup: 11 }).errors[0]).toContain('maxGuestsPerSignup');
+  });
+
+  it('only allows a lottery with the RSVP window enabled', () => {
+    const settings = { ...getDefaultSettings(), allocationMode: 'lottery' };
+    expect(validateSettings(settings).valid).toBe(true);
+
+    settings.accessPeriod.enabled = false;
+    expect(validateSettings(settings).errors[0]).toContain('allocationMode');
+    expect(validateSettings({ ...getDefaultSettings(), allocationMode: 'raffle' }).valid).toBe(false);
+  });
+
+  it('limits the claim window to between 1 and 72 hours', () => {
+    const settings = getDefaultSettings();
+    settings.claimWindow = { enabled: true, hours: 24 };
+    expect(validateSettings(settings).valid).toBe(true);
+
+    settings.claimWindow.hours = 0;
+    expect(validateSettings(settings).errors[0]).toContain('claimWindow.hours');
+    settings.claimWindow.hours = 73;
+    expect(validateSettings(settings).valid).toBe(false);
+  });
+
+  it('checks reminder settings', () => {
+    const settings = getDefaultSettings();
+    settings.reminders = { ...settings.reminders, windowCloses: true, hoursBeforeClose: 48, regularGames: 4 };
+    expect(validateSettings(settings).valid).toBe(true);
+
+    settings.reminders.hoursBeforeClose = 49;
+    expect(validateSettings(settings).errors).toEqual(['reminders.hoursBeforeClose must be between 1 and 48']);
+    settings.reminders = { ...settings.reminders, hoursBeforeClose: 3, regularGames: 5, gameTomorrow: 'yes' };
+    expect(validateSettings(settings).errors).toEqual([
+      'reminders.gameTomorrow must be true or false',
+      'reminders.regularGames must be between 1 and 4',
+    ]);
+  });
+
+  it('checks the leaderboard season start', () => {
+    const settings = getDefaultSettings();
+    settings.leaderboard = { enabled: true, seasonStart: '2026-09-01' };
+    expect(validateSettings(settings).valid).toBe(true);
+
+    settings.leaderboard.seasonStart = '2026-02-30';
+    expect(validateSettings(settings).errors).toEqual(['leaderboard.seasonStart must be a date (YYYY-MM-DD) or empty']);
+  });
+
+  it('checks email templates', () => {
+    const settings = getDefaultSettings();
+    settings.email.html = '<p>{{#if weather}}{{weather}}{{/if}}</p>';
+    settings.templates.welcome.subject = 'Welcome to {{org}}';
+    expect(validateSettings(settings).valid).toBe(true);
+
+    settings.email.body = '{{#if count}}Players: {{count}}';
+    settings.templates.claim.html = 5;
+    expect(validateSettings(settings).errors).toEqual([
+      'email.body has an {{#if count}} without its {{/if}}',
+      'templates.claim.html must be text',
+    ]);
+  });
+
+  it('requires the public tier last and reservations within the list limit', () => {
+    const settings = getDefaultSettings();
+    settings.mainListLimit = 10;
+    settings.tiers = [
+      { id: 'public', name: 'Everyone else', reservedSpots: 6, earlyAccessHours: 0 },
+      { id: 'member', name: 'Member', reservedSpots: 6, earlyAccessHours: 0 },
+    ];
+
+    const { valid, errors } = validateSettings(settings);
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      'The last tier must be the public tier ("public")',
+      "Reserved spots (12) can't be more than the main list limit (10)",
+    ]);
+  });
+
+  it('rejects out-of-range penalty rules', () => {
+    const settings = getDefaultSettings();
+    settings.penalties.strikeLimit = 0;
+    settings.penalties.windowWeeks = 53;
+    settings.penalties.penalty = 'ban';
+
+    const { valid, errors } = validateSettings(settings);
+
+    expect(valid).toBe(false);
+    expect(errors).toHaveLength(3);
+    expect(errors[0]).toContain('penalties.strikeLimit');
+  });
+
+  it('rejects bad access period times and timezones', () => {
+    const settings = getDefaultSettings();
+    settings.accessPeriod.startDay = 7;
+    settings.accessPeriod.endHour = 24;
+    settings.accessPeriod.timezone = 'Mars/Olympus_Mons';
+
+    const { valid, errors } = validateSettings(settings);
+
+    expect(valid).toBe(false);
+    expect(errors).toHaveLength(3);
+  });
+
+  it('accepts monthly games on the last weekday', () => {
+    const settings = getDefaultSettings();
+    settings.gameInfo.recurrence = 'monthly';
+    settings.gameInfo.monthlyOccurrence = 'last';
+
+    expect(validateSettings(settings).valid).toBe(true);
+  });
+
+  it('rejects an unknown recurrence', () => {
+    const settings = getDefaultSettings();
+    settings.gameInfo.recurrence = 'fortnightly';
+
+    expect(validateSettings(settings).valid).toBe(false);
+  });
+
+  it('requires an anchor date on the game day for biweekly games', () => {
+    const settings = getDefaultSettings();
+    settings.gameInfo.recurrence = 'biweekly';
+
+    expect(validateSettings(settings).errors).toContain('gameInfo.anchorDate is required for biweekly games');
+
+    settings.gameInfo.anchorDate = '2026-03-14'; // a Saturday
+    expect(validateSettings(settings).errors).toContain('gameInfo.anchorDate must fall on gameInfo.gameDay');
+
+    settings.gameInfo.anchorDate = '2026-03-15';
+    expect(validateSettings(settings).valid).toBe(true);
+  });
+
+  it('requires a day count for interval games', () => {
+    const settings = getDefaultSettings();
+    settings.gameInfo.recurrence = 'interval';
+    settings.gameInfo.anchorDate = '2026-03-15';
+
+    expect(validateSettings(settings).errors).toContain('gameInfo.intervalDays is required for interval games');
+
+    settings.gameInfo.intervalDays = 1;
+    expect(validateSettings(settings).valid).toBe(false);
+
+    settings.gameInfo.intervalDays = 10;
+    expect(validateSettings(settings).valid).toBe(true);
+  });
+
+  it('requires several game days to include the game day', () => {
+    const settings = getDefaultSettings();
+    settings.gameInfo.gameDay = 2;
+    settings.gameInfo.gameDays = [4, 6];
+    settings.accessPeriod = { ...settings.accessPeriod, startDay: 1, startHour: 18, endDay: 2, endHour: 12 };
+
+    expect(validateSettings(settings).errors).toEqual(['gameInfo.gameDays must include gameInfo.gameDay']);
+
+    settings.gameInfo.gameDays = [2, 4];
+    expect(validateSettings(settings).valid).toBe(true);
+  });
+
+  it('rejects a window that opens before the previous game day is over', () => {
+    const settings = getDefaultSettings();
+    settings.gameInfo.gameDay = 2;
+    settings.gameInfo.gameDays = [2, 4];
+    // Opens Sunday for Tuesday, so Tuesday for Thursday's game
+    settings.accessPeriod = { ...settings.accessPeriod, startDay: 0, startHour: 9, endDay: 2, endHour: 12 };
+
+    expect(validateSettings(settings).valid).toBe(false);
+
+    // Monday 6pm for Tuesday, Wednesday 6pm for Thursday: fine until early access reaches back into Tuesday
+    settings.accessPeriod = { ...settings.accessPeriod, startDay: 1, startHour: 18 };
+    expect(validateSettings(settings).valid).toBe(true);
+
+    settings.tiers[0].earlyAccessHours = 24;
+    expect(validateSettings(settings).valid).toBe(false);
+  });
+
+  it('requires skip dates to be unique dates with a short reason', () => {
+    const settings = getDefaultSettings();
+    settings.skipDates = [{ date: '2026-12-26', reason: 'Christmas' }];
+    expect(validateSettings(settings).valid).toBe(true);
+
+    settings.skipDates = [{ date: '2026-02-30', reason: '' }];
+    expect(validateSettings(settings).errors).toEqual(['skipDates[0].date must be a unique date (YYYY-MM-DD)']);
+
+    settings.skipDates = [{ date: '2026-12-26', reason: '' }, { date: '2026-12-26', reason: 'x'.repeat(101) }];
+    expect(validateSettings(settings).errors).toEqual([
+      'skipDates[1].date must be a unique date (YYYY-MM-DD)',
+      'skipDates[1].reason must be text of at most 100 characters',
+    ]);
+
+    settings.skipDates = null;
+    expect(validateSettings(settings).errors).toEqual(['skipDates must be a list']);
+  });
+
+  it('requires email addresses to be a list', () => {
+    const settings = getDefaultSettings();
+    settings.email.recipients = 'organizer@example.com';
+
+    expect(validateSettings(settings).errors).toContain('email.recipients must be a list of addresses');
+  });
+
+  it('requires every location field to be text', () => {
+    const settings = getDefaultSettings();
+    delete settings.gameInfo.location.area;
+
+    expect(validateSettings(settings).errors).toContain('gameInfo.location.area must be text');
+  });
+});
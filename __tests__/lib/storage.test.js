@@ -0,0 +1,113 @@
+/**
+ * Unit tests for the storage drivers behind lib/kv
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createMemoryDriver, createFileDriver, resolveDriverName } from '../../lib/storage';
+
+describe('resolveDriverName', () => {
+  it('honours an explicit STORAGE_DRIVER', () => {
+    expect(resolveDriverName({ STORAGE_DRIVER: 'file', KV_REST_API_URL: 'https://x' })).toBe('file');
+  });
+
+  it('uses Vercel KV when credentials are present', () => {
+    expect(resolveDriverName({ KV_REST_API_URL: 'https://x', NODE_ENV: 'production' })).toBe('vercel-kv');
+  });
+
+  it('uses memory under test and the file driver otherwise', () => {
+    expect(resolveDriverName({ NODE_ENV: 'test' })).toBe('memory');
+    expect(resolveDriverName({ NODE_ENV: 'development' })).toBe('file');
+  });
+});
+
+// Both local drivers must behave identically, so run the same suite against each
+const driverFactories = {
+  memory: () => createMemoryDriver(),
+  file: () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'playday-kv-'));
+    return createFileDriver(path.join(dir, 'kv.json'));
+  },
+};
+
+describe.each(Object.entries(driverFactories))('%s driver', (_name, createDriver) => {
+  let driver;
+
+  beforeEach(() => {
+    driver = createDriver();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('returns null for missing keys', async () => {
+    expect(await driver.get('missing')).toBeNull();
+  });
+
+  it('round-trips JSON values', async () => {
+    await driver.set('k', { list: [1, 2], nested: { ok: true } });
+    expect(await driver.get('k')).toEqual({ list: [1, 2], nested: { ok: true } });
+  });
+
+  it('does not share references with callers', async () => {
+    const value = { list: [] };
+    await driver.set('k', value);
+    value.list.push('mutated');
+
+    const read = await driver.get('k');
+    expect(read.list).toEqual([]);
+    read.list.push('again');
+    expect((await driver.get('k')).list).toEqual([]);
+  });
+
+  it('supports NX for lock acquisition', async () => {
+    expect(await driver.set('lock', 'a', { nx: true })).toBe('OK');
+    expect(await driver.set('lock', 'b', { nx: true })).toBeNull();
+    expect(await driver.get('lock')).toBe('a');
+  });
+
+  it('expires keys set with px/ex', async () => {
+    jest.useFakeTimers();
+    await driver.set('short', 1, { px: 1000 });
+    await driver.set('long', 2, { ex: 60 });
+
+    jest.advanceTimersByTime(1500);
+
+    expect(await driver.get('short')).toBeNull();
+    expect(await driver.get('long')).toBe(2);
+    // An expired key no longer blocks NX
+    expect(await driver.set('short', 3, { nx: true })).toBe('OK');
+  });
+
+  it('deletes keys and reports how many existed', async () => {
+    await driver.set('a', 1);
+    await driver.set('b', 2);
+
+    expect(await driver.del('a', 'b', 'c')).toBe(2);
+    expect(await driver.get('a')).toBeNull();
+  });
+
+  it('deletes a key only while it holds the given value', async () => {
+    await driver.set('lock', 'mine');
+
+    expect(await driver.delIfEquals('lock', 'theirs')).toBe(0);
+    expect(await driver.get('lock')).toBe('mine');
+    expect(await driver.delIfEquals('lock', 'mine')).toBe(1);
+    expect(await driver.get('lock')).toBeNull();
+    expect(await driver.delIfEquals('lock', 'mine')).toBe(0);
+  });
+});
+
+describe('file driver persistence', () => {
+  it('shares data between driver instances on the same file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'playday-kv-'));
+    const filePath = path.join(dir, 'nested', 'kv.json');
+
+    await createFileDriver(filePath).set('org:1:settings', { mainListLimit: 12 });
+
+    expect(await createFileDriver(filePath).get('org:1:settings')).toEqual({ mainListLimit: 12 });
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).data['org:1:settings']).toEqual({ mainListLimit: 12 });
+  });
+});
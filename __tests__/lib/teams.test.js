@@ -0,0 +1,186 @@
+/**
+ * Unit tests for team generation (lib/teams.js)
+ */
+
+import {
+  DEFAULT_SKILL,
+  currentTeamsData,
+  validateMemberAttributes,
+  getPlayerAttributes,
+  generateTeams,
+  moveOrSwapPlayer,
+  resolveTeams,
+  summarizeTeam,
+} from '../../lib/teams';
+
+// Deterministic "random" source so generation is repeatable
+function seededRandom(seed = 1) {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return (state - 1) / 2147483646;
+  };
+}
+
+function makePlayers(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: i + 1,
+    name: `Player ${i + 1}`,
+    timestamp: '2026-01-01T10:00:00.000Z',
+  }));
+}
+
+const sizes = teams => teams.map(t => t.playerIds.length);
+
+describe('validateMemberAttributes', () => {
+  it('accepts empty or in-range values', () => {
+    expect(validateMemberAttributes({ skill: null, gender: null })).toBeNull();
+    expect(validateMemberAttributes({ skill: 5, gender: 'female' })).toBeNull();
+  });
+
+  it('rejects out-of-range skill and unknown genders', () => {
+    expect(validateMemberAttributes({ skill: 6 })).toContain('Skill');
+    expect(validateMemberAttributes({ skill: 2.5 })).toContain('Skill');
+    expect(validateMemberAttributes({ gender: 'W' })).toContain('Gender');
+  });
+});
+
+describe('currentTeamsData', () => {
+  it('ignores teams from another period', () => {
+    const teamsData = { periodId: '2026-W10', teams: [] };
+    expect(currentTeamsData(teamsData, '2026-W10')).toBe(teamsData);
+    expect(currentTeamsData(teamsData, '2026-W11')).toBeNull();
+    expect(currentTeamsData(null, '2026-W11')).toBeNull();
+  });
+});
+
+describe('getPlayerAttributes', () => {
+  const whitelist = [{ name: 'Ada Obi', skill: 5, gender: 'female' }];
+
+  it('reads attributes from the matching whitelist entry', () => {
+    expect(getPlayerAttributes({ name: 'ada obi' }, whitelist)).toEqual({ skill: 5, gender: 'female' });
+  });
+
+  it('defaults non-members and guests to average skill', () => {
+    expect(getPlayerAttributes({ name: 'Stranger' }, whitelist)).toEqual({ skill: DEFAULT_SKILL, gender: null });
+    expect(getPlayerAttributes({ name: 'Ada Obi', isGuest: true }, whitelist)).toEqual({ skill: DEFAULT_SKILL, gender: null });
+  });
+});
+
+describe('generateTeams', () => {
+  it('places every player once with sizes within one of each other', () => {
+    const players = makePlayers(11);
+
+    const teams = generateTeams(players, [], { teamCount: 3, random: seededRandom() });
+
+    expect(teams.map(t => t.name)).toEqual(['Team 1', 'Team 2', 'Team 3']);
+    expect(teams.flatMap(t => t.playerIds).sort((a, b) => a - b)).toEqual(players.map(p => p.id));
+    expect(Math.max(...sizes(teams)) - Math.min(...sizes(teams))).toBeLessThanOrEqual(1);
+  });
+
+  it('spreads each gender evenly across teams', () => {
+    const players = makePlayers(12);
+    const whitelist = players.map((p, i) => ({ name: p.name, gender: i < 4 ? 'female' : 'male' }));
+
+    const teams = generateTeams(players, whitelist, { teamCount: 2, random: seededRandom(7) });
+
+    for (const team of teams) {
+      const women = team.playerIds.filter(id => id <= 4).length;
+      expect(women).toBe(2);
+    }
+  });
+
+  it('balances total skill', () => {
+    const players = makePlayers(8);
+    const skills = [5, 5, 4, 4, 2, 2, 1, 1];
+    const whitelist = players.map((p, i) => ({ name: p.name, skill: skills[i] }));
+
+    const teams = generateTeams(players, whitelist, { teamCount: 2, random: seededRandom(3) });
+    const totals = teams.map(t => t.playerIds.reduce((sum, id) => sum + skills[id - 1], 0));
+
+    expect(Math.abs(totals[0] - totals[1])).toBeLessThanOrEqual(2);
+  });
+
+  it('keeps locked players on their team and keeps team names', () => {
+    const players = makePlayers(6);
+    const previous = {
+      teams: [
+        { name: 'Reds', playerIds: [1, 2, 3] },
+        { name: 'Blues', playerIds: [4, 5, 6] },
+      ],
+      lockedIds: [1, 6],
+    };
+
+    for (let seed = 1; seed <= 5; seed++) {
+      const teams = generateTeams(players, [], { teamCount: 2, previous, random: seededRandom(seed) });
+      expect(teams[0].name).toBe('Reds');
+      expect(teams[0].playerIds).toContain(1);
+      expect(teams[1].playerIds).toContain(6);
+    }
+  });
+
+  it('ignores locks for players no longer on the list', () => {
+    const players = makePlayers(4);
+    const previous = { teams: [{ name: 'A', playerIds: [99] }, { name: 'B', playerIds: [] }], lockedIds: [99] };
+
+    const teams = generateTeams(players, [], { teamCount: 2, previous, random: seededRandom() });
+
+    expect(teams.flatMap(t => t.playerIds)).not.toContain(99);
+    expect(sizes(teams)).toEqual([2, 2]);
+  });
+});
+
+describe('moveOrSwapPlayer', () => {
+  const teams = [
+    { name: 'A', playerIds: [1, 2] },
+    { name: 'B', playerIds: [3, 4] },
+  ];
+
+  it('swaps two players between teams', () => {
+    expect(moveOrSwapPlayer(teams, 2, { personId: 3 })).toEqual([
+      { name: 'A', playerIds: [1, 3] },
+      { name: 'B', playerIds: [2, 4] },
+    ]);
+  });
+
+  it('moves a player, or an unassigned one, onto a team', () => {
+    expect(moveOrSwapPlayer(teams, 1, { teamIndex: 1 })).toEqual([
+      { name: 'A', playerIds: [2] },
+      { name: 'B', playerIds: [3, 4, 1] },
+    ]);
+    expect(moveOrSwapPlayer(teams, 5, { teamIndex: 0 })[0].playerIds).toEqual([1, 2, 5]);
+  });
+
+  it('returns null for unknown players or teams', () => {
+    expect(moveOrSwapPlayer(teams, 1, { personId: 99 })).toBeNull();
+    expect(moveOrSwapPlayer(teams, 1, { teamIndex: 5 })).toBeNull();
+  });
+});
+
+describe('resolveTeams', () => {
+  it('drops players who left and lists new ones as unassigned', () => {
+    const mainList = makePlayers(3);
+    const teamsData = { teams: [{ name: 'A', playerIds: [1, 42] }, { name: 'B', playerIds: [2] }] };
+
+    const { teams, unassigned } = resolveTeams(teamsData, mainList);
+
+    expect(teams).toEqual([
+      { name: 'A', players: [mainList[0]] },
+      { name: 'B', players: [mainList[1]] },
+    ]);
+    expect(unassigned).toEqual([mainList[2]]);
+  });
+});
+
+describe('summarizeTeam', () => {
+  it('averages skill and counts genders', () => {
+    const whitelist = [{ name: 'Ada', skill: 5, gender: 'female' }, { name: 'Bayo', skill: 2, gender: 'male' }];
+    const players = [{ name: 'Ada' }, { name: 'Bayo' }, { name: 'Guest', isGuest: true }];
+
+    expect(summarizeTeam(players, whitelist)).toEqual({
+      size: 3,
+      averageSkill: 3.3,
+      genders: { female: 1, male: 1 },
+    });
+  });
+});
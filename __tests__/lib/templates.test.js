@@ -0,0 +1,150 @@
+/**
+ * Unit tests for email templates (lib/templates.js, lib/template-vars.js)
+ */
+
+import {
+  DEFAULT_TEMPLATES,
+  renderTemplate,
+  checkTemplate,
+  usesVariable,
+  getTemplate,
+  compactTemplates,
+  renderEmail,
+} from '../../lib/templates';
+import { getTemplateVars, previewEmail } from '../../lib/template-vars';
+import { getDefaultSettings } from '../../lib/settings';
+import { createMemoryDriver, setStorageDriver } from '../../lib/storage';
+
+// Run against the in-memory storage driver; tests seed and inspect kvStore directly
+const kvStore = {};
+setStorageDriver(createMemoryDriver(kvStore));
+
+const org = { id: 'org-1', slug: 'lagos-ultimate', name: 'Lagos Ultimate', sport: 'ultimate', timezone: 'Africa/Lagos' };
+
+beforeEach(() => {
+  Object.keys(kvStore).forEach(key => delete kvStore[key]);
+});
+
+describe('renderTemplate', () => {
+  it('fills in variables and leaves unknown ones as written', () => {
+    expect(renderTemplate('{{org}} - {{ week }} - {{typo}}', { org: 'Lagos Ultimate', week: '2026-W11' }))
+      .toBe('Lagos Ultimate - 2026-W11 - {{typo}}');
+  });
+
+  it('shows conditional text for set variables, treating empty and 0 as unset', () => {
+    const template = '{{#if waitlistCount}}{{waitlistCount}} waiting{{else}}No waitlist{{/if}}{{#if weather}}, {{weather}}{{/if}}';
+
+    expect(renderTemplate(template, { waitlistCount: '3', weather: 'Sunny' })).toBe('3 waiting, Sunny');
+    expect(renderTemplate(template, { waitlistCount: '0', weather: '' })).toBe('No waitlist');
+  });
+
+  it('nests conditionals', () => {
+    const template = '{{#if a}}A{{#if b}}B{{else}}-{{/if}}{{/if}}';
+    expect(renderTemplate(template, { a: 'x', b: 'y' })).toBe('AB');
+    expect(renderTemplate(template, { a: 'x' })).toBe('A-');
+    expect(renderTemplate(template, { b: 'y' })).toBe('');
+  });
+
+  it('escapes values for HTML', () => {
+    expect(renderTemplate('<p>{{list}}</p>', { list: '1. Ada <Obi>\n2. Bayo & co' }, { html: true }))
+      .toBe('<p>1. Ada &lt;Obi&gt;<br>2. Bayo &amp; co</p>');
+  });
+});
+
+describe('checkTemplate', () => {
+  it("reports {{#if}}s that don't match up", () => {
+    expect(checkTemplate('{{#if count}}{{count}}{{else}}none{{/if}}')).toBeNull();
+    expect(checkTemplate('{{#if count}}{{count}}')).toBe('has an {{#if count}} without its {{/if}}');
+    expect(checkTemplate('{{count}}{{/if}}')).toBe('has an {{/if}} without its {{#if}}');
+    expect(checkTemplate('{{else}}')).toBe('has an {{else}} outside an {{#if}}');
+  });
+});
+
+describe('usesVariable', () => {
+  it('looks in every field, including conditions', () => {
+    expect(usesVariable({ subject: '', body: '{{#if weather}}Rain?{{/if}}', html: '' }, 'weather')).toBe(true);
+    expect(usesVariable({ subject: '{{week}}', body: '', html: '' }, 'weather')).toBe(false);
+  });
+});
+
+describe('getTemplate', () => {
+  it("uses the list email's settings and the defaults for empty fields", () => {
+    const settings = getDefaultSettings();
+    settings.templates.welcome.subject = 'Welcome aboard, {{name}}';
+
+    expect(getTemplate(settings, 'list')).toEqual({
+      subject: settings.email.subject,
+      body: settings.email.body,
+      html: '',
+    });
+    expect(getTemplate(settings, 'welcome')).toEqual({ ...DEFAULT_TEMPLATES.welcome, subject: 'Welcome aboard, {{name}}' });
+  });
+});
+
+describe('compactTemplates', () => {
+  it('empties fields left at their default', () => {
+    expect(compactTemplates({ promotion: { ...DEFAULT_TEMPLATES.promotion, subject: "You're in!" } }))
+      .toEqual({ promotion: { subject: "You're in!", body: '', html: '' } });
+  });
+});
+
+describe('renderEmail', () => {
+  it('sends the body as HTML paragraphs without an HTML version', () => {
+    const email = renderEmail(
+      { subject: 'RSVP List - {{week}}', body: 'Hi all,\n\nPlayers:\n{{list}}', html: '' },
+      { week: '2026-W11', list: '1. Ada\n2. Bayo' }
+    );
+
+    expect(email.subject).toBe('RSVP List - 2026-W11');
+    expect(email.text).toBe('Hi all,\n\nPlayers:\n1. Ada\n2. Bayo');
+    expect(email.html).toContain('<p>Hi all,</p>');
+    expect(email.html).toContain('<p>Players:<br>1. Ada<br>2. Bayo</p>');
+  });
+});
+
+describe('getTemplateVars', () => {
+  it("fills in the org's current data", async () => {
+    const settings = getDefaultSettings('Africa/Lagos');
+    settings.gameInfo = {
+      ...settings.gameInfo,
+      enabled: true,
+      gameDay: 6,
+      location: { ...settings.gameInfo.location, enabled: true, name: '1004 Estate', area: 'Victoria Island, Lagos' },
+    };
+    kvStore['org:org-1:rsvp-data'] = {
+      mainList: [{ id: 1, name: 'Bayo Ade' }, { id: 2, name: 'Ada Obi' }, { id: 3, name: 'Ada Obi +1', isGuest: true, hostId: 2 }],
+      waitlist: [{ id: 4, name: 'Chi Eze' }],
+    };
+
+    const vars = await getTemplateVars(org, settings, { now: new Date('2026-03-12T12:00:00Z') });
+
+    expect(vars).toMatchObject({
+      org: 'Lagos Ultimate',
+      sport: 'ultimate',
+      date: 'Thursday, March 12, 2026',
+      gameDate: 'Saturday, Mar 14',
+      location: '1004 Estate, Victoria Island, Lagos',
+      count: '3',
+      waitlistCount: '1',
+      list: '1. Ada Obi\n    2. Ada Obi +1 (guest)\n3. Bayo Ade',
+      weather: '',
+      link: 'https://itsplayday.com/lagos-ultimate',
+    });
+  });
+});
+
+describe('previewEmail', () => {
+  it("fills in an example for the player's details, and only the type's own", async () => {
+    const settings = getDefaultSettings('Africa/Lagos');
+    kvStore['org:org-1:rsvp-data'] = { mainList: [{ id: 1, name: 'Ada Obi' }], waitlist: [] };
+
+    const preview = await previewEmail(org, settings, 'welcome', {
+      subject: 'Welcome {{name}}',
+      body: 'Code: {{snoozeCode}} {{claimLink}}',
+      html: '',
+    });
+
+    expect(preview.subject).toBe('Welcome Ada Obi');
+    expect(preview.text).toBe('Code: ABC234 {{claimLink}}');
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Unit tests for priority tiers (lib/tiers.js)
+ */
+
+import {
+  PUBLIC_TIER_ID,
+  getDefaultTiers,
+  getMemberTiers,
+  resolveMemberTierId,
+  getPersonTierId,
+  getEarlyAccessHours,
+  getEarliestTierId,
+  createTierId,
+  validateTiers,
+} from '../../lib/tiers';
+
+const tiers = [
+  { id: 'core', name: 'Core', reservedSpots: 4, earlyAccessHours: 24 },
+  { id: 'regular', name: 'Regular', reservedSpots: 0, earlyAccessHours: 6 },
+  { id: PUBLIC_TIER_ID, name: 'Everyone else', reservedSpots: 2, earlyAccessHours: 0 },
+];
+
+describe('getDefaultTiers', () => {
+  it('has one member tier above the public tier and passes validation', () => {
+    const defaults = getDefaultTiers();
+
+    expect(defaults.map(t => t.id)).toEqual(['member', PUBLIC_TIER_ID]);
+    expect(validateTiers(defaults, 30)).toEqual([]);
+  });
+});
+
+describe('resolveMemberTierId', () => {
+  it('puts members from before tiers in the top tier and orphans in the lowest', () => {
+    expect(resolveMemberTierId(undefined, tiers)).toBe('core');
+    expect(resolveMemberTierId('regular', tiers)).toBe('regular');
+    expect(resolveMemberTierId('deleted', tiers)).toBe('regular');
+  });
+});
+
+describe('getPersonTierId', () => {
+  it('puts non-members and guests in the public tier', () => {
+    expect(getPersonTierId({ name: 'Visitor' }, tiers)).toBe(PUBLIC_TIER_ID);
+    expect(getPersonTierId({ name: 'Guest', isGuest: true, isWhitelisted: true }, tiers)).toBe(PUBLIC_TIER_ID);
+    expect(getPersonTierId({ name: 'Ada', isWhitelisted: true, tier: 'regular' }, tiers)).toBe('regular');
+  });
+});
+
+describe('getMemberTiers', () => {
+  it('leaves out the public tier', () => {
+    expect(getMemberTiers(tiers).map(t => t.id)).toEqual(['core', 'regular']);
+  });
+});
+
+describe('getEarlyAccessHours / getEarliestTierId', () => {
+  it('reads a tier\'s early access and finds the earliest window', () => {
+    expect(getEarlyAccessHours(tiers, 'core')).toBe(24);
+    expect(getEarlyAccessHours(tiers, null)).toBe(0);
+    expect(getEarliestTierId(tiers)).toBe('core');
+    expect(getEarliestTierId(undefined)).toBeNull();
+  });
+});
+
+describe('createTierId', () => {
+  it('slugs the name and avoids taken ids', () => {
+    expect(createTierId('Core Players!', tiers)).toBe('core-players');
+    expect(createTierId('Core', tiers)).toBe('core-2');
+    expect(createTierId('Public', tiers)).toBe('public-members');
+  });
+});
+
+describe('validateTiers', () => {
+  it('accepts a valid tier list', () => {
+    expect(validateTiers(tiers, 10)).toEqual([]);
+  });
+
+  it('rejects too few tiers', () => {
+    expect(validateTiers([tiers[2]], 10)[0]).toContain('2 to 6 tiers');
+  });
+
+  it('rejects duplicate ids, blank names and early access for the public tier', () => {
+    const errors = validateTiers([
+      { id: 'core', name: ' ', reservedSpots: 0, earlyAccessHours: 0 },
+      { id: 'core', name: 'Again', reservedSpots: -1, earlyAccessHours: 0 },
+      { id: PUBLIC_TIER_ID, name: 'Everyone else', reservedSpots: 0, earlyAccessHours: 1 },
+    ], 10);
+
+    expect(errors).toEqual([
+      'tiers[0].name is required',
+      'tiers[1].id must be a unique id',
+      'tiers[1].reservedSpots must be a whole number of 0 or more',
+      'tiers[2].earlyAccessHours must be between 0 and 0',
+    ]);
+  });
+});
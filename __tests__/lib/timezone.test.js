@@ -0,0 +1,90 @@
+/**
+ * Unit tests for zoned time helpers (lib/timezone.js)
+ */
+
+import { toWallClock, getTimezoneOffset, wallClockToUtc, makeWallClock } from '../../lib/timezone';
+
+const utc = iso => new Date(iso);
+const wallToUtc = (timezone, ...fields) => wallClockToUtc(makeWallClock(...fields), timezone).toISOString();
+
+describe('toWallClock', () => {
+  it('reads the local time in the zone, whatever the server zone', () => {
+    const wall = toWallClock(utc('2026-03-05T23:30:00Z'), 'Africa/Lagos');
+
+    expect(wall.toISOString()).toBe('2026-03-06T00:30:00.000Z');
+    expect(wall.getUTCDay()).toBe(5);
+  });
+
+  it('follows daylight saving in London', () => {
+    expect(toWallClock(utc('2026-01-15T12:00:00Z'), 'Europe/London').getUTCHours()).toBe(12);
+    expect(toWallClock(utc('2026-07-15T12:00:00Z'), 'Europe/London').getUTCHours()).toBe(13);
+  });
+
+  it('reads midnight as hour 0', () => {
+    expect(toWallClock(utc('2026-03-05T05:00:00Z'), 'America/New_York').getUTCHours()).toBe(0);
+  });
+});
+
+describe('getTimezoneOffset', () => {
+  it('gives minutes ahead of UTC on either side of a transition', () => {
+    expect(getTimezoneOffset(utc('2026-06-01T00:00:00Z'), 'Africa/Lagos')).toBe(60);
+    expect(getTimezoneOffset(utc('2026-03-08T06:59:00Z'), 'America/New_York')).toBe(-300);
+    expect(getTimezoneOffset(utc('2026-03-08T07:00:00Z'), 'America/New_York')).toBe(-240);
+    expect(getTimezoneOffset(utc('2026-10-25T00:59:00Z'), 'Europe/London')).toBe(60);
+    expect(getTimezoneOffset(utc('2026-10-25T01:00:00Z'), 'Europe/London')).toBe(0);
+    expect(getTimezoneOffset(utc('2026-07-01T00:00:00Z'), 'Asia/Kolkata')).toBe(330);
+  });
+});
+
+describe('wallClockToUtc', () => {
+  it('converts zones without daylight saving', () => {
+    expect(wallToUtc('Africa/Lagos', 2026, 2, 6, 10, 0)).toBe('2026-03-06T09:00:00.000Z');
+    expect(wallToUtc('UTC', 2026, 2, 6, 10, 0)).toBe('2026-03-06T10:00:00.000Z');
+    expect(wallToUtc('Asia/Kolkata', 2026, 2, 6, 10, 0)).toBe('2026-03-06T04:30:00.000Z');
+  });
+
+  it('uses the right offset either side of a spring-forward night', () => {
+    // New York moves from -05:00 to -04:00 at 02:00 on 8 March 2026
+    expect(wallToUtc('America/New_York', 2026, 2, 7, 10, 0)).toBe('2026-03-07T15:00:00.000Z');
+    expect(wallToUtc('America/New_York', 2026, 2, 8, 1, 59)).toBe('2026-03-08T06:59:00.000Z');
+    expect(wallToUtc('America/New_York', 2026, 2, 8, 3, 0)).toBe('2026-03-08T07:00:00.000Z');
+    expect(wallToUtc('America/New_York', 2026, 2, 9, 10, 0)).toBe('2026-03-09T14:00:00.000Z');
+  });
+
+  it('moves skipped wall times forward past the jump', () => {
+    // 02:30 never happens in New York on 8 March 2026; it reads as 03:30 EDT
+    expect(wallToUtc('America/New_York', 2026, 2, 8, 2, 30)).toBe('2026-03-08T07:30:00.000Z');
+    // 01:30 never happens in London on 29 March 2026; it reads as 02:30 BST
+    expect(wallToUtc('Europe/London', 2026, 2, 29, 1, 30)).toBe('2026-03-29T01:30:00.000Z');
+  });
+
+  it('picks the first of two repeated wall times when clocks go back', () => {
+    // 01:30 happens twice in New York on 1 November 2026 (EDT, then EST)
+    expect(wallToUtc('America/New_York', 2026, 10, 1, 1, 30)).toBe('2026-11-01T05:30:00.000Z');
+    // 01:30 happens twice in London on 25 October 2026 (BST, then GMT)
+    expect(wallToUtc('Europe/London', 2026, 9, 25, 1, 30)).toBe('2026-10-25T00:30:00.000Z');
+  });
+
+  it('handles southern hemisphere transitions', () => {
+    // Sydney leaves daylight saving at 03:00 on 5 April 2026 and starts again at 02:00 on 4 October
+    expect(wallToUtc('Australia/Sydney', 2026, 3, 4, 12, 0)).toBe('2026-04-04T01:00:00.000Z');
+    expect(wallToUtc('Australia/Sydney', 2026, 3, 6, 12, 0)).toBe('2026-04-06T02:00:00.000Z');
+    expect(wallToUtc('Australia/Sydney', 2026, 9, 4, 2, 30)).toBe('2026-10-03T16:30:00.000Z');
+  });
+
+  it('round-trips with toWallClock', () => {
+    const instant = utc('2026-10-25T01:30:00Z');
+    const zones = ['Europe/London', 'America/New_York', 'Australia/Sydney', 'Africa/Lagos'];
+
+    for (const timezone of zones) {
+      const wall = toWallClock(instant, timezone);
+      expect(toWallClock(wallClockToUtc(wall, timezone), timezone).getTime()).toBe(wall.getTime());
+    }
+  });
+});
+
+describe('makeWallClock', () => {
+  it('rolls over out-of-range days', () => {
+    expect(makeWallClock(2026, 0, 32, 9, 15).toISOString()).toBe('2026-02-01T09:15:00.000Z');
+  });
+});
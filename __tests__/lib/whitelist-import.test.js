@@ -0,0 +1,101 @@
+/**
+ * Unit tests for the bulk whitelist import (lib/whitelist-import.js)
+ */
+
+import { parseCsv, parseMemberCsv, planWhitelistImport, MAX_IMPORT_ROWS } from '../../lib/whitelist-import';
+import { getDefaultTiers } from '../../lib/tiers';
+
+const tiers = [
+  { id: 'core', name: 'Core', reservedSpots: 0, earlyAccessHours: 0 },
+  { id: 'social', name: 'Social', reservedSpots: 0, earlyAccessHours: 0 },
+  ...getDefaultTiers().slice(1),
+];
+
+const current = {
+  whitelist: [
+    { name: 'Ada Obi', email: 'ada@example.com', snoozeCode: 'ABC234', tier: 'core' },
+    { name: 'Bayo Ade', snoozeCode: 'DEF567', tier: 'social' },
+    { name: 'Chi Eze', email: 'chi@example.com', snoozeCode: 'GHJ892', tier: 'core' },
+  ],
+  signups: [{ id: 1, name: 'Dayo Bello' }],
+  tiers,
+};
+
+const plan = (csv, options = {}, sync = false) =>
+  planWhitelistImport(parseMemberCsv(csv).members, { ...current, ...options }, sync);
+
+describe('parseCsv', () => {
+  it('handles quotes, line breaks in quotes and blank lines', () => {
+    expect(parseCsv('\uFEFFa,"b, ""c"""\r\n\r\n"multi\nline",d\n')).toEqual([
+      { line: 1, cells: ['a', 'b, "c"'] },
+      { line: 3, cells: ['multi\nline', 'd'] },
+    ]);
+  });
+});
+
+describe('parseMemberCsv', () => {
+  it('reads columns from a header row, in any order', () => {
+    expect(parseMemberCsv('Email,Tier,Name\n ADA@Example.com ,Core, Ada Obi \n').members).toEqual([
+      { line: 2, name: 'Ada Obi', email: 'ada@example.com', tier: 'Core' },
+    ]);
+  });
+
+  it('takes name, email and tier without a header', () => {
+    expect(parseMemberCsv('Ada Obi\nBayo Ade,bayo@example.com').members).toEqual([
+      { line: 1, name: 'Ada Obi', email: '', tier: '' },
+      { line: 2, name: 'Bayo Ade', email: 'bayo@example.com', tier: '' },
+    ]);
+  });
+
+  it('rejects empty and oversized files', () => {
+    expect(parseMemberCsv('  ').error).toBe('The file is empty');
+    expect(parseMemberCsv('Name,Email\n').error).toBe('The file has no members');
+    expect(parseMemberCsv('x\n'.repeat(MAX_IMPORT_ROWS + 1)).error).toMatch(/import at most 500/);
+  });
+});
+
+describe('planWhitelistImport', () => {
+  it("adds new members and skips rows it can't import", () => {
+    const { rows, removals, counts } = plan([
+      'Name,Email,Tier',
+      'Eko Ita,eko@example.com,social',
+      'Femi Ojo,,',
+      ',nobody@example.com,',
+      'eko ita,other@example.com,',
+      'Gbenga Lawal,not-an-email,',
+      'Dayo Bello,,',
+      'Ada Obi,,',
+      'Hauwa Musa,,Gold',
+    ].join('\n'), { defaultTier: 'social' });
+
+    expect(rows.map(r => [r.line, r.action, r.reason || r.tier])).toEqual([
+      [2, 'add', 'social'],
+      [3, 'add', 'social'],
+      [4, 'skip', 'Missing name'],
+      [5, 'skip', 'Same name as line 2'],
+      [6, 'skip', 'Invalid email'],
+      [7, 'skip', 'Already signed up'],
+      [8, 'skip', 'Already in whitelist'],
+      [9, 'skip', 'Unknown tier "Gold"'],
+    ]);
+    expect(removals).toEqual([]);
+    expect(counts).toEqual({ add: 2, update: 0, unchanged: 0, skip: 6, remove: 0 });
+  });
+
+  it('in sync mode, updates emails and removes members missing from the file', () => {
+    const { rows, removals, counts } = plan('ada obi,ada@new.example.com\nBayo Ade,\nEko Ita,', {}, true);
+
+    expect(rows).toEqual([
+      expect.objectContaining({ name: 'Ada Obi', email: 'ada@new.example.com', previousEmail: 'ada@example.com', action: 'update' }),
+      expect.objectContaining({ name: 'Bayo Ade', email: '', action: 'unchanged' }),
+      expect.objectContaining({ name: 'Eko Ita', tier: 'core', action: 'add' }),
+    ]);
+    expect(removals.map(w => w.name)).toEqual(['Chi Eze']);
+    expect(counts).toEqual({ add: 1, update: 1, unchanged: 1, skip: 0, remove: 1 });
+  });
+
+  it('keeps members named on rows that are skipped', () => {
+    const { removals } = plan('Ada Obi,bad-email\nBayo Ade\nChi Eze', {}, true);
+    expect(removals).toEqual([]);
+  });
+});
@@ -0,0 +1,138 @@
+import { getWindowOpenTime } from './recurrence';
+import { inRange } from './export';
+
+/**
+ * Organizer analytics: how each period's list filled
+ *
+ * While a period is open, every signup is recorded under
+ * `org:{id}:signup-log`:
+ *   { periodId, closeTime, signupTimes: [iso], filledAt, peakWaitlist }
+ * filledAt is when the main list first reached its limit; peakWaitlist is the
+ * longest the waitlist got. Guests aren't signups, but do take spots. When the
+ * period is archived, summarizeSignups() condenses the log into its play
+ * history entry (lib/player-stats.js), with signup times as minutes after the
+ * public window opened (or after the first signup, with no RSVP window).
+ */
+
+/**
+ * Record a signup in the current period's log
+ * @param {Object|null} log - Stored signup log; one for another period is started over
+ * @param {Object} signup
+ * @param {string} signup.periodId - Current period
+ * @param {string|null} signup.closeTime - When the window closes (ISO)
+ * @param {string} signup.at - When they signed up (ISO)
+ * @param {number} signup.mainListCount - Main list size after the signup, guests included
+ * @param {number} signup.mainListLimit
+ * @param {number} signup.waitlistCount - Waitlist size after the signup
+ * @returns {Object} Updated log
+ */
+export function recordSignup(log, { periodId, closeTime, at, mainListCount, mainListLimit, waitlistCount }) {
+  const current = log?.periodId === periodId
+    ? log
+    : { periodId, closeTime: null, signupTimes: [], filledAt: null, peakWaitlist: 0 };
+
+  return {
+    ...current,
+    closeTime: current.closeTime || closeTime || null,
+    signupTimes: [...current.signupTimes, at],
+    filledAt: current.filledAt || (mainListCount >= mainListLimit ? at : null),
+    peakWaitlist: Math.max(current.peakWaitlist, waitlistCount),
+  };
+}
+
+/**
+ * Condense a period's signup log for its play history entry
+ * @param {Object|null} log - Stored signup log
+ * @param {string} periodId - The period being archived
+ * @param {Object} settings - Org settings
+ * @returns {Object} { mainListLimit, openedAt, filledAt, signupMinutes, peakWaitlist };
+ *   just the limit when the period's signups weren't logged
+ */
+export function summarizeSignups(log, periodId, settings) {
+  const mainListLimit = settings.mainListLimit || 30;
+  if (log?.periodId !== periodId) return { mainListLimit };
+
+  const openedAt = log.closeTime && settings.accessPeriod ? getWindowOpenTime(settings.accessPeriod, log.closeTime) : null;
+  const opened = openedAt ? new Date(openedAt).getTime() : new Date(log.signupTimes[0]).getTime();
+
+  return {
+    mainListLimit,
+    openedAt,
+    filledAt: log.filledAt,
+    signupMinutes: log.signupTimes.map(at => Math.round((new Date(at).getTime() - opened) / 60000)),
+    peakWaitlist: log.peakWaitlist,
+  };
+}
+
+/**
+ * Per-period analytics from the play history
+ * @param {Array} history - Play history, newest first
+ * @param {Object} [options]
+ * @param {string} [options.from] - First day (`YYYY-MM-DD`) a period was archived
+ * @param {string} [options.to] - Last day
+ * @param {string} [options.timezone] - The org's timezone, for the range
+ * @param {Map} [options.aliases] - From getNameAliases, so renamed members aren't new players
+ * @returns {{ periods: Array, summary: Object }} Periods oldest first, each:
+ *   { periodId, archivedAt, mainListLimit, played, filled, signups,
+ *     minutesToFill, waitlist, dropouts, dropoutRate, newPlayers,
+ *     returningPlayers, snoozed }.
+ *   Periods archived before signups were logged have no minutesToFill; their
+ *   signups are counted from the lists and dropouts, and their waitlist
+ *   depth is the waitlist when the period ended.
+ */
+export function buildAnalytics(history, { from, to, timezone = 'Africa/Lagos', aliases = new Map() } = {}) {
+  const seen = new Set();
+  const resolve = name => (aliases.get(name.toLowerCase()) || name).toLowerCase();
+
+  const periods = history.slice().reverse().map(entry => {
+    const players = [...new Set(entry.mainList.map(resolve))];
+    const newPlayers = players.filter(name => !seen.has(name)).length;
+    [...players, ...entry.waitlist.map(resolve)].forEach(name => seen.add(name));
+
+    const played = entry.mainList.length + (entry.guests || 0);
+    const signups = entry.signupMinutes ? entry.signupMinutes.length : entry.mainList.length + entry.waitlist.length + entry.dropouts.length;
+    const minutesToFill = entry.openedAt && entry.filledAt
+      ? Math.max(0, Math.round((new Date(entry.filledAt) - new Date(entry.openedAt)) / 60000))
+      : null;
+
+    return {
+      periodId: entry.periodId,
+      archivedAt: entry.archivedAt,
+      mainListLimit: entry.mainListLimit || null,
+      played,
+      filled: entry.mainListLimit ? played >= entry.mainListLimit : null,
+      signups,
+      minutesToFill,
+      waitlist: entry.peakWaitlist ?? entry.waitlist.length,
+      dropouts: entry.dropouts.length,
+      dropoutRate: signups > 0 ? entry.dropouts.length / signups : 0,
+      newPlayers,
+      returningPlayers: players.length - newPlayers,
+      snoozed: entry.snoozed.length,
+    };
+  }).filter(period => inRange(period.archivedAt, { from, to, timezone }));
+
+  const total = key => periods.reduce((sum, p) => sum + p[key], 0);
+  const average = values => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+  const fillTimes = periods.map(p => p.minutesToFill).filter(m => m !== null);
+  const signups = total('signups');
+
+  return {
+    periods,
+    summary: {
+      periodCount: periods.length,
+      filledCount: periods.filter(p => p.filled).length,
+      averageMinutesToFill: average(fillTimes),
+      averageSignups: average(periods.map(p => p.signups)),
+      averageWaitlist: average(periods.map(p => p.waitlist)),
+      dropoutRate: signups > 0 ? total('dropouts') / signups : null,
+      newPlayers: total('newPlayers'),
+      averageSnoozed: average(periods.map(p => p.snoozed)),
+      // Games that didn't fill, emptiest first
+      weakPeriods: periods
+        .filter(p => p.filled === false)
+        .sort((a, b) => a.played / a.mainListLimit - b.played / b.mainListLimit)
+        .map(p => p.periodId),
+    },
+  };
+}
@@ -0,0 +1,97 @@
+/**
+ * Game-day attendance and no-show tracking
+ *
+ * Check-ins are stored per period under `org:{id}:attendance`, newest first,
+ * alongside the `archive` entries for the same periods:
+ *   [{ periodId, checkedIn: [{ id, name, checkedInAt }] }]
+ * Only periods where the organizer used check-in have an entry, so a missing
+ * entry means "not tracked" rather than "nobody came".
+ */
+
+// Kept in step with the archive, which holds the last 12 periods
+export const MAX_ATTENDANCE_PERIODS = 12;
+
+/**
+ * Get the attendance entry for a period
+ * @param {Array} attendance - Stored attendance
+ * @param {string} periodId - Period ID
+ * @returns {Object|null}
+ */
+export function getAttendanceEntry(attendance, periodId) {
+  return attendance.find(entry => entry.periodId === periodId) || null;
+}
+
+/**
+ * Check a player in, or undo their check-in
+ * @param {Array} attendance - Stored attendance
+ * @param {string} periodId - Period the check-in is for
+ * @param {Object} person - The mainList entry
+ * @param {boolean} checkedIn - Whether they're here
+ * @param {string} [checkedInAt] - ISO timestamp
+ * @returns {Array} Updated attendance
+ */
+export function setCheckIn(attendance, periodId, person, checkedIn, checkedInAt = new Date().toISOString()) {
+  const entry = getAttendanceEntry(attendance, periodId) || { periodId, checkedIn: [] };
+  const others = entry.checkedIn.filter(p => p.id !== person.id);
+  const existing = entry.checkedIn.find(p => p.id === person.id);
+
+  const updatedEntry = {
+    ...entry,
+    checkedIn: checkedIn
+      ? [...others, existing || { id: person.id, name: person.name, checkedInAt }]
+      : others,
+  };
+
+  return [updatedEntry, ...attendance.filter(e => e.periodId !== periodId)]
+    .slice(0, MAX_ATTENDANCE_PERIODS);
+}
+
+/**
+ * People on the main list who didn't check in
+ * @param {Array} mainList - The period's main list
+ * @param {Object|null} entry - The period's attendance entry
+ * @returns {Array} No-shows, or an empty list if check-in wasn't used
+ */
+export function getNoShows(mainList, entry) {
+  if (!entry) return [];
+  const checkedInIds = new Set(entry.checkedIn.map(p => p.id));
+  return mainList.filter(p => !checkedInIds.has(p.id));
+}
+
+/**
+ * No-shows for each archived period that had check-in, plus running totals
+ * per person (by name, since signup ids change every period)
+ * @param {Array} archive - Archived periods, newest first
+ * @param {Array} attendance - Stored attendance
+ * @returns {{ periods: Array, totals: Array<{ name: string, count: number }> }}
+ */
+export function buildNoShowReport(archive, attendance) {
+  const periods = [];
+  const totals = new Map();
+
+  for (const week of archive) {
+    const entry = getAttendanceEntry(attendance, week.weekId);
+    if (!entry) continue;
+
+    const mainList = week.mainList || [];
+    const noShows = getNoShows(mainList, entry);
+    periods.push({
+      periodId: week.weekId,
+      rsvpCount: mainList.length,
+      attendedCount: mainList.length - noShows.length,
+      noShows: noShows.map(p => ({ id: p.id, name: p.name })),
+    });
+
+    for (const person of noShows) {
+      const key = person.name.toLowerCase();
+      const total = totals.get(key) || { name: person.name, count: 0 };
+      total.count++;
+      totals.set(key, total);
+    }
+  }
+
+  return {
+    periods,
+    totals: [...totals.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+  };
+}
@@ -1,5 +1,4 @@
-import { kv } from '@vercel/kv';
-import { GLOBAL_KEYS, getGlobalData, setGlobalData } from './kv';
+import { kv, GLOBAL_KEYS, RECORD_PREFIXES, getGlobalData, setGlobalData, getRecord, setRecord, deleteRecord } from './kv';
 
 /**
  * Authentication helpers for organizer magic link auth
@@ -22,6 +21,17 @@ function generateToken() {
   return token;
 }
 
+/**
+ * Get a session or magic-token record, copying the legacy blobs into records
+ * the first time one is missing
+ */
+async function getAuthRecord(prefix, token) {
+  const record = await getRecord(prefix, token);
+  if (record || await getGlobalData(GLOBAL_KEYS.LEGACY_AUTH_MIGRATED, false)) return record;
+  await migrateLegacyAuthRecords();
+  return getRecord(prefix, token);
+}
+
 /**
  * Generate a UUID v4
  */
@@ -38,23 +48,13 @@ export async function createMagicToken(email) {
   const token = generateToken();
   const expiresAt = new Date(Date.now() + TOKEN_EXPIRY_MINUTES * 60 * 1000).toISOString();
 
-  // Store token -> email mapping with expiry
-  const tokens = await getGlobalData(GLOBAL_KEYS.MAGIC_TOKENS, {});
-  tokens[token] = {
+  // Store token -> email mapping; the key expires on its own
+  await setRecord(RECORD_PREFIXES.MAGIC_TOKEN, token, {
     email: email.toLowerCase(),
     expiresAt,
     createdAt: new Date().toISOString(),
-  };
-
-  // Clean up expired tokens while we're here
-  const now = new Date();
-  for (const [t, data] of Object.entries(tokens)) {
-    if (new Date(data.expiresAt) < now) {
-      delete tokens[t];
-    }
-  }
+  }, { ex: TOKEN_EXPIRY_MINUTES * 60 });
 
-  await setGlobalData(GLOBAL_KEYS.MAGIC_TOKENS, tokens);
   return token;
 }
 
@@ -64,26 +64,26 @@ export async function createMagicToken(email) {
  * @returns {string|null} The email if valid, null if invalid/expired
  */
 export async function verifyMagicToken(token) {
-  const tokens = await getGlobalData(GLOBAL_KEYS.MAGIC_TOKENS, {});
-  const tokenData = tokens[token];
+  if (!token) return null;
+
+  const tokenData = await getAuthRecord(RECORD_PREFIXES.MAGIC_TOKEN, token);
 
   if (!tokenData) {
     return null;
   }
 
-  // Check if expired
-  if (new Date(tokenData.expiresAt) < new Date()) {
-    delete tokens[token];
-    await setGlobalData(GLOBAL_KEYS.MAGIC_TOKENS, tokens);
+  // Consume the token (one-time use). If another request deleted it first, it lost the race.
+  const consumed = await deleteRecord(RECORD_PREFIXES.MAGIC_TOKEN, token);
+  if (!consumed) {
     return null;
   }
 
-  // Consume the token (one-time use)
-  const email = tokenData.email;
-  delete tokens[token];
-  await setGlobalData(GLOBAL_KEYS.MAGIC_TOKENS, tokens);
+  // Check if expired (the TTL normally handles this; guards against clock skew)
+  if (new Date(tokenData.expiresAt) < new Date()) {
+    return null;
+  }
 
-  return email;
+  return tokenData.email;
 }
 
 /**
@@ -95,22 +95,12 @@ export async function createSession(organizerId) {
   const sessionToken = generateToken();
   const expiresAt = new Date(Date.now() + SESSION_EXPIRY_DAYS * 24 * 60 * 60 * 1000).toISOString();
 
-  const sessions = await getGlobalData(GLOBAL_KEYS.SESSIONS, {});
-  sessions[sessionToken] = {
+  await setRecord(RECORD_PREFIXES.SESSION, sessionToken, {
     organizerId,
     expiresAt,
     createdAt: new Date().toISOString(),
-  };
+  }, { ex: SESSION_EXPIRY_DAYS * 24 * 60 * 60 });
 
-  // Clean up expired sessions
-  const now = new Date();
-  for (const [t, data] of Object.entries(sessions)) {
-    if (new Date(data.expiresAt) < now) {
-      delete sessions[t];
-    }
-  }
-
-  await setGlobalData(GLOBAL_KEYS.SESSIONS, sessions);
   return sessionToken;
 }
 
@@ -122,17 +112,15 @@ export async function createSession(organizerId) {
 export async function verifySession(sessionToken) {
   if (!sessionToken) return null;
 
-  const sessions = await getGlobalData(GLOBAL_KEYS.SESSIONS, {});
-  const sessionData = sessions[sessionToken];
+  const sessionData = await getAuthRecord(RECORD_PREFIXES.SESSION, sessionToken);
 
   if (!sessionData) {
     return null;
   }
 
-  // Check if expired
+  // Check if expired (the TTL normally handles this; guards against clock skew)
   if (new Date(sessionData.expiresAt) < new Date()) {
-    delete sessions[sessionToken];
-    await setGlobalData(GLOBAL_KEYS.SESSIONS, sessions);
+    await deleteRecord(RECORD_PREFIXES.SESSION, sessionToken);
     return null;
   }
 
@@ -146,9 +134,21 @@ export async function verifySession(sessionToken) {
 export async function deleteSession(sessionToken) {
   if (!sessionToken) return;
 
-  const sessions = await getGlobalData(GLOBAL_KEYS.SESSIONS, {});
-  delete sessions[sessionToken];
-  await setGlobalData(GLOBAL_KEYS.SESSIONS, sessions);
+  await deleteRecord(RECORD_PREFIXES.SESSION, sessionToken);
+}
+
+/**
+ * The secret that signs players' links, e.g. to claim a spot, so they can't
+ * be worked out from a device ID. It's made the first time it's needed.
+ * @returns {Promise<string>}
+ */
+export async function getLinkSecret() {
+  const secret = await getGlobalData(GLOBAL_KEYS.LINK_SECRET);
+  if (secret) return secret;
+
+  // If two requests race to make it, the first one stored wins
+  await kv.set(GLOBAL_KEYS.LINK_SECRET, generateToken(), { nx: true });
+  return getGlobalData(GLOBAL_KEYS.LINK_SECRET);
 }
 
 /**
@@ -175,8 +175,37 @@ export async function getOrganizerFromRequest(req) {
   if (!organizerId) return null;
 
   // Get organizer data
-  const organizers = await getGlobalData(GLOBAL_KEYS.ORGANIZERS, []);
-  return organizers.find(o => o.id === organizerId) || null;
+  return getRecord(RECORD_PREFIXES.ORGANIZER, organizerId);
+}
+
+/**
+ * Move the legacy single-blob session and magic-token maps into per-token
+ * records with native TTLs. Expired entries are dropped; the legacy blobs
+ * are left in place for safety. Runs on its own the first time a token
+ * lookup misses.
+ * @returns {{ sessions: number, magicTokens: number }} Counts migrated
+ */
+export async function migrateLegacyAuthRecords() {
+  const now = Date.now();
+  const counts = { sessions: 0, magicTokens: 0 };
+
+  const legacy = [
+    [GLOBAL_KEYS.SESSIONS, RECORD_PREFIXES.SESSION, 'sessions'],
+    [GLOBAL_KEYS.MAGIC_TOKENS, RECORD_PREFIXES.MAGIC_TOKEN, 'magicTokens'],
+  ];
+
+  for (const [blobKey, prefix, countKey] of legacy) {
+    const entries = await getGlobalData(blobKey, {});
+    for (const [token, data] of Object.entries(entries)) {
+      const expiresAtMs = new Date(data.expiresAt).getTime();
+      if (!(expiresAtMs > now)) continue;
+      await setRecord(prefix, token, data, { pxat: expiresAtMs });
+      counts[countKey]++;
+    }
+  }
+  await setGlobalData(GLOBAL_KEYS.LEGACY_AUTH_MIGRATED, true);
+
+  return counts;
 }
 
 /**
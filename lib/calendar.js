@@ -0,0 +1,341 @@
+import { createHmac } from 'crypto';
+import {
+  getGameDatesAround,
+  getOccurrenceWindow,
+  getWindowOffsets,
+  isGameDate,
+  parseDateId,
+  getGameDays,
+  formatClockTime,
+} from './recurrence';
+import { toWallClock, getTimezoneOffset, makeWallClock } from './timezone';
+
+/**
+ * iCalendar (RFC 5545) feeds
+ *
+ * The org feed has the recurring game as one VEVENT with an RRULE, skipped
+ * and cancelled games as EXDATEs and an alarm when each game's RSVP window
+ * opens, plus a VEVENT per one-off event. A player's personal feed only has
+ * the games and events they're on the main list for, found by their
+ * calendar token (signed from their device ID, so the feed URL can't be
+ * used to drop them out or be worked out from the device ID).
+ *
+ * Times are written in the org's timezone with a VTIMEZONE built from the
+ * zone's actual offset changes, so games stay at the same local time across
+ * daylight saving.
+ */
+
+const SITE_URL = 'https://itsplayday.com';
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const ICAL_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * The calendar token for a player's personal feed
+ * @param {string} deviceId - The device the player signed up from
+ * @param {string} secret - From getLinkSecret (lib/auth.js)
+ * @returns {string} 32 hex characters
+ */
+export function getCalendarToken(deviceId, secret) {
+  return createHmac('sha256', secret).update(`calendar:${deviceId}`).digest('hex').slice(0, 32);
+}
+
+/**
+ * Escape a TEXT value
+ * @param {string} value
+ */
+export function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to at most 75 octets per line
+ * @param {string} line
+ */
+export function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts toward their 75
+    if (octets + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// Local date-time from a wall clock, e.g. 20260314T090000
+function formatLocal(wallClock) {
+  return wallClock.toISOString().replace(/[-:]/g, '').slice(0, 15);
+}
+
+// UTC date-time from an instant, e.g. 20260314T080000Z
+function formatUtc(date) {
+  return `${formatLocal(date)}Z`;
+}
+
+// A UTC offset in minutes as +HHMM/-HHMM
+function formatOffset(minutes) {
+  const abs = Math.abs(minutes);
+  return `${minutes < 0 ? '-' : '+'}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * A VTIMEZONE for a zone, with every offset change from the start of last
+ * year to the end of next year
+ * @param {string} timezone - IANA timezone
+ * @param {Date} [now]
+ * @returns {string[]} Content lines
+ */
+export function buildTimezone(timezone, now = new Date()) {
+  const year = now.getUTCFullYear();
+  const from = Date.UTC(year - 1, 0, 1);
+  const to = Date.UTC(year + 2, 0, 1);
+
+  const transitions = [];
+  let previous = getTimezoneOffset(new Date(from), timezone);
+  for (let ms = from + DAY_MS; ms <= to; ms += DAY_MS) {
+    const offset = getTimezoneOffset(new Date(ms), timezone);
+    if (offset === previous) continue;
+
+    // Narrow the change down to the minute
+    let low = ms - DAY_MS;
+    let high = ms;
+    while (high - low > MINUTE_MS) {
+      const mid = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+      if (getTimezoneOffset(new Date(mid), timezone) === previous) low = mid;
+      else high = mid;
+    }
+    transitions.push({ at: new Date(high), from: previous, to: offset });
+    previous = offset;
+  }
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`];
+  if (transitions.length === 0) {
+    lines.push(
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      `TZOFFSETFROM:${formatOffset(previous)}`,
+      `TZOFFSETTO:${formatOffset(previous)}`,
+      'END:STANDARD'
+    );
+  }
+  for (const { at, from: offsetFrom, to: offsetTo } of transitions) {
+    const type = offsetTo > offsetFrom ? 'DAYLIGHT' : 'STANDARD';
+    lines.push(
+      `BEGIN:${type}`,
+      `DTSTART:${formatLocal(new Date(at.getTime() + offsetFrom * MINUTE_MS))}`,
+      `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+      `TZOFFSETTO:${formatOffset(offsetTo)}`,
+      `END:${type}`
+    );
+  }
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+/**
+ * The RRULE value for a game schedule
+ * @param {Object} gameInfo - settings.gameInfo
+ * @returns {string|null} null when the schedule has no games
+ */
+export function buildRecurrenceRule(gameInfo) {
+  const dayCode = ICAL_DAYS[gameInfo.gameDay ?? 0];
+
+  switch (gameInfo.recurrence) {
+    case 'biweekly':
+      return `FREQ=WEEKLY;INTERVAL=2;BYDAY=${dayCode}`;
+    case 'interval':
+      return gameInfo.intervalDays > 0 ? `FREQ=DAILY;INTERVAL=${gameInfo.intervalDays}` : null;
+    case 'monthly': {
+      const occurrence = gameInfo.monthlyOccurrence === 'last' ? -1 : (gameInfo.monthlyOccurrence ?? 1);
+      return `FREQ=MONTHLY;BYDAY=${occurrence}${dayCode}`;
+    }
+    default:
+      return `FREQ=WEEKLY;BYDAY=${getGameDays(gameInfo).map(day => ICAL_DAYS[day]).join(',')}`;
+  }
+}
+
+// A DURATION value for some minutes before a start, e.g. -P2DT22H
+function formatTrigger(minutesBefore) {
+  if (minutesBefore <= 0) return 'PT0M';
+  const days = Math.floor(minutesBefore / (24 * 60));
+  const hours = Math.floor((minutesBefore % (24 * 60)) / 60);
+  const minutes = minutesBefore % 60;
+  const time = `${hours ? `${hours}H` : ''}${minutes ? `${minutes}M` : ''}`;
+  return `-P${days ? `${days}D` : ''}${time ? `T${time}` : ''}`;
+}
+
+// Describe when RSVPs open and close relative to each game
+function describeWindow(settings) {
+  const { accessPeriod } = settings;
+  const { openOffset, closeOffset } = getWindowOffsets(accessPeriod, settings.gameInfo.gameDay ?? 0);
+  const daysBefore = offset => (offset === 0 ? 'on game day' : `${-offset} day${offset === -1 ? '' : 's'} before`);
+  return `RSVPs open ${daysBefore(openOffset)} at ${formatClockTime(accessPeriod.startHour, accessPeriod.startMinute)}`
+    + ` and close ${daysBefore(closeOffset)} at ${formatClockTime(accessPeriod.endHour, accessPeriod.endMinute)}.`;
+}
+
+function describeLocation(location) {
+  if (!location) return null;
+  return [location.name, location.address || location.area].filter(Boolean).join(', ') || null;
+}
+
+// Content lines for one VEVENT
+function buildEvent({ uid, stamp, timezone, start, end, summary, description, location, url, extra = [] }) {
+  return [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatUtc(stamp)}`,
+    `DTSTART;TZID=${timezone}:${formatLocal(start)}`,
+    `DTEND;TZID=${timezone}:${formatLocal(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+    ...(location ? [`LOCATION:${escapeText(location)}`] : []),
+    `URL:${url}`,
+    ...extra,
+    'END:VEVENT',
+  ];
+}
+
+// Wall clocks for a game's start and end on a date
+function gameTimes(gameInfo, gameDate) {
+  const [year, month, day] = [gameDate.getUTCFullYear(), gameDate.getUTCMonth(), gameDate.getUTCDate()];
+  return {
+    start: makeWallClock(year, month, day, gameInfo.startHour ?? 0, gameInfo.startMinute ?? 0),
+    end: makeWallClock(year, month, day, gameInfo.endHour ?? 0, gameInfo.endMinute ?? 0),
+  };
+}
+
+/**
+ * The recurring game as a VEVENT
+ * @param {Object} org - Organization record
+ * @param {Object} settings - Org settings
+ * @param {string} timezone - The org's IANA timezone
+ * @param {Date} now
+ * @returns {string[]} Content lines, empty when there's no schedule
+ */
+export function buildGameSeries(org, settings, timezone, now = new Date()) {
+  const { gameInfo } = settings;
+  const rule = gameInfo?.enabled ? buildRecurrenceRule(gameInfo) : null;
+  // Start the series at a recent game so it lines up with the schedule
+  const firstGame = rule ? getGameDatesAround(gameInfo, toWallClock(now, timezone))[0] : null;
+  if (!firstGame) return [];
+
+  const { start, end } = gameTimes(gameInfo, firstGame);
+  const exceptions = (settings.skipDates || [])
+    .map(skip => parseDateId(skip.date))
+    .filter(date => date && isGameDate(gameInfo, date))
+    .map(date => `EXDATE;TZID=${timezone}:${formatLocal(gameTimes(gameInfo, date).start)}`);
+
+  const description = [`Sign up at ${SITE_URL}/${org.slug}`];
+  const alarm = [];
+  if (settings.accessPeriod?.enabled) {
+    description.unshift(describeWindow(settings));
+    const { open } = getOccurrenceWindow(settings, firstGame);
+    alarm.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(`RSVPs are open for ${org.name}`)}`,
+      `TRIGGER:${formatTrigger(Math.round((start - open) / MINUTE_MS))}`,
+      'END:VALARM'
+    );
+  }
+
+  return buildEvent({
+    uid: `game-${org.id}@itsplayday.com`,
+    stamp: now,
+    timezone,
+    start,
+    end,
+    summary: org.name,
+    description: description.join('\n'),
+    location: gameInfo.location?.enabled ? describeLocation(gameInfo.location) : null,
+    url: `${SITE_URL}/${org.slug}`,
+    extra: [`RRULE:${rule}`, ...exceptions, ...alarm],
+  });
+}
+
+/**
+ * A single game as a VEVENT, for a player's personal feed
+ * @param {Object} org - Organization record
+ * @param {Object} settings - Org settings
+ * @param {string} timezone - The org's IANA timezone
+ * @param {Date} gameDate - Wall clock at midnight
+ * @param {Date} now
+ */
+export function buildGame(org, settings, timezone, gameDate, now = new Date()) {
+  const { gameInfo } = settings;
+  const { start, end } = gameTimes(gameInfo, gameDate);
+  return buildEvent({
+    uid: `game-${org.id}-${formatLocal(gameDate).slice(0, 8)}@itsplayday.com`,
+    stamp: now,
+    timezone,
+    start,
+    end,
+    summary: org.name,
+    description: `You're on the list. Can't make it? Drop out at ${SITE_URL}/${org.slug}`,
+    location: gameInfo.location?.enabled ? describeLocation(gameInfo.location) : null,
+    url: `${SITE_URL}/${org.slug}`,
+  });
+}
+
+/**
+ * A one-off event (lib/events.js) as a VEVENT
+ * @param {Object} org - Organization record
+ * @param {Object} event
+ * @param {string} timezone - The org's IANA timezone
+ * @param {Date} now
+ */
+export function buildOneOffEvent(org, event, timezone, now = new Date()) {
+  const date = parseDateId(event.date);
+  const url = `${SITE_URL}/${org.slug}/events/${event.id}`;
+  return buildEvent({
+    uid: `event-${org.id}-${event.id}@itsplayday.com`,
+    stamp: now,
+    timezone,
+    start: makeWallClock(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), event.startHour, event.startMinute),
+    end: makeWallClock(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), event.endHour, event.endMinute),
+    summary: `${event.name} (${org.name})`,
+    description: [event.description, `Sign up at ${url}`].filter(Boolean).join('\n\n'),
+    location: describeLocation(event.location),
+    url,
+  });
+}
+
+/**
+ * Wrap VEVENTs in a calendar
+ * @param {Object} options
+ * @param {string} options.name - Calendar name
+ * @param {string} options.timezone - The org's IANA timezone
+ * @param {string[]} options.events - VEVENT content lines
+ * @param {Date} [options.now]
+ * @returns {string} The .ics file
+ */
+export function buildCalendar({ name, timezone, events, now = new Date() }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//PlayDay//Game Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${timezone}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+    'X-PUBLISHED-TTL:PT6H',
+    ...buildTimezone(timezone, now),
+    ...events,
+    'END:VCALENDAR',
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
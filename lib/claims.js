@@ -0,0 +1,146 @@
+import crypto from 'crypto';
+import { getOrgData, setOrgData, withOrgLock, ORG_KEY_SUFFIXES } from './kv';
+import { rebalanceLists } from './lists';
+import { getPriorityOptions } from './priority';
+import { getCurrentPeriodId } from './recurrence';
+
+/**
+ * Waitlist claim window
+ *
+ * With settings.claimWindow enabled, a player promoted from the waitlist
+ * holds their main-list spot as pending until they claim it:
+ *   { ..., pendingClaim: { promotedAt, expiresAt } }
+ * A spot not claimed by expiresAt passes to the next waitlister, who gets a
+ * window of their own. Expired claims are swept by the hourly cron and on the
+ * next read of the org's lists. Guests are held along with their host and
+ * claimed from the host's device.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Token for a device's claim link, so the link works from any device
+ * without putting the device ID in emails
+ * @param {string} deviceId - Device the player signed up from
+ * @param {string} secret - From getLinkSecret (lib/auth.js)
+ */
+export function getClaimToken(deviceId, secret) {
+  return crypto.createHmac('sha256', secret).update(`claim:${deviceId}`).digest('hex').slice(0, 32);
+}
+
+/**
+ * An entry with any hold on its spot lifted
+ * @param {Object} person - List entry
+ */
+export function withoutPendingClaim(person) {
+  if (!person.pendingClaim) return person;
+  const rest = { ...person };
+  delete rest.pendingClaim;
+  return rest;
+}
+
+/**
+ * Hold the spots of players just promoted from the waitlist until they claim
+ * them. Anyone back on the waitlist loses their hold, and with the claim
+ * window off every hold is dropped.
+ * @param {{ mainList: Array, waitlist: Array }} lists - Rebalanced lists
+ * @param {Array} promoted - Entries that just moved to the main list
+ * @param {Object} settings - Org settings
+ * @param {Date} [now]
+ * @returns {{ mainList: Array, waitlist: Array }}
+ */
+export function holdPromotedSpots(lists, promoted, settings, now = new Date()) {
+  if (!settings.claimWindow?.enabled) {
+    return {
+      mainList: lists.mainList.map(withoutPendingClaim),
+      waitlist: lists.waitlist.map(withoutPendingClaim),
+    };
+  }
+
+  const promotedIds = new Set(promoted.map(p => p.id));
+  const pendingClaim = {
+    promotedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + settings.claimWindow.hours * HOUR_MS).toISOString(),
+  };
+  return {
+    mainList: lists.mainList.map(p => (promotedIds.has(p.id) ? { ...p, pendingClaim } : p)),
+    waitlist: lists.waitlist.map(withoutPendingClaim),
+  };
+}
+
+/**
+ * Claim the held spots of a signup and its guests, if their window is still open
+ * @param {{ mainList: Array, waitlist: Array }} lists
+ * @param {(person: Object) => boolean} isMine - Whether an entry is the claimant's
+ * @param {Date} [now]
+ * @returns {{ mainList: Array, waitlist: Array, claimed: Array }}
+ */
+export function claimSpots(lists, isMine, now = new Date()) {
+  const claimed = lists.mainList.filter(p => p.pendingClaim && new Date(p.pendingClaim.expiresAt) > now && isMine(p));
+  const claimedIds = new Set(claimed.map(p => p.id));
+  return {
+    mainList: lists.mainList.map(p => (claimedIds.has(p.id) ? withoutPendingClaim(p) : p)),
+    waitlist: lists.waitlist,
+    claimed,
+  };
+}
+
+/**
+ * Main-list entries whose claim window has run out
+ * @param {Array} mainList
+ * @param {Date} [now]
+ */
+export function getExpiredClaims(mainList, now = new Date()) {
+  return mainList.filter(p => p.pendingClaim && new Date(p.pendingClaim.expiresAt) <= now);
+}
+
+/**
+ * Pass unclaimed spots to the next people on the waitlist. The players who
+ * didn't claim come off the list and into the dropout log.
+ * @param {Object} org - Organization
+ * @param {Object} settings - Org settings
+ * @param {Date} [now]
+ * @returns {Promise<{ expired: Array, promoted: Array }>} Promoted players still need telling
+ */
+export async function sweepExpiredClaims(org, settings, now = new Date()) {
+  const none = { expired: [], promoted: [] };
+  if (!settings.claimWindow?.enabled) return none;
+
+  const data = await getOrgData(org.id, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
+  if (getExpiredClaims(data.mainList, now).length === 0) return none;
+
+  return withOrgLock(org.id, async () => {
+    // Another request may have swept while we were waiting for the lock
+    const fresh = await getOrgData(org.id, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
+    const expired = getExpiredClaims(fresh.mainList, now);
+    if (expired.length === 0) return none;
+
+    const expiredIds = new Set(expired.map(p => p.id));
+    const oldMainListIds = new Set(fresh.mainList.map(p => p.id));
+    const rebalanced = rebalanceLists(
+      fresh.mainList.filter(p => !expiredIds.has(p.id)),
+      fresh.waitlist,
+      settings.mainListLimit || 30,
+      await getPriorityOptions(org.id, settings)
+    );
+    const promoted = rebalanced.mainList.filter(p => !oldMainListIds.has(p.id));
+    const lists = holdPromotedSpots(rebalanced, promoted, settings, now);
+    await setOrgData(org.id, ORG_KEY_SUFFIXES.RSVP_DATA, lists);
+
+    const timezone = settings.accessPeriod?.timezone || org.timezone || 'Africa/Lagos';
+    const periodId = getCurrentPeriodId(settings, timezone);
+    const dropoutLog = await getOrgData(org.id, ORG_KEY_SUFFIXES.DROPOUT_LOG, []);
+    dropoutLog.unshift(...expired.map(p => ({
+      name: p.name,
+      timestamp: now.toISOString(),
+      list: 'main',
+      periodId,
+      reason: 'unclaimed',
+      ...(p.isGuest && { guestOf: p.hostName }),
+    })));
+    if (dropoutLog.length > 50) dropoutLog.length = 50;
+    await setOrgData(org.id, ORG_KEY_SUFFIXES.DROPOUT_LOG, dropoutLog);
+
+    return { expired, promoted: lists.mainList.filter(p => !oldMainListIds.has(p.id)) };
+  });
+}
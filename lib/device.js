@@ -0,0 +1,81 @@
+/**
+ * Browser-side device and name memory
+ *
+ * Signups are tied to a device ID kept in localStorage per org, so players
+ * can drop out of their own signup without an account. The last name used
+ * is remembered per org too, along with any email left for notifications.
+ * Shared by the org page and its event pages.
+ */
+
+function generateDeviceId() {
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  ctx.textBaseline = 'top';
+  ctx.font = '14px Arial';
+  ctx.fillText('device-fingerprint', 2, 2);
+  const canvasData = canvas.toDataURL();
+  const screenData = `${window.screen.width}x${window.screen.height}x${window.screen.colorDepth}`;
+  const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const language = navigator.language;
+  const platform = navigator.platform;
+  const fingerprint = `${canvasData}-${screenData}-${timezone}-${language}-${platform}`;
+  let hash = 0;
+  for (let i = 0; i < fingerprint.length; i++) {
+    const char = fingerprint.charCodeAt(i);
+    hash = ((hash << 5) - hash) + char;
+    hash = hash & hash;
+  }
+  return Math.abs(hash).toString(36) + Date.now().toString(36);
+}
+
+/**
+ * This device's ID for an org, created on first use
+ * @param {string} slug - Organization slug
+ */
+export function getDeviceId(slug) {
+  const key = `playday-device-id-${slug}`;
+  let deviceId = localStorage.getItem(key);
+  if (!deviceId) {
+    deviceId = generateDeviceId();
+    localStorage.setItem(key, deviceId);
+  }
+  return deviceId;
+}
+
+/**
+ * The name last used to sign up for an org on this device
+ * @param {string} slug - Organization slug
+ */
+export function getSavedName(slug) {
+  return localStorage.getItem(`playday-saved-name-${slug}`) || '';
+}
+
+/**
+ * Remember the name used to sign up for an org
+ * @param {string} slug - Organization slug
+ * @param {string} name
+ */
+export function setSavedName(slug, name) {
+  localStorage.setItem(`playday-saved-name-${slug}`, name);
+}
+
+/**
+ * The email last left when signing up for an org on this device
+ * @param {string} slug - Organization slug
+ */
+export function getSavedEmail(slug) {
+  return localStorage.getItem(`playday-saved-email-${slug}`) || '';
+}
+
+/**
+ * Remember the email left when signing up, or forget it when blank
+ * @param {string} slug - Organization slug
+ * @param {string} email
+ */
+export function setSavedEmail(slug, email) {
+  if (email) {
+    localStorage.setItem(`playday-saved-email-${slug}`, email);
+  } else {
+    localStorage.removeItem(`playday-saved-email-${slug}`);
+  }
+}
@@ -0,0 +1,114 @@
+import { getOrgData, setOrgData, deleteOrgData, withOrgLock, ORG_KEY_SUFFIXES } from './kv';
+import { getEventStatus, getUpcomingEvents, summarizeEvent } from './events';
+
+/**
+ * Storage for one-off events (lib/events.js)
+ *
+ * Each event's lists live under `org:{id}:event:{eventId}:rsvp-data` as
+ * { mainList, waitlist }, just like the recurring game's. The first read
+ * after the event ends moves them to `org:{id}:event:{eventId}:archive` as
+ * { archivedAt, mainList, waitlist }.
+ */
+
+export const EVENT_KEY_SUFFIXES = {
+  RSVP_DATA: 'rsvp-data',
+  ARCHIVE: 'archive',
+};
+
+/**
+ * Org key suffix for one of an event's keys
+ * @param {string} eventId - Event ID
+ * @param {string} suffix - Suffix from EVENT_KEY_SUFFIXES
+ */
+export function eventKeySuffix(eventId, suffix) {
+  return `event:${eventId}:${suffix}`;
+}
+
+/**
+ * Get an org's events
+ * @param {string} orgId - Organization ID
+ */
+export async function getEvents(orgId) {
+  return getOrgData(orgId, ORG_KEY_SUFFIXES.EVENTS, []);
+}
+
+/**
+ * Get an event's current lists
+ * @param {string} orgId - Organization ID
+ * @param {string} eventId - Event ID
+ */
+export async function getEventRsvpData(orgId, eventId) {
+  return getOrgData(orgId, eventKeySuffix(eventId, EVENT_KEY_SUFFIXES.RSVP_DATA), { mainList: [], waitlist: [] });
+}
+
+/**
+ * Save an event's lists
+ * @param {string} orgId - Organization ID
+ * @param {string} eventId - Event ID
+ * @param {{ mainList: Array, waitlist: Array }} rsvpData
+ */
+export async function setEventRsvpData(orgId, eventId, rsvpData) {
+  await setOrgData(orgId, eventKeySuffix(eventId, EVENT_KEY_SUFFIXES.RSVP_DATA), rsvpData);
+}
+
+/**
+ * Get an event's lists, archiving them first if the event is over
+ * @param {string} orgId - Organization ID
+ * @param {Object} event
+ * @param {string} timezone - The org's IANA timezone
+ * @returns {Promise<{ mainList: Array, waitlist: Array, archivedAt: string|null }>}
+ */
+export async function loadEventLists(orgId, event, timezone) {
+  if (!getEventStatus(event, timezone).isOver) {
+    return { ...await getEventRsvpData(orgId, event.id), archivedAt: null };
+  }
+
+  const archiveSuffix = eventKeySuffix(event.id, EVENT_KEY_SUFFIXES.ARCHIVE);
+  const archive = await getOrgData(orgId, archiveSuffix, null);
+  if (archive) return archive;
+
+  return withOrgLock(orgId, async () => {
+    // Another request may have archived while we were waiting for the lock
+    const lockedArchive = await getOrgData(orgId, archiveSuffix, null);
+    if (lockedArchive) return lockedArchive;
+
+    const { mainList, waitlist } = await getEventRsvpData(orgId, event.id);
+    const entry = { archivedAt: new Date().toISOString(), mainList, waitlist };
+    await setOrgData(orgId, archiveSuffix, entry);
+    await deleteOrgData(orgId, eventKeySuffix(event.id, EVENT_KEY_SUFFIXES.RSVP_DATA));
+    return entry;
+  });
+}
+
+/**
+ * Summaries of an org's upcoming events for the public page and browse
+ * @param {string} orgId - Organization ID
+ * @param {string} timezone - The org's IANA timezone
+ */
+export async function getUpcomingEventSummaries(orgId, timezone) {
+  const events = getUpcomingEvents(await getEvents(orgId), timezone);
+  return Promise.all(events.map(async event =>
+    summarizeEvent(event, await getEventRsvpData(orgId, event.id), timezone)
+  ));
+}
+
+/**
+ * Delete an event's lists and archive
+ * @param {string} orgId - Organization ID
+ * @param {string} eventId - Event ID
+ */
+export async function deleteEventData(orgId, eventId) {
+  await Promise.all(Object.values(EVENT_KEY_SUFFIXES).map(suffix =>
+    deleteOrgData(orgId, eventKeySuffix(eventId, suffix))
+  ));
+}
+
+/**
+ * Delete the lists and archives of all an org's events (for org deletion;
+ * the event list itself goes with the rest of the org's data)
+ * @param {string} orgId - Organization ID
+ */
+export async function deleteAllEventData(orgId) {
+  const events = await getEvents(orgId);
+  await Promise.all(events.map(event => deleteEventData(orgId, event.id)));
+}
@@ -0,0 +1,213 @@
+/**
+ * One-off events
+ *
+ * Tournaments, socials and anything else outside the recurring game. An org's
+ * events are stored under `org:{id}:events`, soonest first:
+ *   { id, name, description, date, startHour, startMinute, endHour, endMinute,
+ *     mainListLimit, rsvpOpens, rsvpCloses, location, rules, createdAt }
+ * `date` is 'YYYY-MM-DD' and `rsvpOpens`/`rsvpCloses` are 'YYYY-MM-DDTHH:mm',
+ * wall clock times in the org's timezone. Without `rsvpOpens` signups open
+ * as soon as the event is created; without `rsvpCloses` they stay open until
+ * the event starts.
+ *
+ * Each event keeps its own lists, separate from the recurring game's
+ * `rsvp-data` (see lib/event-store.js), and `id` doubles as its URL:
+ * /[slug]/events/[eventId].
+ */
+
+import { parseDateId, formatGameDate, formatClockTime } from './recurrence';
+import { wallClockToUtc, makeWallClock } from './timezone';
+
+export const MAX_EVENTS = 50;
+export const MAX_EVENT_NAME_LENGTH = 80;
+export const MAX_EVENT_DESCRIPTION_LENGTH = 1000;
+export const MAX_EVENT_RULES = 20;
+
+const LOCATION_FIELDS = ['name', 'area', 'address', 'googleMapsUrl'];
+
+/**
+ * Parse a 'YYYY-MM-DDTHH:mm' date and time
+ * @returns {Date|null} Wall clock, or null if invalid
+ */
+export function parseDateTimeId(value) {
+  const match = /^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  const date = parseDateId(match[1]);
+  const [hour, minute] = [Number(match[2]), Number(match[3])];
+  if (!date || hour > 23 || minute > 59) return null;
+  return makeWallClock(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), hour, minute);
+}
+
+/**
+ * A unique, URL-friendly id for a new event, based on its name
+ * @param {string} name - Event name
+ * @param {Array} events - Existing events
+ */
+export function createEventId(name, events) {
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'event';
+  const taken = new Set(events.map(e => e.id));
+  let id = base;
+  for (let n = 2; taken.has(id); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+}
+
+/**
+ * Pick an event's fields out of submitted data, filling in defaults
+ * @param {Object} input - Submitted event fields
+ * @returns {Object} The event without `id` and `createdAt`
+ */
+export function normalizeEvent(input) {
+  const location = input.location || {};
+  return {
+    name: typeof input.name === 'string' ? input.name.trim() : input.name,
+    description: typeof input.description === 'string' ? input.description.trim() : (input.description ?? ''),
+    date: input.date,
+    startHour: input.startHour ?? 10,
+    startMinute: input.startMinute ?? 0,
+    endHour: input.endHour ?? 16,
+    endMinute: input.endMinute ?? 0,
+    mainListLimit: input.mainListLimit ?? 30,
+    rsvpOpens: input.rsvpOpens || null,
+    rsvpCloses: input.rsvpCloses || null,
+    location: Object.fromEntries(LOCATION_FIELDS.map(field => [field, location[field] ?? ''])),
+    rules: input.rules ?? [],
+  };
+}
+
+function isIntegerInRange(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Check an event's fields
+ * @param {Object} event - A normalized event
+ * @returns {string[]} Error messages, empty when valid
+ */
+export function validateEvent(event) {
+  const errors = [];
+  const check = (condition, message) => {
+    if (!condition) errors.push(message);
+  };
+
+  check(typeof event.name === 'string' && event.name.length > 0 && event.name.length <= MAX_EVENT_NAME_LENGTH, `Event name is required (at most ${MAX_EVENT_NAME_LENGTH} characters)`);
+  check(typeof event.description === 'string' && event.description.length <= MAX_EVENT_DESCRIPTION_LENGTH, `Description must be at most ${MAX_EVENT_DESCRIPTION_LENGTH} characters`);
+  check(!!parseDateId(event.date), 'Event date must be a valid date (YYYY-MM-DD)');
+  check(isIntegerInRange(event.startHour, 0, 23) && isIntegerInRange(event.startMinute, 0, 59), 'Start time must be a valid time');
+  check(isIntegerInRange(event.endHour, 0, 23) && isIntegerInRange(event.endMinute, 0, 59), 'End time must be a valid time');
+  check(event.endHour * 60 + event.endMinute > event.startHour * 60 + event.startMinute, 'The event must end after it starts');
+  check(isIntegerInRange(event.mainListLimit, 1, 1000), 'Capacity must be a whole number between 1 and 1000');
+  check(LOCATION_FIELDS.every(field => typeof event.location?.[field] === 'string'), 'Every location field must be text');
+  check(
+    Array.isArray(event.rules) && event.rules.length <= MAX_EVENT_RULES && event.rules.every(rule => typeof rule === 'string'),
+    `Rules must be a list of at most ${MAX_EVENT_RULES} items`
+  );
+
+  const opens = event.rsvpOpens === null ? null : parseDateTimeId(event.rsvpOpens);
+  const closes = event.rsvpCloses === null ? null : parseDateTimeId(event.rsvpCloses);
+  check(event.rsvpOpens === null || !!opens, 'RSVP opening must be a valid date and time');
+  check(event.rsvpCloses === null || !!closes, 'RSVP closing must be a valid date and time');
+  if (opens && closes) {
+    check(opens < closes, 'RSVPs must open before they close');
+  }
+
+  const date = parseDateId(event.date);
+  if (date && errors.length === 0) {
+    const end = makeWallClock(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), event.endHour, event.endMinute);
+    check(!closes || closes <= end, 'RSVPs must close before the event ends');
+    check(!opens || opens < end, 'RSVPs must open before the event ends');
+  }
+
+  return errors;
+}
+
+/**
+ * When an event starts and ends, and its RSVP window
+ * @param {Object} event
+ * @param {string} timezone - The org's IANA timezone
+ * @returns {{ start: Date, end: Date, opens: Date|null, closes: Date }} Real instants
+ */
+export function getEventTimes(event, timezone) {
+  const date = parseDateId(event.date);
+  const at = (hour, minute) => wallClockToUtc(
+    makeWallClock(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), hour, minute),
+    timezone
+  );
+  const start = at(event.startHour, event.startMinute);
+  return {
+    start,
+    end: at(event.endHour, event.endMinute),
+    opens: event.rsvpOpens ? wallClockToUtc(parseDateTimeId(event.rsvpOpens), timezone) : null,
+    closes: event.rsvpCloses ? wallClockToUtc(parseDateTimeId(event.rsvpCloses), timezone) : start,
+  };
+}
+
+/**
+ * Whether an event's RSVP window is open, in the same shape as isFormOpen()
+ * @param {Object} event
+ * @param {string} timezone - The org's IANA timezone
+ * @param {Date} [now]
+ * @returns {{ isOpen: boolean, isOver: boolean, message: string|null, nextOpenTime: string|null, closeTime: string }}
+ */
+export function getEventStatus(event, timezone, now = new Date()) {
+  const { end, opens, closes } = getEventTimes(event, timezone);
+  const status = { isOpen: false, isOver: false, message: null, nextOpenTime: null, closeTime: closes.toISOString() };
+
+  if (now >= end) {
+    return { ...status, isOver: true, message: 'This event is over' };
+  }
+  if (opens && now < opens) {
+    const wall = parseDateTimeId(event.rsvpOpens);
+    return {
+      ...status,
+      message: `RSVP opens ${formatGameDate(wall)} at ${formatClockTime(wall.getUTCHours(), wall.getUTCMinutes())}`,
+      nextOpenTime: opens.toISOString(),
+    };
+  }
+  if (now >= closes) {
+    return { ...status, message: 'RSVP is closed' };
+  }
+  return { ...status, isOpen: true };
+}
+
+/**
+ * Describe when an event happens, e.g. "Saturday, Mar 14, 10:00 AM - 4:00 PM"
+ * @param {Object} event
+ */
+export function describeEventTime(event) {
+  const date = parseDateId(event.date);
+  return `${formatGameDate(date)}, ${formatClockTime(event.startHour, event.startMinute)} - ${formatClockTime(event.endHour, event.endMinute)}`;
+}
+
+/**
+ * What the public page and browse show about an upcoming event
+ * @param {Object} event
+ * @param {{ mainList: Array }} lists - The event's lists
+ * @param {string} timezone - The org's IANA timezone
+ */
+export function summarizeEvent(event, lists, timezone) {
+  return {
+    id: event.id,
+    name: event.name,
+    date: event.date,
+    dateLabel: formatGameDate(parseDateId(event.date)),
+    when: describeEventTime(event),
+    location: event.location.name || event.location.area || null,
+    signupCount: lists.mainList.length,
+    mainListLimit: event.mainListLimit,
+    isOpen: getEventStatus(event, timezone).isOpen,
+  };
+}
+
+/**
+ * Events that aren't over yet, soonest first
+ * @param {Array} events - Stored events
+ * @param {string} timezone - The org's IANA timezone
+ * @param {Date} [now]
+ */
+export function getUpcomingEvents(events, timezone, now = new Date()) {
+  return events
+    .filter(event => getEventTimes(event, timezone).end > now)
+    .sort((a, b) => getEventTimes(a, timezone).start - getEventTimes(b, timezone).start);
+}
@@ -0,0 +1,243 @@
+import { getPersonTierId } from './tiers';
+import { toWallClock } from './timezone';
+
+/**
+ * Data exports for organizers (pages/api/org/[slug]/export.js)
+ *
+ * Each dataset is turned into a table, { columns: [{ key, label }], rows },
+ * where each row is an object keyed by column. The tables are written out as
+ * CSV, JSON or a spreadsheet (lib/xlsx.js). Times are written in the org's
+ * timezone. A date range (inclusive `YYYY-MM-DD` dates in that timezone)
+ * picks the archived periods, dropouts and emails in it; the current lists
+ * and the whitelist are always exported in full. Past periods come from the
+ * play history (lib/player-stats.js), which keeps every period, rather than
+ * the archive, which only keeps the recent ones. Emails come from the org's
+ * outbox (lib/outbox.js), which keeps its last MAX_ORG_MESSAGES with their
+ * delivery status.
+ */
+
+export const EXPORT_FORMATS = ['csv', 'json', 'xlsx'];
+
+export const EXPORT_DATASETS = {
+  lists: 'Current lists',
+  whitelist: 'Whitelist',
+  history: 'History',
+  dropouts: 'Dropouts',
+  emails: 'Email log',
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const LIST_LABELS = { main: 'Main list', waitlist: 'Waitlist' };
+
+const SIGNUP_COLUMNS = [
+  { key: 'list', label: 'List' },
+  { key: 'position', label: 'Position' },
+  { key: 'name', label: 'Name' },
+  { key: 'guestOf', label: 'Guest of' },
+  { key: 'tier', label: 'Tier' },
+  { key: 'signedUpAt', label: 'Signed up' },
+];
+
+/**
+ * A time as `YYYY-MM-DD HH:MM` in a timezone
+ * @param {string} iso - ISO timestamp
+ * @param {string} timezone - IANA timezone
+ * @returns {string} Empty for a missing or invalid time
+ */
+export function formatExportTime(iso, timezone) {
+  const date = new Date(iso);
+  if (!iso || isNaN(date)) return '';
+  return toWallClock(date, timezone).toISOString().slice(0, 16).replace('T', ' ');
+}
+
+/**
+ * Check a date range from the request
+ * @param {string} [from] - First day, `YYYY-MM-DD`
+ * @param {string} [to] - Last day, `YYYY-MM-DD`
+ * @returns {string|null} Error message, or null if it's valid
+ */
+export function validateDateRange(from, to) {
+  if (from && !DATE_PATTERN.test(from)) return 'from must be a date (YYYY-MM-DD)';
+  if (to && !DATE_PATTERN.test(to)) return 'to must be a date (YYYY-MM-DD)';
+  if (from && to && from > to) return 'from must not be after to';
+  return null;
+}
+
+/**
+ * Whether a time falls in a date range, by its date in the org's timezone
+ * @param {string} iso - ISO timestamp
+ * @param {Object} range - { from, to, timezone }; either end may be empty
+ * @returns {boolean}
+ */
+export function inRange(iso, { from, to, timezone }) {
+  if (!from && !to) return true;
+  const day = formatExportTime(iso, timezone).slice(0, 10);
+  if (!day) return false;
+  return (!from || day >= from) && (!to || day <= to);
+}
+
+function signupRows(people, list, tiers, timezone) {
+  const tierNames = new Map(tiers.map(t => [t.id, t.name]));
+  return people.map((person, i) => ({
+    list: LIST_LABELS[list],
+    position: i + 1,
+    name: person.name,
+    guestOf: person.isGuest ? person.hostName || '' : '',
+    tier: tierNames.get(getPersonTierId(person, tiers)) || '',
+    signedUpAt: formatExportTime(person.timestamp, timezone),
+  }));
+}
+
+const builders = {
+  lists({ rsvpData }, { tiers, timezone }) {
+    return {
+      columns: SIGNUP_COLUMNS,
+      rows: [
+        ...signupRows(rsvpData.mainList, 'main', tiers, timezone),
+        ...signupRows(rsvpData.waitlist, 'waitlist', tiers, timezone),
+      ],
+    };
+  },
+
+  whitelist({ whitelist }, { tiers, timezone, includeSnoozeCodes }) {
+    const tierNames = new Map(tiers.map(t => [t.id, t.name]));
+    const columns = [
+      { key: 'name', label: 'Name' },
+      { key: 'email', label: 'Email' },
+      { key: 'tier', label: 'Tier' },
+      { key: 'addedAt', label: 'Added' },
+    ];
+    if (includeSnoozeCodes) columns.push({ key: 'snoozeCode', label: 'Snooze code' });
+
+    return {
+      columns,
+      rows: whitelist.map(member => ({
+        name: member.name,
+        email: member.email || '',
+        tier: tierNames.get(getPersonTierId({ ...member, isWhitelisted: true }, tiers)) || '',
+        addedAt: formatExportTime(member.addedAt, timezone),
+        ...(includeSnoozeCodes && { snoozeCode: member.snoozeCode || '' }),
+      })),
+    };
+  },
+
+  history({ playHistory }, options) {
+    // Oldest first, like the rest of a spreadsheet
+    const periods = playHistory.filter(period => inRange(period.archivedAt, options)).reverse();
+    return {
+      columns: [
+        { key: 'period', label: 'Period' },
+        { key: 'archivedAt', label: 'Archived' },
+        { key: 'list', label: 'List' },
+        { key: 'position', label: 'Position' },
+        { key: 'name', label: 'Name' },
+        { key: 'checkedIn', label: 'Checked in' },
+      ],
+      rows: periods.flatMap(period => {
+        const shared = { period: period.periodId, archivedAt: formatExportTime(period.archivedAt, options.timezone) };
+        const checkedIn = name => (period.checkedIn ? (period.checkedIn.includes(name) ? 'Yes' : 'No') : '');
+        return [
+          ...period.mainList.map((name, i) => ({ list: LIST_LABELS.main, position: i + 1, name, checkedIn: checkedIn(name) })),
+          ...period.waitlist.map((name, i) => ({ list: LIST_LABELS.waitlist, position: i + 1, name, checkedIn: '' })),
+        ].map(row => ({ ...shared, ...row }));
+      }),
+    };
+  },
+
+  dropouts({ dropoutLog }, options) {
+    return {
+      columns: [
+        { key: 'droppedAt', label: 'Dropped out' },
+        { key: 'period', label: 'Period' },
+        { key: 'name', label: 'Name' },
+        { key: 'guestOf', label: 'Guest of' },
+        { key: 'list', label: 'List' },
+        { key: 'reason', label: 'Reason' },
+      ],
+      rows: dropoutLog.filter(entry => inRange(entry.timestamp, options)).reverse().map(entry => ({
+        droppedAt: formatExportTime(entry.timestamp, options.timezone),
+        period: entry.periodId || '',
+        name: entry.name,
+        guestOf: entry.guestOf || '',
+        list: LIST_LABELS[entry.list] || '',
+        reason: entry.reason || '',
+      })),
+    };
+  },
+
+  emails({ emails }, options) {
+    return {
+      columns: [
+        { key: 'queuedAt', label: 'Time' },
+        { key: 'kind', label: 'Kind' },
+        { key: 'subject', label: 'Subject' },
+        { key: 'recipients', label: 'Recipients' },
+        { key: 'status', label: 'Status' },
+        { key: 'attempts', label: 'Attempts' },
+        { key: 'sentAt', label: 'Sent' },
+        { key: 'error', label: 'Error' },
+      ],
+      rows: emails.filter(email => inRange(email.createdAt, options)).reverse().map(email => ({
+        queuedAt: formatExportTime(email.createdAt, options.timezone),
+        kind: email.kind,
+        subject: email.subject || '',
+        recipients: email.to.length,
+        status: email.status,
+        attempts: email.attempts,
+        sentAt: formatExportTime(email.sentAt, options.timezone),
+        error: email.status === 'sent' ? '' : email.lastError || '',
+      })),
+    };
+  },
+};
+
+/**
+ * Build the tables for an export
+ * @param {Object} data - { rsvpData, whitelist, playHistory, dropoutLog, emails }
+ *   (`emails` as listed by getOrgMessages, newest first)
+ * @param {Object} options
+ * @param {Array<string>} options.datasets - Keys of EXPORT_DATASETS
+ * @param {Array} options.tiers - settings.tiers
+ * @param {string} options.timezone - IANA timezone
+ * @param {string} [options.from] - First day of the range
+ * @param {string} [options.to] - Last day of the range
+ * @param {boolean} [options.includeSnoozeCodes] - Add whitelist snooze codes
+ * @returns {Object} Table for each dataset, keyed by dataset
+ */
+export function buildExport(data, options) {
+  return Object.fromEntries(options.datasets.map(dataset => [dataset, builders[dataset](data, options)]));
+}
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  let text = value == null ? '' : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * A table as CSV, with a byte order mark so Excel reads it as UTF-8
+ * @param {Object} table - { columns, rows }
+ * @returns {string}
+ */
+export function toCsv({ columns, rows }) {
+  const lines = [
+    columns.map(c => csvCell(c.label)),
+    ...rows.map(row => columns.map(c => csvCell(row[c.key]))),
+  ];
+  return `\uFEFF${lines.map(cells => cells.join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Tables as JSON: each dataset's rows, with what the export covers
+ * @param {Object} tables - From buildExport
+ * @param {Object} meta - e.g. { org, exportedAt, from, to }
+ * @returns {string}
+ */
+export function toJson(tables, meta) {
+  const datasets = Object.fromEntries(Object.entries(tables).map(([dataset, { rows }]) => [dataset, rows]));
+  return JSON.stringify({ ...meta, datasets }, null, 2);
+}
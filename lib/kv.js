@@ -1,16 +1,51 @@
-import { kv } from '@vercel/kv';
+import { getStorageDriver } from './storage';
 
 /**
  * Namespaced KV helper for multi-tenant data isolation.
  * All organization-specific data is prefixed with `org:{orgId}:`
+ *
+ * Reads and writes go through the storage driver chosen in lib/storage
+ * (Vercel KV in production, memory or a JSON file locally).
  */
 
+// Thin facade so callers don't hold on to a driver that tests may swap out
+export const kv = {
+  get: (key) => getStorageDriver().get(key),
+  set: (key, value, options) => getStorageDriver().set(key, value, options),
+  del: (...keys) => getStorageDriver().del(...keys),
+  delIfEquals: (key, value) => getStorageDriver().delIfEquals(key, value),
+};
+
 // Global keys (not org-scoped)
 export const GLOBAL_KEYS = {
+  // Legacy single-blob stores, read only by the indexed-records migration
   ORGANIZERS: 'playday:organizers',
   ORGANIZATIONS: 'playday:organizations',
   MAGIC_TOKENS: 'playday:magic-tokens',
   SESSIONS: 'playday:sessions',
+  // Set once the legacy blobs above have been copied into records
+  LEGACY_ORGANIZATIONS_MIGRATED: 'playday:legacy-organizations-migrated',
+  LEGACY_AUTH_MIGRATED: 'playday:legacy-auth-migrated',
+  // ID lists used to enumerate per-record entries
+  ORGANIZER_IDS: 'playday:organizer-ids',
+  ORGANIZATION_IDS: 'playday:organization-ids',
+  // Outbox messages still to be sent (lib/outbox.js)
+  OUTBOX_PENDING: 'playday:outbox-pending',
+  // Signs players' claim and calendar links (lib/auth.js)
+  LINK_SECRET: 'playday:link-secret',
+};
+
+// Per-record key prefixes. Records live at `{prefix}:{id}`; the *_SLUG,
+// *_EMAIL and OWNER_* prefixes are secondary indexes pointing at record IDs.
+export const RECORD_PREFIXES = {
+  ORGANIZER: 'playday:organizer',
+  ORGANIZER_EMAIL: 'playday:organizer-email',
+  ORGANIZATION: 'playday:organization',
+  ORGANIZATION_SLUG: 'playday:organization-slug',
+  OWNER_ORGANIZATIONS: 'playday:owner-organizations',
+  SESSION: 'playday:session',
+  MAGIC_TOKEN: 'playday:magic-token',
+  OUTBOX_MESSAGE: 'playday:outbox-message',
 };
 
 // Organization-scoped key suffixes
@@ -19,14 +54,47 @@ export const ORG_KEY_SUFFIXES = {
   SETTINGS: 'settings',
   WHITELIST: 'whitelist',
   ARCHIVE: 'archive',
+  PLAY_HISTORY: 'play-history',
+  SIGNUP_LOG: 'signup-log',
   LAST_RESET: 'last-reset',
   LAST_EMAIL: 'last-email',
   SNOOZED: 'snoozed',
   EMAIL_STATUS: 'email-status',
   EMAIL_LOG: 'email-log',
   DROPOUT_LOG: 'dropout-log',
+  TEAMS: 'teams',
+  ATTENDANCE: 'attendance',
+  STRIKES: 'strikes',
+  LOTTERY: 'lottery',
+  EVENTS: 'events',
+  NOTIFICATIONS: 'notifications',
+  REMINDERS: 'reminders',
+  OUTBOX: 'outbox',
+  SCHEMA_VERSION: 'schema-version',
+  LOCK: 'lock',
 };
 
+// Per-org lock tuning. The TTL guards against a crashed request holding the
+// lock forever, so it has to outlast the longest critical section (an outbox
+// send included) and the wait budget; the wait budget bounds how long a
+// request queues behind others.
+const LOCK_TTL_MS = 30000;
+const LOCK_WAIT_MS = 8000;
+const LOCK_RETRY_BASE_MS = 15;
+const LOCK_RETRY_MAX_MS = 120;
+
+/**
+ * Thrown when a lock could not be acquired within the wait budget.
+ * API handlers translate this into a 503 so the client can retry.
+ */
+export class LockContentionError extends Error {
+  constructor(lockKey) {
+    super(`Could not acquire lock ${lockKey}`);
+    this.name = 'LockContentionError';
+    this.lockKey = lockKey;
+  }
+}
+
 /**
  * Generate an org-scoped KV key
  * @param {string} orgId - Organization ID
@@ -90,6 +158,154 @@ export async function setGlobalData(key, value) {
   await kv.set(key, value);
 }
 
+/**
+ * Generate a per-record key
+ * @param {string} prefix - Prefix from RECORD_PREFIXES
+ * @param {string} id - Record ID (or index value such as a slug or email)
+ * @returns {string} Record key
+ */
+export function recordKey(prefix, id) {
+  if (!id) throw new Error('id is required for record keys');
+  return `${prefix}:${id}`;
+}
+
+/**
+ * Get a single record
+ * @param {string} prefix - Prefix from RECORD_PREFIXES
+ * @param {string} id - Record ID
+ * @param {*} defaultValue - Default value if the record doesn't exist
+ */
+export async function getRecord(prefix, id, defaultValue = null) {
+  const data = await kv.get(recordKey(prefix, id));
+  return data ?? defaultValue;
+}
+
+/**
+ * Set a single record
+ * @param {string} prefix - Prefix from RECORD_PREFIXES
+ * @param {string} id - Record ID
+ * @param {*} value - Value to store
+ * @param {Object} [options] - Driver SET options, e.g. `{ ex }` for a TTL or `{ nx: true }` to claim
+ * @returns {Promise<boolean>} false if an `nx` claim lost to an existing record
+ */
+export async function setRecord(prefix, id, value, options) {
+  const result = await kv.set(recordKey(prefix, id), value, options);
+  return options?.nx ? !!result : true;
+}
+
+/**
+ * Delete a single record
+ * @param {string} prefix - Prefix from RECORD_PREFIXES
+ * @param {string} id - Record ID
+ * @returns {Promise<boolean>} true if the record existed
+ */
+export async function deleteRecord(prefix, id) {
+  const removed = await kv.del(recordKey(prefix, id));
+  return removed > 0;
+}
+
+/**
+ * Add an ID to a list index (e.g. GLOBAL_KEYS.ORGANIZATION_IDS)
+ * @param {string} key - Index key
+ * @param {string} id - ID to add
+ */
+export async function addToIndex(key, id) {
+  await withLock(`${key}:lock`, async () => {
+    const ids = await getGlobalData(key, []);
+    if (!ids.includes(id)) {
+      await setGlobalData(key, [...ids, id]);
+    }
+  });
+}
+
+/**
+ * Remove an ID from a list index
+ * @param {string} key - Index key
+ * @param {string} id - ID to remove
+ */
+export async function removeFromIndex(key, id) {
+  await withLock(`${key}:lock`, async () => {
+    const ids = await getGlobalData(key, []);
+    if (ids.includes(id)) {
+      await setGlobalData(key, ids.filter(i => i !== id));
+    }
+  });
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run a read-modify-write section while holding a lock key.
+ *
+ * The lock is claimed with SET NX PX, so only one caller can be inside `fn`
+ * at a time. Contending callers retry with jittered backoff until `waitMs`
+ * elapses, then a LockContentionError is thrown. Callers must re-read any
+ * data they intend to write *inside* `fn`.
+ *
+ * @param {string} key - Lock key
+ * @param {Function} fn - Async callback run while the lock is held
+ * @param {Object} [options]
+ * @param {number} [options.ttlMs] - Lock expiry, in case the holder dies
+ * @param {number} [options.waitMs] - How long to keep retrying before giving up
+ * @returns {Promise<*>} Whatever `fn` returns
+ */
+export async function withLock(key, fn, { ttlMs = LOCK_TTL_MS, waitMs = LOCK_WAIT_MS } = {}) {
+  const token = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  const deadline = Date.now() + waitMs;
+  let attempt = 0;
+
+  for (;;) {
+    const acquired = await kv.set(key, token, { nx: true, px: ttlMs });
+    if (acquired) break;
+
+    if (Date.now() >= deadline) {
+      throw new LockContentionError(key);
+    }
+    const backoff = Math.min(LOCK_RETRY_BASE_MS * 2 ** attempt, LOCK_RETRY_MAX_MS);
+    attempt++;
+    await sleep(backoff / 2 + Math.random() * backoff / 2);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    // Only release the lock if it is still ours (it may have expired and been
+    // re-taken). The check and the delete happen in one step in the store.
+    await kv.delIfEquals(key, token);
+  }
+}
+
+/**
+ * Run a read-modify-write section while holding the organization's lock
+ * (`org:{orgId}:lock`), so only one request per org can be inside `fn`.
+ * @param {string} orgId - Organization ID
+ * @param {Function} fn - Async callback run while the lock is held
+ * @param {Object} [options] - See withLock
+ * @returns {Promise<*>} Whatever `fn` returns
+ */
+export async function withOrgLock(orgId, fn, options) {
+  return withLock(orgKey(orgId, ORG_KEY_SUFFIXES.LOCK), fn, options);
+}
+
+/**
+ * Atomically update org-scoped data under the org lock.
+ * @param {string} orgId - Organization ID
+ * @param {string} suffix - Key suffix
+ * @param {Function} updater - Receives the current value, returns the new value
+ * @param {*} defaultValue - Value passed to `updater` if the key doesn't exist
+ * @returns {Promise<*>} The value that was written
+ */
+export async function updateOrgData(orgId, suffix, updater, defaultValue = null) {
+  return withOrgLock(orgId, async () => {
+    const current = await getOrgData(orgId, suffix, defaultValue);
+    const next = await updater(current);
+    await setOrgData(orgId, suffix, next);
+    return next;
+  });
+}
+
 /**
  * Delete all data for an organization (for cleanup/deletion)
  * @param {string} orgId - Organization ID
@@ -99,5 +315,4 @@ export async function deleteAllOrgData(orgId) {
   await Promise.all(suffixes.map(suffix => deleteOrgData(orgId, suffix)));
 }
 
-// Re-export raw kv for cases where direct access is needed
-export { kv };
+export { setStorageDriver } from './storage';
@@ -0,0 +1,224 @@
+/**
+ * RSVP list helpers shared by the org API handlers and pages.
+ *
+ * A signup may bring guests (plus-ones). Each guest is its own entry in
+ * mainList/waitlist so it takes up a spot and can be waitlisted individually:
+ *   { id, name, timestamp, deviceId, hostId, hostName, isGuest: true }
+ * Guests share their host's timestamp and deviceId (so the host can remove
+ * them), are never whitelisted, and always sort directly after their host
+ * among non-members.
+ *
+ * Members carry `isWhitelisted: true` and the id of their priority `tier`
+ * (see lib/tiers.js).
+ *
+ * Device IDs let players remove their own signups, so players only ever see
+ * the lists through toPublicLists().
+ */
+
+import { getDefaultTiers, getPersonTierId, getTierRank } from './tiers';
+
+// Upper bound for the per-org guest limit
+export const MAX_GUESTS_PER_SIGNUP = 10;
+
+// How non-members get spots: in signup order, or drawn when the window closes (lib/lottery.js)
+export const ALLOCATION_MODES = ['first-come', 'lottery'];
+
+/**
+ * Sort people by priority:
+ * 1. Members by tier, highest first (each tier by earliest timestamp)
+ * 2. Everyone else, in the public tier (by lottery draw position if drawn,
+ *    then by earliest timestamp)
+ * 3. Anyone who lost their priority to a penalty last, members included
+ *    (see lib/penalties.js); guests share their host's standing
+ * Guests tie with their host's timestamp and draw position and come after the host.
+ * @param {Array} people - People to sort
+ * @param {Object} [options]
+ * @param {Set<string>} [options.deprioritized] - Lowercased names under a 'lose-priority' penalty
+ * @param {Array} [options.tiers] - settings.tiers; defaults to members-then-everyone
+ */
+export function sortByPriority(people, { deprioritized = new Set(), tiers = getDefaultTiers() } = {}) {
+  return [...people].sort((a, b) => {
+    const byPenalty = isDeprioritized(a, deprioritized) - isDeprioritized(b, deprioritized);
+    if (byPenalty !== 0) return byPenalty;
+    const byTier = getTierRank(a, tiers) - getTierRank(b, tiers);
+    if (byTier !== 0) return byTier;
+    const byDraw = compareDrawPositions(a, b);
+    if (byDraw !== 0) return byDraw;
+    const byTime = new Date(a.timestamp) - new Date(b.timestamp);
+    if (byTime !== 0) return byTime;
+    return (a.isGuest ? 1 : 0) - (b.isGuest ? 1 : 0);
+  });
+}
+
+function isDeprioritized(person, deprioritized = new Set()) {
+  return deprioritized.has((person.isGuest ? person.hostName : person.name).toLowerCase());
+}
+
+// Drawn entries come before anyone who signed up after the draw
+function compareDrawPositions(a, b) {
+  const aDrawn = a.drawPosition !== undefined;
+  const bDrawn = b.drawPosition !== undefined;
+  if (aDrawn && bDrawn) return a.drawPosition - b.drawPosition;
+  return bDrawn - aDrawn;
+}
+
+/**
+ * Pick who gets main-list spots from a sorted list: first each tier's reserved
+ * spots (to its highest-priority people without a penalty), then the rest in order
+ * @returns {Set<Object>}
+ */
+function pickMainList(sorted, limit, { deprioritized, tiers = getDefaultTiers() }) {
+  const picked = new Set();
+
+  for (const tier of tiers) {
+    if (!tier.reservedSpots) continue;
+    sorted
+      .filter(p => getPersonTierId(p, tiers) === tier.id && !isDeprioritized(p, deprioritized))
+      .slice(0, tier.reservedSpots)
+      .forEach(p => picked.add(p));
+  }
+
+  let open = limit - picked.size;
+  for (const person of sorted) {
+    if (open <= 0) break;
+    if (!picked.has(person)) {
+      picked.add(person);
+      open--;
+    }
+  }
+
+  return picked;
+}
+
+/**
+ * Rebalance mainList and waitlist based on the limit, honouring each tier's
+ * reserved spots. Both lists stay in priority order.
+ * @param {Object} [options] - Passed through to sortByPriority, plus:
+ * @param {boolean} [options.awaitingDraw] - A lottery draw is pending, so only
+ *   members (without a penalty) get main-list spots for now
+ */
+export function rebalanceLists(mainList, waitlist, limit, options = {}) {
+  const allPeople = [...mainList, ...waitlist];
+  const sorted = sortByPriority(allPeople, options);
+
+  if (options.awaitingDraw) {
+    const firstEntrant = sorted.findIndex(p => !p.isWhitelisted || isDeprioritized(p, options.deprioritized));
+    const mainCount = Math.min(limit, firstEntrant === -1 ? sorted.length : firstEntrant);
+    return {
+      mainList: sorted.slice(0, mainCount),
+      waitlist: sorted.slice(mainCount)
+    };
+  }
+
+  const picked = pickMainList(sorted, limit, options);
+  return {
+    mainList: sorted.filter(p => picked.has(p)),
+    waitlist: sorted.filter(p => !picked.has(p))
+  };
+}
+
+/**
+ * Get the guests a host brought, from any list
+ * @param {Array} people - People to search
+ * @param {number} hostId - The host's signup id
+ */
+export function getGuestsOf(people, hostId) {
+  return people.filter(p => p.isGuest && p.hostId === hostId);
+}
+
+/**
+ * Build guest entries for a new signup
+ * @param {Object} host - The host's signup entry
+ * @param {string[]} guestNames - Guest names; blank names become "Host +1", "Host +2", ...
+ * @param {Function} nextId - Returns a unique id for each guest
+ * @returns {Array} Guest entries
+ */
+export function createGuestEntries(host, guestNames, nextId) {
+  return guestNames.map((guestName, index) => ({
+    id: nextId(),
+    name: guestName?.trim() || `${host.name} +${index + 1}`,
+    timestamp: host.timestamp,
+    deviceId: host.deviceId,
+    hostId: host.id,
+    hostName: host.name,
+    isGuest: true,
+  }));
+}
+
+/**
+ * Group a list for display with each host's guests nested beneath them.
+ * Guests whose host isn't in the same list (e.g. waitlisted while the host
+ * plays, or kept after the host dropped out) stay at the top level.
+ * @param {Array} list - A mainList or waitlist, in list order
+ * @returns {Array<{ person: Object, guests: Object[] }>}
+ */
+export function nestGuests(list) {
+  const hostIds = new Set(list.filter(p => !p.isGuest).map(p => p.id));
+  const groups = [];
+  const groupsByHost = new Map();
+
+  for (const person of list) {
+    if (person.isGuest && hostIds.has(person.hostId)) continue;
+    const group = { person, guests: [] };
+    groups.push(group);
+    if (!person.isGuest) groupsByHost.set(person.id, group);
+  }
+
+  for (const person of list) {
+    if (person.isGuest && groupsByHost.has(person.hostId)) {
+      groupsByHost.get(person.hostId).guests.push(person);
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Number a main list for the list email and its PDF: alphabetical by host,
+ * each followed by their guests. Everyone is numbered since every guest
+ * takes a spot.
+ * @param {Array} mainList - The main list
+ * @returns {Array<{ person: Object, nested: boolean, number: number }>}
+ */
+export function getParticipantLines(mainList) {
+  const groups = nestGuests(mainList).sort((a, b) => a.person.name.localeCompare(b.person.name));
+  const lines = [];
+  for (const { person, guests } of groups) {
+    lines.push({ person, nested: false });
+    guests.forEach(guest => lines.push({ person: guest, nested: true }));
+  }
+  return lines.map((line, index) => ({ ...line, number: index + 1 }));
+}
+
+/**
+ * Format a line from getParticipantLines, e.g. "3. Ada Obi"
+ */
+export function formatParticipant({ person, nested, number }) {
+  if (nested) return `    ${number}. ${person.name} (guest)`;
+  if (person.isGuest) return `${number}. ${person.name} (guest of ${person.hostName})`;
+  return `${number}. ${person.name}`;
+}
+
+/**
+ * An entry as shown to players: without its device ID, and marked `isMine`
+ * when it was signed up from the viewer's device
+ * @param {Object} person - A mainList/waitlist entry
+ * @param {string} [deviceId] - The viewer's device
+ */
+export function toPublicEntry(person, deviceId) {
+  const { deviceId: entryDeviceId, ...rest } = person;
+  return deviceId && entryDeviceId === deviceId ? { ...rest, isMine: true } : rest;
+}
+
+/**
+ * The lists as shown to players (see toPublicEntry)
+ * @param {{ mainList: Array, waitlist: Array }} lists
+ * @param {string} [deviceId] - The viewer's device
+ * @returns {{ mainList: Array, waitlist: Array }}
+ */
+export function toPublicLists({ mainList, waitlist }, deviceId) {
+  return {
+    mainList: mainList.map(p => toPublicEntry(p, deviceId)),
+    waitlist: waitlist.map(p => toPublicEntry(p, deviceId)),
+  };
+}
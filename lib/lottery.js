@@ -0,0 +1,173 @@
+import crypto from 'crypto';
+import { getOrgData, setOrgData, withOrgLock, ORG_KEY_SUFFIXES } from './kv';
+import { isFormOpenForAnyone, getCurrentPeriodId } from './recurrence';
+import { rebalanceLists } from './lists';
+import { getDeprioritizedNames } from './penalties';
+
+/**
+ * Lottery allocation
+ *
+ * With `settings.allocationMode === 'lottery'`, signups during the RSVP window
+ * only register interest: whitelisted members keep guaranteed spots and
+ * everyone else waits in the waitlist. Once the window closes the draw runs
+ * exactly once for the period, giving each entry a `drawPosition` that
+ * sortByPriority orders by. A host and their guests share one ticket.
+ *
+ * The draw is recorded under `org:{id}:lottery` so it can be audited:
+ *   { periodId, seed, drawnAt, entrants: [{ ticket, names }], order: [ticket] }
+ * Re-running drawLottery() on the entrants with the same seed reproduces
+ * `order` exactly.
+ */
+
+/**
+ * Whether an org allocates spots by lottery. The draw happens when the RSVP
+ * window closes, so orgs without a window are always first-come-first-served.
+ * @param {Object} settings - Org settings
+ */
+export function isLotteryMode(settings) {
+  return settings.allocationMode === 'lottery' && !!settings.accessPeriod?.enabled;
+}
+
+/**
+ * Whether this period's signups are still waiting to be drawn
+ * @param {Object} settings - Org settings
+ * @param {Object|null} lottery - The stored draw record
+ * @param {string|null} lastReset - Period the lists were last reset for
+ * @param {string} periodId - The current period
+ */
+export function isAwaitingDraw(settings, lottery, lastReset, periodId) {
+  return isLotteryMode(settings) && lastReset === periodId && lottery?.periodId !== periodId;
+}
+
+/**
+ * A repeatable random number source (FNV-1a hash of the seed into mulberry32)
+ * @param {string} seed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let state = 2166136261;
+  for (let i = 0; i < seed.length; i++) {
+    state = Math.imul(state ^ seed.charCodeAt(i), 16777619);
+  }
+
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * A fresh random seed for a draw
+ * @returns {string} 16 hex characters
+ */
+export function generateSeed() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Draw everyone who isn't a whitelisted member into a random order
+ * @param {Array} people - Everyone on the main list and waitlist
+ * @param {string} seed - Seed for the shuffle
+ * @returns {{ people: Array, entrants: Array<{ ticket: number, names: string[] }>, order: number[] }}
+ *   people with `drawPosition` set on each drawn entry, the tickets in signup
+ *   order, and the tickets in drawn order
+ */
+export function drawLottery(people, seed) {
+  const ticketOf = p => (p.isGuest ? p.hostId : p.id);
+
+  const tickets = new Map();
+  for (const person of people) {
+    if (person.isWhitelisted) continue;
+    const ticket = ticketOf(person);
+    const entry = tickets.get(ticket) || { ticket, timestamp: person.timestamp, names: [] };
+    if (person.isGuest) {
+      entry.names.push(person.name);
+    } else {
+      entry.names.unshift(person.name);
+    }
+    tickets.set(ticket, entry);
+  }
+
+  const entrants = [...tickets.values()]
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp) || a.ticket - b.ticket)
+    .map(({ ticket, names }) => ({ ticket, names }));
+
+  // Fisher-Yates over the signup order
+  const order = entrants.map(e => e.ticket);
+  const random = createSeededRandom(seed);
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+
+  const positions = new Map(order.map((ticket, index) => [ticket, index + 1]));
+  return {
+    people: people.map(p => (p.isWhitelisted ? p : { ...p, drawPosition: positions.get(ticketOf(p)) })),
+    entrants,
+    order,
+  };
+}
+
+/**
+ * Run this period's draw if the window has closed and it hasn't run yet.
+ * Safe to call from every request and the cron: only the first call after
+ * the window closes draws.
+ * @param {string} orgId - Organization ID
+ * @param {Object} settings - Org settings
+ * @returns {Promise<Object|null>} The new draw record, or null if no draw was due
+ */
+export async function runLotteryDrawIfDue(orgId, settings) {
+  if (!isLotteryMode(settings)) {
+    return null;
+  }
+
+  // No draw until the window closes, and none at all for a cancelled game
+  const accessStatus = isFormOpenForAnyone(settings);
+  if (accessStatus.isOpen || accessStatus.skipped) {
+    return null;
+  }
+
+  const timezone = settings.accessPeriod.timezone || 'Africa/Lagos';
+  const periodId = getCurrentPeriodId(settings, timezone);
+  const isDue = async () => isAwaitingDraw(
+    settings,
+    await getOrgData(orgId, ORG_KEY_SUFFIXES.LOTTERY, null),
+    await getOrgData(orgId, ORG_KEY_SUFFIXES.LAST_RESET, null),
+    periodId
+  );
+
+  if (!await isDue()) {
+    return null;
+  }
+
+  return withOrgLock(orgId, async () => {
+    // Another request may have drawn while we were waiting for the lock
+    if (!await isDue()) {
+      return null;
+    }
+
+    const rsvpData = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
+    const seed = generateSeed();
+    const draw = drawLottery([...rsvpData.mainList, ...rsvpData.waitlist], seed);
+
+    const strikes = settings.penalties?.enabled ? await getOrgData(orgId, ORG_KEY_SUFFIXES.STRIKES, []) : [];
+    const rebalanced = rebalanceLists(draw.people, [], settings.mainListLimit || 30, {
+      tiers: settings.tiers,
+      deprioritized: getDeprioritizedNames(strikes, settings.penalties),
+    });
+
+    const lottery = {
+      periodId,
+      seed,
+      drawnAt: new Date().toISOString(),
+      entrants: draw.entrants,
+      order: draw.order,
+    };
+
+    await setOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, rebalanced);
+    await setOrgData(orgId, ORG_KEY_SUFFIXES.LOTTERY, lottery);
+    return lottery;
+  });
+}
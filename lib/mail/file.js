@@ -0,0 +1,49 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * File-sink mail driver for local development and end-to-end runs.
+ *
+ * Nothing is sent: each message is appended to a JSON-lines file, one
+ * `{ id, sentAt, ...message }` per line, with attachment contents replaced by
+ * their size. Open the file to follow login links and the like.
+ */
+
+/**
+ * Create a driver that writes messages to a file.
+ * @param {string} filePath - Path to the JSON-lines file (created on first send)
+ */
+export function createFileMailDriver(filePath) {
+  return {
+    name: 'file',
+    async send(message) {
+      const id = `file-${crypto.randomUUID()}`;
+      const entry = {
+        id,
+        sentAt: new Date().toISOString(),
+        ...message,
+        ...(message.attachments && {
+          attachments: message.attachments.map(({ filename, content }) => ({ filename, size: content?.length || 0 })),
+        }),
+      };
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.appendFileSync(filePath, `${JSON.stringify(entry)}\n`);
+      return { id };
+    },
+  };
+}
+
+/**
+ * Read back the messages a file sink has written (tests, scripts)
+ * @param {string} filePath
+ * @returns {Array<Object>}
+ */
+export function readMailFile(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
@@ -0,0 +1,66 @@
+import path from 'path';
+import { createResendMailDriver } from './resend';
+import { createFileMailDriver } from './file';
+
+/**
+ * Mail provider selection.
+ *
+ * Every driver implements one method:
+ *   send({ from, to, cc?, bcc?, subject, html?, text?, attachments? }) → { id }
+ * and throws when the provider rejects the message. Callers don't use drivers
+ * directly; messages go through the outbox (lib/outbox.js), which retries.
+ *
+ * MAIL_DRIVER picks the driver: 'resend' or 'file'. When it is unset we use
+ * Resend if RESEND_API_KEY is present, and the file sink in development and
+ * tests (e.g. `next dev`). Anywhere else that's a configuration error rather
+ * than mail quietly written to a file nobody reads. The file sink appends to
+ * MAIL_FILE_PATH (default `.data/mail.jsonl`).
+ */
+
+export const DEFAULT_MAIL_FILE = '.data/mail.jsonl';
+
+const drivers = {
+  resend: () => createResendMailDriver(process.env.RESEND_API_KEY),
+  file: () => createFileMailDriver(path.resolve(process.env.MAIL_FILE_PATH || DEFAULT_MAIL_FILE)),
+};
+
+let activeDriver = null;
+
+/**
+ * Work out which driver the environment asks for.
+ * @returns {string} Driver name
+ * @throws {Error} When no provider is configured outside development and tests
+ */
+export function resolveMailDriverName(env = process.env) {
+  if (env.MAIL_DRIVER) return env.MAIL_DRIVER;
+  if (env.RESEND_API_KEY) return 'resend';
+  if (env.NODE_ENV === 'development' || env.NODE_ENV === 'test') return 'file';
+  throw new Error('No mail provider is configured. Set RESEND_API_KEY, or MAIL_DRIVER=file to write mail to a file.');
+}
+
+/**
+ * Get the active mail driver, creating it on first use.
+ */
+export function getMailDriver() {
+  if (!activeDriver) {
+    const name = resolveMailDriverName();
+    const create = drivers[name];
+    if (!create) {
+      throw new Error(`Unknown MAIL_DRIVER "${name}". Expected one of: ${Object.keys(drivers).join(', ')}`);
+    }
+    activeDriver = create();
+  }
+  return activeDriver;
+}
+
+/**
+ * Replace the active mail driver (tests, scripts).
+ * Pass null to fall back to environment-based selection.
+ * @param {Object|null} driver
+ */
+export function setMailDriver(driver) {
+  activeDriver = driver;
+}
+
+export { createResendMailDriver, createFileMailDriver };
+export { readMailFile } from './file';
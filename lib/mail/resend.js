@@ -0,0 +1,21 @@
+import { Resend } from 'resend';
+
+/**
+ * Resend mail driver. The client reports rejected messages in its result
+ * rather than throwing, so they're turned into errors here.
+ * @param {string} apiKey - RESEND_API_KEY
+ */
+export function createResendMailDriver(apiKey) {
+  const client = new Resend(apiKey);
+
+  return {
+    name: 'resend',
+    async send(message) {
+      const result = await client.emails.send(message);
+      if (result?.error) {
+        throw new Error(result.error.message || 'Resend rejected the email');
+      }
+      return { id: result?.data?.id || null };
+    },
+  };
+}
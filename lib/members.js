@@ -0,0 +1,178 @@
+import { isValidEmail } from './notifications';
+import { toWallClock } from './timezone';
+
+/**
+ * Whitelist member profiles
+ *
+ * A whitelist entry is the member's profile:
+ *   { name, snoozeCode, tier, addedAt, email?, phone?, notes?, tags?,
+ *     expiresOn?, previousNames?, skill?, gender? }
+ * - expiresOn: last day of the membership (`YYYY-MM-DD` in the org's
+ *   timezone). Once it has passed the member signs up like everyone else and
+ *   isn't carried over to the next period's list, until it's renewed.
+ * - previousNames: names the member had before being renamed. The archive and
+ *   logs store players by name, so these keep the member's history.
+ */
+
+export const MAX_NOTES_LENGTH = 1000;
+export const MAX_TAGS = 10;
+export const MAX_TAG_LENGTH = 30;
+
+const PHONE_PATTERN = /^\+?[0-9 ()./-]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Trim tags, dropping blanks and repeats (ignoring case)
+ * @param {Array<string>} tags
+ * @returns {Array<string>}
+ */
+export function normalizeTags(tags) {
+  const seen = new Set();
+  return tags.map(tag => tag.trim()).filter(tag => {
+    const key = tag.toLowerCase();
+    if (!tag || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Validate a member's editable profile fields
+ * @param {{ email?, phone?, notes?, tags?, expiresOn? }} profile - Empty values clear a field
+ * @returns {string|null} An error message, or null when valid
+ */
+export function validateMemberProfile({ email, phone, notes, tags, expiresOn }) {
+  if (email && !isValidEmail(email)) {
+    return 'Please enter a valid email address';
+  }
+  if (phone && !(PHONE_PATTERN.test(phone) && /^(\D*\d){6,15}\D*$/.test(phone))) {
+    return 'Please enter a valid phone number';
+  }
+  if (notes != null && (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH)) {
+    return `Notes must be at most ${MAX_NOTES_LENGTH} characters`;
+  }
+  if (tags != null) {
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+      return 'Tags must be a list of words';
+    }
+    if (tags.some(tag => tag.trim().length > MAX_TAG_LENGTH)) {
+      return `Tags must be at most ${MAX_TAG_LENGTH} characters`;
+    }
+    if (normalizeTags(tags).length > MAX_TAGS) {
+      return `A member can have at most ${MAX_TAGS} tags`;
+    }
+  }
+  if (expiresOn && !DATE_PATTERN.test(expiresOn)) {
+    return 'Expiry must be a date (YYYY-MM-DD)';
+  }
+  return null;
+}
+
+/**
+ * Today's date in a timezone, to compare with `expiresOn`
+ * @param {string} timezone - IANA timezone
+ * @param {Date} [now]
+ * @returns {string} `YYYY-MM-DD`
+ */
+export function getTodayId(timezone, now = new Date()) {
+  return toWallClock(now, timezone).toISOString().slice(0, 10);
+}
+
+/**
+ * Whether a membership is current
+ * @param {Object} member - Whitelist entry
+ * @param {string} today - Today's date (`YYYY-MM-DD`) in the org's timezone
+ */
+export function isMembershipActive(member, today) {
+  return !member.expiresOn || member.expiresOn >= today;
+}
+
+/**
+ * Find a current member by name
+ * @param {Array} whitelist - The org's whitelist
+ * @param {string} name - Name to look for (any case)
+ * @param {string} today - Today's date (`YYYY-MM-DD`) in the org's timezone
+ * @returns {Object|null} Their whitelist entry, unless missing or expired
+ */
+export function findActiveMember(whitelist, name, today) {
+  const member = whitelist.find(w => w.name.toLowerCase() === name.toLowerCase());
+  return member && isMembershipActive(member, today) ? member : null;
+}
+
+/**
+ * Carry members over to a new period's list, leaving out expired memberships
+ * @param {Array} mainList - The outgoing period's main list
+ * @param {Array} whitelist - The org's whitelist
+ * @param {string} today - Today's date (`YYYY-MM-DD`) in the org's timezone
+ * @returns {Array} The members to keep on the list
+ */
+export function getCarriedOverMembers(mainList, whitelist, today) {
+  const expired = new Set(whitelist.filter(w => !isMembershipActive(w, today)).map(w => w.name.toLowerCase()));
+  return mainList.filter(p => p.isWhitelisted && !expired.has(p.name.toLowerCase()));
+}
+
+/**
+ * Give a member's signup, and their guests, a new name
+ * @param {Array} people - A mainList or waitlist
+ * @param {string} oldName - The member's current name (any case)
+ * @param {string} newName
+ * @returns {Array} The list with the member renamed
+ */
+export function renameInList(people, oldName, newName) {
+  const signup = people.find(p => !p.isGuest && p.name.toLowerCase() === oldName.toLowerCase());
+  if (!signup) return people;
+  return people.map(p => {
+    if (p.id === signup.id) return { ...p, name: newName };
+    if (p.isGuest && p.hostId === signup.id) return { ...p, hostName: newName };
+    return p;
+  });
+}
+
+/**
+ * A member's history from the play history and logs, newest first. Guests
+ * they brought aren't counted.
+ * @param {Object} member - Whitelist entry
+ * @param {Object} logs
+ * @param {Array} logs.history - Play history (lib/player-stats.js), newest first
+ * @param {Array} logs.dropoutLog - Dropout log, newest first
+ * @param {Array} logs.strikes - Strikes
+ * @returns {{ periods: Array, dropouts: Array, strikes: Array, totals: Object }}
+ *   Each period is { periodId, list: 'main'|'waitlist'|null, snoozed, checkedIn },
+ *   where checkedIn is null when check-in wasn't used
+ */
+export function getMemberHistory(member, { history, dropoutLog, strikes }) {
+  const names = new Set([member.name, ...(member.previousNames || [])].map(n => n.toLowerCase()));
+  const isMember = name => names.has(name.toLowerCase());
+
+  const periods = [];
+  for (const entry of history) {
+    const onMain = entry.mainList.some(isMember);
+    const onWaitlist = entry.waitlist.some(isMember);
+    const snoozed = (entry.snoozed || []).some(isMember);
+    if (!onMain && !onWaitlist && !snoozed) continue;
+
+    periods.push({
+      periodId: entry.periodId,
+      list: onMain ? 'main' : onWaitlist ? 'waitlist' : null,
+      snoozed,
+      checkedIn: onMain && entry.checkedIn ? entry.checkedIn.some(isMember) : null,
+    });
+  }
+
+  const dropouts = dropoutLog.filter(entry => !entry.guestOf && names.has(entry.name.toLowerCase()));
+  const memberStrikes = strikes.filter(strike => names.has(strike.name.toLowerCase()));
+
+  return {
+    periods,
+    dropouts,
+    strikes: memberStrikes,
+    totals: {
+      mainList: periods.filter(p => p.list === 'main').length,
+      waitlist: periods.filter(p => p.list === 'waitlist').length,
+      snoozed: periods.filter(p => p.snoozed).length,
+      checkedIn: periods.filter(p => p.checkedIn === true).length,
+      noShows: periods.filter(p => p.checkedIn === false).length,
+      dropouts: dropouts.length,
+    },
+  };
+}
@@ -0,0 +1,232 @@
+import { getOrgData, setOrgData, withOrgLock, ORG_KEY_SUFFIXES } from './kv';
+import { normalizeSettings, getDefaultSettings } from './settings';
+import { getMemberTiers } from './tiers';
+import { buildHistoryEntry } from './player-stats';
+
+/**
+ * Versioned schema migrations for org-scoped data
+ *
+ * Each org records the schema version its data is at under
+ * `org:{id}:schema-version` (missing means 0, i.e. written before versioning).
+ * MIGRATIONS is an ordered registry; each entry upgrades an org's data from
+ * `version - 1` to `version`. Orgs are upgraded lazily by ensureOrgSchema()
+ * on read, or all at once via POST /api/admin/migrate-schema.
+ *
+ * To change the shape of stored data: append a migration with the next
+ * version number. Never edit or reorder one that has shipped.
+ *
+ * A migration that changes the settings schema is marked `settings: true`
+ * instead of rewriting settings itself: before any pending `up` steps run,
+ * stored settings are brought to the canonical shape once with
+ * normalizeSettings(). Migrations that only add settings fields have no `up`.
+ */
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Bring settings up to the canonical schema and split gameInfo.location into venue name and area',
+    settings: true,
+    async up(org) {
+      const settings = await getOrgData(org.id, ORG_KEY_SUFFIXES.SETTINGS, null);
+      const location = settings?.gameInfo.location;
+
+      // Orgs created from the dashboard stored the neighbourhood in `area`; the
+      // settings handlers' defaults used `name`. Fill the area from the org
+      // record when it was never set so the public page can show both.
+      if (!location || location.area || !org.location) return;
+
+      location.area = org.location;
+      await setOrgData(org.id, ORG_KEY_SUFFIXES.SETTINGS, settings);
+    },
+  },
+  {
+    version: 2,
+    description: 'Ensure RSVP lists exist and convert legacy string snooze entries to snapshots',
+    async up(org) {
+      const rsvpData = await getOrgData(org.id, ORG_KEY_SUFFIXES.RSVP_DATA, null);
+      if (rsvpData) {
+        await setOrgData(org.id, ORG_KEY_SUFFIXES.RSVP_DATA, {
+          ...rsvpData,
+          mainList: Array.isArray(rsvpData.mainList) ? rsvpData.mainList : [],
+          waitlist: Array.isArray(rsvpData.waitlist) ? rsvpData.waitlist : [],
+        });
+      }
+
+      const snoozed = await getOrgData(org.id, ORG_KEY_SUFFIXES.SNOOZED, null);
+      if (!snoozed?.names?.some(entry => typeof entry === 'string')) return;
+
+      // Legacy entries only stored the name; rebuild the snapshot the same way
+      // unsnooze used to, from the whitelist, so they rejoin as members.
+      const whitelist = await getOrgData(org.id, ORG_KEY_SUFFIXES.WHITELIST, []);
+      const migratedAt = new Date().toISOString();
+      let nextId = Date.now();
+
+      const names = snoozed.names.map(entry => {
+        if (typeof entry !== 'string') return entry;
+        const nameLC = entry.toLowerCase();
+        const member = whitelist.find(w => w.name.toLowerCase() === nameLC);
+        return {
+          nameLC,
+          snapshot: {
+            id: nextId++,
+            name: member?.name || entry,
+            timestamp: migratedAt,
+            isWhitelisted: true,
+          },
+        };
+      });
+
+      await setOrgData(org.id, ORG_KEY_SUFFIXES.SNOOZED, { ...snoozed, names });
+    },
+  },
+  {
+    version: 3,
+    description: 'Add the per-signup guest limit to settings (guests off by default)',
+    settings: true,
+  },
+  {
+    version: 4,
+    description: 'Add strike and penalty rules to settings (off by default)',
+    settings: true,
+  },
+  {
+    version: 5,
+    description: 'Add the allocation mode to settings (first-come-first-served by default)',
+    settings: true,
+  },
+  {
+    version: 6,
+    description: 'Replace the whitelist flag with priority tiers: existing members join the top tier',
+    settings: true,
+    async up(org) {
+      const settings = await getOrgData(org.id, ORG_KEY_SUFFIXES.SETTINGS, getDefaultSettings(org.timezone));
+
+      const topTierId = getMemberTiers(settings.tiers)[0].id;
+      const withTier = person => (person.tier ? person : { ...person, tier: topTierId });
+
+      const whitelist = await getOrgData(org.id, ORG_KEY_SUFFIXES.WHITELIST, null);
+      if (Array.isArray(whitelist)) {
+        await setOrgData(org.id, ORG_KEY_SUFFIXES.WHITELIST, whitelist.map(withTier));
+      }
+
+      const rsvpData = await getOrgData(org.id, ORG_KEY_SUFFIXES.RSVP_DATA, null);
+      if (rsvpData) {
+        const tierMembers = list => (list || []).map(p => (p.isWhitelisted ? withTier(p) : p));
+        await setOrgData(org.id, ORG_KEY_SUFFIXES.RSVP_DATA, {
+          ...rsvpData,
+          mainList: tierMembers(rsvpData.mainList),
+          waitlist: tierMembers(rsvpData.waitlist),
+        });
+      }
+    },
+  },
+  {
+    version: 7,
+    description: 'Add biweekly, multi-day and every-N-days schedule fields to gameInfo',
+    settings: true,
+  },
+  {
+    version: 8,
+    description: 'Add skip dates for holidays and cancelled games',
+    settings: true,
+  },
+  {
+    version: 9,
+    description: 'Add the waitlist claim window to settings (off by default)',
+    settings: true,
+  },
+  {
+    version: 10,
+    description: 'Add player reminder emails to settings (all off by default)',
+    settings: true,
+  },
+  {
+    version: 11,
+    description: 'Add email templates to settings (list email HTML and player emails, all default)',
+    settings: true,
+  },
+  {
+    version: 12,
+    description: 'Add the public leaderboard to settings (off) and start the play history from the archive',
+    settings: true,
+    async up(org) {
+      const archive = await getOrgData(org.id, ORG_KEY_SUFFIXES.ARCHIVE, []);
+      if (archive.length === 0 || await getOrgData(org.id, ORG_KEY_SUFFIXES.PLAY_HISTORY, null)) return;
+
+      const logs = {
+        attendance: await getOrgData(org.id, ORG_KEY_SUFFIXES.ATTENDANCE, []),
+        dropoutLog: await getOrgData(org.id, ORG_KEY_SUFFIXES.DROPOUT_LOG, []),
+      };
+      await setOrgData(org.id, ORG_KEY_SUFFIXES.PLAY_HISTORY, archive.map(week => buildHistoryEntry(week, logs)));
+    },
+  },
+];
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Bring an org's stored settings to the canonical shape, for the pending
+ * migrations marked `settings: true`
+ * @param {Object} org - Organization record
+ */
+async function normalizeStoredSettings(org) {
+  const settings = await getOrgData(org.id, ORG_KEY_SUFFIXES.SETTINGS, null);
+  if (!settings) return;
+  await setOrgData(org.id, ORG_KEY_SUFFIXES.SETTINGS, normalizeSettings(settings, org.timezone));
+}
+
+/**
+ * Get the schema version an org's data is stored at
+ * @param {string} orgId - Organization ID
+ * @returns {number}
+ */
+export async function getOrgSchemaVersion(orgId) {
+  return getOrgData(orgId, ORG_KEY_SUFFIXES.SCHEMA_VERSION, 0);
+}
+
+/**
+ * Mark a newly created org's data as already at the current schema
+ * @param {string} orgId - Organization ID
+ */
+export async function initOrgSchemaVersion(orgId) {
+  await setOrgData(orgId, ORG_KEY_SUFFIXES.SCHEMA_VERSION, CURRENT_SCHEMA_VERSION);
+}
+
+/**
+ * Apply any pending migrations to an org's data, in order
+ *
+ * Runs under the org lock and records the version after each step, so a crash
+ * part-way through resumes from the last completed migration.
+ * @param {Object} org - Organization record
+ * @returns {{ from: number, to: number, applied: number[] }}
+ */
+export async function migrateOrgData(org) {
+  return withOrgLock(org.id, async () => {
+    const from = await getOrgSchemaVersion(org.id);
+    const pending = MIGRATIONS.filter(migration => migration.version > from);
+    const applied = [];
+
+    if (pending.some(migration => migration.settings)) {
+      await normalizeStoredSettings(org);
+    }
+
+    for (const migration of pending) {
+      if (migration.up) await migration.up(org);
+      await setOrgData(org.id, ORG_KEY_SUFFIXES.SCHEMA_VERSION, migration.version);
+      applied.push(migration.version);
+    }
+
+    return { from, to: applied.length > 0 ? applied[applied.length - 1] : from, applied };
+  });
+}
+
+/**
+ * Upgrade an org's data on read if it's behind the current schema.
+ * Cheap when already current: a single KV read.
+ * @param {Object} org - Organization record
+ */
+export async function ensureOrgSchema(org) {
+  const version = await getOrgSchemaVersion(org.id);
+  if (version >= CURRENT_SCHEMA_VERSION) return;
+  await migrateOrgData(org);
+}
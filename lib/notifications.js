@@ -0,0 +1,200 @@
+import crypto from 'crypto';
+import { getOrgData, setOrgData, withOrgLock, ORG_KEY_SUFFIXES } from './kv';
+import { getClaimToken } from './claims';
+import { getLinkSecret } from './auth';
+import { queueEmail } from './outbox';
+import { getTemplate, renderEmail, formatWhen } from './templates';
+import { getTemplateVars } from './template-vars';
+import { getDefaultSettings } from './settings';
+
+/**
+ * Player email notifications
+ *
+ * Players can leave an email when they sign up. It's kept apart from the
+ * public lists, under `org:{id}:notifications` as
+ * { contacts: { [email]: { token, optedOutAt } }, devices: { [deviceId]: email } },
+ * so a signup is matched to its email through the device it came from.
+ * Members can also be reached through the email on their whitelist entry.
+ * Every email carries an unsubscribe link with the contact's token.
+ */
+
+export const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+export const MAX_EMAIL_LENGTH = 254;
+
+/**
+ * Whether a string looks like an email address
+ * @param {string} email
+ */
+export function isValidEmail(email) {
+  return typeof email === 'string' && email.length <= MAX_EMAIL_LENGTH && EMAIL_REGEX.test(email);
+}
+
+function emptyNotifications() {
+  return { contacts: {}, devices: {} };
+}
+
+async function getNotifications(orgId) {
+  const data = await getOrgData(orgId, ORG_KEY_SUFFIXES.NOTIFICATIONS, null);
+  return { ...emptyNotifications(), ...data };
+}
+
+/**
+ * Send an email from an org through the outbox (lib/outbox.js), which keeps
+ * retrying it if the first attempt fails
+ * @param {Object} options
+ * @param {string} options.orgId - Organization ID, for the org's delivery log
+ * @param {string} options.orgName - Shown as the sender
+ * @param {string} options.to - Recipient
+ * @param {string} options.subject
+ * @param {string} [options.text] - Plain-text version
+ * @param {string} options.html
+ * @param {string} options.kind - What the email is, e.g. 'promotion'
+ * @returns {Promise<boolean>} Whether the first attempt sent it
+ */
+export async function sendEmail({ orgId, orgName, to, subject, text, html, kind }) {
+  try {
+    const record = await queueEmail({
+      from: `${orgName} <noreply@itsplayday.com>`,
+      to,
+      subject,
+      ...(text && { text }),
+      html,
+    }, { orgId, kind });
+    return record.status === 'sent';
+  } catch (error) {
+    console.error('Failed to queue email:', error);
+    return false;
+  }
+}
+
+/**
+ * Record the email a player signed up with, or forget it when they left it
+ * blank. Leaving an email again subscribes an address that had opted out.
+ * Call under the org lock.
+ * @param {string} orgId - Organization ID
+ * @param {string} deviceId - Device the player signed up from
+ * @param {string} [email] - A valid email, or empty
+ */
+export async function setPlayerEmail(orgId, deviceId, email) {
+  const data = await getNotifications(orgId);
+  const address = (email || '').trim().toLowerCase();
+
+  if (!address) {
+    if (!data.devices[deviceId]) return;
+    delete data.devices[deviceId];
+  } else {
+    data.devices[deviceId] = address;
+    data.contacts[address] = {
+      token: data.contacts[address]?.token || crypto.randomBytes(16).toString('hex'),
+      optedOutAt: null,
+    };
+  }
+
+  await setOrgData(orgId, ORG_KEY_SUFFIXES.NOTIFICATIONS, data);
+}
+
+/**
+ * Stop emails to the address with an unsubscribe token
+ * @param {string} orgId - Organization ID
+ * @param {string} token - From the unsubscribe link
+ * @returns {Promise<boolean>} Whether the token matched an address
+ */
+export async function optOut(orgId, token) {
+  return withOrgLock(orgId, async () => {
+    const data = await getNotifications(orgId);
+    const contact = Object.values(data.contacts).find(c => c.token === token);
+    if (!contact) return false;
+
+    if (!contact.optedOutAt) {
+      contact.optedOutAt = new Date().toISOString();
+      await setOrgData(orgId, ORG_KEY_SUFFIXES.NOTIFICATIONS, data);
+    }
+    return true;
+  });
+}
+
+/**
+ * Find who to email for each signup: the email left from their device,
+ * otherwise their membership's. Guests and opted-out addresses are left out.
+ * Call outside the org lock.
+ * @param {string} orgId - Organization ID
+ * @param {Array} people - List entries
+ * @returns {Promise<Array<{ person: Object, email: string, token: string }>>}
+ */
+export async function getRecipients(orgId, people) {
+  const players = people.filter(p => !p.isGuest);
+  if (players.length === 0) return [];
+
+  const whitelist = await getOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, []);
+  const memberEmails = new Map(whitelist.filter(w => w.email).map(w => [w.name.toLowerCase(), w.email.toLowerCase()]));
+  const emailOf = (data, person) =>
+    (person.deviceId && data.devices[person.deviceId]) || memberEmails.get(person.name.toLowerCase());
+
+  let data = await getNotifications(orgId);
+
+  // Member emails get a contact the first time they're used, for its unsubscribe token
+  if (players.some(p => emailOf(data, p) && !data.contacts[emailOf(data, p)])) {
+    data = await withOrgLock(orgId, async () => {
+      const fresh = await getNotifications(orgId);
+      for (const person of players) {
+        const email = emailOf(fresh, person);
+        if (email && !fresh.contacts[email]) {
+          fresh.contacts[email] = { token: crypto.randomBytes(16).toString('hex'), optedOutAt: null };
+        }
+      }
+      await setOrgData(orgId, ORG_KEY_SUFFIXES.NOTIFICATIONS, fresh);
+      return fresh;
+    });
+  }
+
+  return players
+    .map(person => ({ person, email: emailOf(data, person) }))
+    .filter(({ email }) => email && !data.contacts[email].optedOutAt)
+    .map(({ person, email }) => ({ person, email, token: data.contacts[email].token }));
+}
+
+/**
+ * Tell players they've moved from the waitlist to the main list. Players
+ * holding a spot under the claim window (lib/claims.js) get a link to claim it.
+ * @param {Object} org - Organization
+ * @param {Array} promoted - List entries that were promoted
+ * @param {Object} [options]
+ * @param {Object} [options.settings] - Org settings, for the email templates
+ * @param {string} [options.timezone] - For showing the claim deadline
+ * @returns {Promise<number>} How many emails were sent
+ */
+export async function notifyPromotions(org, promoted, { settings = getDefaultSettings(org.timezone), timezone } = {}) {
+  const templates = { promotion: getTemplate(settings, 'promotion'), claim: getTemplate(settings, 'claim') };
+  let recipients;
+  let vars;
+  let linkSecret;
+  try {
+    recipients = await getRecipients(org.id, promoted);
+    if (recipients.length > 0) {
+      vars = await getTemplateVars(org, settings, { templates: Object.values(templates) });
+      linkSecret = await getLinkSecret();
+    }
+  } catch (error) {
+    // The promotion itself is saved by now; a missed email shouldn't fail the request
+    console.error('Failed to find promotion email recipients:', error);
+    return 0;
+  }
+
+  let sent = 0;
+  for (const { person, email, token } of recipients) {
+    const kind = person.pendingClaim ? 'claim' : 'promotion';
+    const { subject, text, html } = renderEmail(templates[kind], {
+      ...vars,
+      name: person.name,
+      unsubscribeLink: `${vars.link}?unsubscribe=${token}`,
+      ...(person.pendingClaim && {
+        claimBy: formatWhen(person.pendingClaim.expiresAt, timezone || org.timezone || 'Africa/Lagos'),
+        claimLink: `${vars.link}?claim=${getClaimToken(person.deviceId, linkSecret)}`,
+      }),
+    });
+    if (await sendEmail({ orgId: org.id, orgName: org.name, to: email, subject, text, html, kind })) {
+      sent++;
+    }
+  }
+  return sent;
+}
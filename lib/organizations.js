@@ -1,35 +1,67 @@
-import { GLOBAL_KEYS, getGlobalData, setGlobalData, ORG_KEY_SUFFIXES, setOrgData } from './kv';
+import {
+  GLOBAL_KEYS,
+  RECORD_PREFIXES,
+  getGlobalData,
+  setGlobalData,
+  getRecord,
+  setRecord,
+  deleteRecord,
+  recordKey,
+  addToIndex,
+  removeFromIndex,
+  ORG_KEY_SUFFIXES,
+  setOrgData,
+} from './kv';
 import { generateId } from './auth';
+import { getDefaultSettings } from './settings';
+import { isScheduledRecurrence, getMinGameGapDays } from './recurrence';
+import { initOrgSchemaVersion } from './migrations';
 
 /**
  * Organization and Organizer CRUD helpers
+ *
+ * Each organizer and organization is stored under its own record key, with
+ * secondary indexes for the lookups the app makes on hot paths:
+ *   organization-slug:{slug}       → organization ID
+ *   organizer-email:{email}        → organizer ID
+ *   owner-organizations:{ownerId}  → [organization ID]
+ * GLOBAL_KEYS.ORGANIZATION_IDS / ORGANIZER_IDS list every record for enumeration.
+ *
+ * Data written before records existed sits in the legacy single-blob stores;
+ * it's copied into records the first time a lookup misses or a list is read.
  */
 
-// Default settings for new organizations
-export const DEFAULT_ORG_SETTINGS = {
-  mainListLimit: 30,
-  accessPeriod: {
-    enabled: true,
-    startDay: 4,        // Thursday
-    startHour: 12,      // 12:00 (noon)
-    startMinute: 0,
-    endDay: 5,          // Friday
-    endHour: 10,        // 10:00
-    endMinute: 0,
-    timezone: 'Africa/Lagos'
-  },
-  email: {
-    enabled: false,
-    recipients: [],
-    cc: [],
-    bcc: [],
-    subject: 'Weekly {{sport}} RSVP List - {{week}}',
-    body: 'Please find attached the RSVP list for this week\'s {{sport}} session.\n\nTotal participants: {{count}}'
-  },
-  whatsapp: {
-    enabled: false,
-    groupUrl: '',
-  }
+/**
+ * Load records for a list of IDs, skipping any that have gone missing
+ */
+async function getRecords(prefix, ids) {
+  const records = await Promise.all(ids.map(id => getRecord(prefix, id)));
+  return records.filter(Boolean);
+}
+
+/**
+ * Copy the legacy blobs into records if that hasn't happened yet
+ * @returns {Promise<boolean>} Whether they were copied just now
+ */
+async function migrateLegacyRecordsOnce() {
+  if (await getGlobalData(GLOBAL_KEYS.LEGACY_ORGANIZATIONS_MIGRATED, false)) return false;
+  await migrateLegacyOrganizationRecords();
+  return true;
+}
+
+/**
+ * Get a record (or index entry), falling back to the legacy blobs on a miss
+ */
+async function getMigratedRecord(prefix, id) {
+  const record = await getRecord(prefix, id);
+  if (record || !(await migrateLegacyRecordsOnce())) return record;
+  return getRecord(prefix, id);
+}
+
+// Sport-specific list email for new organizations; the rest comes from getDefaultSettings()
+const NEW_ORG_EMAIL_TEMPLATE = {
+  subject: 'Weekly {{sport}} RSVP List - {{week}}',
+  body: 'Please find attached the RSVP list for this week\'s {{sport}} session.\n\nTotal participants: {{count}}'
 };
 
 /**
@@ -67,8 +99,8 @@ export function validateSlug(slug) {
  * Check if a slug is already taken
  */
 export async function isSlugTaken(slug) {
-  const orgs = await getGlobalData(GLOBAL_KEYS.ORGANIZATIONS, []);
-  return orgs.some(o => o.slug === slug.toLowerCase());
+  const orgId = await getMigratedRecord(RECORD_PREFIXES.ORGANIZATION_SLUG, slug.toLowerCase());
+  return !!orgId;
 }
 
 // ─────────────────────────────────────────────────────────────
@@ -79,38 +111,41 @@ export async function isSlugTaken(slug) {
  * Get all organizers
  */
 export async function getOrganizers() {
-  return getGlobalData(GLOBAL_KEYS.ORGANIZERS, []);
+  await migrateLegacyRecordsOnce();
+  const ids = await getGlobalData(GLOBAL_KEYS.ORGANIZER_IDS, []);
+  return getRecords(RECORD_PREFIXES.ORGANIZER, ids);
 }
 
 /**
  * Get organizer by ID
  */
 export async function getOrganizerById(id) {
-  const organizers = await getOrganizers();
-  return organizers.find(o => o.id === id) || null;
+  if (!id) return null;
+  return getMigratedRecord(RECORD_PREFIXES.ORGANIZER, id);
 }
 
 /**
  * Get organizer by email
  */
 export async function getOrganizerByEmail(email) {
-  const organizers = await getOrganizers();
-  return organizers.find(o => o.email.toLowerCase() === email.toLowerCase()) || null;
+  const id = await getMigratedRecord(RECORD_PREFIXES.ORGANIZER_EMAIL, email.toLowerCase());
+  return id ? getOrganizerById(id) : null;
 }
 
 /**
  * Create an organizer (pending approval)
  */
 export async function createOrganizer({ email, name, intendedSport, intendedLocation }) {
-  const organizers = await getOrganizers();
+  const id = generateId();
 
-  // Check if email already exists
-  if (organizers.some(o => o.email.toLowerCase() === email.toLowerCase())) {
+  // Claim the email index first so two simultaneous sign-ups can't both win
+  const claimed = await setRecord(RECORD_PREFIXES.ORGANIZER_EMAIL, email.toLowerCase(), id, { nx: true });
+  if (!claimed) {
     throw new Error('An organizer with this email already exists');
   }
 
   const organizer = {
-    id: generateId(),
+    id,
     email: email.toLowerCase(),
     name: name.trim(),
     intendedSport: intendedSport?.trim() || null,
@@ -120,8 +155,8 @@ export async function createOrganizer({ email, name, intendedSport, intendedLoca
     approvedAt: null,
   };
 
-  organizers.push(organizer);
-  await setGlobalData(GLOBAL_KEYS.ORGANIZERS, organizers);
+  await setRecord(RECORD_PREFIXES.ORGANIZER, id, organizer);
+  await addToIndex(GLOBAL_KEYS.ORGANIZER_IDS, id);
 
   return organizer;
 }
@@ -130,29 +165,31 @@ export async function createOrganizer({ email, name, intendedSport, intendedLoca
  * Update organizer status (approve/reject)
  */
 export async function updateOrganizerStatus(id, status) {
-  const organizers = await getOrganizers();
-  const index = organizers.findIndex(o => o.id === id);
+  const organizer = await getOrganizerById(id);
 
-  if (index === -1) {
+  if (!organizer) {
     throw new Error('Organizer not found');
   }
 
-  organizers[index].status = status;
+  organizer.status = status;
   if (status === 'approved') {
-    organizers[index].approvedAt = new Date().toISOString();
+    organizer.approvedAt = new Date().toISOString();
   }
 
-  await setGlobalData(GLOBAL_KEYS.ORGANIZERS, organizers);
-  return organizers[index];
+  await setRecord(RECORD_PREFIXES.ORGANIZER, id, organizer);
+  return organizer;
 }
 
 /**
  * Delete an organizer
  */
 export async function deleteOrganizer(id) {
-  const organizers = await getOrganizers();
-  const filtered = organizers.filter(o => o.id !== id);
-  await setGlobalData(GLOBAL_KEYS.ORGANIZERS, filtered);
+  const organizer = await getOrganizerById(id);
+  if (organizer) {
+    await deleteRecord(RECORD_PREFIXES.ORGANIZER_EMAIL, organizer.email.toLowerCase());
+  }
+  await deleteRecord(RECORD_PREFIXES.ORGANIZER, id);
+  await removeFromIndex(GLOBAL_KEYS.ORGANIZER_IDS, id);
 }
 
 // ─────────────────────────────────────────────────────────────
@@ -163,31 +200,36 @@ export async function deleteOrganizer(id) {
  * Get all organizations
  */
 export async function getOrganizations() {
-  return getGlobalData(GLOBAL_KEYS.ORGANIZATIONS, []);
+  await migrateLegacyRecordsOnce();
+  const ids = await getGlobalData(GLOBAL_KEYS.ORGANIZATION_IDS, []);
+  return getRecords(RECORD_PREFIXES.ORGANIZATION, ids);
 }
 
 /**
  * Get organization by ID
  */
 export async function getOrganizationById(id) {
-  const orgs = await getOrganizations();
-  return orgs.find(o => o.id === id) || null;
+  if (!id) return null;
+  return getMigratedRecord(RECORD_PREFIXES.ORGANIZATION, id);
 }
 
 /**
  * Get organization by slug
  */
 export async function getOrganizationBySlug(slug) {
-  const orgs = await getOrganizations();
-  return orgs.find(o => o.slug === slug.toLowerCase()) || null;
+  if (!slug) return null;
+  const id = await getMigratedRecord(RECORD_PREFIXES.ORGANIZATION_SLUG, slug.toLowerCase());
+  return id ? getOrganizationById(id) : null;
 }
 
 /**
  * Get organizations owned by an organizer
  */
 export async function getOrganizationsByOwner(ownerId) {
-  const orgs = await getOrganizations();
-  return orgs.filter(o => o.ownerId === ownerId);
+  if (!ownerId) return [];
+  await migrateLegacyRecordsOnce();
+  const ids = await getGlobalData(recordKey(RECORD_PREFIXES.OWNER_ORGANIZATIONS, ownerId), []);
+  return getRecords(RECORD_PREFIXES.ORGANIZATION, ids);
 }
 
 /**
@@ -209,6 +251,9 @@ function calculateAccessPeriod(schedule, timezone) {
     gameEndHour,
     gameEndMinute,
     rsvpWindowPreset,
+    // Days before each game a preset window opens, for schedules other than
+    // once a week or month (see calculateScheduledOpenDays)
+    opensDaysBefore = null,
     // Custom timing (optional - overrides preset)
     rsvpOpenDay,
     rsvpOpenHour,
@@ -257,9 +302,14 @@ function calculateAccessPeriod(schedule, timezone) {
     '48-hours': 48,
   }[rsvpWindowPreset] || 6;
 
+  // Don't close before a scheduled window opens
+  const closeHoursBefore = opensDaysBefore === null
+    ? hoursBefore
+    : Math.min(hoursBefore, opensDaysBefore * 24 + gameStartHour);
+
   // Calculate close time by subtracting hours from game start time
   let closeDay = gameDay;
-  let closeHour = gameStartHour - hoursBefore;
+  let closeHour = gameStartHour - closeHoursBefore;
   const closeMinute = gameStartMinute;
 
   // Handle hour underflow (go to previous day(s))
@@ -272,6 +322,20 @@ function calculateAccessPeriod(schedule, timezone) {
     closeDay += 7;
   }
 
+  if (opensDaysBefore !== null) {
+    // Open at the start of the first day after the previous game
+    return {
+      enabled: true,
+      startDay: (gameDay - opensDaysBefore + 7) % 7,
+      startHour: 0,
+      startMinute: 0,
+      endDay: closeDay,
+      endHour: closeHour,
+      endMinute: closeMinute,
+      timezone: timezone || 'Africa/Lagos',
+    };
+  }
+
   // Open time is 1 minute after the game ends
   // This lets people sign up for next week right after this week's game
   let openMinute = gameEndMinute + 1;
@@ -299,6 +363,18 @@ function calculateAccessPeriod(schedule, timezone) {
   };
 }
 
+/**
+ * How many days before each game a preset RSVP window opens for schedules
+ * where each game gets its own window (see lib/recurrence.js): from midnight
+ * after the previous game, at most six days ahead.
+ * @param {Object} gameInfo - The new org's gameInfo
+ * @returns {number|null} Null for once-a-week and monthly games
+ */
+function calculateScheduledOpenDays(gameInfo) {
+  if (!isScheduledRecurrence(gameInfo)) return null;
+  return Math.min(getMinGameGapDays(gameInfo) - 1, 6);
+}
+
 /**
  * Create a new organization
  */
@@ -309,15 +385,16 @@ export async function createOrganization({ slug, name, sport, location, streetAd
     throw new Error(slugValidation.error);
   }
 
-  // Check if slug is taken
-  if (await isSlugTaken(slugValidation.normalized)) {
+  const id = generateId();
+
+  // Claim the slug atomically; this doubles as the "is it taken" check
+  const claimed = await setRecord(RECORD_PREFIXES.ORGANIZATION_SLUG, slugValidation.normalized, id, { nx: true });
+  if (!claimed) {
     throw new Error('This slug is already taken');
   }
 
-  const orgs = await getOrganizations();
-
   const organization = {
-    id: generateId(),
+    id,
     slug: slugValidation.normalized,
     name: name.trim(),
     sport: sport.trim().toLowerCase(),
@@ -330,8 +407,11 @@ export async function createOrganization({ slug, name, sport, location, streetAd
     createdAt: new Date().toISOString(),
   };
 
-  orgs.push(organization);
-  await setGlobalData(GLOBAL_KEYS.ORGANIZATIONS, orgs);
+  await setRecord(RECORD_PREFIXES.ORGANIZATION, id, organization);
+  await addToIndex(GLOBAL_KEYS.ORGANIZATION_IDS, id);
+  if (ownerId) {
+    await addToIndex(recordKey(RECORD_PREFIXES.OWNER_ORGANIZATIONS, ownerId), id);
+  }
 
   // Calculate access period based on RSVP window preset or custom timing
   const gameDay = gameSchedule?.gameDay ?? 0;
@@ -339,6 +419,14 @@ export async function createOrganization({ slug, name, sport, location, streetAd
   const gameStartMinute = gameSchedule?.startMinute ?? 0;
   const gameEndHour = gameSchedule?.endHour ?? 19;
   const gameEndMinute = gameSchedule?.endMinute ?? 0;
+  const schedule = {
+    recurrence: gameSchedule?.recurrence || 'weekly',
+    monthlyOccurrence: gameSchedule?.monthlyOccurrence || null,
+    gameDay,
+    gameDays: gameSchedule?.gameDays || [],
+    anchorDate: gameSchedule?.anchorDate || null,
+    intervalDays: gameSchedule?.intervalDays || null,
+  };
   const accessPeriod = calculateAccessPeriod({
     gameDay,
     gameStartHour,
@@ -346,6 +434,7 @@ export async function createOrganization({ slug, name, sport, location, streetAd
     gameEndHour,
     gameEndMinute,
     rsvpWindowPreset,
+    opensDaysBefore: calculateScheduledOpenDays(schedule),
     // Pass through custom timing if provided
     rsvpOpenDay: gameSchedule?.rsvpOpenDay,
     rsvpOpenHour: gameSchedule?.rsvpOpenHour,
@@ -356,38 +445,31 @@ export async function createOrganization({ slug, name, sport, location, streetAd
   }, timezone);
 
   // Initialize org settings with sport-specific defaults
+  const defaults = getDefaultSettings(timezone);
   const settings = {
-    ...DEFAULT_ORG_SETTINGS,
-    mainListLimit: maxParticipants || DEFAULT_ORG_SETTINGS.mainListLimit,
+    ...defaults,
+    mainListLimit: maxParticipants || defaults.mainListLimit,
     accessPeriod,
     email: {
-      ...DEFAULT_ORG_SETTINGS.email,
-      subject: DEFAULT_ORG_SETTINGS.email.subject.replace('{{sport}}', sport),
-      body: DEFAULT_ORG_SETTINGS.email.body.replace('{{sport}}', sport),
+      ...defaults.email,
+      subject: NEW_ORG_EMAIL_TEMPLATE.subject.replace('{{sport}}', sport),
+      body: NEW_ORG_EMAIL_TEMPLATE.body.replace('{{sport}}', sport),
       // Preset organizer email in CC field
       cc: organizerEmail ? [organizerEmail] : [],
     },
     gameInfo: {
+      ...defaults.gameInfo,
       enabled: true,
-      recurrence: gameSchedule?.recurrence || 'weekly',
-      monthlyOccurrence: gameSchedule?.monthlyOccurrence || null,
-      gameDay: gameDay,
+      ...schedule,
       startHour: gameStartHour,
       startMinute: gameStartMinute,
       endHour: gameSchedule?.endHour ?? 19,
       endMinute: gameSchedule?.endMinute ?? 0,
       location: {
+        ...defaults.gameInfo.location,
         enabled: !!streetAddress,
         area: location || '',
         address: streetAddress || '',
-        googleMapsUrl: '',
-      },
-      rules: {
-        enabled: false,
-        items: [],
-      },
-      weather: {
-        enabled: false,
       },
     },
   };
@@ -396,6 +478,7 @@ export async function createOrganization({ slug, name, sport, location, streetAd
   await setOrgData(organization.id, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
   await setOrgData(organization.id, ORG_KEY_SUFFIXES.WHITELIST, []);
   await setOrgData(organization.id, ORG_KEY_SUFFIXES.ARCHIVE, []);
+  await initOrgSchemaVersion(organization.id);
 
   return organization;
 }
@@ -404,20 +487,21 @@ export async function createOrganization({ slug, name, sport, location, streetAd
  * Update organization
  */
 export async function updateOrganization(id, updates) {
-  const orgs = await getOrganizations();
-  const index = orgs.findIndex(o => o.id === id);
+  const organization = await getOrganizationById(id);
 
-  if (index === -1) {
+  if (!organization) {
     throw new Error('Organization not found');
   }
 
-  // If updating slug, validate and check availability
-  if (updates.slug && updates.slug !== orgs[index].slug) {
+  // If updating slug, validate and claim the new one before releasing the old one
+  const previousSlug = organization.slug;
+  if (updates.slug && updates.slug !== previousSlug) {
     const slugValidation = validateSlug(updates.slug);
     if (!slugValidation.valid) {
       throw new Error(slugValidation.error);
     }
-    if (await isSlugTaken(slugValidation.normalized)) {
+    const claimed = await setRecord(RECORD_PREFIXES.ORGANIZATION_SLUG, slugValidation.normalized, id, { nx: true });
+    if (!claimed) {
       throw new Error('This slug is already taken');
     }
     updates.slug = slugValidation.normalized;
@@ -427,23 +511,33 @@ export async function updateOrganization(id, updates) {
   const allowedFields = ['slug', 'name', 'sport', 'location', 'streetAddress', 'timezone', 'status', 'displayOrder', 'visibility'];
   for (const key of Object.keys(updates)) {
     if (allowedFields.includes(key)) {
-      orgs[index][key] = updates[key];
+      organization[key] = updates[key];
     }
   }
 
-  orgs[index].updatedAt = new Date().toISOString();
-  await setGlobalData(GLOBAL_KEYS.ORGANIZATIONS, orgs);
+  organization.updatedAt = new Date().toISOString();
+  await setRecord(RECORD_PREFIXES.ORGANIZATION, id, organization);
+
+  if (organization.slug !== previousSlug && previousSlug) {
+    await deleteRecord(RECORD_PREFIXES.ORGANIZATION_SLUG, previousSlug);
+  }
 
-  return orgs[index];
+  return organization;
 }
 
 /**
  * Delete organization (and all its data)
  */
 export async function deleteOrganization(id) {
-  const orgs = await getOrganizations();
-  const filtered = orgs.filter(o => o.id !== id);
-  await setGlobalData(GLOBAL_KEYS.ORGANIZATIONS, filtered);
+  const organization = await getOrganizationById(id);
+  if (organization) {
+    await deleteRecord(RECORD_PREFIXES.ORGANIZATION_SLUG, organization.slug);
+    if (organization.ownerId) {
+      await removeFromIndex(recordKey(RECORD_PREFIXES.OWNER_ORGANIZATIONS, organization.ownerId), id);
+    }
+  }
+  await deleteRecord(RECORD_PREFIXES.ORGANIZATION, id);
+  await removeFromIndex(GLOBAL_KEYS.ORGANIZATION_IDS, id);
 
   // Note: Caller should also call deleteAllOrgData(id) from kv.js
 }
@@ -456,6 +550,56 @@ export async function organizerOwnsOrg(organizerId, orgId) {
   return org && org.ownerId === organizerId;
 }
 
+// ─────────────────────────────────────────────────────────────
+// IMPORT / MIGRATION
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Write existing organizer objects as indexed records (IDs are kept).
+ * Used by the legacy-blob migration; safe to re-run.
+ */
+export async function importOrganizers(organizers) {
+  for (const organizer of organizers) {
+    await setRecord(RECORD_PREFIXES.ORGANIZER, organizer.id, organizer);
+    await setRecord(RECORD_PREFIXES.ORGANIZER_EMAIL, organizer.email.toLowerCase(), organizer.id);
+    await addToIndex(GLOBAL_KEYS.ORGANIZER_IDS, organizer.id);
+  }
+}
+
+/**
+ * Write existing organization objects as indexed records (IDs are kept).
+ * Used by the legacy-blob migration; safe to re-run.
+ */
+export async function importOrganizations(organizations) {
+  for (const organization of organizations) {
+    await setRecord(RECORD_PREFIXES.ORGANIZATION, organization.id, organization);
+    if (organization.slug) {
+      await setRecord(RECORD_PREFIXES.ORGANIZATION_SLUG, organization.slug.toLowerCase(), organization.id);
+    }
+    if (organization.ownerId) {
+      await addToIndex(recordKey(RECORD_PREFIXES.OWNER_ORGANIZATIONS, organization.ownerId), organization.id);
+    }
+    await addToIndex(GLOBAL_KEYS.ORGANIZATION_IDS, organization.id);
+  }
+}
+
+/**
+ * Move the legacy single-blob organizer and organization stores into
+ * indexed records. The legacy blobs are left in place for safety. Runs on
+ * its own the first time it's needed (see migrateLegacyRecordsOnce).
+ * @returns {{ organizers: number, organizations: number }} Counts migrated
+ */
+export async function migrateLegacyOrganizationRecords() {
+  const organizers = await getGlobalData(GLOBAL_KEYS.ORGANIZERS, []);
+  const organizations = await getGlobalData(GLOBAL_KEYS.ORGANIZATIONS, []);
+
+  await importOrganizers(organizers);
+  await importOrganizations(organizations);
+  await setGlobalData(GLOBAL_KEYS.LEGACY_ORGANIZATIONS_MIGRATED, true);
+
+  return { organizers: organizers.length, organizations: organizations.length };
+}
+
 /**
  * Get public organization info (for display)
  */
@@ -0,0 +1,234 @@
+import crypto from 'crypto';
+import {
+  GLOBAL_KEYS,
+  RECORD_PREFIXES,
+  ORG_KEY_SUFFIXES,
+  getRecord,
+  setRecord,
+  deleteRecord,
+  getGlobalData,
+  setGlobalData,
+  getOrgData,
+  setOrgData,
+  deleteOrgData,
+  orgKey,
+  recordKey,
+  addToIndex,
+  removeFromIndex,
+  withLock,
+  LockContentionError,
+} from './kv';
+import { getMailDriver } from './mail';
+
+/**
+ * Outbound email outbox
+ *
+ * Every email is stored before it's sent, as a record at
+ * `playday:outbox-message:{id}`:
+ *   { id, orgId, kind, message, status, attempts, createdAt, nextAttemptAt,
+ *     sentAt, providerId, lastError }
+ * `message` is what goes to the mail provider (lib/mail). `status` is
+ * 'pending' until an attempt succeeds ('sent'), or until MAX_ATTEMPTS have
+ * failed ('dead'). Failed attempts are retried with exponential backoff: the
+ * IDs of pending messages are kept in GLOBAL_KEYS.OUTBOX_PENDING, which the
+ * hourly cron drains. An org's messages are listed newest first under
+ * `org:{id}:outbox`, keeping the last MAX_ORG_MESSAGES.
+ */
+
+export const MAX_ATTEMPTS = 5;
+// Retries only happen when the hourly cron drains the outbox (vercel.json)
+export const DRAIN_INTERVAL_MS = 60 * 60 * 1000;
+// Cron runs don't start at exactly the same second each hour
+const DRAIN_JITTER_MS = 5 * 60 * 1000;
+export const MAX_ORG_MESSAGES = 1000;
+
+/**
+ * When to retry after a failed attempt: at the 1st, 2nd, 4th, 8th... hourly
+ * drain after it, i.e. about 1, 2, 4 and 8 hours later
+ * @param {number} attempts - Attempts made so far
+ * @param {Date} [now]
+ */
+export function getNextAttemptAt(attempts, now = new Date()) {
+  return new Date(now.getTime() + DRAIN_INTERVAL_MS * 2 ** (attempts - 1) - DRAIN_JITTER_MS).toISOString();
+}
+
+/**
+ * Store a message in the outbox, ready for its first attempt
+ * @param {Object} message - { from, to, cc?, bcc?, subject, html?, text?, attachments? }
+ * @param {Object} [options]
+ * @param {string|null} [options.orgId] - Org the message is sent for, if any
+ * @param {string} [options.kind] - What the message is, e.g. 'rsvp-list' or 'magic-link'
+ * @returns {Promise<Object>} The outbox record
+ */
+export async function enqueueEmail(message, { orgId = null, kind = 'other' } = {}) {
+  const now = new Date().toISOString();
+  const record = {
+    id: crypto.randomUUID(),
+    orgId,
+    kind,
+    message,
+    status: 'pending',
+    attempts: 0,
+    createdAt: now,
+    nextAttemptAt: now,
+    sentAt: null,
+    providerId: null,
+    lastError: null,
+  };
+  await setRecord(RECORD_PREFIXES.OUTBOX_MESSAGE, record.id, record);
+  await addToIndex(GLOBAL_KEYS.OUTBOX_PENDING, record.id);
+
+  if (orgId) {
+    // Its own lock rather than the org's, so emails can be queued from inside org-locked sections
+    const dropped = await withLock(`${orgKey(orgId, ORG_KEY_SUFFIXES.OUTBOX)}:lock`, async () => {
+      const ids = [record.id, ...await getOrgData(orgId, ORG_KEY_SUFFIXES.OUTBOX, [])];
+      await setOrgData(orgId, ORG_KEY_SUFFIXES.OUTBOX, ids.slice(0, MAX_ORG_MESSAGES));
+      return ids.slice(MAX_ORG_MESSAGES);
+    });
+    await Promise.all(dropped.map(id => deleteRecord(RECORD_PREFIXES.OUTBOX_MESSAGE, id)));
+  }
+  return record;
+}
+
+/**
+ * Make one delivery attempt for a pending message that's due. A message
+ * another caller is already sending is left to them.
+ * @param {string} id - Outbox message ID
+ * @param {Date} [now]
+ * @returns {Promise<Object|null>} The record after the attempt, or null if it's gone
+ */
+export async function attemptDelivery(id, now = new Date()) {
+  return withLock(`${recordKey(RECORD_PREFIXES.OUTBOX_MESSAGE, id)}:lock`, async () => {
+    const record = await getRecord(RECORD_PREFIXES.OUTBOX_MESSAGE, id);
+    if (!record || record.status !== 'pending' || new Date(record.nextAttemptAt) > now) {
+      return record;
+    }
+
+    record.attempts++;
+    try {
+      const { id: providerId } = await getMailDriver().send(record.message);
+      record.status = 'sent';
+      record.sentAt = new Date().toISOString();
+      record.providerId = providerId;
+      record.lastError = null;
+      // Attachments aren't needed once delivered, and can be large
+      if (record.message.attachments) {
+        record.message = {
+          ...record.message,
+          attachments: record.message.attachments.map(({ filename }) => ({ filename })),
+        };
+      }
+    } catch (error) {
+      console.error(`Outbox: attempt ${record.attempts} failed for ${record.kind} email ${id}:`, error);
+      record.lastError = error.message || String(error);
+      if (record.attempts >= MAX_ATTEMPTS) {
+        record.status = 'dead';
+      } else {
+        record.nextAttemptAt = getNextAttemptAt(record.attempts, now);
+      }
+    }
+
+    await setRecord(RECORD_PREFIXES.OUTBOX_MESSAGE, id, record);
+    if (record.status !== 'pending') {
+      await removeFromIndex(GLOBAL_KEYS.OUTBOX_PENDING, id);
+    }
+    return record;
+  }, { waitMs: 0 }).catch(error => {
+    // Someone else is sending it right now
+    if (error instanceof LockContentionError) return getRecord(RECORD_PREFIXES.OUTBOX_MESSAGE, id);
+    throw error;
+  });
+}
+
+/**
+ * Queue an email and try sending it straight away. If that fails it stays
+ * queued, and the cron retries it.
+ * @param {Object} message - See enqueueEmail
+ * @param {Object} [options] - See enqueueEmail
+ * @returns {Promise<Object>} The outbox record after the first attempt
+ */
+export async function queueEmail(message, options) {
+  const record = await enqueueEmail(message, options);
+  return await attemptDelivery(record.id) || record;
+}
+
+/**
+ * Retry every pending message that's due (run by the cron)
+ * @param {Date} [now]
+ * @returns {Promise<{ sent: number, retrying: number, dead: number }>}
+ */
+export async function drainOutbox(now = new Date()) {
+  const results = { sent: 0, retrying: 0, dead: 0 };
+  for (const id of await getGlobalData(GLOBAL_KEYS.OUTBOX_PENDING, [])) {
+    const before = await getRecord(RECORD_PREFIXES.OUTBOX_MESSAGE, id);
+    if (!before) {
+      // Dropped from its org's history before it was ever sent
+      await removeFromIndex(GLOBAL_KEYS.OUTBOX_PENDING, id);
+      continue;
+    }
+    if (before.status !== 'pending' || new Date(before.nextAttemptAt) > now) continue;
+
+    const record = await attemptDelivery(id, now);
+    if (record?.status === 'sent') results.sent++;
+    else if (record?.status === 'dead') results.dead++;
+    else results.retrying++;
+  }
+  return results;
+}
+
+/**
+ * Give a dead message another full set of attempts
+ * @param {string} orgId - Org the message must belong to
+ * @param {string} id - Outbox message ID
+ * @returns {Promise<Object|null>} The record after its first new attempt, or null if not found
+ */
+export async function retryDeadEmail(orgId, id) {
+  const revived = await withLock(`${recordKey(RECORD_PREFIXES.OUTBOX_MESSAGE, id)}:lock`, async () => {
+    const record = await getRecord(RECORD_PREFIXES.OUTBOX_MESSAGE, id);
+    if (!record || record.orgId !== orgId || record.status !== 'dead') return null;
+
+    const pending = { ...record, status: 'pending', attempts: 0, nextAttemptAt: new Date().toISOString() };
+    await setRecord(RECORD_PREFIXES.OUTBOX_MESSAGE, id, pending);
+    return pending;
+  });
+  if (!revived) return null;
+
+  await addToIndex(GLOBAL_KEYS.OUTBOX_PENDING, id);
+  return attemptDelivery(id);
+}
+
+/**
+ * A page of an org's messages, newest first, without bodies or attachments
+ * @param {string} orgId - Organization ID
+ * @param {Object} [options]
+ * @param {number} [options.offset]
+ * @param {number} [options.limit]
+ * @returns {Promise<{ messages: Array, total: number }>}
+ */
+export async function getOrgMessages(orgId, { offset = 0, limit = 50 } = {}) {
+  const ids = await getOrgData(orgId, ORG_KEY_SUFFIXES.OUTBOX, []);
+  const records = await Promise.all(
+    ids.slice(offset, offset + limit).map(id => getRecord(RECORD_PREFIXES.OUTBOX_MESSAGE, id))
+  );
+  const messages = records.filter(Boolean).map(({ message, ...record }) => ({
+    ...record,
+    to: [].concat(message.to),
+    subject: message.subject,
+  }));
+  return { messages, total: ids.length };
+}
+
+/**
+ * Delete an org's messages (for org deletion; its message list goes with
+ * the rest of the org's data)
+ * @param {string} orgId - Organization ID
+ */
+export async function deleteOrgMessages(orgId) {
+  const ids = await getOrgData(orgId, ORG_KEY_SUFFIXES.OUTBOX, []);
+  await Promise.all(ids.map(id => deleteRecord(RECORD_PREFIXES.OUTBOX_MESSAGE, id)));
+  await withLock(`${GLOBAL_KEYS.OUTBOX_PENDING}:lock`, async () => {
+    const pending = await getGlobalData(GLOBAL_KEYS.OUTBOX_PENDING, []);
+    await setGlobalData(GLOBAL_KEYS.OUTBOX_PENDING, pending.filter(id => !ids.includes(id)));
+  });
+  await deleteOrgData(orgId, ORG_KEY_SUFFIXES.OUTBOX);
+}
@@ -0,0 +1,137 @@
+/**
+ * Strike and penalty rules for late dropouts and no-shows
+ *
+ * Each org configures `settings.penalties`. Strikes are stored under
+ * `org:{id}:strikes`, newest first:
+ *   { id, name, reason, periodId, createdAt, pardonedAt? }
+ * A late dropout is recorded when a main-list player drops within
+ * `lateDropoutHours` of the window closing (or after it closed); a no-show is
+ * recorded when a week with check-ins is archived. Reaching `strikeLimit`
+ * unpardoned strikes within `windowWeeks` applies the org's penalty:
+ *   - 'lose-priority': sorted after everyone without a penalty, members included
+ *   - 'delay-signup': can't sign up until `delayHours` after the window opens
+ */
+
+import { toWallClock, wallClockToUtc } from './timezone';
+
+export const PENALTY_TYPES = ['lose-priority', 'delay-signup'];
+
+export const STRIKE_REASONS = {
+  'late-dropout': 'late dropout',
+  'no-show': 'no-show',
+};
+
+// The longest configurable strike window; older strikes are pruned
+export const MAX_WINDOW_WEEKS = 52;
+
+const HOUR_MS = 60 * 60 * 1000;
+const WEEK_MS = 7 * 24 * HOUR_MS;
+const MINUTE_MS = 60 * 1000;
+const WEEK_MINUTES = 7 * 24 * 60;
+
+/**
+ * Whether a dropout at `droppedAt` counts as late
+ * @param {Object} rules - settings.penalties
+ * @param {string|null} closeTime - ISO close time of the current/most recent window
+ * @param {Date} droppedAt
+ */
+export function isLateDropout(rules, closeTime, droppedAt = new Date()) {
+  if (!rules?.enabled || !closeTime) return false;
+  return new Date(closeTime) - droppedAt < rules.lateDropoutHours * HOUR_MS;
+}
+
+/**
+ * Record new strikes, pruning any older than the longest strike window
+ * @param {Array} strikes - Stored strikes
+ * @param {Array<{ name: string, reason: string, periodId: string }>} entries - Strikes to add
+ * @param {Date} now
+ * @returns {Array} Updated strikes, newest first
+ */
+export function addStrikes(strikes, entries, now = new Date()) {
+  let nextId = strikes.reduce((max, s) => Math.max(max, s.id), 0) + 1;
+  const createdAt = now.toISOString();
+  const added = entries.map(entry => ({ id: nextId++, ...entry, createdAt }));
+  return [...added.reverse(), ...strikes]
+    .filter(s => now - new Date(s.createdAt) < MAX_WINDOW_WEEKS * WEEK_MS);
+}
+
+/**
+ * Unpardoned strikes for a player within the org's strike window
+ * @param {Array} strikes - Stored strikes
+ * @param {string} name - Player name (matched case-insensitively)
+ * @param {Object} rules - settings.penalties
+ * @param {Date} now
+ */
+export function getActiveStrikes(strikes, name, rules, now = new Date()) {
+  const nameLC = name.toLowerCase();
+  return strikes.filter(s =>
+    !s.pardonedAt &&
+    s.name.toLowerCase() === nameLC &&
+    now - new Date(s.createdAt) < rules.windowWeeks * WEEK_MS
+  );
+}
+
+/**
+ * The penalty a player is currently under, if any
+ * @param {Array} strikes - Stored strikes
+ * @param {string} name - Player name
+ * @param {Object} rules - settings.penalties
+ * @param {Date} now
+ * @returns {{ type: string, strikeCount: number, message: string }|null}
+ */
+export function getPenalty(strikes, name, rules, now = new Date()) {
+  if (!rules?.enabled) return null;
+
+  const active = getActiveStrikes(strikes, name, rules, now);
+  if (active.length < rules.strikeLimit) return null;
+
+  const reasons = [...new Set(active.map(s => STRIKE_REASONS[s.reason] || s.reason))].join(', ');
+  const summary = `You have ${active.length} strikes in the last ${rules.windowWeeks} week${rules.windowWeeks === 1 ? '' : 's'} (${reasons})`;
+  const message = rules.penalty === 'delay-signup'
+    ? `${summary}, so your signup opens ${rules.delayHours} hour${rules.delayHours === 1 ? '' : 's'} after everyone else's.`
+    : `${summary}, so you're placed after everyone else and lose any member priority.`;
+
+  return { type: rules.penalty, strikeCount: active.length, message };
+}
+
+/**
+ * Lowercased names of everyone who has lost their priority, for sortByPriority
+ * @param {Array} strikes - Stored strikes
+ * @param {Object} rules - settings.penalties
+ * @param {Date} now
+ * @returns {Set<string>}
+ */
+export function getDeprioritizedNames(strikes, rules, now = new Date()) {
+  const names = new Set();
+  if (!rules?.enabled || rules.penalty !== 'lose-priority') return names;
+
+  for (const strike of strikes) {
+    const nameLC = strike.name.toLowerCase();
+    if (!names.has(nameLC) && getPenalty(strikes, strike.name, rules, now)) {
+      names.add(nameLC);
+    }
+  }
+  return names;
+}
+
+/**
+ * When a player with a 'delay-signup' penalty may sign up this period.
+ * Worked out on the org's wall clock, so a clock change during the delay
+ * doesn't move it by an hour.
+ * @param {Object} settings - Org settings
+ * @param {{ isOpen: boolean, closeTime?: string }} accessStatus - From isFormOpen()
+ * @returns {Date|null} Null when there's no RSVP window to delay against
+ */
+export function getDelayedSignupTime(settings, accessStatus) {
+  const { accessPeriod, penalties } = settings;
+  if (!accessPeriod?.enabled || !accessStatus.isOpen || !accessStatus.closeTime) return null;
+
+  const startMins = accessPeriod.startDay * 24 * 60 + accessPeriod.startHour * 60 + accessPeriod.startMinute;
+  const endMins = accessPeriod.endDay * 24 * 60 + accessPeriod.endHour * 60 + accessPeriod.endMinute;
+  const windowMins = ((endMins - startMins) + WEEK_MINUTES) % WEEK_MINUTES || WEEK_MINUTES;
+
+  const timezone = accessPeriod.timezone || 'Africa/Lagos';
+  const closesAt = toWallClock(new Date(accessStatus.closeTime), timezone);
+  const opensAt = closesAt.getTime() - windowMins * MINUTE_MS + penalties.delayHours * HOUR_MS;
+  return wallClockToUtc(new Date(opensAt), timezone);
+}
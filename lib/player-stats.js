@@ -0,0 +1,167 @@
+import { getAttendanceEntry } from './attendance';
+import { toWallClock } from './timezone';
+
+/**
+ * Per-player attendance statistics and the public leaderboard
+ *
+ * The archive holds the last 12 periods in full. Alongside it, every archived
+ * period is added to the play history under `org:{id}:play-history`, newest
+ * first, keeping only the names the stats need, so it can grow without limit:
+ *   [{ periodId, archivedAt, mainList: [name], guests, waitlist: [name],
+ *      snoozed: [name], checkedIn: [name] | null, dropouts: [name] }]
+ * Guests aren't counted, beyond how many played. checkedIn is null when
+ * check-in wasn't used. Entries also carry how the list filled, from
+ * lib/analytics.js.
+ */
+
+export const LEADERBOARD_SIZE = 10;
+
+const playerNames = list => (list || []).filter(p => !p.isGuest).map(p => p.name);
+
+/**
+ * Condense an archived period into a play history entry
+ * @param {Object} week - Archive entry
+ * @param {Object} logs
+ * @param {Array} logs.attendance - Stored check-ins
+ * @param {Array} logs.dropoutLog - Dropout log
+ * @returns {Object} History entry
+ */
+export function buildHistoryEntry(week, { attendance, dropoutLog }) {
+  const entry = getAttendanceEntry(attendance, week.weekId);
+  const checkedInIds = entry ? new Set(entry.checkedIn.map(p => p.id)) : null;
+
+  return {
+    periodId: week.weekId,
+    archivedAt: week.archivedAt,
+    mainList: playerNames(week.mainList),
+    guests: (week.mainList || []).filter(p => p.isGuest).length,
+    waitlist: playerNames(week.waitlist),
+    snoozed: week.snoozed || [],
+    checkedIn: checkedInIds
+      ? playerNames((week.mainList || []).filter(p => checkedInIds.has(p.id)))
+      : null,
+    dropouts: dropoutLog.filter(d => d.periodId === week.weekId && !d.guestOf).map(d => d.name),
+  };
+}
+
+/**
+ * Add a period to the play history, replacing any earlier entry for it
+ * @param {Array} history - Play history, newest first
+ * @param {Object} entry - From buildHistoryEntry
+ * @returns {Array} Updated history
+ */
+export function addHistoryEntry(history, entry) {
+  return [entry, ...history.filter(e => e.periodId !== entry.periodId)];
+}
+
+/**
+ * The day the current season started: the org's season start, else 1 January
+ * @param {Object} leaderboard - settings.leaderboard
+ * @param {string} today - Today's date (`YYYY-MM-DD`) in the org's timezone
+ * @returns {string} `YYYY-MM-DD`
+ */
+export function getSeasonStart(leaderboard, today) {
+  const start = leaderboard?.seasonStart;
+  return start && start <= today ? start : `${today.slice(0, 4)}-01-01`;
+}
+
+/**
+ * Old names of renamed members, mapped to their current names
+ * @param {Array} whitelist - The org's whitelist
+ * @returns {Map<string, string>} Lowercased old name to current name
+ */
+export function getNameAliases(whitelist) {
+  return new Map(whitelist.flatMap(w => (w.previousNames || []).map(name => [name.toLowerCase(), w.name])));
+}
+
+/**
+ * Stats for everyone in the play history
+ * @param {Array} history - Play history, newest first
+ * @param {Object} [options]
+ * @param {string} [options.since] - Only count periods archived on or after this date (`YYYY-MM-DD`)
+ * @param {string} [options.timezone] - The org's timezone, for `since`
+ * @param {Map} [options.aliases] - From getNameAliases, so renamed members' stats are combined
+ * @returns {Array} Per player: { name, played, waitlisted, snoozed, dropouts,
+ *   checkedIn, noShows, currentStreak, longestStreak, lastPlayed }, most games first.
+ *   Streaks count consecutive periods on the main list; cancelled games
+ *   aren't archived, so they don't break a streak.
+ */
+export function computePlayerStats(history, { since, timezone = 'Africa/Lagos', aliases = new Map() } = {}) {
+  const periods = (since
+    ? history.filter(e => toWallClock(new Date(e.archivedAt), timezone).toISOString().slice(0, 10) >= since)
+    : history
+  ).slice().reverse();
+
+  const players = new Map();
+  const playerFor = name => {
+    const current = aliases.get(name.toLowerCase()) || name;
+    const key = current.toLowerCase();
+    if (!players.has(key)) {
+      players.set(key, {
+        name: current,
+        played: 0,
+        waitlisted: 0,
+        snoozed: 0,
+        dropouts: 0,
+        checkedIn: 0,
+        noShows: 0,
+        currentStreak: 0,
+        longestStreak: 0,
+        lastPlayed: null,
+        lastIndex: null,
+      });
+    }
+    const player = players.get(key);
+    // Newer spellings win, unless the member was renamed since
+    if (!aliases.has(name.toLowerCase())) player.name = name;
+    return player;
+  };
+
+  periods.forEach((period, index) => {
+    const checkedIn = period.checkedIn ? new Set(period.checkedIn.map(n => n.toLowerCase())) : null;
+    const seen = new Set();
+
+    for (const name of period.mainList) {
+      const player = playerFor(name);
+      if (seen.has(player)) continue;
+      seen.add(player);
+      player.played++;
+      player.currentStreak = player.lastIndex === index - 1 ? player.currentStreak + 1 : 1;
+      player.longestStreak = Math.max(player.longestStreak, player.currentStreak);
+      player.lastPlayed = period.periodId;
+      player.lastIndex = index;
+      if (checkedIn) {
+        if (checkedIn.has(name.toLowerCase())) player.checkedIn++;
+        else player.noShows++;
+      }
+    }
+    period.waitlist.forEach(name => { playerFor(name).waitlisted++; });
+    period.snoozed.forEach(name => { playerFor(name).snoozed++; });
+    period.dropouts.forEach(name => { playerFor(name).dropouts++; });
+  });
+
+  return [...players.values()]
+    .map(({ lastIndex, ...stats }) => ({
+      ...stats,
+      currentStreak: lastIndex === periods.length - 1 ? stats.currentStreak : 0,
+    }))
+    .sort((a, b) => b.played - a.played || b.longestStreak - a.longestStreak || a.name.localeCompare(b.name));
+}
+
+/**
+ * The most games played, for the public leaderboard
+ * @param {Array} stats - From computePlayerStats
+ * @param {number} [size]
+ * @returns {Array<{ rank: number, name: string, played: number }>} Ties share a rank
+ */
+export function getLeaderboard(stats, size = LEADERBOARD_SIZE) {
+  const ranked = stats
+    .filter(s => s.played > 0)
+    .sort((a, b) => b.played - a.played || a.name.localeCompare(b.name));
+
+  return ranked.slice(0, size).map(s => ({
+    rank: ranked.findIndex(other => other.played === s.played) + 1,
+    name: s.name,
+    played: s.played,
+  }));
+}
@@ -0,0 +1,33 @@
+import { getOrgData, ORG_KEY_SUFFIXES } from './kv';
+import { getCurrentPeriodId } from './recurrence';
+import { getDeprioritizedNames } from './penalties';
+import { isLotteryMode, isAwaitingDraw } from './lottery';
+
+/**
+ * Load the options sortByPriority/rebalanceLists need to apply an org's
+ * priority tiers (lib/tiers.js), penalties (lib/penalties.js) and lottery
+ * allocation (lib/lottery.js)
+ * @param {string} orgId - Organization ID
+ * @param {Object} settings - Org settings
+ * @returns {Promise<{ tiers: Array, deprioritized: Set<string>, awaitingDraw: boolean }>}
+ */
+export async function getPriorityOptions(orgId, settings) {
+  const options = { tiers: settings.tiers, deprioritized: new Set(), awaitingDraw: false };
+
+  if (settings.penalties?.enabled) {
+    const strikes = await getOrgData(orgId, ORG_KEY_SUFFIXES.STRIKES, []);
+    options.deprioritized = getDeprioritizedNames(strikes, settings.penalties);
+  }
+
+  if (isLotteryMode(settings)) {
+    const timezone = settings.accessPeriod.timezone || 'Africa/Lagos';
+    options.awaitingDraw = isAwaitingDraw(
+      settings,
+      await getOrgData(orgId, ORG_KEY_SUFFIXES.LOTTERY, null),
+      await getOrgData(orgId, ORG_KEY_SUFFIXES.LAST_RESET, null),
+      getCurrentPeriodId(settings, timezone)
+    );
+  }
+
+  return options;
+}
@@ -1,9 +1,34 @@
 /**
  * Recurrence helpers for weekly and monthly event scheduling.
  *
- * Used by the RSVP API handler and cron email sender.
+ * Used by the RSVP API handler and cron email sender. Window times are
+ * worked out on wall clocks in the org's timezone (see lib/timezone.js) and
+ * returned as real UTC instants.
  */
 
+import { getEarlyAccessHours, getEarliestTierId } from './tiers';
+import { toWallClock, wallClockToUtc, makeWallClock } from './timezone';
+
+const WEEK_MINUTES = 7 * 24 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * gameInfo.recurrence values:
+ * - 'weekly': every `gameDay`, or every day in `gameDays` when it lists several
+ * - 'biweekly': every other `gameDay`, counting from the game on `anchorDate`
+ * - 'monthly': the `monthlyOccurrence` (1-4 or 'last') `gameDay` of each month
+ * - 'interval': every `intervalDays` days, counting from the game on `anchorDate`
+ * Each game is its own period with its own RSVP list. Outside plain weekly,
+ * each game's RSVP window opens and closes the same number of days before it
+ * as `accessPeriod` does before `gameDay`.
+ */
+export const RECURRENCES = ['weekly', 'biweekly', 'monthly', 'interval'];
+export const MIN_INTERVAL_DAYS = 2;
+export const MAX_INTERVAL_DAYS = 90;
+
 /**
  * Find the nth occurrence of a day-of-week in a given month.
  * @param {number} year
@@ -34,21 +59,360 @@ export function getNthDayOfMonth(year, month, dayOfWeek, n) {
   return null;
 }
 
+/**
+ * The weekdays a weekly game is played on, in week order
+ * @param {Object} gameInfo - settings.gameInfo
+ * @returns {number[]}
+ */
+export function getGameDays(gameInfo) {
+  const days = gameInfo?.gameDays?.length ? gameInfo.gameDays : [gameInfo?.gameDay ?? 0];
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+/**
+ * Whether games are scheduled occurrence by occurrence (biweekly, every N
+ * days, or several days a week) rather than once a week or once a month
+ * @param {Object} gameInfo - settings.gameInfo
+ */
+export function isScheduledRecurrence(gameInfo) {
+  const recurrence = gameInfo?.recurrence || 'weekly';
+  if (recurrence === 'weekly') return getGameDays(gameInfo).length > 1;
+  return recurrence === 'biweekly' || recurrence === 'interval';
+}
+
+/**
+ * The fewest days between two games
+ * @param {Object} gameInfo - settings.gameInfo
+ */
+export function getMinGameGapDays(gameInfo) {
+  switch (gameInfo?.recurrence) {
+    case 'biweekly':
+      return 14;
+    case 'interval':
+      return gameInfo.intervalDays;
+    case 'monthly':
+      return 28;
+    default: {
+      const days = getGameDays(gameInfo);
+      return Math.min(...days.map((day, i) => ((days[(i + 1) % days.length] - day + 6) % 7) + 1));
+    }
+  }
+}
+
+/**
+ * Parse a 'YYYY-MM-DD' date, e.g. an anchor date
+ * @returns {Date|null} Wall clock at midnight, or null if invalid
+ */
+export function parseDateId(dateId) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateId || '');
+  if (!match) return null;
+  const date = makeWallClock(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return date.getUTCMonth() === Number(match[2]) - 1 && date.getUTCDate() === Number(match[3]) ? date : null;
+}
+
+/**
+ * Format a wall clock date as 'YYYY-MM-DD'
+ * @param {Date} wallDate - Wall clock
+ */
+export function formatDateId(wallDate) {
+  return wallDate.toISOString().slice(0, 10);
+}
+
+/**
+ * The skip date entry for a game, if it's been skipped or cancelled
+ * @param {Object} settings - Org settings
+ * @param {Date} gameDate - Wall clock at midnight
+ * @returns {{ date: string, reason: string, periodId?: string, cancelledAt?: string }|null}
+ */
+export function getSkipDate(settings, gameDate) {
+  const dateId = formatDateId(gameDate);
+  return settings?.skipDates?.find(s => s.date === dateId) || null;
+}
+
+/**
+ * Whether a game is played on a date
+ * @param {Object} gameInfo - settings.gameInfo
+ * @param {Date} wallDate - Wall clock at midnight
+ */
+export function isGameDate(gameInfo, wallDate) {
+  const recurrence = gameInfo?.recurrence || 'weekly';
+
+  if (recurrence === 'biweekly' || recurrence === 'interval') {
+    const anchor = parseDateId(gameInfo.anchorDate);
+    if (!anchor) return false;
+    const cycle = recurrence === 'biweekly' ? 14 : gameInfo.intervalDays;
+    const daysFromAnchor = Math.round((wallDate - anchor) / DAY_MS);
+    return cycle > 0 && ((daysFromAnchor % cycle) + cycle) % cycle === 0;
+  }
+
+  if (recurrence === 'monthly') {
+    const gameDate = getNthDayOfMonth(wallDate.getUTCFullYear(), wallDate.getUTCMonth(), gameInfo.gameDay ?? 0, gameInfo.monthlyOccurrence ?? 1);
+    return !!gameDate && gameDate.getDate() === wallDate.getUTCDate();
+  }
+
+  return getGameDays(gameInfo).includes(wallDate.getUTCDay());
+}
+
+/**
+ * Game dates within a cycle and two weeks either side of a time, enough to
+ * find every window (early access included) around it
+ * @param {Object} gameInfo - settings.gameInfo
+ * @param {Date} localTime - Wall clock
+ * @returns {Date[]} Wall clocks at midnight, earliest first
+ */
+export function getGameDatesAround(gameInfo, localTime) {
+  const cycle = {
+    biweekly: 14,
+    monthly: 31,
+    interval: gameInfo?.intervalDays || 7,
+  }[gameInfo?.recurrence] || 7;
+  const range = cycle + 14;
+
+  const dates = [];
+  for (let offset = -range; offset <= range; offset++) {
+    const date = makeWallClock(localTime.getUTCFullYear(), localTime.getUTCMonth(), localTime.getUTCDate() + offset);
+    if (isGameDate(gameInfo, date)) dates.push(date);
+  }
+  return dates;
+}
+
+/**
+ * Days from a game to when its RSVP window opens and closes (0 or negative),
+ * taken from how `accessPeriod` sits before `gameDay`
+ * @param {Object} accessPeriod - settings.accessPeriod
+ * @param {number} gameDay - settings.gameInfo.gameDay
+ */
+export function getWindowOffsets(accessPeriod, gameDay) {
+  let openOffset = accessPeriod.startDay - gameDay;
+  if (openOffset > 0) openOffset -= 7;
+  let closeOffset = accessPeriod.endDay - gameDay;
+  if (closeOffset > 0) closeOffset -= 7;
+  return { openOffset, closeOffset };
+}
+
+/**
+ * When the public RSVP window that closes at `closeTime` opened. Early access
+ * for priority tiers isn't counted.
+ * @param {Object} accessPeriod - settings.accessPeriod
+ * @param {string} closeTime - ISO close time, as from isFormOpen()
+ * @returns {string} ISO timestamp
+ */
+export function getWindowOpenTime(accessPeriod, closeTime) {
+  const { startDay, startHour, startMinute, endDay, endHour, endMinute } = accessPeriod;
+  const startMins = startDay * 24 * 60 + startHour * 60 + startMinute;
+  const endMins = endDay * 24 * 60 + endHour * 60 + endMinute;
+  const windowMins = ((endMins - startMins) % WEEK_MINUTES + WEEK_MINUTES) % WEEK_MINUTES;
+  return new Date(new Date(closeTime).getTime() - windowMins * 60 * 1000).toISOString();
+}
+
+/**
+ * The RSVP window for one game
+ * @param {Object} settings - Org settings
+ * @param {Date} gameDate - Wall clock at midnight
+ * @param {number} [earlyAccessHours] - Open this many hours early
+ * @returns {{ open: Date, close: Date }} Wall clocks
+ */
+export function getOccurrenceWindow(settings, gameDate, earlyAccessHours = 0) {
+  const { startHour, startMinute, endHour, endMinute } = settings.accessPeriod;
+  const { openOffset, closeOffset } = getWindowOffsets(settings.accessPeriod, settings.gameInfo?.gameDay ?? 0);
+  const [year, month, day] = [gameDate.getUTCFullYear(), gameDate.getUTCMonth(), gameDate.getUTCDate()];
+
+  const open = makeWallClock(year, month, day + openOffset, startHour, startMinute);
+  let close = makeWallClock(year, month, day + closeOffset, endHour, endMinute);
+  if (open > close) {
+    close = makeWallClock(year, month, day + closeOffset + 7, endHour, endMinute);
+  }
+  open.setUTCHours(open.getUTCHours() - earlyAccessHours);
+  return { open, close };
+}
+
+/**
+ * The next game that isn't over yet (the one being played, if any), passing
+ * over skipped and cancelled games
+ * @param {Object} settings - Org settings
+ * @param {string} timezone - IANA timezone
+ * @param {Date} [now]
+ * @returns {Date|null} Wall clock of the game's start
+ */
+export function getNextGameDate(settings, timezone, now = new Date()) {
+  const gameInfo = settings?.gameInfo || {};
+  const localTime = toWallClock(now, timezone);
+
+  const gameDate = getGameDatesAround(gameInfo, localTime).find(date => {
+    const end = makeWallClock(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), gameInfo.endHour ?? 23, gameInfo.endMinute ?? 59);
+    return end > localTime && !getSkipDate(settings, date);
+  });
+  if (!gameDate) return null;
+
+  return makeWallClock(gameDate.getUTCFullYear(), gameDate.getUTCMonth(), gameDate.getUTCDate(), gameInfo.startHour ?? 0, gameInfo.startMinute ?? 0);
+}
+
+/**
+ * The game the current period leads up to: the next game whose day isn't over.
+ * Periods roll over at midnight after their game.
+ * @param {Object} settings - Org settings
+ * @param {string} timezone - IANA timezone
+ * @param {Date} [now]
+ * @returns {Date|null} Wall clock at midnight
+ */
+export function getPeriodGameDate(settings, timezone, now = new Date()) {
+  const localTime = toWallClock(now, timezone);
+  return getGameDatesAround(settings?.gameInfo || {}, localTime)
+    .find(date => localTime < makeWallClock(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1)) || null;
+}
+
+/**
+ * Describe how often games happen, e.g. "Every other Saturday"
+ * @param {Object} gameInfo - settings.gameInfo
+ */
+export function describeRecurrence(gameInfo) {
+  const dayName = DAY_NAMES[gameInfo?.gameDay ?? 0];
+
+  switch (gameInfo?.recurrence) {
+    case 'biweekly':
+      return `Every other ${dayName}`;
+    case 'interval':
+      return `Every ${gameInfo.intervalDays} days`;
+    case 'monthly': {
+      const ordinals = { 1: '1st', 2: '2nd', 3: '3rd', 4: '4th', last: 'Last' };
+      return `${ordinals[gameInfo.monthlyOccurrence] || '1st'} ${dayName} of every month`;
+    }
+    default: {
+      const names = getGameDays(gameInfo).map(day => DAY_NAMES[day]);
+      return `Every ${names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0]}`;
+    }
+  }
+}
+
+/**
+ * Format a wall clock date like "Saturday, Mar 14"
+ * @param {Date} wallDate - Wall clock
+ */
+export function formatGameDate(wallDate) {
+  return `${DAY_NAMES[wallDate.getUTCDay()]}, ${MONTH_NAMES[wallDate.getUTCMonth()]} ${wallDate.getUTCDate()}`;
+}
+
+/**
+ * Move the access period's opening earlier by a tier's early access
+ * @param {Object} accessPeriod - settings.accessPeriod
+ * @param {number} hours - Hours of early access
+ * @returns {Object} The access period as seen by that tier
+ */
+export function withEarlyAccess(accessPeriod, hours) {
+  if (!hours) return accessPeriod;
+
+  const startMins = accessPeriod.startDay * 24 * 60 + accessPeriod.startHour * 60 + accessPeriod.startMinute;
+  const earlyMins = ((startMins - hours * 60) % WEEK_MINUTES + WEEK_MINUTES) % WEEK_MINUTES;
+  return {
+    ...accessPeriod,
+    startDay: Math.floor(earlyMins / (24 * 60)),
+    startHour: Math.floor((earlyMins % (24 * 60)) / 60),
+    startMinute: earlyMins % 60,
+  };
+}
+
 /**
  * Check if RSVP form is currently open based on settings.
+ * @param {Object} settings - Org settings
+ * @param {string|null} [tierId] - Evaluate the window for this priority tier,
+ *   which may open early (see lib/tiers.js); defaults to the public window
  */
-export function isFormOpen(settings) {
+export function isFormOpen(settings, tierId = null) {
   if (!settings.accessPeriod?.enabled) {
     return { isOpen: true, message: null };
   }
 
+  const earlyAccessHours = getEarlyAccessHours(settings.tiers, tierId);
+
+  // Each game has its own window, so early access can move it back by
+  // a full cycle without wrapping round the week
+  if (isScheduledRecurrence(settings.gameInfo)) {
+    return withSkippedGames(settings, isFormOpenScheduled(settings, earlyAccessHours), earlyAccessHours);
+  }
+
+  if (earlyAccessHours) {
+    settings = { ...settings, accessPeriod: withEarlyAccess(settings.accessPeriod, earlyAccessHours) };
+  }
+
   const recurrence = settings.gameInfo?.recurrence || 'weekly';
 
   if (recurrence === 'monthly') {
-    return isFormOpenMonthly(settings);
+    return withSkippedGames(settings, isFormOpenMonthly(settings));
   }
 
-  return isFormOpenWeekly(settings);
+  return withSkippedGames(settings, isFormOpenWeekly(settings));
+}
+
+/**
+ * Keep the window shut for skipped and cancelled games (`settings.skipDates`).
+ * A closed status for a period whose game is skipped gets `skipped` set to
+ * `{ date, reason, cancelled }` and a banner message; the next opening moves
+ * past any skipped games.
+ * @param {Object} settings - Org settings, early access already applied for weekly/monthly
+ * @param {Object} status - The window status without skips
+ * @param {number} [earlyAccessHours] - Early access for per-game windows
+ */
+function withSkippedGames(settings, status, earlyAccessHours = 0) {
+  if (!settings.skipDates?.length) return status;
+
+  const timezone = settings.accessPeriod.timezone || 'Africa/Lagos';
+  const localTime = toWallClock(new Date(), timezone);
+  const games = getGameDatesAround(settings.gameInfo, localTime).map(date => ({
+    date,
+    skip: getSkipDate(settings, date),
+    ...getOccurrenceWindow(settings, date, earlyAccessHours),
+  }));
+
+  // An open window belongs to the game it's for; a closed one to the period's game
+  const game = status.isOpen
+    ? games.find(g => localTime >= g.open && localTime < g.close)
+    : games.find(g => localTime < makeWallClock(g.date.getUTCFullYear(), g.date.getUTCMonth(), g.date.getUTCDate() + 1));
+  const nextOpen = games.find(g => g.open > localTime && !g.skip)?.open || null;
+  const opensMessage = nextOpen
+    ? `Opens ${formatGameDate(nextOpen)} at ${formatClockTime(nextOpen.getUTCHours(), nextOpen.getUTCMinutes())}`
+    : null;
+  const nextOpenTime = nextOpen ? wallClockToUtc(nextOpen, timezone).toISOString() : null;
+
+  if (!game?.skip) {
+    if (!status.isOpen && games.find(g => g.open > localTime)?.skip) {
+      return {
+        ...status,
+        message: opensMessage ? `RSVP is closed. ${opensMessage}` : 'RSVP is closed',
+        nextOpenTime,
+      };
+    }
+    return status;
+  }
+
+  const { date, reason, cancelledAt } = game.skip;
+  const headline = cancelledAt ? 'This game has been cancelled' : 'No game this week';
+  return {
+    isOpen: false,
+    message: reason ? `${headline}: ${reason}` : headline,
+    nextOpenTime,
+    closeTime: status.isOpen ? null : status.closeTime,
+    skipped: { date, reason: reason || '', cancelled: !!cancelledAt },
+  };
+}
+
+/**
+ * Format a time of day like "5:30 PM"
+ * @param {number} h - Hour (0-23)
+ * @param {number} m - Minute
+ */
+export function formatClockTime(h, m) {
+  const hour = h % 12 || 12;
+  const minute = m.toString().padStart(2, '0');
+  const ampm = h < 12 ? 'AM' : 'PM';
+  return `${hour}:${minute} ${ampm}`;
+}
+
+/**
+ * Whether the form is open for anyone, i.e. for the earliest-opening tier.
+ * The period's lists reset when this first opens.
+ */
+export function isFormOpenForAnyone(settings) {
+  return isFormOpen(settings, getEarliestTierId(settings.tiers));
 }
 
 /**
@@ -57,10 +421,10 @@ export function isFormOpen(settings) {
 export function isFormOpenWeekly(settings) {
   const now = new Date();
   const timezone = settings.accessPeriod.timezone || 'Africa/Lagos';
-  const localTime = new Date(now.toLocaleString('en-US', { timeZone: timezone }));
-  const currentDay = localTime.getDay();
-  const currentHour = localTime.getHours();
-  const currentMinute = localTime.getMinutes();
+  const localTime = toWallClock(now, timezone);
+  const currentDay = localTime.getUTCDay();
+  const currentHour = localTime.getUTCHours();
+  const currentMinute = localTime.getUTCMinutes();
 
   const { startDay, startHour, startMinute, endDay, endHour, endMinute } = settings.accessPeriod;
 
@@ -95,11 +459,10 @@ export function isFormOpenWeekly(settings) {
     }
 
     const targetDate = new Date(localTime);
-    targetDate.setDate(targetDate.getDate() + daysUntil);
-    targetDate.setHours(startHour, startMinute, 0, 0);
+    targetDate.setUTCDate(targetDate.getUTCDate() + daysUntil);
+    targetDate.setUTCHours(startHour, startMinute, 0, 0);
 
-    const utcTime = new Date(targetDate.getTime() - (1 * 60 * 60 * 1000));
-    nextOpenTime = utcTime.toISOString();
+    nextOpenTime = wallClockToUtc(targetDate, timezone).toISOString();
   }
 
   // Compute the relevant close time for the current/most-recent period
@@ -121,11 +484,10 @@ export function isFormOpenWeekly(settings) {
     }
 
     const closeDate = new Date(localTime);
-    closeDate.setDate(closeDate.getDate() + daysToClose);
-    closeDate.setHours(endHour, endMinute, 0, 0);
+    closeDate.setUTCDate(closeDate.getUTCDate() + daysToClose);
+    closeDate.setUTCHours(endHour, endMinute, 0, 0);
 
-    const utcClose = new Date(closeDate.getTime() - (1 * 60 * 60 * 1000));
-    closeTime = utcClose.toISOString();
+    closeTime = wallClockToUtc(closeDate, timezone).toISOString();
   }
 
   return { isOpen, message, nextOpenTime, closeTime };
@@ -138,7 +500,7 @@ export function isFormOpenWeekly(settings) {
 export function isFormOpenMonthly(settings) {
   const timezone = settings.accessPeriod.timezone || 'Africa/Lagos';
   const now = new Date();
-  const localTime = new Date(now.toLocaleString('en-US', { timeZone: timezone }));
+  const localTime = toWallClock(now, timezone);
 
   const gameDay = settings.gameInfo?.gameDay ?? 0;
   const monthlyOccurrence = settings.gameInfo?.monthlyOccurrence ?? 1;
@@ -152,8 +514,8 @@ export function isFormOpenMonthly(settings) {
     return `${hour}:${minute} ${ampm}`;
   };
 
-  const year = localTime.getFullYear();
-  const month = localTime.getMonth();
+  const year = localTime.getUTCFullYear();
+  const month = localTime.getUTCMonth();
   const currentGameDate = getNthDayOfMonth(year, month, gameDay, monthlyOccurrence);
 
   const prevMonth = month === 0 ? 11 : month - 1;
@@ -178,11 +540,8 @@ export function isFormOpenMonthly(settings) {
     let closeOffset = endDay - gameDay;
     if (closeOffset > 0) closeOffset -= 7;
 
-    const openDate = new Date(gameYear, gameMonth, gameDate + openOffset);
-    openDate.setHours(startHour, startMinute, 0, 0);
-
-    const closeDate = new Date(gameYear, gameMonth, gameDate + closeOffset);
-    closeDate.setHours(endHour, endMinute, 0, 0);
+    const openDate = makeWallClock(gameYear, gameMonth, gameDate + openOffset, startHour, startMinute);
+    const closeDate = makeWallClock(gameYear, gameMonth, gameDate + closeOffset, endHour, endMinute);
 
     let windowOpen, windowClose;
     if (openDate <= closeDate) {
@@ -191,12 +550,11 @@ export function isFormOpenMonthly(settings) {
     } else {
       windowOpen = openDate;
       windowClose = new Date(closeDate);
-      windowClose.setDate(windowClose.getDate() + 7);
+      windowClose.setUTCDate(windowClose.getUTCDate() + 7);
     }
 
     if (localTime >= windowOpen && localTime < windowClose) {
-      const utcClose = new Date(windowClose.getTime() - (1 * 60 * 60 * 1000));
-      return { isOpen: true, message: null, closeTime: utcClose.toISOString() };
+      return { isOpen: true, message: null, closeTime: wallClockToUtc(windowClose, timezone).toISOString() };
     }
 
     // Track the most recent past close time
@@ -213,8 +571,7 @@ export function isFormOpenMonthly(settings) {
     if (!gameDateObj) continue;
     let openOffset = startDay - gameDay;
     if (openOffset > 0) openOffset -= 7;
-    const openDate = new Date(gameDateObj.getFullYear(), gameDateObj.getMonth(), gameDateObj.getDate() + openOffset);
-    openDate.setHours(startHour, startMinute, 0, 0);
+    const openDate = makeWallClock(gameDateObj.getFullYear(), gameDateObj.getMonth(), gameDateObj.getDate() + openOffset, startHour, startMinute);
     if (openDate > localTime) {
       nextGameDateObj = openDate;
       break;
@@ -228,8 +585,7 @@ export function isFormOpenMonthly(settings) {
     if (futureGameDate) {
       let openOffset = startDay - gameDay;
       if (openOffset > 0) openOffset -= 7;
-      nextGameDateObj = new Date(futureGameDate.getFullYear(), futureGameDate.getMonth(), futureGameDate.getDate() + openOffset);
-      nextGameDateObj.setHours(startHour, startMinute, 0, 0);
+      nextGameDateObj = makeWallClock(futureGameDate.getFullYear(), futureGameDate.getMonth(), futureGameDate.getDate() + openOffset, startHour, startMinute);
     }
   }
 
@@ -239,19 +595,53 @@ export function isFormOpenMonthly(settings) {
 
   let nextOpenTime = null;
   if (nextGameDateObj) {
-    const utcTime = new Date(nextGameDateObj.getTime() - (1 * 60 * 60 * 1000));
-    nextOpenTime = utcTime.toISOString();
+    nextOpenTime = wallClockToUtc(nextGameDateObj, timezone).toISOString();
   }
 
   let closeTime = null;
   if (mostRecentClose) {
-    const utcClose = new Date(mostRecentClose.getTime() - (1 * 60 * 60 * 1000));
-    closeTime = utcClose.toISOString();
+    closeTime = wallClockToUtc(mostRecentClose, timezone).toISOString();
   }
 
   return { isOpen: false, message, nextOpenTime, closeTime };
 }
 
+/**
+ * Access period check for biweekly, every-N-days and several-days-a-week games,
+ * where each game has its own window.
+ * @param {Object} settings - Org settings
+ * @param {number} [earlyAccessHours] - Evaluate a window opening this many hours early
+ */
+export function isFormOpenScheduled(settings, earlyAccessHours = 0) {
+  const timezone = settings.accessPeriod.timezone || 'Africa/Lagos';
+  const localTime = toWallClock(new Date(), timezone);
+
+  let mostRecentClose = null;
+  let nextOpen = null;
+  for (const gameDate of getGameDatesAround(settings.gameInfo, localTime)) {
+    const { open, close } = getOccurrenceWindow(settings, gameDate, earlyAccessHours);
+
+    if (localTime >= open && localTime < close) {
+      return { isOpen: true, message: null, closeTime: wallClockToUtc(close, timezone).toISOString() };
+    }
+    if (close <= localTime && (!mostRecentClose || close > mostRecentClose)) {
+      mostRecentClose = close;
+    }
+    if (open > localTime && (!nextOpen || open < nextOpen)) {
+      nextOpen = open;
+    }
+  }
+
+  return {
+    isOpen: false,
+    message: nextOpen
+      ? `RSVP is closed. Opens ${formatGameDate(nextOpen)} at ${formatClockTime(nextOpen.getUTCHours(), nextOpen.getUTCMinutes())}`
+      : 'RSVP is closed',
+    nextOpenTime: nextOpen ? wallClockToUtc(nextOpen, timezone).toISOString() : null,
+    closeTime: mostRecentClose ? wallClockToUtc(mostRecentClose, timezone).toISOString() : null,
+  };
+}
+
 /**
  * Get the current period identifier.
  */
@@ -262,9 +652,26 @@ export function getCurrentPeriodId(settings, timezone) {
     return getMonthlyPeriodId(settings, timezone);
   }
 
+  if (isScheduledRecurrence(settings?.gameInfo)) {
+    return getScheduledPeriodId(settings, timezone);
+  }
+
   return getWeeklyPeriodId(settings, timezone);
 }
 
+/**
+ * Week number ID for the week a game falls in, e.g. "2026-W11"
+ * @param {Date} gameDate - Wall clock
+ */
+function formatWeekId(gameDate) {
+  const year = gameDate.getUTCFullYear();
+  const startOfYear = makeWallClock(year, 0, 1);
+  const days = Math.floor((gameDate - startOfYear) / DAY_MS);
+  const weekNum = Math.ceil((days + startOfYear.getUTCDay() + 1) / 7);
+
+  return `${year}-W${weekNum.toString().padStart(2, '0')}`;
+}
+
 /**
  * Weekly period ID anchored to game day.
  * The period rolls over at midnight after game day.
@@ -272,12 +679,12 @@ export function getCurrentPeriodId(settings, timezone) {
  */
 export function getWeeklyPeriodId(settings, timezone) {
   const now = new Date();
-  const localTime = new Date(now.toLocaleString('en-US', { timeZone: timezone }));
+  const localTime = toWallClock(now, timezone);
 
   const gameDay = settings?.gameInfo?.gameDay ?? 0;
   const resetDay = (gameDay + 1) % 7; // Period starts at midnight on this day
 
-  const currentDay = localTime.getDay();
+  const currentDay = localTime.getUTCDay();
 
   // How many days ago did the current period start?
   let daysSinceReset = currentDay - resetDay;
@@ -285,19 +692,38 @@ export function getWeeklyPeriodId(settings, timezone) {
 
   // The game date this period leads up to is 6 days after the period start
   const periodStartDate = new Date(localTime);
-  periodStartDate.setDate(periodStartDate.getDate() - daysSinceReset);
-  periodStartDate.setHours(0, 0, 0, 0);
+  periodStartDate.setUTCDate(periodStartDate.getUTCDate() - daysSinceReset);
+  periodStartDate.setUTCHours(0, 0, 0, 0);
 
   const gameDateForPeriod = new Date(periodStartDate);
-  gameDateForPeriod.setDate(gameDateForPeriod.getDate() + 6);
+  gameDateForPeriod.setUTCDate(gameDateForPeriod.getUTCDate() + 6);
 
-  // Compute week number from the game date
-  const year = gameDateForPeriod.getFullYear();
-  const startOfYear = new Date(year, 0, 1);
-  const days = Math.floor((gameDateForPeriod - startOfYear) / (24 * 60 * 60 * 1000));
-  const weekNum = Math.ceil((days + startOfYear.getDay() + 1) / 7);
+  return formatWeekId(gameDateForPeriod);
+}
 
-  return `${year}-W${weekNum.toString().padStart(2, '0')}`;
+/**
+ * Period ID for biweekly, every-N-days and several-days-a-week games, anchored
+ * to the next game. Like the weekly period, it rolls over at midnight after
+ * the game. Unique per game:
+ * - biweekly: the game's week, e.g. "2026-W11"
+ * - several days a week: the week and day, e.g. "2026-W11-TUE"
+ * - every N days: the game date, e.g. "2026-03-14"
+ */
+export function getScheduledPeriodId(settings, timezone) {
+  const gameInfo = settings.gameInfo;
+  const gameDate = getPeriodGameDate(settings, timezone);
+  if (!gameDate) {
+    // A schedule without valid games (e.g. a missing anchor date) stays in one period
+    return `${gameInfo.recurrence}-unscheduled`;
+  }
+
+  if (gameInfo.recurrence === 'interval') {
+    return formatDateId(gameDate);
+  }
+  if (gameInfo.recurrence === 'biweekly') {
+    return formatWeekId(gameDate);
+  }
+  return `${formatWeekId(gameDate)}-${DAY_NAMES[gameDate.getUTCDay()].slice(0, 3).toUpperCase()}`;
 }
 
 /**
@@ -307,7 +733,7 @@ export function getWeeklyPeriodId(settings, timezone) {
  */
 export function getMonthlyPeriodId(settings, timezone) {
   const now = new Date();
-  const localTime = new Date(now.toLocaleString('en-US', { timeZone: timezone }));
+  const localTime = toWallClock(now, timezone);
 
   const gameDay = settings?.gameInfo?.gameDay ?? 0;
   const monthlyOccurrence = settings?.gameInfo?.monthlyOccurrence ?? 1;
@@ -316,8 +742,8 @@ export function getMonthlyPeriodId(settings, timezone) {
   const occ = monthlyOccurrence === 'last' ? 'L' : monthlyOccurrence;
 
   // Check previous, current, and next months for game dates
-  const year = localTime.getFullYear();
-  const month = localTime.getMonth();
+  const year = localTime.getUTCFullYear();
+  const month = localTime.getUTCMonth();
   const candidates = [];
   for (let offset = -1; offset <= 2; offset++) {
     let m = month + offset;
@@ -332,9 +758,7 @@ export function getMonthlyPeriodId(settings, timezone) {
   // The period boundary is midnight on (gameDate + 1 day).
   let currentPeriodGameDate = null;
   for (const gameDate of candidates) {
-    const resetMoment = new Date(gameDate);
-    resetMoment.setDate(resetMoment.getDate() + 1);
-    resetMoment.setHours(0, 0, 0, 0);
+    const resetMoment = makeWallClock(gameDate.getFullYear(), gameDate.getMonth(), gameDate.getDate() + 1);
     if (localTime < resetMoment) {
       currentPeriodGameDate = gameDate;
       break;
@@ -0,0 +1,178 @@
+import { getOrgData, setOrgData, withOrgLock, ORG_KEY_SUFFIXES } from './kv';
+import { isFormOpen, getCurrentPeriodId, getNextGameDate } from './recurrence';
+import { wallClockToUtc } from './timezone';
+import { REGULAR_LOOKBACK_PERIODS } from './settings';
+import { getRecipients, sendEmail } from './notifications';
+import { getTemplate, renderEmail, formatWhen } from './templates';
+import { getTemplateVars } from './template-vars';
+
+/**
+ * Player reminder emails
+ *
+ * Turned on per type in settings.reminders and sent by the hourly cron:
+ * - windowOpens: regulars who aren't on the lists yet, once the RSVP window opens
+ * - windowCloses: regulars still not signed up, `hoursBeforeClose` before it closes
+ * - gameTomorrow: confirmed main-list players, in the 24 hours before the game
+ * Regulars are players on the main list for at least `regularGames` of the
+ * last REGULAR_LOOKBACK_PERIODS archived periods. Each type goes out at most
+ * once per period: `org:{id}:reminders` records the period each was last sent
+ * for, the way `last-email` does for the organizer's list email. The emails
+ * use the org's templates (lib/templates.js).
+ */
+
+export const REMINDER_TYPES = ['windowOpens', 'windowCloses', 'gameTomorrow'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Players who usually come, from the archive
+ * @param {Array} archive - Archived periods, newest first
+ * @param {number} regularGames - Periods out of the lookback a regular played
+ * @returns {Array} Each regular's latest main-list entry
+ */
+export function getRegulars(archive, regularGames) {
+  const counts = new Map();
+  for (const period of archive.slice(0, REGULAR_LOOKBACK_PERIODS)) {
+    const names = new Set();
+    for (const person of period.mainList || []) {
+      const key = person.name?.toLowerCase();
+      if (!key || person.isGuest || names.has(key)) continue;
+      names.add(key);
+      const count = counts.get(key);
+      counts.set(key, count ? { ...count, games: count.games + 1 } : { person, games: 1 });
+    }
+  }
+  return [...counts.values()].filter(c => c.games >= regularGames).map(c => c.person);
+}
+
+/**
+ * Whether a reminder type is due now. Like the list email, a missed cron run
+ * catches up later in the period.
+ * @param {string} type - One of REMINDER_TYPES
+ * @param {Object} settings - Org settings
+ * @param {string} timezone - IANA timezone
+ * @param {Object} sent - Period each type was last sent for
+ * @param {Date} [now]
+ * @returns {{ due: boolean, reason: string, periodId?: string, at?: string }}
+ *   `at` is when the window closes, or when the game starts
+ */
+export function checkReminder(type, settings, timezone, sent, now = new Date()) {
+  if (!settings.reminders?.[type]) return { due: false, reason: 'not enabled' };
+
+  const periodId = getCurrentPeriodId(settings, timezone);
+  if (sent?.[type] === periodId) {
+    return { due: false, reason: `already sent for period ${periodId}` };
+  }
+
+  if (type === 'gameTomorrow') {
+    if (!settings.gameInfo?.enabled) return { due: false, reason: 'game details not enabled' };
+    const gameStart = getNextGameDate(settings, timezone, now);
+    if (!gameStart) return { due: false, reason: 'no upcoming game' };
+    const startsAt = wallClockToUtc(gameStart, timezone);
+    const hoursToGame = (startsAt - now) / HOUR_MS;
+    if (hoursToGame <= 0 || hoursToGame > 24) {
+      return { due: false, reason: 'game is not within 24 hours' };
+    }
+    return { due: true, reason: 'game within 24 hours', periodId, at: startsAt.toISOString() };
+  }
+
+  if (!settings.accessPeriod?.enabled) return { due: false, reason: 'access period not enabled' };
+
+  const { isOpen, closeTime, skipped } = isFormOpen({
+    ...settings,
+    accessPeriod: { ...settings.accessPeriod, timezone },
+  });
+  if (skipped) {
+    return { due: false, reason: `game on ${skipped.date} is ${skipped.cancelled ? 'cancelled' : 'skipped'}` };
+  }
+  if (!isOpen) return { due: false, reason: 'window is not open' };
+
+  if (type === 'windowCloses') {
+    const hoursToClose = (new Date(closeTime) - now) / HOUR_MS;
+    if (hoursToClose > settings.reminders.hoursBeforeClose) {
+      return { due: false, reason: `window closes in ${Math.ceil(hoursToClose)} hours` };
+    }
+  }
+  return { due: true, reason: type === 'windowOpens' ? 'window is open' : 'window closing soon', periodId, at: closeTime };
+}
+
+/**
+ * Send every reminder that's due for an org. Each is marked sent for the
+ * period before it goes out, so overlapping runs can't send it twice.
+ * @param {Object} org - Organization
+ * @param {Object} settings - Org settings
+ * @param {Date} [now]
+ * @returns {Promise<Array<{ type: string, periodId: string, sent: number }>>}
+ */
+export async function sendDueReminders(org, settings, now = new Date()) {
+  const timezone = settings.accessPeriod?.timezone || org.timezone || 'Africa/Lagos';
+  const checkAll = (sent) => REMINDER_TYPES
+    .map(type => ({ type, ...checkReminder(type, settings, timezone, sent, now) }))
+    .filter(r => r.due);
+
+  if (checkAll(await getOrgData(org.id, ORG_KEY_SUFFIXES.REMINDERS, {})).length === 0) {
+    return [];
+  }
+
+  const { due, rsvpData, signedUp } = await withOrgLock(org.id, async () => {
+    // Another run may have sent them while we were waiting for the lock
+    const sent = await getOrgData(org.id, ORG_KEY_SUFFIXES.REMINDERS, {});
+    const lockedDue = checkAll(sent);
+    if (lockedDue.length === 0) return { due: [] };
+
+    await setOrgData(org.id, ORG_KEY_SUFFIXES.REMINDERS, {
+      ...sent,
+      ...Object.fromEntries(lockedDue.map(r => [r.type, r.periodId])),
+    });
+
+    // Until the lists reset for the period, only members carried over are signed up
+    const data = await getOrgData(org.id, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
+    const isCurrent = await getOrgData(org.id, ORG_KEY_SUFFIXES.LAST_RESET, null) === lockedDue[0].periodId;
+    const people = [...data.mainList, ...data.waitlist];
+    return {
+      due: lockedDue,
+      rsvpData: isCurrent ? data : { mainList: [], waitlist: [] },
+      signedUp: isCurrent ? people : people.filter(p => p.isWhitelisted),
+    };
+  });
+
+  const results = [];
+  for (const reminder of due) {
+    let people;
+    if (reminder.type === 'gameTomorrow') {
+      // Players still to claim a spot have their claim email instead
+      people = rsvpData.mainList.filter(p => !p.pendingClaim);
+    } else {
+      const archive = await getOrgData(org.id, ORG_KEY_SUFFIXES.ARCHIVE, []);
+      people = getRegulars(archive, settings.reminders.regularGames)
+        .filter(regular => !signedUp.some(p => sameName(p.name, regular.name)));
+    }
+
+    let sent = 0;
+    try {
+      const recipients = await getRecipients(org.id, people);
+      const template = getTemplate(settings, reminder.type);
+      const vars = recipients.length > 0 && await getTemplateVars(org, settings, { rsvpData, templates: [template], now });
+      // When the window closes, or the game starts
+      const when = formatWhen(reminder.at, timezone);
+
+      for (const { person, email, token } of recipients) {
+        const { subject, text, html } = renderEmail(template, {
+          ...vars,
+          name: person.name,
+          unsubscribeLink: `${vars.link}?unsubscribe=${token}`,
+          ...(reminder.type === 'gameTomorrow' ? { gameTime: when } : { closes: when }),
+        });
+        if (await sendEmail({ orgId: org.id, orgName: org.name, to: email, subject, text, html, kind: reminder.type })) {
+          sent++;
+        }
+      }
+    } catch (error) {
+      console.error(`Failed to send ${reminder.type} reminders:`, error);
+    }
+    results.push({ type: reminder.type, periodId: reminder.periodId, sent });
+  }
+  return results;
+}
@@ -0,0 +1,379 @@
+/**
+ * Canonical org settings schema
+ *
+ * Every handler that reads `org:{id}:settings` falls back to getDefaultSettings()
+ * and every write goes through validateSettings(). Stored settings are brought
+ * up to this shape by the schema migrations in lib/migrations.js.
+ */
+
+import { MAX_GUESTS_PER_SIGNUP, ALLOCATION_MODES } from './lists';
+import { PENALTY_TYPES, MAX_WINDOW_WEEKS } from './penalties';
+import { getDefaultTiers, validateTiers } from './tiers';
+import {
+  RECURRENCES,
+  MIN_INTERVAL_DAYS,
+  MAX_INTERVAL_DAYS,
+  isScheduledRecurrence,
+  parseDateId,
+  getMinGameGapDays,
+  getWindowOffsets,
+} from './recurrence';
+import { PLAYER_TEMPLATE_TYPES, MAX_TEMPLATE_LENGTH, checkTemplate } from './templates';
+
+export const DEFAULT_TIMEZONE = 'Africa/Lagos';
+
+export const MAX_SKIP_DATES = 100;
+export const MAX_SKIP_REASON_LENGTH = 100;
+export const MAX_CLAIM_HOURS = 72;
+export const MAX_REMINDER_HOURS = 48;
+export const REGULAR_LOOKBACK_PERIODS = 4;
+
+const WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+const MONTHLY_OCCURRENCES = [1, 2, 3, 4, 'last'];
+
+/**
+ * Default settings for an organization
+ * @param {string} timezone - IANA timezone for the RSVP window
+ * @returns {Object} A fresh settings object in the canonical shape
+ */
+export function getDefaultSettings(timezone = DEFAULT_TIMEZONE) {
+  return {
+    mainListLimit: 30,
+    maxGuestsPerSignup: 0,  // Plus-ones each signup may bring; 0 disables guests
+    allocationMode: 'first-come', // or 'lottery': non-member spots are drawn when the window closes
+    tiers: getDefaultTiers(), // Priority tiers, highest first; see lib/tiers.js
+    skipDates: [],          // Games not played: { date: 'YYYY-MM-DD', reason, periodId?, cancelledAt? }
+    claimWindow: {
+      enabled: false,       // Players promoted from the waitlist must claim their spot; see lib/claims.js
+      hours: 12,            // ...within this many hours, or it passes to the next waitlister
+    },
+    reminders: {            // Player reminder emails; see lib/reminders.js
+      windowOpens: false,   // To regulars when the RSVP window opens
+      windowCloses: false,  // To regulars who haven't signed up, before it closes
+      hoursBeforeClose: 3,
+      gameTomorrow: false,  // To the main list the day before the game
+      regularGames: 2,      // Regulars played this many of the last REGULAR_LOOKBACK_PERIODS periods
+    },
+    accessPeriod: {
+      enabled: true,
+      startDay: 4,        // Thursday
+      startHour: 12,      // 12:00 (noon)
+      startMinute: 0,
+      endDay: 5,          // Friday
+      endHour: 10,        // 10:00
+      endMinute: 0,
+      timezone: timezone || DEFAULT_TIMEZONE,
+    },
+    email: {
+      enabled: false,
+      recipients: [],
+      cc: [],
+      bcc: [],
+      subject: 'Weekly RSVP List - {{week}}',
+      body: 'Please find attached the RSVP list for this week.\n\nTotal participants: {{count}}',
+      html: '',             // HTML version; empty sends the body as HTML
+    },
+    // Player emails as the org has rewritten them; empty fields use the
+    // defaults in lib/templates.js
+    templates: Object.fromEntries(PLAYER_TEMPLATE_TYPES.map(type => [type, { subject: '', body: '', html: '' }])),
+    whatsapp: {
+      enabled: false,
+      groupUrl: '',
+    },
+    leaderboard: {
+      enabled: false,       // Show "most games this season" on the public page; see lib/player-stats.js
+      seasonStart: null,    // 'YYYY-MM-DD'; empty starts each season on 1 January
+    },
+    penalties: {
+      enabled: false,
+      lateDropoutHours: 24,     // Dropping off the main list this close to the window closing is a strike
+      noShowStrikes: true,      // Not checking in for a game you were on the main list for is a strike
+      strikeLimit: 2,           // This many strikes...
+      windowWeeks: 4,           // ...within this many weeks triggers the penalty
+      penalty: 'lose-priority', // or 'delay-signup'
+      delayHours: 12,           // For 'delay-signup': hours after the window opens
+    },
+    gameInfo: {
+      enabled: false,
+      recurrence: 'weekly',     // 'weekly', 'biweekly', 'monthly' or 'interval'; see lib/recurrence.js
+      monthlyOccurrence: null,
+      gameDay: 0,
+      gameDays: [],             // Weekly: every day played on, when more than gameDay
+      anchorDate: null,         // Biweekly/interval: 'YYYY-MM-DD' of any game in the series
+      intervalDays: null,       // Interval: days between games
+      startHour: 17,
+      startMinute: 0,
+      endHour: 19,
+      endMinute: 0,
+      location: {
+        enabled: false,
+        name: '',           // Venue name, e.g. "1004 Estate"
+        area: '',           // Neighbourhood/city, e.g. "Victoria Island, Lagos"
+        address: '',
+        googleMapsUrl: '',
+      },
+      rules: {
+        enabled: false,
+        items: [],
+      },
+      weather: {
+        enabled: false,
+      },
+    },
+  };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Fill in any keys missing from `value` with those from `defaults`, recursing
+ * into nested objects. Existing values (including null) are kept as-is, and
+ * keys that aren't part of the defaults are preserved.
+ */
+function fillDefaults(value, defaults) {
+  if (!isPlainObject(defaults)) {
+    return value === undefined ? defaults : value;
+  }
+  if (!isPlainObject(value)) {
+    return defaults;
+  }
+
+  const result = { ...value };
+  for (const [key, defaultValue] of Object.entries(defaults)) {
+    result[key] = fillDefaults(value[key], defaultValue);
+  }
+  return result;
+}
+
+/**
+ * Bring a (possibly partial) settings object up to the canonical shape
+ * @param {Object} settings - Stored or submitted settings
+ * @param {string} timezone - Timezone to use when the access period has none
+ * @returns {Object} Settings with every canonical key present
+ */
+export function normalizeSettings(settings, timezone = DEFAULT_TIMEZONE) {
+  return fillDefaults(settings, getDefaultSettings(timezone));
+}
+
+function isIntegerInRange(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+// Errors for one template field: text, not too long, with matching {{#if}}s
+function checkTemplateField(value, label) {
+  if (typeof value !== 'string') return [`${label} must be text`];
+  if (value.length > MAX_TEMPLATE_LENGTH) return [`${label} must be at most ${MAX_TEMPLATE_LENGTH} characters`];
+  const problem = checkTemplate(value);
+  return problem ? [`${label} ${problem}`] : [];
+}
+
+/**
+ * Validate settings against the canonical schema
+ * @param {Object} settings - Settings to validate (normalize first)
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateSettings(settings) {
+  const errors = [];
+  const check = (condition, message) => {
+    if (!condition) errors.push(message);
+  };
+
+  if (!isPlainObject(settings)) {
+    return { valid: false, errors: ['Settings must be an object'] };
+  }
+
+  check(isIntegerInRange(settings.mainListLimit, 1, 1000), 'mainListLimit must be a whole number between 1 and 1000');
+  check(isIntegerInRange(settings.maxGuestsPerSignup, 0, MAX_GUESTS_PER_SIGNUP), `maxGuestsPerSignup must be a whole number between 0 and ${MAX_GUESTS_PER_SIGNUP}`);
+
+  check(ALLOCATION_MODES.includes(settings.allocationMode), `allocationMode must be one of: ${ALLOCATION_MODES.join(', ')}`);
+  check(settings.allocationMode !== 'lottery' || settings.accessPeriod?.enabled === true, 'allocationMode lottery needs the RSVP window (accessPeriod) enabled, since the draw runs when it closes');
+
+  errors.push(...validateTiers(settings.tiers, settings.mainListLimit));
+
+  if (Array.isArray(settings.skipDates)) {
+    check(settings.skipDates.length <= MAX_SKIP_DATES, `skipDates can have at most ${MAX_SKIP_DATES} dates`);
+    const dates = new Set();
+    settings.skipDates.forEach((skip, i) => {
+      const label = `skipDates[${i}]`;
+      check(isPlainObject(skip) && !!parseDateId(skip.date) && !dates.has(skip.date), `${label}.date must be a unique date (YYYY-MM-DD)`);
+      check(typeof skip?.reason === 'string' && skip.reason.length <= MAX_SKIP_REASON_LENGTH, `${label}.reason must be text of at most ${MAX_SKIP_REASON_LENGTH} characters`);
+      dates.add(skip?.date);
+    });
+  } else {
+    errors.push('skipDates must be a list');
+  }
+
+  const { claimWindow, reminders, accessPeriod, email, templates, whatsapp, leaderboard, penalties, gameInfo } = settings;
+
+  if (isPlainObject(claimWindow)) {
+    check(typeof claimWindow.enabled === 'boolean', 'claimWindow.enabled must be true or false');
+    check(isIntegerInRange(claimWindow.hours, 1, MAX_CLAIM_HOURS), `claimWindow.hours must be between 1 and ${MAX_CLAIM_HOURS}`);
+  } else {
+    errors.push('claimWindow is required');
+  }
+
+  if (isPlainObject(reminders)) {
+    for (const field of ['windowOpens', 'windowCloses', 'gameTomorrow']) {
+      check(typeof reminders[field] === 'boolean', `reminders.${field} must be true or false`);
+    }
+    check(isIntegerInRange(reminders.hoursBeforeClose, 1, MAX_REMINDER_HOURS), `reminders.hoursBeforeClose must be between 1 and ${MAX_REMINDER_HOURS}`);
+    check(isIntegerInRange(reminders.regularGames, 1, REGULAR_LOOKBACK_PERIODS), `reminders.regularGames must be between 1 and ${REGULAR_LOOKBACK_PERIODS}`);
+  } else {
+    errors.push('reminders is required');
+  }
+
+  if (isPlainObject(accessPeriod)) {
+    check(typeof accessPeriod.enabled === 'boolean', 'accessPeriod.enabled must be true or false');
+    for (const field of ['startDay', 'endDay']) {
+      check(WEEKDAYS.includes(accessPeriod[field]), `accessPeriod.${field} must be a day of the week (0-6)`);
+    }
+    for (const field of ['startHour', 'endHour']) {
+      check(isIntegerInRange(accessPeriod[field], 0, 23), `accessPeriod.${field} must be between 0 and 23`);
+    }
+    for (const field of ['startMinute', 'endMinute']) {
+      check(isIntegerInRange(accessPeriod[field], 0, 59), `accessPeriod.${field} must be between 0 and 59`);
+    }
+    check(typeof accessPeriod.timezone === 'string' && isValidTimezone(accessPeriod.timezone), 'accessPeriod.timezone must be a valid timezone');
+  } else {
+    errors.push('accessPeriod is required');
+  }
+
+  if (isPlainObject(email)) {
+    check(typeof email.enabled === 'boolean', 'email.enabled must be true or false');
+    for (const field of ['recipients', 'cc', 'bcc']) {
+      check(isStringArray(email[field]), `email.${field} must be a list of addresses`);
+    }
+    for (const field of ['subject', 'body', 'html']) {
+      errors.push(...checkTemplateField(email[field], `email.${field}`));
+    }
+  } else {
+    errors.push('email is required');
+  }
+
+  if (isPlainObject(templates)) {
+    for (const type of PLAYER_TEMPLATE_TYPES) {
+      if (!isPlainObject(templates[type])) {
+        errors.push(`templates.${type} is required`);
+        continue;
+      }
+      for (const field of ['subject', 'body', 'html']) {
+        errors.push(...checkTemplateField(templates[type][field], `templates.${type}.${field}`));
+      }
+    }
+  } else {
+    errors.push('templates is required');
+  }
+
+  if (isPlainObject(whatsapp)) {
+    check(typeof whatsapp.enabled === 'boolean', 'whatsapp.enabled must be true or false');
+    check(typeof whatsapp.groupUrl === 'string', 'whatsapp.groupUrl must be text');
+  } else {
+    errors.push('whatsapp is required');
+  }
+
+  if (isPlainObject(leaderboard)) {
+    check(typeof leaderboard.enabled === 'boolean', 'leaderboard.enabled must be true or false');
+    check(leaderboard.seasonStart === null || parseDateId(leaderboard.seasonStart), 'leaderboard.seasonStart must be a date (YYYY-MM-DD) or empty');
+  } else {
+    errors.push('leaderboard is required');
+  }
+
+  if (isPlainObject(penalties)) {
+    check(typeof penalties.enabled === 'boolean', 'penalties.enabled must be true or false');
+    check(typeof penalties.noShowStrikes === 'boolean', 'penalties.noShowStrikes must be true or false');
+    check(isIntegerInRange(penalties.lateDropoutHours, 0, 168), 'penalties.lateDropoutHours must be between 0 and 168');
+    check(isIntegerInRange(penalties.strikeLimit, 1, 10), 'penalties.strikeLimit must be between 1 and 10');
+    check(isIntegerInRange(penalties.windowWeeks, 1, MAX_WINDOW_WEEKS), `penalties.windowWeeks must be between 1 and ${MAX_WINDOW_WEEKS}`);
+    check(PENALTY_TYPES.includes(penalties.penalty), `penalties.penalty must be one of: ${PENALTY_TYPES.join(', ')}`);
+    check(isIntegerInRange(penalties.delayHours, 1, 168), 'penalties.delayHours must be between 1 and 168');
+  } else {
+    errors.push('penalties is required');
+  }
+
+  if (isPlainObject(gameInfo)) {
+    check(typeof gameInfo.enabled === 'boolean', 'gameInfo.enabled must be true or false');
+    check(RECURRENCES.includes(gameInfo.recurrence), `gameInfo.recurrence must be one of: ${RECURRENCES.join(', ')}`);
+    check(gameInfo.monthlyOccurrence === null || MONTHLY_OCCURRENCES.includes(gameInfo.monthlyOccurrence), 'gameInfo.monthlyOccurrence must be 1-4, "last" or empty');
+    check(WEEKDAYS.includes(gameInfo.gameDay), 'gameInfo.gameDay must be a day of the week (0-6)');
+    check(
+      Array.isArray(gameInfo.gameDays) && gameInfo.gameDays.every(day => WEEKDAYS.includes(day)),
+      'gameInfo.gameDays must be a list of days of the week (0-6)'
+    );
+    check(!gameInfo.gameDays?.length || gameInfo.gameDays.includes(gameInfo.gameDay), 'gameInfo.gameDays must include gameInfo.gameDay');
+    check(
+      gameInfo.intervalDays === null || isIntegerInRange(gameInfo.intervalDays, MIN_INTERVAL_DAYS, MAX_INTERVAL_DAYS),
+      `gameInfo.intervalDays must be between ${MIN_INTERVAL_DAYS} and ${MAX_INTERVAL_DAYS} or empty`
+    );
+    check(gameInfo.anchorDate === null || parseDateId(gameInfo.anchorDate), 'gameInfo.anchorDate must be a date (YYYY-MM-DD) or empty');
+
+    if (gameInfo.recurrence === 'biweekly' || gameInfo.recurrence === 'interval') {
+      const anchor = parseDateId(gameInfo.anchorDate);
+      check(anchor, `gameInfo.anchorDate is required for ${gameInfo.recurrence} games`);
+      if (anchor && WEEKDAYS.includes(gameInfo.gameDay)) {
+        check(anchor.getUTCDay() === gameInfo.gameDay, 'gameInfo.anchorDate must fall on gameInfo.gameDay');
+      }
+    }
+    if (gameInfo.recurrence === 'interval') {
+      check(gameInfo.intervalDays !== null, 'gameInfo.intervalDays is required for interval games');
+    }
+
+    // Each game's window has to open after the previous game's period ends
+    // (midnight after it), or two games' signups would overlap
+    if (isPlainObject(accessPeriod) && accessPeriod.enabled && isScheduledRecurrence(gameInfo) && errors.length === 0) {
+      const { openOffset } = getWindowOffsets(accessPeriod, gameInfo.gameDay);
+      const earlyAccessHours = Math.max(0, ...settings.tiers.map(t => t.earlyAccessHours));
+      const openHoursBeforeGameDay = -openOffset * 24 - accessPeriod.startHour - accessPeriod.startMinute / 60 + earlyAccessHours;
+      const gapDays = getMinGameGapDays(gameInfo);
+      check(
+        openHoursBeforeGameDay <= (gapDays - 1) * 24,
+        `The RSVP window (including early access) must open less than ${gapDays} days before each game, after the previous game day`
+      );
+    }
+    for (const field of ['startHour', 'endHour']) {
+      check(isIntegerInRange(gameInfo[field], 0, 23), `gameInfo.${field} must be between 0 and 23`);
+    }
+    for (const field of ['startMinute', 'endMinute']) {
+      check(isIntegerInRange(gameInfo[field], 0, 59), `gameInfo.${field} must be between 0 and 59`);
+    }
+
+    const { location, rules, weather } = gameInfo;
+    if (isPlainObject(location)) {
+      check(typeof location.enabled === 'boolean', 'gameInfo.location.enabled must be true or false');
+      for (const field of ['name', 'area', 'address', 'googleMapsUrl']) {
+        check(typeof location[field] === 'string', `gameInfo.location.${field} must be text`);
+      }
+    } else {
+      errors.push('gameInfo.location is required');
+    }
+    if (isPlainObject(rules)) {
+      check(typeof rules.enabled === 'boolean', 'gameInfo.rules.enabled must be true or false');
+      check(isStringArray(rules.items), 'gameInfo.rules.items must be a list of rules');
+    } else {
+      errors.push('gameInfo.rules is required');
+    }
+    if (isPlainObject(weather)) {
+      check(typeof weather.enabled === 'boolean', 'gameInfo.weather.enabled must be true or false');
+    } else {
+      errors.push('gameInfo.weather is required');
+    }
+  } else {
+    errors.push('gameInfo is required');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
@@ -0,0 +1,56 @@
+import fs from 'fs';
+import path from 'path';
+import { createMemoryDriver } from './memory';
+
+/**
+ * JSON-file storage driver for local development and end-to-end runs.
+ *
+ * The whole store lives in one file shaped `{ data: {}, expiries: {} }`.
+ * Every operation reads, applies and rewrites the file synchronously, so
+ * operations are atomic within a process (which is what SET NX locking needs)
+ * and separate route bundles under `next dev` see each other's writes.
+ */
+
+function load(filePath) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return { data: parsed.data || {}, expiries: parsed.expiries || {} };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Storage file ${filePath} is unreadable, starting empty:`, error.message);
+    }
+    return { data: {}, expiries: {} };
+  }
+}
+
+function save(filePath, state) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Create a driver backed by a JSON file.
+ * @param {string} filePath - Path to the JSON file (created on first write)
+ */
+export function createFileDriver(filePath) {
+  // Apply one memory-driver operation against the on-disk state. The memory
+  // driver's promises resolve without yielding, so nothing interleaves
+  // between the read and the write below.
+  function run(operation, args, { write }) {
+    const state = load(filePath);
+    const driver = createMemoryDriver(state.data, state.expiries);
+    const result = driver[operation](...args);
+    if (write) save(filePath, state);
+    return result;
+  }
+
+  return {
+    name: 'file',
+    get: (key) => run('get', [key], { write: false }),
+    set: (key, value, options) => run('set', [key, value, options], { write: true }),
+    del: (...keys) => run('del', keys, { write: true }),
+    delIfEquals: (key, value) => run('delIfEquals', [key, value], { write: true }),
+  };
+}
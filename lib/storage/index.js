@@ -0,0 +1,71 @@
+import path from 'path';
+import { createMemoryDriver } from './memory';
+import { createFileDriver } from './file';
+import { createVercelKvDriver } from './vercel-kv';
+
+/**
+ * Storage driver selection.
+ *
+ * Every driver implements the same small Redis-like surface:
+ *   get(key) → value | null
+ *   set(key, value, { nx?, xx?, ex?, px?, keepTtl? }) → 'OK' | null
+ *   del(...keys) → number of keys removed
+ *   delIfEquals(key, value) → 1 if the key held `value` and was removed, else 0
+ *
+ * STORAGE_DRIVER picks the driver: 'vercel-kv', 'memory' or 'file'.
+ * When it is unset we use Vercel KV if its credentials are present, the
+ * memory driver under Jest, and the JSON-file driver otherwise (e.g. `next dev`).
+ * The file driver writes to STORAGE_FILE_PATH (default `.data/kv.json`).
+ */
+
+export const DEFAULT_STORAGE_FILE = '.data/kv.json';
+
+const drivers = {
+  'vercel-kv': () => createVercelKvDriver(),
+  memory: () => {
+    // Keep the store on globalThis so it survives Next.js hot reloads
+    globalThis.__playdayMemoryStore ??= { data: {}, expiries: {} };
+    const { data, expiries } = globalThis.__playdayMemoryStore;
+    return createMemoryDriver(data, expiries);
+  },
+  file: () => createFileDriver(path.resolve(process.env.STORAGE_FILE_PATH || DEFAULT_STORAGE_FILE)),
+};
+
+let activeDriver = null;
+
+/**
+ * Work out which driver the environment asks for.
+ * @returns {string} Driver name
+ */
+export function resolveDriverName(env = process.env) {
+  if (env.STORAGE_DRIVER) return env.STORAGE_DRIVER;
+  if (env.KV_REST_API_URL) return 'vercel-kv';
+  if (env.NODE_ENV === 'test') return 'memory';
+  return 'file';
+}
+
+/**
+ * Get the active storage driver, creating it on first use.
+ */
+export function getStorageDriver() {
+  if (!activeDriver) {
+    const name = resolveDriverName();
+    const create = drivers[name];
+    if (!create) {
+      throw new Error(`Unknown STORAGE_DRIVER "${name}". Expected one of: ${Object.keys(drivers).join(', ')}`);
+    }
+    activeDriver = create();
+  }
+  return activeDriver;
+}
+
+/**
+ * Replace the active storage driver (tests, scripts).
+ * Pass null to fall back to environment-based selection.
+ * @param {Object|null} driver
+ */
+export function setStorageDriver(driver) {
+  activeDriver = driver;
+}
+
+export { createMemoryDriver, createFileDriver, createVercelKvDriver };
@@ -0,0 +1,82 @@
+/**
+ * In-memory storage driver.
+ *
+ * Values are JSON round-tripped on the way in and out, the same way the
+ * Vercel KV REST client serializes them, so handlers can't accidentally rely
+ * on sharing object references with the store.
+ */
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Resolve SET options ({ ex, px, exat, pxat }) into an absolute expiry in ms.
+ * @param {Object} [options]
+ * @returns {number|null}
+ */
+export function resolveExpiry(options = {}) {
+  if (options.px) return Date.now() + options.px;
+  if (options.ex) return Date.now() + options.ex * 1000;
+  if (options.pxat) return options.pxat;
+  if (options.exat) return options.exat * 1000;
+  return null;
+}
+
+/**
+ * Create a driver over plain objects.
+ * @param {Object} [store] - key → value map (exposed so tests can seed/inspect it)
+ * @param {Object} [expiries] - key → expiry timestamp (ms)
+ */
+export function createMemoryDriver(store = {}, expiries = {}) {
+  function isLive(key) {
+    if (!(key in store)) return false;
+    const expiresAt = expiries[key];
+    if (expiresAt && expiresAt <= Date.now()) {
+      delete store[key];
+      delete expiries[key];
+      return false;
+    }
+    return true;
+  }
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      return isLive(key) ? clone(store[key]) ?? null : null;
+    },
+
+    async set(key, value, options = {}) {
+      const exists = isLive(key);
+      if (options.nx && exists) return null;
+      if (options.xx && !exists) return null;
+
+      store[key] = clone(value);
+      const expiresAt = resolveExpiry(options);
+      if (expiresAt) {
+        expiries[key] = expiresAt;
+      } else if (!options.keepTtl) {
+        delete expiries[key];
+      }
+      return 'OK';
+    },
+
+    async del(...keys) {
+      let removed = 0;
+      for (const key of keys) {
+        if (isLive(key)) removed++;
+        delete store[key];
+        delete expiries[key];
+      }
+      return removed;
+    },
+
+    async delIfEquals(key, value) {
+      if (!isLive(key) || JSON.stringify(store[key]) !== JSON.stringify(value)) return 0;
+      delete store[key];
+      delete expiries[key];
+      return 1;
+    },
+  };
+}
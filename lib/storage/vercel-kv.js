@@ -0,0 +1,26 @@
+// Compare-and-delete in one round trip, so a lock is never released after it
+// has expired and been taken by someone else
+const DEL_IF_EQUALS_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+/**
+ * Vercel KV (Upstash Redis) storage driver. Reads KV_REST_API_URL and
+ * KV_REST_API_TOKEN on first use.
+ *
+ * The client is imported lazily so environments that never select this
+ * driver (Jest, local file storage) don't have to load it.
+ */
+export function createVercelKvDriver() {
+  let clientPromise = null;
+  const client = () => {
+    clientPromise ??= import('@vercel/kv').then(mod => mod.kv);
+    return clientPromise;
+  };
+
+  return {
+    name: 'vercel-kv',
+    get: async (key) => (await client()).get(key),
+    set: async (key, value, options) => (await client()).set(key, value, options),
+    del: async (...keys) => (await client()).del(...keys),
+    delIfEquals: async (key, value) => (await client()).eval(DEL_IF_EQUALS_SCRIPT, [key], [value]),
+  };
+}
@@ -0,0 +1,219 @@
+/**
+ * Team generation for the main list
+ *
+ * Teams for the current period are stored under `org:{id}:teams`:
+ *   { periodId, teams: [{ name, playerIds }], lockedIds, published, generatedAt }
+ * Players are referenced by signup id so the teams survive list reordering.
+ * The balancing attributes (skill, gender) are optional and live on the
+ * player's whitelist entry; guests and non-members count as average skill
+ * with no gender.
+ */
+
+export const MIN_TEAMS = 2;
+export const MAX_TEAMS = 8;
+export const SKILL_MIN = 1;
+export const SKILL_MAX = 5;
+export const DEFAULT_SKILL = 3;
+export const GENDERS = ['female', 'male', 'other'];
+
+/**
+ * Validate balancing attributes submitted for a whitelist member
+ * @param {{ skill?: number|null, gender?: string|null }} attributes
+ * @returns {string|null} An error message, or null when valid
+ */
+export function validateMemberAttributes({ skill, gender }) {
+  if (skill != null && !(Number.isInteger(skill) && skill >= SKILL_MIN && skill <= SKILL_MAX)) {
+    return `Skill must be a whole number from ${SKILL_MIN} to ${SKILL_MAX}`;
+  }
+  if (gender != null && !GENDERS.includes(gender)) {
+    return `Gender must be one of: ${GENDERS.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Stored teams only apply to the period they were generated for
+ * @param {Object|null} teamsData - Stored teams data
+ * @param {string} periodId - Current period ID
+ * @returns {Object|null}
+ */
+export function currentTeamsData(teamsData, periodId) {
+  return teamsData?.periodId === periodId ? teamsData : null;
+}
+
+/**
+ * Look up a player's balancing attributes from the whitelist
+ * @param {Object} person - A mainList entry
+ * @param {Array} whitelist - The org's whitelist
+ * @returns {{ skill: number, gender: string|null }}
+ */
+export function getPlayerAttributes(person, whitelist) {
+  const member = person.isGuest
+    ? null
+    : whitelist.find(w => w.name.toLowerCase() === person.name.toLowerCase());
+  return {
+    skill: member?.skill ?? DEFAULT_SKILL,
+    gender: member?.gender ?? null,
+  };
+}
+
+// Fisher-Yates shuffle so regenerating gives a different split each time
+function shuffle(items, random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Split players into balanced teams
+ *
+ * Locked players stay on the team they were locked to. Everyone else is
+ * dealt out one gender group at a time, strongest first, always to one of
+ * the smallest teams — preferring the team with the fewest players of that
+ * gender, then the lowest total skill. Sizes never differ by more than one
+ * unless locks force it.
+ *
+ * @param {Array} players - mainList entries to place
+ * @param {Array} whitelist - The org's whitelist, for attributes
+ * @param {Object} options
+ * @param {number} options.teamCount - Number of teams (MIN_TEAMS..MAX_TEAMS)
+ * @param {Object} [options.previous] - Stored teams data, for locks and names
+ * @param {Function} [options.random] - Random source, for tests
+ * @returns {Array<{ name: string, playerIds: number[] }>}
+ */
+export function generateTeams(players, whitelist, { teamCount, previous = null, random = Math.random }) {
+  const teams = Array.from({ length: teamCount }, (_, i) => ({
+    name: previous?.teams?.[i]?.name || `Team ${i + 1}`,
+    playerIds: [],
+    skill: 0,
+    genders: {},
+  }));
+
+  const attributes = new Map(players.map(p => [p.id, getPlayerAttributes(p, whitelist)]));
+  const place = (team, person) => {
+    const { skill, gender } = attributes.get(person.id);
+    team.playerIds.push(person.id);
+    team.skill += skill;
+    if (gender) team.genders[gender] = (team.genders[gender] || 0) + 1;
+  };
+
+  const lockedIds = new Set(previous?.lockedIds || []);
+  const placed = new Set();
+  previous?.teams?.forEach((previousTeam, index) => {
+    if (index >= teamCount) return;
+    for (const id of previousTeam.playerIds) {
+      const person = players.find(p => p.id === id);
+      if (person && lockedIds.has(id)) {
+        place(teams[index], person);
+        placed.add(id);
+      }
+    }
+  });
+
+  const groups = new Map();
+  for (const person of shuffle(players.filter(p => !placed.has(p.id)), random)) {
+    const { gender } = attributes.get(person.id);
+    if (!groups.has(gender)) groups.set(gender, []);
+    groups.get(gender).push(person);
+  }
+
+  // Balance the gendered groups before the players with no gender set
+  const orderedGroups = [...groups.entries()].sort(([a], [b]) => (a === null) - (b === null));
+
+  for (const [gender, group] of orderedGroups) {
+    group.sort((a, b) => attributes.get(b.id).skill - attributes.get(a.id).skill);
+    for (const person of group) {
+      const minSize = Math.min(...teams.map(t => t.playerIds.length));
+      const target = teams
+        .filter(t => t.playerIds.length === minSize)
+        .sort((a, b) =>
+          (gender ? (a.genders[gender] || 0) - (b.genders[gender] || 0) : 0) || a.skill - b.skill
+        )[0];
+      place(target, person);
+    }
+  }
+
+  return teams.map(({ name, playerIds }) => ({ name, playerIds }));
+}
+
+/**
+ * Swap two players between teams, or move a player onto a team
+ * @param {Array} teams - Stored teams
+ * @param {number} personId - Player to move
+ * @param {Object} target - `{ personId }` to swap with, or `{ teamIndex }` to move to
+ * @returns {Array|null} Updated teams, or null if a player or team wasn't found
+ */
+export function moveOrSwapPlayer(teams, personId, target) {
+  const findTeam = id => teams.findIndex(t => t.playerIds.includes(id));
+  const fromIndex = findTeam(personId);
+
+  if (target.personId !== undefined) {
+    const toIndex = findTeam(target.personId);
+    if (fromIndex === -1 || toIndex === -1) return null;
+    return teams.map((team, index) => ({
+      ...team,
+      playerIds: team.playerIds.map(id => {
+        if (index === fromIndex && id === personId) return target.personId;
+        if (index === toIndex && id === target.personId) return personId;
+        return id;
+      }),
+    }));
+  }
+
+  if (!teams[target.teamIndex]) return null;
+  return teams.map((team, index) => {
+    const playerIds = team.playerIds.filter(id => id !== personId);
+    if (index === target.teamIndex) playerIds.push(personId);
+    return { ...team, playerIds };
+  });
+}
+
+/**
+ * Match stored teams against the current main list
+ *
+ * Players who have since left the main list are dropped; anyone on the main
+ * list who isn't on a team yet (late signups, promotions) is returned as
+ * unassigned.
+ * @param {Object|null} teamsData - Stored teams data
+ * @param {Array} mainList - Current main list
+ * @returns {{ teams: Array<{ name: string, players: Object[] }>, unassigned: Object[] }}
+ */
+export function resolveTeams(teamsData, mainList) {
+  if (!teamsData) return { teams: [], unassigned: [] };
+
+  const byId = new Map(mainList.map(p => [p.id, p]));
+  const assigned = new Set();
+  const teams = teamsData.teams.map(team => ({
+    name: team.name,
+    players: team.playerIds.filter(id => byId.has(id)).map(id => {
+      assigned.add(id);
+      return byId.get(id);
+    }),
+  }));
+
+  return { teams, unassigned: mainList.filter(p => !assigned.has(p.id)) };
+}
+
+/**
+ * Summarize a team's balance for display
+ * @param {Array} players - The team's players
+ * @param {Array} whitelist - The org's whitelist, for attributes
+ * @returns {{ size: number, averageSkill: number, genders: Object }}
+ */
+export function summarizeTeam(players, whitelist) {
+  const genders = {};
+  let skill = 0;
+  for (const person of players) {
+    const attributes = getPlayerAttributes(person, whitelist);
+    skill += attributes.skill;
+    if (attributes.gender) genders[attributes.gender] = (genders[attributes.gender] || 0) + 1;
+  }
+  return {
+    size: players.length,
+    averageSkill: players.length ? Math.round((skill / players.length) * 10) / 10 : 0,
+    genders,
+  };
+}
@@ -0,0 +1,87 @@
+import { getOrgData, ORG_KEY_SUFFIXES } from './kv';
+import { getCurrentPeriodId, getNextGameDate, formatGameDate } from './recurrence';
+import { wallClockToUtc, toWallClock } from './timezone';
+import { getParticipantLines, formatParticipant } from './lists';
+import { getGameWeather, formatWeatherSummary } from './weather';
+import { TEMPLATES, usesVariable, renderEmail, formatWhen } from './templates';
+
+/**
+ * Email template variables (see lib/templates.js) from an org's current data
+ */
+
+/**
+ * The variables every template can use (COMMON_VARIABLES), from the org's
+ * current data
+ * @param {Object} org - Organization
+ * @param {Object} settings - Org settings
+ * @param {Object} [options]
+ * @param {Object} [options.rsvpData] - The lists, when already loaded
+ * @param {Array} [options.templates] - Templates being rendered; the forecast is only fetched when one uses {{weather}}
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>}
+ */
+export async function getTemplateVars(org, settings, { rsvpData, templates = [], now = new Date() } = {}) {
+  const timezone = settings.accessPeriod?.timezone || org.timezone || 'Africa/Lagos';
+  const { mainList, waitlist } = rsvpData || await getOrgData(org.id, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
+  const { gameInfo } = settings;
+  const gameDate = gameInfo?.enabled ? getNextGameDate(settings, timezone, now) : null;
+
+  let weather = '';
+  if (gameInfo?.enabled && gameInfo.weather?.enabled && templates.some(t => usesVariable(t, 'weather'))) {
+    weather = formatWeatherSummary((await getGameWeather(org, settings)).weather);
+  }
+
+  return {
+    org: org.name,
+    sport: org.sport || '',
+    date: now.toLocaleDateString('en-US', {
+      timeZone: timezone,
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    }),
+    gameDate: gameDate ? formatGameDate(gameDate) : '',
+    location: gameInfo?.location?.enabled ? [gameInfo.location.name, gameInfo.location.area].filter(Boolean).join(', ') : '',
+    week: getCurrentPeriodId(settings, timezone),
+    count: mainList.length.toString(),
+    waitlistCount: waitlist.length.toString(),
+    list: getParticipantLines(mainList).map(formatParticipant).join('\n'),
+    weather,
+    link: `https://itsplayday.com/${org.slug}`,
+  };
+}
+
+/**
+ * Render a template with the org's current data, filling in the player's
+ * details with an example, for the organizer to preview
+ * @param {Object} org - Organization
+ * @param {Object} settings - Org settings
+ * @param {string} type - One of TEMPLATE_TYPES
+ * @param {Object} template - { subject, body, html }
+ * @returns {Promise<{ subject: string, text: string, html: string }>}
+ * @throws {Error} When the template's {{#if}}s don't match up
+ */
+export async function previewEmail(org, settings, type, template) {
+  const timezone = settings.accessPeriod?.timezone || org.timezone || 'Africa/Lagos';
+  const now = new Date();
+  const rsvpData = await getOrgData(org.id, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
+  const vars = await getTemplateVars(org, settings, { rsvpData, templates: [template], now });
+  const gameDate = settings.gameInfo?.enabled && getNextGameDate(settings, timezone, now);
+  const hourFromNow = new Date(now.getTime() + 60 * 60 * 1000);
+
+  const examples = {
+    name: rsvpData.mainList.find(p => !p.isGuest)?.name || 'Alex',
+    snoozeCode: 'ABC234',
+    unsubscribeLink: `${vars.link}?unsubscribe=example`,
+    claimLink: `${vars.link}?claim=example`,
+    claimBy: formatWhen(new Date(now.getTime() + (settings.claimWindow?.hours || 12) * 60 * 60 * 1000), timezone),
+    closes: formatWhen(hourFromNow, timezone),
+    gameTime: formatWhen(gameDate ? wallClockToUtc(gameDate, timezone) : hourFromNow, timezone),
+    cancelledDate: formatGameDate(gameDate || toWallClock(now, timezone)),
+    reason: 'Pitch closed for maintenance',
+  };
+  // Only the type's own variables, as when it's sent
+  const typeVars = Object.keys(TEMPLATES[type].variables).map(name => [name, examples[name]]);
+  return renderEmail(template, { ...vars, ...Object.fromEntries(typeVars) });
+}
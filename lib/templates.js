@@ -0,0 +1,332 @@
+/**
+ * Email templates
+ *
+ * Organizers can rewrite the emails sent for their group. A template is
+ * { subject, body, html }: `body` is the plain-text version, and `html` is
+ * optional; without it the body is sent as simple HTML paragraphs.
+ * Templates fill in `{{variable}}`s and can show text only when a variable
+ * is set (not empty or 0):
+ *   {{#if weather}}Forecast: {{weather}}{{else}}No forecast yet.{{/if}}
+ * Unknown variables are left as written, so typos show up in the preview.
+ *
+ * The weekly list email keeps its subject and body in settings.email (with
+ * its HTML in settings.email.html). The player emails are stored under
+ * settings.templates[type], where an empty field means the built-in default.
+ * Filling in the variables from an org's data is in lib/template-vars.js.
+ */
+
+export const MAX_TEMPLATE_LENGTH = 20000;
+
+// Variables every template can use
+export const COMMON_VARIABLES = {
+  org: 'Community name',
+  sport: 'Sport',
+  date: "Today's date",
+  gameDate: 'Date of the next game',
+  location: 'Game location',
+  week: 'RSVP period, e.g. 2026-W04',
+  count: 'Players on the main list',
+  waitlistCount: 'Players on the waitlist',
+  list: 'The main list, numbered',
+  weather: 'Forecast for the game, when weather is turned on',
+  link: 'Link to the RSVP page',
+};
+
+const PLAYER_VARIABLES = {
+  name: "Player's name",
+  unsubscribeLink: 'Link to stop these emails',
+};
+
+// Each template type, with the variables it adds to COMMON_VARIABLES
+export const TEMPLATES = {
+  list: {
+    label: 'Weekly list email',
+    description: 'Sent to your recipients with the PDF list when the RSVP window closes',
+    variables: {},
+  },
+  welcome: {
+    label: 'Member welcome',
+    description: 'Sent to new members with their snooze code',
+    variables: { name: "Member's name", snoozeCode: "Member's snooze code" },
+  },
+  promotion: {
+    label: 'Off the waitlist',
+    description: 'Sent to players moved from the waitlist to the main list',
+    variables: PLAYER_VARIABLES,
+  },
+  claim: {
+    label: 'Claim your spot',
+    description: 'Sent instead of "Off the waitlist" when promoted players must claim their spot',
+    variables: { ...PLAYER_VARIABLES, claimBy: 'Deadline to claim the spot', claimLink: 'Link that claims the spot' },
+  },
+  windowOpens: {
+    label: 'RSVP open reminder',
+    description: "Sent to regulars who haven't signed up when the RSVP window opens",
+    variables: { ...PLAYER_VARIABLES, closes: 'When the RSVP window closes' },
+  },
+  windowCloses: {
+    label: 'RSVP closing reminder',
+    description: "Sent to regulars who still haven't signed up before the RSVP window closes",
+    variables: { ...PLAYER_VARIABLES, closes: 'When the RSVP window closes' },
+  },
+  gameTomorrow: {
+    label: 'Game reminder',
+    description: 'Sent to the main list the day before the game',
+    variables: { ...PLAYER_VARIABLES, gameTime: 'When the game starts' },
+  },
+  cancelled: {
+    label: 'Game cancelled',
+    description: 'Sent to everyone signed up when you cancel a game after signups have opened',
+    variables: { ...PLAYER_VARIABLES, cancelledDate: 'Date of the cancelled game', reason: 'Why it was cancelled, if you gave a reason' },
+  },
+};
+
+export const TEMPLATE_TYPES = Object.keys(TEMPLATES);
+
+// Types stored in settings.templates
+export const PLAYER_TEMPLATE_TYPES = TEMPLATE_TYPES.filter(type => type !== 'list');
+
+const button = (href, label) => `
+  <a href="${href}" style="display: inline-block; background: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 16px 0;">
+    ${label}
+  </a>`;
+
+const unsubscribeFooter = `
+  <p style="color: #666; font-size: 14px;">Don't want these emails? <a href="{{unsubscribeLink}}">Unsubscribe</a></p>`;
+
+const layout = (content) => `<div style="font-family: sans-serif; max-width: 500px; margin: 0 auto;">${content}
+</div>`;
+
+export const DEFAULT_TEMPLATES = {
+  welcome: {
+    subject: 'Welcome to {{org}} - Your Member Code',
+    body: "Hi {{name}}!\n\nYou've been added as a VIP member of {{org}}.\n\nYour personal snooze code is: {{snoozeCode}}\n\nUse this code on the RSVP page if you need to skip a week. You'll automatically return to the list the following week.\n\n{{link}}\n\nKeep this code safe - you'll need it whenever you want to skip a week.",
+    html: layout(`
+  <h2>Hi {{name}}!</h2>
+  <p>You've been added as a VIP member of <strong>{{org}}</strong>.</p>
+  <p>Your personal snooze code is:</p>
+  <div style="background: #f3f4f6; padding: 16px; border-radius: 8px; text-align: center; margin: 16px 0;">
+    <span style="font-size: 28px; font-weight: bold; letter-spacing: 4px; font-family: monospace;">{{snoozeCode}}</span>
+  </div>
+  <p>Use this code on the RSVP page if you need to skip a week. You'll automatically return to the list the following week.</p>${button('{{link}}', 'View RSVP Page')}
+  <p style="color: #666; font-size: 14px;">Keep this code safe - you'll need it whenever you want to skip a week.</p>`),
+  },
+  promotion: {
+    subject: "{{org}} - You're off the waitlist!",
+    body: "Hi {{name}}!\n\nA spot opened up and you've moved from the waitlist to the main list for {{org}}. You're in!\n\nIf you can no longer make it, please drop out so the next person can have your spot: {{link}}\n\nDon't want these emails? Unsubscribe: {{unsubscribeLink}}",
+    html: layout(`
+  <h2>Hi {{name}}!</h2>
+  <p>A spot opened up and you've moved from the waitlist to the main list for <strong>{{org}}</strong>. You're in!</p>
+  <p>If you can no longer make it, please drop out so the next person can have your spot.</p>${button('{{link}}', 'View RSVP Page')}${unsubscribeFooter}`),
+  },
+  claim: {
+    subject: '{{org}} - Claim your spot by {{claimBy}}',
+    body: "Hi {{name}}!\n\nA spot opened up on the main list for {{org}} and it's yours if you still want it.\n\nClaim it by {{claimBy}}, or it goes to the next person on the waitlist: {{claimLink}}\n\nDon't want these emails? Unsubscribe: {{unsubscribeLink}}",
+    html: layout(`
+  <h2>Hi {{name}}!</h2>
+  <p>A spot opened up on the main list for <strong>{{org}}</strong> and it's yours if you still want it.</p>
+  <p>Claim it by <strong>{{claimBy}}</strong>, or it goes to the next person on the waitlist.</p>${button('{{claimLink}}', 'Claim My Spot')}${unsubscribeFooter}`),
+  },
+  windowOpens: {
+    subject: '{{org}} - RSVP is open',
+    body: "Hi {{name}}!\n\nRSVP is open for {{org}}. Sign up before it closes on {{closes}}: {{link}}\n\nDon't want these emails? Unsubscribe: {{unsubscribeLink}}",
+    html: layout(`
+  <h2>Hi {{name}}!</h2>
+  <p>RSVP is open for <strong>{{org}}</strong>. Sign up before it closes on <strong>{{closes}}</strong>.</p>${button('{{link}}', 'Sign Up')}${unsubscribeFooter}`),
+  },
+  windowCloses: {
+    subject: '{{org}} - RSVP closes {{closes}}',
+    body: "Hi {{name}}!\n\nYou usually play with {{org}} but haven't signed up yet. Sign up before it closes on {{closes}}: {{link}}\n\nDon't want these emails? Unsubscribe: {{unsubscribeLink}}",
+    html: layout(`
+  <h2>Hi {{name}}!</h2>
+  <p>You usually play with <strong>{{org}}</strong> but haven't signed up yet. Sign up before it closes on <strong>{{closes}}</strong>.</p>${button('{{link}}', 'Sign Up')}${unsubscribeFooter}`),
+  },
+  gameTomorrow: {
+    subject: "{{org}} - You're playing {{gameTime}}",
+    body: "Hi {{name}}!\n\nYou're on the main list for {{org}}, {{gameTime}}{{#if location}} at {{location}}{{/if}}. See you there!\n\nIf you can no longer make it, please drop out so someone on the waitlist can have your spot: {{link}}\n\nDon't want these emails? Unsubscribe: {{unsubscribeLink}}",
+    html: layout(`
+  <h2>Hi {{name}}!</h2>
+  <p>You're on the main list for <strong>{{org}}</strong>, {{gameTime}}{{#if location}} at {{location}}{{/if}}. See you there!</p>
+  <p>If you can no longer make it, please drop out so someone on the waitlist can have your spot.</p>${button('{{link}}', 'View RSVP Page')}${unsubscribeFooter}`),
+  },
+  cancelled: {
+    subject: '{{org}} - {{cancelledDate}} game cancelled',
+    body: "Hi {{name}},\n\nThe {{org}} game on {{cancelledDate}} has been cancelled.{{#if reason}}\n\nReason: {{reason}}{{/if}}\n\nCheck the RSVP page for the next game: {{link}}\n\nDon't want these emails? Unsubscribe: {{unsubscribeLink}}",
+    html: layout(`
+  <h2>Hi {{name}},</h2>
+  <p>The <strong>{{org}}</strong> game on <strong>{{cancelledDate}}</strong> has been cancelled.</p>{{#if reason}}
+  <p>Reason: {{reason}}</p>{{/if}}
+  <p>Check the RSVP page for the next game.</p>${button('{{link}}', 'View RSVP Page')}${unsubscribeFooter}`),
+  },
+};
+
+const TAG = /\{\{\s*(?:#if\s+(\w+)|(else)|(\/if)|(\w+))\s*\}\}/g;
+
+/**
+ * Parse a template into text, variable and conditional nodes
+ * @throws {Error} When its {{#if}}s don't match up
+ */
+function parseTemplate(source) {
+  const root = { then: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  const nodes = () => current().otherwise || current().then;
+  let last = 0;
+
+  for (const match of source.matchAll(TAG)) {
+    const [tag, condition, isElse, isEnd, variable] = match;
+    if (match.index > last) nodes().push(source.slice(last, match.index));
+    last = match.index + tag.length;
+
+    if (condition) {
+      const node = { condition, then: [] };
+      nodes().push(node);
+      stack.push(node);
+    } else if (isElse) {
+      if (stack.length === 1 || current().otherwise) throw new Error('has an {{else}} outside an {{#if}}');
+      current().otherwise = [];
+    } else if (isEnd) {
+      if (stack.length === 1) throw new Error('has an {{/if}} without its {{#if}}');
+      stack.pop();
+    } else {
+      nodes().push({ variable, tag });
+    }
+  }
+  if (last < source.length) nodes().push(source.slice(last));
+  if (stack.length > 1) throw new Error(`has an {{#if ${current().condition}}} without its {{/if}}`);
+  return root.then;
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const isSet = (value) => value !== undefined && value !== null && value !== '' && value !== '0' && value !== 0 && value !== false;
+
+function renderNodes(nodes, vars, html) {
+  return nodes.map(node => {
+    if (typeof node === 'string') return node;
+    if (node.condition) {
+      return renderNodes(isSet(vars[node.condition]) ? node.then : node.otherwise || [], vars, html);
+    }
+    if (!(node.variable in vars)) return node.tag;
+    const value = String(vars[node.variable] ?? '');
+    return html ? escapeHtml(value).replace(/\n/g, '<br>') : value;
+  }).join('');
+}
+
+/**
+ * Fill in a template
+ * @param {string} source - Template text
+ * @param {Object} vars - Variable values
+ * @param {Object} [options]
+ * @param {boolean} [options.html] - Escape values for HTML
+ * @returns {string}
+ * @throws {Error} When the template's {{#if}}s don't match up
+ */
+export function renderTemplate(source, vars, { html = false } = {}) {
+  return renderNodes(parseTemplate(source), vars, html);
+}
+
+/**
+ * Check a template's syntax
+ * @param {string} source - Template text
+ * @returns {string|null} What's wrong with it, e.g. 'has an {{/if}} without its {{#if}}'
+ */
+export function checkTemplate(source) {
+  try {
+    parseTemplate(source);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Whether a template uses a variable, in any of its fields
+ * @param {Object} template - { subject, body, html }
+ * @param {string} name - Variable name
+ */
+export function usesVariable(template, name) {
+  const pattern = new RegExp(`\\{\\{\\s*(#if\\s+)?${name}\\s*\\}\\}`);
+  return ['subject', 'body', 'html'].some(field => pattern.test(template[field] || ''));
+}
+
+// Plain-text body as simple HTML: blank lines separate paragraphs
+function textToHtml(text) {
+  const paragraphs = text.split(/\n\s*\n/).filter(p => p.trim())
+    .map(p => `\n  <p>${escapeHtml(p.trim()).replace(/\n/g, '<br>')}</p>`);
+  return layout(paragraphs.join(''));
+}
+
+/**
+ * The template an org uses for a type, with defaults filled in
+ * @param {Object} settings - Org settings
+ * @param {string} type - One of TEMPLATE_TYPES
+ * @returns {{ subject: string, body: string, html: string }} `html` may be empty
+ */
+export function getTemplate(settings, type) {
+  if (type === 'list') {
+    const { subject = '', body = '', html = '' } = settings?.email || {};
+    return { subject, body, html };
+  }
+  const custom = settings?.templates?.[type] || {};
+  const defaults = DEFAULT_TEMPLATES[type];
+  return {
+    subject: custom.subject || defaults.subject,
+    body: custom.body || defaults.body,
+    html: custom.html || defaults.html,
+  };
+}
+
+/**
+ * Store player templates with fields matching the default left empty, so
+ * they follow the default if it changes
+ * @param {Object} templates - settings.templates
+ * @returns {Object}
+ */
+export function compactTemplates(templates) {
+  return Object.fromEntries(Object.entries(templates).map(([type, template]) => [
+    type,
+    Object.fromEntries(Object.entries(template).map(([field, value]) => [
+      field,
+      value === DEFAULT_TEMPLATES[type]?.[field] ? '' : value,
+    ])),
+  ]));
+}
+
+/**
+ * Render an email from a template
+ * @param {Object} template - { subject, body, html }, e.g. from getTemplate
+ * @param {Object} vars - Variable values
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+export function renderEmail(template, vars) {
+  const text = renderTemplate(template.body, vars);
+  return {
+    subject: renderTemplate(template.subject, vars).replace(/\s*\n\s*/g, ' ').trim(),
+    text,
+    html: template.html ? renderTemplate(template.html, vars, { html: true }) : textToHtml(text),
+  };
+}
+
+/**
+ * Format a time for an email, e.g. "Fri 10:00 AM"
+ * @param {Date|string} date
+ * @param {string} timezone - IANA timezone
+ */
+export function formatWhen(date, timezone) {
+  return new Date(date).toLocaleString('en-US', {
+    timeZone: timezone, weekday: 'short', hour: 'numeric', minute: '2-digit'
+  });
+}
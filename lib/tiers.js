@@ -0,0 +1,147 @@
+/**
+ * Priority tiers
+ *
+ * `settings.tiers` is an ordered list, highest priority first:
+ *   { id, name, reservedSpots, earlyAccessHours }
+ * Every tier but the last is a member tier: whitelist members are assigned
+ * one (`whitelist[].tier`, copied onto their signups as `tier`). The last is
+ * the public tier that everyone else, guests included, falls into.
+ * - reservedSpots: main-list spots held for the tier even when higher tiers
+ *   could fill them. Reserved spots the tier doesn't use go to everyone else.
+ * - earlyAccessHours: how long before the RSVP window opens the tier can sign
+ *   up (always 0 for the public tier, whose window is `accessPeriod`).
+ */
+
+export const PUBLIC_TIER_ID = 'public';
+export const MAX_TIERS = 6;
+export const MAX_EARLY_ACCESS_HOURS = 168;
+
+/**
+ * The tiers every org starts with: one member tier (the old whitelist) and the public
+ */
+export function getDefaultTiers() {
+  return [
+    { id: 'member', name: 'Member', reservedSpots: 0, earlyAccessHours: 0 },
+    { id: PUBLIC_TIER_ID, name: 'Everyone else', reservedSpots: 0, earlyAccessHours: 0 },
+  ];
+}
+
+/**
+ * The tiers members can be assigned to, highest first
+ * @param {Array} tiers - settings.tiers
+ */
+export function getMemberTiers(tiers) {
+  return tiers.filter(t => t.id !== PUBLIC_TIER_ID);
+}
+
+/**
+ * Resolve a member's tier id. Members from before tiers existed belong to the
+ * top tier; members of a tier that was since deleted drop to the lowest one.
+ * @param {string|undefined} tierId - Stored tier id
+ * @param {Array} tiers - settings.tiers
+ */
+export function resolveMemberTierId(tierId, tiers) {
+  const memberTiers = getMemberTiers(tiers);
+  if (!tierId) return memberTiers[0].id;
+  return memberTiers.some(t => t.id === tierId) ? tierId : memberTiers[memberTiers.length - 1].id;
+}
+
+/**
+ * The tier a signup belongs to
+ * @param {Object} person - A mainList/waitlist entry
+ * @param {Array} tiers - settings.tiers
+ */
+export function getPersonTierId(person, tiers) {
+  if (!person.isWhitelisted || person.isGuest) return PUBLIC_TIER_ID;
+  return resolveMemberTierId(person.tier, tiers);
+}
+
+/**
+ * Sort key for a signup's tier; lower sorts first
+ * @param {Object} person - A mainList/waitlist entry
+ * @param {Array} tiers - settings.tiers
+ */
+export function getTierRank(person, tiers) {
+  const tierId = getPersonTierId(person, tiers);
+  return tiers.findIndex(t => t.id === tierId);
+}
+
+/**
+ * How many hours early a tier's RSVP window opens
+ * @param {Array} tiers - settings.tiers
+ * @param {string|null} tierId
+ */
+export function getEarlyAccessHours(tiers, tierId) {
+  if (!tierId || tierId === PUBLIC_TIER_ID) return 0;
+  return tiers?.find(t => t.id === tierId)?.earlyAccessHours || 0;
+}
+
+/**
+ * The tier whose window opens first, i.e. when the period really starts
+ * @param {Array} tiers - settings.tiers
+ * @returns {string|null}
+ */
+export function getEarliestTierId(tiers) {
+  if (!tiers?.length) return null;
+  return tiers.reduce((earliest, tier) =>
+    (tier.earlyAccessHours || 0) > (earliest.earlyAccessHours || 0) ? tier : earliest
+  ).id;
+}
+
+/**
+ * A unique id for a new tier, based on its name
+ * @param {string} name - Tier name
+ * @param {Array} tiers - Existing tiers
+ */
+export function createTierId(name, tiers) {
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'tier';
+  const taken = new Set(tiers.map(t => t.id));
+  let id = base === PUBLIC_TIER_ID ? `${base}-members` : base;
+  for (let n = 2; taken.has(id); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+}
+
+/**
+ * Check a tier list
+ * @param {Array} tiers - settings.tiers
+ * @param {number} mainListLimit - Reservations can't add up to more than this
+ * @returns {string[]} Error messages, empty when valid
+ */
+export function validateTiers(tiers, mainListLimit) {
+  if (!Array.isArray(tiers) || tiers.length < 2 || tiers.length > MAX_TIERS) {
+    return [`tiers must be a list of 2 to ${MAX_TIERS} tiers`];
+  }
+
+  const errors = [];
+  if (tiers[tiers.length - 1].id !== PUBLIC_TIER_ID) {
+    errors.push(`The last tier must be the public tier ("${PUBLIC_TIER_ID}")`);
+  }
+
+  const ids = new Set();
+  tiers.forEach((tier, i) => {
+    const label = `tiers[${i}]`;
+    if (typeof tier.id !== 'string' || !tier.id || ids.has(tier.id)) {
+      errors.push(`${label}.id must be a unique id`);
+    }
+    ids.add(tier.id);
+    if (typeof tier.name !== 'string' || !tier.name.trim()) {
+      errors.push(`${label}.name is required`);
+    }
+    if (!Number.isInteger(tier.reservedSpots) || tier.reservedSpots < 0) {
+      errors.push(`${label}.reservedSpots must be a whole number of 0 or more`);
+    }
+    const maxEarly = tier.id === PUBLIC_TIER_ID ? 0 : MAX_EARLY_ACCESS_HOURS;
+    if (!Number.isInteger(tier.earlyAccessHours) || tier.earlyAccessHours < 0 || tier.earlyAccessHours > maxEarly) {
+      errors.push(`${label}.earlyAccessHours must be between 0 and ${maxEarly}`);
+    }
+  });
+
+  const reserved = tiers.reduce((sum, t) => sum + (Number.isInteger(t.reservedSpots) ? t.reservedSpots : 0), 0);
+  if (reserved > mainListLimit) {
+    errors.push(`Reserved spots (${reserved}) can't be more than the main list limit (${mainListLimit})`);
+  }
+
+  return errors;
+}
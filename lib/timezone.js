@@ -0,0 +1,105 @@
+/**
+ * Zoned time helpers
+ *
+ * Scheduling works in "wall clock" time: what a clock on the wall in the org's
+ * timezone shows. A wall clock is represented as a Date whose UTC fields
+ * (getUTCDay, getUTCHours, setUTCDate, ...) read as the local time in that
+ * zone, so calendar arithmetic on it never depends on the server's own
+ * timezone. Convert back to a real instant with wallClockToUtc() before
+ * storing or sending a time anywhere.
+ *
+ * Offsets come from Intl, so daylight saving transitions are handled:
+ *   - a wall time skipped when clocks go forward resolves to the same
+ *     distance after the jump (02:30 on a 02:00→03:00 night is 03:30)
+ *   - a wall time repeated when clocks go back resolves to its first occurrence
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const formatters = new Map();
+
+function getFormatter(timezone) {
+  let formatter = formatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    });
+    formatters.set(timezone, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * The wall clock time in a timezone at an instant
+ * @param {Date} date - The instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} Wall clock (read with the getUTC* methods)
+ */
+export function toWallClock(date, timezone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(date)) {
+    parts[type] = Number(value);
+  }
+  return new Date(Date.UTC(
+    parts.year, parts.month - 1, parts.day,
+    parts.hour, parts.minute, parts.second, date.getTime() % 1000
+  ));
+}
+
+/**
+ * A timezone's offset from UTC at an instant
+ * @param {Date} date - The instant
+ * @param {string} timezone - IANA timezone
+ * @returns {number} Minutes ahead of UTC (e.g. 60 for Africa/Lagos, -240 for New York in summer)
+ */
+export function getTimezoneOffset(date, timezone) {
+  return Math.round((toWallClock(date, timezone).getTime() - date.getTime()) / MINUTE_MS);
+}
+
+/**
+ * The instant a wall clock time happens in a timezone
+ * @param {Date} wallClock - Wall clock (UTC fields are the local time)
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} The real instant
+ */
+export function wallClockToUtc(wallClock, timezone) {
+  const wallMs = wallClock.getTime();
+
+  // At most one transition happens within a day either side, so the offsets
+  // a day before and after are the only ones this wall time can have
+  const offsetBefore = getTimezoneOffset(new Date(wallMs - DAY_MS), timezone);
+  const offsetAfter = getTimezoneOffset(new Date(wallMs + DAY_MS), timezone);
+
+  const matches = [offsetBefore, offsetAfter]
+    .map(offset => wallMs - offset * MINUTE_MS)
+    .filter(ms => getTimezoneOffset(new Date(ms), timezone) * MINUTE_MS === wallMs - ms);
+
+  if (matches.length > 0) {
+    return new Date(Math.min(...matches));
+  }
+
+  // Skipped by a clock change: keep the distance from the pre-jump offset
+  return new Date(wallMs - Math.min(offsetBefore, offsetAfter) * MINUTE_MS);
+}
+
+/**
+ * Build a wall clock from calendar fields. Out-of-range days roll over into
+ * the next/previous month like the Date constructor.
+ * @param {number} year
+ * @param {number} month - 0-indexed
+ * @param {number} day
+ * @param {number} [hour]
+ * @param {number} [minute]
+ * @returns {Date} Wall clock
+ */
+export function makeWallClock(year, month, day, hour = 0, minute = 0) {
+  return new Date(Date.UTC(year, month, day, hour, minute));
+}
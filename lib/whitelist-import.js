@@ -0,0 +1,161 @@
+import { isValidEmail } from './notifications';
+import { getMemberTiers } from './tiers';
+
+/**
+ * Bulk whitelist import from CSV
+ *
+ * The file has a member per row: name, then an optional email and tier. A
+ * header row naming the columns (Name, Email, Tier, in any order, like the
+ * whitelist export) is used when there is one. The import is planned first,
+ * row by row, against the current whitelist and signups:
+ * - add: a new member
+ * - update: an existing member with a new email (sync mode)
+ * - unchanged: an existing member the file doesn't change (sync mode)
+ * - skip: a row that can't be imported, with the reason
+ * In sync mode, members missing from the file are removed. A blank email
+ * never clears a member's address.
+ */
+
+export const MAX_IMPORT_ROWS = 500;
+export const MAX_IMPORT_LENGTH = 100000;
+
+const COLUMNS = ['name', 'email', 'tier'];
+
+/**
+ * Split CSV text into rows of cells (RFC 4180: quoted cells can hold commas,
+ * quotes as "" and line breaks)
+ * @param {string} text
+ * @returns {Array<{ line: number, cells: string[] }>} Non-blank rows, with the line each starts on
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.some(c => c.trim())) rows.push({ line: rowLine, cells });
+    cells = [];
+    cell = '';
+    rowLine = line;
+  };
+
+  const source = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      line++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  endRow();
+  return rows;
+}
+
+/**
+ * Read members from a whitelist CSV
+ * @param {string} text - The file's contents
+ * @returns {{ members: Array<{ line, name, email, tier }>, error: string|null }}
+ */
+export function parseMemberCsv(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { members: [], error: 'The file is empty' };
+  }
+  if (text.length > MAX_IMPORT_LENGTH) {
+    return { members: [], error: `The file is too large (at most ${MAX_IMPORT_LENGTH / 1000} KB)` };
+  }
+
+  const rows = parseCsv(text);
+  const header = rows[0]?.cells.map(c => c.trim().toLowerCase());
+  const hasHeader = header?.includes('name');
+  const indexes = hasHeader
+    ? Object.fromEntries(COLUMNS.map(column => [column, header.indexOf(column)]))
+    : { name: 0, email: 1, tier: 2 };
+  const cell = (cells, column) => (indexes[column] >= 0 ? cells[indexes[column]] || '' : '').trim();
+
+  const members = (hasHeader ? rows.slice(1) : rows).map(({ line, cells }) => ({
+    line,
+    name: cell(cells, 'name'),
+    email: cell(cells, 'email').toLowerCase(),
+    tier: cell(cells, 'tier'),
+  }));
+
+  if (members.length === 0) return { members, error: 'The file has no members' };
+  if (members.length > MAX_IMPORT_ROWS) {
+    return { members: [], error: `The file has ${members.length} members; import at most ${MAX_IMPORT_ROWS} at a time` };
+  }
+  return { members, error: null };
+}
+
+/**
+ * Work out what importing members would do
+ * @param {Array} members - From parseMemberCsv
+ * @param {Object} current
+ * @param {Array} current.whitelist - The org's whitelist
+ * @param {Array} current.signups - Everyone on the main list and waitlist
+ * @param {Array} current.tiers - settings.tiers
+ * @param {string} [current.defaultTier] - Tier for new members without one in the file
+ * @param {boolean} [sync] - Update existing members' emails and remove members missing from the file
+ * @returns {{ rows: Array, removals: Array, counts: Object }}
+ *   Each row is a member with its `action` (and `reason` when skipped,
+ *   `previousEmail` when updated); removals are whitelist entries
+ */
+export function planWhitelistImport(members, { whitelist, signups, tiers, defaultTier }, sync = false) {
+  const memberTiers = getMemberTiers(tiers);
+  const findTier = (value) => memberTiers.find(t => t.id === value || t.name.toLowerCase() === value.toLowerCase());
+  const fallbackTier = memberTiers.some(t => t.id === defaultTier) ? defaultTier : memberTiers[0].id;
+  const seen = new Map();
+
+  const rows = members.map(member => {
+    const key = member.name.toLowerCase();
+    const skip = reason => ({ ...member, action: 'skip', reason });
+
+    if (!member.name) return skip('Missing name');
+    if (seen.has(key)) return skip(`Same name as line ${seen.get(key)}`);
+    seen.set(key, member.line);
+    if (member.email && !isValidEmail(member.email)) return skip('Invalid email');
+
+    const existing = whitelist.find(w => w.name.toLowerCase() === key);
+    if (existing) {
+      if (!sync) return skip('Already in whitelist');
+      if (member.email && member.email !== existing.email) {
+        return { ...member, name: existing.name, tier: existing.tier, action: 'update', previousEmail: existing.email || null };
+      }
+      return { ...member, name: existing.name, email: existing.email || '', tier: existing.tier, action: 'unchanged' };
+    }
+
+    if (signups.some(p => p.name.toLowerCase() === key)) return skip('Already signed up');
+
+    const tier = member.tier ? findTier(member.tier) : null;
+    if (member.tier && !tier) return skip(`Unknown tier "${member.tier}"`);
+    return { ...member, tier: tier?.id || fallbackTier, action: 'add' };
+  });
+
+  // Any row naming a member keeps them, even one that's skipped
+  const removals = sync ? whitelist.filter(w => !seen.has(w.name.toLowerCase())) : [];
+
+  const counts = { add: 0, update: 0, unchanged: 0, skip: 0, remove: removals.length };
+  rows.forEach(row => counts[row.action]++);
+  return { rows, removals, counts };
+}
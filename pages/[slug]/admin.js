@@ -3,7 +3,14 @@ import Head from 'next/head';
 import Link from 'next/link';
 import { useRouter } from 'next/router';
 import { LAGOS_AREAS, formatLocation, parseArea } from '../../lib/locations';
-import { getNthDayOfMonth } from '../../lib/recurrence';
+import { getNextGameDate as getNextScheduledGame, isScheduledRecurrence, getMinGameGapDays, getWindowOffsets, describeRecurrence, formatGameDate, parseDateId, MIN_INTERVAL_DAYS, MAX_INTERVAL_DAYS } from '../../lib/recurrence';
+import { MAX_SKIP_REASON_LENGTH, MAX_CLAIM_HOURS, MAX_REMINDER_HOURS, REGULAR_LOOKBACK_PERIODS } from '../../lib/settings';
+import { getGuestsOf, nestGuests, MAX_GUESTS_PER_SIGNUP } from '../../lib/lists';
+import { MIN_TEAMS, MAX_TEAMS, SKILL_MIN, SKILL_MAX, DEFAULT_SKILL, GENDERS, resolveTeams, summarizeTeam } from '../../lib/teams';
+import { PUBLIC_TIER_ID, MAX_TIERS, MAX_EARLY_ACCESS_HOURS, getDefaultTiers, getMemberTiers, resolveMemberTierId, createTierId } from '../../lib/tiers';
+import { MAX_EVENT_NAME_LENGTH, MAX_EVENT_DESCRIPTION_LENGTH, describeEventTime } from '../../lib/events';
+import { TEMPLATES, COMMON_VARIABLES, DEFAULT_TEMPLATES, PLAYER_TEMPLATE_TYPES } from '../../lib/templates';
+import { LEADERBOARD_SIZE } from '../../lib/player-stats';
 
 // Helper: Format time as 12-hour with am/pm
 function formatTime12h(hour, minute) {
@@ -13,6 +20,60 @@ function formatTime12h(hour, minute) {
   return `${h}:${m}${ampm}`;
 }
 
+// Columns of the player stats table; the numbers sort highest first
+const PLAYER_STAT_COLUMNS = [
+  { key: 'played', label: 'Played' },
+  { key: 'currentStreak', label: 'Streak' },
+  { key: 'longestStreak', label: 'Best streak' },
+  { key: 'waitlisted', label: 'Waitlisted' },
+  { key: 'snoozed', label: 'Snoozed' },
+  { key: 'dropouts', label: 'Dropouts' },
+  { key: 'noShows', label: 'No-shows' },
+];
+
+// Helpers: Convert between a stored event and the event form's fields
+const EMPTY_EVENT_FORM = {
+  name: '', description: '', date: '', startTime: '10:00', endTime: '16:00', mainListLimit: 30,
+  rsvpOpens: '', rsvpCloses: '', locationName: '', locationAddress: '', googleMapsUrl: '', rules: '',
+};
+
+function eventToForm(event) {
+  const pad = n => n.toString().padStart(2, '0');
+  return {
+    name: event.name,
+    description: event.description,
+    date: event.date,
+    startTime: `${pad(event.startHour)}:${pad(event.startMinute)}`,
+    endTime: `${pad(event.endHour)}:${pad(event.endMinute)}`,
+    mainListLimit: event.mainListLimit,
+    rsvpOpens: event.rsvpOpens || '',
+    rsvpCloses: event.rsvpCloses || '',
+    locationName: event.location.name,
+    locationAddress: event.location.address,
+    googleMapsUrl: event.location.googleMapsUrl,
+    rules: event.rules.join('\n'),
+  };
+}
+
+function formToEvent(form) {
+  const [startHour, startMinute] = form.startTime.split(':').map(Number);
+  const [endHour, endMinute] = form.endTime.split(':').map(Number);
+  return {
+    name: form.name,
+    description: form.description,
+    date: form.date,
+    startHour,
+    startMinute,
+    endHour,
+    endMinute,
+    mainListLimit: parseInt(form.mainListLimit, 10),
+    rsvpOpens: form.rsvpOpens || null,
+    rsvpCloses: form.rsvpCloses || null,
+    location: { name: form.locationName.trim(), area: '', address: form.locationAddress.trim(), googleMapsUrl: form.googleMapsUrl.trim() },
+    rules: form.rules.split('\n').map(rule => rule.trim()).filter(Boolean),
+  };
+}
+
 // Helper: Calculate time remaining until close
 function getTimeUntilClose(accessPeriod, timezone) {
   if (!accessPeriod?.enabled) return null;
@@ -108,9 +169,574 @@ function TimePicker({ hour, minute, onChange, label }) {
   );
 }
 
+// Edits one email template, with its variables and a preview rendered
+// by the server with the org's current data
+function TemplateEditor({ slug, type, template, onChange }) {
+  const [preview, setPreview] = useState(null);
+  const [previewError, setPreviewError] = useState(null);
+  const [showHtml, setShowHtml] = useState(!!template.html);
+  const defaults = DEFAULT_TEMPLATES[type];
+  const value = (field) => template[field] || defaults?.[field] || '';
+  const variables = { ...COMMON_VARIABLES, ...TEMPLATES[type].variables };
+  const draft = JSON.stringify(template);
+
+  useEffect(() => {
+    const timer = setTimeout(async () => {
+      try {
+        const res = await fetch(`/api/org/${slug}/admin`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ action: 'preview-email', data: { type, template: JSON.parse(draft) } }),
+        });
+        const data = await res.json();
+        if (res.ok) {
+          setPreview(data);
+          setPreviewError(null);
+        } else {
+          setPreviewError(data.error);
+        }
+      } catch (error) {
+        setPreviewError('Failed to load preview');
+      }
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [slug, type, draft]);
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Subject</label>
+        <input
+          type="text"
+          value={value('subject')}
+          onChange={e => onChange({ ...template, subject: e.target.value })}
+          className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Body</label>
+        <textarea
+          value={value('body')}
+          onChange={e => onChange({ ...template, body: e.target.value })}
+          rows={6}
+          className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
+        />
+        <p className="text-xs text-gray-500 mt-1">Plain text, for email apps that don&apos;t show HTML</p>
+      </div>
+
+      <div>
+        <button
+          type="button"
+          onClick={() => setShowHtml(!showHtml)}
+          className="text-sm text-blue-600 hover:text-blue-700"
+        >
+          {showHtml ? 'Hide HTML version' : 'Edit HTML version'}
+        </button>
+        {showHtml && (
+          <div className="mt-2">
+            <textarea
+              value={value('html')}
+              onChange={e => onChange({ ...template, html: e.target.value })}
+              placeholder={defaults ? undefined : 'Leave empty to send the body as HTML'}
+              rows={8}
+              className="w-full px-3 py-2 border border-gray-200 rounded-lg text-xs font-mono"
+            />
+          </div>
+        )}
+      </div>
+
+      <details className="text-xs text-gray-600">
+        <summary className="cursor-pointer text-gray-500">Variables</summary>
+        <dl className="mt-2 grid grid-cols-[auto,1fr] gap-x-3 gap-y-1">
+          {Object.entries(variables).map(([name, description]) => (
+            <div key={name} className="contents">
+              <dt className="font-mono text-gray-800">{`{{${name}}}`}</dt>
+              <dd>{description}</dd>
+            </div>
+          ))}
+        </dl>
+        <p className="mt-2">
+          Show text only when a variable is set with {'{{#if waitlistCount}}...{{else}}...{{/if}}'}.
+        </p>
+      </details>
+
+      <div>
+        <span className="text-sm font-medium text-gray-700 block mb-2">Preview</span>
+        {previewError ? (
+          <p className="text-sm text-red-600">{previewError}</p>
+        ) : preview ? (
+          <div className="bg-gray-50 rounded-lg p-4 space-y-3">
+            <p className="text-sm font-medium text-gray-800">{preview.subject}</p>
+            <iframe
+              title={`${TEMPLATES[type].label} preview`}
+              srcDoc={preview.html}
+              sandbox=""
+              className="w-full h-72 bg-white border border-gray-200 rounded"
+            />
+          </div>
+        ) : (
+          <p className="text-sm text-gray-400">Loading preview...</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// A whitelist member's editable profile, with their history from the
+// archive and logs
+function MemberProfile({ slug, name, onClose, onUpdated, showMessage }) {
+  const [profile, setProfile] = useState(null);
+  const [form, setForm] = useState(null);
+  const [newName, setNewName] = useState(name);
+  const [busy, setBusy] = useState(false);
+  // The parent's showMessage changes every render; loading shouldn't
+  const showMessageRef = useRef(showMessage);
+  showMessageRef.current = showMessage;
+
+  const post = useCallback(async (action, data) => {
+    const res = await fetch(`/api/org/${slug}/admin`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action, data }),
+    });
+    const body = await res.json();
+    if (!res.ok) throw new Error(body.error);
+    return body;
+  }, [slug]);
+
+  const load = useCallback(async (memberName) => {
+    try {
+      const data = await post('get-member-profile', { name: memberName });
+      const { member } = data;
+      setProfile(data);
+      setNewName(member.name);
+      setForm({
+        email: member.email || '',
+        phone: member.phone || '',
+        notes: member.notes || '',
+        tags: (member.tags || []).join(', '),
+        expiresOn: member.expiresOn || '',
+      });
+    } catch (error) {
+      showMessageRef.current(error.message || 'Failed to load profile', 'error');
+    }
+  }, [post]);
+
+  useEffect(() => {
+    load(name);
+  }, [load, name]);
+
+  async function handleRename() {
+    setBusy(true);
+    try {
+      const data = await post('rename-member', { name: profile.member.name, newName });
+      onUpdated(data);
+      await load(newName.trim());
+      showMessage('Member renamed');
+    } catch (error) {
+      showMessage(error.message || 'Failed to rename member', 'error');
+    }
+    setBusy(false);
+  }
+
+  async function handleSave() {
+    setBusy(true);
+    try {
+      const data = await post('update-member-profile', {
+        name: profile.member.name,
+        ...form,
+        tags: form.tags.split(','),
+      });
+      onUpdated(data);
+      await load(profile.member.name);
+      showMessage('Profile saved');
+    } catch (error) {
+      showMessage(error.message || 'Failed to save profile', 'error');
+    }
+    setBusy(false);
+  }
+
+  const history = profile?.history;
+  const listLabels = { main: 'Main list', waitlist: 'Waitlist' };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg max-w-lg w-full p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h3 className="text-lg font-semibold">{profile?.member.name || name}</h3>
+            {profile?.member.previousNames?.length > 0 && (
+              <p className="text-xs text-gray-400">Previously {profile.member.previousNames.join(', ')}</p>
+            )}
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 text-xl leading-none">×</button>
+        </div>
+
+        {!form ? (
+          <p className="text-gray-400 text-center py-8">Loading...</p>
+        ) : (
+          <div className="space-y-6">
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">Name</label>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={newName}
+                  onChange={e => setNewName(e.target.value)}
+                  className="flex-1 px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                />
+                <button
+                  onClick={handleRename}
+                  disabled={busy || !newName.trim() || newName.trim() === profile.member.name}
+                  className="px-3 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg text-sm disabled:opacity-50"
+                >
+                  Rename
+                </button>
+              </div>
+              <p className="text-xs text-gray-400 mt-1">Their signup on the current list is renamed too</p>
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-xs text-gray-500 mb-1">Email</label>
+                <input
+                  type="email"
+                  value={form.email}
+                  onChange={e => setForm({ ...form, email: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-500 mb-1">Phone</label>
+                <input
+                  type="tel"
+                  value={form.phone}
+                  onChange={e => setForm({ ...form, phone: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-500 mb-1">Tags</label>
+                <input
+                  type="text"
+                  value={form.tags}
+                  onChange={e => setForm({ ...form, tags: e.target.value })}
+                  placeholder="captain, paid"
+                  className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-500 mb-1">Membership ends</label>
+                <input
+                  type="date"
+                  value={form.expiresOn}
+                  onChange={e => setForm({ ...form, expiresOn: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                />
+              </div>
+            </div>
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">Notes</label>
+              <textarea
+                value={form.notes}
+                onChange={e => setForm({ ...form, notes: e.target.value })}
+                rows={3}
+                className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
+              />
+              <p className="text-xs text-gray-400 mt-1">
+                Once a membership ends, they sign up like everyone else and aren&apos;t carried over to the next list.
+              </p>
+            </div>
+            <button
+              onClick={handleSave}
+              disabled={busy}
+              className="w-full px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              {busy ? 'Saving...' : 'Save Profile'}
+            </button>
+
+            <div className="border-t border-gray-100 pt-4">
+              <h4 className="font-medium mb-2">History</h4>
+              {profile.snoozedNow && (
+                <p className="text-sm text-amber-700 mb-2">Skipping this period</p>
+              )}
+              <div className="flex flex-wrap gap-2 mb-4 text-xs">
+                {[
+                  ['Main list', history.totals.mainList],
+                  ['Waitlist', history.totals.waitlist],
+                  ['Snoozed', history.totals.snoozed],
+                  ['Checked in', history.totals.checkedIn],
+                  ['No-shows', history.totals.noShows],
+                  ['Dropouts', history.totals.dropouts],
+                ].map(([label, count]) => (
+                  <span key={label} className="px-2 py-1 bg-gray-100 text-gray-700 rounded-full">
+                    {label} <span className="font-semibold">{count}</span>
+                  </span>
+                ))}
+              </div>
+              {history.periods.length === 0 ? (
+                <p className="text-sm text-gray-400">Not in any archived period yet</p>
+              ) : (
+                <div className="divide-y divide-gray-100 text-sm">
+                  {history.periods.map(period => (
+                    <div key={period.periodId} className="flex justify-between py-1">
+                      <span className="text-gray-600">{period.periodId}</span>
+                      <span className="text-gray-500">
+                        {[
+                          listLabels[period.list],
+                          period.snoozed && 'Snoozed',
+                          period.checkedIn === true && 'Checked in',
+                          period.checkedIn === false && 'No-show',
+                        ].filter(Boolean).join(' · ')}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+              {history.dropouts.length > 0 && (
+                <>
+                  <h5 className="text-sm font-medium mt-4 mb-1">Dropouts</h5>
+                  <div className="divide-y divide-gray-100 text-sm">
+                    {history.dropouts.map((dropout, i) => (
+                      <div key={i} className="flex justify-between py-1">
+                        <span className="text-gray-600">{new Date(dropout.timestamp).toLocaleString()}</span>
+                        <span className="text-gray-500">
+                          {[listLabels[dropout.list], dropout.periodId, dropout.reason].filter(Boolean).join(' · ')}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </>
+              )}
+              {history.strikes.length > 0 && (
+                <>
+                  <h5 className="text-sm font-medium mt-4 mb-1">Strikes</h5>
+                  <div className="divide-y divide-gray-100 text-sm">
+                    {history.strikes.map(strike => (
+                      <div key={strike.id} className={`flex justify-between py-1 ${strike.pardonedAt ? 'text-gray-400 line-through' : 'text-gray-600'}`}>
+                        <span>{strike.reason === 'no-show' ? 'No-show' : 'Late dropout'}</span>
+                        <span>{strike.periodId}</span>
+                      </div>
+                    ))}
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Helper: Format a number of minutes like "45m", "3h 20m" or "2d 4h"
+function formatDuration(minutes) {
+  if (minutes < 60) return `${Math.round(minutes)}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}h ${Math.round(minutes % 60)}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+const formatPercent = value => `${Math.round(value * 100)}%`;
+
+// Bar chart of one value per period, stacked when there's more than one series.
+// Plain divs, so it needs no chart library or service; hover a bar for its numbers.
+function BarChart({ title, periods, series, format = value => value, isMuted = () => false }) {
+  const max = Math.max(...periods.map(p => series.reduce((sum, s) => sum + (p[s.key] ?? 0), 0))) || 1;
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h3 className="font-medium text-sm">
+          {title} <span className="text-xs font-normal text-gray-400">(up to {format(max)})</span>
+        </h3>
+        {series.length > 1 && (
+          <div className="flex gap-3 text-xs text-gray-500">
+            {series.map(s => (
+              <span key={s.key} className="flex items-center gap-1">
+                <span className={`w-2 h-2 rounded-sm ${s.color}`} /> {s.label}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+      <div className="flex items-end gap-px h-32 border-b border-gray-200">
+        {periods.map(period => {
+          const missing = series.every(s => period[s.key] == null);
+          const tooltip = [period.periodId, ...series.map(s =>
+            `${s.label}: ${period[s.key] == null ? 'not tracked' : format(period[s.key])}`
+          )].join('\n');
+          return (
+            <div key={period.periodId} title={tooltip} className="flex-1 h-full flex flex-col-reverse min-w-0">
+              {missing ? (
+                <div className="h-px border-t border-dashed border-gray-300" />
+              ) : series.map(s => (
+                <div
+                  key={s.key}
+                  className={`${s.color} ${isMuted(period) ? 'opacity-40' : ''}`}
+                  style={{ height: `${((period[s.key] ?? 0) / max) * 100}%` }}
+                />
+              ))}
+            </div>
+          );
+        })}
+      </div>
+      <div className="flex justify-between mt-1 text-xs text-gray-400">
+        <span>{periods[0]?.periodId}</span>
+        <span>{periods[periods.length - 1]?.periodId}</span>
+      </div>
+    </div>
+  );
+}
+
+// Analytics for the org's games, loaded from /api/org/[slug]/analytics
+function Analytics({ slug }) {
+  const [range, setRange] = useState({ from: '', to: '' });
+  const [analytics, setAnalytics] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const params = new URLSearchParams(Object.entries(range).filter(([, value]) => value));
+    fetch(`/api/org/${slug}/analytics?${params}`)
+      .then(async res => {
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.error);
+        setAnalytics(body);
+        setError(null);
+      })
+      .catch(err => setError(err.message || 'Failed to load analytics'));
+  }, [slug, range]);
+
+  const summary = analytics?.summary;
+  const periods = analytics?.periods || [];
+  const unfilled = period => period.filled === false;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg border border-gray-200 p-4">
+        <h2 className="font-semibold mb-1">Analytics</h2>
+        <p className="text-xs text-gray-400 mb-4">
+          Games between these dates, by when each period was archived. Leave them empty for everything.
+          Faded bars are games whose main list didn&apos;t fill.
+        </p>
+        <div className="flex flex-wrap items-end gap-3">
+          <label className="text-sm text-gray-600">
+            From
+            <input
+              type="date"
+              value={range.from}
+              max={range.to || undefined}
+              onChange={e => setRange({ ...range, from: e.target.value })}
+              className="block mt-1 px-3 py-2 border border-gray-200 rounded-lg text-sm"
+            />
+          </label>
+          <label className="text-sm text-gray-600">
+            To
+            <input
+              type="date"
+              value={range.to}
+              min={range.from || undefined}
+              onChange={e => setRange({ ...range, to: e.target.value })}
+              className="block mt-1 px-3 py-2 border border-gray-200 rounded-lg text-sm"
+            />
+          </label>
+        </div>
+        {error && <p className="text-sm text-red-600 mt-3">{error}</p>}
+      </div>
+
+      {!analytics ? (
+        !error && <p className="text-gray-400 text-center py-8">Loading...</p>
+      ) : periods.length === 0 ? (
+        <p className="text-gray-400 text-center py-8">No archived games in this range yet</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            {[
+              ['Time to fill', summary.averageMinutesToFill === null ? '—' : formatDuration(summary.averageMinutesToFill), 'average'],
+              ['Games filled', `${summary.filledCount}/${summary.periodCount}`, 'main list full'],
+              ['Signups', summary.averageSignups.toFixed(1), 'per game'],
+              ['Waitlist', summary.averageWaitlist.toFixed(1), 'at its longest, per game'],
+              ['Dropout rate', summary.dropoutRate === null ? '—' : formatPercent(summary.dropoutRate), 'of signups'],
+              ['New players', summary.newPlayers, 'first game in this range'],
+              ['Snoozes', summary.averageSnoozed.toFixed(1), 'members per game'],
+            ].map(([label, value, note]) => (
+              <div key={label} className="bg-white rounded-lg border border-gray-200 p-3">
+                <div className="text-xs text-gray-500">{label}</div>
+                <div className="text-xl font-semibold">{value}</div>
+                <div className="text-xs text-gray-400">{note}</div>
+              </div>
+            ))}
+          </div>
+
+          <div className="grid md:grid-cols-2 gap-4">
+            <BarChart
+              title="Time to fill after the window opens"
+              periods={periods}
+              series={[{ key: 'minutesToFill', label: 'Time to fill', color: 'bg-blue-500' }]}
+              format={formatDuration}
+            />
+            <BarChart
+              title="Signups"
+              periods={periods}
+              series={[{ key: 'signups', label: 'Signups', color: 'bg-blue-500' }]}
+              isMuted={unfilled}
+            />
+            <BarChart
+              title="Waitlist depth"
+              periods={periods}
+              series={[{ key: 'waitlist', label: 'Waitlist', color: 'bg-amber-500' }]}
+            />
+            <BarChart
+              title="Dropout rate"
+              periods={periods}
+              series={[{ key: 'dropoutRate', label: 'Dropout rate', color: 'bg-red-400' }]}
+              format={formatPercent}
+            />
+            <BarChart
+              title="New and returning players"
+              periods={periods}
+              series={[
+                { key: 'returningPlayers', label: 'Returning', color: 'bg-blue-500' },
+                { key: 'newPlayers', label: 'New', color: 'bg-green-500' },
+              ]}
+              isMuted={unfilled}
+            />
+            <BarChart
+              title="Members snoozing"
+              periods={periods}
+              series={[{ key: 'snoozed', label: 'Snoozed', color: 'bg-gray-400' }]}
+            />
+          </div>
+
+          {summary.weakPeriods.length > 0 && (
+            <div className="bg-white rounded-lg border border-gray-200 p-4">
+              <h3 className="font-medium text-sm mb-1">Weak games</h3>
+              <p className="text-xs text-gray-400 mb-3">Games whose main list didn&apos;t fill, emptiest first.</p>
+              <div className="divide-y divide-gray-100 text-sm">
+                {summary.weakPeriods.map(periodId => {
+                  const period = periods.find(p => p.periodId === periodId);
+                  return (
+                    <div key={periodId} className="flex justify-between py-1">
+                      <span className="text-gray-600">{periodId}</span>
+                      <span className="text-gray-500">
+                        {period.played}/{period.mainListLimit} played · {period.signups} signups · {period.snoozed} snoozed
+                      </span>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
 // Visual timeline component showing the weekly recurring schedule
 // Always shows events in logical order: RSVP Opens -> RSVP Closes -> Game Starts -> Game Ends -> Repeat
-function WeeklyTimeline({ gameDay, gameStartHour, gameStartMinute, gameEndHour, gameEndMinute, rsvpOpenDay, rsvpOpenHour, rsvpOpenMinute, rsvpCloseDay, rsvpCloseHour, rsvpCloseMinute, recurrence, monthlyOccurrence }) {
+function WeeklyTimeline({ gameDay, gameStartHour, gameStartMinute, gameEndHour, gameEndMinute, rsvpOpenDay, rsvpOpenHour, rsvpOpenMinute, rsvpCloseDay, rsvpCloseHour, rsvpCloseMinute, recurrence, monthlyOccurrence, gameDays = [], anchorDate = null, intervalDays = null, timezone }) {
   const fullDays = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
   const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 
@@ -121,39 +747,13 @@ function WeeklyTimeline({ gameDay, gameStartHour, gameStartMinute, gameEndHour,
     return `${hour}:${min}${ampm}`;
   };
 
-  // Calculate the next upcoming game date
+  const gameInfo = { recurrence, monthlyOccurrence, gameDay, gameDays, anchorDate, intervalDays, startHour: gameStartHour, startMinute: gameStartMinute, endHour: gameEndHour, endMinute: gameEndMinute };
+
+  // The next upcoming game, as a local date for display
   const getNextGameDate = () => {
-    const now = new Date();
-    if (recurrence === 'monthly') {
-      const year = now.getFullYear();
-      const month = now.getMonth();
-      // Check current month first, then next months
-      for (let offset = 0; offset <= 2; offset++) {
-        const m = (month + offset) % 12;
-        const y = (month + offset) >= 12 ? year + 1 : year;
-        const candidate = getNthDayOfMonth(y, m, gameDay, monthlyOccurrence || 1);
-        if (candidate) {
-          const gameDateTime = new Date(candidate);
-          gameDateTime.setHours(gameStartHour, gameStartMinute, 0, 0);
-          if (gameDateTime > now) return candidate;
-        }
-      }
-      return null;
-    }
-    // Weekly: find next occurrence of gameDay
-    const today = now.getDay();
-    let daysUntil = gameDay - today;
-    if (daysUntil < 0) daysUntil += 7;
-    if (daysUntil === 0) {
-      const gameTime = new Date(now);
-      gameTime.setHours(gameStartHour, gameStartMinute, 0, 0);
-      if (now >= gameTime) daysUntil = 7;
-    }
-    const nextGame = new Date(now);
-    nextGame.setDate(nextGame.getDate() + daysUntil);
-    return nextGame;
+    const next = getNextScheduledGame({ gameInfo }, timezone || Intl.DateTimeFormat().resolvedOptions().timeZone);
+    return next && new Date(next.getUTCFullYear(), next.getUTCMonth(), next.getUTCDate());
   };
-
   const nextGameDate = getNextGameDate();
 
   // Get the actual date for each event relative to the next game date
@@ -228,7 +828,9 @@ function WeeklyTimeline({ gameDay, gameStartHour, gameStartMinute, gameEndHour,
             <span className="text-xs text-gray-500 italic">
               {recurrence === 'monthly'
                 ? `Cycle repeats monthly (${monthlyOccurrence === 'last' ? 'last' : ['1st', '2nd', '3rd', '4th'][monthlyOccurrence - 1] || '1st'} ${fullDays[gameDay]})`
-                : 'Cycle repeats weekly'}
+                : isScheduledRecurrence(gameInfo)
+                  ? `Cycle repeats for every game (${describeRecurrence(gameInfo)})`
+                  : 'Cycle repeats weekly'}
             </span>
           </div>
         </div>
@@ -274,20 +876,51 @@ export default function OrgAdmin() {
   const [emailStatus, setEmailStatus] = useState(null);
   const [lastEmailWeek, setLastEmailWeek] = useState(null);
   const [emailLog, setEmailLog] = useState([]);
+  const [deliveryLog, setDeliveryLog] = useState({ messages: [], total: 0 });
+  const [loadingMoreEmails, setLoadingMoreEmails] = useState(false);
+  const [retryingEmail, setRetryingEmail] = useState(null);
   const [sendingTestEmail, setSendingTestEmail] = useState(false);
+  const [templateType, setTemplateType] = useState(PLAYER_TEMPLATE_TYPES[0]);
 
   // Dropout log
   const [dropoutLog, setDropoutLog] = useState([]);
+  const [noShows, setNoShows] = useState({ periods: [], totals: [] });
+  const [strikes, setStrikes] = useState([]);
+  const [playerStats, setPlayerStats] = useState({ periodCount: 0, seasonStart: null, season: [], allTime: [] });
+  const [statsView, setStatsView] = useState({ range: 'season', sort: 'played' });
+  const [lottery, setLottery] = useState({ awaitingDraw: false, draw: null });
+
+  // Teams
+  const [teams, setTeams] = useState(null);
+  const [teamCount, setTeamCount] = useState(2);
+  const [selectedPlayerId, setSelectedPlayerId] = useState(null);
 
   // Whitelist form
   const [newWhitelistNames, setNewWhitelistNames] = useState('');
   const [newMemberName, setNewMemberName] = useState('');
   const [newMemberEmail, setNewMemberEmail] = useState('');
+  const [newMemberTier, setNewMemberTier] = useState('');
   const [resendingCode, setResendingCode] = useState(null);
+  const [memberImport, setMemberImport] = useState({ csv: '', sync: false, tier: '' });
+  const [importPlan, setImportPlan] = useState(null);
+  const [importResult, setImportResult] = useState(null);
+  const [profileMember, setProfileMember] = useState(null);
 
   // Game info form
   const [newRule, setNewRule] = useState('');
 
+  // Skip dates and cancellations
+  const [currentGame, setCurrentGame] = useState(null);
+  const [newSkipDate, setNewSkipDate] = useState('');
+  const [newSkipReason, setNewSkipReason] = useState('');
+  const [cancelReason, setCancelReason] = useState('');
+
+  // One-off events
+  const [events, setEvents] = useState([]);
+  const [eventForm, setEventForm] = useState(EMPTY_EVENT_FORM);
+  const [editingEventId, setEditingEventId] = useState(null);
+  const [showEventForm, setShowEventForm] = useState(false);
+
   // Delete confirmation
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [deleteConfirmName, setDeleteConfirmName] = useState('');
@@ -304,6 +937,8 @@ export default function OrgAdmin() {
 
   // PDF export
   const [exportingPdf, setExportingPdf] = useState(false);
+  const [exportRange, setExportRange] = useState({ from: '', to: '' });
+  const [exportSnoozeCodes, setExportSnoozeCodes] = useState(false);
 
   // Email form - separate state for text inputs to allow typing commas
   const [emailRecipients, setEmailRecipients] = useState('');
@@ -313,6 +948,20 @@ export default function OrgAdmin() {
   // Settings form
   const [settingsForm, setSettingsForm] = useState({
     mainListLimit: 30,
+    maxGuestsPerSignup: 0,
+    allocationMode: 'first-come',
+    tiers: getDefaultTiers(),
+    claimWindow: {
+      enabled: false,
+      hours: 12,
+    },
+    reminders: {
+      windowOpens: false,
+      windowCloses: false,
+      hoursBeforeClose: 3,
+      gameTomorrow: false,
+      regularGames: 2,
+    },
     accessPeriod: {
       enabled: true,
       startDay: 4,
@@ -329,12 +978,17 @@ export default function OrgAdmin() {
       bcc: [],
       subject: 'Weekly RSVP List - {{week}}',
       body: 'Please find attached the RSVP list for this week.\n\nTotal participants: {{count}}',
+      html: '',
     },
+    templates: Object.fromEntries(PLAYER_TEMPLATE_TYPES.map(type => [type, { subject: '', body: '', html: '' }])),
     gameInfo: {
       enabled: false,
       recurrence: 'weekly',
       monthlyOccurrence: null,
       gameDay: 0, // Sunday
+      gameDays: [],
+      anchorDate: null,
+      intervalDays: null,
       startHour: 17,
       startMinute: 0,
       endHour: 19,
@@ -357,6 +1011,19 @@ export default function OrgAdmin() {
       enabled: false,
       groupUrl: '',
     },
+    leaderboard: {
+      enabled: false,
+      seasonStart: null,
+    },
+    penalties: {
+      enabled: false,
+      lateDropoutHours: 24,
+      noShowStrikes: true,
+      strikeLimit: 2,
+      windowWeeks: 4,
+      penalty: 'lose-priority',
+      delayHours: 12,
+    },
   });
 
   useEffect(() => {
@@ -390,15 +1057,32 @@ export default function OrgAdmin() {
         setEmailStatus(data.emailStatus || null);
         setLastEmailWeek(data.lastEmailWeek || null);
         setEmailLog(data.emailLog || []);
+        setDeliveryLog(data.deliveryLog || { messages: [], total: 0 });
         setDropoutLog(data.dropoutLog || []);
+        setNoShows(data.noShows || { periods: [], totals: [] });
+        setStrikes(data.strikes || []);
+        setPlayerStats(data.playerStats || { periodCount: 0, seasonStart: null, season: [], allTime: [] });
+        setLottery(data.lottery || { awaitingDraw: false, draw: null });
+        setCurrentGame(data.currentGame || null);
+        setEvents(data.events || []);
+        setTeams(data.teams || null);
+        if (data.teams?.teams?.length) setTeamCount(data.teams.teams.length);
 
         if (data.settings) {
           const formData = {
             mainListLimit: data.settings.mainListLimit || 30,
+            maxGuestsPerSignup: data.settings.maxGuestsPerSignup || 0,
+            allocationMode: data.settings.allocationMode || 'first-come',
+            tiers: data.settings.tiers || settingsForm.tiers,
+            claimWindow: data.settings.claimWindow || settingsForm.claimWindow,
+            reminders: data.settings.reminders || settingsForm.reminders,
             accessPeriod: data.settings.accessPeriod || settingsForm.accessPeriod,
             email: data.settings.email || settingsForm.email,
+            templates: data.settings.templates || settingsForm.templates,
             gameInfo: data.settings.gameInfo || settingsForm.gameInfo,
             whatsapp: data.settings.whatsapp || settingsForm.whatsapp,
+            leaderboard: data.settings.leaderboard || settingsForm.leaderboard,
+            penalties: data.settings.penalties || settingsForm.penalties,
           };
           setSettingsForm(formData);
           initialSettingsRef.current = JSON.stringify(formData);
@@ -514,157 +1198,532 @@ export default function OrgAdmin() {
     setSaving(false);
   }
 
-  async function handleRemovePerson(personId, isWaitlist) {
-    if (!confirm('Remove this person from the list?')) return;
+  // Bulk whitelist import: preview first, then apply (lib/whitelist-import.js)
+  async function handleMemberImport(apply) {
+    if (apply && importPlan.counts.remove > 0 &&
+      !confirm(`Remove ${importPlan.counts.remove} member${importPlan.counts.remove !== 1 ? 's' : ''} missing from the file?`)) return;
 
     setSaving(true);
     try {
       const res = await fetch(`/api/org/${slug}/admin`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ action: 'remove-person', data: { personId, isWaitlist } }),
+        body: JSON.stringify({
+          action: apply ? 'import-whitelist' : 'preview-whitelist-import',
+          data: { csv: memberImport.csv, sync: memberImport.sync, tier: memberImport.tier || null }
+        }),
       });
 
       const data = await res.json();
 
-      if (res.ok) {
+      if (!res.ok) {
+        showMessage(data.error, 'error');
+      } else if (apply) {
         setMainList(data.mainList);
         setWaitlist(data.waitlist);
-        showMessage('Person removed');
+        setWhitelist(data.whitelist);
+        setImportPlan(null);
+        setImportResult(data);
+        setMemberImport({ ...memberImport, csv: '' });
+        showMessage('Import finished');
       } else {
-        showMessage(data.error, 'error');
+        setImportResult(null);
+        setImportPlan(data);
       }
     } catch (error) {
-      showMessage('Failed to remove person', 'error');
+      showMessage(apply ? 'Failed to import members' : 'Failed to check the file', 'error');
     }
     setSaving(false);
   }
 
-  async function handleSaveSettings(e) {
-    e.preventDefault();
-
-    // Validate RSVP window: if same day, close time must be after open time
-    if (settingsForm.accessPeriod?.enabled) {
-      const ap = settingsForm.accessPeriod;
-      const sameDay = (ap.startDay ?? 0) === (ap.endDay ?? 0);
-      const startTime = (ap.startHour ?? 0) * 60 + (ap.startMinute ?? 0);
-      const endTime = (ap.endHour ?? 0) * 60 + (ap.endMinute ?? 0);
-      if (sameDay && endTime <= startTime) {
-        showMessage('RSVP window is invalid: close time must be after open time when on the same day', 'error');
-        return;
-      }
-    }
+  function handleImportFile(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      setMemberImport({ ...memberImport, csv: reader.result });
+      setImportPlan(null);
+    };
+    reader.readAsText(file);
+  }
 
+  async function handleTeamsAction(action, data = {}) {
     setSaving(true);
     try {
-      // Parse email text fields into arrays before saving
-      const settingsToSave = {
-        ...settingsForm,
-        email: {
-          ...settingsForm.email,
-          recipients: emailRecipients.split(',').map(e => e.trim()).filter(Boolean),
-          cc: emailCc.split(',').map(e => e.trim()).filter(Boolean),
-          bcc: emailBcc.split(',').map(e => e.trim()).filter(Boolean),
-        }
-      };
       const res = await fetch(`/api/org/${slug}/admin`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ action: 'update-settings', data: { settings: settingsToSave } }),
+        body: JSON.stringify({ action, data }),
       });
 
-      const data = await res.json();
+      const result = await res.json();
 
       if (res.ok) {
-        setSettings(data.settings);
-        setMainList(data.mainList);
-        setWaitlist(data.waitlist);
-        initialSettingsRef.current = JSON.stringify(settingsForm);
-        setHasUnsavedChanges(false);
-        showMessage('Settings saved');
+        setTeams(result.teams);
+        setSelectedPlayerId(null);
       } else {
-        showMessage(data.error, 'error');
+        showMessage(result.error, 'error');
       }
     } catch (error) {
-      showMessage('Failed to save settings', 'error');
+      showMessage('Failed to update teams', 'error');
     }
     setSaving(false);
   }
 
-  async function handleUpdateVisibility(newVisibility) {
+  // Click one player then another to swap them, or a team's "Move here" to move
+  function handleSelectTeamPlayer(personId) {
+    if (selectedPlayerId === null) {
+      setSelectedPlayerId(personId);
+    } else if (selectedPlayerId === personId) {
+      setSelectedPlayerId(null);
+    } else {
+      handleTeamsAction('move-team-player', { personId: selectedPlayerId, withPersonId: personId });
+    }
+  }
+
+  async function handleUpdateMemberAttributes(member, changes) {
     setSaving(true);
     try {
       const res = await fetch(`/api/org/${slug}/admin`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ action: 'update-visibility', data: { visibility: newVisibility } }),
+        body: JSON.stringify({
+          action: 'update-member-attributes',
+          data: { name: member.name, skill: member.skill ?? null, gender: member.gender ?? null, ...changes },
+        }),
       });
 
       const data = await res.json();
 
       if (res.ok) {
-        setOrg({ ...org, visibility: newVisibility });
-        showMessage(`Community is now ${newVisibility}`);
+        setWhitelist(data.whitelist);
       } else {
         showMessage(data.error, 'error');
       }
     } catch (error) {
-      showMessage('Failed to update visibility', 'error');
+      showMessage('Failed to update member', 'error');
     }
     setSaving(false);
   }
 
-  async function handleDeleteCommunity() {
-    if (deleteConfirmName !== org?.name) {
-      showMessage('Community name does not match', 'error');
-      return;
-    }
-
-    setDeleting(true);
-    try {
-      const res = await fetch(`/api/org/${slug}/admin`, {
-        method: 'DELETE',
-      });
-
-      if (res.ok) {
-        router.push('/dashboard');
-      } else {
-        const data = await res.json();
-        showMessage(data.error || 'Failed to delete community', 'error');
-      }
-    } catch (error) {
-      showMessage('Failed to delete community', 'error');
-    }
-    setDeleting(false);
-  }
-
-  async function handleResetSignups() {
-    if (!confirm('Reset all signups? Whitelisted members will be kept.')) return;
-
+  async function handleUpdateMemberTier(member, tier) {
     setSaving(true);
     try {
       const res = await fetch(`/api/org/${slug}/admin`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ action: 'reset-signups', data: {} }),
+        body: JSON.stringify({ action: 'update-member-tier', data: { name: member.name, tier } }),
       });
 
       const data = await res.json();
 
       if (res.ok) {
+        setWhitelist(data.whitelist);
         setMainList(data.mainList);
         setWaitlist(data.waitlist);
-        showMessage('Signups reset');
       } else {
         showMessage(data.error, 'error');
       }
     } catch (error) {
-      showMessage('Failed to reset signups', 'error');
+      showMessage('Failed to update member', 'error');
     }
     setSaving(false);
   }
 
-  const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  function updateTier(index, changes) {
+    const tiers = settingsForm.tiers.map((tier, i) => (i === index ? { ...tier, ...changes } : tier));
+    setSettingsForm({ ...settingsForm, tiers });
+  }
+
+  function addTier() {
+    const name = `Tier ${settingsForm.tiers.length}`;
+    const tier = { id: createTierId(name, settingsForm.tiers), name, reservedSpots: 0, earlyAccessHours: 0 };
+    // New member tiers go just above the public tier
+    const tiers = [...settingsForm.tiers.slice(0, -1), tier, settingsForm.tiers[settingsForm.tiers.length - 1]];
+    setSettingsForm({ ...settingsForm, tiers });
+  }
+
+  function removeTier(index) {
+    setSettingsForm({ ...settingsForm, tiers: settingsForm.tiers.filter((_, i) => i !== index) });
+  }
+
+  function moveTier(index, direction) {
+    const tiers = [...settingsForm.tiers];
+    [tiers[index], tiers[index + direction]] = [tiers[index + direction], tiers[index]];
+    setSettingsForm({ ...settingsForm, tiers });
+  }
+
+  async function handlePardonStrike(strike) {
+    if (!confirm(`Pardon ${strike.name}'s strike?`)) return;
+
+    setSaving(true);
+    try {
+      const res = await fetch(`/api/org/${slug}/admin`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'pardon-strike', data: { strikeId: strike.id } }),
+      });
+
+      const data = await res.json();
+
+      if (res.ok) {
+        setStrikes(data.strikes);
+        setMainList(data.mainList);
+        setWaitlist(data.waitlist);
+        showMessage('Strike pardoned');
+      } else {
+        showMessage(data.error, 'error');
+      }
+    } catch (error) {
+      showMessage('Failed to pardon strike', 'error');
+    }
+    setSaving(false);
+  }
+
+  async function handleAddSkipDate() {
+    if (!newSkipDate) return;
+
+    setSaving(true);
+    try {
+      const res = await fetch(`/api/org/${slug}/admin`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'add-skip-date', data: { date: newSkipDate, reason: newSkipReason } }),
+      });
+
+      const data = await res.json();
+
+      if (res.ok) {
+        setSettings({ ...settings, skipDates: data.skipDates });
+        setNewSkipDate('');
+        setNewSkipReason('');
+        showMessage('Date skipped');
+      } else {
+        showMessage(data.error, 'error');
+      }
+    } catch (error) {
+      showMessage('Failed to skip date', 'error');
+    }
+    setSaving(false);
+  }
+
+  async function handleRemoveSkipDate(skip) {
+    const label = formatGameDate(parseDateId(skip.date));
+    const prompt = skip.cancelledAt
+      ? `Un-cancel the ${label} game? RSVPs will open again if the window is still running.`
+      : `Play on ${label} after all?`;
+    if (!confirm(prompt)) return;
+
+    setSaving(true);
+    try {
+      const res = await fetch(`/api/org/${slug}/admin`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'remove-skip-date', data: { date: skip.date } }),
+      });
+
+      const data = await res.json();
+
+      if (res.ok) {
+        setSettings({ ...settings, skipDates: data.skipDates });
+        if (currentGame?.date === skip.date) setCurrentGame({ ...currentGame, skipped: false });
+        showMessage('Skip date removed');
+      } else {
+        showMessage(data.error, 'error');
+      }
+    } catch (error) {
+      showMessage('Failed to remove skip date', 'error');
+    }
+    setSaving(false);
+  }
+
+  async function handleCancelPeriod() {
+    const label = formatGameDate(parseDateId(currentGame.date));
+    if (!confirm(`Cancel the ${label} game? Everyone signed up who left an email will be notified.`)) return;
+
+    setSaving(true);
+    try {
+      const res = await fetch(`/api/org/${slug}/admin`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'cancel-period', data: { reason: cancelReason } }),
+      });
+
+      const data = await res.json();
+
+      if (res.ok) {
+        setSettings({ ...settings, skipDates: data.skipDates });
+        setCurrentGame({ ...currentGame, skipped: true });
+        setCancelReason('');
+        showMessage(`Game cancelled. Notified ${data.notified} of ${data.signedUp} signed up.`);
+      } else {
+        showMessage(data.error, 'error');
+      }
+    } catch (error) {
+      showMessage('Failed to cancel game', 'error');
+    }
+    setSaving(false);
+  }
+
+  // Event actions return the bare event list; keep the lists already loaded for each
+  function applyEvents(updated) {
+    setEvents(updated.map(event => ({
+      mainList: [],
+      waitlist: [],
+      archivedAt: null,
+      ...events.find(e => e.id === event.id),
+      ...event,
+    })));
+  }
+
+  function openEventForm(event) {
+    setEditingEventId(event ? event.id : null);
+    setEventForm(event ? eventToForm(event) : EMPTY_EVENT_FORM);
+    setShowEventForm(true);
+  }
+
+  function closeEventForm() {
+    setShowEventForm(false);
+    setEditingEventId(null);
+    setEventForm(EMPTY_EVENT_FORM);
+  }
+
+  async function handleSaveEvent() {
+    setSaving(true);
+    try {
+      const res = await fetch(`/api/org/${slug}/admin`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          action: editingEventId ? 'update-event' : 'create-event',
+          data: { eventId: editingEventId, event: formToEvent(eventForm) },
+        }),
+      });
+
+      const data = await res.json();
+
+      if (res.ok) {
+        applyEvents(data.events);
+        if (editingEventId) {
+          setEvents(current => current.map(e => (e.id === editingEventId ? { ...e, mainList: data.mainList, waitlist: data.waitlist } : e)));
+        }
+        closeEventForm();
+        showMessage(editingEventId ? 'Event updated' : 'Event created');
+      } else {
+        showMessage(data.error, 'error');
+      }
+    } catch (error) {
+      showMessage('Failed to save event', 'error');
+    }
+    setSaving(false);
+  }
+
+  async function handleDeleteEvent(event) {
+    if (!confirm(`Delete ${event.name}? Its signups will be deleted too.`)) return;
+
+    setSaving(true);
+    try {
+      const res = await fetch(`/api/org/${slug}/admin`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'delete-event', data: { eventId: event.id } }),
+      });
+
+      const data = await res.json();
+
+      if (res.ok) {
+        applyEvents(data.events);
+        showMessage('Event deleted');
+      } else {
+        showMessage(data.error, 'error');
+      }
+    } catch (error) {
+      showMessage('Failed to delete event', 'error');
+    }
+    setSaving(false);
+  }
+
+  async function handleRemoveEventPerson(event, person) {
+    if (!confirm(`Remove ${person.name} from ${event.name}?`)) return;
+
+    setSaving(true);
+    try {
+      const res = await fetch(`/api/org/${slug}/admin`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'remove-event-person', data: { eventId: event.id, personId: person.id } }),
+      });
+
+      const data = await res.json();
+
+      if (res.ok) {
+        setEvents(events.map(e => (e.id === event.id ? { ...e, mainList: data.mainList, waitlist: data.waitlist } : e)));
+        showMessage('Person removed');
+      } else {
+        showMessage(data.error, 'error');
+      }
+    } catch (error) {
+      showMessage('Failed to remove person', 'error');
+    }
+    setSaving(false);
+  }
+
+  async function handleRemovePerson(personId, isWaitlist) {
+    if (!confirm('Remove this person from the list?')) return;
+
+    const guestCount = getGuestsOf([...mainList, ...waitlist], personId).length;
+    const removeGuests = guestCount > 0
+      && confirm(`Also remove their ${guestCount} guest${guestCount !== 1 ? 's' : ''}? Cancel to keep them on the list.`);
+
+    setSaving(true);
+    try {
+      const res = await fetch(`/api/org/${slug}/admin`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'remove-person', data: { personId, isWaitlist, removeGuests } }),
+      });
+
+      const data = await res.json();
+
+      if (res.ok) {
+        setMainList(data.mainList);
+        setWaitlist(data.waitlist);
+        showMessage('Person removed');
+      } else {
+        showMessage(data.error, 'error');
+      }
+    } catch (error) {
+      showMessage('Failed to remove person', 'error');
+    }
+    setSaving(false);
+  }
+
+  async function handleSaveSettings(e) {
+    e.preventDefault();
+
+    // Validate RSVP window: if same day, close time must be after open time
+    if (settingsForm.accessPeriod?.enabled) {
+      const ap = settingsForm.accessPeriod;
+      const sameDay = (ap.startDay ?? 0) === (ap.endDay ?? 0);
+      const startTime = (ap.startHour ?? 0) * 60 + (ap.startMinute ?? 0);
+      const endTime = (ap.endHour ?? 0) * 60 + (ap.endMinute ?? 0);
+      if (sameDay && endTime <= startTime) {
+        showMessage('RSVP window is invalid: close time must be after open time when on the same day', 'error');
+        return;
+      }
+    }
+
+    setSaving(true);
+    try {
+      // Parse email text fields into arrays before saving
+      const settingsToSave = {
+        ...settingsForm,
+        email: {
+          ...settingsForm.email,
+          recipients: emailRecipients.split(',').map(e => e.trim()).filter(Boolean),
+          cc: emailCc.split(',').map(e => e.trim()).filter(Boolean),
+          bcc: emailBcc.split(',').map(e => e.trim()).filter(Boolean),
+        }
+      };
+      const res = await fetch(`/api/org/${slug}/admin`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'update-settings', data: { settings: settingsToSave } }),
+      });
+
+      const data = await res.json();
+
+      if (res.ok) {
+        setSettings(data.settings);
+        setMainList(data.mainList);
+        setWaitlist(data.waitlist);
+        initialSettingsRef.current = JSON.stringify(settingsForm);
+        setHasUnsavedChanges(false);
+        showMessage('Settings saved');
+      } else {
+        showMessage(data.error, 'error');
+      }
+    } catch (error) {
+      showMessage('Failed to save settings', 'error');
+    }
+    setSaving(false);
+  }
+
+  async function handleUpdateVisibility(newVisibility) {
+    setSaving(true);
+    try {
+      const res = await fetch(`/api/org/${slug}/admin`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'update-visibility', data: { visibility: newVisibility } }),
+      });
+
+      const data = await res.json();
+
+      if (res.ok) {
+        setOrg({ ...org, visibility: newVisibility });
+        showMessage(`Community is now ${newVisibility}`);
+      } else {
+        showMessage(data.error, 'error');
+      }
+    } catch (error) {
+      showMessage('Failed to update visibility', 'error');
+    }
+    setSaving(false);
+  }
+
+  async function handleDeleteCommunity() {
+    if (deleteConfirmName !== org?.name) {
+      showMessage('Community name does not match', 'error');
+      return;
+    }
+
+    setDeleting(true);
+    try {
+      const res = await fetch(`/api/org/${slug}/admin`, {
+        method: 'DELETE',
+      });
+
+      if (res.ok) {
+        router.push('/dashboard');
+      } else {
+        const data = await res.json();
+        showMessage(data.error || 'Failed to delete community', 'error');
+      }
+    } catch (error) {
+      showMessage('Failed to delete community', 'error');
+    }
+    setDeleting(false);
+  }
+
+  async function handleResetSignups() {
+    if (!confirm('Reset all signups? Whitelisted members will be kept.')) return;
+
+    setSaving(true);
+    try {
+      const res = await fetch(`/api/org/${slug}/admin`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'reset-signups', data: {} }),
+      });
+
+      const data = await res.json();
+
+      if (res.ok) {
+        setMainList(data.mainList);
+        setWaitlist(data.waitlist);
+        showMessage('Signups reset');
+      } else {
+        showMessage(data.error, 'error');
+      }
+    } catch (error) {
+      showMessage('Failed to reset signups', 'error');
+    }
+    setSaving(false);
+  }
+
+  const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
   // State for sending email
   const [sendingEmail, setSendingEmail] = useState(false);
@@ -722,27 +1781,6 @@ export default function OrgAdmin() {
     setSendingTestEmail(false);
   }
 
-  // Format email preview with template variables
-  function getEmailPreview() {
-    const subject = (settingsForm.email?.subject || '')
-      .replace(/\{\{week\}\}/g, '2026-W04')
-      .replace(/\{\{org\}\}/g, org?.name || 'Community')
-      .replace(/\{\{sport\}\}/g, org?.sport || 'sport');
-
-    const sampleNames = mainList.length > 0
-      ? mainList.slice(0, 3).map(p => p.name).join(', ') + (mainList.length > 3 ? '...' : '')
-      : 'John Doe, Jane Smith, Bob Wilson';
-
-    const body = (settingsForm.email?.body || '')
-      .replace(/\{\{count\}\}/g, mainList.length.toString())
-      .replace(/\{\{list\}\}/g, sampleNames)
-      .replace(/\{\{week\}\}/g, '2026-W04')
-      .replace(/\{\{org\}\}/g, org?.name || 'Community')
-      .replace(/\{\{sport\}\}/g, org?.sport || 'sport');
-
-    return { subject, body };
-  }
-
   // Compute next scheduled email send time
   function getNextScheduledEmail() {
     if (!settingsForm.accessPeriod?.enabled || !settingsForm.email?.enabled) return null;
@@ -777,6 +1815,16 @@ export default function OrgAdmin() {
     return closeDate;
   }
 
+  // Download link for a data export (pages/api/org/[slug]/export.js)
+  function getExportUrl(format, dataset, { range = false, snoozeCodes = false } = {}) {
+    const params = new URLSearchParams({ format });
+    if (dataset) params.set('dataset', dataset);
+    if (range && exportRange.from) params.set('from', exportRange.from);
+    if (range && exportRange.to) params.set('to', exportRange.to);
+    if (snoozeCodes) params.set('snoozeCodes', '1');
+    return `/api/org/${slug}/export?${params}`;
+  }
+
   // Export list to PDF (client-side generation)
   async function handleExportPdf() {
     setExportingPdf(true);
@@ -850,6 +1898,8 @@ export default function OrgAdmin() {
     setExportingPdf(false);
   }
 
+  const countGuests = (list) => (list || []).filter(p => p.isGuest).length;
+
   // Filter lists based on search query
   const filteredMainList = listSearchQuery
     ? mainList.filter(p => p.name.toLowerCase().includes(listSearchQuery.toLowerCase()))
@@ -913,6 +1963,12 @@ export default function OrgAdmin() {
                 </div>
               </div>
               <div className="flex items-center gap-3">
+                <Link
+                  href={`/${slug}/check-in`}
+                  className="inline-flex items-center gap-1.5 px-3 py-2 text-sm bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors"
+                >
+                  ✓ Check-in
+                </Link>
                 <a
                   href={`/${slug}`}
                   target="_blank"
@@ -966,10 +2022,14 @@ export default function OrgAdmin() {
             <nav className="flex gap-6 overflow-x-auto">
               {[
                 { id: 'people', label: 'People' },
+                { id: 'teams', label: 'Teams' },
                 { id: 'schedule', label: 'Schedule' },
                 { id: 'settings', label: 'Settings' },
                 { id: 'communication', label: 'Communication' },
                 { id: 'event', label: 'Event Details' },
+                { id: 'events', label: 'Special Events' },
+                { id: 'stats', label: 'Stats' },
+                { id: 'analytics', label: 'Analytics' },
                 { id: 'history', label: 'History' },
               ].map(tab => (
                 <button
@@ -990,13 +2050,17 @@ export default function OrgAdmin() {
 
         {/* Tabs - Mobile Bottom Nav */}
         <div className="md:hidden fixed bottom-0 left-0 right-0 bg-white border-t border-gray-200 z-40">
-          <nav className="grid grid-cols-6 gap-1 px-2 py-2">
+          <nav className="grid grid-cols-10 gap-1 px-2 py-2">
             {[
               { id: 'people', icon: '👥', label: 'People' },
+              { id: 'teams', icon: '🎽', label: 'Teams' },
               { id: 'schedule', icon: '🗓️', label: 'Schedule' },
               { id: 'settings', icon: '⚙️', label: 'Settings' },
               { id: 'communication', icon: '💬', label: 'Comms' },
               { id: 'event', icon: '📅', label: 'Event' },
+              { id: 'events', icon: '🏆', label: 'Specials' },
+              { id: 'stats', icon: '📊', label: 'Stats' },
+              { id: 'analytics', icon: '📈', label: 'Analytics' },
               { id: 'history', icon: '📁', label: 'History' },
             ].map(tab => (
               <button
@@ -1070,6 +2134,19 @@ export default function OrgAdmin() {
                     </svg>
                     {exportingPdf ? 'Exporting...' : 'Export PDF'}
                   </button>
+                  {/* Both lists as a spreadsheet */}
+                  <a
+                    href={getExportUrl('csv', 'lists')}
+                    className="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg text-sm font-medium text-center whitespace-nowrap"
+                  >
+                    CSV
+                  </a>
+                  <a
+                    href={getExportUrl('xlsx', 'lists')}
+                    className="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg text-sm font-medium text-center whitespace-nowrap"
+                  >
+                    Excel
+                  </a>
                 </div>
 
                 {/* Search Results Count */}
@@ -1103,9 +2180,17 @@ export default function OrgAdmin() {
                             <div>
                               <span className="text-gray-400 text-sm mr-2">#{mainList.indexOf(person) + 1}</span>
                               <span className="font-medium">{person.name}</span>
+                              {person.isGuest && (
+                                <span className="ml-2 text-xs bg-gray-200 text-gray-600 px-1.5 py-0.5 rounded">Guest of {person.hostName}</span>
+                              )}
                               {person.isWhitelisted && (
                                 <span className="ml-2 text-xs bg-blue-100 text-blue-700 px-1.5 py-0.5 rounded">Member</span>
                               )}
+                              {person.pendingClaim && (
+                                <span className="ml-2 text-xs bg-amber-100 text-amber-700 px-1.5 py-0.5 rounded">
+                                  Unclaimed until {new Date(person.pendingClaim.expiresAt).toLocaleString('en-US', { weekday: 'short', hour: 'numeric', minute: '2-digit' })}
+                                </span>
+                              )}
                             </div>
                             <button
                               onClick={() => handleRemovePerson(person.id, false)}
@@ -1122,7 +2207,28 @@ export default function OrgAdmin() {
 
                   {/* Waitlist */}
                   <div className="bg-white rounded-lg border border-gray-200 p-4">
-                    <h3 className="font-medium text-gray-900 mb-4">Waitlist ({waitlist.length})</h3>
+                    <h3 className="font-medium text-gray-900 mb-4">
+                      {lottery.awaitingDraw ? `In the Draw (${waitlist.length})` : `Waitlist (${waitlist.length})`}
+                    </h3>
+                    {lottery.awaitingDraw && (
+                      <p className="text-xs text-gray-500 -mt-3 mb-3">
+                        🎟️ Spots are drawn at random when the RSVP window closes. Members already have their spots.
+                      </p>
+                    )}
+                    {lottery.draw && (
+                      <details className="text-xs text-gray-500 -mt-3 mb-3">
+                        <summary className="cursor-pointer">
+                          🎟️ Drawn {new Date(lottery.draw.drawnAt).toLocaleString()} · seed <span className="font-mono">{lottery.draw.seed}</span>
+                        </summary>
+                        <ol className="list-decimal list-inside mt-2 space-y-0.5">
+                          {lottery.draw.order.map(ticket => (
+                            <li key={ticket}>
+                              {lottery.draw.entrants.find(e => e.ticket === ticket)?.names.join(', ')}
+                            </li>
+                          ))}
+                        </ol>
+                      </details>
+                    )}
                     {filteredWaitlist.length === 0 ? (
                       <p className="text-gray-400 text-center py-4">
                         {listSearchQuery ? 'No matches found' : 'Waitlist empty'}
@@ -1134,6 +2240,9 @@ export default function OrgAdmin() {
                             <div>
                               <span className="text-gray-400 text-sm mr-2">#{waitlist.indexOf(person) + 1}</span>
                               <span className="font-medium">{person.name}</span>
+                              {person.isGuest && (
+                                <span className="ml-2 text-xs bg-gray-200 text-gray-600 px-1.5 py-0.5 rounded">Guest of {person.hostName}</span>
+                              )}
                             </div>
                             <button
                               onClick={() => handleRemovePerson(person.id, true)}
@@ -1175,7 +2284,7 @@ export default function OrgAdmin() {
                           body: JSON.stringify({
                             action: 'add-whitelist',
                             data: {
-                              members: [{ name: newMemberName.trim(), email: newMemberEmail.trim() || null }]
+                              members: [{ name: newMemberName.trim(), email: newMemberEmail.trim() || null, tier: newMemberTier || null }]
                             }
                           }),
                         });
@@ -1220,6 +2329,20 @@ export default function OrgAdmin() {
                           />
                           <p className="text-xs text-gray-400 mt-1">If provided, they'll receive a snooze code via email</p>
                         </div>
+                        {getMemberTiers(settingsForm.tiers).length > 1 && (
+                          <div>
+                            <label className="block text-xs text-gray-500 mb-1">Tier</label>
+                            <select
+                              value={newMemberTier || getMemberTiers(settingsForm.tiers)[0].id}
+                              onChange={e => setNewMemberTier(e.target.value)}
+                              className="w-full px-3 py-2 border border-gray-200 rounded-lg"
+                            >
+                              {getMemberTiers(settingsForm.tiers).map(tier => (
+                                <option key={tier.id} value={tier.id}>{tier.name}</option>
+                              ))}
+                            </select>
+                          </div>
+                        )}
                         <button
                           type="submit"
                           disabled={saving || !newMemberName.trim()}
@@ -1232,7 +2355,27 @@ export default function OrgAdmin() {
                   </div>
 
                   <div className="bg-white rounded-lg border border-gray-200 p-4">
-                    <h3 className="font-medium text-gray-900 mb-4">Current Members ({whitelist.length})</h3>
+                    <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+                      <h3 className="font-medium text-gray-900">Current Members ({whitelist.length})</h3>
+                      {whitelist.length > 0 && (
+                        <div className="flex items-center gap-3 text-sm">
+                          <label className="flex items-center gap-1 text-gray-500">
+                            <input
+                              type="checkbox"
+                              checked={exportSnoozeCodes}
+                              onChange={e => setExportSnoozeCodes(e.target.checked)}
+                            />
+                            Snooze codes
+                          </label>
+                          <a href={getExportUrl('csv', 'whitelist', { snoozeCodes: exportSnoozeCodes })} className="text-blue-600 hover:text-blue-800">
+                            CSV
+                          </a>
+                          <a href={getExportUrl('xlsx', 'whitelist', { snoozeCodes: exportSnoozeCodes })} className="text-blue-600 hover:text-blue-800">
+                            Excel
+                          </a>
+                        </div>
+                      )}
+                    </div>
                     {whitelist.length === 0 ? (
                       <p className="text-gray-400 text-center py-4">No permanent members</p>
                     ) : (
@@ -1240,7 +2383,18 @@ export default function OrgAdmin() {
                         {whitelist.map((member, i) => (
                           <div key={i} className="flex items-center justify-between p-2 bg-blue-50 rounded">
                             <div className="flex-1 min-w-0">
-                              <span className="font-medium block truncate">{member.name}</span>
+                              <button
+                                onClick={() => setProfileMember(member.name)}
+                                className="font-medium block truncate text-left hover:text-blue-700"
+                              >
+                                {member.name}
+                                {member.expiresOn && member.expiresOn < new Date().toLocaleDateString('en-CA') && (
+                                  <span className="ml-2 px-1.5 py-0.5 bg-gray-200 text-gray-600 rounded text-xs font-normal">Expired</span>
+                                )}
+                              </button>
+                              {member.tags?.length > 0 && (
+                                <span className="text-xs text-gray-500 block truncate">{member.tags.join(', ')}</span>
+                              )}
                               {member.email && (
                                 <span className="text-xs text-gray-500">
                                   {member.email.replace(/^(.{2}).*(@.*)$/, '$1***$2')}
@@ -1248,6 +2402,18 @@ export default function OrgAdmin() {
                               )}
                             </div>
                             <div className="flex items-center gap-2 ml-2">
+                              {getMemberTiers(settingsForm.tiers).length > 1 && (
+                                <select
+                                  value={resolveMemberTierId(member.tier, settingsForm.tiers)}
+                                  onChange={e => handleUpdateMemberTier(member, e.target.value)}
+                                  disabled={saving}
+                                  className="px-2 py-1 border border-gray-200 rounded text-xs bg-white"
+                                >
+                                  {getMemberTiers(settingsForm.tiers).map(tier => (
+                                    <option key={tier.id} value={tier.id}>{tier.name}</option>
+                                  ))}
+                                </select>
+                              )}
                               {member.email && member.snoozeCode && (
                                 <button
                                   onClick={async () => {
@@ -1292,6 +2458,134 @@ export default function OrgAdmin() {
                     )}
                   </div>
                 </div>
+
+                <div className="bg-white rounded-lg border border-gray-200 p-4 mt-4">
+                  <h3 className="font-medium text-gray-900 mb-1">Import from CSV</h3>
+                  <p className="text-xs text-gray-400 mb-4">
+                    One member per row: name, then email and tier if you have them. A header row (Name, Email, Tier) is optional.
+                    You&apos;ll see what changes before anything is saved.
+                  </p>
+                  <div className="space-y-3">
+                    <input type="file" accept=".csv,text/csv" onChange={handleImportFile} className="block text-sm" />
+                    <textarea
+                      value={memberImport.csv}
+                      onChange={e => {
+                        setMemberImport({ ...memberImport, csv: e.target.value });
+                        setImportPlan(null);
+                      }}
+                      rows={5}
+                      placeholder={'Name,Email\nJohn Doe,john@example.com'}
+                      className="w-full px-3 py-2 border border-gray-200 rounded-lg font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                    <div className="flex flex-wrap items-center gap-4 text-sm">
+                      <label className="flex items-center gap-2 text-gray-600">
+                        <input
+                          type="checkbox"
+                          checked={memberImport.sync}
+                          onChange={e => {
+                            setMemberImport({ ...memberImport, sync: e.target.checked });
+                            setImportPlan(null);
+                          }}
+                        />
+                        Sync: update members&apos; emails and remove members missing from the file
+                      </label>
+                      {getMemberTiers(settingsForm.tiers).length > 1 && (
+                        <label className="flex items-center gap-2 text-gray-600">
+                          New members&apos; tier
+                          <select
+                            value={memberImport.tier || getMemberTiers(settingsForm.tiers)[0].id}
+                            onChange={e => {
+                              setMemberImport({ ...memberImport, tier: e.target.value });
+                              setImportPlan(null);
+                            }}
+                            className="px-2 py-1 border border-gray-200 rounded"
+                          >
+                            {getMemberTiers(settingsForm.tiers).map(tier => (
+                              <option key={tier.id} value={tier.id}>{tier.name}</option>
+                            ))}
+                          </select>
+                        </label>
+                      )}
+                    </div>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => handleMemberImport(false)}
+                        disabled={saving || !memberImport.csv.trim()}
+                        className="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg text-sm font-medium disabled:opacity-50"
+                      >
+                        Preview
+                      </button>
+                      {importPlan && (
+                        <button
+                          onClick={() => handleMemberImport(true)}
+                          disabled={saving || importPlan.counts.add + importPlan.counts.update + importPlan.counts.remove === 0}
+                          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm font-medium disabled:opacity-50"
+                        >
+                          {saving ? 'Importing...' : 'Import'}
+                        </button>
+                      )}
+                    </div>
+
+                    {(importPlan || importResult) && (() => {
+                      const report = importResult || importPlan;
+                      const labels = importResult
+                        ? { add: 'Added', update: 'Email updated', unchanged: 'Unchanged', skip: 'Skipped' }
+                        : { add: 'Will add', update: 'Will update email', unchanged: 'No change', skip: 'Will skip' };
+                      const colors = { add: 'bg-green-100 text-green-700', update: 'bg-blue-100 text-blue-700', unchanged: 'bg-gray-100 text-gray-600', skip: 'bg-amber-100 text-amber-700' };
+                      return (
+                        <div className="border-t border-gray-100 pt-3">
+                          <p className="text-sm text-gray-600 mb-2">
+                            {importResult
+                              ? `Added ${report.counts.add}, updated ${report.counts.update}, skipped ${report.counts.skip}, removed ${report.counts.remove}`
+                              : `${report.counts.add} to add, ${report.counts.update} to update, ${report.counts.skip} to skip, ${report.counts.remove} to remove`}
+                          </p>
+                          <div className="max-h-72 overflow-y-auto">
+                            <table className="w-full text-sm">
+                              <thead>
+                                <tr className="border-b border-gray-200 text-left text-gray-500">
+                                  <th className="py-1 pr-2 font-medium">Line</th>
+                                  <th className="py-1 pr-2 font-medium">Name</th>
+                                  <th className="py-1 pr-2 font-medium">Email</th>
+                                  <th className="py-1 font-medium">Result</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {report.rows.map(row => (
+                                  <tr key={row.line} className="border-b border-gray-50">
+                                    <td className="py-1 pr-2 text-gray-400">{row.line}</td>
+                                    <td className="py-1 pr-2">{row.name || <span className="text-gray-400">—</span>}</td>
+                                    <td className="py-1 pr-2 text-gray-500">
+                                      {row.previousEmail && <span className="line-through mr-1">{row.previousEmail}</span>}
+                                      {row.email}
+                                    </td>
+                                    <td className="py-1">
+                                      <span className={`px-2 py-0.5 rounded text-xs ${colors[row.action]}`}>{labels[row.action]}</span>
+                                      {row.reason && <span className="text-xs text-gray-500 ml-2">{row.reason}</span>}
+                                      {row.emailSent === true && <span className="text-xs text-gray-500 ml-2">Welcome email sent</span>}
+                                      {row.emailSent === false && <span className="text-xs text-red-500 ml-2">Welcome email failed</span>}
+                                    </td>
+                                  </tr>
+                                ))}
+                                {report.removals.map(member => (
+                                  <tr key={`remove-${member.name}`} className="border-b border-gray-50">
+                                    <td className="py-1 pr-2 text-gray-400">—</td>
+                                    <td className="py-1 pr-2">{member.name}</td>
+                                    <td className="py-1 pr-2 text-gray-500">{member.email}</td>
+                                    <td className="py-1">
+                                      <span className="px-2 py-0.5 rounded text-xs bg-red-100 text-red-700">
+                                        {importResult ? 'Removed' : 'Will remove'}
+                                      </span>
+                                    </td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </div>
+                        </div>
+                      );
+                    })()}
+                  </div>
+                </div>
               </div>
 
               {/* Recent Dropouts Section */}
@@ -1333,6 +2627,11 @@ export default function OrgAdmin() {
                                 }`}>
                                   {entry.list === 'main' ? 'Main' : 'Waitlist'}
                                 </span>
+                                {entry.reason === 'unclaimed' && (
+                                  <span className="ml-1 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-700">
+                                    Unclaimed
+                                  </span>
+                                )}
                               </td>
                               <td className="py-2 text-gray-600">{entry.periodId}</td>
                             </tr>
@@ -1346,16 +2645,190 @@ export default function OrgAdmin() {
             </div>
           )}
 
+          {/* Teams Tab - Team builder */}
+          {activeTab === 'teams' && (() => {
+            const { teams: resolvedTeams, unassigned } = resolveTeams(teams, mainList);
+            const lockedIds = new Set(teams?.lockedIds || []);
+            return (
+              <div className="space-y-6">
+                <div className="bg-white rounded-lg border border-gray-200 p-4">
+                  <div className="flex flex-wrap items-end gap-3">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Number of teams</label>
+                      <input
+                        type="number"
+                        min={MIN_TEAMS}
+                        max={MAX_TEAMS}
+                        value={teamCount}
+                        onChange={e => setTeamCount(Math.min(MAX_TEAMS, Math.max(MIN_TEAMS, parseInt(e.target.value) || MIN_TEAMS)))}
+                        className="w-24 px-3 py-2 border border-gray-200 rounded-lg"
+                      />
+                    </div>
+                    <button
+                      onClick={() => handleTeamsAction('generate-teams', { teamCount })}
+                      disabled={saving || mainList.length < teamCount}
+                      className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      {teams ? 'Regenerate' : 'Generate Teams'}
+                    </button>
+                    {teams && (
+                      <>
+                        <button
+                          onClick={() => handleTeamsAction('publish-teams', { published: !teams.published })}
+                          disabled={saving}
+                          className={`px-4 py-2 rounded-lg disabled:opacity-50 ${
+                            teams.published
+                              ? 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                              : 'bg-green-600 text-white hover:bg-green-700'
+                          }`}
+                        >
+                          {teams.published ? 'Unpublish' : 'Publish'}
+                        </button>
+                        <button
+                          onClick={() => confirm('Clear the teams for this week?') && handleTeamsAction('clear-teams')}
+                          disabled={saving}
+                          className="px-4 py-2 text-red-600 hover:bg-red-50 rounded-lg disabled:opacity-50"
+                        >
+                          Clear
+                        </button>
+                      </>
+                    )}
+                  </div>
+                  <p className="text-xs text-gray-400 mt-2">
+                    Teams are balanced by skill and gender from member ratings below. Locked players keep their team when you regenerate.
+                    Click a player, then another player to swap them.
+                    {teams?.published ? ' Published teams show on the public page and in the emailed PDF.' : ''}
+                  </p>
+                </div>
+
+                {teams && (
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    {resolvedTeams.map((team, teamIndex) => {
+                      const summary = summarizeTeam(team.players, whitelist);
+                      return (
+                        <div key={teamIndex} className="bg-white rounded-lg border border-gray-200 p-4">
+                          <div className="flex items-center justify-between mb-1">
+                            <h3 className="font-medium text-gray-900">{team.name} ({summary.size})</h3>
+                            {selectedPlayerId !== null && !teams.teams[teamIndex].playerIds.includes(selectedPlayerId) && (
+                              <button
+                                onClick={() => handleTeamsAction('move-team-player', { personId: selectedPlayerId, teamIndex })}
+                                disabled={saving}
+                                className="text-blue-600 hover:text-blue-700 text-sm"
+                              >
+                                Move here
+                              </button>
+                            )}
+                          </div>
+                          <p className="text-xs text-gray-500 mb-3">
+                            Avg skill {summary.averageSkill}
+                            {Object.entries(summary.genders).map(([gender, count]) => ` · ${count} ${gender}`).join('')}
+                          </p>
+                          <div className="space-y-1">
+                            {team.players.map(person => (
+                              <div
+                                key={person.id}
+                                className={`flex items-center justify-between p-2 rounded ${
+                                  selectedPlayerId === person.id ? 'bg-blue-100 ring-2 ring-blue-300' : 'bg-gray-50'
+                                }`}
+                              >
+                                <button
+                                  onClick={() => handleSelectTeamPlayer(person.id)}
+                                  disabled={saving}
+                                  className="flex-1 text-left font-medium text-sm"
+                                >
+                                  {person.name}
+                                  {person.isGuest && <span className="ml-2 text-xs text-gray-500">Guest</span>}
+                                </button>
+                                <button
+                                  onClick={() => handleTeamsAction('lock-team-player', { personId: person.id, locked: !lockedIds.has(person.id) })}
+                                  disabled={saving}
+                                  title={lockedIds.has(person.id) ? 'Unlock' : 'Lock to this team'}
+                                  className={`text-sm ${lockedIds.has(person.id) ? 'opacity-100' : 'opacity-30 hover:opacity-70'}`}
+                                >
+                                  🔒
+                                </button>
+                              </div>
+                            ))}
+                          </div>
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
+
+                {teams && unassigned.length > 0 && (
+                  <div className="bg-amber-50 border border-amber-200 rounded-lg p-4">
+                    <h3 className="font-medium text-amber-900 mb-2">Not on a team yet ({unassigned.length})</h3>
+                    <p className="text-xs text-amber-700 mb-3">Joined after the teams were made. Select a player, then "Move here" on a team, or regenerate.</p>
+                    <div className="flex flex-wrap gap-2">
+                      {unassigned.map(person => (
+                        <button
+                          key={person.id}
+                          onClick={() => setSelectedPlayerId(selectedPlayerId === person.id ? null : person.id)}
+                          className={`px-3 py-1 rounded-full text-sm ${
+                            selectedPlayerId === person.id ? 'bg-blue-600 text-white' : 'bg-white border border-amber-200'
+                          }`}
+                        >
+                          {person.name}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                <div className="bg-white rounded-lg border border-gray-200 p-4">
+                  <h3 className="font-medium text-gray-900 mb-1">Member Ratings</h3>
+                  <p className="text-xs text-gray-400 mb-4">
+                    Optional. Unrated players and guests count as skill {DEFAULT_SKILL}.
+                  </p>
+                  {whitelist.length === 0 ? (
+                    <p className="text-gray-400 text-center py-4">Add members on the People tab to rate them</p>
+                  ) : (
+                    <div className="space-y-2 max-h-96 overflow-y-auto">
+                      {whitelist.map(member => (
+                        <div key={member.name} className="flex items-center justify-between gap-2 p-2 bg-gray-50 rounded">
+                          <span className="font-medium text-sm truncate flex-1">{member.name}</span>
+                          <select
+                            value={member.skill ?? ''}
+                            onChange={e => handleUpdateMemberAttributes(member, { skill: e.target.value ? parseInt(e.target.value) : null })}
+                            disabled={saving}
+                            className="px-2 py-1 border border-gray-200 rounded text-sm"
+                          >
+                            <option value="">Skill –</option>
+                            {Array.from({ length: SKILL_MAX - SKILL_MIN + 1 }, (_, i) => SKILL_MIN + i).map(skill => (
+                              <option key={skill} value={skill}>Skill {skill}</option>
+                            ))}
+                          </select>
+                          <select
+                            value={member.gender ?? ''}
+                            onChange={e => handleUpdateMemberAttributes(member, { gender: e.target.value || null })}
+                            disabled={saving}
+                            className="px-2 py-1 border border-gray-200 rounded text-sm capitalize"
+                          >
+                            <option value="">Gender –</option>
+                            {GENDERS.map(gender => (
+                              <option key={gender} value={gender}>{gender}</option>
+                            ))}
+                          </select>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </div>
+            );
+          })()}
+
           {/* Schedule Tab - Game Schedule + RSVP Window + Timeline */}
           {activeTab === 'schedule' && (
             <div className="space-y-6 max-w-2xl">
               {/* Visual Timeline Preview */}
               <div className="bg-gradient-to-r from-blue-50 to-indigo-50 rounded-lg border border-blue-100 p-6">
                 <h3 className="font-semibold text-gray-900 mb-1 flex items-center gap-2">
-                  <span>📅</span> {(settingsForm.gameInfo?.recurrence || 'weekly') === 'monthly' ? 'Monthly' : 'Weekly'} Schedule Timeline
+                  <span>📅</span> {(settingsForm.gameInfo?.recurrence || 'weekly') === 'monthly' ? 'Monthly' : isScheduledRecurrence(settingsForm.gameInfo) ? 'Per-Game' : 'Weekly'} Schedule Timeline
                 </h3>
                 <p className="text-sm text-gray-500 mb-4">
-                  This is how your {(settingsForm.gameInfo?.recurrence || 'weekly') === 'monthly' ? 'monthly' : 'weekly'} RSVP cycle works.
+                  This is how your {(settingsForm.gameInfo?.recurrence || 'weekly') === 'monthly' ? 'monthly' : isScheduledRecurrence(settingsForm.gameInfo) ? 'per-game' : 'weekly'} RSVP cycle works.
                 </p>
                 <WeeklyTimeline
                   gameDay={settingsForm.gameInfo?.gameDay ?? 0}
@@ -1371,6 +2844,10 @@ export default function OrgAdmin() {
                   rsvpCloseMinute={settingsForm.accessPeriod?.endMinute ?? 0}
                   recurrence={settingsForm.gameInfo?.recurrence || 'weekly'}
                   monthlyOccurrence={settingsForm.gameInfo?.monthlyOccurrence}
+                  gameDays={settingsForm.gameInfo?.gameDays || []}
+                  anchorDate={settingsForm.gameInfo?.anchorDate || null}
+                  intervalDays={settingsForm.gameInfo?.intervalDays || null}
+                  timezone={settingsForm.accessPeriod?.timezone || org?.timezone || 'Africa/Lagos'}
                 />
                 {/* Timezone Display */}
                 <div className="text-xs text-gray-500 mt-4 pt-3 border-t border-blue-100">
@@ -1398,14 +2875,20 @@ export default function OrgAdmin() {
                     <div className="grid grid-cols-2 gap-2">
                       {[
                         { value: 'weekly', label: 'Weekly', desc: 'Every week' },
+                        { value: 'biweekly', label: 'Every 2 weeks', desc: 'Every other week' },
                         { value: 'monthly', label: 'Monthly', desc: 'Once a month' },
+                        { value: 'interval', label: 'Every N days', desc: 'A fixed number of days apart' },
                       ].map(opt => (
                         <button
                           key={opt.value}
                           type="button"
                           onClick={() => setSettingsForm({
                             ...settingsForm,
-                            gameInfo: { ...settingsForm.gameInfo, recurrence: opt.value }
+                            gameInfo: {
+                              ...settingsForm.gameInfo,
+                              recurrence: opt.value,
+                              intervalDays: opt.value === 'interval' ? (settingsForm.gameInfo?.intervalDays || 10) : null,
+                            }
                           })}
                           className={`p-2.5 rounded-lg border-2 text-left transition-all ${
                             (settingsForm.gameInfo?.recurrence || 'weekly') === opt.value
@@ -1418,23 +2901,101 @@ export default function OrgAdmin() {
                         </button>
                       ))}
                     </div>
-                  </div>
+                  </div>
+
+                  {/* Biweekly and every-N-days games count from the date of one game */}
+                  {['biweekly', 'interval'].includes(settingsForm.gameInfo?.recurrence) && (
+                    <div className={settingsForm.gameInfo?.recurrence === 'interval' ? '' : 'col-span-2'}>
+                      <label className="block text-xs text-gray-500 mb-1">Date of a game</label>
+                      <input
+                        type="date"
+                        value={settingsForm.gameInfo?.anchorDate || ''}
+                        onChange={e => {
+                          const anchorDate = e.target.value || null;
+                          const gameDay = anchorDate ? new Date(`${anchorDate}T00:00:00Z`).getUTCDay() : settingsForm.gameInfo?.gameDay ?? 0;
+                          setSettingsForm({
+                            ...settingsForm,
+                            gameInfo: { ...settingsForm.gameInfo, anchorDate, gameDay }
+                          });
+                        }}
+                        className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                      />
+                      <p className="text-xs text-gray-400 mt-1">Games repeat from this date ({days[settingsForm.gameInfo?.gameDay ?? 0]}s)</p>
+                    </div>
+                  )}
+                  {settingsForm.gameInfo?.recurrence === 'interval' && (
+                    <div>
+                      <label className="block text-xs text-gray-500 mb-1">Days between games</label>
+                      <input
+                        type="number"
+                        min={MIN_INTERVAL_DAYS}
+                        max={MAX_INTERVAL_DAYS}
+                        value={settingsForm.gameInfo?.intervalDays ?? 10}
+                        onChange={e => setSettingsForm({
+                          ...settingsForm,
+                          gameInfo: { ...settingsForm.gameInfo, intervalDays: parseInt(e.target.value) || MIN_INTERVAL_DAYS }
+                        })}
+                        className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                      />
+                    </div>
+                  )}
+
+                  {['weekly', 'monthly'].includes(settingsForm.gameInfo?.recurrence || 'weekly') && (
+                    <div className={(settingsForm.gameInfo?.recurrence || 'weekly') === 'monthly' ? '' : 'col-span-2'}>
+                      <label className="block text-xs text-gray-500 mb-1">Game Day</label>
+                      <select
+                        value={settingsForm.gameInfo?.gameDay ?? 0}
+                        onChange={e => {
+                          const gameDay = parseInt(e.target.value);
+                          const previous = settingsForm.gameInfo?.gameDay ?? 0;
+                          const gameDays = [...new Set([...(settingsForm.gameInfo?.gameDays || []).filter(d => d !== previous), gameDay])].sort((a, b) => a - b);
+                          setSettingsForm({
+                            ...settingsForm,
+                            gameInfo: { ...settingsForm.gameInfo, gameDay, gameDays: gameDays.length > 1 ? gameDays : [] }
+                          });
+                        }}
+                        className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                      >
+                        {days.map((day, i) => (
+                          <option key={i} value={i}>{day}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
 
-                  <div className={(settingsForm.gameInfo?.recurrence || 'weekly') === 'monthly' ? '' : 'col-span-2'}>
-                    <label className="block text-xs text-gray-500 mb-1">Game Day</label>
-                    <select
-                      value={settingsForm.gameInfo?.gameDay ?? 0}
-                      onChange={e => setSettingsForm({
-                        ...settingsForm,
-                        gameInfo: { ...settingsForm.gameInfo, gameDay: parseInt(e.target.value) }
-                      })}
-                      className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
-                    >
-                      {days.map((day, i) => (
-                        <option key={i} value={i}>{day}</option>
-                      ))}
-                    </select>
-                  </div>
+                  {/* Several game days a week, each with its own RSVP list */}
+                  {(settingsForm.gameInfo?.recurrence || 'weekly') === 'weekly' && (
+                    <div className="col-span-2">
+                      <label className="block text-xs text-gray-500 mb-1">Also plays on</label>
+                      <div className="flex flex-wrap gap-1.5">
+                        {days.map((day, i) => {
+                          const gameDay = settingsForm.gameInfo?.gameDay ?? 0;
+                          const selectedDays = settingsForm.gameInfo?.gameDays?.length ? settingsForm.gameInfo.gameDays : [gameDay];
+                          const selected = selectedDays.includes(i);
+                          return (
+                            <button
+                              key={i}
+                              type="button"
+                              disabled={i === gameDay}
+                              onClick={() => {
+                                const next = selected ? selectedDays.filter(d => d !== i) : [...selectedDays, i].sort((a, b) => a - b);
+                                setSettingsForm({
+                                  ...settingsForm,
+                                  gameInfo: { ...settingsForm.gameInfo, gameDays: next.length > 1 ? next : [] }
+                                });
+                              }}
+                              className={`px-2.5 py-1 rounded-lg border text-xs font-medium transition-all disabled:opacity-60 ${
+                                selected ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-200 text-gray-600 hover:border-gray-300'
+                              }`}
+                            >
+                              {day.slice(0, 3)}
+                            </button>
+                          );
+                        })}
+                      </div>
+                      <p className="text-xs text-gray-400 mt-1">Each game day gets its own RSVP list. The RSVP window below is set for {days[settingsForm.gameInfo?.gameDay ?? 0]} and shifts with each game.</p>
+                    </div>
+                  )}
 
                   {/* Monthly Occurrence Picker */}
                   {(settingsForm.gameInfo?.recurrence || 'weekly') === 'monthly' && (
@@ -1483,7 +3044,7 @@ export default function OrgAdmin() {
                   <span>📬</span> RSVP Window
                 </h3>
                 <p className="text-sm text-gray-500 mb-4">
-                  {(settingsForm.gameInfo?.recurrence || 'weekly') === 'monthly'
+                  {(settingsForm.gameInfo?.recurrence || 'weekly') === 'monthly' || isScheduledRecurrence(settingsForm.gameInfo)
                     ? `When can people sign up, relative to your game day (${days[settingsForm.gameInfo?.gameDay ?? 0]})?`
                     : 'When can people sign up for your game?'}
                 </p>
@@ -1494,6 +3055,12 @@ export default function OrgAdmin() {
                   </div>
                 )}
 
+                {isScheduledRecurrence(settingsForm.gameInfo) && (
+                  <div className="bg-amber-50 border border-amber-200 rounded-lg p-3 text-xs text-amber-800 mb-4">
+                    Every game gets its own RSVP window and list, opening and closing the same number of days before it as shown here for a {days[settingsForm.gameInfo?.gameDay ?? 0]} game. The window has to open after the previous game day.
+                  </div>
+                )}
+
                 <label className="flex items-center gap-2 mb-4">
                   <input
                     type="checkbox"
@@ -1525,7 +3092,7 @@ export default function OrgAdmin() {
                             <option key={i} value={i}>{day}</option>
                           ))}
                         </select>
-                        {(settingsForm.gameInfo?.recurrence || 'weekly') === 'monthly' && (() => {
+                        {((settingsForm.gameInfo?.recurrence || 'weekly') === 'monthly' || isScheduledRecurrence(settingsForm.gameInfo)) && (() => {
                           const gameDay = settingsForm.gameInfo?.gameDay ?? 0;
                           let offset = (settingsForm.accessPeriod?.startDay ?? 0) - gameDay;
                           if (offset > 0) offset -= 7;
@@ -1560,7 +3127,7 @@ export default function OrgAdmin() {
                             <option key={i} value={i}>{day}</option>
                           ))}
                         </select>
-                        {(settingsForm.gameInfo?.recurrence || 'weekly') === 'monthly' && (() => {
+                        {((settingsForm.gameInfo?.recurrence || 'weekly') === 'monthly' || isScheduledRecurrence(settingsForm.gameInfo)) && (() => {
                           const gameDay = settingsForm.gameInfo?.gameDay ?? 0;
                           let offset = (settingsForm.accessPeriod?.endDay ?? 0) - gameDay;
                           if (offset > 0) offset -= 7;
@@ -1598,6 +3165,22 @@ export default function OrgAdmin() {
                           </div>
                         );
                       }
+                      if (isScheduledRecurrence(settingsForm.gameInfo)) {
+                        const { openOffset } = getWindowOffsets(ap, settingsForm.gameInfo?.gameDay ?? 0);
+                        const gapDays = getMinGameGapDays(settingsForm.gameInfo);
+                        if (-openOffset >= gapDays) {
+                          return (
+                            <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+                              <p className="text-sm text-red-700 font-medium">
+                                RSVPs open too early
+                              </p>
+                              <p className="text-xs text-red-600 mt-1">
+                                Games can be {gapDays} day{gapDays === 1 ? '' : 's'} apart, so the window has to open less than {gapDays} day{gapDays === 1 ? '' : 's'} before each game, after the previous game day.
+                              </p>
+                            </div>
+                          );
+                        }
+                      }
                       return null;
                     })()}
                   </div>
@@ -1618,6 +3201,95 @@ export default function OrgAdmin() {
               >
                 {saving ? 'Saving...' : 'Save Schedule Settings'}
               </button>
+
+              {/* Skip Dates & Cancellations */}
+              {settingsForm.accessPeriod?.enabled && (
+                <div className="bg-white rounded-lg border border-gray-200 p-6">
+                  <h3 className="font-semibold text-gray-900 mb-1 flex items-center gap-2">
+                    <span>🚫</span> Skip Dates &amp; Cancellations
+                  </h3>
+                  <p className="text-sm text-gray-500 mb-4">
+                    No game on a holiday or the field is closed? Skipped games keep RSVPs shut, don&apos;t email the list and don&apos;t start a new week in the history.
+                  </p>
+
+                  {currentGame?.signupsOpened && !currentGame.skipped && (
+                    <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-lg">
+                      <p className="text-sm font-medium text-red-800">
+                        Cancel the {formatGameDate(parseDateId(currentGame.date))} game
+                      </p>
+                      <p className="text-xs text-red-600 mt-1 mb-3">
+                        Signups close straight away and everyone signed up is emailed, if their member profile has an email.
+                      </p>
+                      <div className="flex gap-2">
+                        <input
+                          type="text"
+                          value={cancelReason}
+                          onChange={e => setCancelReason(e.target.value)}
+                          maxLength={MAX_SKIP_REASON_LENGTH}
+                          placeholder="Reason (optional), e.g. Field flooded"
+                          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                        />
+                        <button
+                          onClick={handleCancelPeriod}
+                          disabled={saving}
+                          className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 text-sm font-medium"
+                        >
+                          Cancel Game
+                        </button>
+                      </div>
+                    </div>
+                  )}
+
+                  <div className="flex flex-col sm:flex-row gap-2 mb-4">
+                    <input
+                      type="date"
+                      value={newSkipDate}
+                      onChange={e => setNewSkipDate(e.target.value)}
+                      className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                    />
+                    <input
+                      type="text"
+                      value={newSkipReason}
+                      onChange={e => setNewSkipReason(e.target.value)}
+                      maxLength={MAX_SKIP_REASON_LENGTH}
+                      placeholder="Reason (optional), e.g. Christmas"
+                      className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                    />
+                    <button
+                      onClick={handleAddSkipDate}
+                      disabled={saving || !newSkipDate}
+                      className="px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 disabled:opacity-50 text-sm font-medium"
+                    >
+                      Skip Date
+                    </button>
+                  </div>
+
+                  {settings?.skipDates?.length > 0 ? (
+                    <ul className="divide-y divide-gray-100">
+                      {settings.skipDates.map(skip => (
+                        <li key={skip.date} className="flex items-center justify-between py-2">
+                          <div>
+                            <span className="text-sm font-medium text-gray-900">{formatGameDate(parseDateId(skip.date))}</span>
+                            {skip.cancelledAt && (
+                              <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-red-100 text-red-700">Cancelled</span>
+                            )}
+                            {skip.reason && <p className="text-xs text-gray-500">{skip.reason}</p>}
+                          </div>
+                          <button
+                            onClick={() => handleRemoveSkipDate(skip)}
+                            disabled={saving}
+                            className="text-sm text-gray-500 hover:text-red-600 disabled:opacity-50"
+                          >
+                            Remove
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  ) : (
+                    <p className="text-sm text-gray-400">No skipped dates.</p>
+                  )}
+                </div>
+              )}
             </div>
           )}
 
@@ -1646,6 +3318,338 @@ export default function OrgAdmin() {
                   />
                   <p className="text-xs text-gray-400 mt-1">Additional signups will be placed on the waitlist</p>
                 </div>
+                <div className="mt-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Guests Per Signup
+                  </label>
+                  <input
+                    type="number"
+                    min={0}
+                    max={MAX_GUESTS_PER_SIGNUP}
+                    value={settingsForm.maxGuestsPerSignup}
+                    onChange={e => setSettingsForm({ ...settingsForm, maxGuestsPerSignup: Math.min(MAX_GUESTS_PER_SIGNUP, Math.max(0, parseInt(e.target.value) || 0)) })}
+                    className="w-full px-3 py-2 border border-gray-200 rounded-lg"
+                  />
+                  <p className="text-xs text-gray-400 mt-1">Plus-ones each person may bring. Guests take their own spots and are waitlisted individually. Set to 0 to turn guests off.</p>
+                </div>
+                <div className="mt-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Allocation
+                  </label>
+                  <select
+                    value={settingsForm.allocationMode}
+                    onChange={e => setSettingsForm({ ...settingsForm, allocationMode: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-200 rounded-lg"
+                  >
+                    <option value="first-come">First come, first served</option>
+                    <option value="lottery">Lottery when signups close</option>
+                  </select>
+                  <p className="text-xs text-gray-400 mt-1">
+                    {settingsForm.allocationMode === 'lottery'
+                      ? 'Signups only register interest while the RSVP window is open. When it closes, spots are drawn at random; members keep guaranteed spots and everyone else goes to the waitlist in drawn order. Needs the RSVP window enabled.'
+                      : 'Spots go to whoever signs up first. Members always get priority.'}
+                  </p>
+                </div>
+              </div>
+
+              {/* Priority Tiers Section */}
+              <div className="bg-white rounded-lg border border-gray-200 p-6">
+                <h3 className="font-semibold text-gray-900 mb-1 flex items-center gap-2">
+                  <span>🏅</span> Priority Tiers
+                </h3>
+                <p className="text-sm text-gray-500 mb-4">
+                  Higher tiers are placed ahead of lower ones. Reserved spots are held for a tier until it fills them, then go to everyone else. Early access lets a tier sign up before the RSVP window opens.
+                </p>
+                <div className="space-y-3">
+                  {settingsForm.tiers.map((tier, i) => {
+                    const isPublic = tier.id === PUBLIC_TIER_ID;
+                    const memberCount = isPublic ? null : whitelist.filter(w => resolveMemberTierId(w.tier, settingsForm.tiers) === tier.id).length;
+                    return (
+                      <div key={tier.id} className="p-3 bg-gray-50 rounded-lg">
+                        <div className="flex items-center gap-2 mb-2">
+                          <span className="text-xs text-gray-400 w-4">{i + 1}.</span>
+                          <input
+                            type="text"
+                            value={tier.name}
+                            onChange={e => updateTier(i, { name: e.target.value })}
+                            className="flex-1 px-3 py-1.5 border border-gray-200 rounded-lg text-sm"
+                          />
+                          {!isPublic && (
+                            <>
+                              <span className="text-xs text-gray-400 whitespace-nowrap">{memberCount} member{memberCount === 1 ? '' : 's'}</span>
+                              <button
+                                type="button"
+                                onClick={() => moveTier(i, -1)}
+                                disabled={i === 0}
+                                className="px-2 text-gray-500 hover:text-gray-700 disabled:opacity-30"
+                                title="Move up"
+                              >
+                                ↑
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => moveTier(i, 1)}
+                                disabled={i >= settingsForm.tiers.length - 2}
+                                className="px-2 text-gray-500 hover:text-gray-700 disabled:opacity-30"
+                                title="Move down"
+                              >
+                                ↓
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => removeTier(i)}
+                                disabled={getMemberTiers(settingsForm.tiers).length === 1}
+                                className="px-2 text-red-500 hover:text-red-600 disabled:opacity-30"
+                                title="Remove tier"
+                              >
+                                ✕
+                              </button>
+                            </>
+                          )}
+                        </div>
+                        <div className="grid grid-cols-2 gap-3 pl-6">
+                          <div>
+                            <label className="block text-xs text-gray-500 mb-1">Reserved spots</label>
+                            <input
+                              type="number"
+                              min={0}
+                              max={settingsForm.mainListLimit}
+                              value={tier.reservedSpots}
+                              onChange={e => updateTier(i, { reservedSpots: Math.max(0, parseInt(e.target.value) || 0) })}
+                              className="w-full px-3 py-1.5 border border-gray-200 rounded-lg text-sm"
+                            />
+                          </div>
+                          {!isPublic && (
+                            <div>
+                              <label className="block text-xs text-gray-500 mb-1">Early access (hours)</label>
+                              <input
+                                type="number"
+                                min={0}
+                                max={MAX_EARLY_ACCESS_HOURS}
+                                value={tier.earlyAccessHours}
+                                onChange={e => updateTier(i, { earlyAccessHours: Math.min(MAX_EARLY_ACCESS_HOURS, Math.max(0, parseInt(e.target.value) || 0)) })}
+                                className="w-full px-3 py-1.5 border border-gray-200 rounded-lg text-sm"
+                              />
+                            </div>
+                          )}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+                {settingsForm.tiers.length < MAX_TIERS && (
+                  <button
+                    type="button"
+                    onClick={addTier}
+                    className="mt-3 text-sm text-blue-600 hover:text-blue-700"
+                  >
+                    + Add tier
+                  </button>
+                )}
+                <p className="text-xs text-gray-400 mt-2">
+                  The last tier is everyone who isn&apos;t a member, guests included. Members of a removed tier move to the lowest member tier.
+                </p>
+              </div>
+
+              {/* Waitlist Claim Window Section */}
+              <div className="bg-white rounded-lg border border-gray-200 p-6">
+                <div className="flex items-center justify-between mb-1">
+                  <h3 className="font-semibold text-gray-900 flex items-center gap-2">
+                    <span>⏳</span> Waitlist Claim Window
+                  </h3>
+                  <label className="flex items-center gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={settingsForm.claimWindow.enabled}
+                      onChange={e => setSettingsForm({ ...settingsForm, claimWindow: { ...settingsForm.claimWindow, enabled: e.target.checked } })}
+                    />
+                    Enabled
+                  </label>
+                </div>
+                <p className="text-sm text-gray-500 mb-4">
+                  Players promoted from the waitlist must claim their spot in time, or it passes to the next person on the waitlist.
+                </p>
+                {settingsForm.claimWindow.enabled && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Time to Claim (hours)
+                    </label>
+                    <input
+                      type="number"
+                      min={1}
+                      max={MAX_CLAIM_HOURS}
+                      value={settingsForm.claimWindow.hours}
+                      onChange={e => setSettingsForm({ ...settingsForm, claimWindow: { ...settingsForm.claimWindow, hours: Math.min(MAX_CLAIM_HOURS, Math.max(1, parseInt(e.target.value) || 1)) } })}
+                      className="w-full px-3 py-2 border border-gray-200 rounded-lg"
+                    />
+                    <p className="text-xs text-gray-400 mt-1">Promoted players get a claim link by email if they left one. Unclaimed spots are checked every hour and whenever someone opens the RSVP page.</p>
+                  </div>
+                )}
+              </div>
+
+              {/* Reminders Section */}
+              <div className="bg-white rounded-lg border border-gray-200 p-6">
+                <h3 className="font-semibold text-gray-900 flex items-center gap-2 mb-1">
+                  <span>🔔</span> Reminders
+                </h3>
+                <p className="text-sm text-gray-500 mb-4">
+                  Email players who left an email, or whose membership has one. Each reminder goes out once per game.
+                </p>
+                <div className="space-y-3">
+                  <label className="flex items-start gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      className="mt-0.5"
+                      checked={settingsForm.reminders.windowOpens}
+                      onChange={e => setSettingsForm({ ...settingsForm, reminders: { ...settingsForm.reminders, windowOpens: e.target.checked } })}
+                    />
+                    <span><span className="font-medium text-gray-700">RSVP is open</span> — to regulars not on the list yet</span>
+                  </label>
+                  <label className="flex items-start gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      className="mt-0.5"
+                      checked={settingsForm.reminders.windowCloses}
+                      onChange={e => setSettingsForm({ ...settingsForm, reminders: { ...settingsForm.reminders, windowCloses: e.target.checked } })}
+                    />
+                    <span><span className="font-medium text-gray-700">RSVP closing soon</span> — to regulars who still haven&apos;t signed up</span>
+                  </label>
+                  {settingsForm.reminders.windowCloses && (
+                    <div className="ml-6">
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Hours Before Close
+                      </label>
+                      <input
+                        type="number"
+                        min={1}
+                        max={MAX_REMINDER_HOURS}
+                        value={settingsForm.reminders.hoursBeforeClose}
+                        onChange={e => setSettingsForm({ ...settingsForm, reminders: { ...settingsForm.reminders, hoursBeforeClose: Math.min(MAX_REMINDER_HOURS, Math.max(1, parseInt(e.target.value) || 1)) } })}
+                        className="w-full px-3 py-2 border border-gray-200 rounded-lg"
+                      />
+                    </div>
+                  )}
+                  <label className="flex items-start gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      className="mt-0.5"
+                      checked={settingsForm.reminders.gameTomorrow}
+                      onChange={e => setSettingsForm({ ...settingsForm, reminders: { ...settingsForm.reminders, gameTomorrow: e.target.checked } })}
+                    />
+                    <span><span className="font-medium text-gray-700">Game tomorrow</span> — to confirmed players, the day before (needs game details)</span>
+                  </label>
+                  {(settingsForm.reminders.windowOpens || settingsForm.reminders.windowCloses) && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Regulars Played At Least
+                      </label>
+                      <select
+                        value={settingsForm.reminders.regularGames}
+                        onChange={e => setSettingsForm({ ...settingsForm, reminders: { ...settingsForm.reminders, regularGames: parseInt(e.target.value) } })}
+                        className="w-full px-3 py-2 border border-gray-200 rounded-lg"
+                      >
+                        {Array.from({ length: REGULAR_LOOKBACK_PERIODS }, (_, i) => i + 1).map(n => (
+                          <option key={n} value={n}>{n} of the last {REGULAR_LOOKBACK_PERIODS} games</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                </div>
+              </div>
+
+              {/* Strikes & Penalties Section */}
+              <div className="bg-white rounded-lg border border-gray-200 p-6">
+                <div className="flex items-center justify-between mb-1">
+                  <h3 className="font-semibold text-gray-900 flex items-center gap-2">
+                    <span>🟨</span> Strikes &amp; Penalties
+                  </h3>
+                  <label className="flex items-center gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={settingsForm.penalties.enabled}
+                      onChange={e => setSettingsForm({ ...settingsForm, penalties: { ...settingsForm.penalties, enabled: e.target.checked } })}
+                    />
+                    Enabled
+                  </label>
+                </div>
+                <p className="text-sm text-gray-500 mb-4">
+                  Give strikes for late dropouts and no-shows, and penalize players who collect too many.
+                </p>
+                {settingsForm.penalties.enabled && (
+                  <div className="space-y-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Late Dropout Cutoff (hours before close)
+                      </label>
+                      <input
+                        type="number"
+                        min={0}
+                        max={168}
+                        value={settingsForm.penalties.lateDropoutHours}
+                        onChange={e => setSettingsForm({ ...settingsForm, penalties: { ...settingsForm.penalties, lateDropoutHours: parseInt(e.target.value) || 0 } })}
+                        className="w-full px-3 py-2 border border-gray-200 rounded-lg"
+                      />
+                      <p className="text-xs text-gray-400 mt-1">Dropping off the main list within this many hours of the RSVP window closing is a strike. Set to 0 to only count dropouts after it closes.</p>
+                    </div>
+                    <label className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={settingsForm.penalties.noShowStrikes}
+                        onChange={e => setSettingsForm({ ...settingsForm, penalties: { ...settingsForm.penalties, noShowStrikes: e.target.checked } })}
+                      />
+                      Give a strike for each no-show (weeks where you used check-in)
+                    </label>
+                    <div className="grid grid-cols-2 gap-4">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Strikes Before Penalty</label>
+                        <input
+                          type="number"
+                          min={1}
+                          max={10}
+                          value={settingsForm.penalties.strikeLimit}
+                          onChange={e => setSettingsForm({ ...settingsForm, penalties: { ...settingsForm.penalties, strikeLimit: parseInt(e.target.value) || 1 } })}
+                          className="w-full px-3 py-2 border border-gray-200 rounded-lg"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Within (weeks)</label>
+                        <input
+                          type="number"
+                          min={1}
+                          max={52}
+                          value={settingsForm.penalties.windowWeeks}
+                          onChange={e => setSettingsForm({ ...settingsForm, penalties: { ...settingsForm.penalties, windowWeeks: parseInt(e.target.value) || 1 } })}
+                          className="w-full px-3 py-2 border border-gray-200 rounded-lg"
+                        />
+                      </div>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Penalty</label>
+                      <select
+                        value={settingsForm.penalties.penalty}
+                        onChange={e => setSettingsForm({ ...settingsForm, penalties: { ...settingsForm.penalties, penalty: e.target.value } })}
+                        className="w-full px-3 py-2 border border-gray-200 rounded-lg"
+                      >
+                        <option value="lose-priority">Lose priority (placed after everyone, members included)</option>
+                        <option value="delay-signup">Delayed signup</option>
+                      </select>
+                    </div>
+                    {settingsForm.penalties.penalty === 'delay-signup' && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Signup Delay (hours after opening)</label>
+                        <input
+                          type="number"
+                          min={1}
+                          max={168}
+                          value={settingsForm.penalties.delayHours}
+                          onChange={e => setSettingsForm({ ...settingsForm, penalties: { ...settingsForm.penalties, delayHours: parseInt(e.target.value) || 1 } })}
+                          className="w-full px-3 py-2 border border-gray-200 rounded-lg"
+                        />
+                        <p className="text-xs text-gray-400 mt-1">Only applies when the RSVP window is enabled.</p>
+                      </div>
+                    )}
+                  </div>
+                )}
               </div>
 
               {/* Visibility Section */}
@@ -1833,53 +3837,21 @@ export default function OrgAdmin() {
 
                   {/* Email Content */}
                   <div className="bg-white rounded-lg border border-gray-200 p-6">
-                    <h3 className="font-semibold mb-4">Email Content</h3>
-
-                    <div className="mb-4">
-                      <label className="block text-sm font-medium text-gray-700 mb-2">Subject</label>
-                      <input
-                        type="text"
-                        value={settingsForm.email?.subject || ''}
-                        onChange={e => setSettingsForm({
-                          ...settingsForm,
-                          email: { ...settingsForm.email, subject: e.target.value }
-                        })}
-                        placeholder="Weekly RSVP List - {{week}}"
-                        className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
-                      />
-                      <p className="text-xs text-gray-500 mt-1">Use {'{{week}}'} for current week, {'{{org}}'} for community name</p>
-                    </div>
-
-                    <div>
-                      <label className="block text-sm font-medium text-gray-700 mb-2">Body</label>
-                      <textarea
-                        value={settingsForm.email?.body || ''}
-                        onChange={e => setSettingsForm({
-                          ...settingsForm,
-                          email: { ...settingsForm.email, body: e.target.value }
-                        })}
-                        placeholder="Please find attached the RSVP list for this week."
-                        rows={4}
-                        className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
-                      />
-                      <p className="text-xs text-gray-500 mt-1">Use {'{{count}}'} for participant count, {'{{list}}'} for names</p>
-                    </div>
-                  </div>
-
-                  {/* Email Preview */}
-                  <div className="bg-white rounded-lg border border-gray-200 p-6">
-                    <h3 className="font-semibold mb-4">Email Preview</h3>
-                    <div className="bg-gray-50 rounded-lg p-4 space-y-3">
-                      <div>
-                        <span className="text-xs text-gray-500 block mb-1">Subject:</span>
-                        <p className="text-sm font-medium text-gray-800">{getEmailPreview().subject}</p>
-                      </div>
-                      <div>
-                        <span className="text-xs text-gray-500 block mb-1">Body:</span>
-                        <p className="text-sm text-gray-700 whitespace-pre-wrap">{getEmailPreview().body}</p>
-                      </div>
-                      <p className="text-xs text-gray-400 italic">+ RSVP list will be attached as PDF</p>
-                    </div>
+                    <h3 className="font-semibold mb-1">Email Content</h3>
+                    <p className="text-sm text-gray-500 mb-4">The RSVP list is attached as a PDF.</p>
+                    <TemplateEditor
+                      slug={slug}
+                      type="list"
+                      template={{
+                        subject: settingsForm.email?.subject || '',
+                        body: settingsForm.email?.body || '',
+                        html: settingsForm.email?.html || '',
+                      }}
+                      onChange={template => setSettingsForm({
+                        ...settingsForm,
+                        email: { ...settingsForm.email, ...template }
+                      })}
+                    />
                   </div>
 
                   {/* Test & Manual Send Section */}
@@ -1918,6 +3890,49 @@ export default function OrgAdmin() {
                 </>
               )}
 
+              {/* Player Emails */}
+              <div className="bg-white rounded-lg border border-gray-200 p-6">
+                <h3 className="font-semibold text-gray-900 mb-1 flex items-center gap-2">
+                  <span>✉️</span> Player Emails
+                </h3>
+                <p className="text-sm text-gray-500 mb-4">
+                  Rewrite the emails players and members get from your group.
+                </p>
+
+                <div className="flex items-center gap-2 mb-1">
+                  <select
+                    value={templateType}
+                    onChange={e => setTemplateType(e.target.value)}
+                    className="flex-1 px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                  >
+                    {PLAYER_TEMPLATE_TYPES.map(type => (
+                      <option key={type} value={type}>{TEMPLATES[type].label}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => setSettingsForm({
+                      ...settingsForm,
+                      templates: { ...settingsForm.templates, [templateType]: { subject: '', body: '', html: '' } }
+                    })}
+                    className="px-3 py-2 text-sm text-gray-600 border border-gray-200 rounded-lg hover:bg-gray-50"
+                  >
+                    Reset to default
+                  </button>
+                </div>
+                <p className="text-xs text-gray-500 mb-4">{TEMPLATES[templateType].description}</p>
+
+                <TemplateEditor
+                  key={templateType}
+                  slug={slug}
+                  type={templateType}
+                  template={settingsForm.templates?.[templateType] || { subject: '', body: '', html: '' }}
+                  onChange={template => setSettingsForm({
+                    ...settingsForm,
+                    templates: { ...settingsForm.templates, [templateType]: template }
+                  })}
+                />
+              </div>
+
               {/* Email History - always visible */}
               <div className="bg-white rounded-lg border border-gray-200 p-6">
                 <h3 className="font-semibold mb-4">Email History</h3>
@@ -1949,7 +3964,60 @@ export default function OrgAdmin() {
                   );
                 })()}
 
-                {emailLog.length === 0 ? (
+                {emailLog.length === 0 ? (
+                  <p className="text-gray-400 text-center py-4">No emails sent yet.</p>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="border-b border-gray-200">
+                          <th className="text-left py-2 pr-3 font-medium text-gray-500">Timestamp</th>
+                          <th className="text-left py-2 pr-3 font-medium text-gray-500">Period</th>
+                          <th className="text-left py-2 pr-3 font-medium text-gray-500">Status</th>
+                          <th className="text-right py-2 font-medium text-gray-500">Recipients</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {emailLog.map((entry, i) => (
+                          <tr key={i} className="border-b border-gray-100 last:border-0">
+                            <td className="py-2 pr-3 text-gray-600 whitespace-nowrap">
+                              {new Date(entry.timestamp).toLocaleDateString('en-US', {
+                                month: 'short',
+                                day: 'numeric',
+                                hour: 'numeric',
+                                minute: '2-digit',
+                              })}
+                            </td>
+                            <td className="py-2 pr-3 text-gray-600">{entry.periodId}</td>
+                            <td className="py-2 pr-3">
+                              <span className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium ${
+                                entry.status === 'sent'
+                                  ? 'bg-green-100 text-green-700'
+                                  : 'bg-red-100 text-red-700'
+                              }`}>
+                                <span className={`w-1.5 h-1.5 rounded-full ${
+                                  entry.status === 'sent' ? 'bg-green-500' : 'bg-red-500'
+                                }`}></span>
+                                {entry.status === 'sent' ? 'Sent' : 'Failed'}
+                              </span>
+                            </td>
+                            <td className="py-2 text-right text-gray-600">{entry.recipientCount}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+
+              {/* Delivery Log - every email sent for this org */}
+              <div className="bg-white rounded-lg border border-gray-200 p-6">
+                <h3 className="font-semibold mb-1">Delivery Log</h3>
+                <p className="text-sm text-gray-500 mb-4">
+                  Every email sent for your group. Failed sends are retried automatically every hour or so, for up to 15 hours.
+                </p>
+
+                {deliveryLog.messages.length === 0 ? (
                   <p className="text-gray-400 text-center py-4">No emails sent yet.</p>
                 ) : (
                   <div className="overflow-x-auto">
@@ -1957,42 +4025,114 @@ export default function OrgAdmin() {
                       <thead>
                         <tr className="border-b border-gray-200">
                           <th className="text-left py-2 pr-3 font-medium text-gray-500">Timestamp</th>
-                          <th className="text-left py-2 pr-3 font-medium text-gray-500">Period</th>
+                          <th className="text-left py-2 pr-3 font-medium text-gray-500">Email</th>
                           <th className="text-left py-2 pr-3 font-medium text-gray-500">Status</th>
-                          <th className="text-right py-2 font-medium text-gray-500">Recipients</th>
+                          <th className="py-2"></th>
                         </tr>
                       </thead>
                       <tbody>
-                        {emailLog.map((entry, i) => (
-                          <tr key={i} className="border-b border-gray-100 last:border-0">
+                        {deliveryLog.messages.map(entry => (
+                          <tr key={entry.id} className="border-b border-gray-100 last:border-0 align-top">
                             <td className="py-2 pr-3 text-gray-600 whitespace-nowrap">
-                              {new Date(entry.timestamp).toLocaleDateString('en-US', {
+                              {new Date(entry.createdAt).toLocaleDateString('en-US', {
                                 month: 'short',
                                 day: 'numeric',
                                 hour: 'numeric',
                                 minute: '2-digit',
                               })}
                             </td>
-                            <td className="py-2 pr-3 text-gray-600">{entry.periodId}</td>
+                            <td className="py-2 pr-3">
+                              <div className="text-gray-800">{entry.subject}</div>
+                              <div className="text-xs text-gray-500 break-all">
+                                {entry.kind} · {entry.to.length > 2 ? `${entry.to.length} recipients` : entry.to.join(', ')}
+                              </div>
+                              {entry.status !== 'sent' && entry.lastError && (
+                                <div className="text-xs text-red-600 mt-1">
+                                  {entry.lastError} ({entry.attempts} {entry.attempts === 1 ? 'attempt' : 'attempts'})
+                                </div>
+                              )}
+                            </td>
                             <td className="py-2 pr-3">
                               <span className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium ${
                                 entry.status === 'sent'
                                   ? 'bg-green-100 text-green-700'
-                                  : 'bg-red-100 text-red-700'
+                                  : entry.status === 'pending'
+                                    ? 'bg-amber-100 text-amber-700'
+                                    : 'bg-red-100 text-red-700'
                               }`}>
                                 <span className={`w-1.5 h-1.5 rounded-full ${
-                                  entry.status === 'sent' ? 'bg-green-500' : 'bg-red-500'
+                                  entry.status === 'sent' ? 'bg-green-500' : entry.status === 'pending' ? 'bg-amber-500' : 'bg-red-500'
                                 }`}></span>
-                                {entry.status === 'sent' ? 'Sent' : 'Failed'}
+                                {entry.status === 'sent' ? 'Sent' : entry.status === 'pending' ? 'Retrying' : 'Failed'}
                               </span>
                             </td>
-                            <td className="py-2 text-right text-gray-600">{entry.recipientCount}</td>
+                            <td className="py-2 text-right">
+                              {entry.status === 'dead' && (
+                                <button
+                                  onClick={async () => {
+                                    setRetryingEmail(entry.id);
+                                    try {
+                                      const res = await fetch(`/api/org/${slug}/admin`, {
+                                        method: 'POST',
+                                        headers: { 'Content-Type': 'application/json' },
+                                        body: JSON.stringify({ action: 'retry-email', data: { id: entry.id } }),
+                                      });
+                                      const data = await res.json();
+                                      if (res.ok) {
+                                        showMessage(data.message);
+                                        setDeliveryLog(prev => ({
+                                          ...prev,
+                                          messages: prev.messages.map(m => m.id === entry.id ? { ...m, ...data.email } : m),
+                                        }));
+                                      } else {
+                                        showMessage(data.error, 'error');
+                                      }
+                                    } catch (error) {
+                                      showMessage('Failed to retry email', 'error');
+                                    }
+                                    setRetryingEmail(null);
+                                  }}
+                                  disabled={retryingEmail === entry.id}
+                                  className="text-blue-600 hover:text-blue-700 text-xs whitespace-nowrap"
+                                >
+                                  {retryingEmail === entry.id ? 'Retrying...' : 'Retry'}
+                                </button>
+                              )}
+                            </td>
                           </tr>
                         ))}
                       </tbody>
                     </table>
                   </div>
                 )}
+
+                {deliveryLog.messages.length < deliveryLog.total && (
+                  <button
+                    onClick={async () => {
+                      setLoadingMoreEmails(true);
+                      try {
+                        const res = await fetch(`/api/org/${slug}/admin`, {
+                          method: 'POST',
+                          headers: { 'Content-Type': 'application/json' },
+                          body: JSON.stringify({ action: 'list-emails', data: { offset: deliveryLog.messages.length } }),
+                        });
+                        const data = await res.json();
+                        if (res.ok) {
+                          setDeliveryLog(prev => ({ messages: [...prev.messages, ...data.messages], total: data.total }));
+                        } else {
+                          showMessage(data.error, 'error');
+                        }
+                      } catch (error) {
+                        showMessage('Failed to load emails', 'error');
+                      }
+                      setLoadingMoreEmails(false);
+                    }}
+                    disabled={loadingMoreEmails}
+                    className="w-full mt-4 px-4 py-2 text-sm text-gray-600 border border-gray-200 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    {loadingMoreEmails ? 'Loading...' : `Load more (${deliveryLog.total - deliveryLog.messages.length} older)`}
+                  </button>
+                )}
               </div>
 
               {/* Save Button */}
@@ -2267,33 +4407,518 @@ export default function OrgAdmin() {
             </div>
           )}
 
-          {/* History Tab */}
-          {activeTab === 'history' && (
-            <div className="bg-white rounded-lg border border-gray-200 p-4">
-              <h2 className="font-semibold mb-4">Past Weeks</h2>
-              {archive.length === 0 ? (
-                <p className="text-gray-400 text-center py-8">No archived weeks yet</p>
-              ) : (
-                <div className="space-y-4">
-                  {archive.map((week, i) => (
-                    <div key={i} className="border border-gray-100 rounded-lg p-4">
-                      <div className="flex justify-between items-center mb-2">
-                        <h3 className="font-medium">{week.weekId}</h3>
-                        <span className="text-sm text-gray-400">
-                          Archived: {new Date(week.archivedAt).toLocaleDateString()}
-                        </span>
+          {/* Special Events Tab */}
+          {activeTab === 'events' && (
+            <div className="space-y-6">
+              <div className="bg-white rounded-lg border border-gray-200 p-6">
+                <div className="flex items-start justify-between gap-4 mb-4">
+                  <div>
+                    <h2 className="font-semibold flex items-center gap-2">
+                      <span>🏆</span> Special Events
+                    </h2>
+                    <p className="text-sm text-gray-500 mt-1">
+                      Tournaments, socials and other one-off events, each with its own signup page and list.
+                    </p>
+                  </div>
+                  {!showEventForm && (
+                    <button
+                      onClick={() => openEventForm(null)}
+                      className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm font-medium flex-shrink-0"
+                    >
+                      New Event
+                    </button>
+                  )}
+                </div>
+
+                {showEventForm && (
+                  <div className="space-y-4 p-4 bg-gray-50 rounded-lg border border-gray-200">
+                    <h3 className="font-medium text-gray-900">{editingEventId ? 'Edit Event' : 'New Event'}</h3>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                      <input
+                        type="text"
+                        value={eventForm.name}
+                        onChange={e => setEventForm({ ...eventForm, name: e.target.value })}
+                        maxLength={MAX_EVENT_NAME_LENGTH}
+                        placeholder="e.g. Summer 5-a-side Tournament"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                      <textarea
+                        value={eventForm.description}
+                        onChange={e => setEventForm({ ...eventForm, description: e.target.value })}
+                        maxLength={MAX_EVENT_DESCRIPTION_LENGTH}
+                        rows={3}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                      />
+                    </div>
+                    <div className="grid grid-cols-1 sm:grid-cols-4 gap-3">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+                        <input
+                          type="date"
+                          value={eventForm.date}
+                          onChange={e => setEventForm({ ...eventForm, date: e.target.value })}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Starts</label>
+                        <input
+                          type="time"
+                          value={eventForm.startTime}
+                          onChange={e => setEventForm({ ...eventForm, startTime: e.target.value })}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Ends</label>
+                        <input
+                          type="time"
+                          value={eventForm.endTime}
+                          onChange={e => setEventForm({ ...eventForm, endTime: e.target.value })}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Capacity</label>
+                        <input
+                          type="number"
+                          min={1}
+                          max={1000}
+                          value={eventForm.mainListLimit}
+                          onChange={e => setEventForm({ ...eventForm, mainListLimit: e.target.value })}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                        />
+                      </div>
+                    </div>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">RSVPs open</label>
+                        <input
+                          type="datetime-local"
+                          value={eventForm.rsvpOpens}
+                          onChange={e => setEventForm({ ...eventForm, rsvpOpens: e.target.value })}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                        />
+                        <p className="text-xs text-gray-400 mt-1">Leave empty to open as soon as the event is saved</p>
                       </div>
-                      <div className="text-sm text-gray-600">
-                        Main list: {week.mainList?.length || 0} | Waitlist: {week.waitlist?.length || 0}
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">RSVPs close</label>
+                        <input
+                          type="datetime-local"
+                          value={eventForm.rsvpCloses}
+                          onChange={e => setEventForm({ ...eventForm, rsvpCloses: e.target.value })}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                        />
+                        <p className="text-xs text-gray-400 mt-1">Leave empty to close when the event starts</p>
                       </div>
                     </div>
+                    <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                      <input
+                        type="text"
+                        value={eventForm.locationName}
+                        onChange={e => setEventForm({ ...eventForm, locationName: e.target.value })}
+                        placeholder="Venue name"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                      />
+                      <input
+                        type="text"
+                        value={eventForm.locationAddress}
+                        onChange={e => setEventForm({ ...eventForm, locationAddress: e.target.value })}
+                        placeholder="Address"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                      />
+                      <input
+                        type="url"
+                        value={eventForm.googleMapsUrl}
+                        onChange={e => setEventForm({ ...eventForm, googleMapsUrl: e.target.value })}
+                        placeholder="Google Maps link (optional)"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Rules</label>
+                      <textarea
+                        value={eventForm.rules}
+                        onChange={e => setEventForm({ ...eventForm, rules: e.target.value })}
+                        rows={3}
+                        placeholder="One rule per line"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                      />
+                    </div>
+                    <p className="text-xs text-gray-400">Times are in {settings?.accessPeriod?.timezone || org?.timezone || 'Africa/Lagos'}.</p>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={handleSaveEvent}
+                        disabled={saving}
+                        className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 text-sm font-medium"
+                      >
+                        {saving ? 'Saving...' : editingEventId ? 'Save Changes' : 'Create Event'}
+                      </button>
+                      <button
+                        onClick={closeEventForm}
+                        disabled={saving}
+                        className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50 text-sm font-medium"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  </div>
+                )}
+
+                {events.length === 0 && !showEventForm && (
+                  <p className="text-sm text-gray-400 text-center py-6">No events yet</p>
+                )}
+              </div>
+
+              {events.map(event => (
+                <div key={event.id} className="bg-white rounded-lg border border-gray-200 p-4">
+                  <div className="flex items-start justify-between gap-4">
+                    <div className="min-w-0">
+                      <h3 className="font-semibold text-gray-900 flex items-center gap-2">
+                        {event.name}
+                        {event.archivedAt && (
+                          <span className="text-xs bg-gray-100 text-gray-500 px-2 py-0.5 rounded-full">Over</span>
+                        )}
+                      </h3>
+                      <p className="text-sm text-gray-500">{describeEventTime(event)}</p>
+                      <p className="text-sm text-gray-500">
+                        {event.mainList.length} / {event.mainListLimit} going
+                        {event.waitlist.length > 0 && ` · ${event.waitlist.length} waitlisted`}
+                      </p>
+                      <Link href={`/${slug}/events/${event.id}`} className="text-xs text-blue-600 hover:text-blue-800 break-all">
+                        itsplayday.com/{slug}/events/{event.id}
+                      </Link>
+                    </div>
+                    <div className="flex gap-3 flex-shrink-0 text-sm">
+                      {!event.archivedAt && (
+                        <button onClick={() => openEventForm(event)} disabled={saving} className="text-blue-600 hover:text-blue-800 disabled:opacity-50">
+                          Edit
+                        </button>
+                      )}
+                      <button onClick={() => handleDeleteEvent(event)} disabled={saving} className="text-red-600 hover:text-red-800 disabled:opacity-50">
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+
+                  {[...event.mainList, ...event.waitlist].length > 0 && (
+                    <div className="mt-3 pt-3 border-t border-gray-100 divide-y divide-gray-100">
+                      {[...event.mainList, ...event.waitlist].map((person, index) => (
+                        <div key={person.id} className="flex items-center justify-between py-1.5 text-sm">
+                          <span className={index >= event.mainList.length ? 'text-orange-600' : 'text-gray-700'}>
+                            {index >= event.mainList.length ? `Waitlist #${index - event.mainList.length + 1}` : `#${index + 1}`} · {person.name}
+                          </span>
+                          {!event.archivedAt && (
+                            <button
+                              onClick={() => handleRemoveEventPerson(event, person)}
+                              disabled={saving}
+                              className="text-xs text-red-600 hover:text-red-800 disabled:opacity-50"
+                            >
+                              Remove
+                            </button>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* History Tab */}
+          {activeTab === 'stats' && (() => {
+            const players = [...playerStats[statsView.range]].sort((a, b) =>
+              statsView.sort === 'name'
+                ? a.name.localeCompare(b.name)
+                : b[statsView.sort] - a[statsView.sort] || a.name.localeCompare(b.name)
+            );
+            const isMember = name => whitelist.some(w => w.name.toLowerCase() === name.toLowerCase());
+            const sortHeader = (key, label, align = 'text-right') => (
+              <th key={key} className={`py-2 px-2 font-medium ${align}`}>
+                <button
+                  onClick={() => setStatsView({ ...statsView, sort: key })}
+                  className={statsView.sort === key ? 'text-blue-600' : 'hover:text-gray-700'}
+                >
+                  {label}
+                </button>
+              </th>
+            );
+
+            return (
+              <div className="space-y-6">
+                <div className="bg-white rounded-lg border border-gray-200 p-4">
+                  <div className="flex flex-wrap items-center justify-between gap-3 mb-1">
+                    <h2 className="font-semibold">Player Stats</h2>
+                    <div className="flex bg-gray-100 rounded-lg p-1 text-sm">
+                      {[['season', 'This season'], ['allTime', 'All time']].map(([range, label]) => (
+                        <button
+                          key={range}
+                          onClick={() => setStatsView({ ...statsView, range })}
+                          className={`px-3 py-1 rounded-md ${statsView.range === range ? 'bg-white shadow-sm font-medium' : 'text-gray-500'}`}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                  <p className="text-xs text-gray-400 mb-4">
+                    {statsView.range === 'season'
+                      ? `Games since ${playerStats.seasonStart}.`
+                      : `All ${playerStats.periodCount} game${playerStats.periodCount !== 1 ? 's' : ''} on record.`}
+                    {' '}Streaks are games in a row on the main list; no-shows count games with check-in. Guests aren&apos;t counted.
+                  </p>
+                  {players.length === 0 ? (
+                    <p className="text-gray-400 text-center py-8">No games played yet</p>
+                  ) : (
+                    <div className="overflow-x-auto">
+                      <table className="w-full text-sm">
+                        <thead>
+                          <tr className="text-gray-500 border-b border-gray-100">
+                            {sortHeader('name', 'Player', 'text-left')}
+                            {PLAYER_STAT_COLUMNS.map(column => sortHeader(column.key, column.label))}
+                            <th className="py-2 px-2 font-medium text-right">Last played</th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-50">
+                          {players.map(player => (
+                            <tr key={player.name}>
+                              <td className="py-2 px-2">
+                                {isMember(player.name) ? (
+                                  <button onClick={() => setProfileMember(player.name)} className="font-medium hover:text-blue-600">
+                                    {player.name}
+                                  </button>
+                                ) : (
+                                  player.name
+                                )}
+                              </td>
+                              {PLAYER_STAT_COLUMNS.map(column => (
+                                <td key={column.key} className="py-2 px-2 text-right tabular-nums">{player[column.key]}</td>
+                              ))}
+                              <td className="py-2 px-2 text-right text-gray-500">{player.lastPlayed || '—'}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </div>
+
+                <div className="bg-white rounded-lg border border-gray-200 p-4">
+                  <h2 className="font-semibold mb-1">Public Leaderboard</h2>
+                  <p className="text-xs text-gray-400 mb-4">
+                    Shows the {LEADERBOARD_SIZE} players with the most games this season on your public page.
+                  </p>
+                  <label className="flex items-center gap-3 mb-4">
+                    <input
+                      type="checkbox"
+                      checked={settingsForm.leaderboard?.enabled || false}
+                      onChange={e => setSettingsForm({
+                        ...settingsForm,
+                        leaderboard: { ...settingsForm.leaderboard, enabled: e.target.checked }
+                      })}
+                      className="w-4 h-4 rounded"
+                    />
+                    <span className="text-sm font-medium text-gray-700">Show &quot;Most games this season&quot; on the public page</span>
+                  </label>
+                  <label className="block text-xs text-gray-500 mb-1">Season started on</label>
+                  <input
+                    type="date"
+                    value={settingsForm.leaderboard?.seasonStart || ''}
+                    onChange={e => setSettingsForm({
+                      ...settingsForm,
+                      leaderboard: { ...settingsForm.leaderboard, seasonStart: e.target.value || null }
+                    })}
+                    className="px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                  />
+                  <p className="text-xs text-gray-400 mt-1 mb-4">
+                    Leave empty to start a new season every 1 January.
+                  </p>
+                  <button
+                    onClick={handleSaveSettings}
+                    disabled={saving}
+                    className="w-full px-4 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 font-medium"
+                  >
+                    {saving ? 'Saving...' : 'Save Leaderboard Settings'}
+                  </button>
+                </div>
+              </div>
+            );
+          })()}
+
+          {activeTab === 'analytics' && <Analytics slug={slug} />}
+
+          {activeTab === 'history' && (
+            <div className="space-y-6">
+              <div className="bg-white rounded-lg border border-gray-200 p-4">
+                <h2 className="font-semibold mb-1">Export</h2>
+                <p className="text-xs text-gray-400 mb-4">
+                  Past weeks, dropouts and the email log between these dates. Leave them empty for everything.
+                </p>
+                <div className="flex flex-wrap items-end gap-3 mb-4">
+                  <label className="text-sm text-gray-600">
+                    From
+                    <input
+                      type="date"
+                      value={exportRange.from}
+                      max={exportRange.to || undefined}
+                      onChange={e => setExportRange({ ...exportRange, from: e.target.value })}
+                      className="block mt-1 px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                    />
+                  </label>
+                  <label className="text-sm text-gray-600">
+                    To
+                    <input
+                      type="date"
+                      value={exportRange.to}
+                      min={exportRange.from || undefined}
+                      onChange={e => setExportRange({ ...exportRange, to: e.target.value })}
+                      className="block mt-1 px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                    />
+                  </label>
+                </div>
+                <div className="flex flex-wrap gap-2 text-sm">
+                  {[['history', 'Past weeks'], ['dropouts', 'Dropouts'], ['emails', 'Email log']].map(([dataset, label]) => (
+                    <a
+                      key={dataset}
+                      href={getExportUrl('csv', dataset, { range: true })}
+                      className="px-3 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg font-medium"
+                    >
+                      {label} (CSV)
+                    </a>
                   ))}
+                  <a
+                    href={getExportUrl('xlsx', null, { range: true })}
+                    className="px-3 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg font-medium"
+                  >
+                    Everything (Excel)
+                  </a>
+                  <a
+                    href={getExportUrl('json', null, { range: true })}
+                    className="px-3 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg font-medium"
+                  >
+                    Everything (JSON)
+                  </a>
+                </div>
+              </div>
+              {strikes.length > 0 && (
+                <div className="bg-white rounded-lg border border-gray-200 p-4">
+                  <h2 className="font-semibold mb-1">Strikes</h2>
+                  <p className="text-xs text-gray-400 mb-4">
+                    Late dropouts and no-shows. Pardoned strikes no longer count toward a penalty.
+                  </p>
+                  <div className="divide-y divide-gray-100">
+                    {strikes.map(strike => (
+                      <div key={strike.id} className="flex items-center justify-between py-2 text-sm">
+                        <div className={strike.pardonedAt ? 'text-gray-400 line-through' : ''}>
+                          <span className="font-medium">{strike.name}</span>
+                          <span className="text-gray-500"> · {strike.reason === 'no-show' ? 'No-show' : 'Late dropout'} · {strike.periodId}</span>
+                        </div>
+                        {strike.pardonedAt ? (
+                          <span className="text-xs text-gray-400">Pardoned</span>
+                        ) : (
+                          <button
+                            onClick={() => handlePardonStrike(strike)}
+                            disabled={saving}
+                            className="text-xs text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                          >
+                            Pardon
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                  </div>
                 </div>
               )}
+              {noShows.totals.length > 0 && (
+                <div className="bg-white rounded-lg border border-gray-200 p-4">
+                  <h2 className="font-semibold mb-1">No-shows</h2>
+                  <p className="text-xs text-gray-400 mb-4">
+                    RSVP&apos;d for the main list but didn&apos;t check in, over the {noShows.periods.length} week{noShows.periods.length !== 1 ? 's' : ''} with check-in.
+                  </p>
+                  <div className="flex flex-wrap gap-2">
+                    {noShows.totals.map(total => (
+                      <span key={total.name} className="px-3 py-1 bg-red-50 text-red-700 rounded-full text-sm">
+                        {total.name} <span className="font-semibold">×{total.count}</span>
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              )}
+              <div className="bg-white rounded-lg border border-gray-200 p-4">
+                <h2 className="font-semibold mb-4">Past Weeks</h2>
+                {archive.length === 0 ? (
+                  <p className="text-gray-400 text-center py-8">No archived weeks yet</p>
+                ) : (
+                  <div className="space-y-4">
+                    {archive.map((week, i) => {
+                      const attendance = noShows.periods.find(p => p.periodId === week.weekId);
+                      return (
+                        <div key={i} className="border border-gray-100 rounded-lg p-4">
+                          <div className="flex justify-between items-center mb-2">
+                            <h3 className="font-medium">{week.weekId}</h3>
+                            <span className="text-sm text-gray-400">
+                              Archived: {new Date(week.archivedAt).toLocaleDateString()}
+                            </span>
+                          </div>
+                          <div className="text-sm text-gray-600">
+                            Main list: {week.mainList?.length || 0} | Waitlist: {week.waitlist?.length || 0}
+                            {countGuests(week.mainList) > 0 && ` | Guests playing: ${countGuests(week.mainList)}`}
+                            {attendance && ` | Checked in: ${attendance.attendedCount}/${attendance.rsvpCount}`}
+                          </div>
+                          {attendance?.noShows.length > 0 && (
+                            <div className="mt-1 text-sm text-red-600">
+                              No-shows: {attendance.noShows.map(p => p.name).join(', ')}
+                            </div>
+                          )}
+                          {week.mainList?.length > 0 && (
+                            <details className="mt-2 text-sm">
+                              <summary className="cursor-pointer text-gray-500">Who played</summary>
+                              <ul className="mt-2 space-y-1">
+                                {nestGuests(week.mainList).map(({ person, guests }) => (
+                                  <li key={person.id}>
+                                    {person.name}
+                                    {person.isGuest && <span className="text-gray-400"> (guest of {person.hostName})</span>}
+                                    {guests.length > 0 && (
+                                      <ul className="ml-4 text-gray-500">
+                                        {guests.map(guest => <li key={guest.id}>{guest.name} (guest)</li>)}
+                                      </ul>
+                                    )}
+                                  </li>
+                                ))}
+                              </ul>
+                            </details>
+                          )}
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
+              </div>
             </div>
           )}
         </main>
 
+        {profileMember && (
+          <MemberProfile
+            slug={slug}
+            name={profileMember}
+            onClose={() => setProfileMember(null)}
+            onUpdated={data => {
+              setWhitelist(data.whitelist);
+              if (data.mainList) {
+                setMainList(data.mainList);
+                setWaitlist(data.waitlist);
+              }
+            }}
+            showMessage={showMessage}
+          />
+        )}
+
         {/* Delete Confirmation Modal */}
         {showDeleteModal && (
           <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
@@ -0,0 +1,203 @@
+import { useState, useEffect, useCallback } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { nestGuests } from '../../lib/lists';
+
+export default function CheckIn() {
+  const router = useRouter();
+  const { slug } = router.query;
+
+  const [org, setOrg] = useState(null);
+  const [mainList, setMainList] = useState([]);
+  const [checkedIn, setCheckedIn] = useState({});
+  const [periodId, setPeriodId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [notFound, setNotFound] = useState(false);
+  const [unauthorized, setUnauthorized] = useState(false);
+  const [pendingId, setPendingId] = useState(null);
+  const [search, setSearch] = useState('');
+  const [error, setError] = useState(null);
+
+  const applyAttendance = (attendance) => {
+    setCheckedIn(Object.fromEntries((attendance?.checkedIn || []).map(p => [p.id, p.checkedInAt])));
+  };
+
+  const loadData = useCallback(async () => {
+    if (!slug) return;
+    try {
+      const res = await fetch(`/api/org/${slug}/admin`);
+
+      if (res.status === 401) {
+        setUnauthorized(true);
+        setLoading(false);
+        return;
+      }
+
+      if (res.status === 404) {
+        setNotFound(true);
+        setLoading(false);
+        return;
+      }
+
+      if (res.ok) {
+        const data = await res.json();
+        setOrg(data.organization);
+        setMainList(data.mainList || []);
+        setPeriodId(data.currentWeekId);
+        applyAttendance(data.attendance);
+      }
+    } catch (err) {
+      setError('Failed to load the roster');
+    }
+    setLoading(false);
+  }, [slug]);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  async function toggleCheckIn(person) {
+    const wasCheckedIn = !!checkedIn[person.id];
+    setPendingId(person.id);
+    setError(null);
+    try {
+      const res = await fetch(`/api/org/${slug}/admin`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'check-in', data: { personId: person.id, checkedIn: !wasCheckedIn } }),
+      });
+
+      const data = await res.json();
+
+      if (res.ok) {
+        applyAttendance(data.attendance);
+      } else {
+        setError(data.error);
+      }
+    } catch (err) {
+      setError('Check-in failed. Check your connection and try again.');
+    }
+    setPendingId(null);
+  }
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (notFound) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">Community Not Found</h1>
+          <Link href="/" className="text-blue-600">Go home</Link>
+        </div>
+      </div>
+    );
+  }
+
+  if (unauthorized) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">Unauthorized</h1>
+          <p className="text-gray-600 mb-4">You need to be logged in as an organizer to check players in.</p>
+          <Link href="/auth/login" className="text-blue-600">Log in</Link>
+        </div>
+      </div>
+    );
+  }
+
+  const query = search.trim().toLowerCase();
+  const rows = nestGuests(mainList)
+    .flatMap(({ person, guests }) => [person, ...guests])
+    .filter(person => !query || person.name.toLowerCase().includes(query));
+  const checkedInCount = mainList.filter(p => checkedIn[p.id]).length;
+
+  return (
+    <>
+      <Head>
+        <title>Check-in - {org?.name} - PlayDay</title>
+        <meta name="robots" content="noindex, nofollow" />
+      </Head>
+
+      <div className="min-h-screen bg-gray-50">
+        <header className="sticky top-0 z-10 bg-white border-b border-gray-200">
+          <div className="max-w-xl mx-auto px-4 py-3">
+            <div className="flex items-center justify-between">
+              <div>
+                <h1 className="text-lg font-bold text-gray-900">{org?.name} Check-in</h1>
+                <p className="text-xs text-gray-500">{periodId}</p>
+              </div>
+              <Link href={`/${slug}/admin`} className="text-sm text-gray-600 hover:text-gray-900">
+                Done
+              </Link>
+            </div>
+            <div className="mt-3 flex items-center gap-3">
+              <div className="flex-1 h-2 bg-gray-100 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-green-500 transition-all"
+                  style={{ width: `${mainList.length ? (checkedInCount / mainList.length) * 100 : 0}%` }}
+                />
+              </div>
+              <span className="text-sm font-semibold text-gray-700 whitespace-nowrap">
+                {checkedInCount}/{mainList.length} here
+              </span>
+            </div>
+            <input
+              type="search"
+              value={search}
+              onChange={e => setSearch(e.target.value)}
+              placeholder="Search players"
+              className="mt-3 w-full px-3 py-2 border border-gray-200 rounded-lg"
+            />
+          </div>
+        </header>
+
+        <main className="max-w-xl mx-auto px-4 py-4">
+          {error && (
+            <div className="mb-3 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+          )}
+
+          {mainList.length === 0 ? (
+            <p className="text-gray-400 text-center py-12">Nobody is on the main list</p>
+          ) : rows.length === 0 ? (
+            <p className="text-gray-400 text-center py-12">No matches</p>
+          ) : (
+            <div className="space-y-2">
+              {rows.map(person => {
+                const isHere = !!checkedIn[person.id];
+                return (
+                  <button
+                    key={person.id}
+                    onClick={() => toggleCheckIn(person)}
+                    disabled={pendingId === person.id}
+                    className={`w-full flex items-center justify-between px-4 py-4 rounded-xl border text-left transition-colors ${
+                      isHere ? 'bg-green-50 border-green-300' : 'bg-white border-gray-200 active:bg-gray-100'
+                    } ${person.isGuest ? 'pl-8' : ''} disabled:opacity-60`}
+                  >
+                    <span>
+                      <span className="font-medium text-gray-900">{person.name}</span>
+                      {person.isGuest && (
+                        <span className="block text-xs text-gray-500">Guest of {person.hostName}</span>
+                      )}
+                    </span>
+                    <span className={`w-8 h-8 rounded-full flex items-center justify-center text-white ${
+                      isHere ? 'bg-green-500' : 'bg-gray-200'
+                    }`}>
+                      {isHere ? '✓' : ''}
+                    </span>
+                  </button>
+                );
+              })}
+            </div>
+          )}
+        </main>
+      </div>
+    </>
+  );
+}
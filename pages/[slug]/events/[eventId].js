@@ -0,0 +1,401 @@
+import { useState, useEffect, useCallback } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { getDeviceId, getSavedName, setSavedName } from '../../../lib/device';
+
+const sportEmojis = {
+  'american-football': '🏈', badminton: '🏸', basketball: '🏀',
+  crossfit: '🏋🏾', cycling: '🚴🏾', football: '⚽', frisbee: '🥏',
+  golf: '⛳', hiking: '🥾', padel: '🎾', pickleball: '🏓',
+  running: '🏃🏾', swimming: '🏊🏾', tennis: '🎾', volleyball: '🏐',
+  yoga: '🧘🏾', other: '🏆',
+};
+
+function formatDisplayName(fullName) {
+  const parts = fullName.trim().split(/\s+/);
+  if (parts.length === 1) return parts[0];
+  return `${parts[0]} ${parts[parts.length - 1].slice(0, 3)}.`;
+}
+
+function CountdownTimer({ targetTime }) {
+  const [timeLeft, setTimeLeft] = useState('');
+  useEffect(() => {
+    const calculateTimeLeft = () => {
+      const diff = new Date(targetTime) - new Date();
+      if (diff <= 0) {
+        window.location.reload();
+        return;
+      }
+      const days = Math.floor(diff / (1000 * 60 * 60 * 24));
+      const hours = Math.floor((diff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
+      const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
+      const seconds = Math.floor((diff % (1000 * 60)) / 1000);
+      if (days > 0) setTimeLeft(`${days}d ${hours}h ${minutes}m`);
+      else if (hours > 0) setTimeLeft(`${hours}h ${minutes}m ${seconds}s`);
+      else setTimeLeft(`${minutes}m ${seconds}s`);
+    };
+    calculateTimeLeft();
+    const interval = setInterval(calculateTimeLeft, 1000);
+    return () => clearInterval(interval);
+  }, [targetTime]);
+  return <div className="text-2xl font-mono font-bold text-white">{timeLeft}</div>;
+}
+
+function PersonList({ title, icon, people, isMine, canRemove, onRemove, submitting, emptyText }) {
+  return (
+    <div className="glass-card-solid rounded-3xl shadow-2xl p-4 md:p-6 mb-4">
+      <h2 className="text-lg font-bold text-gray-800 mb-4 flex items-center gap-2">
+        <span>{icon}</span> {title} ({people.length})
+      </h2>
+      {people.length === 0 ? (
+        <p className="text-center text-gray-400 py-6">{emptyText}</p>
+      ) : (
+        <div className="space-y-2">
+          {people.map((person, index) => (
+            <div
+              key={person.id}
+              className={`flex items-center justify-between p-3 rounded-xl ${isMine(person) ? 'bg-blue-50 ring-2 ring-blue-300' : 'bg-gray-50'}`}
+            >
+              <div className="flex items-center gap-3 min-w-0">
+                <span className="w-8 text-sm font-semibold text-gray-400">#{index + 1}</span>
+                <span className="font-medium text-gray-800 truncate">{formatDisplayName(person.name)}</span>
+                {isMine(person) && (
+                  <span className="text-xs bg-blue-500 text-white px-2 py-0.5 rounded-full flex-shrink-0">You</span>
+                )}
+              </div>
+              {isMine(person) && canRemove && (
+                <button
+                  onClick={() => onRemove(person)}
+                  disabled={submitting}
+                  className="text-sm text-red-500 hover:text-red-600 font-medium disabled:opacity-50"
+                >
+                  Drop out
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function EventPage() {
+  const router = useRouter();
+  const { slug, eventId } = router.query;
+
+  const [org, setOrg] = useState(null);
+  const [event, setEvent] = useState(null);
+  const [accessStatus, setAccessStatus] = useState({ isOpen: false, isOver: false, message: null, nextOpenTime: null });
+  const [mainList, setMainList] = useState([]);
+  const [waitlist, setWaitlist] = useState([]);
+  const [archivedAt, setArchivedAt] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [notFound, setNotFound] = useState(false);
+  const [deviceId, setDeviceId] = useState(null);
+  const [name, setName] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const loadData = useCallback(async (currentDeviceId) => {
+    if (!slug || !eventId) return;
+    try {
+      const response = await fetch(`/api/org/${slug}/events/${eventId}?deviceId=${encodeURIComponent(currentDeviceId)}`);
+      if (response.status === 404) {
+        setNotFound(true);
+        setLoading(false);
+        return;
+      }
+      if (response.ok) {
+        const data = await response.json();
+        setOrg(data.organization);
+        setEvent(data.event);
+        setAccessStatus(data.accessStatus);
+        setMainList(data.mainList || []);
+        setWaitlist(data.waitlist || []);
+        setArchivedAt(data.archivedAt || null);
+      }
+    } catch (error) {
+      console.error('Failed to load event:', error);
+    }
+    setLoading(false);
+  }, [slug, eventId]);
+
+  useEffect(() => {
+    if (!slug) return;
+    const currentDeviceId = getDeviceId(slug);
+    setDeviceId(currentDeviceId);
+    setName(getSavedName(slug));
+    loadData(currentDeviceId);
+  }, [slug, loadData]);
+
+  const showToast = (text, type) => {
+    setMessage({ text, type });
+    setTimeout(() => setMessage(null), 4000);
+  };
+
+  const handleRSVP = async () => {
+    const trimmedName = name.trim();
+    if (trimmedName.split(/\s+/).length < 2) {
+      showToast('Please enter your first and last name', 'error');
+      return;
+    }
+    setSubmitting(true);
+    try {
+      const response = await fetch(`/api/org/${slug}/events/${eventId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: trimmedName, deviceId })
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setMainList(data.mainList);
+        setWaitlist(data.waitlist);
+        setSavedName(slug, trimmedName);
+        showToast(data.message, data.listType === 'waitlist' ? 'warning' : 'success');
+      } else {
+        showToast(data.error, 'error');
+      }
+    } catch (error) {
+      showToast('Failed to submit RSVP. Please try again.', 'error');
+    }
+    setSubmitting(false);
+  };
+
+  const handleDropout = async (person) => {
+    if (!confirm(`Drop out of ${event.name}?`)) return;
+    setSubmitting(true);
+    try {
+      const response = await fetch(`/api/org/${slug}/events/${eventId}`, {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ personId: person.id, deviceId })
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setMainList(data.mainList);
+        setWaitlist(data.waitlist);
+        showToast(data.message, 'success');
+      } else {
+        showToast(data.error, 'error');
+      }
+    } catch (error) {
+      showToast('Failed to remove RSVP. Please try again.', 'error');
+    }
+    setSubmitting(false);
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-900 to-gray-800 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-white"></div>
+      </div>
+    );
+  }
+
+  if (notFound || !event) {
+    return (
+      <>
+        <Head>
+          <title>Not Found - PlayDay</title>
+        </Head>
+        <div className="min-h-screen bg-gradient-to-br from-gray-900 to-gray-800 flex items-center justify-center p-4">
+          <div className="text-center">
+            <div className="text-6xl mb-4">🔍</div>
+            <h1 className="text-2xl font-bold text-white mb-2">Event Not Found</h1>
+            <p className="text-gray-400 mb-6">This event doesn't exist or has been removed.</p>
+            <Link href={slug ? `/${slug}` : '/'} className="text-blue-400 hover:text-blue-300">Back to the community</Link>
+          </div>
+        </div>
+      </>
+    );
+  }
+
+  const isMine = (person) => !!person.isMine;
+  const mySignup = [...mainList, ...waitlist].find(isMine);
+  const canDropOut = !archivedAt && !accessStatus.isOver;
+  const spotsLeft = event.mainListLimit - mainList.length;
+  const { location } = event;
+  const toastStyles = {
+    success: 'bg-emerald-500/95 text-white',
+    error: 'bg-red-500/95 text-white',
+    warning: 'bg-amber-500/95 text-black',
+  };
+
+  return (
+    <>
+      <Head>
+        <title>{event.name} - {org?.name} - PlayDay</title>
+        <meta name="description" content={`RSVP for ${event.name} with ${org?.name}. ${event.when}.`} />
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <link rel="icon" href="/favicon.svg" type="image/svg+xml" />
+        <meta property="og:title" content={`${event.name} - ${org?.name}`} />
+        <meta property="og:description" content={`${event.when}. Secure your spot on PlayDay.`} />
+        <meta property="og:image" content="https://itsplayday.com/og-image.png" />
+      </Head>
+
+      <style jsx global>{`
+        .glass-card {
+          background: rgba(255, 255, 255, 0.1);
+          backdrop-filter: blur(20px);
+          border: 1px solid rgba(255, 255, 255, 0.2);
+        }
+        .glass-card-solid {
+          background: rgba(255, 255, 255, 0.95);
+          backdrop-filter: blur(20px);
+        }
+      `}</style>
+
+      {message && (
+        <div className="fixed top-4 left-1/2 -translate-x-1/2 z-50">
+          <div className={`px-5 py-3 rounded-2xl shadow-2xl font-medium ${toastStyles[message.type]}`}>
+            {message.text}
+          </div>
+        </div>
+      )}
+
+      <div className="min-h-screen bg-gradient-to-br from-indigo-900 via-purple-800 to-fuchsia-900 p-3 md:p-8">
+        <nav className="max-w-2xl mx-auto mb-4">
+          <Link href={`/${slug}`} className="inline-flex items-center gap-2 text-white/70 hover:text-white transition-colors text-sm">
+            ← {org?.name}
+          </Link>
+        </nav>
+
+        <main className="max-w-2xl mx-auto">
+          {/* Header */}
+          <div className="text-center mb-6 md:mb-8">
+            <div className="text-4xl md:text-5xl mb-2">{sportEmojis[org?.sport] || sportEmojis.other}</div>
+            <p className="text-white/60 text-xs uppercase tracking-wider font-semibold mb-1">Special Event</p>
+            <h1 className="text-3xl md:text-4xl font-bold mb-2 text-white">{event.name}</h1>
+            <p className="text-white/70 text-sm">{event.when}</p>
+            <p className="text-white/50 text-sm mt-1">{event.mainListLimit} spots</p>
+          </div>
+
+          {/* Details */}
+          {(event.description || location) && (
+            <div className="glass-card-solid rounded-3xl shadow-2xl p-4 md:p-6 mb-4">
+              {event.description && (
+                <p className="text-gray-700 whitespace-pre-line">{event.description}</p>
+              )}
+              {location && (
+                <div className={`flex items-start gap-3 ${event.description ? 'mt-4 pt-4 border-t border-gray-100' : ''}`}>
+                  <span className="text-lg">📍</span>
+                  <div>
+                    {location.name && <p className="font-medium text-gray-800">{location.name}</p>}
+                    {(location.address || location.area) && (
+                      <p className="text-gray-500 text-sm">{location.address || location.area}</p>
+                    )}
+                    {(location.googleMapsUrl || location.address) && (
+                      <a
+                        href={location.googleMapsUrl || `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent([location.address, location.name].filter(Boolean).join(', '))}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="inline-flex items-center gap-1.5 mt-2 text-blue-600 hover:text-blue-700 text-sm font-medium"
+                      >
+                        Open in Google Maps
+                      </a>
+                    )}
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Status */}
+          {!accessStatus.isOpen && (
+            <div className="mb-4 glass-card rounded-2xl p-4 text-center">
+              <p className="font-medium text-white/90">{archivedAt ? 'This event is over. Here is the final list.' : accessStatus.message}</p>
+              {accessStatus.nextOpenTime && (
+                <div className="mt-3">
+                  <p className="text-white/70 text-sm mb-1">Opens in</p>
+                  <CountdownTimer targetTime={accessStatus.nextOpenTime} />
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Signup */}
+          {accessStatus.isOpen && (
+            <div className="glass-card-solid rounded-3xl shadow-2xl p-4 md:p-6 mb-4">
+              {mySignup ? (
+                <p className="text-center text-gray-600">
+                  You're signed up as <span className="font-semibold">{mySignup.name}</span>
+                  {waitlist.includes(mySignup) && ` (waitlist #${waitlist.indexOf(mySignup) + 1})`}
+                </p>
+              ) : (
+                <div className="flex flex-col md:flex-row gap-3">
+                  <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && !submitting && handleRSVP()}
+                    placeholder="Your full name (first & last)"
+                    disabled={submitting}
+                    className="flex-1 px-4 py-3 border-2 border-gray-200 rounded-xl focus:border-blue-500 focus:outline-none text-base disabled:bg-gray-50"
+                  />
+                  <button
+                    onClick={handleRSVP}
+                    disabled={submitting}
+                    className="px-6 py-3 bg-gradient-to-r from-blue-500 to-blue-600 hover:from-blue-600 hover:to-blue-700 disabled:from-gray-300 disabled:to-gray-400 text-white font-semibold rounded-xl transition-all"
+                  >
+                    {submitting ? 'Saving...' : 'RSVP'}
+                  </button>
+                </div>
+              )}
+              <p className="text-sm text-gray-500 mt-3 text-center">
+                {spotsLeft > 0 ? `${spotsLeft} of ${event.mainListLimit} spots left` : 'Event full, new signups join the waitlist'}
+              </p>
+            </div>
+          )}
+
+          <PersonList
+            title={archivedAt ? 'Took part' : 'Going'}
+            icon="🏃🏾"
+            people={mainList}
+            isMine={isMine}
+            canRemove={canDropOut}
+            onRemove={handleDropout}
+            submitting={submitting}
+            emptyText={accessStatus.isOpen ? 'Be the first to claim your spot!' : 'No RSVPs yet'}
+          />
+
+          {waitlist.length > 0 && (
+            <PersonList
+              title="Waitlist"
+              icon="⏳"
+              people={waitlist}
+              isMine={isMine}
+              canRemove={canDropOut}
+              onRemove={handleDropout}
+              submitting={submitting}
+            />
+          )}
+
+          {/* Rules */}
+          {event.rules.length > 0 && (
+            <div className="glass-card-solid rounded-3xl shadow-2xl p-4 md:p-6 mb-4">
+              <h2 className="text-lg font-bold text-gray-800 mb-3 flex items-center gap-2">
+                <span>📋</span> Event Rules
+              </h2>
+              <ul className="space-y-2">
+                {event.rules.map((rule, index) => (
+                  <li key={index} className="flex items-start gap-3 text-gray-600">
+                    <span className="flex-shrink-0 w-6 h-6 bg-blue-100 text-blue-700 rounded-full flex items-center justify-center text-sm font-medium">
+                      {index + 1}
+                    </span>
+                    <span>{rule}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="text-center mt-6 text-white/50 text-sm">
+            <Link href={`/${slug}`} className="text-white/70 hover:text-white">Back to {org?.name}</Link>
+          </div>
+        </main>
+      </div>
+    </>
+  );
+}
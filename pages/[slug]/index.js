@@ -2,49 +2,12 @@ import React, { useState, useEffect, useCallback } from 'react';
 import Head from 'next/head';
 import Link from 'next/link';
 import { useRouter } from 'next/router';
+import { nestGuests } from '../../lib/lists';
+import { formatGameDate, parseDateId } from '../../lib/recurrence';
+import { getDeviceId, getSavedName, setSavedName, getSavedEmail, setSavedEmail } from '../../lib/device';
 
 const DEFAULT_MAIN_LIST_LIMIT = 30;
 
-// Device ID helpers
-function generateDeviceId() {
-  const canvas = document.createElement('canvas');
-  const ctx = canvas.getContext('2d');
-  ctx.textBaseline = 'top';
-  ctx.font = '14px Arial';
-  ctx.fillText('device-fingerprint', 2, 2);
-  const canvasData = canvas.toDataURL();
-  const screenData = `${window.screen.width}x${window.screen.height}x${window.screen.colorDepth}`;
-  const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
-  const language = navigator.language;
-  const platform = navigator.platform;
-  const fingerprint = `${canvasData}-${screenData}-${timezone}-${language}-${platform}`;
-  let hash = 0;
-  for (let i = 0; i < fingerprint.length; i++) {
-    const char = fingerprint.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash;
-  }
-  return Math.abs(hash).toString(36) + Date.now().toString(36);
-}
-
-function getDeviceId(slug) {
-  const key = `playday-device-id-${slug}`;
-  let deviceId = localStorage.getItem(key);
-  if (!deviceId) {
-    deviceId = generateDeviceId();
-    localStorage.setItem(key, deviceId);
-  }
-  return deviceId;
-}
-
-function getSavedName(slug) {
-  return localStorage.getItem(`playday-saved-name-${slug}`) || '';
-}
-
-function setSavedName(slug, name) {
-  localStorage.setItem(`playday-saved-name-${slug}`, name);
-}
-
 // UI Components
 function Toast({ message, onClose }) {
   if (!message) return null;
@@ -217,6 +180,120 @@ function formatTime(timestamp) {
   });
 }
 
+// Optional email for hearing about a move off the waitlist
+function EmailField({ email, onChange, disabled }) {
+  return (
+    <div>
+      <input
+        type="email"
+        value={email}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder="Email (optional)"
+        disabled={disabled}
+        className="w-full px-4 py-2 border border-gray-200 rounded-xl text-sm focus:border-blue-500 focus:outline-none disabled:bg-gray-50"
+      />
+      <p className="text-xs text-gray-500 mt-1">We'll email you if a spot opens up and you move off the waitlist. It isn't shown on the list.</p>
+    </div>
+  );
+}
+
+// Optional plus-ones for a signup; blank names are filled in by the server
+function GuestFields({ maxGuests, guestNames, onChange, disabled }) {
+  if (!maxGuests) return null;
+
+  const setCount = (count) => {
+    const next = guestNames.slice(0, count);
+    while (next.length < count) next.push('');
+    onChange(next);
+  };
+
+  return (
+    <div className="rounded-xl bg-gray-50 p-3">
+      <div className="flex items-center justify-between">
+        <span className="text-sm text-gray-700 font-medium">Bringing guests?</span>
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={() => setCount(guestNames.length - 1)}
+            disabled={disabled || guestNames.length === 0}
+            className="w-8 h-8 rounded-lg bg-white border border-gray-200 text-gray-700 disabled:opacity-40"
+          >
+            −
+          </button>
+          <span className="w-6 text-center font-semibold text-gray-800">{guestNames.length}</span>
+          <button
+            type="button"
+            onClick={() => setCount(guestNames.length + 1)}
+            disabled={disabled || guestNames.length >= maxGuests}
+            className="w-8 h-8 rounded-lg bg-white border border-gray-200 text-gray-700 disabled:opacity-40"
+          >
+            +
+          </button>
+        </div>
+      </div>
+      {guestNames.length > 0 && (
+        <div className="mt-3 space-y-2">
+          {guestNames.map((guestName, i) => (
+            <input
+              key={i}
+              type="text"
+              value={guestName}
+              onChange={(e) => onChange(guestNames.map((n, j) => (j === i ? e.target.value : n)))}
+              placeholder={`Guest ${i + 1} name (optional)`}
+              disabled={disabled}
+              className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm focus:border-blue-500 focus:outline-none disabled:bg-gray-50"
+            />
+          ))}
+          <p className="text-xs text-gray-500">Each guest takes a spot and joins the waitlist if the list is full.</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// A guest's row, nested under their host (or standalone with "Guest of …")
+// Marks a spot held for a promoted waitlister until they claim it (lib/claims.js)
+function ClaimPendingBadge() {
+  return (
+    <span className="text-xs bg-amber-100 text-amber-700 px-2 py-0.5 rounded-full flex-shrink-0">⏳ Unclaimed</span>
+  );
+}
+
+function GuestRow({ person, position, nested, isMine, canRemove, onRemove, submitting }) {
+  return (
+    <div className={`flex items-center justify-between p-2 rounded-xl ${nested ? 'ml-8' : ''} ${
+      isMine ? 'bg-blue-50/70' : 'bg-gray-50/70'
+    }`}>
+      <div className="flex items-center gap-3 min-w-0 flex-1">
+        <div className="w-8 h-8 rounded-full flex items-center justify-center font-bold text-xs text-gray-600 bg-gray-200 flex-shrink-0">
+          +1
+        </div>
+        <div className="min-w-0">
+          <div className="flex items-center gap-2">
+            <span className="font-medium text-gray-700 truncate text-sm">{formatDisplayName(person.name)}</span>
+            <span className="text-xs bg-gray-200 text-gray-600 px-2 py-0.5 rounded-full flex-shrink-0">
+              {nested ? 'Guest' : `Guest of ${formatDisplayName(person.hostName)}`}
+            </span>
+            {person.pendingClaim && <ClaimPendingBadge />}
+          </div>
+        </div>
+      </div>
+      <div className="flex items-center gap-2 flex-shrink-0">
+        <span className="text-xs text-gray-400">#{position}</span>
+        {isMine && canRemove && (
+          <button
+            onClick={onRemove}
+            disabled={submitting}
+            className="text-red-600 hover:bg-red-50 px-2 py-1 rounded-lg text-xs font-medium"
+          >
+            Remove
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
 const sportEmojis = {
   'american-football': '🏈', badminton: '🏸', basketball: '🏀',
   crossfit: '🏋🏾', cycling: '🚴🏾', football: '⚽', frisbee: '🥏',
@@ -247,7 +324,7 @@ const sportColors = {
 
 export default function OrgRSVP() {
   const router = useRouter();
-  const { slug } = router.query;
+  const { slug, unsubscribe, claim } = router.query;
 
   const [org, setOrg] = useState(null);
   const [mainList, setMainList] = useState([]);
@@ -264,18 +341,29 @@ export default function OrgRSVP() {
   const [mainListLimit, setMainListLimit] = useState(DEFAULT_MAIN_LIST_LIMIT);
   const [savedName, setStoredName] = useState('');
   const [showNameEdit, setShowNameEdit] = useState(false);
-  const [confirmModal, setConfirmModal] = useState({ show: false, personId: null, isWaitlist: false });
+  const [confirmModal, setConfirmModal] = useState({ show: false, personId: null, isWaitlist: false, isGuest: false, guestCount: 0, dropGuests: false });
+  const [maxGuestsPerSignup, setMaxGuestsPerSignup] = useState(0);
+  const [guestNames, setGuestNames] = useState([]);
+  const [email, setEmail] = useState('');
+  const [claiming, setClaiming] = useState(false);
+  const [teams, setTeams] = useState(null);
+  const [penaltyNotice, setPenaltyNotice] = useState(null);
+  const [lottery, setLottery] = useState(null);
   const [gameInfo, setGameInfo] = useState(null);
   const [weather, setWeather] = useState(null);
   const [weatherLoading, setWeatherLoading] = useState(false);
   const [weatherMessage, setWeatherMessage] = useState(null);
   const [whatsapp, setWhatsapp] = useState(null);
+  const [leaderboard, setLeaderboard] = useState(null);
   const [showSuccessAnimation, setShowSuccessAnimation] = useState(false);
   const [isOrganizer, setIsOrganizer] = useState(false);
   const [snoozeModal, setSnoozeModal] = useState({ show: false, personName: null, isUnsnooze: false });
   const [snoozeCode, setSnoozeCode] = useState('');
   const [snoozing, setSnoozing] = useState(false);
   const [snoozedNames, setSnoozedNames] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [calendarToken, setCalendarToken] = useState(null);
+  const [showSubscribe, setShowSubscribe] = useState(false);
 
   // Whether the user can still drop out:
   // - If email is enabled: allowed until the list email has actually been sent
@@ -284,9 +372,9 @@ export default function OrgRSVP() {
     ? !accessStatus.emailSentForPeriod
     : accessStatus.isOpen;
 
-  const checkMySignup = useCallback((mainList, waitlist, currentDeviceId) => {
+  const checkMySignup = useCallback((mainList, waitlist) => {
     const allSignups = [...mainList, ...waitlist];
-    const existingSignup = allSignups.find(p => p.deviceId === currentDeviceId);
+    const existingSignup = allSignups.find(p => p.isMine && !p.isGuest);
     if (existingSignup) {
       setHasSignedUp(true);
       setMySignup(existingSignup);
@@ -299,7 +387,13 @@ export default function OrgRSVP() {
   const loadData = useCallback(async (currentDeviceId) => {
     if (!slug) return;
     try {
-      const response = await fetch(`/api/org/${slug}/rsvp`);
+      // The saved name lets members see their tier's window before they sign up
+      const params = new URLSearchParams();
+      if (currentDeviceId) params.set('deviceId', currentDeviceId);
+      const savedName = getSavedName(slug);
+      if (savedName) params.set('name', savedName);
+      const query = params.toString() ? `?${params}` : '';
+      const response = await fetch(`/api/org/${slug}/rsvp${query}`);
       if (response.status === 404) {
         setNotFound(true);
         setLoading(false);
@@ -312,11 +406,18 @@ export default function OrgRSVP() {
         setWaitlist(data.waitlist || []);
         setAccessStatus(data.accessStatus || { isOpen: true, message: null, nextOpenTime: null, closeTime: null, emailEnabled: false, emailSentForPeriod: false, emailSendTime: null });
         setMainListLimit(data.mainListLimit || DEFAULT_MAIN_LIST_LIMIT);
+        setMaxGuestsPerSignup(data.maxGuestsPerSignup || 0);
+        setTeams(data.teams || null);
+        setPenaltyNotice(data.penaltyNotice || null);
+        setLottery(data.lottery || null);
         setGameInfo(data.gameInfo || null);
         setWhatsapp(data.whatsapp || null);
+        setLeaderboard(data.leaderboard || null);
         setIsOrganizer(data.isOrganizer || false);
         setSnoozedNames(data.snoozedNames || []);
-        checkMySignup(data.mainList || [], data.waitlist || [], currentDeviceId);
+        setEvents(data.events || []);
+        setCalendarToken(data.calendarToken || null);
+        checkMySignup(data.mainList || [], data.waitlist || []);
 
         // Fetch weather if enabled
         if (data.gameInfo?.weather) {
@@ -354,6 +455,7 @@ export default function OrgRSVP() {
       setStoredName(remembered);
       setName(remembered);
     }
+    setEmail(getSavedEmail(slug));
     loadData(id);
   }, [slug, loadData]);
 
@@ -362,6 +464,60 @@ export default function OrgRSVP() {
     setTimeout(() => setMessage(null), 4000);
   };
 
+  // Unsubscribe links from emails land here with their token
+  useEffect(() => {
+    if (!slug || !unsubscribe) return;
+    (async () => {
+      let result;
+      try {
+        const response = await fetch(`/api/org/${slug}/unsubscribe`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ token: unsubscribe })
+        });
+        const data = await response.json();
+        result = response.ok ? { text: data.message, type: 'success' } : { text: data.error, type: 'error' };
+      } catch (error) {
+        result = { text: 'Failed to unsubscribe. Please try again.', type: 'error' };
+      }
+      setMessage(result);
+      setTimeout(() => setMessage(null), 4000);
+      router.replace(`/${slug}`, undefined, { shallow: true });
+    })();
+  }, [slug, unsubscribe, router]);
+
+  const claimSpot = useCallback(async (body) => {
+    setClaiming(true);
+    let result;
+    try {
+      const response = await fetch(`/api/org/${slug}/claim`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...body, deviceId: getDeviceId(slug) })
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setMainList(data.mainList);
+        setWaitlist(data.waitlist);
+        checkMySignup(data.mainList, data.waitlist);
+        result = { text: data.message, type: 'success' };
+      } else {
+        result = { text: data.error, type: 'error' };
+      }
+    } catch (error) {
+      result = { text: 'Failed to claim your spot. Please try again.', type: 'error' };
+    }
+    setMessage(result);
+    setTimeout(() => setMessage(null), 4000);
+    setClaiming(false);
+  }, [slug, checkMySignup]);
+
+  // Claim links from promotion emails land here with their token
+  useEffect(() => {
+    if (!slug || !claim) return;
+    claimSpot({ token: claim }).then(() => router.replace(`/${slug}`, undefined, { shallow: true }));
+  }, [slug, claim, claimSpot, router]);
+
   const handleRSVP = async () => {
     if (hasSignedUp) {
       showToast("You've already signed up from this device!", 'error');
@@ -377,12 +533,17 @@ export default function OrgRSVP() {
       showToast('Please enter your first and last name', 'error');
       return;
     }
+    const trimmedEmail = email.trim();
+    if (trimmedEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(trimmedEmail)) {
+      showToast('Please enter a valid email address', 'error');
+      return;
+    }
     setSubmitting(true);
     try {
       const response = await fetch(`/api/org/${slug}/rsvp`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ name: trimmedName, deviceId })
+        body: JSON.stringify({ name: trimmedName, deviceId, guests: guestNames, email: trimmedEmail })
       });
       const data = await response.json();
       if (response.ok) {
@@ -390,8 +551,11 @@ export default function OrgRSVP() {
         setWaitlist(data.waitlist);
         setHasSignedUp(true);
         setMySignup(data.person);
-        showToast(data.message, data.listType === 'main' ? 'success' : 'warning');
+        setGuestNames([]);
+        setPenaltyNotice(data.penaltyNotice || null);
+        showToast(data.message, data.listType === 'waitlist' ? 'warning' : 'success');
         setSavedName(slug, trimmedName);
+        setSavedEmail(slug, trimmedEmail);
         setStoredName(trimmedName);
         setShowNameEdit(false);
         // Show success animation
@@ -406,20 +570,19 @@ export default function OrgRSVP() {
     setSubmitting(false);
   };
 
-  const handleDropout = async (personId, isWaitlist = false) => {
+  const handleDropout = async (personId, isWaitlist = false, dropGuests = false) => {
     setSubmitting(true);
     try {
       const response = await fetch(`/api/org/${slug}/rsvp`, {
         method: 'DELETE',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ personId, deviceId, isWaitlist })
+        body: JSON.stringify({ personId, deviceId, isWaitlist, dropGuests })
       });
       const data = await response.json();
       if (response.ok) {
         setMainList(data.mainList);
         setWaitlist(data.waitlist);
-        setHasSignedUp(false);
-        setMySignup(null);
+        checkMySignup(data.mainList, data.waitlist);
         showToast(data.message, 'success');
       } else {
         showToast(data.error, 'error');
@@ -442,7 +605,8 @@ export default function OrgRSVP() {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           action: isUnsnooze ? 'unsnooze' : 'snooze',
-          snoozeCode: snoozeCode.trim().toUpperCase()
+          snoozeCode: snoozeCode.trim().toUpperCase(),
+          deviceId
         })
       });
       const data = await response.json();
@@ -456,7 +620,7 @@ export default function OrgRSVP() {
         // Update signup status based on action
         if (isUnsnooze && data.person) {
           // Check if the restored person matches our device
-          checkMySignup(data.mainList, data.waitlist, deviceId);
+          checkMySignup(data.mainList, data.waitlist);
         } else if (!isUnsnooze && mySignup && data.snoozedNames?.includes(mySignup.name)) {
           setHasSignedUp(false);
           setMySignup(null);
@@ -470,7 +634,18 @@ export default function OrgRSVP() {
     setSnoozing(false);
   };
 
-  const isMySignup = (person) => person.deviceId === deviceId;
+  const isMySignup = (person) => !!person.isMine && !person.isGuest;
+  const isMyGuest = (person) => !!person.isMine && !!person.isGuest;
+  const countMyGuests = (hostId) => [...mainList, ...waitlist].filter(p => p.isGuest && p.hostId === hostId).length;
+  const openDropoutModal = (person, isWaitlist) => setConfirmModal({
+    show: true,
+    personId: person.id,
+    isWaitlist,
+    isGuest: !!person.isGuest,
+    guestCount: person.isGuest ? 0 : countMyGuests(person.id),
+    dropGuests: false,
+  });
+  const closeDropoutModal = () => setConfirmModal({ show: false, personId: null, isWaitlist: false, isGuest: false, guestCount: 0, dropGuests: false });
   const spotsLeft = mainListLimit - mainList.length;
   const isLowSpots = spotsLeft > 0 && spotsLeft <= 5;
 
@@ -642,6 +817,30 @@ export default function OrgRSVP() {
               </span>
             )}
             <p className="text-white/50 text-sm mt-1">{mainListLimit} spots available</p>
+            <button
+              onClick={() => setShowSubscribe(!showSubscribe)}
+              className="inline-flex items-center gap-1.5 mt-3 px-3 py-1.5 bg-white/20 hover:bg-white/30 text-white text-sm font-medium rounded-lg transition-colors"
+            >
+              <span>📅</span> Subscribe
+            </button>
+            {showSubscribe && (() => {
+              // webcal:// opens the feed in the phone's calendar app as a subscription
+              const feedUrl = `webcal://${window.location.host}/api/org/${slug}/calendar.ics`;
+              return (
+                <div className="mt-3 glass-card rounded-2xl p-4 text-left text-sm space-y-3">
+                  <a href={feedUrl} className="block text-white hover:text-white/80">
+                    <span className="font-medium">All games</span>
+                    <span className="block text-white/60 text-xs">Every game and event, with a reminder when RSVPs open</span>
+                  </a>
+                  {calendarToken && (
+                    <a href={`${feedUrl}?player=${calendarToken}`} className="block text-white hover:text-white/80">
+                      <span className="font-medium">Only my games</span>
+                      <span className="block text-white/60 text-xs">Games and events you&apos;re confirmed for from this device</span>
+                    </a>
+                  )}
+                </div>
+              );
+            })()}
           </div>
 
           {/* Game Day Schedule Card */}
@@ -652,10 +851,7 @@ export default function OrgRSVP() {
               </h2>
               <div className="text-gray-600">
                 <p className="text-lg font-medium">
-                  {gameInfo.recurrence === 'monthly'
-                    ? `${gameInfo.monthlyOccurrence === 'last' ? 'Last' : ['1st', '2nd', '3rd', '4th'][gameInfo.monthlyOccurrence - 1] || '1st'} ${['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][gameInfo.gameDay]} of every month`
-                    : `Every ${['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][gameInfo.gameDay]}`
-                  }
+                  {gameInfo.schedule}
                 </p>
                 <p className="text-gray-500">
                   {(() => {
@@ -668,62 +864,11 @@ export default function OrgRSVP() {
                     return `${formatGameTime(gameInfo.startHour, gameInfo.startMinute)} - ${formatGameTime(gameInfo.endHour, gameInfo.endMinute)}`;
                   })()}
                 </p>
-                {(() => {
-                  const now = new Date();
-                  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-                  let nextDate = null;
-
-                  if (gameInfo.recurrence === 'monthly') {
-                    const occ = gameInfo.monthlyOccurrence || 1;
-                    for (let offset = 0; offset <= 2; offset++) {
-                      const m = (now.getMonth() + offset) % 12;
-                      const y = (now.getMonth() + offset) >= 12 ? now.getFullYear() + 1 : now.getFullYear();
-                      if (occ === 'last') {
-                        const lastDay = new Date(y, m + 1, 0);
-                        let d = lastDay.getDate();
-                        while (new Date(y, m, d).getDay() !== gameInfo.gameDay) d--;
-                        const candidate = new Date(y, m, d);
-                        candidate.setHours(gameInfo.startHour, gameInfo.startMinute, 0, 0);
-                        if (candidate > now) { nextDate = candidate; break; }
-                      } else {
-                        let count = 0;
-                        for (let d = 1; d <= 31; d++) {
-                          const dt = new Date(y, m, d);
-                          if (dt.getMonth() !== m) break;
-                          if (dt.getDay() === gameInfo.gameDay) {
-                            count++;
-                            if (count === occ) {
-                              dt.setHours(gameInfo.startHour, gameInfo.startMinute, 0, 0);
-                              if (dt > now) { nextDate = dt; }
-                              break;
-                            }
-                          }
-                        }
-                        if (nextDate) break;
-                      }
-                    }
-                  } else {
-                    const today = now.getDay();
-                    let daysUntil = gameInfo.gameDay - today;
-                    if (daysUntil < 0) daysUntil += 7;
-                    if (daysUntil === 0) {
-                      const gameTime = new Date(now);
-                      gameTime.setHours(gameInfo.startHour, gameInfo.startMinute, 0, 0);
-                      if (now >= gameTime) daysUntil = 7;
-                    }
-                    nextDate = new Date(now);
-                    nextDate.setDate(nextDate.getDate() + daysUntil);
-                  }
-
-                  if (nextDate) {
-                    return (
-                      <p className="text-sm text-blue-600 font-medium mt-1">
-                        Next game: {['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][nextDate.getDay()]}, {months[nextDate.getMonth()]} {nextDate.getDate()}
-                      </p>
-                    );
-                  }
-                  return null;
-                })()}
+                {gameInfo.nextGameDate && (
+                  <p className="text-sm text-blue-600 font-medium mt-1">
+                    Next game: {formatGameDate(parseDateId(gameInfo.nextGameDate))}
+                  </p>
+                )}
               </div>
 
               {/* Location inline within schedule card */}
@@ -735,8 +880,8 @@ export default function OrgRSVP() {
                       {gameInfo.location.name && (
                         <p className="font-medium text-gray-800">{gameInfo.location.name}</p>
                       )}
-                      {gameInfo.location.address && (
-                        <p className="text-gray-500 text-sm">{gameInfo.location.address}</p>
+                      {(gameInfo.location.address || gameInfo.location.area) && (
+                        <p className="text-gray-500 text-sm">{gameInfo.location.address || gameInfo.location.area}</p>
                       )}
                       {(gameInfo.location.googleMapsUrl || gameInfo.location.address) && (
                         <a
@@ -759,15 +904,55 @@ export default function OrgRSVP() {
             </div>
           )}
 
+          {/* Upcoming one-off events */}
+          {events.length > 0 && (
+            <div className="glass-card-solid rounded-3xl shadow-2xl p-4 md:p-6 mb-4">
+              <h2 className="text-lg font-bold text-gray-800 mb-3 flex items-center gap-2">
+                <span>🏆</span> Upcoming Events
+              </h2>
+              <div className="space-y-2">
+                {events.map(event => (
+                  <Link
+                    key={event.id}
+                    href={`/${slug}/events/${event.id}`}
+                    className="flex items-center justify-between gap-3 p-3 rounded-xl bg-gray-50 hover:bg-gray-100 transition-colors"
+                  >
+                    <div className="min-w-0">
+                      <p className="font-medium text-gray-800 truncate">{event.name}</p>
+                      <p className="text-sm text-gray-500 truncate">
+                        {event.when}{event.location && ` • ${event.location}`}
+                      </p>
+                    </div>
+                    <div className="text-right flex-shrink-0">
+                      <p className="text-sm font-medium text-gray-700">{event.signupCount} / {event.mainListLimit}</p>
+                      <p className={`text-xs ${event.isOpen ? 'text-green-600' : 'text-gray-400'}`}>
+                        {event.isOpen ? 'RSVP open' : 'RSVP closed'}
+                      </p>
+                    </div>
+                  </Link>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Access Status Banner */}
           {!accessStatus.isOpen && (
-            <div className="mb-4 glass-card rounded-2xl p-4 text-center border-red-500/30">
-              <div className="flex items-center justify-center gap-2 text-red-300 mb-2">
-                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m0 0v2m0-2h2m-2 0H9" />
-                </svg>
-                <span className="font-medium">RSVP is currently closed</span>
-              </div>
+            <div className={`mb-4 glass-card rounded-2xl p-4 text-center ${accessStatus.skipped ? 'border-amber-400/30' : 'border-red-500/30'}`}>
+              {accessStatus.skipped ? (
+                <div className="text-amber-300 mb-2">
+                  <p className="font-medium">{accessStatus.message}</p>
+                  <p className="text-white/50 text-xs mt-1">
+                    {accessStatus.skipped.cancelled ? 'Signups for this game have been cancelled.' : 'RSVPs stay closed until the next game.'}
+                  </p>
+                </div>
+              ) : (
+                <div className="flex items-center justify-center gap-2 text-red-300 mb-2">
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m0 0v2m0-2h2m-2 0H9" />
+                  </svg>
+                  <span className="font-medium">RSVP is currently closed</span>
+                </div>
+              )}
               {accessStatus.nextOpenTime && (
                 <div className="mt-3">
                   <p className="text-white/70 text-sm mb-1">Opens in</p>
@@ -777,6 +962,43 @@ export default function OrgRSVP() {
             </div>
           )}
 
+          {/* Lottery notice */}
+          {lottery && (
+            <div className="mb-4 glass-card rounded-2xl p-4 text-center border-purple-400/30">
+              {lottery.draw ? (
+                <>
+                  <p className="text-purple-200 font-medium text-sm">🎟️ Spots were drawn by lottery</p>
+                  <p className="text-white/50 text-xs mt-1">
+                    {lottery.draw.entrantCount} entr{lottery.draw.entrantCount === 1 ? 'y' : 'ies'} drawn {new Date(lottery.draw.drawnAt).toLocaleString()} · seed <span className="font-mono">{lottery.draw.seed}</span>
+                  </p>
+                </>
+              ) : (
+                <>
+                  <p className="text-purple-200 font-medium text-sm">🎟️ Spots are allocated by lottery</p>
+                  <p className="text-white/50 text-xs mt-1">
+                    Sign up any time before the window closes, then spots are drawn at random. Members keep their spots.
+                  </p>
+                </>
+              )}
+            </div>
+          )}
+
+          {/* Early access notice for higher priority tiers */}
+          {accessStatus.earlyAccessTier && (
+            <div className="mb-4 glass-card rounded-2xl p-4 text-center border-emerald-400/30">
+              <p className="text-emerald-300 font-medium text-sm">⭐ Early access for {accessStatus.earlyAccessTier} members</p>
+              <p className="text-white/50 text-xs mt-1">RSVPs aren't open to everyone yet, but you can sign up now.</p>
+            </div>
+          )}
+
+          {/* Strike penalty notice */}
+          {penaltyNotice && (
+            <div className="mb-4 glass-card rounded-2xl p-4 text-center border-amber-400/30">
+              <p className="text-amber-300 font-medium text-sm">⚠️ {penaltyNotice}</p>
+              <p className="text-white/50 text-xs mt-1">Strikes come from late dropouts and no-shows. Ask an organizer if you think one is a mistake.</p>
+            </div>
+          )}
+
           {/* Already Signed Up Notice with Waitlist Position */}
           {hasSignedUp && mySignup && (
             <div className="mb-4 glass-card rounded-2xl p-4 text-center border-blue-400/30">
@@ -786,10 +1008,32 @@ export default function OrgRSVP() {
                 </svg>
                 <span className="font-medium">You're signed up as: {mySignup.name}</span>
               </div>
+              {/* A spot held for this player after a promotion from the waitlist */}
+              {mainList.find(isMySignup)?.pendingClaim && (
+                <div className="mt-3 rounded-xl bg-amber-400/10 border border-amber-400/30 p-3">
+                  <p className="text-amber-200 text-sm font-medium">🎉 A spot opened up for you!</p>
+                  <p className="text-white/60 text-xs mt-1">
+                    Claim it by {formatTime(mainList.find(isMySignup).pendingClaim.expiresAt)} or it goes to the next person on the waitlist.
+                  </p>
+                  <button
+                    onClick={() => claimSpot({ deviceId })}
+                    disabled={claiming}
+                    className="mt-2 px-5 py-2 bg-amber-500 hover:bg-amber-600 disabled:bg-gray-400 text-white font-semibold rounded-xl text-sm"
+                  >
+                    {claiming ? 'Claiming...' : 'Claim my spot'}
+                  </button>
+                </div>
+              )}
               {/* Waitlist Position Indicator */}
-              {waitlist.find(p => p.deviceId === deviceId) && (
+              {lottery?.awaitingDraw && waitlist.find(isMySignup) && (
+                <div className="mt-2 text-purple-300 text-sm">
+                  <span className="font-medium">🎟️ You're in the draw</span>
+                  <p className="text-white/50 text-xs mt-1">Spots are drawn at random when signups close</p>
+                </div>
+              )}
+              {!lottery?.awaitingDraw && waitlist.find(isMySignup) && (
                 <div className="mt-2 text-orange-300 text-sm">
-                  <span className="font-medium">Waitlist Position: #{waitlist.findIndex(p => p.deviceId === deviceId) + 1}</span>
+                  <span className="font-medium">Waitlist Position: #{waitlist.findIndex(isMySignup) + 1}</span>
                   <p className="text-white/50 text-xs mt-1">You'll be notified when a spot opens up</p>
                 </div>
               )}
@@ -862,6 +1106,8 @@ export default function OrgRSVP() {
                       <p className="text-gray-600 text-sm">Welcome back!</p>
                       <p className="text-gray-800 font-semibold text-lg">{savedName}</p>
                     </div>
+                    <GuestFields maxGuests={maxGuestsPerSignup} guestNames={guestNames} onChange={setGuestNames} disabled={submitting} />
+                    <EmailField email={email} onChange={setEmail} disabled={submitting} />
                     <div className="flex flex-col sm:flex-row gap-2">
                       <button
                         onClick={handleRSVP}
@@ -911,6 +1157,8 @@ export default function OrgRSVP() {
                         {submitting ? <Spinner /> : 'RSVP'}
                       </button>
                     </div>
+                    <GuestFields maxGuests={maxGuestsPerSignup} guestNames={guestNames} onChange={setGuestNames} disabled={submitting} />
+                    <EmailField email={email} onChange={setEmail} disabled={submitting} />
                   </div>
                 )
               ) : (
@@ -954,105 +1202,173 @@ export default function OrgRSVP() {
               </div>
             ) : (
               <div className="space-y-2">
-                {mainList.map((person, index) => (
-                  <div
-                    key={person.id}
-                    className={`flex items-center justify-between p-3 rounded-xl ${
-                      isMySignup(person) ? 'bg-blue-50 ring-2 ring-blue-300' : 'bg-gray-50 hover:bg-gray-100'
-                    }`}
-                  >
-                    <div className="flex items-center gap-3 min-w-0 flex-1">
-                      <div className={`w-10 h-10 rounded-full flex items-center justify-center font-bold text-sm text-white bg-gradient-to-br flex-shrink-0 ${
-                        isMySignup(person) ? 'from-blue-400 to-blue-600' : getAvatarColor(person.name)
-                      }`}>
-                        {getInitials(person.name)}
-                      </div>
-                      <div className="min-w-0">
-                        <div className="flex items-center gap-2">
-                          <span className="font-medium text-gray-800 truncate">{formatDisplayName(person.name)}</span>
+                {nestGuests(mainList).map(({ person, guests }) => {
+                  const position = mainList.indexOf(person) + 1;
+                  const renderGuest = (guest, nested) => (
+                    <GuestRow
+                      key={guest.id}
+                      person={guest}
+                      position={mainList.indexOf(guest) + 1}
+                      nested={nested}
+                      isMine={isMyGuest(guest)}
+                      canRemove={canDropOut}
+                      onRemove={() => openDropoutModal(guest, false)}
+                      submitting={submitting}
+                    />
+                  );
+                  if (person.isGuest) return renderGuest(person, false);
+                  return (
+                    <div key={person.id} className="space-y-1">
+                      <div
+                        className={`flex items-center justify-between p-3 rounded-xl ${
+                          isMySignup(person) ? 'bg-blue-50 ring-2 ring-blue-300' : 'bg-gray-50 hover:bg-gray-100'
+                        }`}
+                      >
+                        <div className="flex items-center gap-3 min-w-0 flex-1">
+                          <div className={`w-10 h-10 rounded-full flex items-center justify-center font-bold text-sm text-white bg-gradient-to-br flex-shrink-0 ${
+                            isMySignup(person) ? 'from-blue-400 to-blue-600' : getAvatarColor(person.name)
+                          }`}>
+                            {getInitials(person.name)}
+                          </div>
+                          <div className="min-w-0">
+                            <div className="flex items-center gap-2">
+                              <span className="font-medium text-gray-800 truncate">{formatDisplayName(person.name)}</span>
+                              {person.isWhitelisted && (
+                                <span className="text-xs bg-blue-100 text-blue-700 px-2 py-0.5 rounded-full flex-shrink-0">Member</span>
+                              )}
+                              {isMySignup(person) && (
+                                <span className="text-xs bg-blue-500 text-white px-2 py-0.5 rounded-full flex-shrink-0">You</span>
+                              )}
+                              {person.pendingClaim && <ClaimPendingBadge />}
+                            </div>
+                            <span className="text-xs text-gray-400">{formatTime(person.timestamp)}</span>
+                          </div>
+                        </div>
+                        <div className="flex items-center gap-2 flex-shrink-0">
+                          <span className="text-xs text-gray-400">#{position}</span>
                           {person.isWhitelisted && (
-                            <span className="text-xs bg-blue-100 text-blue-700 px-2 py-0.5 rounded-full flex-shrink-0">Member</span>
+                            <button
+                              onClick={() => setSnoozeModal({ show: true, personName: person.name })}
+                              className="text-amber-600 hover:bg-amber-50 px-2 py-1 rounded-lg text-xs font-medium"
+                            >
+                              Skip week?
+                            </button>
                           )}
-                          {isMySignup(person) && (
-                            <span className="text-xs bg-blue-500 text-white px-2 py-0.5 rounded-full flex-shrink-0">You</span>
+                          {isMySignup(person) && !person.isWhitelisted && canDropOut && (
+                            <button
+                              onClick={() => openDropoutModal(person, false)}
+                              disabled={submitting}
+                              className="text-red-600 hover:bg-red-50 px-3 py-2 rounded-lg text-sm font-medium"
+                            >
+                              Drop out
+                            </button>
                           )}
                         </div>
-                        <span className="text-xs text-gray-400">{formatTime(person.timestamp)}</span>
                       </div>
+                      {guests.map(guest => renderGuest(guest, true))}
                     </div>
-                    <div className="flex items-center gap-2 flex-shrink-0">
-                      <span className="text-xs text-gray-400">#{index + 1}</span>
-                      {person.isWhitelisted && (
-                        <button
-                          onClick={() => setSnoozeModal({ show: true, personName: person.name })}
-                          className="text-amber-600 hover:bg-amber-50 px-2 py-1 rounded-lg text-xs font-medium"
-                        >
-                          Skip week?
-                        </button>
-                      )}
-                      {isMySignup(person) && !person.isWhitelisted && canDropOut && (
-                        <button
-                          onClick={() => setConfirmModal({ show: true, personId: person.id, isWaitlist: false })}
-                          disabled={submitting}
-                          className="text-red-600 hover:bg-red-50 px-3 py-2 rounded-lg text-sm font-medium"
+                  );
+                })}
+              </div>
+            )}
+          </div>
+
+          {/* Teams */}
+          {teams?.length > 0 && (
+            <div className="glass-card-solid rounded-3xl shadow-2xl p-4 md:p-6 mb-4">
+              <h2 className="text-lg font-bold text-gray-800 mb-4 flex items-center gap-2">
+                <span>🎽</span> Teams
+              </h2>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                {teams.map(team => (
+                  <div key={team.name} className="rounded-xl bg-gray-50 p-3">
+                    <h3 className="font-semibold text-gray-800 mb-2">
+                      {team.name} <span className="text-xs font-normal text-gray-400">({team.players.length})</span>
+                    </h3>
+                    <ul className="space-y-1">
+                      {team.players.map(player => (
+                        <li
+                          key={player.id}
+                          className={`text-sm ${player.id === mySignup?.id ? 'font-semibold text-blue-700' : 'text-gray-700'}`}
                         >
-                          Drop out
-                        </button>
-                      )}
-                    </div>
+                          {formatDisplayName(player.name)}
+                          {player.isGuest && <span className="text-xs text-gray-400"> (guest)</span>}
+                        </li>
+                      ))}
+                    </ul>
                   </div>
                 ))}
               </div>
-            )}
-          </div>
+            </div>
+          )}
 
           {/* Waitlist */}
           {(waitlist.length > 0 || mainList.length >= mainListLimit) && (
             <div className="glass-card-solid rounded-3xl shadow-2xl p-4 md:p-6 mb-4">
               <h2 className="text-lg font-bold text-gray-800 mb-4 flex items-center gap-2">
-                <span>⏳</span> Waitlist ({waitlist.length})
+                {lottery?.awaitingDraw
+                  ? <><span>🎟️</span> In the Draw ({waitlist.length})</>
+                  : <><span>⏳</span> Waitlist ({waitlist.length})</>}
               </h2>
               {waitlist.length === 0 ? (
                 <p className="text-gray-400 text-center py-6">Waitlist is empty</p>
               ) : (
                 <div className="space-y-2">
-                  {waitlist.map((person, index) => (
-                    <div
-                      key={person.id}
-                      className={`flex items-center justify-between p-3 rounded-xl ${
-                        isMySignup(person) ? 'bg-blue-50 ring-2 ring-blue-300' : 'bg-orange-50 hover:bg-orange-100'
-                      }`}
-                    >
-                      <div className="flex items-center gap-3 min-w-0 flex-1">
-                        <div className={`w-10 h-10 rounded-full flex items-center justify-center font-bold text-sm text-white bg-gradient-to-br flex-shrink-0 ${
-                          isMySignup(person) ? 'from-blue-400 to-blue-600' : 'from-orange-400 to-amber-500'
-                        }`}>
-                          {getInitials(person.name)}
-                        </div>
-                        <div className="min-w-0">
-                          <div className="flex items-center gap-2">
-                            <span className="font-medium text-gray-800 truncate">{formatDisplayName(person.name)}</span>
-                            {isMySignup(person) && (
-                              <span className="text-xs bg-blue-500 text-white px-2 py-0.5 rounded-full flex-shrink-0">You</span>
+                  {nestGuests(waitlist).map(({ person, guests }) => {
+                    const position = waitlist.indexOf(person) + 1;
+                    const renderGuest = (guest, nested) => (
+                      <GuestRow
+                        key={guest.id}
+                        person={guest}
+                        position={waitlist.indexOf(guest) + 1}
+                        nested={nested}
+                        isMine={isMyGuest(guest)}
+                        canRemove={canDropOut}
+                        onRemove={() => openDropoutModal(guest, true)}
+                        submitting={submitting}
+                      />
+                    );
+                    if (person.isGuest) return renderGuest(person, false);
+                    return (
+                      <div key={person.id} className="space-y-1">
+                        <div
+                          className={`flex items-center justify-between p-3 rounded-xl ${
+                            isMySignup(person) ? 'bg-blue-50 ring-2 ring-blue-300' : 'bg-orange-50 hover:bg-orange-100'
+                          }`}
+                        >
+                          <div className="flex items-center gap-3 min-w-0 flex-1">
+                            <div className={`w-10 h-10 rounded-full flex items-center justify-center font-bold text-sm text-white bg-gradient-to-br flex-shrink-0 ${
+                              isMySignup(person) ? 'from-blue-400 to-blue-600' : 'from-orange-400 to-amber-500'
+                            }`}>
+                              {getInitials(person.name)}
+                            </div>
+                            <div className="min-w-0">
+                              <div className="flex items-center gap-2">
+                                <span className="font-medium text-gray-800 truncate">{formatDisplayName(person.name)}</span>
+                                {isMySignup(person) && (
+                                  <span className="text-xs bg-blue-500 text-white px-2 py-0.5 rounded-full flex-shrink-0">You</span>
+                                )}
+                              </div>
+                              <span className="text-xs text-gray-400">{formatTime(person.timestamp)}</span>
+                            </div>
+                          </div>
+                          <div className="flex items-center gap-2 flex-shrink-0">
+                            <span className="text-xs text-gray-400">#{position}</span>
+                            {isMySignup(person) && canDropOut && (
+                              <button
+                                onClick={() => openDropoutModal(person, true)}
+                                disabled={submitting}
+                                className="text-red-600 hover:bg-red-50 px-3 py-2 rounded-lg text-sm font-medium"
+                              >
+                                Remove
+                              </button>
                             )}
                           </div>
-                          <span className="text-xs text-gray-400">{formatTime(person.timestamp)}</span>
                         </div>
+                        {guests.map(guest => renderGuest(guest, true))}
                       </div>
-                      <div className="flex items-center gap-2 flex-shrink-0">
-                        <span className="text-xs text-gray-400">#{index + 1}</span>
-                        {isMySignup(person) && canDropOut && (
-                          <button
-                            onClick={() => setConfirmModal({ show: true, personId: person.id, isWaitlist: true })}
-                            disabled={submitting}
-                            className="text-red-600 hover:bg-red-50 px-3 py-2 rounded-lg text-sm font-medium"
-                          >
-                            Remove
-                          </button>
-                        )}
-                      </div>
-                    </div>
-                  ))}
+                    );
+                  })}
                 </div>
               )}
             </div>
@@ -1124,6 +1440,32 @@ export default function OrgRSVP() {
             </div>
           )}
 
+          {/* Leaderboard */}
+          {leaderboard?.players.length > 0 && (
+            <div className="glass-card-solid rounded-3xl shadow-2xl p-4 md:p-6 mb-4">
+              <h2 className="text-lg font-bold text-gray-800 mb-1 flex items-center gap-2">
+                <span>🏅</span> Most Games This Season
+              </h2>
+              <p className="text-gray-500 text-xs mb-4">
+                Since {formatGameDate(parseDateId(leaderboard.seasonStart))}
+              </p>
+              <ol className="space-y-1">
+                {leaderboard.players.map(player => (
+                  <li
+                    key={player.name}
+                    className={`flex items-center gap-3 text-sm ${
+                      player.name.toLowerCase() === mySignup?.name.toLowerCase() ? 'font-semibold text-blue-700' : 'text-gray-700'
+                    }`}
+                  >
+                    <span className="w-6 text-right text-gray-400">{player.rank}</span>
+                    <span className="flex-1">{formatDisplayName(player.name)}</span>
+                    <span className="tabular-nums">{player.played} game{player.played !== 1 ? 's' : ''}</span>
+                  </li>
+                ))}
+              </ol>
+            </div>
+          )}
+
           {/* WhatsApp Group Card */}
           {whatsapp && whatsapp.enabled && whatsapp.groupUrl && (
             <div className="glass-card-solid rounded-3xl shadow-2xl p-4 md:p-6 mb-4">
@@ -1161,24 +1503,37 @@ export default function OrgRSVP() {
           <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4">
             <div className="glass-card-solid rounded-3xl shadow-2xl p-6 max-w-md w-full">
               <h3 className="text-xl font-bold text-gray-800 mb-4">
-                {confirmModal.isWaitlist ? 'Leave Waitlist?' : 'Cancel RSVP?'}
+                {confirmModal.isGuest ? 'Remove Guest?' : confirmModal.isWaitlist ? 'Leave Waitlist?' : 'Cancel RSVP?'}
               </h3>
               <p className="text-gray-600 mb-6">
-                {confirmModal.isWaitlist
-                  ? 'Are you sure you want to remove yourself from the waitlist?'
-                  : 'Are you sure you want to cancel your RSVP? Your spot will be given to the next person.'}
+                {confirmModal.isGuest
+                  ? 'Are you sure you want to remove your guest? Their spot will be given to the next person.'
+                  : confirmModal.isWaitlist
+                    ? 'Are you sure you want to remove yourself from the waitlist?'
+                    : 'Are you sure you want to cancel your RSVP? Your spot will be given to the next person.'}
               </p>
+              {confirmModal.guestCount > 0 && (
+                <label className="flex items-center gap-2 mb-6 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={confirmModal.dropGuests}
+                    onChange={(e) => setConfirmModal({ ...confirmModal, dropGuests: e.target.checked })}
+                    className="w-4 h-4 rounded"
+                  />
+                  Also drop my {confirmModal.guestCount} guest{confirmModal.guestCount !== 1 ? 's' : ''}
+                </label>
+              )}
               <div className="flex gap-3">
                 <button
-                  onClick={() => setConfirmModal({ show: false, personId: null, isWaitlist: false })}
+                  onClick={closeDropoutModal}
                   className="flex-1 px-4 py-3 bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium rounded-xl"
                 >
-                  Keep my spot
+                  {confirmModal.isGuest ? 'Keep them' : 'Keep my spot'}
                 </button>
                 <button
                   onClick={async () => {
-                    await handleDropout(confirmModal.personId, confirmModal.isWaitlist);
-                    setConfirmModal({ show: false, personId: null, isWaitlist: false });
+                    await handleDropout(confirmModal.personId, confirmModal.isWaitlist, confirmModal.dropGuests);
+                    closeDropoutModal();
                   }}
                   disabled={submitting}
                   className="flex-1 px-4 py-3 bg-red-500 hover:bg-red-600 text-white font-medium rounded-xl flex items-center justify-center"
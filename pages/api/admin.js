@@ -1,4 +1,4 @@
-import { kv } from '@vercel/kv';
+import { kv } from '../../lib/kv';
 
 const RSVP_KEY = 'frisbee-rsvp-data';
 const WHITELIST_KEY = 'frisbee-whitelist';
@@ -1,7 +1,6 @@
-import { kv } from '@vercel/kv';
 import { verifySession, parseCookies, isSuperAdmin, generateId } from '../../../lib/auth';
 import { getOrganizerById, getOrganizationBySlug, createOrganization } from '../../../lib/organizations';
-import { setOrgData, ORG_KEY_SUFFIXES, GLOBAL_KEYS, setGlobalData, getGlobalData } from '../../../lib/kv';
+import { kv, setOrgData, ORG_KEY_SUFFIXES } from '../../../lib/kv';
 
 // Legacy key names from the original single-tenant system
 const LEGACY_KEYS = {
@@ -0,0 +1,41 @@
+// One-off migration from the legacy single-blob organizer/organization/session/
+// magic-token stores to per-record keys with secondary indexes.
+//
+// Lookups also run it on their own the first time they miss (lib/organizations.js,
+// lib/auth.js); this does it all at once. Sessions may not verify before then, so it
+// is authenticated the same way as a manual cron trigger:
+// `Authorization: Bearer <CRON_SECRET or ADMIN_PASSWORD>`.
+// Safe to run more than once; legacy blobs are left in place.
+
+import { migrateLegacyOrganizationRecords } from '../../../lib/organizations';
+import { migrateLegacyAuthRecords } from '../../../lib/auth';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const authHeader = req.headers.authorization;
+  const cronSecret = process.env.CRON_SECRET;
+  const adminPassword = process.env.ADMIN_PASSWORD;
+  const isAuthorized = (cronSecret && authHeader === `Bearer ${cronSecret}`) ||
+    (adminPassword && authHeader === `Bearer ${adminPassword}`);
+
+  if (!isAuthorized) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const organizationCounts = await migrateLegacyOrganizationRecords();
+    const authCounts = await migrateLegacyAuthRecords();
+
+    return res.status(200).json({
+      success: true,
+      migrated: { ...organizationCounts, ...authCounts },
+      note: 'Legacy blobs have been preserved. You can delete them manually after verifying the migration.',
+    });
+  } catch (error) {
+    console.error('Record migration error:', error);
+    return res.status(500).json({ error: error.message || 'Migration failed' });
+  }
+}
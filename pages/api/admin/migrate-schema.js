@@ -0,0 +1,58 @@
+// Batch-upgrade every organization's stored data to the current schema version.
+// Orgs are also upgraded lazily on read (see lib/migrations.js); this brings
+// the rest up to date without waiting for traffic.
+//
+// Authenticated the same way as a manual cron trigger:
+// `Authorization: Bearer <CRON_SECRET or ADMIN_PASSWORD>`. Safe to run more than once.
+
+import { getOrganizations } from '../../../lib/organizations';
+import { migrateOrgData, CURRENT_SCHEMA_VERSION } from '../../../lib/migrations';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const authHeader = req.headers.authorization;
+  const cronSecret = process.env.CRON_SECRET;
+  const adminPassword = process.env.ADMIN_PASSWORD;
+  const isAuthorized = (cronSecret && authHeader === `Bearer ${cronSecret}`) ||
+    (adminPassword && authHeader === `Bearer ${adminPassword}`);
+
+  if (!isAuthorized) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const results = {
+    upgraded: [],
+    current: [],
+    failed: [],
+  };
+
+  try {
+    const organizations = await getOrganizations();
+
+    for (const org of organizations) {
+      try {
+        const { from, to, applied } = await migrateOrgData(org);
+        if (applied.length > 0) {
+          results.upgraded.push({ slug: org.slug, from, to });
+        } else {
+          results.current.push(org.slug);
+        }
+      } catch (error) {
+        results.failed.push({ slug: org.slug, error: error.message });
+        console.error(`Schema migration failed for ${org.slug}:`, error);
+      }
+    }
+
+    return res.status(200).json({
+      success: results.failed.length === 0,
+      schemaVersion: CURRENT_SCHEMA_VERSION,
+      results,
+    });
+  } catch (error) {
+    console.error('Schema migration error:', error);
+    return res.status(500).json({ error: error.message || 'Migration failed' });
+  }
+}
@@ -1,8 +1,6 @@
 import { getOrganizerByEmail } from '../../../lib/organizations';
 import { createMagicToken, isSuperAdmin } from '../../../lib/auth';
-import { Resend } from 'resend';
-
-const resend = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null;
+import { queueEmail } from '../../../lib/outbox';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -46,17 +44,12 @@ export default async function handler(req, res) {
 }
 
 async function sendMagicLinkEmail(email, name, token, req) {
-  if (!resend) {
-    console.log('Magic link token (email not configured):', token);
-    return;
-  }
-
   const protocol = req.headers['x-forwarded-proto'] || 'https';
   const host = req.headers.host;
   const magicLink = `${protocol}://${host}/auth/verify?token=${token}`;
 
   try {
-    await resend.emails.send({
+    await queueEmail({
       from: 'PlayDay <noreply@itsplayday.com>',
       to: email,
       subject: 'Your PlayDay Login Link',
@@ -75,7 +68,7 @@ async function sendMagicLinkEmail(email, name, token, req) {
           <p style="color: #999; font-size: 12px;">PlayDay - Sports RSVP made simple</p>
         </div>
       `,
-    });
+    }, { kind: 'magic-link' });
   } catch (error) {
     console.error('Failed to send magic link email:', error);
   }
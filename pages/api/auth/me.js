@@ -1,6 +1,9 @@
 import { verifySession, parseCookies, isSuperAdmin } from '../../../lib/auth';
 import { getOrganizerById, getOrganizationsByOwner } from '../../../lib/organizations';
 import { getOrgData, ORG_KEY_SUFFIXES } from '../../../lib/kv';
+import { getDefaultSettings } from '../../../lib/settings';
+import { ensureOrgSchema } from '../../../lib/migrations';
+import { isFormOpen } from '../../../lib/recurrence';
 
 // Check if RSVP window is currently open
 function getWindowStatus(settings, timezone) {
@@ -8,44 +11,20 @@ function getWindowStatus(settings, timezone) {
     return { status: 'always_open', label: 'Always Open' };
   }
 
-  const now = new Date();
-  const localTime = new Date(now.toLocaleString('en-US', { timeZone: timezone }));
-  const currentDay = localTime.getDay();
-  const currentHour = localTime.getHours();
-  const currentMinute = localTime.getMinutes();
+  const { isOpen, nextOpenTime, closeTime } = isFormOpen({
+    ...settings,
+    accessPeriod: { ...settings.accessPeriod, timezone },
+  });
 
-  const { startDay, startHour, startMinute, endDay, endHour, endMinute } = settings.accessPeriod;
+  // Count real minutes, so a clock change in between doesn't skew the countdown
+  const changeTime = isOpen ? closeTime : nextOpenTime;
+  const minutesUntilChange = changeTime
+    ? Math.max(0, Math.round((new Date(changeTime) - new Date()) / 60000))
+    : null;
 
-  const currentTotalMinutes = currentDay * 24 * 60 + currentHour * 60 + currentMinute;
-  const startTotalMinutes = startDay * 24 * 60 + startHour * 60 + startMinute;
-  const endTotalMinutes = endDay * 24 * 60 + endHour * 60 + endMinute;
-
-  let isOpen = false;
-  if (startTotalMinutes <= endTotalMinutes) {
-    isOpen = currentTotalMinutes >= startTotalMinutes && currentTotalMinutes < endTotalMinutes;
-  } else {
-    isOpen = currentTotalMinutes >= startTotalMinutes || currentTotalMinutes < endTotalMinutes;
-  }
-
-  if (isOpen) {
-    // Calculate time until close
-    let minutesUntilClose = endTotalMinutes - currentTotalMinutes;
-    if (minutesUntilClose < 0) minutesUntilClose += 7 * 24 * 60;
-    return {
-      status: 'open',
-      label: 'Open',
-      minutesUntilChange: minutesUntilClose
-    };
-  } else {
-    // Calculate time until open
-    let minutesUntilOpen = startTotalMinutes - currentTotalMinutes;
-    if (minutesUntilOpen < 0) minutesUntilOpen += 7 * 24 * 60;
-    return {
-      status: 'closed',
-      label: 'Closed',
-      minutesUntilChange: minutesUntilOpen
-    };
-  }
+  return isOpen
+    ? { status: 'open', label: 'Open', minutesUntilChange }
+    : { status: 'closed', label: 'Closed', minutesUntilChange };
 }
 
 // Format minutes into human-readable string
@@ -61,23 +40,6 @@ function formatTimeUntil(minutes) {
   return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
 }
 
-// Get default settings
-function getDefaultSettings(timezone = 'Africa/Lagos') {
-  return {
-    mainListLimit: 30,
-    accessPeriod: {
-      enabled: true,
-      startDay: 4,
-      startHour: 12,
-      startMinute: 0,
-      endDay: 5,
-      endHour: 10,
-      endMinute: 0,
-      timezone
-    }
-  };
-}
-
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
@@ -109,6 +71,7 @@ export default async function handler(req, res) {
 
     // Fetch stats for each organization
     const orgsWithStats = await Promise.all(organizations.map(async (org) => {
+      await ensureOrgSchema(org);
       const settings = await getOrgData(org.id, ORG_KEY_SUFFIXES.SETTINGS, getDefaultSettings(org.timezone));
       const rsvpData = await getOrgData(org.id, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
       const timezone = settings?.accessPeriod?.timezone || org.timezone || 'Africa/Lagos';
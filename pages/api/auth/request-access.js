@@ -1,8 +1,6 @@
 import { createOrganizer, getOrganizerByEmail } from '../../../lib/organizations';
 import { createMagicToken, isSuperAdmin } from '../../../lib/auth';
-import { Resend } from 'resend';
-
-const resend = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null;
+import { queueEmail } from '../../../lib/outbox';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -101,17 +99,12 @@ export default async function handler(req, res) {
 }
 
 async function sendMagicLinkEmail(email, name, token, req) {
-  if (!resend) {
-    console.log('Magic link token (email not configured):', token);
-    return;
-  }
-
   const protocol = req.headers['x-forwarded-proto'] || 'https';
   const host = req.headers.host;
   const magicLink = `${protocol}://${host}/auth/verify?token=${token}`;
 
   try {
-    await resend.emails.send({
+    await queueEmail({
       from: 'PlayDay <noreply@itsplayday.com>',
       to: email,
       subject: 'Your PlayDay Login Link',
@@ -130,7 +123,7 @@ async function sendMagicLinkEmail(email, name, token, req) {
           <p style="color: #999; font-size: 12px;">PlayDay - Sports RSVP made simple</p>
         </div>
       `,
-    });
+    }, { kind: 'magic-link' });
   } catch (error) {
     console.error('Failed to send magic link email:', error);
   }
@@ -138,14 +131,14 @@ async function sendMagicLinkEmail(email, name, token, req) {
 
 async function notifySuperAdmin(email, name, intendedSport, intendedLocation, req) {
   const superAdminEmail = process.env.SUPER_ADMIN_EMAIL;
-  if (!resend || !superAdminEmail) return;
+  if (!superAdminEmail) return;
 
   const protocol = req.headers['x-forwarded-proto'] || 'https';
   const host = req.headers.host;
   const adminLink = `${protocol}://${host}/super-admin`;
 
   try {
-    await resend.emails.send({
+    await queueEmail({
       from: 'PlayDay <noreply@itsplayday.com>',
       to: superAdminEmail,
       subject: 'New PlayDay Organizer Request',
@@ -165,7 +158,7 @@ async function notifySuperAdmin(email, name, intendedSport, intendedLocation, re
           </a>
         </div>
       `,
-    });
+    }, { kind: 'access-request' });
   } catch (error) {
     console.error('Failed to notify super admin:', error);
   }
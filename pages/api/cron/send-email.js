@@ -1,31 +1,23 @@
-// Vercel Cron Job - runs every hour to check if any organization's RSVP window has closed
-// Each organization has its own access period settings
+// Vercel Cron Job - the hourly scheduler for every organization's timed work.
+// First, emails that failed to send are retried from the outbox (lib/outbox.js).
+// Then, per org (each with its own access period settings), in order:
+// - the lottery draw, so the emailed list is the drawn one
+// - spots left unclaimed under the waitlist claim window pass on
+// - player reminders that are due (lib/reminders.js)
+// - the list email to organizers, once the RSVP window has closed
+// Each of these happens at most once per period, so a late or repeated run
+// just catches up.
 
 import { getOrganizations } from '../../../lib/organizations';
 import { getOrgData, ORG_KEY_SUFFIXES } from '../../../lib/kv';
-import { getCurrentPeriodId } from '../../../lib/recurrence';
-
-// Default settings for reference
-function getDefaultSettings(timezone = 'Africa/Lagos') {
-  return {
-    accessPeriod: {
-      enabled: true,
-      startDay: 4,
-      startHour: 12,
-      startMinute: 0,
-      endDay: 5,
-      endHour: 10,
-      endMinute: 0,
-      timezone
-    },
-    email: {
-      enabled: false,
-      recipients: [],
-      cc: [],
-      bcc: []
-    }
-  };
-}
+import { getDefaultSettings } from '../../../lib/settings';
+import { ensureOrgSchema } from '../../../lib/migrations';
+import { getCurrentPeriodId, isFormOpen } from '../../../lib/recurrence';
+import { runLotteryDrawIfDue } from '../../../lib/lottery';
+import { sweepExpiredClaims } from '../../../lib/claims';
+import { notifyPromotions } from '../../../lib/notifications';
+import { sendDueReminders } from '../../../lib/reminders';
+import { drainOutbox } from '../../../lib/outbox';
 
 // Check if the access period just closed (within the last 70 minutes to catch the cron window)
 // Returns { shouldSend: boolean, reason: string } for diagnostic logging
@@ -34,72 +26,46 @@ function shouldSendEmail(settings, timezone, lastEmailPeriod) {
   if (!settings?.email?.enabled) return { shouldSend: false, reason: 'email sending not enabled in org settings' };
   if (!settings?.email?.recipients?.length) return { shouldSend: false, reason: 'no email recipients configured' };
 
-  const now = new Date();
-  const localTime = new Date(now.toLocaleString('en-US', { timeZone: timezone }));
-  const currentDay = localTime.getDay();
-  const currentHour = localTime.getHours();
-  const currentMinute = localTime.getMinutes();
-
-  const { endDay, endHour, endMinute } = settings.accessPeriod;
+  const periodId = getCurrentPeriodId(settings, timezone);
 
-  // Calculate minutes since the start of the week (Sunday 00:00)
-  const currentTotalMinutes = currentDay * 24 * 60 + currentHour * 60 + currentMinute;
-  const endTotalMinutes = endDay * 24 * 60 + endHour * 60 + endMinute;
+  // Check if we already sent for this period
+  if (lastEmailPeriod === periodId) {
+    return { shouldSend: false, reason: `already sent for period ${periodId}` };
+  }
 
-  // Calculate minutes since the window closed
-  let minutesSinceClosed = currentTotalMinutes - endTotalMinutes;
+  const { isOpen, closeTime, skipped } = isFormOpen({
+    ...settings,
+    accessPeriod: { ...settings.accessPeriod, timezone },
+  });
 
-  // Handle week wrap-around (if we're before the end time in the weekly cycle)
-  if (minutesSinceClosed < 0) {
-    minutesSinceClosed += 7 * 24 * 60; // Add a full week
+  if (skipped) {
+    return { shouldSend: false, reason: `game on ${skipped.date} is ${skipped.cancelled ? 'cancelled' : 'skipped'}` };
   }
 
-  const periodId = getCurrentPeriodId(settings, timezone);
+  if (isOpen) {
+    return { shouldSend: false, reason: 'window is still open' };
+  }
 
-  // Check if we already sent for this period
-  if (lastEmailPeriod === periodId) {
-    return { shouldSend: false, reason: `already sent for period ${periodId}` };
+  if (!closeTime) {
+    return { shouldSend: false, reason: 'window has not closed yet this period' };
   }
 
+  // Real minutes since the most recent close, so clock changes don't shift the send
+  const minutesSinceClosed = Math.floor((new Date() - new Date(closeTime)) / 60000);
+
   // Send if window closed in the last 70 minutes
   if (minutesSinceClosed >= 0 && minutesSinceClosed <= 70) {
     return { shouldSend: true, reason: 'window closed within last 70 minutes' };
   }
 
-  // Also check: if the window is currently closed and we haven't sent yet this period
-  // This catches cases where the cron might have been missed
-  const isCurrentlyOpen = isAccessPeriodOpen(settings, timezone);
-  if (!isCurrentlyOpen && minutesSinceClosed > 0 && minutesSinceClosed < 7 * 24 * 60 - 120) {
+  // Also send if we haven't this period, in case the cron was missed
+  if (minutesSinceClosed > 0 && minutesSinceClosed < 7 * 24 * 60 - 120) {
     return { shouldSend: true, reason: 'window closed, catching up missed send' };
   }
 
   return { shouldSend: false, reason: `window closed ${minutesSinceClosed} min ago (outside send window)` };
 }
 
-// Helper to check if access period is currently open
-function isAccessPeriodOpen(settings, timezone) {
-  if (!settings?.accessPeriod?.enabled) return true;
-
-  const now = new Date();
-  const localTime = new Date(now.toLocaleString('en-US', { timeZone: timezone }));
-  const currentDay = localTime.getDay();
-  const currentHour = localTime.getHours();
-  const currentMinute = localTime.getMinutes();
-
-  const { startDay, startHour, startMinute, endDay, endHour, endMinute } = settings.accessPeriod;
-
-  const currentTotalMinutes = currentDay * 24 * 60 + currentHour * 60 + currentMinute;
-  const startTotalMinutes = startDay * 24 * 60 + startHour * 60 + startMinute;
-  const endTotalMinutes = endDay * 24 * 60 + endHour * 60 + endMinute;
-
-  // Handle wrap-around (e.g., Friday to Monday)
-  if (startTotalMinutes <= endTotalMinutes) {
-    return currentTotalMinutes >= startTotalMinutes && currentTotalMinutes < endTotalMinutes;
-  } else {
-    return currentTotalMinutes >= startTotalMinutes || currentTotalMinutes < endTotalMinutes;
-  }
-}
-
 export default async function handler(req, res) {
   // Verify this is a cron request (Vercel adds this header)
   const authHeader = req.headers.authorization;
@@ -115,11 +81,24 @@ export default async function handler(req, res) {
 
   const results = {
     processed: 0,
+    drawn: [],
+    unclaimed: [],
+    reminded: [],
     sent: [],
     skipped: [],
     failed: [],
+    outbox: null,
   };
 
+  try {
+    results.outbox = await drainOutbox();
+    if (results.outbox.sent + results.outbox.dead > 0) {
+      console.log(`Cron: Outbox retried ${results.outbox.sent} email(s) successfully, gave up on ${results.outbox.dead}`);
+    }
+  } catch (error) {
+    console.error('Cron: Failed to drain outbox', error);
+  }
+
   try {
     // Get all organizations
     const organizations = await getOrganizations();
@@ -142,10 +121,29 @@ export default async function handler(req, res) {
       results.processed++;
 
       try {
+        await ensureOrgSchema(org);
         const settings = await getOrgData(org.id, ORG_KEY_SUFFIXES.SETTINGS, getDefaultSettings(org.timezone));
         const timezone = settings?.accessPeriod?.timezone || org.timezone || 'Africa/Lagos';
         const lastEmailWeek = await getOrgData(org.id, ORG_KEY_SUFFIXES.LAST_EMAIL, null);
 
+        const draw = await runLotteryDrawIfDue(org.id, settings);
+        if (draw) {
+          results.drawn.push({ slug: org.slug, periodId: draw.periodId, seed: draw.seed });
+          console.log(`Cron: Lottery drawn for ${org.slug}`);
+        }
+
+        const { expired, promoted } = await sweepExpiredClaims(org, settings);
+        if (expired.length > 0) {
+          await notifyPromotions(org, promoted, { settings, timezone });
+          results.unclaimed.push({ slug: org.slug, expired: expired.map(p => p.name), promoted: promoted.map(p => p.name) });
+          console.log(`Cron: ${expired.length} unclaimed spot(s) passed on for ${org.slug}`);
+        }
+
+        for (const reminder of await sendDueReminders(org, settings)) {
+          results.reminded.push({ slug: org.slug, ...reminder });
+          console.log(`Cron: ${reminder.type} reminders sent to ${reminder.sent} player(s) for ${org.slug}`);
+        }
+
         // Check if this org's window just closed
         const { shouldSend, reason } = shouldSendEmail(settings, timezone, lastEmailWeek);
         if (!shouldSend) {
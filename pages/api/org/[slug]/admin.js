@@ -1,10 +1,47 @@
 import { verifySession, parseCookies, isSuperAdmin } from '../../../../lib/auth';
 import { getOrganizerById, getOrganizationBySlug, organizerOwnsOrg, updateOrganization, deleteOrganization } from '../../../../lib/organizations';
-import { getOrgData, setOrgData, ORG_KEY_SUFFIXES, deleteAllOrgData } from '../../../../lib/kv';
-import { getCurrentPeriodId } from '../../../../lib/recurrence';
-import { Resend } from 'resend';
-
-const resend = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null;
+import { getOrgData, setOrgData, deleteOrgData, withOrgLock, LockContentionError, ORG_KEY_SUFFIXES, deleteAllOrgData } from '../../../../lib/kv';
+import {
+  getCurrentPeriodId,
+  getPeriodGameDate,
+  getSkipDate,
+  isGameDate,
+  parseDateId,
+  formatDateId,
+  formatGameDate,
+} from '../../../../lib/recurrence';
+import { toWallClock, makeWallClock } from '../../../../lib/timezone';
+import { getDefaultSettings, normalizeSettings, validateSettings, MAX_SKIP_REASON_LENGTH } from '../../../../lib/settings';
+import { ensureOrgSchema } from '../../../../lib/migrations';
+import { rebalanceLists, getGuestsOf } from '../../../../lib/lists';
+import {
+  MIN_TEAMS,
+  MAX_TEAMS,
+  generateTeams,
+  moveOrSwapPlayer,
+  currentTeamsData,
+  validateMemberAttributes,
+} from '../../../../lib/teams';
+import { getAttendanceEntry, setCheckIn, buildNoShowReport } from '../../../../lib/attendance';
+import { getPriorityOptions } from '../../../../lib/priority';
+import { getMemberTiers, resolveMemberTierId } from '../../../../lib/tiers';
+import { MAX_EVENTS, createEventId, normalizeEvent, validateEvent, getEventTimes } from '../../../../lib/events';
+import { getEvents, loadEventLists, getEventRsvpData, setEventRsvpData, deleteEventData, deleteAllEventData } from '../../../../lib/event-store';
+import { sendEmail, notifyPromotions, getRecipients } from '../../../../lib/notifications';
+import { holdPromotedSpots } from '../../../../lib/claims';
+import { getOrgMessages, retryDeadEmail, deleteOrgMessages } from '../../../../lib/outbox';
+import { TEMPLATE_TYPES, getTemplate, renderEmail, checkTemplate, compactTemplates } from '../../../../lib/templates';
+import { getTemplateVars, previewEmail } from '../../../../lib/template-vars';
+import { parseMemberCsv, planWhitelistImport } from '../../../../lib/whitelist-import';
+import {
+  normalizeTags,
+  validateMemberProfile,
+  getTodayId,
+  getCarriedOverMembers,
+  renameInList,
+  getMemberHistory,
+} from '../../../../lib/members';
+import { computePlayerStats, getNameAliases, getSeasonStart } from '../../../../lib/player-stats';
 
 /**
  * Generate a unique snooze code (6 characters, no confusing chars)
@@ -19,109 +56,97 @@ function generateSnoozeCode() {
 }
 
 /**
- * Send welcome email with snooze code to new whitelist member
+ * Add a member to the whitelist and sign them up, keeping the lists in
+ * priority order. Updates `rsvpData` and `whitelist` in place.
+ * @param {Object} rsvpData - { mainList, waitlist }
+ * @param {Array} whitelist - The org's whitelist
+ * @param {Object} member - { name, email?, tier }
+ * @param {number} limit - Main list size
+ * @param {Object} priorityOptions - From getPriorityOptions
+ * @returns {Object} The new whitelist entry
  */
-async function sendWhitelistWelcomeEmail(email, name, snoozeCode, orgName, slug) {
-  if (!resend) {
-    console.log('Resend not configured, skipping email for:', email);
-    return false;
+function addWhitelistMember(rsvpData, whitelist, { name, email, tier }, limit, priorityOptions) {
+  const newPerson = {
+    id: Date.now() + Math.random(),
+    name,
+    timestamp: new Date().toISOString(),
+    deviceId: `whitelist-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    isWhitelisted: true,
+    tier
+  };
+
+  const whitelistEntry = {
+    name,
+    snoozeCode: generateSnoozeCode(),
+    tier,
+    addedAt: new Date().toISOString()
+  };
+
+  // Only add email if provided
+  if (email) {
+    whitelistEntry.email = email;
   }
 
-  try {
-    await resend.emails.send({
-      from: `${orgName} <noreply@itsplayday.com>`,
-      to: email,
-      subject: `Welcome to ${orgName} - Your Member Code`,
-      html: `
-        <div style="font-family: sans-serif; max-width: 500px; margin: 0 auto;">
-          <h2>Hi ${name}!</h2>
-          <p>You've been added as a VIP member of <strong>${orgName}</strong>.</p>
-          <p>Your personal snooze code is:</p>
-          <div style="background: #f3f4f6; padding: 16px; border-radius: 8px; text-align: center; margin: 16px 0;">
-            <span style="font-size: 28px; font-weight: bold; letter-spacing: 4px; font-family: monospace;">${snoozeCode}</span>
-          </div>
-          <p>Use this code on the RSVP page if you need to skip a week. You'll automatically return to the list the following week.</p>
-          <a href="https://itsplayday.com/${slug}" style="display: inline-block; background: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 16px 0;">
-            View RSVP Page
-          </a>
-          <p style="color: #666; font-size: 14px;">Keep this code safe - you'll need it whenever you want to skip a week.</p>
-        </div>
-      `,
-    });
-    return true;
-  } catch (error) {
-    console.error('Failed to send whitelist welcome email:', error);
-    return false;
+  whitelist.push(whitelistEntry);
+
+  const rebalanced = rebalanceLists(
+    [...rsvpData.mainList, newPerson],
+    rsvpData.waitlist,
+    limit,
+    priorityOptions
+  );
+  rsvpData.mainList = rebalanced.mainList;
+  rsvpData.waitlist = rebalanced.waitlist;
+
+  return whitelistEntry;
+}
+
+/**
+ * Send new whitelist members the welcome email with their snooze code
+ * @param {Array<{ email, name, snoozeCode }>} members
+ * @param {Object} org - Organization
+ * @param {Object} settings - Org settings, for the welcome template
+ * @param {Object} [rsvpData] - The lists, when already loaded
+ * @returns {Promise<boolean[]>} Whether each member's email was sent
+ */
+async function sendWhitelistWelcomeEmails(members, org, settings, rsvpData) {
+  const template = getTemplate(settings, 'welcome');
+  const vars = await getTemplateVars(org, settings, { rsvpData, templates: [template] });
+  const sent = [];
+  for (const { email, name, snoozeCode } of members) {
+    const { subject, text, html } = renderEmail(template, { ...vars, name, snoozeCode });
+    sent.push(await sendEmail({ orgId: org.id, orgName: org.name, kind: 'welcome', to: email, subject, text, html }));
   }
+  return sent;
 }
 
 /**
- * Sort people by priority
+ * Add or replace a skip date, keeping the list in date order and dropping
+ * dates more than a year old
+ * @param {Array} skipDates - settings.skipDates
+ * @param {Object} entry - The skip date to add
+ * @param {Date} today - Wall clock in the org's timezone
  */
-function sortByPriority(people) {
-  return [...people].sort((a, b) => {
-    if (a.isWhitelisted && !b.isWhitelisted) return -1;
-    if (!a.isWhitelisted && b.isWhitelisted) return 1;
-    return new Date(a.timestamp) - new Date(b.timestamp);
-  });
+function withSkipDate(skipDates, entry, today) {
+  const yearAgo = formatDateId(makeWallClock(today.getUTCFullYear() - 1, today.getUTCMonth(), today.getUTCDate()));
+  return [...skipDates.filter(s => s.date !== entry.date && s.date >= yearAgo), entry]
+    .sort((a, b) => a.date.localeCompare(b.date));
 }
 
 /**
- * Rebalance lists
+ * The org's current RSVP period, which teams and check-ins belong to
  */
-function rebalanceLists(mainList, waitlist, limit) {
-  const allPeople = [...mainList, ...waitlist];
-  const sorted = sortByPriority(allPeople);
-  return {
-    mainList: sorted.slice(0, limit),
-    waitlist: sorted.slice(limit)
-  };
+async function getOrgPeriodId(org) {
+  const settings = await getOrgData(org.id, ORG_KEY_SUFFIXES.SETTINGS, getDefaultSettings(org.timezone));
+  return getCurrentPeriodId(settings, settings.accessPeriod?.timezone || org.timezone || 'Africa/Lagos');
 }
 
-// Default settings
-function getDefaultSettings(timezone = 'Africa/Lagos') {
-  return {
-    mainListLimit: 30,
-    accessPeriod: {
-      enabled: true,
-      startDay: 4,
-      startHour: 12,
-      startMinute: 0,
-      endDay: 5,
-      endHour: 10,
-      endMinute: 0,
-      timezone
-    },
-    email: {
-      enabled: false,
-      recipients: [],
-      cc: [],
-      bcc: [],
-      subject: 'Weekly RSVP List - {{week}}',
-      body: 'Please find attached the RSVP list for this week.\n\nTotal participants: {{count}}'
-    },
-    gameInfo: {
-      enabled: false,
-      gameDay: 0,
-      startHour: 17,
-      startMinute: 0,
-      endHour: 19,
-      endMinute: 0,
-      location: {
-        enabled: false,
-        name: '',
-        address: '',
-        googleMapsUrl: '',
-      },
-      rules: {
-        enabled: false,
-        items: [],
-      },
-      weather: {
-        enabled: false,
-      },
-    }
-  };
+/**
+ * Get the org's teams if they were generated for the current period
+ */
+async function getCurrentTeams(org) {
+  const teamsData = await getOrgData(org.id, ORG_KEY_SUFFIXES.TEAMS, null);
+  return currentTeamsData(teamsData, await getOrgPeriodId(org));
 }
 
 export default async function handler(req, res) {
@@ -172,6 +197,16 @@ export default async function handler(req, res) {
     return res.status(403).json({ error: 'You do not have permission to manage this organization' });
   }
 
+  try {
+    await ensureOrgSchema(org);
+  } catch (error) {
+    if (error instanceof LockContentionError) {
+      return res.status(503).json({ error: 'The list is busy right now. Please try again in a moment.' });
+    }
+    console.error('Schema migration failed:', error);
+    return res.status(500).json({ error: 'Failed to load organization data' });
+  }
+
   if (req.method === 'GET') {
     try {
       const rsvpData = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
@@ -181,17 +216,48 @@ export default async function handler(req, res) {
       const emailStatus = await getOrgData(orgId, ORG_KEY_SUFFIXES.EMAIL_STATUS, null);
       const lastEmailWeek = await getOrgData(orgId, ORG_KEY_SUFFIXES.LAST_EMAIL, null);
       const emailLog = await getOrgData(orgId, ORG_KEY_SUFFIXES.EMAIL_LOG, []);
+      const deliveryLog = await getOrgMessages(orgId);
       const dropoutLog = await getOrgData(orgId, ORG_KEY_SUFFIXES.DROPOUT_LOG, []);
+      const storedTeams = await getOrgData(orgId, ORG_KEY_SUFFIXES.TEAMS, null);
+      const attendance = await getOrgData(orgId, ORG_KEY_SUFFIXES.ATTENDANCE, []);
+      const strikes = await getOrgData(orgId, ORG_KEY_SUFFIXES.STRIKES, []);
+      const playHistory = await getOrgData(orgId, ORG_KEY_SUFFIXES.PLAY_HISTORY, []);
+
+      const lotteryDraw = await getOrgData(orgId, ORG_KEY_SUFFIXES.LOTTERY, null);
+      const storedEvents = await getEvents(orgId);
       const limit = settings.mainListLimit || 30;
+      const priorityOptions = await getPriorityOptions(orgId, settings);
 
-      const rebalanced = rebalanceLists(rsvpData.mainList, rsvpData.waitlist, limit);
+      let rebalanced = rebalanceLists(rsvpData.mainList, rsvpData.waitlist, limit, priorityOptions);
       const orderChanged = JSON.stringify(rebalanced) !== JSON.stringify(rsvpData);
       if (orderChanged) {
-        await setOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, rebalanced);
+        // Re-read under the lock so a concurrent signup isn't overwritten
+        rebalanced = await withOrgLock(orgId, async () => {
+          const fresh = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
+          const freshRebalanced = rebalanceLists(fresh.mainList, fresh.waitlist, limit, priorityOptions);
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, freshRebalanced);
+          return freshRebalanced;
+        });
       }
 
       const timezone = settings.accessPeriod?.timezone || org.timezone || 'Africa/Lagos';
       const currentWeekId = getCurrentPeriodId(settings, timezone);
+      const seasonStart = getSeasonStart(settings.leaderboard, getTodayId(timezone));
+      const aliases = getNameAliases(whitelist);
+
+      // The game this period leads up to; it can be cancelled once its signups have opened
+      const periodGameDate = settings.accessPeriod?.enabled ? getPeriodGameDate(settings, timezone) : null;
+      const currentGame = periodGameDate ? {
+        date: formatDateId(periodGameDate),
+        skipped: !!getSkipDate(settings, periodGameDate),
+        signupsOpened: await getOrgData(orgId, ORG_KEY_SUFFIXES.LAST_RESET, null) === currentWeekId,
+      } : null;
+
+      // Each event with its lists, archived once it's over
+      const events = await Promise.all(storedEvents.map(async event => ({
+        ...event,
+        ...await loadEventLists(orgId, event, timezone),
+      })));
 
       // Prepopulate gameInfo.location with organization's location/streetAddress if not already set
       if (settings.gameInfo?.location) {
@@ -222,10 +288,30 @@ export default async function handler(req, res) {
         emailStatus,
         lastEmailWeek,
         emailLog,
+        deliveryLog,
         dropoutLog,
+        teams: currentTeamsData(storedTeams, currentWeekId),
+        attendance: getAttendanceEntry(attendance, currentWeekId),
+        noShows: buildNoShowReport(archive, attendance),
+        strikes,
+        playerStats: {
+          periodCount: playHistory.length,
+          seasonStart,
+          season: computePlayerStats(playHistory, { since: seasonStart, timezone, aliases }),
+          allTime: computePlayerStats(playHistory, { aliases }),
+        },
+        lottery: {
+          awaitingDraw: priorityOptions.awaitingDraw,
+          draw: lotteryDraw?.periodId === currentWeekId ? lotteryDraw : null,
+        },
+        currentGame,
+        events,
         currentWeekId
       });
     } catch (error) {
+      if (error instanceof LockContentionError) {
+        return res.status(503).json({ error: 'The list is busy right now. Please try again in a moment.' });
+      }
       console.error('Failed to get admin data:', error);
       return res.status(500).json({ error: 'Failed to load data' });
     }
@@ -236,7 +322,7 @@ export default async function handler(req, res) {
 
     try {
       if (action === 'add-whitelist') {
-        // Support both old format (names: string[]) and new format (members: {name, email}[])
+        // Support both old format (names: string[]) and new format (members: {name, email, tier}[])
         const { names, members } = data;
         const inputMembers = members || (names ? names.map(n => typeof n === 'string' ? { name: n } : n) : []);
 
@@ -244,85 +330,165 @@ export default async function handler(req, res) {
           return res.status(400).json({ error: 'Members array is required' });
         }
 
-        const rsvpData = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
-        let whitelist = await getOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, []);
         const settings = await getOrgData(orgId, ORG_KEY_SUFFIXES.SETTINGS, getDefaultSettings(org.timezone));
         const limit = settings.mainListLimit || 30;
+        const priorityOptions = await getPriorityOptions(orgId, settings);
+
+        const memberTierIds = getMemberTiers(settings.tiers).map(t => t.id);
+        if (inputMembers.some(m => m.tier && !memberTierIds.includes(m.tier))) {
+          return res.status(400).json({ error: 'Unknown tier' });
+        }
 
         const added = [];
         const skipped = [];
 
-        for (const member of inputMembers) {
-          const trimmedName = (member.name || '').trim();
-          const email = (member.email || '').trim().toLowerCase();
-          if (!trimmedName) continue;
+        // Update the lists under the org lock; welcome emails go out afterwards
+        // so a slow mail provider doesn't hold up signups
+        const { rsvpData, whitelist } = await withOrgLock(orgId, async () => {
+          const rsvpData = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
+          const whitelist = await getOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, []);
 
-          if (whitelist.some(w => w.name.toLowerCase() === trimmedName.toLowerCase())) {
-            skipped.push({ name: trimmedName, reason: 'Already in whitelist' });
-            continue;
-          }
+          for (const member of inputMembers) {
+            const trimmedName = (member.name || '').trim();
+            const email = (member.email || '').trim().toLowerCase();
+            if (!trimmedName) continue;
+
+            if (whitelist.some(w => w.name.toLowerCase() === trimmedName.toLowerCase())) {
+              skipped.push({ name: trimmedName, reason: 'Already in whitelist' });
+              continue;
+            }
+
+            const allSignups = [...rsvpData.mainList, ...rsvpData.waitlist];
+            if (allSignups.some(p => p.name.toLowerCase() === trimmedName.toLowerCase())) {
+              skipped.push({ name: trimmedName, reason: 'Already signed up' });
+              continue;
+            }
 
-          const allSignups = [...rsvpData.mainList, ...rsvpData.waitlist];
-          if (allSignups.some(p => p.name.toLowerCase() === trimmedName.toLowerCase())) {
-            skipped.push({ name: trimmedName, reason: 'Already signed up' });
-            continue;
+            const { snoozeCode } = addWhitelistMember(
+              rsvpData,
+              whitelist,
+              { name: trimmedName, email, tier: member.tier || memberTierIds[0] },
+              limit,
+              priorityOptions
+            );
+
+            added.push({
+              name: trimmedName,
+              email: email || null,
+              snoozeCode,
+              emailSent: false
+            });
           }
 
-          // Generate unique snooze code
-          const snoozeCode = generateSnoozeCode();
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, rsvpData);
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, whitelist);
 
-          const newPerson = {
-            id: Date.now() + Math.random(),
-            name: trimmedName,
-            timestamp: new Date().toISOString(),
-            deviceId: `whitelist-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-            isWhitelisted: true
-          };
+          return { rsvpData, whitelist };
+        });
 
-          const whitelistEntry = {
-            name: trimmedName,
-            snoozeCode,
-            addedAt: new Date().toISOString()
-          };
+        // Send welcome emails to new members who provided an address
+        const withEmail = added.filter(member => member.email);
+        if (withEmail.length > 0) {
+          const sent = await sendWhitelistWelcomeEmails(withEmail, org, settings, rsvpData);
+          withEmail.forEach((member, i) => { member.emailSent = sent[i]; });
+        }
 
-          // Only add email if provided
-          if (email) {
-            whitelistEntry.email = email;
-          }
+        return res.status(200).json({
+          success: true,
+          added,
+          skipped,
+          mainList: rsvpData.mainList,
+          waitlist: rsvpData.waitlist,
+          whitelist
+        });
+      }
+
+      if (action === 'preview-whitelist-import' || action === 'import-whitelist') {
+        const { csv, sync = false, tier } = data;
+
+        const { members, error } = parseMemberCsv(csv);
+        if (error) {
+          return res.status(400).json({ error });
+        }
 
-          whitelist.push(whitelistEntry);
+        const settings = await getOrgData(orgId, ORG_KEY_SUFFIXES.SETTINGS, getDefaultSettings(org.timezone));
+        const planFor = (rsvpData, whitelist) => planWhitelistImport(members, {
+          whitelist,
+          signups: [...rsvpData.mainList, ...rsvpData.waitlist],
+          tiers: settings.tiers,
+          defaultTier: tier,
+        }, sync === true);
+
+        if (action === 'preview-whitelist-import') {
+          const rsvpData = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
+          const whitelist = await getOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, []);
+          const { rows, removals, counts } = planFor(rsvpData, whitelist);
+          return res.status(200).json({
+            success: true,
+            rows,
+            removals: removals.map(w => ({ name: w.name, email: w.email || null })),
+            counts
+          });
+        }
 
+        const limit = settings.mainListLimit || 30;
+        const priorityOptions = await getPriorityOptions(orgId, settings);
+
+        // Planned again under the lock, so the results match what was applied
+        const { plan, lists, whitelist, promoted } = await withOrgLock(orgId, async () => {
+          const rsvpData = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
+          let whitelist = await getOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, []);
+          const oldWaitlistIds = new Set(rsvpData.waitlist.map(p => p.id));
+          const plan = planFor(rsvpData, whitelist);
+
+          // Members leaving go first, along with their signups, freeing their spots
+          const removedNames = new Set(plan.removals.map(w => w.name.toLowerCase()));
+          whitelist = whitelist.filter(w => !removedNames.has(w.name.toLowerCase()));
           const rebalanced = rebalanceLists(
-            [...rsvpData.mainList, newPerson],
-            rsvpData.waitlist,
-            limit
+            rsvpData.mainList.filter(p => !removedNames.has(p.name.toLowerCase())),
+            rsvpData.waitlist.filter(p => !removedNames.has(p.name.toLowerCase())),
+            limit,
+            priorityOptions
           );
-          rsvpData.mainList = rebalanced.mainList;
-          rsvpData.waitlist = rebalanced.waitlist;
 
-          // Send welcome email if email provided
-          let emailSent = false;
-          if (email) {
-            emailSent = await sendWhitelistWelcomeEmail(email, trimmedName, snoozeCode, org.name, org.slug);
+          for (const row of plan.rows) {
+            if (row.action === 'update') {
+              whitelist = whitelist.map(w => (w.name === row.name ? { ...w, email: row.email } : w));
+            } else if (row.action === 'add') {
+              addWhitelistMember(rebalanced, whitelist, row, limit, priorityOptions);
+            }
           }
 
-          added.push({
-            name: trimmedName,
-            email: email || null,
-            snoozeCode,
-            emailSent
-          });
-        }
+          const promoted = rebalanced.mainList.filter(p => oldWaitlistIds.has(p.id));
+          const lists = holdPromotedSpots(rebalanced, promoted, settings);
+
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, lists);
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, whitelist);
+          return { plan, lists, whitelist, promoted };
+        });
 
-        await setOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, rsvpData);
-        await setOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, whitelist);
+        await notifyPromotions(org, promoted, { settings, timezone: settings.accessPeriod?.timezone || org.timezone });
+
+        // Welcome emails for new members who have an address
+        const welcomed = plan.rows.filter(row => row.action === 'add' && row.email);
+        if (welcomed.length > 0) {
+          const snoozeCodes = new Map(whitelist.map(w => [w.name, w.snoozeCode]));
+          const sent = await sendWhitelistWelcomeEmails(
+            welcomed.map(row => ({ ...row, snoozeCode: snoozeCodes.get(row.name) })),
+            org,
+            settings,
+            lists
+          );
+          welcomed.forEach((row, i) => { row.emailSent = sent[i]; });
+        }
 
         return res.status(200).json({
           success: true,
-          added,
-          skipped,
-          mainList: rsvpData.mainList,
-          waitlist: rsvpData.waitlist,
+          rows: plan.rows,
+          removals: plan.removals.map(w => ({ name: w.name, email: w.email || null })),
+          counts: plan.counts,
+          mainList: lists.mainList,
+          waitlist: lists.waitlist,
           whitelist
         });
       }
@@ -334,27 +500,34 @@ export default async function handler(req, res) {
           return res.status(400).json({ error: 'Name is required' });
         }
 
-        const rsvpData = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
-        let whitelist = await getOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, []);
+        const { settings, lists, whitelist, promoted } = await withOrgLock(orgId, async () => {
+          const rsvpData = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
+          const settings = await getOrgData(orgId, ORG_KEY_SUFFIXES.SETTINGS, getDefaultSettings(org.timezone));
+          const whitelist = (await getOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, []))
+            .filter(w => w.name.toLowerCase() !== name.toLowerCase());
+          const oldMainListIds = new Set(rsvpData.mainList.map(p => p.id));
 
-        whitelist = whitelist.filter(w => w.name.toLowerCase() !== name.toLowerCase());
-
-        const wasInMain = rsvpData.mainList.some(p => p.name.toLowerCase() === name.toLowerCase());
-        rsvpData.mainList = rsvpData.mainList.filter(p => p.name.toLowerCase() !== name.toLowerCase());
-        rsvpData.waitlist = rsvpData.waitlist.filter(p => p.name.toLowerCase() !== name.toLowerCase());
+          const isRemoved = p => p.name.toLowerCase() === name.toLowerCase();
+          const rebalanced = rebalanceLists(
+            rsvpData.mainList.filter(p => !isRemoved(p)),
+            rsvpData.waitlist.filter(p => !isRemoved(p)),
+            settings.mainListLimit || 30,
+            await getPriorityOptions(orgId, settings)
+          );
+          const lists = holdPromotedSpots(rebalanced, rebalanced.mainList.filter(p => !oldMainListIds.has(p.id)), settings);
 
-        if (wasInMain && rsvpData.waitlist.length > 0) {
-          const promoted = rsvpData.waitlist.shift();
-          rsvpData.mainList.push(promoted);
-        }
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, lists);
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, whitelist);
+          return { settings, lists, whitelist, promoted: lists.mainList.filter(p => !oldMainListIds.has(p.id)) };
+        });
 
-        await setOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, rsvpData);
-        await setOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, whitelist);
+        await notifyPromotions(org, promoted, { settings, timezone: settings.accessPeriod?.timezone || org.timezone });
 
         return res.status(200).json({
           success: true,
-          mainList: rsvpData.mainList,
-          waitlist: rsvpData.waitlist,
+          promoted,
+          mainList: lists.mainList,
+          waitlist: lists.waitlist,
           whitelist
         });
       }
@@ -382,13 +555,8 @@ export default async function handler(req, res) {
           return res.status(400).json({ error: 'Member does not have a snooze code' });
         }
 
-        const emailSent = await sendWhitelistWelcomeEmail(
-          member.email,
-          member.name,
-          member.snoozeCode,
-          org.name,
-          org.slug
-        );
+        const settings = await getOrgData(orgId, ORG_KEY_SUFFIXES.SETTINGS, getDefaultSettings(org.timezone));
+        const [emailSent] = await sendWhitelistWelcomeEmails([member], org, settings);
 
         return res.status(200).json({
           success: true,
@@ -398,33 +566,47 @@ export default async function handler(req, res) {
       }
 
       if (action === 'remove-person') {
-        const { personId, isWaitlist } = data;
-
-        const rsvpData = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
+        const { personId, isWaitlist, removeGuests = false } = data;
+
+        const { settings, lists, promoted } = await withOrgLock(orgId, async () => {
+          const rsvpData = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
+          const settings = await getOrgData(orgId, ORG_KEY_SUFFIXES.SETTINGS, getDefaultSettings(org.timezone));
+          const oldMainListIds = new Set(rsvpData.mainList.map(p => p.id));
+
+          const list = isWaitlist ? rsvpData.waitlist : rsvpData.mainList;
+          const person = list.find(p => p.id === personId);
+          const removedIds = new Set([personId]);
+          if (person && !person.isGuest && removeGuests) {
+            getGuestsOf([...rsvpData.mainList, ...rsvpData.waitlist], personId).forEach(g => removedIds.add(g.id));
+          }
 
-        if (isWaitlist) {
-          rsvpData.waitlist = rsvpData.waitlist.filter(p => p.id !== personId);
-        } else {
-          rsvpData.mainList = rsvpData.mainList.filter(p => p.id !== personId);
+          const rebalanced = rebalanceLists(
+            rsvpData.mainList.filter(p => !removedIds.has(p.id)),
+            rsvpData.waitlist.filter(p => !removedIds.has(p.id)),
+            settings.mainListLimit || 30,
+            await getPriorityOptions(orgId, settings)
+          );
+          const lists = holdPromotedSpots(rebalanced, rebalanced.mainList.filter(p => !oldMainListIds.has(p.id)), settings);
 
-          if (rsvpData.waitlist.length > 0) {
-            const promoted = rsvpData.waitlist.shift();
-            rsvpData.mainList.push(promoted);
-          }
-        }
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, lists);
+          return { settings, lists, promoted: lists.mainList.filter(p => !oldMainListIds.has(p.id)) };
+        });
 
-        await setOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, rsvpData);
+        await notifyPromotions(org, promoted, { settings, timezone: settings.accessPeriod?.timezone || org.timezone });
 
         return res.status(200).json({
           success: true,
-          mainList: rsvpData.mainList,
-          waitlist: rsvpData.waitlist
+          promoted,
+          mainList: lists.mainList,
+          waitlist: lists.waitlist
         });
       }
 
       if (action === 'reset-all') {
-        await setOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
-        await setOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, []);
+        await withOrgLock(orgId, async () => {
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, []);
+        });
 
         return res.status(200).json({
           success: true,
@@ -435,12 +617,17 @@ export default async function handler(req, res) {
       }
 
       if (action === 'reset-signups') {
-        const whitelist = await getOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, []);
-        const rsvpData = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
+        const { whitelist, whitelistedPeople } = await withOrgLock(orgId, async () => {
+          const whitelist = await getOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, []);
+          const rsvpData = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
 
-        const whitelistedPeople = rsvpData.mainList.filter(p => p.isWhitelisted);
+          const settings = await getOrgData(orgId, ORG_KEY_SUFFIXES.SETTINGS, getDefaultSettings(org.timezone));
+          const today = getTodayId(settings.accessPeriod?.timezone || org.timezone || 'Africa/Lagos');
+          const whitelistedPeople = getCarriedOverMembers(rsvpData.mainList, whitelist, today);
 
-        await setOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: whitelistedPeople, waitlist: [] });
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: whitelistedPeople, waitlist: [] });
+          return { whitelist, whitelistedPeople };
+        });
 
         return res.status(200).json({
           success: true,
@@ -457,62 +644,803 @@ export default async function handler(req, res) {
           return res.status(400).json({ error: 'Settings are required' });
         }
 
-        const currentSettings = await getOrgData(orgId, ORG_KEY_SUFFIXES.SETTINGS, getDefaultSettings(org.timezone));
-        const oldLimit = currentSettings.mainListLimit || 30;
-        const newLimit = settings.mainListLimit ?? oldLimit;
-
-        const newSettings = {
-          ...currentSettings,
-          mainListLimit: newLimit,
-          accessPeriod: {
-            ...currentSettings.accessPeriod,
-            ...(settings.accessPeriod || {})
-          },
-          email: {
-            ...(currentSettings.email || getDefaultSettings().email),
-            ...(settings.email || {})
-          },
-          gameInfo: settings.gameInfo ? {
-            ...(currentSettings.gameInfo || getDefaultSettings().gameInfo),
-            ...settings.gameInfo,
-            location: {
-              ...(currentSettings.gameInfo?.location || getDefaultSettings().gameInfo.location),
-              ...(settings.gameInfo?.location || {})
+        const result = await withOrgLock(orgId, async () => {
+          const storedSettings = await getOrgData(orgId, ORG_KEY_SUFFIXES.SETTINGS, getDefaultSettings(org.timezone));
+          const currentSettings = normalizeSettings(storedSettings, org.timezone);
+          const oldLimit = currentSettings.mainListLimit;
+          const newLimit = settings.mainListLimit ?? oldLimit;
+
+          const newSettings = {
+            ...currentSettings,
+            mainListLimit: newLimit,
+            maxGuestsPerSignup: settings.maxGuestsPerSignup ?? currentSettings.maxGuestsPerSignup,
+            allocationMode: settings.allocationMode ?? currentSettings.allocationMode,
+            tiers: settings.tiers ?? currentSettings.tiers,
+            claimWindow: {
+              ...currentSettings.claimWindow,
+              ...(settings.claimWindow || {})
+            },
+            reminders: {
+              ...currentSettings.reminders,
+              ...(settings.reminders || {})
             },
-            rules: {
-              ...(currentSettings.gameInfo?.rules || getDefaultSettings().gameInfo.rules),
-              ...(settings.gameInfo?.rules || {})
+            accessPeriod: {
+              ...currentSettings.accessPeriod,
+              ...(settings.accessPeriod || {})
             },
-            weather: {
-              ...(currentSettings.gameInfo?.weather || getDefaultSettings().gameInfo.weather),
-              ...(settings.gameInfo?.weather || {})
+            email: {
+              ...currentSettings.email,
+              ...(settings.email || {})
+            },
+            templates: settings.templates ? compactTemplates({
+              ...currentSettings.templates,
+              ...settings.templates
+            }) : currentSettings.templates,
+            gameInfo: settings.gameInfo ? {
+              ...currentSettings.gameInfo,
+              ...settings.gameInfo,
+              location: {
+                ...currentSettings.gameInfo.location,
+                ...(settings.gameInfo?.location || {})
+              },
+              rules: {
+                ...currentSettings.gameInfo.rules,
+                ...(settings.gameInfo?.rules || {})
+              },
+              weather: {
+                ...currentSettings.gameInfo.weather,
+                ...(settings.gameInfo?.weather || {})
+              }
+            } : currentSettings.gameInfo,
+            whatsapp: {
+              ...currentSettings.whatsapp,
+              ...(settings.whatsapp || {})
+            },
+            leaderboard: {
+              ...currentSettings.leaderboard,
+              ...(settings.leaderboard || {})
+            },
+            penalties: {
+              ...currentSettings.penalties,
+              ...(settings.penalties || {})
             }
-          } : (currentSettings.gameInfo || getDefaultSettings().gameInfo),
-          whatsapp: {
-            ...(currentSettings.whatsapp || { enabled: false, groupUrl: '' }),
-            ...(settings.whatsapp || {})
-          }
-        };
+          };
+
+          const validation = validateSettings(newSettings);
+          if (!validation.valid) return { errors: validation.errors };
 
-        await setOrgData(orgId, ORG_KEY_SUFFIXES.SETTINGS, newSettings);
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.SETTINGS, newSettings);
+
+          // Members of a tier that was removed move to the lowest member tier
+          const withTier = p => ({ ...p, tier: resolveMemberTierId(p.tier, newSettings.tiers) });
+          const whitelist = await getOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, []);
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, whitelist.map(withTier));
+
+          const rsvpData = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
+          rsvpData.mainList = rsvpData.mainList.map(p => (p.isWhitelisted ? withTier(p) : p));
+          rsvpData.waitlist = rsvpData.waitlist.map(p => (p.isWhitelisted ? withTier(p) : p));
+          const oldMainListIds = new Set(rsvpData.mainList.map(p => p.id));
+
+          const rebalanced = rebalanceLists(
+            rsvpData.mainList,
+            rsvpData.waitlist,
+            newLimit,
+            await getPriorityOptions(orgId, newSettings)
+          );
 
-        const rsvpData = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
-        const oldMainListIds = new Set(rsvpData.mainList.map(p => p.id));
+          // Turning the claim window off lifts every hold on a spot
+          const lists = holdPromotedSpots(rebalanced, rebalanced.mainList.filter(p => !oldMainListIds.has(p.id)), newSettings);
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, lists);
 
-        const rebalanced = rebalanceLists(rsvpData.mainList, rsvpData.waitlist, newLimit);
+          return {
+            newSettings,
+            lists,
+            promoted: lists.mainList.filter(p => !oldMainListIds.has(p.id)),
+            demoted: lists.waitlist.filter(p => oldMainListIds.has(p.id)),
+          };
+        });
 
-        const promoted = rebalanced.mainList.filter(p => !oldMainListIds.has(p.id));
-        const demoted = rebalanced.waitlist.filter(p => oldMainListIds.has(p.id));
+        if (result.errors) {
+          return res.status(400).json({ error: result.errors[0], errors: result.errors });
+        }
 
-        await setOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, rebalanced);
+        const { newSettings, lists, promoted, demoted } = result;
+        await notifyPromotions(org, promoted, { settings: newSettings, timezone: newSettings.accessPeriod.timezone || org.timezone });
 
         return res.status(200).json({
           success: true,
           settings: newSettings,
           promoted,
           demoted,
-          mainList: rebalanced.mainList,
-          waitlist: rebalanced.waitlist
+          mainList: lists.mainList,
+          waitlist: lists.waitlist
+        });
+      }
+
+      if (action === 'check-in') {
+        const { personId, checkedIn = true } = data;
+
+        const entry = await withOrgLock(orgId, async () => {
+          const rsvpData = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
+          const person = rsvpData.mainList.find(p => p.id === personId);
+          if (!person) return null;
+
+          const periodId = await getOrgPeriodId(org);
+          const attendance = setCheckIn(
+            await getOrgData(orgId, ORG_KEY_SUFFIXES.ATTENDANCE, []),
+            periodId,
+            person,
+            !!checkedIn
+          );
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.ATTENDANCE, attendance);
+          return getAttendanceEntry(attendance, periodId);
+        });
+
+        if (!entry) {
+          return res.status(404).json({ error: 'Player is not on the main list' });
+        }
+
+        return res.status(200).json({ success: true, attendance: entry });
+      }
+
+      if (action === 'update-member-attributes') {
+        const { name, skill = null, gender = null } = data;
+
+        if (!name) {
+          return res.status(400).json({ error: 'Name is required' });
+        }
+
+        const attributesError = validateMemberAttributes({ skill, gender });
+        if (attributesError) {
+          return res.status(400).json({ error: attributesError });
+        }
+
+        const whitelist = await withOrgLock(orgId, async () => {
+          const whitelist = await getOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, []);
+          const member = whitelist.find(w => w.name.toLowerCase() === name.toLowerCase());
+          if (!member) return null;
+
+          member.skill = skill;
+          member.gender = gender;
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, whitelist);
+          return whitelist;
+        });
+
+        if (!whitelist) {
+          return res.status(404).json({ error: 'Member not found in whitelist' });
+        }
+
+        return res.status(200).json({ success: true, whitelist });
+      }
+
+      if (action === 'get-member-profile') {
+        const { name } = data;
+
+        if (!name) {
+          return res.status(400).json({ error: 'Name is required' });
+        }
+
+        const whitelist = await getOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, []);
+        const member = whitelist.find(w => w.name.toLowerCase() === name.toLowerCase());
+        if (!member) {
+          return res.status(404).json({ error: 'Member not found in whitelist' });
+        }
+
+        const [history, dropoutLog, strikes] = await Promise.all([
+          getOrgData(orgId, ORG_KEY_SUFFIXES.PLAY_HISTORY, []),
+          getOrgData(orgId, ORG_KEY_SUFFIXES.DROPOUT_LOG, []),
+          getOrgData(orgId, ORG_KEY_SUFFIXES.STRIKES, []),
+        ]);
+
+        // This period's snooze isn't in the play history yet
+        const settings = await getOrgData(orgId, ORG_KEY_SUFFIXES.SETTINGS, getDefaultSettings(org.timezone));
+        const periodId = getCurrentPeriodId(settings, settings.accessPeriod?.timezone || org.timezone || 'Africa/Lagos');
+        const snoozedData = await getOrgData(orgId, ORG_KEY_SUFFIXES.SNOOZED, null);
+        const snoozedNow = snoozedData?.weekId === periodId &&
+          snoozedData.names.some(entry => entry.nameLC === member.name.toLowerCase());
+
+        return res.status(200).json({
+          success: true,
+          member,
+          snoozedNow,
+          history: getMemberHistory(member, { history, dropoutLog, strikes })
+        });
+      }
+
+      if (action === 'rename-member') {
+        const { name } = data;
+        const newName = (data.newName || '').trim();
+
+        if (!name || !newName) {
+          return res.status(400).json({ error: 'Name and new name are required' });
+        }
+
+        const result = await withOrgLock(orgId, async () => {
+          const whitelist = await getOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, []);
+          const member = whitelist.find(w => w.name.toLowerCase() === name.toLowerCase());
+          if (!member) return { status: 404, error: 'Member not found in whitelist' };
+
+          const oldName = member.name;
+          const isSelf = n => n.toLowerCase() === oldName.toLowerCase();
+          const isNewName = n => n.toLowerCase() === newName.toLowerCase();
+          if (whitelist.some(w => w !== member && isNewName(w.name))) {
+            return { status: 400, error: 'Another member already has that name' };
+          }
+
+          const rsvpData = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
+          if ([...rsvpData.mainList, ...rsvpData.waitlist].some(p => isNewName(p.name) && !isSelf(p.name))) {
+            return { status: 400, error: 'Someone on the list already has that name' };
+          }
+
+          // Their old names keep their history, which is stored by name
+          member.previousNames = [...(member.previousNames || []), oldName]
+            .filter((n, i, all) => !isNewName(n) && all.findIndex(m => m.toLowerCase() === n.toLowerCase()) === i);
+          member.name = newName;
+
+          const lists = {
+            mainList: renameInList(rsvpData.mainList, oldName, newName),
+            waitlist: renameInList(rsvpData.waitlist, oldName, newName),
+          };
+
+          // A snooze this period comes back under the new name
+          const snoozedData = await getOrgData(orgId, ORG_KEY_SUFFIXES.SNOOZED, null);
+          const snooze = snoozedData?.names.find(entry => entry.nameLC === oldName.toLowerCase());
+          if (snooze) {
+            snooze.nameLC = newName.toLowerCase();
+            if (snooze.snapshot) snooze.snapshot.name = newName;
+            await setOrgData(orgId, ORG_KEY_SUFFIXES.SNOOZED, snoozedData);
+          }
+
+          // Strikes count toward penalties by name, so they follow the member
+          const strikes = await getOrgData(orgId, ORG_KEY_SUFFIXES.STRIKES, []);
+          if (strikes.some(strike => isSelf(strike.name))) {
+            await setOrgData(orgId, ORG_KEY_SUFFIXES.STRIKES, strikes.map(strike =>
+              isSelf(strike.name) ? { ...strike, name: newName } : strike
+            ));
+          }
+
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, whitelist);
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, lists);
+          return { whitelist, ...lists };
+        });
+
+        if (result.error) {
+          return res.status(result.status).json({ error: result.error });
+        }
+
+        return res.status(200).json({
+          success: true,
+          whitelist: result.whitelist,
+          mainList: result.mainList,
+          waitlist: result.waitlist
+        });
+      }
+
+      if (action === 'update-member-profile') {
+        const { name } = data;
+        const profile = {
+          email: (data.email || '').trim().toLowerCase(),
+          phone: (data.phone || '').trim(),
+          notes: data.notes ?? '',
+          tags: data.tags ?? [],
+          expiresOn: data.expiresOn || '',
+        };
+
+        if (!name) {
+          return res.status(400).json({ error: 'Name is required' });
+        }
+
+        const profileError = validateMemberProfile(profile);
+        if (profileError) {
+          return res.status(400).json({ error: profileError });
+        }
+
+        const whitelist = await withOrgLock(orgId, async () => {
+          const whitelist = await getOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, []);
+          const index = whitelist.findIndex(w => w.name.toLowerCase() === name.toLowerCase());
+          if (index === -1) return null;
+
+          // Empty fields are left off the entry, like email when a member is added
+          const updated = { ...whitelist[index], ...profile, notes: profile.notes.trim(), tags: normalizeTags(profile.tags) };
+          for (const field of Object.keys(profile)) {
+            if (updated[field].length === 0) delete updated[field];
+          }
+          whitelist[index] = updated;
+
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, whitelist);
+          return whitelist;
+        });
+
+        if (!whitelist) {
+          return res.status(404).json({ error: 'Member not found in whitelist' });
+        }
+
+        return res.status(200).json({ success: true, whitelist });
+      }
+
+      if (action === 'update-member-tier') {
+        const { name, tier } = data;
+
+        if (!name) {
+          return res.status(400).json({ error: 'Name is required' });
+        }
+
+        const settings = await getOrgData(orgId, ORG_KEY_SUFFIXES.SETTINGS, getDefaultSettings(org.timezone));
+        if (!getMemberTiers(settings.tiers).some(t => t.id === tier)) {
+          return res.status(400).json({ error: 'Unknown tier' });
+        }
+
+        const result = await withOrgLock(orgId, async () => {
+          const whitelist = await getOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, []);
+          const member = whitelist.find(w => w.name.toLowerCase() === name.toLowerCase());
+          if (!member) return null;
+
+          member.tier = tier;
+
+          // Their current signup moves with them
+          const rsvpData = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
+          const oldMainListIds = new Set(rsvpData.mainList.map(p => p.id));
+          const withTier = p => (p.isWhitelisted && p.name.toLowerCase() === name.toLowerCase() ? { ...p, tier } : p);
+          const rebalanced = rebalanceLists(
+            rsvpData.mainList.map(withTier),
+            rsvpData.waitlist.map(withTier),
+            settings.mainListLimit || 30,
+            await getPriorityOptions(orgId, settings)
+          );
+          const lists = holdPromotedSpots(rebalanced, rebalanced.mainList.filter(p => !oldMainListIds.has(p.id)), settings);
+
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, whitelist);
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, lists);
+          return { whitelist, ...lists, promoted: lists.mainList.filter(p => !oldMainListIds.has(p.id)) };
+        });
+
+        if (!result) {
+          return res.status(404).json({ error: 'Member not found in whitelist' });
+        }
+
+        await notifyPromotions(org, result.promoted, { settings, timezone: settings.accessPeriod?.timezone || org.timezone });
+
+        return res.status(200).json({
+          success: true,
+          promoted: result.promoted,
+          whitelist: result.whitelist,
+          mainList: result.mainList,
+          waitlist: result.waitlist
+        });
+      }
+
+      if (action === 'generate-teams') {
+        const { teamCount } = data;
+
+        if (!Number.isInteger(teamCount) || teamCount < MIN_TEAMS || teamCount > MAX_TEAMS) {
+          return res.status(400).json({ error: `Team count must be between ${MIN_TEAMS} and ${MAX_TEAMS}` });
+        }
+
+        const result = await withOrgLock(orgId, async () => {
+          const periodId = await getOrgPeriodId(org);
+          const rsvpData = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
+          const whitelist = await getOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, []);
+          const previous = await getCurrentTeams(org);
+
+          if (rsvpData.mainList.length < teamCount) {
+            return { error: 'Not enough players on the main list for that many teams' };
+          }
+
+          const mainListIds = new Set(rsvpData.mainList.map(p => p.id));
+          const teamsData = {
+            periodId,
+            teams: generateTeams(rsvpData.mainList, whitelist, { teamCount, previous }),
+            lockedIds: (previous?.lockedIds || []).filter(id => mainListIds.has(id)),
+            published: previous?.published || false,
+            generatedAt: new Date().toISOString(),
+          };
+
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.TEAMS, teamsData);
+          return { teamsData };
+        });
+
+        if (result.error) {
+          return res.status(400).json({ error: result.error });
+        }
+
+        return res.status(200).json({ success: true, teams: result.teamsData });
+      }
+
+      if (action === 'move-team-player') {
+        // Swap with another player, or move onto a team (e.g. a late signup)
+        const { personId, withPersonId, teamIndex } = data;
+
+        const result = await withOrgLock(orgId, async () => {
+          const teamsData = await getCurrentTeams(org);
+          if (!teamsData) return { status: 404, error: 'Generate teams first' };
+
+          const rsvpData = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
+          if (!rsvpData.mainList.some(p => p.id === personId)) {
+            return { status: 404, error: 'Player is not on the main list' };
+          }
+
+          const teams = moveOrSwapPlayer(
+            teamsData.teams,
+            personId,
+            withPersonId !== undefined ? { personId: withPersonId } : { teamIndex }
+          );
+          if (!teams) return { status: 400, error: 'Player or team not found' };
+
+          const updated = { ...teamsData, teams };
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.TEAMS, updated);
+          return { teamsData: updated };
+        });
+
+        if (result.error) {
+          return res.status(result.status).json({ error: result.error });
+        }
+
+        return res.status(200).json({ success: true, teams: result.teamsData });
+      }
+
+      if (action === 'lock-team-player') {
+        const { personId, locked } = data;
+
+        const teamsData = await withOrgLock(orgId, async () => {
+          const teamsData = await getCurrentTeams(org);
+          if (!teamsData) return null;
+
+          const lockedIds = teamsData.lockedIds.filter(id => id !== personId);
+          if (locked) lockedIds.push(personId);
+
+          const updated = { ...teamsData, lockedIds };
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.TEAMS, updated);
+          return updated;
+        });
+
+        if (!teamsData) {
+          return res.status(404).json({ error: 'Generate teams first' });
+        }
+
+        return res.status(200).json({ success: true, teams: teamsData });
+      }
+
+      if (action === 'publish-teams') {
+        const { published } = data;
+
+        const teamsData = await withOrgLock(orgId, async () => {
+          const teamsData = await getCurrentTeams(org);
+          if (!teamsData) return null;
+
+          const updated = { ...teamsData, published: !!published };
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.TEAMS, updated);
+          return updated;
+        });
+
+        if (!teamsData) {
+          return res.status(404).json({ error: 'Generate teams first' });
+        }
+
+        return res.status(200).json({ success: true, teams: teamsData });
+      }
+
+      if (action === 'clear-teams') {
+        await deleteOrgData(orgId, ORG_KEY_SUFFIXES.TEAMS);
+
+        return res.status(200).json({ success: true, teams: null });
+      }
+
+      if (action === 'pardon-strike') {
+        const { strikeId } = data;
+
+        const result = await withOrgLock(orgId, async () => {
+          const strikes = await getOrgData(orgId, ORG_KEY_SUFFIXES.STRIKES, []);
+          const strike = strikes.find(s => s.id === strikeId);
+          if (!strike) return null;
+
+          strike.pardonedAt = new Date().toISOString();
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.STRIKES, strikes);
+
+          // A pardon can lift a penalty, so restore the player's place in line
+          const settings = await getOrgData(orgId, ORG_KEY_SUFFIXES.SETTINGS, getDefaultSettings(org.timezone));
+          const rsvpData = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
+          const oldMainListIds = new Set(rsvpData.mainList.map(p => p.id));
+          const rebalanced = rebalanceLists(
+            rsvpData.mainList,
+            rsvpData.waitlist,
+            settings.mainListLimit || 30,
+            await getPriorityOptions(orgId, settings)
+          );
+          const lists = holdPromotedSpots(rebalanced, rebalanced.mainList.filter(p => !oldMainListIds.has(p.id)), settings);
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, lists);
+
+          return { strikes, settings, lists, promoted: lists.mainList.filter(p => !oldMainListIds.has(p.id)) };
+        });
+
+        if (!result) {
+          return res.status(404).json({ error: 'Strike not found' });
+        }
+
+        const { settings, lists, promoted } = result;
+        await notifyPromotions(org, promoted, { settings, timezone: settings.accessPeriod?.timezone || org.timezone });
+
+        return res.status(200).json({
+          success: true,
+          strikes: result.strikes,
+          promoted,
+          mainList: lists.mainList,
+          waitlist: lists.waitlist
+        });
+      }
+
+      if (action === 'add-skip-date') {
+        const { date, reason = '' } = data;
+        const gameDate = parseDateId(date);
+
+        if (!gameDate) {
+          return res.status(400).json({ error: 'A valid date is required' });
+        }
+        if (typeof reason !== 'string' || reason.trim().length > MAX_SKIP_REASON_LENGTH) {
+          return res.status(400).json({ error: `Reason must be at most ${MAX_SKIP_REASON_LENGTH} characters` });
+        }
+
+        const result = await withOrgLock(orgId, async () => {
+          const settings = normalizeSettings(await getOrgData(orgId, ORG_KEY_SUFFIXES.SETTINGS, getDefaultSettings(org.timezone)), org.timezone);
+          const timezone = settings.accessPeriod.timezone || org.timezone || 'Africa/Lagos';
+
+          if (!settings.accessPeriod.enabled) {
+            return { error: 'Skipping games needs the RSVP window turned on' };
+          }
+          if (!isGameDate(settings.gameInfo, gameDate)) {
+            return { error: `There's no game on ${formatGameDate(gameDate)}` };
+          }
+
+          const periodGameDate = getPeriodGameDate(settings, timezone);
+          if (!periodGameDate || date < formatDateId(periodGameDate)) {
+            return { error: 'That game has already been played' };
+          }
+          const lastReset = await getOrgData(orgId, ORG_KEY_SUFFIXES.LAST_RESET, null);
+          if (date === formatDateId(periodGameDate) && lastReset === getCurrentPeriodId(settings, timezone)) {
+            return { error: 'Signups for this game have already opened. Cancel the game instead.' };
+          }
+
+          const newSettings = {
+            ...settings,
+            skipDates: withSkipDate(settings.skipDates, { date, reason: reason.trim() }, toWallClock(new Date(), timezone)),
+          };
+          const validation = validateSettings(newSettings);
+          if (!validation.valid) {
+            return { error: validation.errors[0] };
+          }
+
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.SETTINGS, newSettings);
+          return { skipDates: newSettings.skipDates };
+        });
+
+        if (result.error) {
+          return res.status(400).json({ error: result.error });
+        }
+
+        return res.status(200).json({
+          success: true,
+          skipDates: result.skipDates
+        });
+      }
+
+      if (action === 'remove-skip-date') {
+        const { date } = data;
+
+        const skipDates = await withOrgLock(orgId, async () => {
+          const settings = normalizeSettings(await getOrgData(orgId, ORG_KEY_SUFFIXES.SETTINGS, getDefaultSettings(org.timezone)), org.timezone);
+          if (!settings.skipDates.some(s => s.date === date)) return null;
+
+          const newSettings = { ...settings, skipDates: settings.skipDates.filter(s => s.date !== date) };
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.SETTINGS, newSettings);
+          return newSettings.skipDates;
+        });
+
+        if (!skipDates) {
+          return res.status(404).json({ error: 'Skip date not found' });
+        }
+
+        return res.status(200).json({
+          success: true,
+          skipDates
+        });
+      }
+
+      if (action === 'cancel-period') {
+        const { reason = '' } = data;
+
+        if (typeof reason !== 'string' || reason.trim().length > MAX_SKIP_REASON_LENGTH) {
+          return res.status(400).json({ error: `Reason must be at most ${MAX_SKIP_REASON_LENGTH} characters` });
+        }
+
+        const result = await withOrgLock(orgId, async () => {
+          const settings = normalizeSettings(await getOrgData(orgId, ORG_KEY_SUFFIXES.SETTINGS, getDefaultSettings(org.timezone)), org.timezone);
+          const timezone = settings.accessPeriod.timezone || org.timezone || 'Africa/Lagos';
+
+          if (!settings.accessPeriod.enabled) {
+            return { error: 'Cancelling games needs the RSVP window turned on' };
+          }
+
+          const periodId = getCurrentPeriodId(settings, timezone);
+          const gameDate = getPeriodGameDate(settings, timezone);
+          const lastReset = await getOrgData(orgId, ORG_KEY_SUFFIXES.LAST_RESET, null);
+          if (!gameDate || lastReset !== periodId) {
+            return { error: "Signups for the next game haven't opened yet. Skip its date instead." };
+          }
+          if (getSkipDate(settings, gameDate)) {
+            return { error: 'This game is already cancelled' };
+          }
+
+          const entry = { date: formatDateId(gameDate), reason: reason.trim(), periodId, cancelledAt: new Date().toISOString() };
+          const newSettings = {
+            ...settings,
+            skipDates: withSkipDate(settings.skipDates, entry, toWallClock(new Date(), timezone)),
+          };
+          const validation = validateSettings(newSettings);
+          if (!validation.valid) {
+            return { error: validation.errors[0] };
+          }
+
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.SETTINGS, newSettings);
+
+          const rsvpData = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
+          return {
+            skipDates: newSettings.skipDates,
+            gameDate,
+            signedUp: [...rsvpData.mainList, ...rsvpData.waitlist].filter(p => !p.isGuest),
+          };
+        });
+
+        if (result.error) {
+          return res.status(400).json({ error: result.error });
+        }
+
+        // Everyone signed up, by the email left from their device or on their membership
+        const recipients = (await getRecipients(orgId, result.signedUp))
+          .filter((recipient, i, all) => all.findIndex(r => r.email === recipient.email) === i);
+        let notified = 0;
+        if (recipients.length > 0) {
+          const settings = await getOrgData(orgId, ORG_KEY_SUFFIXES.SETTINGS, getDefaultSettings(org.timezone));
+          const template = getTemplate(settings, 'cancelled');
+          const vars = await getTemplateVars(org, settings, { templates: [template] });
+          for (const { person, email, token } of recipients) {
+            const { subject, text, html } = renderEmail(template, {
+              ...vars,
+              name: person.name,
+              unsubscribeLink: `${vars.link}?unsubscribe=${token}`,
+              cancelledDate: formatGameDate(result.gameDate),
+              reason: reason.trim(),
+            });
+            if (await sendEmail({ orgId, orgName: org.name, kind: 'cancellation', to: email, subject, text, html })) {
+              notified++;
+            }
+          }
+        }
+
+        return res.status(200).json({
+          success: true,
+          skipDates: result.skipDates,
+          signedUp: result.signedUp.length,
+          notified
+        });
+      }
+
+      if (action === 'create-event') {
+        const event = normalizeEvent(data.event || {});
+        const errors = validateEvent(event);
+        if (errors.length > 0) {
+          return res.status(400).json({ error: errors[0], errors });
+        }
+
+        const events = await withOrgLock(orgId, async () => {
+          const events = await getEvents(orgId);
+          if (events.length >= MAX_EVENTS) return null;
+
+          const updated = [...events, { id: createEventId(event.name, events), ...event, createdAt: new Date().toISOString() }]
+            .sort((a, b) => a.date.localeCompare(b.date));
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.EVENTS, updated);
+          return updated;
+        });
+
+        if (!events) {
+          return res.status(400).json({ error: `An organization can have at most ${MAX_EVENTS} events. Delete some old ones first.` });
+        }
+
+        return res.status(200).json({
+          success: true,
+          events
+        });
+      }
+
+      if (action === 'update-event') {
+        const { eventId } = data;
+        const event = normalizeEvent(data.event || {});
+        const errors = validateEvent(event);
+        if (errors.length > 0) {
+          return res.status(400).json({ error: errors[0], errors });
+        }
+
+        const result = await withOrgLock(orgId, async () => {
+          const events = await getEvents(orgId);
+          const existing = events.find(e => e.id === eventId);
+          if (!existing) return null;
+
+          const updated = events
+            .map(e => (e.id === eventId ? { ...existing, ...event } : e))
+            .sort((a, b) => a.date.localeCompare(b.date));
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.EVENTS, updated);
+
+          // A new capacity moves people between the event's lists
+          const rsvpData = await getEventRsvpData(orgId, eventId);
+          const rebalanced = rebalanceLists(rsvpData.mainList, rsvpData.waitlist, event.mainListLimit);
+          await setEventRsvpData(orgId, eventId, rebalanced);
+
+          return { events: updated, ...rebalanced };
+        });
+
+        if (!result) {
+          return res.status(404).json({ error: 'Event not found' });
+        }
+
+        return res.status(200).json({
+          success: true,
+          events: result.events,
+          mainList: result.mainList,
+          waitlist: result.waitlist
+        });
+      }
+
+      if (action === 'delete-event') {
+        const { eventId } = data;
+
+        const events = await withOrgLock(orgId, async () => {
+          const events = await getEvents(orgId);
+          if (!events.some(e => e.id === eventId)) return null;
+
+          const updated = events.filter(e => e.id !== eventId);
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.EVENTS, updated);
+          await deleteEventData(orgId, eventId);
+          return updated;
+        });
+
+        if (!events) {
+          return res.status(404).json({ error: 'Event not found' });
+        }
+
+        return res.status(200).json({
+          success: true,
+          events
+        });
+      }
+
+      if (action === 'remove-event-person') {
+        const { eventId, personId } = data;
+
+        const result = await withOrgLock(orgId, async () => {
+          const settings = await getOrgData(orgId, ORG_KEY_SUFFIXES.SETTINGS, getDefaultSettings(org.timezone));
+          const timezone = settings.accessPeriod?.timezone || org.timezone || 'Africa/Lagos';
+          const event = (await getEvents(orgId)).find(e => e.id === eventId);
+          if (!event) return { status: 404, error: 'Event not found' };
+          if (new Date() >= getEventTimes(event, timezone).end) {
+            return { status: 400, error: 'This event is over and its list has been archived' };
+          }
+
+          const rsvpData = await getEventRsvpData(orgId, eventId);
+          const rebalanced = rebalanceLists(
+            rsvpData.mainList.filter(p => p.id !== personId),
+            rsvpData.waitlist.filter(p => p.id !== personId),
+            event.mainListLimit
+          );
+          await setEventRsvpData(orgId, eventId, rebalanced);
+          return rebalanced;
+        });
+
+        if (result.error) {
+          return res.status(result.status).json({ error: result.error });
+        }
+
+        return res.status(200).json({
+          success: true,
+          mainList: result.mainList,
+          waitlist: result.waitlist
         });
       }
 
@@ -531,8 +1459,81 @@ export default async function handler(req, res) {
         });
       }
 
+      if (action === 'preview-email') {
+        const { type, template = {} } = data || {};
+
+        if (!TEMPLATE_TYPES.includes(type)) {
+          return res.status(400).json({ error: 'Unknown email template' });
+        }
+
+        const labels = { subject: 'Subject', body: 'Body', html: 'HTML' };
+        for (const [field, label] of Object.entries(labels)) {
+          if (template[field] === undefined) continue;
+          if (typeof template[field] !== 'string') {
+            return res.status(400).json({ error: `${label} must be text` });
+          }
+          const problem = checkTemplate(template[field]);
+          if (problem) {
+            return res.status(400).json({ error: `${label} ${problem}` });
+          }
+        }
+
+        // Preview the organizer's unsaved edits over the saved settings
+        const settings = normalizeSettings(
+          await getOrgData(orgId, ORG_KEY_SUFFIXES.SETTINGS, getDefaultSettings(org.timezone)),
+          org.timezone
+        );
+        const draft = type === 'list'
+          ? { ...settings, email: { ...settings.email, ...template } }
+          : { ...settings, templates: { ...settings.templates, [type]: { ...settings.templates[type], ...template } } };
+        const preview = await previewEmail(org, draft, type, getTemplate(draft, type));
+
+        return res.status(200).json({
+          success: true,
+          ...preview
+        });
+      }
+
+      if (action === 'list-emails') {
+        const offset = Number.isInteger(data?.offset) && data.offset > 0 ? data.offset : 0;
+        const deliveryLog = await getOrgMessages(orgId, { offset });
+
+        return res.status(200).json({
+          success: true,
+          ...deliveryLog
+        });
+      }
+
+      if (action === 'retry-email') {
+        const { id } = data || {};
+
+        if (!id) {
+          return res.status(400).json({ error: 'Email ID is required' });
+        }
+
+        const record = await retryDeadEmail(orgId, id);
+        if (!record) {
+          return res.status(404).json({ error: 'No failed email with that ID' });
+        }
+
+        return res.status(200).json({
+          success: true,
+          status: record.status,
+          email: {
+            status: record.status,
+            attempts: record.attempts,
+            sentAt: record.sentAt,
+            lastError: record.lastError
+          },
+          message: record.status === 'sent' ? 'Email sent' : 'Email queued to retry'
+        });
+      }
+
       return res.status(400).json({ error: 'Invalid action' });
     } catch (error) {
+      if (error instanceof LockContentionError) {
+        return res.status(503).json({ error: 'The list is busy right now. Please try again in a moment.' });
+      }
       console.error('Admin action failed:', error);
       return res.status(500).json({ error: 'Action failed' });
     }
@@ -540,7 +1541,9 @@ export default async function handler(req, res) {
 
   if (req.method === 'DELETE') {
     try {
-      // Delete all organization data from KV
+      // Delete all organization data from KV, events' lists and sent emails first since they're found through lists in the org's data
+      await deleteAllEventData(orgId);
+      await deleteOrgMessages(orgId);
       await deleteAllOrgData(orgId);
 
       // Delete the organization record
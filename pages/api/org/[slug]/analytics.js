@@ -0,0 +1,81 @@
+import { getOrganizationBySlug, getOrganizerById, organizerOwnsOrg } from '../../../../lib/organizations';
+import { getOrgData, ORG_KEY_SUFFIXES, LockContentionError } from '../../../../lib/kv';
+import { verifySession, parseCookies, isSuperAdmin } from '../../../../lib/auth';
+import { getDefaultSettings } from '../../../../lib/settings';
+import { ensureOrgSchema } from '../../../../lib/migrations';
+import { validateDateRange } from '../../../../lib/export';
+import { getNameAliases } from '../../../../lib/player-stats';
+import { buildAnalytics } from '../../../../lib/analytics';
+
+/**
+ * How an org's games have filled (lib/analytics.js), for organizers.
+ *
+ * Query: `from` and `to` (YYYY-MM-DD) to only include periods archived
+ * between them.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { slug, from, to } = req.query;
+
+  const org = await getOrganizationBySlug(slug);
+  if (!org) {
+    return res.status(404).json({ error: 'Organization not found' });
+  }
+
+  const orgId = org.id;
+
+  const sessionToken = parseCookies(req).session;
+  if (!sessionToken) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  const organizerId = await verifySession(sessionToken);
+  if (!organizerId) {
+    return res.status(401).json({ error: 'Invalid or expired session' });
+  }
+
+  const organizer = await getOrganizerById(organizerId);
+  if (!organizer) {
+    return res.status(403).json({ error: 'Organizer not found' });
+  }
+
+  const isAdmin = isSuperAdmin(organizer.email);
+  if (organizer.status !== 'approved' && !isAdmin) {
+    return res.status(403).json({ error: 'Account not approved' });
+  }
+
+  const hasPermission = isAdmin || await organizerOwnsOrg(organizerId, orgId);
+  if (!hasPermission) {
+    return res.status(403).json({ error: 'You do not have permission to manage this organization' });
+  }
+
+  const rangeError = validateDateRange(from, to);
+  if (rangeError) {
+    return res.status(400).json({ error: rangeError });
+  }
+
+  try {
+    await ensureOrgSchema(org);
+
+    const settings = await getOrgData(orgId, ORG_KEY_SUFFIXES.SETTINGS, getDefaultSettings(org.timezone));
+    const timezone = settings.accessPeriod?.timezone || org.timezone || 'Africa/Lagos';
+    const [history, whitelist] = await Promise.all([
+      getOrgData(orgId, ORG_KEY_SUFFIXES.PLAY_HISTORY, []),
+      getOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, []),
+    ]);
+
+    return res.status(200).json({
+      ...buildAnalytics(history, { from, to, timezone, aliases: getNameAliases(whitelist) }),
+      timezone,
+    });
+  } catch (error) {
+    if (error instanceof LockContentionError) {
+      return res.status(503).json({ error: 'The list is busy right now. Please try again in a moment.' });
+    }
+    console.error('Failed to load analytics:', error);
+    return res.status(500).json({ error: 'Failed to load analytics' });
+  }
+}
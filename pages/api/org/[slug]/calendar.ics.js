@@ -0,0 +1,98 @@
+import { getOrganizationBySlug } from '../../../../lib/organizations';
+import { getOrgData, ORG_KEY_SUFFIXES } from '../../../../lib/kv';
+import { getDefaultSettings } from '../../../../lib/settings';
+import { ensureOrgSchema } from '../../../../lib/migrations';
+import { getLinkSecret } from '../../../../lib/auth';
+import { getCurrentPeriodId, getPeriodGameDate, getSkipDate } from '../../../../lib/recurrence';
+import { getEvents, loadEventLists } from '../../../../lib/event-store';
+import {
+  getCalendarToken,
+  buildCalendar,
+  buildGameSeries,
+  buildGame,
+  buildOneOffEvent,
+} from '../../../../lib/calendar';
+
+/**
+ * The game this player is confirmed for, if any: the current period's game
+ * when they're on its main list
+ */
+async function getConfirmedGameDate(orgId, settings, timezone, isMine) {
+  if (!settings.gameInfo?.enabled) return null;
+
+  // With an RSVP window the list only belongs to the current game once it's been reset for it
+  if (settings.accessPeriod?.enabled) {
+    const lastReset = await getOrgData(orgId, ORG_KEY_SUFFIXES.LAST_RESET, null);
+    if (lastReset !== getCurrentPeriodId(settings, timezone)) return null;
+  }
+
+  const gameDate = getPeriodGameDate(settings, timezone);
+  if (!gameDate || getSkipDate(settings, gameDate)) return null;
+
+  const { mainList } = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
+  return mainList.some(isMine) ? gameDate : null;
+}
+
+/**
+ * iCalendar feed of an org's games and events (lib/calendar.js). With
+ * `?player=<calendar token>` it only has the ones that player is confirmed for.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { slug, player } = req.query;
+
+  const org = await getOrganizationBySlug(slug);
+  if (!org) {
+    return res.status(404).json({ error: 'Organization not found' });
+  }
+
+  if (org.status !== 'active') {
+    return res.status(403).json({ error: 'This organization is not active' });
+  }
+
+  const orgId = org.id;
+
+  try {
+    await ensureOrgSchema(org);
+
+    const settings = await getOrgData(orgId, ORG_KEY_SUFFIXES.SETTINGS, getDefaultSettings(org.timezone));
+    const timezone = settings.accessPeriod?.timezone || org.timezone || 'Africa/Lagos';
+    const events = await getEvents(orgId);
+    const now = new Date();
+
+    let vevents;
+    let name = org.name;
+    if (player) {
+      const secret = await getLinkSecret();
+      const isMine = person => !person.isGuest && !!person.deviceId && getCalendarToken(person.deviceId, secret) === player;
+      const gameDate = await getConfirmedGameDate(orgId, settings, timezone, isMine);
+      const myEvents = [];
+      for (const event of events) {
+        const { mainList } = await loadEventLists(orgId, event, timezone);
+        if (mainList.some(isMine)) myEvents.push(event);
+      }
+
+      name = `${org.name} (my games)`;
+      vevents = [
+        ...(gameDate ? buildGame(org, settings, timezone, gameDate, now) : []),
+        ...myEvents.flatMap(event => buildOneOffEvent(org, event, timezone, now)),
+      ];
+    } else {
+      vevents = [
+        ...buildGameSeries(org, settings, timezone, now),
+        ...events.flatMap(event => buildOneOffEvent(org, event, timezone, now)),
+      ];
+    }
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `inline; filename="${org.slug}.ics"`);
+    res.setHeader('Cache-Control', `${player ? 'private' : 'public'}, max-age=900`);
+    return res.status(200).send(buildCalendar({ name, timezone, events: vevents, now }));
+  } catch (error) {
+    console.error('Failed to build calendar:', error);
+    return res.status(500).json({ error: 'Failed to build calendar' });
+  }
+}
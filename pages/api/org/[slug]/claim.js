@@ -0,0 +1,84 @@
+import { getOrganizationBySlug } from '../../../../lib/organizations';
+import { getOrgData, setOrgData, withOrgLock, LockContentionError, ORG_KEY_SUFFIXES } from '../../../../lib/kv';
+import { ensureOrgSchema } from '../../../../lib/migrations';
+import { getLinkSecret } from '../../../../lib/auth';
+import { getClaimToken, claimSpots } from '../../../../lib/claims';
+import { toPublicEntry, toPublicLists } from '../../../../lib/lists';
+
+const CONTENTION_MESSAGE = 'Lots of people are updating the list right now. Please try again in a moment.';
+
+/**
+ * Claim a spot held under the waitlist claim window (lib/claims.js), from
+ * the device that signed up or with the token from the promotion email.
+ * With a token, deviceId only marks which signups in the response are the
+ * caller's.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { slug } = req.query;
+  const { deviceId, token } = req.body || {};
+
+  if (!deviceId && !token) {
+    return res.status(400).json({ error: 'deviceId or token is required' });
+  }
+
+  const org = await getOrganizationBySlug(slug);
+  if (!org) {
+    return res.status(404).json({ error: 'Organization not found' });
+  }
+
+  if (org.status !== 'active') {
+    return res.status(403).json({ error: 'This organization is not active' });
+  }
+
+  const orgId = org.id;
+
+  try {
+    await ensureOrgSchema(org);
+
+    const secret = token ? await getLinkSecret() : null;
+
+    const result = await withOrgLock(orgId, async () => {
+      const data = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
+
+      // The device the emailed token was made for, or else the caller's own
+      const claimantDeviceId = token
+        ? data.mainList.find(p => p.deviceId && getClaimToken(p.deviceId, secret) === token)?.deviceId
+        : deviceId;
+      const isMine = person => !!claimantDeviceId && person.deviceId === claimantDeviceId;
+
+      const { claimed, ...lists } = claimSpots(data, isMine);
+      if (claimed.length > 0) {
+        await setOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, lists);
+      }
+      return {
+        claimed: claimed.map(p => toPublicEntry(p, deviceId)),
+        confirmed: lists.mainList.some(p => isMine(p) && !p.pendingClaim),
+        lists: toPublicLists(lists, deviceId),
+      };
+    });
+
+    if (result.claimed.length === 0) {
+      if (result.confirmed) {
+        return res.status(200).json({ success: true, message: 'Your spot is already confirmed', ...result.lists });
+      }
+      return res.status(410).json({ error: 'There is no spot waiting for you. It may have passed to the next person on the waitlist.' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Spot claimed! You're on the main list",
+      claimed: result.claimed,
+      ...result.lists
+    });
+  } catch (error) {
+    if (error instanceof LockContentionError) {
+      return res.status(503).json({ error: CONTENTION_MESSAGE });
+    }
+    console.error('Failed to claim spot:', error);
+    return res.status(500).json({ error: 'Failed to claim spot' });
+  }
+}
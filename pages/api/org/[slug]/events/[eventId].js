@@ -0,0 +1,218 @@
+import { getOrganizationBySlug } from '../../../../../lib/organizations';
+import { getOrgData, withOrgLock, LockContentionError, ORG_KEY_SUFFIXES } from '../../../../../lib/kv';
+import { getDefaultSettings } from '../../../../../lib/settings';
+import { ensureOrgSchema } from '../../../../../lib/migrations';
+import { rebalanceLists, toPublicEntry, toPublicLists } from '../../../../../lib/lists';
+import { getEventStatus, getEventTimes, describeEventTime } from '../../../../../lib/events';
+import { getEvents, loadEventLists, getEventRsvpData, setEventRsvpData } from '../../../../../lib/event-store';
+
+const CONTENTION_MESSAGE = 'Lots of people are updating the list right now. Please try again in a moment.';
+
+/**
+ * Public RSVP API for a one-off event (lib/events.js). Works like the
+ * recurring game's rsvp API, on the event's own lists.
+ */
+export default async function handler(req, res) {
+  const { slug, eventId } = req.query;
+
+  const org = await getOrganizationBySlug(slug);
+  if (!org) {
+    return res.status(404).json({ error: 'Organization not found' });
+  }
+
+  if (org.status !== 'active') {
+    return res.status(403).json({ error: 'This organization is not active' });
+  }
+
+  const orgId = org.id;
+
+  try {
+    await ensureOrgSchema(org);
+  } catch (error) {
+    if (error instanceof LockContentionError) {
+      return res.status(503).json({ error: CONTENTION_MESSAGE });
+    }
+    console.error('Schema migration error:', error);
+    return res.status(500).json({ error: 'Failed to load organization data' });
+  }
+
+  let event;
+  let timezone;
+  try {
+    event = (await getEvents(orgId)).find(e => e.id === eventId);
+    const settings = await getOrgData(orgId, ORG_KEY_SUFFIXES.SETTINGS, getDefaultSettings(org.timezone));
+    timezone = settings.accessPeriod?.timezone || org.timezone || 'Africa/Lagos';
+  } catch (error) {
+    console.error('Failed to load event:', error);
+    return res.status(500).json({ error: 'Failed to load event' });
+  }
+
+  if (!event) {
+    return res.status(404).json({ error: 'Event not found' });
+  }
+
+  if (req.method === 'GET') {
+    try {
+      const lists = await loadEventLists(orgId, event, timezone);
+      const accessStatus = getEventStatus(event, timezone);
+
+      return res.status(200).json({
+        organization: {
+          slug: org.slug,
+          name: org.name,
+          sport: org.sport,
+        },
+        event: {
+          id: event.id,
+          name: event.name,
+          description: event.description,
+          date: event.date,
+          when: describeEventTime(event),
+          startHour: event.startHour,
+          startMinute: event.startMinute,
+          endHour: event.endHour,
+          endMinute: event.endMinute,
+          mainListLimit: event.mainListLimit,
+          location: Object.values(event.location).some(Boolean) ? event.location : null,
+          rules: event.rules,
+        },
+        accessStatus,
+        ...toPublicLists(lists, req.query.deviceId),
+        archivedAt: lists.archivedAt,
+      });
+    } catch (error) {
+      if (error instanceof LockContentionError) {
+        return res.status(503).json({ error: CONTENTION_MESSAGE });
+      }
+      console.error('Failed to get event RSVP data:', error);
+      return res.status(500).json({ error: 'Failed to load data' });
+    }
+  }
+
+  if (req.method === 'POST') {
+    const { name, deviceId } = req.body;
+
+    if (!name || !deviceId) {
+      return res.status(400).json({ error: 'Name and deviceId are required' });
+    }
+
+    const trimmedName = name.trim();
+    if (!trimmedName) {
+      return res.status(400).json({ error: 'Name cannot be empty' });
+    }
+
+    const accessStatus = getEventStatus(event, timezone);
+    if (!accessStatus.isOpen) {
+      return res.status(403).json({ error: accessStatus.message });
+    }
+
+    try {
+      return await withOrgLock(orgId, async () => {
+        const { mainList, waitlist } = await getEventRsvpData(orgId, event.id);
+
+        const allSignups = [...mainList, ...waitlist];
+        if (allSignups.some(p => p.deviceId === deviceId)) {
+          return res.status(400).json({ error: "You've already signed up from this device!" });
+        }
+
+        if (allSignups.some(p => p.name.toLowerCase() === trimmedName.toLowerCase())) {
+          return res.status(400).json({ error: 'This name is already on the list!' });
+        }
+
+        // Signups can land in the same millisecond; keep ids unique within the list
+        const usedIds = new Set(allSignups.map(p => p.id));
+        let id = Date.now();
+        while (usedIds.has(id)) id++;
+
+        const newPerson = {
+          id,
+          name: trimmedName,
+          timestamp: new Date().toISOString(),
+          deviceId,
+        };
+
+        const rebalanced = rebalanceLists([...mainList, newPerson], waitlist, event.mainListLimit);
+        const isOnMainList = rebalanced.mainList.some(p => p.id === newPerson.id);
+        const position = isOnMainList
+          ? rebalanced.mainList.findIndex(p => p.id === newPerson.id) + 1
+          : rebalanced.waitlist.findIndex(p => p.id === newPerson.id) + 1;
+
+        await setEventRsvpData(orgId, event.id, rebalanced);
+
+        return res.status(200).json({
+          success: true,
+          message: isOnMainList ? `You're in! Spot #${position}` : `Event full. You're #${position} on the waitlist`,
+          listType: isOnMainList ? 'main' : 'waitlist',
+          person: toPublicEntry(newPerson, deviceId),
+          ...toPublicLists(rebalanced, deviceId)
+        });
+      });
+    } catch (error) {
+      if (error instanceof LockContentionError) {
+        return res.status(503).json({ error: CONTENTION_MESSAGE });
+      }
+      console.error('Failed to add event RSVP:', error);
+      return res.status(500).json({ error: 'Failed to save RSVP' });
+    }
+  }
+
+  if (req.method === 'DELETE') {
+    const { personId, deviceId } = req.body;
+
+    if (!personId || !deviceId) {
+      return res.status(400).json({ error: 'personId and deviceId are required' });
+    }
+
+    // Dropping out is allowed until the event starts, so a waitlisted player can take the spot
+    if (new Date() >= getEventTimes(event, timezone).start) {
+      return res.status(403).json({ error: 'This event has already started' });
+    }
+
+    try {
+      return await withOrgLock(orgId, async () => {
+        const { mainList, waitlist } = await getEventRsvpData(orgId, event.id);
+        const person = [...mainList, ...waitlist].find(p => p.id === personId);
+
+        if (!person) {
+          return res.status(404).json({ error: 'Person not found' });
+        }
+
+        if (person.deviceId !== deviceId) {
+          return res.status(403).json({ error: 'You can only remove your own signup' });
+        }
+
+        const oldMainListIds = new Set(mainList.map(p => p.id));
+        const rebalanced = rebalanceLists(
+          mainList.filter(p => p.id !== personId),
+          waitlist.filter(p => p.id !== personId),
+          event.mainListLimit
+        );
+        const promoted = rebalanced.mainList.filter(p => !oldMainListIds.has(p.id));
+
+        await setEventRsvpData(orgId, event.id, rebalanced);
+
+        let message;
+        if (promoted.length > 0) {
+          message = `Spot opened! ${promoted.map(p => p.name).join(', ')} promoted from waitlist`;
+        } else {
+          message = oldMainListIds.has(personId) ? 'Removed from main list' : 'Removed from waitlist';
+        }
+
+        return res.status(200).json({
+          success: true,
+          message,
+          promoted: promoted.map(p => toPublicEntry(p, deviceId)),
+          ...toPublicLists(rebalanced, deviceId)
+        });
+      });
+    } catch (error) {
+      if (error instanceof LockContentionError) {
+        return res.status(503).json({ error: CONTENTION_MESSAGE });
+      }
+      console.error('Failed to remove event RSVP:', error);
+      return res.status(500).json({ error: 'Failed to remove RSVP' });
+    }
+  }
+
+  return res.status(405).json({ error: 'Method not allowed' });
+}
@@ -0,0 +1,128 @@
+import { getOrganizationBySlug, getOrganizerById, organizerOwnsOrg } from '../../../../lib/organizations';
+import { getOrgData, ORG_KEY_SUFFIXES, LockContentionError } from '../../../../lib/kv';
+import { verifySession, parseCookies, isSuperAdmin } from '../../../../lib/auth';
+import { getDefaultSettings } from '../../../../lib/settings';
+import { ensureOrgSchema } from '../../../../lib/migrations';
+import { getOrgMessages, MAX_ORG_MESSAGES } from '../../../../lib/outbox';
+import {
+  EXPORT_FORMATS,
+  EXPORT_DATASETS,
+  validateDateRange,
+  buildExport,
+  toCsv,
+  toJson,
+} from '../../../../lib/export';
+import { buildXlsx } from '../../../../lib/xlsx';
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+/**
+ * Download an org's data (lib/export.js), for organizers.
+ *
+ * Query: `format` (csv, json or xlsx), `dataset` (one of EXPORT_DATASETS,
+ * comma-separated, or all of them when left out; CSV takes just one), `from`
+ * and `to` (YYYY-MM-DD), and `snoozeCodes=1` to include the whitelist's
+ * snooze codes.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { slug, format = 'csv', dataset, from, to, snoozeCodes } = req.query;
+
+  const org = await getOrganizationBySlug(slug);
+  if (!org) {
+    return res.status(404).json({ error: 'Organization not found' });
+  }
+
+  const orgId = org.id;
+
+  const sessionToken = parseCookies(req).session;
+  if (!sessionToken) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  const organizerId = await verifySession(sessionToken);
+  if (!organizerId) {
+    return res.status(401).json({ error: 'Invalid or expired session' });
+  }
+
+  const organizer = await getOrganizerById(organizerId);
+  if (!organizer) {
+    return res.status(403).json({ error: 'Organizer not found' });
+  }
+
+  const isAdmin = isSuperAdmin(organizer.email);
+  if (organizer.status !== 'approved' && !isAdmin) {
+    return res.status(403).json({ error: 'Account not approved' });
+  }
+
+  const hasPermission = isAdmin || await organizerOwnsOrg(organizerId, orgId);
+  if (!hasPermission) {
+    return res.status(403).json({ error: 'You do not have permission to manage this organization' });
+  }
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+
+  const datasets = dataset ? [...new Set(dataset.split(','))] : Object.keys(EXPORT_DATASETS);
+  const unknown = datasets.find(d => !EXPORT_DATASETS[d]);
+  if (unknown) {
+    return res.status(400).json({ error: `Unknown dataset: ${unknown}` });
+  }
+  if (format === 'csv' && datasets.length !== 1) {
+    return res.status(400).json({ error: 'A CSV export has one dataset' });
+  }
+
+  const rangeError = validateDateRange(from, to);
+  if (rangeError) {
+    return res.status(400).json({ error: rangeError });
+  }
+
+  try {
+    await ensureOrgSchema(org);
+
+    const settings = await getOrgData(orgId, ORG_KEY_SUFFIXES.SETTINGS, getDefaultSettings(org.timezone));
+    const timezone = settings.accessPeriod?.timezone || org.timezone || 'Africa/Lagos';
+    const [rsvpData, whitelist, playHistory, dropoutLog, { messages: emails }] = await Promise.all([
+      getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] }),
+      getOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, []),
+      getOrgData(orgId, ORG_KEY_SUFFIXES.PLAY_HISTORY, []),
+      getOrgData(orgId, ORG_KEY_SUFFIXES.DROPOUT_LOG, []),
+      getOrgMessages(orgId, { limit: MAX_ORG_MESSAGES }),
+    ]);
+
+    const tables = buildExport(
+      { rsvpData, whitelist, playHistory, dropoutLog, emails },
+      { datasets, tiers: settings.tiers, timezone, from, to, includeSnoozeCodes: snoozeCodes === '1' }
+    );
+
+    let body;
+    if (format === 'csv') {
+      body = toCsv(tables[datasets[0]]);
+    } else if (format === 'json') {
+      body = toJson(tables, { org: org.name, exportedAt: new Date().toISOString(), timezone, from: from || null, to: to || null });
+    } else {
+      body = buildXlsx(datasets.map(d => ({ name: EXPORT_DATASETS[d], table: tables[d] })));
+    }
+
+    const range = from || to ? `-${from || 'start'}-to-${to || 'now'}` : '';
+    const name = datasets.length === 1 ? datasets[0] : 'export';
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${org.slug}-${name}${range}.${format}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).send(body);
+  } catch (error) {
+    if (error instanceof LockContentionError) {
+      return res.status(503).json({ error: 'The list is busy right now. Please try again in a moment.' });
+    }
+    console.error('Export failed:', error);
+    return res.status(500).json({ error: 'Failed to export data' });
+  }
+}
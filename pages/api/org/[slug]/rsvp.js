@@ -1,10 +1,31 @@
 import { getOrganizationBySlug, organizerOwnsOrg } from '../../../../lib/organizations';
-import { getOrgData, setOrgData, ORG_KEY_SUFFIXES } from '../../../../lib/kv';
-import { verifySession, parseCookies, isSuperAdmin } from '../../../../lib/auth';
+import { getOrgData, setOrgData, withOrgLock, LockContentionError, ORG_KEY_SUFFIXES } from '../../../../lib/kv';
+import { getDefaultSettings } from '../../../../lib/settings';
+import { ensureOrgSchema } from '../../../../lib/migrations';
+import { rebalanceLists, getGuestsOf, createGuestEntries, toPublicEntry, toPublicLists } from '../../../../lib/lists';
+import { currentTeamsData, resolveTeams } from '../../../../lib/teams';
+import { getAttendanceEntry, getNoShows } from '../../../../lib/attendance';
+import { getPenalty, isLateDropout, addStrikes, getDelayedSignupTime } from '../../../../lib/penalties';
+import { getPriorityOptions } from '../../../../lib/priority';
+import { isLotteryMode, runLotteryDrawIfDue } from '../../../../lib/lottery';
+import { verifySession, parseCookies, isSuperAdmin, getLinkSecret } from '../../../../lib/auth';
 import { getOrganizerById } from '../../../../lib/organizations';
-import { isFormOpen, getCurrentPeriodId } from '../../../../lib/recurrence';
+import { isFormOpen, isFormOpenForAnyone, getCurrentPeriodId, getGameDays, getNextGameDate, describeRecurrence } from '../../../../lib/recurrence';
+import { resolveMemberTierId } from '../../../../lib/tiers';
+import { getUpcomingEventSummaries } from '../../../../lib/event-store';
+import { getCalendarToken } from '../../../../lib/calendar';
+import { isValidEmail, setPlayerEmail, notifyPromotions } from '../../../../lib/notifications';
+import { holdPromotedSpots, sweepExpiredClaims, withoutPendingClaim } from '../../../../lib/claims';
+import { getTodayId, isMembershipActive, findActiveMember, getCarriedOverMembers } from '../../../../lib/members';
+import { buildHistoryEntry, addHistoryEntry, computePlayerStats, getLeaderboard, getNameAliases, getSeasonStart } from '../../../../lib/player-stats';
+import { recordSignup, summarizeSignups } from '../../../../lib/analytics';
 
 const DEFAULT_MAIN_LIST_LIMIT = 30;
+// The archive is the recent, full-detail view of past periods (the admin page,
+// no-show report and reminders). Anything long-range, like exports and member
+// histories, reads the play history, which keeps every period.
+const ARCHIVE_PERIODS = 12;
+const CONTENTION_MESSAGE = 'Lots of people are updating the list right now. Please try again in a moment.';
 
 /**
  * Compute the predicted email send time for a given window close.
@@ -23,69 +44,6 @@ function getEmailSendTime(closeTimeISO, settings) {
   return close.toISOString();
 }
 
-/**
- * Sort people by priority:
- * 1. Whitelisted members first (by earliest timestamp)
- * 2. Non-whitelisted members second (by earliest timestamp)
- */
-function sortByPriority(people) {
-  return [...people].sort((a, b) => {
-    if (a.isWhitelisted && !b.isWhitelisted) return -1;
-    if (!a.isWhitelisted && b.isWhitelisted) return 1;
-    return new Date(a.timestamp) - new Date(b.timestamp);
-  });
-}
-
-/**
- * Rebalance mainList and waitlist based on the limit.
- */
-function rebalanceLists(mainList, waitlist, limit) {
-  const allPeople = [...mainList, ...waitlist];
-  const sorted = sortByPriority(allPeople);
-  return {
-    mainList: sorted.slice(0, limit),
-    waitlist: sorted.slice(limit)
-  };
-}
-
-// Default settings
-function getDefaultSettings(timezone = 'Africa/Lagos') {
-  return {
-    mainListLimit: 30,
-    accessPeriod: {
-      enabled: true,
-      startDay: 4,
-      startHour: 12,
-      startMinute: 0,
-      endDay: 5,
-      endHour: 10,
-      endMinute: 0,
-      timezone
-    },
-    gameInfo: {
-      enabled: false,
-      gameDay: 0,
-      startHour: 17,
-      startMinute: 0,
-      endHour: 19,
-      endMinute: 0,
-      location: {
-        enabled: false,
-        name: '',
-        address: '',
-        googleMapsUrl: '',
-      },
-      rules: {
-        enabled: false,
-        items: [],
-      },
-      weather: {
-        enabled: false,
-      },
-    }
-  };
-}
-
 // ─────────────────────────────────────────────────────────────
 // Reset / archive
 // ─────────────────────────────────────────────────────────────
@@ -100,38 +58,89 @@ async function checkAndResetIfNeeded(orgId, settings) {
   const currentPeriodId = getCurrentPeriodId(settings, timezone);
   const lastReset = await getOrgData(orgId, ORG_KEY_SUFFIXES.LAST_RESET);
 
-  const accessStatus = isFormOpen(settings);
+  // The period starts when the earliest tier's window opens
+  const accessStatus = isFormOpenForAnyone(settings);
+
+  if (!accessStatus.isOpen) {
+    // In lottery mode the first request after the window closes runs the draw
+    await runLotteryDrawIfDue(orgId, settings);
+    return false;
+  }
+
+  if (lastReset === currentPeriodId) {
+    return false;
+  }
+
+  return withOrgLock(orgId, async () => {
+    // Another request may have reset while we were waiting for the lock
+    const lockedLastReset = await getOrgData(orgId, ORG_KEY_SUFFIXES.LAST_RESET);
+    if (lockedLastReset === currentPeriodId) {
+      return false;
+    }
 
-  if (accessStatus.isOpen && lastReset !== currentPeriodId) {
     const rsvpData = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
 
-    if (rsvpData.mainList.length > 0 || rsvpData.waitlist.length > 0) {
+    // A cancelled game wasn't played, so there's nothing to archive or strike
+    const wasCancelled = !!lockedLastReset && (settings.skipDates || []).some(s => s.periodId === lockedLastReset);
+
+    if (!wasCancelled && (rsvpData.mainList.length > 0 || rsvpData.waitlist.length > 0)) {
       const archive = await getOrgData(orgId, ORG_KEY_SUFFIXES.ARCHIVE, []);
 
+      // Members who snoozed the period, for their history
+      const snoozedData = await getOrgData(orgId, ORG_KEY_SUFFIXES.SNOOZED, null);
+      const snoozed = snoozedData?.weekId === lockedLastReset
+        ? snoozedData.names.map(entry => entry.snapshot?.name || entry.nameLC)
+        : [];
+
       const archiveEntry = {
-        weekId: lastReset || 'unknown',
+        weekId: lockedLastReset || 'unknown',
         archivedAt: new Date().toISOString(),
         mainList: rsvpData.mainList,
-        waitlist: rsvpData.waitlist
+        waitlist: rsvpData.waitlist,
+        snoozed
       };
 
       archive.unshift(archiveEntry);
-      if (archive.length > 12) {
+      if (archive.length > ARCHIVE_PERIODS) {
         archive.pop();
       }
 
       await setOrgData(orgId, ORG_KEY_SUFFIXES.ARCHIVE, archive);
+
+      // The play history keeps every period, for player stats
+      const attendance = await getOrgData(orgId, ORG_KEY_SUFFIXES.ATTENDANCE, []);
+      const dropoutLog = await getOrgData(orgId, ORG_KEY_SUFFIXES.DROPOUT_LOG, []);
+      const signupLog = await getOrgData(orgId, ORG_KEY_SUFFIXES.SIGNUP_LOG, null);
+      const history = await getOrgData(orgId, ORG_KEY_SUFFIXES.PLAY_HISTORY, []);
+      await setOrgData(orgId, ORG_KEY_SUFFIXES.PLAY_HISTORY, addHistoryEntry(history, {
+        ...buildHistoryEntry(archiveEntry, { attendance, dropoutLog }),
+        ...summarizeSignups(signupLog, archiveEntry.weekId, settings),
+      }));
+
+      // Everyone on the main list who didn't check in gets a no-show strike
+      if (settings.penalties?.enabled && settings.penalties.noShowStrikes) {
+        const noShows = getNoShows(rsvpData.mainList, getAttendanceEntry(attendance, archiveEntry.weekId))
+          .filter(p => !p.isGuest);
+        if (noShows.length > 0) {
+          const strikes = await getOrgData(orgId, ORG_KEY_SUFFIXES.STRIKES, []);
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.STRIKES, addStrikes(
+            strikes,
+            noShows.map(p => ({ name: p.name, reason: 'no-show', periodId: archiveEntry.weekId }))
+          ));
+        }
+      }
     }
 
-    const whitelistedPeople = rsvpData.mainList.filter(p => p.isWhitelisted);
+    // Members carry over to the new period, unless their membership has expired
+    const whitelist = await getOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, []);
+    const whitelistedPeople = getCarriedOverMembers(rsvpData.mainList, whitelist, getTodayId(timezone))
+      .map(withoutPendingClaim);
     await setOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: whitelistedPeople, waitlist: [] });
     await setOrgData(orgId, ORG_KEY_SUFFIXES.SNOOZED, { weekId: currentPeriodId, names: [] });
     await setOrgData(orgId, ORG_KEY_SUFFIXES.LAST_RESET, currentPeriodId);
 
     return true;
-  }
-
-  return false;
+  });
 }
 
 export default async function handler(req, res) {
@@ -149,20 +158,59 @@ export default async function handler(req, res) {
 
   const orgId = org.id;
 
+  try {
+    await ensureOrgSchema(org);
+  } catch (error) {
+    if (error instanceof LockContentionError) {
+      return res.status(503).json({ error: CONTENTION_MESSAGE });
+    }
+    console.error('Schema migration error:', error);
+    return res.status(500).json({ error: 'Failed to load organization data' });
+  }
+
   if (req.method === 'GET') {
     try {
       const settings = await getOrgData(orgId, ORG_KEY_SUFFIXES.SETTINGS, getDefaultSettings(org.timezone));
 
       await checkAndResetIfNeeded(orgId, settings);
 
+      // Unclaimed spots pass on as soon as anyone looks, rather than waiting for the cron
+      const { promoted } = await sweepExpiredClaims(org, settings);
+      if (promoted.length > 0) {
+        await notifyPromotions(org, promoted, { settings, timezone: settings.accessPeriod?.timezone || org.timezone });
+      }
+
       const data = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
-      const accessStatus = isFormOpen(settings);
+      const whitelist = await getOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, []);
+
+      // Recognize the player on this device by their signup, else the name they last used,
+      // so members see their tier's window
+      const { deviceId, name: savedName } = req.query;
+      const mySignup = deviceId
+        ? [...data.mainList, ...data.waitlist].find(p => p.deviceId === deviceId && !p.isGuest)
+        : null;
+      const myName = (mySignup?.name || savedName || '').toLowerCase();
+      const today = getTodayId(settings.accessPeriod?.timezone || org.timezone || 'Africa/Lagos');
+      const myMembership = myName ? findActiveMember(whitelist, myName, today) : null;
+      const myTierId = myMembership ? resolveMemberTierId(myMembership.tier, settings.tiers) : null;
+
+      const accessStatus = isFormOpen(settings, myTierId);
+      const earlyAccessTier = accessStatus.isOpen && myTierId && !isFormOpen(settings).isOpen
+        ? settings.tiers.find(t => t.id === myTierId)?.name || null
+        : null;
       const mainListLimit = settings.mainListLimit || DEFAULT_MAIN_LIST_LIMIT;
+      const priorityOptions = await getPriorityOptions(orgId, settings);
 
-      const rebalanced = rebalanceLists(data.mainList, data.waitlist, mainListLimit);
+      let rebalanced = rebalanceLists(data.mainList, data.waitlist, mainListLimit, priorityOptions);
       const orderChanged = JSON.stringify(rebalanced) !== JSON.stringify(data);
       if (orderChanged) {
-        await setOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, rebalanced);
+        // Re-read under the lock so a concurrent signup isn't overwritten
+        rebalanced = await withOrgLock(orgId, async () => {
+          const fresh = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
+          const freshRebalanced = rebalanceLists(fresh.mainList, fresh.waitlist, mainListLimit, priorityOptions);
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, freshRebalanced);
+          return freshRebalanced;
+        });
       }
 
       const timezone = settings.accessPeriod?.timezone || org.timezone || 'Africa/Lagos';
@@ -170,10 +218,39 @@ export default async function handler(req, res) {
       const snoozedData = await getOrgData(orgId, ORG_KEY_SUFFIXES.SNOOZED, { weekId: currentPeriodId, names: [] });
       const snoozedEntries = snoozedData.weekId === currentPeriodId ? snoozedData.names : [];
       const snoozedNames = snoozedEntries.map(entry =>
-        typeof entry === 'string' ? entry : (entry.snapshot?.name || entry.nameLC)
+        entry.snapshot?.name || entry.nameLC
       );
 
-      const whitelist = await getOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, []);
+      // Explain any penalty to the player on this device (by their signup, else their membership)
+      let penaltyNotice = null;
+      if (settings.penalties?.enabled) {
+        const me = mySignup || myMembership;
+        if (me) {
+          const strikes = await getOrgData(orgId, ORG_KEY_SUFFIXES.STRIKES, []);
+          penaltyNotice = getPenalty(strikes, me.name, settings.penalties)?.message || null;
+        }
+      }
+
+      // Lottery status: entries waiting for the draw, or the seed of this period's draw for auditing
+      let lottery = null;
+      if (isLotteryMode(settings)) {
+        const draw = await getOrgData(orgId, ORG_KEY_SUFFIXES.LOTTERY, null);
+        lottery = {
+          awaitingDraw: priorityOptions.awaitingDraw,
+          draw: draw?.periodId === currentPeriodId
+            ? { drawnAt: draw.drawnAt, seed: draw.seed, entrantCount: draw.entrants.length }
+            : null,
+        };
+      }
+
+      // Teams are only shown once the organizer publishes them
+      const teamsData = currentTeamsData(await getOrgData(orgId, ORG_KEY_SUFFIXES.TEAMS, null), currentPeriodId);
+      const teams = teamsData?.published
+        ? resolveTeams(teamsData, rebalanced.mainList).teams.map(team => ({
+          name: team.name,
+          players: team.players.map(p => ({ id: p.id, name: p.name, ...(p.isGuest && { isGuest: true }) })),
+        }))
+        : null;
 
       // Prepare gameInfo for public display (only if enabled)
       const gameInfo = settings.gameInfo?.enabled ? {
@@ -181,6 +258,11 @@ export default async function handler(req, res) {
         recurrence: settings.gameInfo.recurrence || 'weekly',
         monthlyOccurrence: settings.gameInfo.monthlyOccurrence || null,
         gameDay: settings.gameInfo.gameDay,
+        gameDays: getGameDays(settings.gameInfo),
+        anchorDate: settings.gameInfo.anchorDate || null,
+        intervalDays: settings.gameInfo.intervalDays || null,
+        schedule: describeRecurrence(settings.gameInfo),
+        nextGameDate: getNextGameDate(settings, timezone)?.toISOString().slice(0, 10) || null,
         startHour: settings.gameInfo.startHour,
         startMinute: settings.gameInfo.startMinute,
         endHour: settings.gameInfo.endHour,
@@ -190,6 +272,17 @@ export default async function handler(req, res) {
         weather: settings.gameInfo.weather?.enabled ? settings.gameInfo.weather : null,
       } : null;
 
+      // Most games this season, if the org shows it
+      let leaderboard = null;
+      if (settings.leaderboard?.enabled) {
+        const seasonStart = getSeasonStart(settings.leaderboard, today);
+        const history = await getOrgData(orgId, ORG_KEY_SUFFIXES.PLAY_HISTORY, []);
+        leaderboard = {
+          seasonStart,
+          players: getLeaderboard(computePlayerStats(history, { since: seasonStart, timezone, aliases: getNameAliases(whitelist) })),
+        };
+      }
+
       // Prepare whatsapp info for public display (only if enabled)
       const whatsapp = settings.whatsapp?.enabled && settings.whatsapp?.groupUrl ? {
         enabled: true,
@@ -224,32 +317,44 @@ export default async function handler(req, res) {
           location: org.location,
           visibility: org.visibility || 'public',
         },
-        mainList: rebalanced.mainList,
-        waitlist: rebalanced.waitlist,
+        ...toPublicLists(rebalanced, deviceId),
         mainListLimit,
+        maxGuestsPerSignup: settings.maxGuestsPerSignup || 0,
         accessStatus: {
           isOpen: accessStatus.isOpen,
           message: accessStatus.message,
           nextOpenTime: accessStatus.nextOpenTime,
           closeTime: accessStatus.closeTime || null,
+          earlyAccessTier,
           emailEnabled,
           emailSentForPeriod,
-          emailSendTime: getEmailSendTime(accessStatus.closeTime, settings),
+          emailSendTime: accessStatus.skipped ? null : getEmailSendTime(accessStatus.closeTime, settings),
+          skipped: accessStatus.skipped || null,
         },
         snoozedNames,
-        whitelist: whitelist.map(w => ({ name: w.name, deviceId: w.deviceId })),
+        whitelist: whitelist.map(w => ({ name: w.name })),
         gameInfo,
+        events: await getUpcomingEventSummaries(orgId, timezone),
         whatsapp,
+        teams,
+        leaderboard,
+        lottery,
+        penaltyNotice,
         isOrganizer,
+        // Lets the player subscribe to a calendar of just the games they're confirmed for
+        calendarToken: deviceId ? getCalendarToken(deviceId, await getLinkSecret()) : null,
       });
     } catch (error) {
+      if (error instanceof LockContentionError) {
+        return res.status(503).json({ error: CONTENTION_MESSAGE });
+      }
       console.error('Failed to get RSVP data:', error);
       return res.status(500).json({ error: 'Failed to load data' });
     }
   }
 
   if (req.method === 'POST') {
-    const { name, deviceId } = req.body;
+    const { name, deviceId, guests = [], email } = req.body;
 
     if (!name || !deviceId) {
       return res.status(400).json({ error: 'Name and deviceId are required' });
@@ -260,81 +365,177 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: 'Name cannot be empty' });
     }
 
+    if (!Array.isArray(guests) || guests.some(g => typeof g !== 'string')) {
+      return res.status(400).json({ error: 'Guests must be a list of names' });
+    }
+
+    const trimmedEmail = typeof email === 'string' ? email.trim() : '';
+    if (trimmedEmail && !isValidEmail(trimmedEmail)) {
+      return res.status(400).json({ error: 'Please enter a valid email address' });
+    }
+
     try {
       const settings = await getOrgData(orgId, ORG_KEY_SUFFIXES.SETTINGS, getDefaultSettings(org.timezone));
-      const accessStatus = isFormOpen(settings);
+
+      // Members sign up in their tier's window, which may open early
+      const today = getTodayId(settings.accessPeriod?.timezone || org.timezone || 'Africa/Lagos');
+      const isCurrentMember = w =>
+        (w.name.toLowerCase() === trimmedName.toLowerCase() || w.deviceId === deviceId) && isMembershipActive(w, today);
+      const member = (await getOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, [])).find(isCurrentMember);
+      const accessStatus = isFormOpen(settings, member ? resolveMemberTierId(member.tier, settings.tiers) : null);
 
       if (!accessStatus.isOpen) {
         return res.status(403).json({ error: accessStatus.message });
       }
 
-      const data = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
-      const { mainList, waitlist } = data;
-
-      const allSignups = [...mainList, ...waitlist];
-      if (allSignups.some(p => p.deviceId === deviceId)) {
-        return res.status(400).json({ error: "You've already signed up from this device!" });
+      // Players under a 'delay-signup' penalty wait until their delayed opening
+      const strikes = settings.penalties?.enabled ? await getOrgData(orgId, ORG_KEY_SUFFIXES.STRIKES, []) : [];
+      const penalty = getPenalty(strikes, trimmedName, settings.penalties);
+      if (penalty?.type === 'delay-signup') {
+        const opensAt = getDelayedSignupTime(settings, accessStatus);
+        if (opensAt && opensAt > new Date()) {
+          const timezone = settings.accessPeriod?.timezone || org.timezone || 'Africa/Lagos';
+          const opensAtLabel = opensAt.toLocaleString('en-US', {
+            timeZone: timezone, weekday: 'short', hour: 'numeric', minute: '2-digit'
+          });
+          return res.status(403).json({
+            error: `${penalty.message} You can sign up from ${opensAtLabel}.`,
+            signupOpensAt: opensAt.toISOString(),
+          });
+        }
       }
 
-      if (allSignups.some(p => p.name.toLowerCase() === trimmedName.toLowerCase())) {
-        return res.status(400).json({ error: 'This name is already on the list!' });
+      const maxGuests = settings.maxGuestsPerSignup || 0;
+      if (guests.length > maxGuests) {
+        return res.status(400).json({
+          error: maxGuests === 0
+            ? "This group doesn't allow guests"
+            : `You can bring at most ${maxGuests} guest${maxGuests === 1 ? '' : 's'}`
+        });
       }
 
-      const whitelist = await getOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, []);
-      const whitelistEntry = whitelist.find(w =>
-        w.name.toLowerCase() === trimmedName.toLowerCase() ||
-        w.deviceId === deviceId
-      );
-      const isWhitelisted = !!whitelistEntry;
-
-      const newPerson = {
-        id: Date.now(),
-        name: trimmedName,
-        timestamp: new Date().toISOString(),
-        deviceId: deviceId,
-        ...(isWhitelisted && { isWhitelisted: true })
-      };
+      // Read, check and write under the org lock so simultaneous signups serialize
+      return await withOrgLock(orgId, async () => {
+        const data = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
+        const { mainList, waitlist } = data;
 
-      const mainListLimit = settings.mainListLimit || DEFAULT_MAIN_LIST_LIMIT;
+        const allSignups = [...mainList, ...waitlist];
+        if (allSignups.some(p => p.deviceId === deviceId && !p.isGuest)) {
+          return res.status(400).json({ error: "You've already signed up from this device!" });
+        }
 
-      const rebalanced = rebalanceLists([...mainList, newPerson], waitlist, mainListLimit);
-      const newMainList = rebalanced.mainList;
-      const newWaitlist = rebalanced.waitlist;
+        if (allSignups.some(p => p.name.toLowerCase() === trimmedName.toLowerCase())) {
+          return res.status(400).json({ error: 'This name is already on the list!' });
+        }
 
-      const isOnMainList = newMainList.some(p => p.id === newPerson.id);
-      const position = isOnMainList
-        ? newMainList.findIndex(p => p.id === newPerson.id) + 1
-        : newWaitlist.findIndex(p => p.id === newPerson.id) + 1;
+        const whitelist = await getOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, []);
+        const whitelistEntry = whitelist.find(isCurrentMember);
+        const isWhitelisted = !!whitelistEntry;
+
+        // Signups can land in the same millisecond; keep ids unique within the list
+        const usedIds = new Set(allSignups.map(p => p.id));
+        let candidateId = Date.now();
+        const nextId = () => {
+          while (usedIds.has(candidateId)) candidateId++;
+          usedIds.add(candidateId);
+          return candidateId;
+        };
+
+        const newPerson = {
+          id: nextId(),
+          name: trimmedName,
+          timestamp: new Date().toISOString(),
+          deviceId: deviceId,
+          ...(isWhitelisted && { isWhitelisted: true, tier: resolveMemberTierId(whitelistEntry.tier, settings.tiers) })
+        };
+
+        const newGuests = createGuestEntries(newPerson, guests, nextId);
+        const takenNames = new Set([...allSignups, newPerson].map(p => p.name.toLowerCase()));
+        for (const guest of newGuests) {
+          if (takenNames.has(guest.name.toLowerCase())) {
+            return res.status(400).json({ error: `${guest.name} is already on the list!` });
+          }
+          takenNames.add(guest.name.toLowerCase());
+        }
 
-      let message = '';
-      let listType = '';
+        const mainListLimit = settings.mainListLimit || DEFAULT_MAIN_LIST_LIMIT;
+        const priorityOptions = await getPriorityOptions(orgId, settings);
 
-      if (isOnMainList) {
-        message = `You're in! Spot #${position}`;
-        listType = 'main';
-      } else {
-        message = `Main list full. You're #${position} on the waitlist`;
-        listType = 'waitlist';
-      }
+        const rebalanced = rebalanceLists([...mainList, newPerson, ...newGuests], waitlist, mainListLimit, priorityOptions);
+        const newMainList = rebalanced.mainList;
+        const newWaitlist = rebalanced.waitlist;
 
-      await setOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: newMainList, waitlist: newWaitlist });
+        const isOnMainList = newMainList.some(p => p.id === newPerson.id);
+        const position = isOnMainList
+          ? newMainList.findIndex(p => p.id === newPerson.id) + 1
+          : newWaitlist.findIndex(p => p.id === newPerson.id) + 1;
 
-      return res.status(200).json({
-        success: true,
-        message,
-        listType,
-        person: newPerson,
-        mainList: newMainList,
-        waitlist: newWaitlist
+        let message = '';
+        let listType = '';
+
+        if (isOnMainList) {
+          message = `You're in! Spot #${position}`;
+          listType = 'main';
+        } else if (priorityOptions.awaitingDraw) {
+          message = "You're in the draw! Spots are drawn at random when signups close";
+          listType = 'draw';
+        } else {
+          message = `Main list full. You're #${position} on the waitlist`;
+          listType = 'waitlist';
+        }
+
+        if (newGuests.length > 0) {
+          const guestsPlaying = newGuests.filter(g => newMainList.some(p => p.id === g.id)).length;
+          const guestsWaiting = newGuests.length - guestsPlaying;
+          const waitingWhere = priorityOptions.awaitingDraw ? 'in the draw' : 'on the waitlist';
+          if (guestsWaiting === 0) {
+            message += newGuests.length === 1 ? '. Your guest is in too' : `. All ${newGuests.length} guests are in too`;
+          } else if (guestsPlaying === 0) {
+            message += newGuests.length === 1 ? `. Your guest is ${waitingWhere}` : `. Your ${newGuests.length} guests are ${waitingWhere}`;
+          } else {
+            message += `. ${guestsPlaying} of your guests ${guestsPlaying === 1 ? 'is' : 'are'} in, ${guestsWaiting} ${waitingWhere}`;
+          }
+        }
+
+        await setOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: newMainList, waitlist: newWaitlist });
+
+        // How fast the list fills, for analytics
+        const signupLog = await getOrgData(orgId, ORG_KEY_SUFFIXES.SIGNUP_LOG, null);
+        await setOrgData(orgId, ORG_KEY_SUFFIXES.SIGNUP_LOG, recordSignup(signupLog, {
+          periodId: getCurrentPeriodId(settings, settings.accessPeriod?.timezone || org.timezone || 'Africa/Lagos'),
+          closeTime: accessStatus.closeTime,
+          at: newPerson.timestamp,
+          mainListCount: newMainList.length,
+          mainListLimit,
+          waitlistCount: newWaitlist.length,
+        }));
+
+        // Older pages don't send an email; only a blank field forgets it
+        if (email !== undefined) {
+          await setPlayerEmail(orgId, deviceId, trimmedEmail);
+        }
+
+        return res.status(200).json({
+          success: true,
+          message,
+          listType,
+          person: toPublicEntry(newPerson, deviceId),
+          guests: newGuests.map(g => toPublicEntry(g, deviceId)),
+          penaltyNotice: penalty?.message || null,
+          ...toPublicLists({ mainList: newMainList, waitlist: newWaitlist }, deviceId)
+        });
       });
     } catch (error) {
+      if (error instanceof LockContentionError) {
+        return res.status(503).json({ error: CONTENTION_MESSAGE });
+      }
       console.error('Failed to add RSVP:', error);
       return res.status(500).json({ error: 'Failed to save RSVP' });
     }
   }
 
   if (req.method === 'DELETE') {
-    const { personId, deviceId, isWaitlist } = req.body;
+    const { personId, deviceId, isWaitlist, dropGuests = false } = req.body;
 
     if (!personId || !deviceId) {
       return res.status(400).json({ error: 'personId and deviceId are required' });
@@ -358,63 +559,99 @@ export default async function handler(req, res) {
         return res.status(403).json({ error: accessStatus.message });
       }
 
-      const data = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
-      let { mainList, waitlist } = data;
+      const result = await withOrgLock(orgId, async () => {
+        const data = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
+        let { mainList, waitlist } = data;
 
-      const list = isWaitlist ? waitlist : mainList;
-      const person = list.find(p => p.id === personId);
+        const list = isWaitlist ? waitlist : mainList;
+        const person = list.find(p => p.id === personId);
 
-      if (!person) {
-        return res.status(404).json({ error: 'Person not found' });
-      }
+        if (!person) {
+          return { status: 404, error: 'Person not found' };
+        }
 
-      if (person.deviceId !== deviceId) {
-        return res.status(403).json({ error: 'You can only remove your own signup' });
-      }
+        if (person.deviceId !== deviceId) {
+          return { status: 403, error: 'You can only remove your own signup' };
+        }
 
-      let message = '';
-      let promotedPerson = null;
+        // Dropping a host can take their guests along; otherwise the guests keep their spots
+        const guests = person.isGuest ? [] : getGuestsOf([...mainList, ...waitlist], person.id);
+        const removed = dropGuests ? [person, ...guests] : [person];
+        const removedIds = new Set(removed.map(p => p.id));
+        const oldMainListIds = new Set(mainList.map(p => p.id));
+
+        const rebalanced = rebalanceLists(
+          mainList.filter(p => !removedIds.has(p.id)),
+          waitlist.filter(p => !removedIds.has(p.id)),
+          settings.mainListLimit || DEFAULT_MAIN_LIST_LIMIT,
+          await getPriorityOptions(orgId, settings)
+        );
+        ({ mainList, waitlist } = holdPromotedSpots(
+          rebalanced,
+          rebalanced.mainList.filter(p => !oldMainListIds.has(p.id)),
+          settings
+        ));
 
-      if (isWaitlist) {
-        waitlist = waitlist.filter(p => p.id !== personId);
-        message = 'Removed from waitlist';
-      } else {
-        mainList = mainList.filter(p => p.id !== personId);
+        const promoted = mainList.filter(p => !oldMainListIds.has(p.id));
+        const promotedPerson = promoted[0] || null;
 
-        if (waitlist.length > 0) {
-          promotedPerson = waitlist[0];
-          mainList = [...mainList, promotedPerson];
-          waitlist = waitlist.slice(1);
-          message = `Spot opened! ${promotedPerson.name} promoted from waitlist`;
+        let message = '';
+        if (promoted.length > 0) {
+          message = `Spot opened! ${promoted.map(p => p.name).join(', ')} promoted from waitlist`;
+        } else if (isWaitlist) {
+          message = 'Removed from waitlist';
         } else {
           message = 'Removed from main list';
         }
-      }
 
-      await setOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList, waitlist });
+        await setOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList, waitlist });
 
-      // Log the dropout event
-      const timezone = settings.accessPeriod?.timezone || org.timezone || 'Africa/Lagos';
-      const periodId = getCurrentPeriodId(settings, timezone);
-      const dropoutEntry = {
-        name: person.name,
-        timestamp: new Date().toISOString(),
-        list: isWaitlist ? 'waitlist' : 'main',
-        periodId,
-      };
-      const dropoutLog = await getOrgData(orgId, ORG_KEY_SUFFIXES.DROPOUT_LOG, []);
-      dropoutLog.unshift(dropoutEntry);
-      if (dropoutLog.length > 50) dropoutLog.length = 50;
-      await setOrgData(orgId, ORG_KEY_SUFFIXES.DROPOUT_LOG, dropoutLog);
+        // Log the dropout event, one entry per person removed
+        const timezone = settings.accessPeriod?.timezone || org.timezone || 'Africa/Lagos';
+        const periodId = getCurrentPeriodId(settings, timezone);
+        const droppedAt = new Date().toISOString();
+        const dropoutEntries = removed.map(p => ({
+          name: p.name,
+          timestamp: droppedAt,
+          list: oldMainListIds.has(p.id) ? 'main' : 'waitlist',
+          periodId,
+          ...(p.isGuest && { guestOf: p.hostName }),
+        }));
+        const dropoutLog = await getOrgData(orgId, ORG_KEY_SUFFIXES.DROPOUT_LOG, []);
+        dropoutLog.unshift(...dropoutEntries);
+        if (dropoutLog.length > 50) dropoutLog.length = 50;
+        await setOrgData(orgId, ORG_KEY_SUFFIXES.DROPOUT_LOG, dropoutLog);
+
+        // Giving up a main-list spot close to the window closing is a strike
+        let strike = null;
+        if (!person.isGuest && oldMainListIds.has(person.id) && isLateDropout(settings.penalties, accessStatus.closeTime)) {
+          strike = { name: person.name, reason: 'late-dropout', periodId };
+          const strikes = await getOrgData(orgId, ORG_KEY_SUFFIXES.STRIKES, []);
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.STRIKES, addStrikes(strikes, [strike]));
+        }
 
+        return { message, promotedPerson, promoted, removed, strike, mainList, waitlist };
+      });
+
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      await notifyPromotions(org, result.promoted, { settings, timezone: settings.accessPeriod?.timezone || org.timezone });
+
+      const { promotedPerson, promoted, removed, mainList, waitlist, ...details } = result;
       return res.status(200).json({
         success: true,
-        message,
-        promotedPerson,
-        mainList,
-        waitlist
+        ...details,
+        promotedPerson: promotedPerson && toPublicEntry(promotedPerson, deviceId),
+        promoted: promoted.map(p => toPublicEntry(p, deviceId)),
+        removed: removed.map(p => toPublicEntry(p, deviceId)),
+        ...toPublicLists({ mainList, waitlist }, deviceId),
       });
     } catch (error) {
+      if (error instanceof LockContentionError) {
+        return res.status(503).json({ error: CONTENTION_MESSAGE });
+      }
       console.error('Failed to remove RSVP:', error);
       return res.status(500).json({ error: 'Failed to remove RSVP' });
     }
@@ -422,7 +659,7 @@ export default async function handler(req, res) {
 
   if (req.method === 'PATCH') {
     // Snooze/unsnooze for whitelisted members
-    const { action, personId, personName, snoozeCode, password } = req.body;
+    const { action, personId, personName, snoozeCode, password, deviceId } = req.body;
 
     // Authenticate via snooze code (new method) or password (legacy)
     const whitelist = await getOrgData(orgId, ORG_KEY_SUFFIXES.WHITELIST, []);
@@ -446,158 +683,168 @@ export default async function handler(req, res) {
 
     try {
       const settings = await getOrgData(orgId, ORG_KEY_SUFFIXES.SETTINGS, getDefaultSettings(org.timezone));
-      const data = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
-      let { mainList, waitlist } = data;
-      const mainListLimit = settings.mainListLimit || DEFAULT_MAIN_LIST_LIMIT;
+      const result = await withOrgLock(orgId, async () => {
+        const data = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
+        let { mainList, waitlist } = data;
+        const mainListLimit = settings.mainListLimit || DEFAULT_MAIN_LIST_LIMIT;
+        const priorityOptions = await getPriorityOptions(orgId, settings);
+
+        if (action === 'snooze') {
+          // If authenticated via snooze code, find the person by their whitelist name
+          let person;
+          if (authenticatedMember) {
+            person = mainList.find(p => p.name.toLowerCase() === authenticatedMember.name.toLowerCase());
+          } else {
+            person = mainList.find(p => p.id === personId);
+          }
 
-      if (action === 'snooze') {
-        // If authenticated via snooze code, find the person by their whitelist name
-        let person;
-        if (authenticatedMember) {
-          person = mainList.find(p => p.name.toLowerCase() === authenticatedMember.name.toLowerCase());
-        } else {
-          person = mainList.find(p => p.id === personId);
-        }
+          if (!person) {
+            return { status: 404, body: { error: 'You are not currently on the main list' } };
+          }
 
-        if (!person) {
-          return res.status(404).json({ error: 'You are not currently on the main list' });
-        }
+          if (!person.isWhitelisted) {
+            return { status: 400, body: { error: 'Only members can snooze' } };
+          }
 
-        if (!person.isWhitelisted) {
-          return res.status(400).json({ error: 'Only members can snooze' });
-        }
+          mainList = mainList.filter(p => p.id !== person.id);
 
-        mainList = mainList.filter(p => p.id !== person.id);
+          const timezone = settings.accessPeriod?.timezone || org.timezone || 'Africa/Lagos';
+          const currentPeriodId = getCurrentPeriodId(settings, timezone);
+          const snoozedData = await getOrgData(orgId, ORG_KEY_SUFFIXES.SNOOZED, { weekId: currentPeriodId, names: [] });
 
-        const timezone = settings.accessPeriod?.timezone || org.timezone || 'Africa/Lagos';
-        const currentPeriodId = getCurrentPeriodId(settings, timezone);
-        const snoozedData = await getOrgData(orgId, ORG_KEY_SUFFIXES.SNOOZED, { weekId: currentPeriodId, names: [] });
+          if (snoozedData.weekId !== currentPeriodId) {
+            snoozedData.weekId = currentPeriodId;
+            snoozedData.names = [];
+          }
 
-        if (snoozedData.weekId !== currentPeriodId) {
-          snoozedData.weekId = currentPeriodId;
-          snoozedData.names = [];
-        }
+          const nameLC = person.name.toLowerCase();
+          const alreadySnoozed = snoozedData.names.some(
+            entry => entry.nameLC === nameLC
+          );
+          if (!alreadySnoozed) {
+            snoozedData.names.push({
+              nameLC,
+              snapshot: {
+                id: person.id,
+                name: person.name,
+                timestamp: person.timestamp,
+                isWhitelisted: person.isWhitelisted,
+                tier: person.tier,
+                deviceId: person.deviceId
+              }
+            });
+          }
 
-        const nameLC = person.name.toLowerCase();
-        const alreadySnoozed = snoozedData.names.some(
-          entry => (typeof entry === 'string' ? entry : entry.nameLC) === nameLC
-        );
-        if (!alreadySnoozed) {
-          snoozedData.names.push({
-            nameLC,
-            snapshot: {
-              id: person.id,
-              name: person.name,
-              timestamp: person.timestamp,
-              isWhitelisted: person.isWhitelisted,
-              deviceId: person.deviceId
-            }
-          });
+          const oldMainListIds = new Set(mainList.map(p => p.id));
+          const rebalanced = rebalanceLists(mainList, waitlist, mainListLimit, priorityOptions);
+          ({ mainList, waitlist } = holdPromotedSpots(
+            rebalanced,
+            rebalanced.mainList.filter(p => !oldMainListIds.has(p.id)),
+            settings
+          ));
+
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList, waitlist });
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.SNOOZED, snoozedData);
+
+          const updatedSnoozedNames = snoozedData.names.map(entry =>
+            entry.snapshot?.name || entry.nameLC
+          );
+
+          return {
+            status: 200,
+            body: {
+              success: true,
+              message: `${person.name} is now skipping this week. They'll be back next week!`,
+              ...toPublicLists({ mainList, waitlist }, deviceId),
+              snoozedNames: updatedSnoozedNames
+            },
+            promoted: mainList.filter(p => !oldMainListIds.has(p.id)),
+          };
         }
 
-        const rebalanced = rebalanceLists(mainList, waitlist, mainListLimit);
-        mainList = rebalanced.mainList;
-        waitlist = rebalanced.waitlist;
+        if (action === 'unsnooze') {
+          const timezone = settings.accessPeriod?.timezone || org.timezone || 'Africa/Lagos';
+          const currentPeriodId = getCurrentPeriodId(settings, timezone);
+          const snoozedData = await getOrgData(orgId, ORG_KEY_SUFFIXES.SNOOZED, { weekId: currentPeriodId, names: [] });
 
-        await setOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList, waitlist });
-        await setOrgData(orgId, ORG_KEY_SUFFIXES.SNOOZED, snoozedData);
+          // Use authenticated member's name if available, otherwise use personName
+          const nameLC = authenticatedMember
+            ? authenticatedMember.name.toLowerCase()
+            : personName?.toLowerCase();
 
-        const updatedSnoozedNames = snoozedData.names.map(entry =>
-          typeof entry === 'string' ? entry : (entry.snapshot?.name || entry.nameLC)
-        );
+          const idx = snoozedData.names.findIndex(entry =>
+            entry.nameLC === nameLC
+          );
 
-        return res.status(200).json({
-          success: true,
-          message: `${person.name} is now skipping this week. They'll be back next week!`,
-          mainList,
-          waitlist,
-          snoozedNames: updatedSnoozedNames
-        });
-      }
+          if (idx === -1) {
+            return { status: 400, body: { error: 'You are not currently snoozed' } };
+          }
 
-      if (action === 'unsnooze') {
-        const timezone = settings.accessPeriod?.timezone || org.timezone || 'Africa/Lagos';
-        const currentPeriodId = getCurrentPeriodId(settings, timezone);
-        const snoozedData = await getOrgData(orgId, ORG_KEY_SUFFIXES.SNOOZED, { weekId: currentPeriodId, names: [] });
+          const snapshot = snoozedData.names[idx].snapshot;
+          const accessStatus = isFormOpen(
+            settings,
+            snapshot?.isWhitelisted ? resolveMemberTierId(snapshot.tier, settings.tiers) : null
+          );
+          if (!accessStatus.isOpen) {
+            return { status: 403, body: { error: accessStatus.message } };
+          }
 
-        // Use authenticated member's name if available, otherwise use personName
-        const nameLC = authenticatedMember
-          ? authenticatedMember.name.toLowerCase()
-          : personName?.toLowerCase();
+          const restored = { ...snoozedData.names[idx].snapshot };
 
-        const idx = snoozedData.names.findIndex(entry =>
-          (typeof entry === 'string' ? entry : entry.nameLC) === nameLC
-        );
+          snoozedData.names.splice(idx, 1);
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.SNOOZED, snoozedData);
 
-        if (idx === -1) {
-          return res.status(400).json({ error: 'You are not currently snoozed' });
-        }
+          const rebalanced = rebalanceLists([...mainList, restored], waitlist, mainListLimit, priorityOptions);
+          mainList = rebalanced.mainList;
+          waitlist = rebalanced.waitlist;
 
-        const accessStatus = isFormOpen(settings);
-        if (!accessStatus.isOpen) {
-          return res.status(403).json({ error: accessStatus.message });
-        }
+          const isOnMainList = mainList.some(p => p.id === restored.id);
+          const position = isOnMainList
+            ? mainList.findIndex(p => p.id === restored.id) + 1
+            : waitlist.findIndex(p => p.id === restored.id) + 1;
 
-        const entry = snoozedData.names[idx];
-        let restored;
+          let message = '';
+          let listType = '';
 
-        if (typeof entry === 'object' && entry.snapshot) {
-          restored = { ...entry.snapshot };
-        } else {
-          const whitelistPerson = whitelist.find(w => w.name.toLowerCase() === nameLC);
-          if (!whitelistPerson) {
-            return res.status(400).json({ error: 'Could not find whitelist entry' });
+          if (isOnMainList) {
+            message = `Welcome back ${restored.name}! You're in spot #${position}`;
+            listType = 'main';
+          } else {
+            message = `Main list is full. ${restored.name} is #${position} on the waitlist`;
+            listType = 'waitlist';
           }
-          restored = {
-            id: Date.now(),
-            name: whitelistPerson.name,
-            timestamp: new Date().toISOString(),
-            isWhitelisted: true
-          };
-        }
-
-        snoozedData.names.splice(idx, 1);
-        await setOrgData(orgId, ORG_KEY_SUFFIXES.SNOOZED, snoozedData);
 
-        const rebalanced = rebalanceLists([...mainList, restored], waitlist, mainListLimit);
-        mainList = rebalanced.mainList;
-        waitlist = rebalanced.waitlist;
-
-        const isOnMainList = mainList.some(p => p.id === restored.id);
-        const position = isOnMainList
-          ? mainList.findIndex(p => p.id === restored.id) + 1
-          : waitlist.findIndex(p => p.id === restored.id) + 1;
-
-        let message = '';
-        let listType = '';
-
-        if (isOnMainList) {
-          message = `Welcome back ${restored.name}! You're in spot #${position}`;
-          listType = 'main';
-        } else {
-          message = `Main list is full. ${restored.name} is #${position} on the waitlist`;
-          listType = 'waitlist';
+          await setOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList, waitlist });
+
+          const updatedSnoozedNames = snoozedData.names.map(entry =>
+            entry.snapshot?.name || entry.nameLC
+          );
+
+          return {
+            status: 200,
+            body: {
+              success: true,
+              message,
+              listType,
+              person: toPublicEntry(restored, deviceId),
+              ...toPublicLists({ mainList, waitlist }, deviceId),
+              snoozedNames: updatedSnoozedNames
+            },
+          };
         }
 
-        await setOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList, waitlist });
-
-        const updatedSnoozedNames = snoozedData.names.map(entry =>
-          typeof entry === 'string' ? entry : (entry.snapshot?.name || entry.nameLC)
-        );
+        return { status: 400, body: { error: 'Invalid action' } };
+      });
 
-        return res.status(200).json({
-          success: true,
-          message,
-          listType,
-          person: restored,
-          mainList,
-          waitlist,
-          snoozedNames: updatedSnoozedNames
-        });
+      if (result.promoted?.length > 0) {
+        await notifyPromotions(org, result.promoted, { settings, timezone: settings.accessPeriod?.timezone || org.timezone });
       }
 
-      return res.status(400).json({ error: 'Invalid action' });
+      return res.status(result.status).json(result.body);
     } catch (error) {
+      if (error instanceof LockContentionError) {
+        return res.status(503).json({ error: CONTENTION_MESSAGE });
+      }
       console.error('Snooze error:', error);
       return res.status(500).json({ error: 'Failed to process snooze request' });
     }
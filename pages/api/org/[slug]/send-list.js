@@ -1,39 +1,25 @@
-import { Resend } from 'resend';
 import PDFDocument from 'pdfkit';
 import { getOrganizationBySlug } from '../../../../lib/organizations';
 import { getOrgData, setOrgData, ORG_KEY_SUFFIXES } from '../../../../lib/kv';
 import { verifySession, parseCookies, isSuperAdmin } from '../../../../lib/auth';
 import { getOrganizerById, organizerOwnsOrg } from '../../../../lib/organizations';
 import { getCurrentPeriodId } from '../../../../lib/recurrence';
-
-const resend = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null;
-
-// Default settings
-function getDefaultSettings(timezone = 'Africa/Lagos') {
-  return {
-    mainListLimit: 30,
-    email: {
-      enabled: false,
-      recipients: [],
-      cc: [],
-      bcc: [],
-      subject: 'Weekly RSVP List - {{week}}',
-      body: 'Please find attached the RSVP list for this week.\n\nTotal participants: {{count}}'
-    }
-  };
-}
-
-// Replace template variables
-function replaceTemplateVars(template, vars) {
-  let result = template;
-  for (const [key, value] of Object.entries(vars)) {
-    result = result.replace(new RegExp(`{{${key}}}`, 'g'), value);
-  }
-  return result;
+import { getDefaultSettings } from '../../../../lib/settings';
+import { ensureOrgSchema } from '../../../../lib/migrations';
+import { getParticipantLines, formatParticipant } from '../../../../lib/lists';
+import { currentTeamsData, resolveTeams } from '../../../../lib/teams';
+import { queueEmail } from '../../../../lib/outbox';
+import { getTemplate, renderEmail } from '../../../../lib/templates';
+import { getTemplateVars } from '../../../../lib/template-vars';
+
+// Published teams for the period, matched against the current main list
+async function getPublishedTeams(orgId, weekId, mainList) {
+  const teamsData = currentTeamsData(await getOrgData(orgId, ORG_KEY_SUFFIXES.TEAMS, null), weekId);
+  return teamsData?.published ? resolveTeams(teamsData, mainList).teams : [];
 }
 
 // Generate PDF buffer from RSVP list
-async function generatePDF(mainList, weekId, orgName, sport) {
+async function generatePDF(mainList, weekId, orgName, sport, teams = []) {
   return new Promise((resolve, reject) => {
     const doc = new PDFDocument({ margin: 50 });
     const chunks = [];
@@ -51,24 +37,39 @@ async function generatePDF(mainList, weekId, orgName, sport) {
     doc.text(`Generated: ${new Date().toLocaleString('en-US', { timeZone: 'Africa/Lagos' })} WAT`, { align: 'center' });
     doc.moveDown(2);
 
-    // Sort list alphabetically by name
-    const sortedMainList = [...mainList].sort((a, b) => a.name.localeCompare(b.name));
+    // Alphabetical by host, guests nested beneath
+    const participantLines = getParticipantLines(mainList);
 
     // Main List
     doc.fontSize(16).font('Helvetica-Bold').text(`Participants (${mainList.length})`);
     doc.moveDown(0.5);
 
-    if (sortedMainList.length === 0) {
+    if (participantLines.length === 0) {
       doc.fontSize(11).font('Helvetica').text('No participants registered.');
     } else {
-      sortedMainList.forEach((person, index) => {
-        const badge = person.isWhitelisted ? ' [VIP]' : '';
-        doc.fontSize(11).font('Helvetica').text(`${index + 1}. ${person.name}${badge}`);
+      participantLines.forEach(line => {
+        const badge = line.person.isWhitelisted ? ' [VIP]' : '';
+        doc.fontSize(11).font('Helvetica').text(`${formatParticipant(line)}${badge}`);
       });
     }
 
     doc.moveDown(2);
 
+    // Teams, when the organizer has published them
+    if (teams.length > 0) {
+      doc.fontSize(16).font('Helvetica-Bold').text('Teams');
+      doc.moveDown(0.5);
+      teams.forEach(team => {
+        doc.fontSize(13).font('Helvetica-Bold').text(`${team.name} (${team.players.length})`);
+        team.players.forEach(person => {
+          const guest = person.isGuest ? ' (guest)' : '';
+          doc.fontSize(11).font('Helvetica').text(`  - ${person.name}${guest}`);
+        });
+        doc.moveDown(0.5);
+      });
+      doc.moveDown(1.5);
+    }
+
     // Footer
     doc.fontSize(9).font('Helvetica').fillColor('#666666')
       .text('This list was automatically generated by PlayDay RSVP.', { align: 'center' });
@@ -155,6 +156,7 @@ export default async function handler(req, res) {
   }
 
   try {
+    await ensureOrgSchema(org);
     const settings = await getOrgData(orgId, ORG_KEY_SUFFIXES.SETTINGS, getDefaultSettings(org.timezone));
     const emailSettings = settings?.email;
     const isTestEmail = req.body?.test === true;
@@ -165,49 +167,26 @@ export default async function handler(req, res) {
         return res.status(400).json({ error: 'Cannot send test email: organizer email not found' });
       }
 
-      if (!resend) {
-        return res.status(500).json({ error: 'Email service not configured' });
-      }
-
       const rsvpData = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
       const timezone = settings?.accessPeriod?.timezone || org.timezone || 'Africa/Lagos';
       const weekId = getCurrentPeriodId(settings, timezone);
 
-      // Generate PDF (main list only)
-      const pdfBuffer = await generatePDF(rsvpData.mainList, weekId, org.name, org.sport);
-
-      // Create list of names for template
-      const namesList = rsvpData.mainList
-        .sort((a, b) => a.name.localeCompare(b.name))
-        .map((p, i) => `${i + 1}. ${p.name}`)
-        .join('\n');
-
-      // Prepare template variables
-      const templateVars = {
-        week: weekId,
-        org: org.name,
-        sport: org.sport || '',
-        count: rsvpData.mainList.length.toString(),
-        waitlistCount: rsvpData.waitlist.length.toString(),
-        list: namesList,
-        date: new Date().toLocaleDateString('en-US', {
-          timeZone: timezone,
-          weekday: 'long',
-          year: 'numeric',
-          month: 'long',
-          day: 'numeric'
-        })
-      };
+      // Generate PDF (main list and published teams)
+      const teams = await getPublishedTeams(orgId, weekId, rsvpData.mainList);
+      const pdfBuffer = await generatePDF(rsvpData.mainList, weekId, org.name, org.sport, teams);
 
-      const testSubject = `[TEST] ${replaceTemplateVars(emailSettings?.subject || 'Weekly RSVP List - {{week}}', templateVars)}`;
-      const testBody = `This is a TEST email. The actual email will be sent to your configured recipients.\n\n---\n\n${replaceTemplateVars(emailSettings?.body || 'Please find attached the RSVP list for this week.\n\nTotal participants: {{count}}', templateVars)}`;
+      const template = getTemplate(settings, 'list');
+      const vars = await getTemplateVars(org, settings, { rsvpData, templates: [template] });
+      const { subject, text, html } = renderEmail(template, vars);
+      const notice = 'This is a TEST email. The actual email will be sent to your configured recipients.';
 
       // Build test email options - send only to the organizer
       const testEmailOptions = {
         from: `${org.name} <noreply@itsplayday.com>`,
         to: [authenticatedOrganizer.email],
-        subject: testSubject,
-        text: testBody,
+        subject: `[TEST] ${subject}`,
+        text: `${notice}\n\n---\n\n${text}`,
+        html: `<p style="font-family: sans-serif; color: #666;"><em>${notice}</em></p><hr>${html}`,
         attachments: [
           {
             filename: `${org.slug}-rsvp-${weekId}.pdf`,
@@ -217,11 +196,11 @@ export default async function handler(req, res) {
       };
 
       // Send test email
-      const { data, error } = await resend.emails.send(testEmailOptions);
+      const testRecord = await queueEmail(testEmailOptions, { orgId, kind: 'rsvp-list-test' });
 
-      if (error) {
-        console.error(`[${org.slug}] Failed to send test email:`, error);
-        return res.status(500).json({ error: 'Failed to send test email', details: error.message });
+      if (testRecord.status !== 'sent') {
+        console.error(`[${org.slug}] Failed to send test email:`, testRecord.lastError);
+        return res.status(500).json({ error: 'Failed to send test email', details: testRecord.lastError });
       }
 
       console.log(`[${org.slug}] Test email sent to ${authenticatedOrganizer.email}`);
@@ -229,7 +208,7 @@ export default async function handler(req, res) {
       return res.status(200).json({
         success: true,
         message: `Test email sent to ${authenticatedOrganizer.email}`,
-        emailId: data?.id,
+        emailId: testRecord.providerId,
         weekId,
         isTest: true
       });
@@ -244,10 +223,6 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: 'No email recipients configured', skipped: true });
     }
 
-    if (!resend) {
-      return res.status(500).json({ error: 'Email service not configured' });
-    }
-
     const rsvpData = await getOrgData(orgId, ORG_KEY_SUFFIXES.RSVP_DATA, { mainList: [], waitlist: [] });
     const timezone = settings?.accessPeriod?.timezone || org.timezone || 'Africa/Lagos';
     const weekId = getCurrentPeriodId(settings, timezone);
@@ -264,41 +239,21 @@ export default async function handler(req, res) {
       });
     }
 
-    // Generate PDF (main list only)
-    const pdfBuffer = await generatePDF(rsvpData.mainList, weekId, org.name, org.sport);
-
-    // Create list of names for template
-    const namesList = rsvpData.mainList
-      .sort((a, b) => a.name.localeCompare(b.name))
-      .map((p, i) => `${i + 1}. ${p.name}`)
-      .join('\n');
-
-    // Prepare template variables
-    const templateVars = {
-      week: weekId,
-      org: org.name,
-      sport: org.sport || '',
-      count: rsvpData.mainList.length.toString(),
-      waitlistCount: rsvpData.waitlist.length.toString(),
-      list: namesList,
-      date: new Date().toLocaleDateString('en-US', {
-        timeZone: timezone,
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-      })
-    };
+    // Generate PDF (main list and published teams)
+    const teams = await getPublishedTeams(orgId, weekId, rsvpData.mainList);
+    const pdfBuffer = await generatePDF(rsvpData.mainList, weekId, org.name, org.sport, teams);
 
-    const subject = replaceTemplateVars(emailSettings.subject, templateVars);
-    const body = replaceTemplateVars(emailSettings.body, templateVars);
+    const template = getTemplate(settings, 'list');
+    const vars = await getTemplateVars(org, settings, { rsvpData, templates: [template] });
+    const { subject, text, html } = renderEmail(template, vars);
 
     // Build email options
     const emailOptions = {
       from: `${org.name} <noreply@itsplayday.com>`,
       to: emailSettings.recipients,
-      subject: subject,
-      text: body,
+      subject,
+      text,
+      html,
       attachments: [
         {
           filename: `${org.slug}-rsvp-${weekId}.pdf`,
@@ -318,21 +273,26 @@ export default async function handler(req, res) {
     }
 
     // Send email
-    const { data, error } = await resend.emails.send(emailOptions);
+    const record = await queueEmail(emailOptions, { orgId, kind: 'rsvp-list' });
 
-    if (error) {
-      console.error(`[${org.slug}] Failed to send email:`, error);
+    // The outbox keeps retrying a failed send, so either way this period's
+    // email is taken care of and the cron mustn't queue another
+    await setOrgData(orgId, ORG_KEY_SUFFIXES.LAST_EMAIL, weekId);
+
+    if (record.status !== 'sent') {
+      console.error(`[${org.slug}] Failed to send email:`, record.lastError);
       await updateEmailStatus(orgId, weekId, 'failed', {
-        error: error.message,
+        error: record.lastError,
         recipientCount: emailSettings.recipients.length,
-        attemptedAt: new Date().toISOString()
+        attemptedAt: new Date().toISOString(),
+        retrying: record.status === 'pending'
+      });
+      return res.status(500).json({
+        error: record.status === 'pending' ? 'Failed to send email. It will be retried automatically.' : 'Failed to send email',
+        details: record.lastError
       });
-      return res.status(500).json({ error: 'Failed to send email', details: error.message });
     }
 
-    // Mark as sent
-    await setOrgData(orgId, ORG_KEY_SUFFIXES.LAST_EMAIL, weekId);
-
     const ccCount = emailSettings.cc?.length || 0;
     const bccCount = emailSettings.bcc?.length || 0;
     let message = `Email sent to ${emailSettings.recipients.length} recipient(s)`;
@@ -341,7 +301,7 @@ export default async function handler(req, res) {
 
     // Track successful status
     await updateEmailStatus(orgId, weekId, 'sent', {
-      emailId: data?.id,
+      emailId: record.providerId,
       sentAt: new Date().toISOString(),
       recipientCount: emailSettings.recipients.length,
       ccCount,
@@ -355,7 +315,7 @@ export default async function handler(req, res) {
     return res.status(200).json({
       success: true,
       message,
-      emailId: data?.id,
+      emailId: record.providerId,
       weekId
     });
 
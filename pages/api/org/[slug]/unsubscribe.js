@@ -0,0 +1,43 @@
+import { getOrganizationBySlug } from '../../../../lib/organizations';
+import { LockContentionError } from '../../../../lib/kv';
+import { optOut } from '../../../../lib/notifications';
+
+/**
+ * Stop an org's emails to a player (lib/notifications.js). The link in the
+ * email opens the org page, which POSTs its token here, so mail scanners
+ * following the link don't unsubscribe anyone.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { slug } = req.query;
+  const { token } = req.body || {};
+
+  if (!token || typeof token !== 'string') {
+    return res.status(400).json({ error: 'Unsubscribe token is required' });
+  }
+
+  const org = await getOrganizationBySlug(slug);
+  if (!org) {
+    return res.status(404).json({ error: 'Organization not found' });
+  }
+
+  try {
+    if (!await optOut(org.id, token)) {
+      return res.status(404).json({ error: 'This unsubscribe link is not valid' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `You won't get any more emails from ${org.name}`
+    });
+  } catch (error) {
+    if (error instanceof LockContentionError) {
+      return res.status(503).json({ error: 'Please try again in a moment.' });
+    }
+    console.error('Failed to unsubscribe:', error);
+    return res.status(500).json({ error: 'Failed to unsubscribe' });
+  }
+}
@@ -7,6 +7,7 @@ import {
   validateSlug,
   isSlugTaken,
 } from '../../../lib/organizations';
+import { RECURRENCES, MIN_INTERVAL_DAYS, MAX_INTERVAL_DAYS, parseDateId } from '../../../lib/recurrence';
 
 export default async function handler(req, res) {
   // Authenticate
@@ -66,6 +67,9 @@ export default async function handler(req, res) {
       // Recurrence (optional - defaults to weekly)
       recurrence,
       monthlyOccurrence,
+      gameDays,
+      anchorDate,
+      intervalDays,
       // Custom RSVP timing (optional)
       rsvpOpenDay,
       rsvpOpenHour,
@@ -98,8 +102,39 @@ export default async function handler(req, res) {
       endMinute: Math.min(Math.max(parseInt(gameEndMinute) || 0, 0), 59),
       recurrence: recurrence || 'weekly',
       monthlyOccurrence: recurrence === 'monthly' ? (monthlyOccurrence || 1) : null,
+      gameDays: [],
+      anchorDate: null,
+      intervalDays: null,
     };
 
+    if (!RECURRENCES.includes(gameSchedule.recurrence)) {
+      return res.status(400).json({ error: `Recurrence must be one of: ${RECURRENCES.join(', ')}` });
+    }
+
+    // Several game days a week (the first listed day is the main game day)
+    if (gameSchedule.recurrence === 'weekly' && Array.isArray(gameDays) && gameDays.length > 1) {
+      const days = [...new Set(gameDays.map(d => parseInt(d)).filter(d => d >= 0 && d <= 6))];
+      if (days.length > 1) {
+        gameSchedule.gameDays = days.sort((a, b) => a - b);
+        if (!days.includes(gameSchedule.gameDay)) {
+          gameSchedule.gameDay = gameSchedule.gameDays[0];
+        }
+      }
+    }
+
+    if (gameSchedule.recurrence === 'biweekly' || gameSchedule.recurrence === 'interval') {
+      const anchor = parseDateId(anchorDate);
+      if (!anchor) {
+        return res.status(400).json({ error: 'Pick the date of a game to count from' });
+      }
+      gameSchedule.anchorDate = anchorDate;
+      gameSchedule.gameDay = anchor.getUTCDay();
+    }
+
+    if (gameSchedule.recurrence === 'interval') {
+      gameSchedule.intervalDays = Math.min(Math.max(parseInt(intervalDays) || 7, MIN_INTERVAL_DAYS), MAX_INTERVAL_DAYS);
+    }
+
     // Add custom RSVP timing if provided (for 'custom' preset)
     if (rsvpWindowPreset === 'custom' && rsvpOpenDay !== undefined && rsvpCloseDay !== undefined) {
       gameSchedule.rsvpOpenDay = parseInt(rsvpOpenDay);
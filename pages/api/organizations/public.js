@@ -1,6 +1,7 @@
 import { getOrganizations } from '../../../lib/organizations';
 import { getOrgData, ORG_KEY_SUFFIXES } from '../../../lib/kv';
-import { isFormOpen } from '../../../lib/recurrence';
+import { isFormOpen, getGameDays, describeRecurrence } from '../../../lib/recurrence';
+import { getUpcomingEventSummaries } from '../../../lib/event-store';
 
 /**
  * Public API to get all active organizations for browsing
@@ -49,8 +50,11 @@ export default async function handler(req, res) {
         isOpen: accessStatus.isOpen,
         nextOpenTime: accessStatus.nextOpenTime || null,
         gameDay: gameDay !== undefined ? gameDay : null,
+        gameDays: gameDay !== undefined ? getGameDays(settings.gameInfo) : [],
+        schedule: gameDay !== undefined ? describeRecurrence(settings.gameInfo) : null,
         startHour: startHour !== undefined ? startHour : null,
         endHour: endHour !== undefined ? endHour : null,
+        events: await getUpcomingEventSummaries(org.id, settings.accessPeriod?.timezone || org.timezone || 'Africa/Lagos'),
       };
     }));
 
@@ -59,7 +63,7 @@ export default async function handler(req, res) {
     const locations = [...new Set(orgsWithInfo.map(o => o.location).filter(Boolean))].sort();
 
     // Get unique game days (only include days that have events)
-    const gameDays = [...new Set(orgsWithInfo.map(o => o.gameDay).filter(d => d !== null))].sort((a, b) => a - b);
+    const gameDays = [...new Set(orgsWithInfo.flatMap(o => o.gameDays))].sort((a, b) => a - b);
 
     return res.status(200).json({
       organizations: orgsWithInfo,
@@ -1,4 +1,4 @@
-import { kv } from '@vercel/kv';
+import { kv } from '../../lib/kv';
 
 const RSVP_KEY = 'frisbee-rsvp-data';
 const SETTINGS_KEY = 'frisbee-settings';
@@ -1,4 +1,4 @@
-import { kv } from '@vercel/kv';
+import { kv } from '../../lib/kv';
 import { Resend } from 'resend';
 import PDFDocument from 'pdfkit';
 
@@ -5,9 +5,7 @@ import {
   updateOrganizerStatus,
   deleteOrganizer,
 } from '../../../lib/organizations';
-import { Resend } from 'resend';
-
-const resend = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null;
+import { queueEmail } from '../../../lib/outbox';
 
 export default async function handler(req, res) {
   // Authenticate
@@ -86,17 +84,12 @@ export default async function handler(req, res) {
 }
 
 async function sendApprovalEmail(email, name, token, req) {
-  if (!resend) {
-    console.log('Approval email (not sent - no Resend key):', { email, token });
-    return;
-  }
-
   const protocol = req.headers['x-forwarded-proto'] || 'https';
   const host = req.headers.host;
   const magicLink = `${protocol}://${host}/auth/verify?token=${token}`;
 
   try {
-    await resend.emails.send({
+    await queueEmail({
       from: 'PlayDay <noreply@itsplayday.com>',
       to: email,
       subject: 'Your PlayDay Account is Approved!',
@@ -116,20 +109,15 @@ async function sendApprovalEmail(email, name, token, req) {
           <p style="color: #999; font-size: 12px;">PlayDay - Sports RSVP made simple</p>
         </div>
       `,
-    });
+    }, { kind: 'approval' });
   } catch (error) {
     console.error('Failed to send approval email:', error);
   }
 }
 
 async function sendRejectionEmail(email, name) {
-  if (!resend) {
-    console.log('Rejection email (not sent - no Resend key):', { email });
-    return;
-  }
-
   try {
-    await resend.emails.send({
+    await queueEmail({
       from: 'PlayDay <noreply@itsplayday.com>',
       to: email,
       subject: 'PlayDay Account Request Update',
@@ -143,7 +131,7 @@ async function sendRejectionEmail(email, name) {
           <p style="color: #999; font-size: 12px;">PlayDay - Sports RSVP made simple</p>
         </div>
       `,
-    });
+    }, { kind: 'rejection' });
   } catch (error) {
     console.error('Failed to send rejection email:', error);
   }
@@ -106,7 +106,7 @@ export default function BrowsePage() {
   const filteredOrgs = organizations.filter(org => {
     if (selectedSport && org.sport !== selectedSport) return false;
     if (selectedLocation && org.location !== selectedLocation) return false;
-    if (selectedDay !== '' && org.gameDay !== parseInt(selectedDay)) return false;
+    if (selectedDay !== '' && !org.gameDays.includes(parseInt(selectedDay))) return false;
     if (selectedTimeOfDay) {
       const timeOption = timeOfDayOptions.find(t => t.value === selectedTimeOfDay);
       if (timeOption && org.startHour !== null) {
@@ -417,13 +417,29 @@ export default function BrowsePage() {
                           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
                         </svg>
                         <span>
-                          {dayNames[org.gameDay]}
+                          {org.schedule || dayNames[org.gameDay]}
                           {org.startHour !== null && ` at ${org.startHour > 12 ? org.startHour - 12 : org.startHour || 12}${org.startHour >= 12 ? 'pm' : 'am'}`}
                         </span>
                       </div>
                     )}
                   </div>
 
+                  {/* Upcoming one-off events */}
+                  {org.events?.length > 0 && (
+                    <div className="mb-3 space-y-1">
+                      {org.events.slice(0, 2).map(event => (
+                        <div key={event.id} className="flex items-center gap-2 text-sm">
+                          <span>🏆</span>
+                          <span className="text-gray-700 font-medium truncate">{event.name}</span>
+                          <span className="text-gray-400 text-xs whitespace-nowrap">{event.dateLabel}</span>
+                        </div>
+                      ))}
+                      {org.events.length > 2 && (
+                        <p className="text-gray-400 text-xs">+{org.events.length - 2} more event{org.events.length === 3 ? '' : 's'}</p>
+                      )}
+                    </div>
+                  )}
+
                   {/* Stats */}
                   <div className="flex items-center justify-between pt-3 border-t border-gray-100">
                     <div className="flex items-center gap-2">
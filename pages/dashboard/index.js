@@ -3,11 +3,11 @@ import Head from 'next/head';
 import Link from 'next/link';
 import { useRouter } from 'next/router';
 import { LAGOS_AREAS, formatLocation } from '../../lib/locations';
-import { getNthDayOfMonth } from '../../lib/recurrence';
+import { getNextGameDate as getNextScheduledGame, isScheduledRecurrence, getMinGameGapDays, getWindowOffsets, describeRecurrence } from '../../lib/recurrence';
 
 // Visual timeline component showing the weekly recurring schedule
 // Always shows events in logical order: RSVP Opens -> RSVP Closes -> Game Starts -> Game Ends -> Repeat
-function WeeklyTimeline({ gameDay, gameStartHour, gameStartMinute, gameEndHour, gameEndMinute, rsvpWindowPreset, rsvpOpenDay, rsvpOpenHour, rsvpOpenMinute, rsvpCloseDay, rsvpCloseHour, rsvpCloseMinute, recurrence, monthlyOccurrence }) {
+function WeeklyTimeline({ gameDay, gameStartHour, gameStartMinute, gameEndHour, gameEndMinute, rsvpWindowPreset, rsvpOpenDay, rsvpOpenHour, rsvpOpenMinute, rsvpCloseDay, rsvpCloseHour, rsvpCloseMinute, recurrence, monthlyOccurrence, gameDays = [], anchorDate = null, intervalDays = null, timezone }) {
   const fullDays = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
   const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 
@@ -42,37 +42,13 @@ function WeeklyTimeline({ gameDay, gameStartHour, gameStartMinute, gameEndHour,
 
   const formatTime = (h, m) => `${h}:${m.toString().padStart(2, '0')}`;
 
-  // Calculate the next upcoming game date
+  const gameInfo = { recurrence, monthlyOccurrence, gameDay, gameDays, anchorDate, intervalDays, startHour: gameStartHour, startMinute: gameStartMinute, endHour: gameEndHour, endMinute: gameEndMinute };
+
+  // The next upcoming game, as a local date for display
   const getNextGameDate = () => {
-    const now = new Date();
-    if (recurrence === 'monthly') {
-      const year = now.getFullYear();
-      const month = now.getMonth();
-      for (let offset = 0; offset <= 2; offset++) {
-        const m = (month + offset) % 12;
-        const y = (month + offset) >= 12 ? year + 1 : year;
-        const candidate = getNthDayOfMonth(y, m, gameDay, monthlyOccurrence || 1);
-        if (candidate) {
-          const gameDateTime = new Date(candidate);
-          gameDateTime.setHours(gameStartHour, gameStartMinute, 0, 0);
-          if (gameDateTime > now) return candidate;
-        }
-      }
-      return null;
-    }
-    const today = now.getDay();
-    let daysUntil = gameDay - today;
-    if (daysUntil < 0) daysUntil += 7;
-    if (daysUntil === 0) {
-      const gameTime = new Date(now);
-      gameTime.setHours(gameStartHour, gameStartMinute, 0, 0);
-      if (now >= gameTime) daysUntil = 7;
-    }
-    const nextGame = new Date(now);
-    nextGame.setDate(nextGame.getDate() + daysUntil);
-    return nextGame;
+    const next = getNextScheduledGame({ gameInfo }, timezone || Intl.DateTimeFormat().resolvedOptions().timeZone);
+    return next && new Date(next.getUTCFullYear(), next.getUTCMonth(), next.getUTCDate());
   };
-
   const nextGameDate = getNextGameDate();
 
   const getEventDate = (eventDay, eventType) => {
@@ -145,7 +121,9 @@ function WeeklyTimeline({ gameDay, gameStartHour, gameStartMinute, gameEndHour,
             <span className="text-xs text-gray-500 italic">
               {recurrence === 'monthly'
                 ? `Cycle repeats monthly (${monthlyOccurrence === 'last' ? 'last' : ['1st', '2nd', '3rd', '4th'][monthlyOccurrence - 1] || '1st'} ${fullDays[gameDay]})`
-                : 'Cycle repeats weekly'}
+                : isScheduledRecurrence(gameInfo)
+                  ? `Cycle repeats for every game (${describeRecurrence(gameInfo)})`
+                  : 'Cycle repeats weekly'}
             </span>
           </div>
         </div>
@@ -195,8 +173,11 @@ export default function Dashboard() {
     streetAddress: '',
     timezone: 'Africa/Lagos',
     maxParticipants: 30,
-    recurrence: 'weekly', // 'weekly' | 'monthly'
+    recurrence: 'weekly', // 'weekly' | 'biweekly' | 'monthly' | 'interval'
     monthlyOccurrence: 1, // 1-4 or 'last' (which occurrence of the day)
+    gameDays: [], // Weekly: every day played on, when more than one
+    anchorDate: '', // Biweekly/interval: date of the first game (YYYY-MM-DD)
+    intervalDays: 10, // Interval: days between games
     gameDay: 0, // Sunday
     gameStartHour: 12,
     gameStartMinute: 0,
@@ -356,6 +337,9 @@ export default function Dashboard() {
         maxParticipants: 30,
         recurrence: 'weekly',
         monthlyOccurrence: 1,
+        gameDays: [],
+        anchorDate: '',
+        intervalDays: 10,
         gameDay: 0,
         gameStartHour: 12,
         gameStartMinute: 0,
@@ -962,7 +946,9 @@ export default function Dashboard() {
                         <div className="grid grid-cols-2 gap-2">
                           {[
                             { value: 'weekly', label: 'Weekly', desc: 'Every week' },
+                            { value: 'biweekly', label: 'Every 2 weeks', desc: 'Every other week' },
                             { value: 'monthly', label: 'Monthly', desc: 'Once a month' },
+                            { value: 'interval', label: 'Every N days', desc: 'A fixed number of days apart' },
                           ].map(opt => (
                             <button
                               key={opt.value}
@@ -996,12 +982,51 @@ export default function Dashboard() {
                         <p className="text-xs text-gray-500 mt-1">Additional people will be placed on the waitlist</p>
                       </div>
 
+                      {/* Biweekly and every-N-days games count from a first game date */}
+                      {(newOrg.recurrence === 'biweekly' || newOrg.recurrence === 'interval') && (
+                        <div className={newOrg.recurrence === 'interval' ? 'grid grid-cols-2 gap-4' : ''}>
+                          <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">First Game Date</label>
+                            <input
+                              type="date"
+                              value={newOrg.anchorDate}
+                              onChange={e => {
+                                const anchorDate = e.target.value;
+                                const gameDay = anchorDate ? new Date(`${anchorDate}T00:00:00Z`).getUTCDay() : newOrg.gameDay;
+                                setNewOrg({ ...newOrg, anchorDate, gameDay });
+                              }}
+                              className="w-full px-3 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                            />
+                          </div>
+                          {newOrg.recurrence === 'interval' && (
+                            <div>
+                              <label className="block text-sm font-medium text-gray-700 mb-1">Days Between Games</label>
+                              <input
+                                type="number"
+                                min={2}
+                                max={90}
+                                value={newOrg.intervalDays}
+                                onChange={e => setNewOrg({ ...newOrg, intervalDays: parseInt(e.target.value) || 2 })}
+                                className="w-full px-3 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                              />
+                            </div>
+                          )}
+                        </div>
+                      )}
+
+                      {(newOrg.recurrence === 'weekly' || newOrg.recurrence === 'monthly') && (
                       <div className={newOrg.recurrence === 'monthly' ? 'grid grid-cols-2 gap-4' : ''}>
                         <div>
                           <label className="block text-sm font-medium text-gray-700 mb-1">Game Day</label>
                           <select
                             value={newOrg.gameDay}
-                            onChange={e => setNewOrg({ ...newOrg, gameDay: parseInt(e.target.value) })}
+                            onChange={e => {
+                              const gameDay = parseInt(e.target.value);
+                              const gameDays = newOrg.gameDays.length
+                                ? [...new Set([...newOrg.gameDays.filter(d => d !== newOrg.gameDay), gameDay])].sort((x, y) => x - y)
+                                : [];
+                              setNewOrg({ ...newOrg, gameDay, gameDays: gameDays.length > 1 ? gameDays : [] });
+                            }}
                             className="w-full px-3 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                           >
                             <option value={0}>Sunday</option>
@@ -1032,6 +1057,37 @@ export default function Dashboard() {
                           </div>
                         )}
                       </div>
+                      )}
+
+                      {/* Several game days a week, each with its own RSVP list */}
+                      {newOrg.recurrence === 'weekly' && (
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">Also plays on</label>
+                          <div className="flex flex-wrap gap-1.5">
+                            {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map((label, day) => {
+                              const days = newOrg.gameDays.length ? newOrg.gameDays : [newOrg.gameDay];
+                              const selected = days.includes(day);
+                              return (
+                                <button
+                                  key={day}
+                                  type="button"
+                                  disabled={day === newOrg.gameDay}
+                                  onClick={() => {
+                                    const next = selected ? days.filter(d => d !== day) : [...days, day].sort((x, y) => x - y);
+                                    setNewOrg({ ...newOrg, gameDays: next.length > 1 ? next : [] });
+                                  }}
+                                  className={`px-2.5 py-1 rounded-lg border text-xs font-medium transition-all disabled:opacity-60 ${
+                                    selected ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-200 text-gray-600 hover:border-gray-300'
+                                  }`}
+                                >
+                                  {label}
+                                </button>
+                              );
+                            })}
+                          </div>
+                          <p className="text-xs text-gray-500 mt-1">Each game day gets its own RSVP list</p>
+                        </div>
+                      )}
 
                       <div className="grid grid-cols-2 gap-4">
                         <div>
@@ -1086,10 +1142,8 @@ export default function Dashboard() {
                       <div className="bg-blue-50 rounded-lg p-3 mt-2">
                         <p className="text-sm text-blue-800">
                           <span className="font-medium">Preview:</span>{' '}
-                          {newOrg.recurrence === 'monthly'
-                            ? `${newOrg.monthlyOccurrence === 'last' ? 'Last' : ['1st', '2nd', '3rd', '4th'][newOrg.monthlyOccurrence - 1] || '1st'} ${['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][newOrg.gameDay]} of every month`
-                            : `Every ${['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][newOrg.gameDay]}`
-                          }, {newOrg.gameStartHour}:{newOrg.gameStartMinute.toString().padStart(2, '0')} - {newOrg.gameEndHour}:{newOrg.gameEndMinute.toString().padStart(2, '0')}
+                          {describeRecurrence(newOrg)}
+                          {newOrg.anchorDate && (newOrg.recurrence === 'biweekly' || newOrg.recurrence === 'interval') && ` from ${newOrg.anchorDate}`}, {newOrg.gameStartHour}:{newOrg.gameStartMinute.toString().padStart(2, '0')} - {newOrg.gameEndHour}:{newOrg.gameEndMinute.toString().padStart(2, '0')}
                         </p>
                       </div>
                     </div>
@@ -1099,7 +1153,7 @@ export default function Dashboard() {
                   {createStep === 3 && (
                     <div className="space-y-4">
                       <p className="text-gray-500 text-sm mb-4">
-                        {newOrg.recurrence === 'monthly'
+                        {newOrg.recurrence === 'monthly' || isScheduledRecurrence(newOrg)
                           ? `Set when RSVPs open and close relative to your game day (${['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][newOrg.gameDay]}).`
                           : 'Set when RSVPs open and close each week.'}
                       </p>
@@ -1108,6 +1162,11 @@ export default function Dashboard() {
                           For monthly events, these days refer to the week of your game. e.g. if your game is the last Tuesday, selecting &quot;Monday&quot; means the Monday right before that Tuesday.
                         </div>
                       )}
+                      {isScheduledRecurrence(newOrg) && (
+                        <div className="bg-amber-50 border border-amber-200 rounded-lg p-3 text-xs text-amber-800">
+                          Every game gets its own RSVP window, opening and closing the same number of days before it. The window has to open after the previous game day, so each game&apos;s list starts fresh.
+                        </div>
+                      )}
 
                       {/* RSVP timing inputs */}
                       <div className="space-y-4">
@@ -1146,7 +1205,7 @@ export default function Dashboard() {
                               className="w-16 px-2 py-2 border border-gray-300 rounded-lg text-center text-sm"
                             />
                           </div>
-                          {newOrg.recurrence === 'monthly' && newOrg.rsvpOpenDay !== null && (() => {
+                          {(newOrg.recurrence === 'monthly' || isScheduledRecurrence(newOrg)) && newOrg.rsvpOpenDay !== null && (() => {
                             let offset = newOrg.rsvpOpenDay - newOrg.gameDay;
                             if (offset > 0) offset -= 7;
                             const label = offset === 0 ? 'Same day as game' : `${Math.abs(offset)} day${Math.abs(offset) > 1 ? 's' : ''} before game day`;
@@ -1188,7 +1247,7 @@ export default function Dashboard() {
                               className="w-16 px-2 py-2 border border-gray-300 rounded-lg text-center text-sm"
                             />
                           </div>
-                          {newOrg.recurrence === 'monthly' && newOrg.rsvpCloseDay !== null && (() => {
+                          {(newOrg.recurrence === 'monthly' || isScheduledRecurrence(newOrg)) && newOrg.rsvpCloseDay !== null && (() => {
                             let offset = newOrg.rsvpCloseDay - newOrg.gameDay;
                             if (offset > 0) offset -= 7;
                             const label = offset === 0 ? 'Same day as game' : `${Math.abs(offset)} day${Math.abs(offset) > 1 ? 's' : ''} before game day`;
@@ -1200,7 +1259,7 @@ export default function Dashboard() {
                       {/* Visual Timeline - only show when all fields are filled */}
                       {newOrg.rsvpOpenDay !== null && newOrg.rsvpCloseDay !== null && newOrg.rsvpOpenHour !== null && newOrg.rsvpCloseHour !== null && (
                         <div className="bg-gradient-to-r from-blue-50 to-indigo-50 rounded-lg p-4 mt-3">
-                          <p className="text-xs font-medium text-gray-600 mb-3">{newOrg.recurrence === 'monthly' ? 'Monthly' : 'Weekly'} Schedule Timeline</p>
+                          <p className="text-xs font-medium text-gray-600 mb-3">{newOrg.recurrence === 'monthly' ? 'Monthly' : isScheduledRecurrence(newOrg) ? 'Per-Game' : 'Weekly'} Schedule Timeline</p>
                           <WeeklyTimeline
                             gameDay={newOrg.gameDay}
                             gameStartHour={newOrg.gameStartHour}
@@ -1216,6 +1275,10 @@ export default function Dashboard() {
                             rsvpCloseMinute={newOrg.rsvpCloseMinute ?? 0}
                             recurrence={newOrg.recurrence}
                             monthlyOccurrence={newOrg.monthlyOccurrence}
+                            gameDays={newOrg.gameDays}
+                            anchorDate={newOrg.anchorDate || null}
+                            intervalDays={newOrg.intervalDays}
+                            timezone={newOrg.timezone}
                           />
                         </div>
                       )}
@@ -1315,6 +1378,12 @@ export default function Dashboard() {
                               return;
                             }
                           }
+                          if (createStep === 2) {
+                            if ((newOrg.recurrence === 'biweekly' || newOrg.recurrence === 'interval') && !newOrg.anchorDate) {
+                              setError('Please pick the date of your first game');
+                              return;
+                            }
+                          }
                           if (createStep === 3) {
                             // Validate RSVP timing fields
                             if (newOrg.rsvpOpenDay === null || newOrg.rsvpOpenHour === null ||
@@ -1331,6 +1400,14 @@ export default function Dashboard() {
                                 return;
                               }
                             }
+                            // Each game's window has to open after the previous game day
+                            if (isScheduledRecurrence(newOrg)) {
+                              const { openOffset } = getWindowOffsets({ startDay: newOrg.rsvpOpenDay, endDay: newOrg.rsvpCloseDay }, newOrg.gameDay);
+                              if (-openOffset >= getMinGameGapDays(newOrg)) {
+                                setError('RSVPs must open after the previous game day');
+                                return;
+                              }
+                            }
                           }
                           setError('');
                           setCreateStep(createStep + 1);
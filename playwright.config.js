@@ -22,5 +22,12 @@ module.exports = defineConfig({
     url: 'http://localhost:3000',
     reuseExistingServer: !process.env.CI,
     timeout: 120000,
+    // Run the real API handlers against a throwaway local store
+    env: {
+      STORAGE_DRIVER: process.env.STORAGE_DRIVER || 'file',
+      STORAGE_FILE_PATH: process.env.STORAGE_FILE_PATH || '.data/e2e-kv.json',
+      MAIL_DRIVER: process.env.MAIL_DRIVER || 'file',
+      MAIL_FILE_PATH: process.env.MAIL_FILE_PATH || '.data/e2e-mail.jsonl',
+    },
   },
 });